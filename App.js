@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import {
+  Alert,
+  AppState,
   StyleSheet,
   View,
   Text,
@@ -35,14 +37,16 @@ import SettingsScreen from './screens/SettingsScreen';
 import AuthScreen from './screens/AuthScreen';
 import PostRoundSummary from './screens/PostRoundSummary';
 import RoundHistoryScreen from './screens/RoundHistoryScreen';
+import ImportRoundScreen from './screens/ImportRoundScreen';
 import RoundDetailScreen from './screens/RoundDetailScreen';
 import HomeScreen from './screens/HomeScreen';
 import PlayerInsightsScreen from './screens/PlayerInsightsScreen';
 import { fetchTeeBoxes } from './services/courseService';
 import { getSession, getProfile, signOut, onAuthStateChange } from './services/authService';
-import { fetchInProgressRound, fetchRoundDetail, submitCompleteRound } from './services/roundService';
+import { fetchInProgressRound, fetchRoundDetail } from './services/roundService';
 import { fetchCourseById } from './services/courseService';
 import { computeAndSaveAnalytics } from './services/shotAnalyticsService';
+import { runScoringCalibration } from './services/scoringCalibrationService';
 import { recalculateHandicap, logOnboardingHandicap } from './services/handicapService';
 import {
   initCachedRound,
@@ -51,7 +55,13 @@ import {
   getCacheDataForSubmission,
   clearRoundCache,
   getResumeInfo,
+  listCachedRounds,
+  setActiveCachedRound,
+  discardCachedRound,
+  reconcileCachedRound,
 } from './services/roundCacheService';
+import { enqueueRoundComplete, getSyncStatus, processSyncQueue, subscribeSyncStatus } from './services/syncQueueService';
+import { parseHandicapIndex } from './utils/handicapUtils';
 import { BottomTabBar } from './components';
 import { TrainingProvider } from './components/TrainingProvider';
 import theme from './theme';
@@ -82,6 +92,11 @@ function App() {
   const [activeRoundId, setActiveRoundId] = useState(null);
   const [selectedRoundId, setSelectedRoundId] = useState(null);
   const [inProgressRound, setInProgressRound] = useState(null);
+  const [cachedRounds, setCachedRounds] = useState([]);
+  const [roundPlayingHandicap, setRoundPlayingHandicap] = useState(null);
+  const [roundLength, setRoundLength] = useState(18);
+  const [roundSideGames, setRoundSideGames] = useState(null);
+  const [syncTempId, setSyncTempId] = useState(null);
 
   useEffect(() => {
     initializeApp();
@@ -101,6 +116,81 @@ function App() {
     };
   }, []);
 
+  // Upload queued round changes at launch and whenever the app comes back
+  // to the foreground; refresh stats once a finished round is fully saved
+  useEffect(() => {
+    const userId = session?.user?.id;
+    if (!userId) return undefined;
+
+    processSyncQueue();
+    const appState = AppState.addEventListener('change', (state) => {
+      if (state === 'active') processSyncQueue();
+    });
+    const unsubscribe = subscribeSyncStatus((status, event) => {
+      if (event?.type === 'round_completed') refreshPlayerStats(userId);
+    });
+
+    return () => {
+      appState.remove();
+      unsubscribe();
+    };
+  }, [session?.user?.id]);
+
+  const loadCachedRounds = async () => {
+    const rounds = await listCachedRounds();
+    setCachedRounds(rounds);
+    return rounds;
+  };
+
+  // Tell the player a cached round was closed on another device, and
+  // whether scores from this phone went with it
+  const alertRoundFinishedElsewhere = (reconciled, courseName = null) => {
+    const where = courseName ? `Your round at ${courseName}` : 'This round';
+    const count = reconciled.unsyncedHoles?.length || 0;
+    const lost = count > 0
+      ? ` Scores for ${count} hole${count === 1 ? '' : 's'} entered on this phone hadn't uploaded and were not kept.`
+      : '';
+    Alert.alert(
+      'Round Already Finished',
+      `${where} was ${reconciled.status === 'completed' ? 'finished' : 'discarded'} on another device.${lost}`
+    );
+  };
+
+  // Pick up scores entered on another device (in the background, since it
+  // needs signal)
+  const reconcileCachedRounds = async (rounds) => {
+    let changed = false;
+    for (const round of rounds) {
+      const { data } = await reconcileCachedRound(round.tempId);
+      if (data && data.action !== 'unchanged') changed = true;
+      if (data?.action === 'server_finished') alertRoundFinishedElsewhere(data, round.courseName);
+    }
+    if (!changed) return;
+
+    const updated = await loadCachedRounds();
+    setInProgressRound(prev => {
+      if (!prev?.isFromCache) return prev;
+      const current = updated.find(r => r.tempId === prev.tempId) || updated[0];
+      return current ? { ...current, isFromCache: true } : null;
+    });
+  };
+
+  const refreshPlayerStats = (userId) => {
+    computeAndSaveAnalytics(userId).catch(err =>
+      console.warn('Background analytics computation failed:', err)
+    );
+    runScoringCalibration(userId).catch(err =>
+      console.warn('Background scoring calibration failed:', err)
+    );
+    recalculateHandicap(userId).then(result => {
+      if (result.data?.handicap != null) {
+        setUserProfile(prev => prev ? { ...prev, handicap: String(result.data.handicap) } : prev);
+      }
+    }).catch(err =>
+      console.warn('Background handicap recalculation failed:', err)
+    );
+  };
+
   const initializeApp = async () => {
     try {
       // Check for existing Supabase session
@@ -127,6 +217,7 @@ function App() {
             targetScore: profile.target_score,
             onboardingCompleted: profile.onboarding_completed,
             responseDepth: profile.response_depth,
+            scoringOverrides: profile.scoring_overrides || null,
           }));
         } else {
           // Profile not in DB yet — check AsyncStorage
@@ -141,9 +232,11 @@ function App() {
           }
         }
 
-        // Check for cached round first (local storage), then DB
+        // Check for cached rounds first (local storage), then DB
         try {
-          const cachedResumeInfo = await getResumeInfo();
+          const rounds = await loadCachedRounds();
+          reconcileCachedRounds(rounds);
+          const cachedResumeInfo = rounds.find(r => r.isActive) || rounds[0];
           if (cachedResumeInfo) {
             console.log('Found cached round to resume:', cachedResumeInfo.tempId);
             setInProgressRound({
@@ -156,8 +249,14 @@ function App() {
             if (inProgressError) {
               console.warn('Error checking for in-progress round:', inProgressError);
             } else if (inProgress) {
-              console.log('Found in-progress round in DB:', inProgress.id);
-              setInProgressRound(inProgress);
+              // A finished round stays in progress on the server until its upload completes
+              const syncStatus = await getSyncStatus();
+              const awaitingUpload = Object.values(syncStatus)
+                .some(r => r.dbRoundId === inProgress.id && r.finished);
+              if (!awaitingUpload) {
+                console.log('Found in-progress round in DB:', inProgress.id);
+                setInProgressRound(inProgress);
+              }
             }
           }
         } catch (e) {
@@ -222,6 +321,7 @@ function App() {
         targetScore: profile.target_score,
         onboardingCompleted: profile.onboarding_completed,
         responseDepth: profile.response_depth,
+        scoringOverrides: profile.scoring_overrides || null,
       }));
     }
   };
@@ -260,24 +360,7 @@ function App() {
     try {
       // Check if resuming from local cache or DB
       if (inProgressRound.isFromCache) {
-        // Resume from local cache - data already in inProgressRound
-        console.log('Resuming from local cache');
-
-        // Fetch full course data
-        const { data: course } = await fetchCourseById(inProgressRound.course.id);
-        if (!course) {
-          console.error('Could not load course for resume');
-          return;
-        }
-
-        // Set state and navigate to hole view
-        setSelectedCourse(course);
-        setSelectedTee(inProgressRound.tee);
-        setActiveRoundId(null); // No DB round ID yet
-        setCurrentHole(inProgressRound.currentHole);
-        setRoundScores(inProgressRound.holes || []);
-        setInProgressRound(null);
-        setCurrentScreen('holeView');
+        await handleResumeCachedRound(inProgressRound.tempId);
         return;
       }
 
@@ -330,11 +413,63 @@ function App() {
     }
   };
 
+  const handleResumeCachedRound = async (tempId) => {
+    try {
+      console.log('Resuming from local cache:', tempId);
+      await setActiveCachedRound(tempId);
+
+      // Take any scores entered on another device since this phone last synced
+      const { data: reconciled } = await reconcileCachedRound(tempId);
+      if (reconciled?.action === 'server_finished') {
+        alertRoundFinishedElsewhere(reconciled);
+        const rounds = await loadCachedRounds();
+        setInProgressRound(rounds[0] ? { ...rounds[0], isFromCache: true } : null);
+        return;
+      }
+
+      const resumeInfo = await getResumeInfo(tempId);
+      if (!resumeInfo) return;
+
+      // Fetch full course data
+      const { data: course } = await fetchCourseById(resumeInfo.course.id);
+      if (!course) {
+        console.error('Could not load course for resume');
+        return;
+      }
+
+      // Set state and navigate to hole view
+      setSelectedCourse(course);
+      setSelectedTee(resumeInfo.tee);
+      setActiveRoundId(null); // No DB round ID yet
+      setCurrentHole(resumeInfo.currentHole);
+      setRoundScores(resumeInfo.holes || []);
+      setInProgressRound(null);
+      setCurrentScreen('holeView');
+    } catch (error) {
+      console.error('Error resuming cached round:', error);
+    }
+  };
+
+  const handleDiscardCachedRound = async (tempId) => {
+    await discardCachedRound(tempId);
+    const rounds = await loadCachedRounds();
+    if (inProgressRound?.tempId === tempId) {
+      setInProgressRound(rounds[0] ? { ...rounds[0], isFromCache: true } : null);
+    }
+  };
+
   const handleSelectRound = (roundId) => {
     setSelectedRoundId(roundId);
     setCurrentScreen('roundDetail');
   };
 
+  const handleRoundImported = (roundId) => {
+    if (session?.user?.id) {
+      refreshPlayerStats(session.user.id);
+    }
+    handleSelectRound(roundId);
+  };
+
   const handleBackFromRoundDetail = () => {
     setSelectedRoundId(null);
     setCurrentScreen('roundHistory');
@@ -379,7 +514,8 @@ function App() {
   };
 
   const handleStartRoundFromGamePlan = async () => {
-    setCurrentHole(1);
+    // Back-nine rounds start on hole 10
+    setCurrentHole(selectedTee?.nine === 'back' ? 10 : 1);
     setRoundScores([]);
 
     // Initialize cached round locally (no DB call yet)
@@ -391,6 +527,7 @@ function App() {
         course: selectedCourse,
         tee: selectedTee,
         weather: { temp_f: 72, wind_mph: 5, condition: 'sunny' },
+        handicapIndex: parseHandicapIndex(userProfile?.handicap),
       });
       // No activeRoundId yet - will be created on submission
       setActiveRoundId(null);
@@ -447,6 +584,7 @@ function App() {
         course: selectedCourse,
         tee: teeForRound,
         weather: { temp_f: 72, wind_mph: 5, condition: 'sunny' },
+        handicapIndex: parseHandicapIndex(userProfile?.handicap),
       });
       // No activeRoundId yet - will be created on submission
       setActiveRoundId(null);
@@ -459,17 +597,25 @@ function App() {
     setCurrentScreen('holeView');
   };
 
-  const handleNextHole = async (holeData) => {
+  const handleNextHole = async (holeData, nextHole = currentHole + 1) => {
     setRoundScores([...roundScores, { hole: currentHole, ...holeData }]);
+    setCurrentHole(nextHole);
 
     // Save to local cache (no DB call during play)
     try {
       await saveHoleToCache(currentHole, holeData);
+      // Holes aren't always played in order (shotgun starts, skipped holes)
+      await updateCurrentHole(nextHole);
     } catch (err) {
       console.warn('Failed to save hole to cache:', err);
     }
+  };
 
-    setCurrentHole(currentHole + 1);
+  // Switch holes without scoring the current one (e.g. the course tracker
+  // found the player on another tee before they started this hole)
+  const handleChangeHole = async (holeNumber) => {
+    setCurrentHole(holeNumber);
+    await updateCurrentHole(holeNumber);
   };
 
   const handlePauseRound = async () => {
@@ -484,6 +630,7 @@ function App() {
           isFromCache: true,
         });
       }
+      await loadCachedRounds();
     } catch (err) {
       console.warn('Failed to update cache on pause:', err);
     }
@@ -508,46 +655,27 @@ function App() {
       }
     }
 
-    // Get all cached data and batch submit to Supabase
+    // Hand the finished round to the sync queue; it uploads what hasn't
+    // been sent yet as soon as there's signal
     try {
       const cacheData = await getCacheDataForSubmission();
       if (cacheData) {
-        const { data: dbRound, error } = await submitCompleteRound(
-          cacheData.round,
-          cacheData.holes,
-          cacheData.shots
-        );
+        setRoundPlayingHandicap(cacheData.round.playingHandicap);
+        setRoundLength(cacheData.round.roundLength);
+        setRoundSideGames(cacheData.round.sideGames);
 
         // Save shots for post-round summary before cache is cleared
         setRoundShots(cacheData.shots || []);
 
-        if (error) {
-          console.error('Error submitting round to database:', error);
-          // Round data is still in cache, user can retry later
-        } else {
-          console.log('Round submitted successfully:', dbRound?.id);
-          // Clear the cache after successful submission
-          await clearRoundCache();
-
-          // Trigger analytics computation in background (non-blocking)
-          if (session?.user?.id) {
-            computeAndSaveAnalytics(session.user.id).catch(err =>
-              console.warn('Background analytics computation failed:', err)
-            );
-
-            // Recalculate handicap in background (non-blocking)
-            recalculateHandicap(session.user.id).then(result => {
-              if (result.data?.handicap != null) {
-                setUserProfile(prev => prev ? { ...prev, handicap: String(result.data.handicap) } : prev);
-              }
-            }).catch(err =>
-              console.warn('Background handicap recalculation failed:', err)
-            );
-          }
-        }
+        await enqueueRoundComplete(cacheData);
+        setSyncTempId(cacheData.round.tempId);
+
+        // The queue now holds everything still to upload
+        await clearRoundCache();
+        await loadCachedRounds();
       }
     } catch (err) {
-      console.error('Error during round submission:', err);
+      console.error('Error queueing round for upload:', err);
       // Keep cache intact for retry
     }
 
@@ -565,6 +693,7 @@ function App() {
     setCurrentHole(1);
     setRoundScores([]);
     setActiveRoundId(null);
+    setSyncTempId(null);
     setInProgressRound(null); // Clear in-progress indicator
   };
 
@@ -618,6 +747,17 @@ function App() {
     );
   }
 
+  // Show Import Round Screen
+  if (currentScreen === 'importRound') {
+    return (
+      <ImportRoundScreen
+        userId={session?.user?.id}
+        onBack={() => setCurrentScreen('roundHistory')}
+        onImported={handleRoundImported}
+      />
+    );
+  }
+
   // Show Select Course Screen
   if (currentScreen === 'selectCourse') {
     return (
@@ -688,6 +828,7 @@ function App() {
         roundId={activeRoundId}
         resumeScores={roundScores}
         onNextHole={handleNextHole}
+        onChangeHole={handleChangeHole}
         onEndRound={handleEndRound}
         onPauseRound={handlePauseRound}
       />
@@ -702,6 +843,10 @@ function App() {
         selectedTee={selectedTee}
         roundScores={roundScores}
         roundShots={roundShots}
+        playingHandicap={roundPlayingHandicap}
+        roundLength={roundLength}
+        sideGames={roundSideGames}
+        syncTempId={syncTempId}
         onDone={handleDoneFromSummary}
       />
     );
@@ -726,6 +871,8 @@ function App() {
             userId={session?.user?.id}
             onBack={() => setCurrentScreen('home')}
             onSelectRound={handleSelectRound}
+            onImportRound={() => setCurrentScreen('importRound')}
+            onGroupRoundAccepted={() => refreshPlayerStats(session?.user?.id)}
           />
         );
       case 'playerInsights':
@@ -752,8 +899,11 @@ function App() {
             userProfile={userProfile}
             userId={session?.user?.id}
             inProgressRound={inProgressRound}
+            cachedRounds={cachedRounds}
             onStartRound={handleStartRound}
             onResumeRound={handleResumeRound}
+            onResumeCachedRound={handleResumeCachedRound}
+            onDiscardCachedRound={handleDiscardCachedRound}
             onOpenRoundHistory={() => setCurrentScreen('roundHistory')}
           />
         );
@@ -0,0 +1,148 @@
+/**
+ * Unit tests for carry lines across dogleg corners.
+ * Run with: npm test
+ */
+
+import {
+  analyzeCarryLine,
+  analyzeDoglegCorner,
+  estimateClearProbability,
+} from '../services/carryLineCalculator';
+import { projectPoint, offsetPositionLaterally } from '../services/landingZoneCalculator';
+import { calculateCornerCutPenalty } from '../services/shotScorer';
+import { generateForwardSequences } from '../services/forwardSequenceGenerator';
+import { configForRiskProfile } from '../services/scoringConfig';
+import { computeHolePlan } from '../services/holePlanEngine';
+
+const TEE = { latitude: 36.56, longitude: -121.95 };
+
+// Point `yards` up the hole (due north) and `right` yards across it
+const at = (yards, right = 0) => offsetPositionLaterally(projectPoint(TEE, yards, 0), right, 0);
+const box = (type, fromYards, toYards, left, right) => ({
+  type,
+  label: type,
+  coordinates: [at(fromYards, left), at(fromYards, right), at(toYards, right), at(toYards, left)],
+});
+// Fairway with a vertex every 10 yards down each side, like a surveyed polygon
+const strip = (type, fromYards, toYards, left, right) => {
+  const side = [];
+  for (let y = fromYards; y <= toYards; y += 10) side.push(y);
+  return {
+    type,
+    label: type,
+    coordinates: [...side.map(y => at(y, right)), ...side.reverse().map(y => at(y, left))],
+  };
+};
+
+// Dogleg right: straight up to the corner at ~260, then right to the green,
+// with trees filling the inside of the corner
+const POLYGONS = [
+  strip('fairway', 150, 290, -25, 25),
+  box('fairway', 230, 290, 25, 220),
+  box('trees', 120, 228, 30, 200),
+  box('green', 245, 275, 220, 250),
+];
+const GREEN = at(260, 235);
+const SAFE_LANDING = at(250);
+const CLUBS = { driver: 255, '3_wood': 230, '7_iron': 155, '8_iron': 145, '9_iron': 135, pw: 125, sw: 100 };
+
+// The engine logs every sequence it builds
+beforeAll(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+afterAll(() => console.log.mockRestore());
+
+describe('analyzeCarryLine', () => {
+  test('carries the trees to the fairway beyond', () => {
+    const line = analyzeCarryLine(TEE, 20, POLYGONS, 320);
+    expect(line.obstacles.map(o => o.type)).toEqual(['trees']);
+    expect(line.carryYards).toBeGreaterThan(235);
+    expect(line.carryYards).toBeLessThan(255);
+    expect(line.landingStart).toBeGreaterThanOrEqual(line.carryYards);
+    expect(line.fairwayEnd).toBeGreaterThan(line.landingStart);
+  });
+
+  test('nothing to carry down the fairway', () => {
+    const line = analyzeCarryLine(TEE, 0, POLYGONS, 300);
+    expect(line.carryYards).toBe(0);
+    expect(line.edge).toBeNull();
+    expect(line.landingStart).toBe(150);
+  });
+});
+
+describe('analyzeDoglegCorner', () => {
+  test('casts lines toward the green, carries growing with the angle', () => {
+    const corner = analyzeDoglegCorner(TEE, SAFE_LANDING, GREEN, POLYGONS, 320);
+    expect(corner.direction).toBe('right');
+    expect(corner.lines.length).toBeGreaterThan(2);
+
+    const carried = corner.lines.filter(l => l.carryYards > 0);
+    for (let i = 1; i < carried.length; i++) {
+      expect(carried[i].angle).toBeGreaterThan(carried[i - 1].angle);
+      expect(carried[i].carryYards).toBeGreaterThanOrEqual(carried[i - 1].carryYards);
+    }
+  });
+
+  test('no corner on a straight hole', () => {
+    expect(analyzeDoglegCorner(TEE, SAFE_LANDING, at(400), POLYGONS, 320)).toBeNull();
+  });
+});
+
+describe('estimateClearProbability', () => {
+  const line = analyzeCarryLine(TEE, 15, POLYGONS, 320);
+  const dispersion = { radius: 25, lateralDispersion: 15, distanceDispersion: 20 };
+
+  test('longer reach clears more often', () => {
+    const short = estimateClearProbability(TEE, line, POLYGONS, line.carryYards - 10, dispersion);
+    const long = estimateClearProbability(TEE, line, POLYGONS, line.carryYards + 30, dispersion);
+    expect(short).toBeLessThan(0.5);
+    expect(long).toBeGreaterThan(short);
+    expect(long).toBeLessThanOrEqual(1);
+  });
+});
+
+describe('Corner-cut option', () => {
+  test('penalty scales with the chance of coming up short', () => {
+    const cornerCut = { carryYards: 240, obstacles: [{ type: 'trees', name: 'trees' }] };
+    const likely = calculateCornerCutPenalty({ cornerCut: { ...cornerCut, clearProbability: 0.9 } });
+    const unlikely = calculateCornerCutPenalty({ cornerCut: { ...cornerCut, clearProbability: 0.4 } });
+    expect(likely.value).toBeLessThan(0);
+    expect(unlikely.value).toBeLessThan(likely.value);
+    expect(calculateCornerCutPenalty({}).value).toBe(0);
+  });
+
+  test('generated next to the safe route on a dogleg par 4', () => {
+    const sequences = generateForwardSequences(
+      { par: 4, teeBox: TEE, green: GREEN, polygons: POLYGONS },
+      { position: null, clubDistances: CLUBS, handicap: 10 },
+      {},
+      configForRiskProfile('aggressive')
+    );
+
+    const cuts = sequences.filter(seq => seq.shots[0].cornerCut);
+    const safe = sequences.filter(seq => !seq.shots[0].cornerCut);
+    expect(safe.length).toBeGreaterThan(0);
+    expect(cuts.length).toBeGreaterThan(0);
+
+    const [cut] = cuts;
+    expect(cut.strategyType).toBe('aggressive');
+    expect(cut.shots.map(s => s.shotNumber)).toEqual([1, 2]);
+    expect(cut.shots[0].cornerCut.clearProbability).toBeGreaterThanOrEqual(0.35);
+    expect(cut.shots[0].target).toMatch(/Cut the corner/);
+    // Cutting the corner leaves a shorter approach than the safe route
+    expect(cut.shots[0].nextShotDistance).toBeLessThan(Math.min(...safe.map(seq => seq.shots[0].nextShotDistance)));
+  });
+
+  test('the plan carries the corner option and the map carry lines', () => {
+    const plan = computeHolePlan(
+      { par: 4, teeBox: TEE, green: GREEN, polygons: POLYGONS },
+      { position: null, clubDistances: CLUBS, handicap: 10 }
+    );
+
+    expect(plan.cornerCutOption.shots[0].cornerCut).toBeTruthy();
+    expect(plan.carryLines.direction).toBe('right');
+    expect(plan.carryLines.lines.length).toBeGreaterThan(0);
+    for (const line of plan.carryLines.lines) {
+      expect(line.carryYards).toBeGreaterThan(0);
+      expect(line.edge.latitude).toBeDefined();
+    }
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit tests for club inference from shot distance.
+ * Run with: npm test
+ */
+
+import { inferClub, buildClubCorrections, needsClubReview } from '../services/clubInference';
+
+const BAG = { driver: 250, '5_iron': 185, '7_iron': 160, '8_iron': 150, pw: 120, putter: 0 };
+
+const CLUB_STATS = {
+  '7_iron': { avgDistance: 165, stdDistance: 5, totalShots: 40 },
+  '8_iron': { avgDistance: 152, stdDistance: 5, totalShots: 40 },
+};
+
+describe('Club inference', () => {
+  test('picks the club whose distance fits, with high confidence when clear', () => {
+    const result = inferClub({ distance: 248, lieType: 'tee', bagDistances: BAG });
+    expect(result.club).toBe('driver');
+    expect(result.confidence).toBeGreaterThan(0.9);
+  });
+
+  test('measured distances win over the bag', () => {
+    const result = inferClub({ distance: 164, lieType: 'fairway', clubStats: CLUB_STATS, bagDistances: BAG });
+    expect(result.club).toBe('7_iron');
+  });
+
+  test('rough shots are expected to come up short', () => {
+    const fairway = inferClub({ distance: 150, lieType: 'fairway', clubStats: CLUB_STATS, bagDistances: BAG });
+    const rough = inferClub({ distance: 150, lieType: 'rough', clubStats: CLUB_STATS, bagDistances: BAG });
+    expect(fairway.club).toBe('8_iron');
+    expect(rough.club).toBe('7_iron');
+  });
+
+  test('a distance between two clubs has low confidence', () => {
+    const result = inferClub({ distance: 158, lieType: 'fairway', clubStats: CLUB_STATS, bagDistances: BAG });
+    expect(result.confidence).toBeLessThan(0.6);
+    expect(result.candidates.map(c => c.club)).toEqual(expect.arrayContaining(['7_iron', '8_iron']));
+  });
+
+  test('learns from corrections', () => {
+    const rows = Array.from({ length: 8 }, () => ({ club_inferred: '8_iron', club: '7_iron', club_confirmed: true }));
+    const corrections = buildClubCorrections(rows);
+    expect(corrections).toEqual({ '8_iron': { '7_iron': 8 } });
+
+    const before = inferClub({ distance: 156, lieType: 'fairway', clubStats: CLUB_STATS, bagDistances: BAG });
+    const after = inferClub({ distance: 156, lieType: 'fairway', clubStats: CLUB_STATS, bagDistances: BAG, corrections });
+    expect(before.club).toBe('8_iron');
+    expect(after.club).toBe('7_iron');
+  });
+
+  test('on the green it is the putter; no distance, no guess', () => {
+    expect(inferClub({ distance: 10, lieType: 'green', bagDistances: BAG }).club).toBe('putter');
+    expect(inferClub({ distance: null, lieType: 'fairway', bagDistances: BAG })).toBeNull();
+  });
+
+  test('unconfirmed low-confidence guesses need review', () => {
+    expect(needsClubReview({ club_inferred: 'pw', club_confidence: 0.4, club_confirmed: false })).toBe(true);
+    expect(needsClubReview({ club_inferred: 'pw', club_confidence: 0.4, club_confirmed: true })).toBe(false);
+    expect(needsClubReview({ club_inferred: 'pw', club_confidence: 0.9, club_confirmed: false })).toBe(false);
+    expect(needsClubReview({ club: 'pw' })).toBe(false);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for the course tracker (automatic hole advancement).
+ * Run with: npm test
+ */
+
+import { createCourseTracker, findHoleAtPosition } from '../services/courseTracker';
+
+// Yards north/east of a reference point
+const ORIGIN = { latitude: 36.5674, longitude: -121.95 };
+const YARDS_PER_DEG_LAT = 121391;
+const at = (north, east) => ({
+  latitude: ORIGIN.latitude + north / YARDS_PER_DEG_LAT,
+  longitude: ORIGIN.longitude + east / (YARDS_PER_DEG_LAT * Math.cos(ORIGIN.latitude * Math.PI / 180)),
+});
+
+const HOLES = {
+  1: { teeBox: at(0, 0), green: at(400, 0), polygons: [] },
+  2: { teeBox: at(420, 120), green: at(50, 120), polygons: [] },
+  3: { teeBox: at(30, 240), green: at(380, 240), polygons: [] },
+  7: { teeBox: at(0, 700), green: at(350, 700), polygons: [] },
+};
+
+function createTestTracker(options = {}) {
+  const events = [];
+  const tracker = createCourseTracker(HOLES, {
+    onLeaveGreen: holeNumber => events.push({ type: 'leaveGreen', holeNumber }),
+    onHoleChange: change => events.push({ type: 'holeChange', ...change }),
+  }, { currentHole: 1, ...options });
+
+  let time = Date.parse('2026-10-01T15:00:00Z');
+  const visit = (position, seconds = 1) => {
+    for (let i = 0; i < seconds; i++) {
+      tracker.processPosition({ ...position, timestamp: time += 1000 });
+    }
+  };
+  return { tracker, events, visit };
+}
+
+function playHoleOne(visit) {
+  visit(at(0, 0), 30);      // on the tee
+  visit(at(150, 0), 5);     // fairway
+  visit(at(400, 0), 60);    // on the green
+  visit(at(410, 60), 5);    // walking off toward the next tee
+}
+
+describe('Course tracker', () => {
+  test('reports leaving the green once', () => {
+    const { events, visit } = createTestTracker();
+    playHoleOne(visit);
+    visit(at(410, 70), 5);
+    expect(events.filter(e => e.type === 'leaveGreen')).toEqual([{ type: 'leaveGreen', holeNumber: 1 }]);
+  });
+
+  test('arriving at the next tee suggests the next hole after a short wait', () => {
+    const { events, visit } = createTestTracker();
+    playHoleOne(visit);
+
+    visit(at(420, 120), 10);
+    expect(events.some(e => e.type === 'holeChange')).toBe(false);
+
+    visit(at(420, 120), 15);
+    expect(events.filter(e => e.type === 'holeChange')).toEqual([
+      { type: 'holeChange', fromHole: 1, toHole: 2, reason: 'tee_arrival', fromHoleStarted: true },
+    ]);
+  });
+
+  test('standing on another tee mid-hole does not switch holes', () => {
+    const { events, visit } = createTestTracker();
+    visit(at(0, 0), 30);
+    visit(at(150, 0), 5);
+    visit(at(30, 240), 60);   // wandered over to hole 3's tee
+    expect(events.filter(e => e.type === 'holeChange')).toHaveLength(0);
+  });
+
+  test('a shotgun start picks up whichever tee the player is on', () => {
+    const { events, visit } = createTestTracker();
+    visit(at(-200, 400), 5);  // parking lot, not on any hole
+    visit(at(0, 700), 25);    // hole 7 tee
+    expect(events.filter(e => e.type === 'holeChange')).toEqual([
+      { type: 'holeChange', fromHole: 1, toHole: 7, reason: 'tee_arrival', fromHoleStarted: false },
+    ]);
+  });
+
+  test('first fix mid-way through another hole reports it in progress', () => {
+    const { events, visit } = createTestTracker();
+    visit(at(200, 240), 1);   // hole 3 fairway
+    expect(events).toEqual([
+      { type: 'holeChange', fromHole: 1, toHole: 3, reason: 'in_progress', fromHoleStarted: false },
+    ]);
+  });
+
+  test('completed holes are never suggested', () => {
+    const { tracker, events, visit } = createTestTracker({ completedHoles: [2] });
+    playHoleOne(visit);
+    visit(at(420, 120), 30);
+    expect(events.filter(e => e.type === 'holeChange')).toHaveLength(0);
+
+    tracker.markHoleComplete(3);
+    visit(at(30, 240), 30);
+    expect(events.filter(e => e.type === 'holeChange')).toHaveLength(0);
+  });
+
+  test('setCurrentHole starts tracking the new hole', () => {
+    const { tracker, events, visit } = createTestTracker();
+    playHoleOne(visit);
+    visit(at(420, 120), 25);
+    tracker.setCurrentHole(2);
+    expect(tracker.getCurrentHole()).toBe(2);
+
+    visit(at(200, 120), 5);
+    visit(at(50, 120), 30);
+    visit(at(40, 200), 5);
+    expect(events.filter(e => e.type === 'leaveGreen').map(e => e.holeNumber)).toEqual([1, 2]);
+  });
+});
+
+describe('findHoleAtPosition', () => {
+  test('matches the closest tee-to-green line within the corridor', () => {
+    expect(findHoleAtPosition(at(200, 10), HOLES)).toBe(1);
+    expect(findHoleAtPosition(at(200, 110), HOLES)).toBe(2);
+    expect(findHoleAtPosition(at(200, 110), HOLES, [2])).toBeNull();
+    expect(findHoleAtPosition(at(-300, -300), HOLES)).toBeNull();
+  });
+});
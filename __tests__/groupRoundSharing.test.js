@@ -0,0 +1,172 @@
+/**
+ * Tests for sharing group rounds with partners (share_group_round and
+ * respond_to_group_round), run against an in-memory Postgres.
+ * Run with: npm test
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PGlite } from '@electric-sql/pglite';
+
+const MIGRATION = fs.readFileSync(
+  path.join(__dirname, '../supabase/migrations/20261102_group_round_confirmation.sql'),
+  'utf8'
+);
+
+const SCORER = '00000000-0000-0000-0000-000000000001';
+const PARTNER = '00000000-0000-0000-0000-000000000002';
+const SOURCE_ROUND = '00000000-0000-0000-0000-0000000000a1';
+
+// The columns the functions touch, as they stand after 20261023_group_rounds
+// (auth.uid() reads the acting user from a setting)
+const SCHEMA = `
+  CREATE ROLE authenticated;
+  CREATE SCHEMA auth;
+  CREATE FUNCTION auth.uid() RETURNS uuid AS $$
+    SELECT current_setting('test.uid')::uuid
+  $$ LANGUAGE sql;
+
+  CREATE TABLE rounds (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL,
+    course_id uuid, tee_box_id uuid,
+    status text DEFAULT 'in_progress',
+    started_at timestamptz, completed_at timestamptz,
+    tee_color text, tee_yardage integer, tee_rating numeric, tee_slope integer, course_par integer,
+    weather_temp_f integer, weather_wind_mph integer, weather_condition text,
+    total_score integer, front_nine_score integer, back_nine_score integer,
+    holes_played integer DEFAULT 0, score_to_par integer,
+    round_length integer NOT NULL DEFAULT 18, nine_played text,
+    scoring_format text, format_score integer,
+    handicap_index numeric(4,1), course_handicap integer, playing_handicap integer,
+    group_source_round_id uuid REFERENCES rounds(id) ON DELETE SET NULL,
+    CONSTRAINT rounds_status_check CHECK (status IN ('in_progress', 'completed', 'abandoned'))
+  );
+  CREATE TABLE round_holes (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    round_id uuid NOT NULL REFERENCES rounds(id) ON DELETE CASCADE,
+    hole_number integer NOT NULL, score integer, par integer, yardage integer, handicap_index integer
+  );
+  CREATE TABLE round_partners (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    round_id uuid NOT NULL REFERENCES rounds(id) ON DELETE CASCADE,
+    position smallint NOT NULL,
+    partner_user_id uuid, partner_name text NOT NULL,
+    handicap_index numeric(4,1), course_handicap integer, playing_handicap integer,
+    total_score integer, net_score integer, format_score integer,
+    linked_round_id uuid REFERENCES rounds(id) ON DELETE SET NULL,
+    UNIQUE(round_id, position)
+  );
+  CREATE TABLE round_partner_holes (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    partner_id uuid NOT NULL REFERENCES round_partners(id) ON DELETE CASCADE,
+    hole_number integer NOT NULL, score integer,
+    UNIQUE(partner_id, hole_number)
+  );
+`;
+
+let db;
+
+const actAs = userId => db.exec(`SET test.uid = '${userId}'`);
+const rows = async (sql, params) => (await db.query(sql, params)).rows;
+
+async function addPartner(position, holeScores) {
+  const [partner] = await rows(
+    `INSERT INTO round_partners (round_id, position, partner_user_id, partner_name, total_score)
+     VALUES ($1, $2, $3, 'Partner', $4) RETURNING id`,
+    [SOURCE_ROUND, position, PARTNER, holeScores.reduce((a, b) => a + b, 0)]
+  );
+  for (let i = 0; i < holeScores.length; i++) {
+    await db.query(
+      'INSERT INTO round_partner_holes (partner_id, hole_number, score) VALUES ($1, $2, $3)',
+      [partner.id, i + 1, holeScores[i]]
+    );
+  }
+  return partner.id;
+}
+
+// Starting Postgres takes a couple of seconds, so the suite shares one
+// database and empties it between tests
+beforeAll(async () => {
+  db = new PGlite();
+  await db.exec(SCHEMA);
+  await db.exec(MIGRATION);
+});
+
+afterAll(() => db.close());
+
+beforeEach(async () => {
+  await db.exec('TRUNCATE rounds CASCADE');
+  await db.query(
+    `INSERT INTO rounds (id, user_id, status, total_score, holes_played) VALUES ($1, $2, 'completed', 80, 18)`,
+    [SOURCE_ROUND, SCORER]
+  );
+  for (let hole = 1; hole <= 18; hole++) {
+    await db.query('INSERT INTO round_holes (round_id, hole_number, score, par) VALUES ($1, $2, 4, 4)', [SOURCE_ROUND, hole]);
+  }
+  await actAs(SCORER);
+});
+
+describe('share_group_round', () => {
+  test('copies the round to a partner with scores, pending their answer', async () => {
+    await addPartner(1, [5, 4, 6]);
+    const [{ shared }] = await rows('SELECT share_group_round($1) AS shared', [SOURCE_ROUND]);
+    expect(shared).toBe(1);
+
+    const [copy] = await rows('SELECT * FROM rounds WHERE user_id = $1', [PARTNER]);
+    expect(copy.status).toBe('pending_confirmation');
+    expect(copy.holes_played).toBe(3);
+    expect(copy.score_to_par).toBe(3);
+  });
+
+  test('skips a partner without hole scores', async () => {
+    const partnerId = await addPartner(1, []);
+    const [{ shared }] = await rows('SELECT share_group_round($1) AS shared', [SOURCE_ROUND]);
+
+    expect(shared).toBe(0);
+    expect(await rows('SELECT id FROM rounds WHERE user_id = $1', [PARTNER])).toHaveLength(0);
+    const [partner] = await rows('SELECT linked_round_id FROM round_partners WHERE id = $1', [partnerId]);
+    expect(partner.linked_round_id).toBeNull();
+  });
+
+  test('sharing again copies nothing twice', async () => {
+    await addPartner(1, [5, 4]);
+    await db.query('SELECT share_group_round($1)', [SOURCE_ROUND]);
+    const [{ shared }] = await rows('SELECT share_group_round($1) AS shared', [SOURCE_ROUND]);
+    expect(shared).toBe(0);
+    expect(await rows('SELECT id FROM rounds WHERE user_id = $1', [PARTNER])).toHaveLength(1);
+  });
+});
+
+describe('respond_to_group_round', () => {
+  async function sharedCopy() {
+    await addPartner(1, [5, 4]);
+    await db.query('SELECT share_group_round($1)', [SOURCE_ROUND]);
+    const [copy] = await rows('SELECT id FROM rounds WHERE user_id = $1', [PARTNER]);
+    await actAs(PARTNER);
+    return copy.id;
+  }
+
+  test('accepting completes the copy', async () => {
+    const copyId = await sharedCopy();
+    await db.query('SELECT respond_to_group_round($1, true)', [copyId]);
+    const [copy] = await rows('SELECT status FROM rounds WHERE id = $1', [copyId]);
+    expect(copy.status).toBe('completed');
+  });
+
+  test('declining deletes the copy and it is not shared again', async () => {
+    const copyId = await sharedCopy();
+    await db.query('SELECT respond_to_group_round($1, false)', [copyId]);
+    expect(await rows('SELECT id FROM rounds WHERE id = $1', [copyId])).toHaveLength(0);
+
+    await actAs(SCORER);
+    const [{ shared }] = await rows('SELECT share_group_round($1) AS shared', [SOURCE_ROUND]);
+    expect(shared).toBe(0);
+  });
+
+  test('only the partner can answer', async () => {
+    const copyId = await sharedCopy();
+    await actAs(SCORER);
+    await expect(db.query('SELECT respond_to_group_round($1, true)', [copyId])).rejects.toThrow('Shared round not found');
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Unit tests for the World Handicap System engine.
+ * Run with: npm test
+ */
+
+import {
+  calculateHandicapFromDifferentials,
+  calculateCourseHandicap,
+  getStrokesReceived,
+  calculateAdjustedGrossScore,
+  calculateScoreDifferential,
+  applyHandicapCaps,
+  getExceptionalScoreReduction,
+  calculateWHSIndex,
+  calculateDifferentials,
+  combineNineHoleDifferential,
+  getExpectedNineHoleDifferential,
+  getNineHoleTeeRating,
+  roundToTenth,
+  parseHandicapIndex,
+  calculatePlayingHandicap,
+  calculateRoundHandicap,
+  allocateHandicapStrokes,
+  getRoundLength,
+} from '../utils/handicapUtils';
+
+// --- Test helpers ---
+
+const DAY_MS = 86400000;
+const START = new Date('2026-01-01T12:00:00Z').getTime();
+
+// Rating 72.0 / slope 113 so differential = score − 72
+function makeRound(score, dayOffset, extra = {}) {
+  return {
+    id: `r${dayOffset}`,
+    total_score: score,
+    tee_rating: 72.0,
+    tee_slope: 113,
+    course_par: 72,
+    completed_at: new Date(START + dayOffset * DAY_MS).toISOString(),
+    ...extra,
+  };
+}
+
+// 18 holes of par 4, stroke index = hole number
+function makeHoles(scores) {
+  return scores.map((score, i) => ({
+    hole_number: i + 1,
+    par: 4,
+    handicap_index: i + 1,
+    score,
+  }));
+}
+
+// --- Tests ---
+
+describe('WHS lookup table', () => {
+  test('needs at least 3 differentials', () => {
+    expect(calculateHandicapFromDifferentials([10, 12]).handicap).toBeNull();
+  });
+
+  test('3 scores: lowest 1 minus 2.0', () => {
+    expect(calculateHandicapFromDifferentials([15, 12, 18]).handicap).toBe(10);
+  });
+
+  test('6 scores: average of lowest 2 minus 1.0', () => {
+    const result = calculateHandicapFromDifferentials([20, 10, 12, 30, 25, 22]);
+    expect(result.handicap).toBe(10);
+    expect(result.differentialsUsed).toBe(2);
+  });
+
+  test('20+ scores: average of lowest 8 from the most recent 20', () => {
+    const old = [0, 0, 0];
+    const recent = Array.from({ length: 20 }, (_, i) => 10 + i);
+    const result = calculateHandicapFromDifferentials([...old, ...recent]);
+    expect(result.roundCount).toBe(20);
+    expect(result.handicap).toBe(13.5);
+  });
+
+  test('allows plus handicaps', () => {
+    expect(calculateHandicapFromDifferentials([-1, 0, 2, 3, 4]).handicap).toBe(-1);
+  });
+});
+
+describe('Course handicap and stroke allocation', () => {
+  test('course handicap uses slope and rating minus par', () => {
+    expect(calculateCourseHandicap(10.0, 130, 73.1, 72)).toBe(13);
+  });
+
+  test('strokes allocated by stroke index', () => {
+    expect(getStrokesReceived(20, 1)).toBe(2);
+    expect(getStrokesReceived(20, 2)).toBe(2);
+    expect(getStrokesReceived(20, 3)).toBe(1);
+    expect(getStrokesReceived(5, 6)).toBe(0);
+  });
+
+  test('plus handicaps give strokes on the easiest holes', () => {
+    expect(getStrokesReceived(-2, 18)).toBe(-1);
+    expect(getStrokesReceived(-2, 17)).toBe(-1);
+    expect(getStrokesReceived(-2, 16)).toBe(0);
+  });
+
+  test('parses stored handicap strings', () => {
+    expect(parseHandicapIndex('12.4')).toBe(12.4);
+    expect(parseHandicapIndex('+1.2')).toBe(-1.2);
+    expect(parseHandicapIndex('10-15')).toBe(10);
+    expect(parseHandicapIndex(null)).toBeNull();
+  });
+
+  test('playing handicap applies the format allowance', () => {
+    expect(calculatePlayingHandicap(20, 'stroke')).toBe(19);
+    expect(calculatePlayingHandicap(20, 'four_ball_stroke')).toBe(17);
+    expect(calculatePlayingHandicap(20, 'match_play')).toBe(20);
+  });
+
+  test('round handicap from index and tee', () => {
+    const tee = { rating: 73.1, slope: 130, parTotal: 72 };
+    expect(calculateRoundHandicap({ handicapIndex: 10.0, tee })).toEqual({ courseHandicap: 13, playingHandicap: 12 });
+    expect(calculateRoundHandicap({ handicapIndex: null, tee })).toBeNull();
+  });
+
+  test('allocates strokes across 18 holes by stroke index', () => {
+    const holes = Array.from({ length: 18 }, (_, i) => ({ holeNumber: i + 1, handicapIndex: 18 - i }));
+    const strokes = allocateHandicapStrokes(20, holes);
+    expect(strokes[18]).toBe(2); // SI 1
+    expect(strokes[17]).toBe(2); // SI 2
+    expect(strokes[1]).toBe(1); // SI 18
+  });
+
+  test('nine-hole allocation ranks stroke indexes within the nine', () => {
+    const holes = [1, 3, 5, 7, 9, 11, 13, 15, 17].map((si, i) => ({ holeNumber: i + 10, handicapIndex: si }));
+    const strokes = allocateHandicapStrokes(5, holes);
+    expect(Object.values(strokes).reduce((a, b) => a + b, 0)).toBe(5);
+    expect(strokes[10]).toBe(1);
+    expect(strokes[15]).toBe(0);
+  });
+
+  test('partial 18-hole rounds keep the card stroke indexes', () => {
+    const holes = [{ holeNumber: 1, handicapIndex: 7 }, { holeNumber: 2, handicapIndex: 15 }];
+    expect(allocateHandicapStrokes(10, holes, 18)).toEqual({ 1: 1, 2: 0 });
+  });
+});
+
+describe('Net double bogey adjustment', () => {
+  test('caps hole scores at par + 2 + strokes received', () => {
+    const scores = Array(18).fill(4);
+    scores[0] = 9; // SI 1, receives 1 stroke at CH 10 → max 7
+    scores[17] = 8; // SI 18, no stroke → max 6
+    const round = makeRound(scores.reduce((a, b) => a + b, 0), 0, { holes: makeHoles(scores) });
+    const { adjustedGrossScore, holesAdjusted } = calculateAdjustedGrossScore(round, 10);
+    expect(adjustedGrossScore).toBe(64 + 7 + 6);
+    expect(holesAdjusted).toBe(2);
+  });
+
+  test('players without an index are capped at par + 5', () => {
+    const scores = Array(18).fill(4);
+    scores[0] = 12;
+    const round = makeRound(80, 0, { holes: makeHoles(scores) });
+    expect(calculateAdjustedGrossScore(round, null).adjustedGrossScore).toBe(68 + 9);
+  });
+
+  test('falls back to total score without hole data', () => {
+    expect(calculateAdjustedGrossScore(makeRound(90, 0), 10).adjustedGrossScore).toBe(90);
+  });
+});
+
+describe('Differentials and rounding', () => {
+  test('differential rounds to nearest tenth', () => {
+    expect(calculateScoreDifferential(85, 71.3, 128)).toBe(12.1);
+  });
+
+  test('negative values round away from zero at the half', () => {
+    expect(roundToTenth(-2.45)).toBe(-2.5);
+  });
+});
+
+describe('Caps and exceptional scores', () => {
+  test('soft cap halves the increase above 3.0', () => {
+    const result = applyHandicapCaps(14.0, 10.0);
+    expect(result.index).toBe(13.5);
+    expect(result.softCapApplied).toBe(true);
+    expect(result.hardCapApplied).toBe(false);
+  });
+
+  test('hard cap limits the increase to 5.0', () => {
+    const result = applyHandicapCaps(20.0, 10.0);
+    expect(result.index).toBe(15.0);
+    expect(result.hardCapApplied).toBe(true);
+  });
+
+  test('exceptional score reduction thresholds', () => {
+    expect(getExceptionalScoreReduction(8.0, 15.0)).toBe(1);
+    expect(getExceptionalScoreReduction(4.9, 15.0)).toBe(2);
+    expect(getExceptionalScoreReduction(8.1, 15.0)).toBe(0);
+    expect(getExceptionalScoreReduction(0, null)).toBe(0);
+  });
+});
+
+describe('WHS progression', () => {
+  test('returns null index with fewer than 3 rounds', () => {
+    const result = calculateWHSIndex([makeRound(90, 0), makeRound(88, 1)]);
+    expect(result.handicap).toBeNull();
+    expect(result.roundCount).toBe(2);
+  });
+
+  test('ignores rounds without rating or slope', () => {
+    const rounds = [makeRound(90, 0), makeRound(88, 1), makeRound(86, 2, { tee_slope: null })];
+    expect(calculateWHSIndex(rounds).roundCount).toBe(2);
+  });
+
+  test('applies exceptional score reduction to the record', () => {
+    const rounds = [];
+    for (let i = 0; i < 10; i++) rounds.push(makeRound(92, i)); // diff 20
+    rounds.push(makeRound(80, 10)); // diff 8, index was 20 → 12 below
+    const result = calculateWHSIndex(rounds);
+    expect(result.exceptionalReduction).toBe(2);
+    // 11 scores → lowest 3: 8, 20, 20 → 16 avg, minus 2 ESR
+    expect(result.handicap).toBe(14);
+  });
+
+  test('caps apply against the 365-day low index once the record is established', () => {
+    const rounds = [];
+    for (let i = 0; i < 20; i++) rounds.push(makeRound(82, i)); // diff 10, low index 8.0 after 3 scores
+    for (let i = 20; i < 40; i++) rounds.push(makeRound(100, i)); // diff 28
+    const result = calculateWHSIndex(rounds);
+    expect(result.lowIndex).toBe(8);
+    expect(result.uncappedIndex).toBe(28);
+    expect(result.hardCapApplied).toBe(true);
+    expect(result.handicap).toBe(13);
+  });
+
+  test('low index ignores indexes older than 365 days', () => {
+    const rounds = [];
+    for (let i = 0; i < 20; i++) rounds.push(makeRound(82, i));
+    for (let i = 0; i < 20; i++) rounds.push(makeRound(100, 400 + i));
+    const result = calculateWHSIndex(rounds);
+    expect(result.lowIndex).toBe(10); // the early 8.0 has aged out;
+  });
+
+  test('processes rounds chronologically regardless of input order', () => {
+    const rounds = [makeRound(85, 2), makeRound(90, 0), makeRound(95, 1)];
+    const result = calculateWHSIndex(rounds);
+    expect(result.scoringRecord.map(r => r.grossScore)).toEqual([90, 95, 85]);
+  });
+});
+
+describe('Nine-hole rounds', () => {
+  // Rating 36.0 / slope 113 so 9-hole differential = score − 36
+  function makeNine(score, dayOffset) {
+    return makeRound(score, dayOffset, { tee_rating: 36.0, course_par: 36, round_length: 9 });
+  }
+
+  test('nine-hole tee rating falls back to half the 18-hole rating', () => {
+    const tee = { rating: 71.3, slope: 128, backRating: 36.1, backSlope: 131, backPar: 36 };
+    expect(getNineHoleTeeRating(tee, 'front')).toEqual({ rating: 35.7, slope: 128, par: null });
+    expect(getNineHoleTeeRating(tee, 'back')).toEqual({ rating: 36.1, slope: 131, par: 36 });
+  });
+
+  test('round length defaults to 18 for rounds saved before 9-hole rounds', () => {
+    expect(getRoundLength(makeNine(45, 0))).toBe(9);
+    expect(getRoundLength(makeRound(90, 0))).toBe(18);
+    expect(getRoundLength({ total_score: 88 })).toBe(18);
+  });
+
+  test('expected nine-hole differential from index', () => {
+    expect(getExpectedNineHoleDifferential(10.0)).toBe(6.4);
+  });
+
+  test('without an index, nines wait to be paired', () => {
+    const first = combineNineHoleDifferential(5.0, null, null);
+    expect(first.differential).toBeNull();
+    const second = combineNineHoleDifferential(6.0, null, first.pendingNine);
+    expect(second.differential).toBe(11);
+    expect(second.method).toBe('paired');
+  });
+
+  test('calculateDifferentials pairs consecutive nines', () => {
+    expect(calculateDifferentials([makeNine(41, 0), makeNine(42, 1), makeRound(85, 2)])).toEqual([11, 13]);
+  });
+
+  test('with an index, a nine is combined with the expected score', () => {
+    const rounds = [makeRound(82, 0), makeRound(82, 1), makeRound(82, 2)]; // index 8.0
+    rounds.push(makeNine(40, 3)); // 4.0 + (8.0 × 0.52 + 1.2 = 5.4) = 9.4
+    const result = calculateWHSIndex(rounds);
+    expect(result.roundCount).toBe(4);
+    expect(result.scoringRecord[3].differential).toBe(9.4);
+    expect(result.scoringRecord[3].nineHoleMethod).toBe('expected');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit tests for the Monte Carlo strategy simulator.
+ * Run with: npm test
+ */
+
+import {
+  createRandom,
+  resolveLanding,
+  simulateSequence,
+  simulateHolePlan,
+  findBestSimulatedOption,
+} from '../services/monteCarloSimulator';
+
+// ~1 yard of latitude/longitude in degrees at 40°N
+const YARD_LAT = 1 / 121640;
+const YARD_LON = 1 / 93200;
+
+const at = (north, east) => ({ latitude: 40 + north * YARD_LAT, longitude: -75 + east * YARD_LON });
+const box = (type, south, north, west, east) => ({
+  type,
+  coordinates: [at(south, west), at(north, west), at(north, east), at(south, east)],
+});
+
+// Par 3 playing due north, 160 yards to a 30 x 24 green
+const GREEN = box('green', -15, 15, -12, 12);
+const HOLE = { par: 3, teeBox: at(-160, 0), green: at(0, 0), polygons: [GREEN] };
+const PLAYER = { position: null, clubDistances: { '7_iron': 160, '8_iron': 150 }, handicap: 15 };
+const SHOTS = [{ club: '7 Iron', clubId: '7_iron', landingZone: at(0, 0) }];
+
+describe('createRandom', () => {
+  test('is repeatable for a seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const first = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(first);
+    expect(first.every(x => x >= 0 && x < 1)).toBe(true);
+    expect(createRandom(43)()).not.toBe(first[0]);
+  });
+});
+
+describe('resolveLanding', () => {
+  test('penalty areas win over overlapping polygons', () => {
+    const polygons = [box('fairway', -50, 50, -20, 20), box('water', -5, 5, -5, 5)];
+    expect(resolveLanding(at(0, 0), polygons)).toBe('water');
+    expect(resolveLanding(at(20, 0), polygons)).toBe('fairway');
+    expect(resolveLanding(at(0, 40), polygons)).toBe('rough');
+  });
+});
+
+describe('simulateSequence', () => {
+  test('same seed gives the same result', () => {
+    const a = simulateSequence(SHOTS, HOLE, PLAYER, { trials: 500, seed: 7 });
+    const b = simulateSequence(SHOTS, HOLE, PLAYER, { trials: 500, seed: 7 });
+    expect(a).toEqual(b);
+  });
+
+  test('distribution covers every trial', () => {
+    const result = simulateSequence(SHOTS, HOLE, PLAYER, { trials: 500, seed: 7 });
+    const total = result.distribution.reduce((sum, d) => sum + d.probability, 0);
+    expect(total).toBeCloseTo(1, 5);
+    expect(result.expectedScore).toBeGreaterThan(2.5);
+    expect(result.expectedScore).toBeLessThan(4.5);
+    expect(result.relativeToPar).toBeCloseTo(result.expectedScore - 3, 1);
+  });
+
+  test('water around the green costs strokes and shows up as penalties', () => {
+    const wet = {
+      ...HOLE,
+      polygons: [GREEN, box('water', -60, -15, -40, 40), box('water', 15, 40, -40, 40)],
+    };
+    const dry = simulateSequence(SHOTS, HOLE, PLAYER, { trials: 1000, seed: 3 });
+    const risky = simulateSequence(SHOTS, wet, PLAYER, { trials: 1000, seed: 3 });
+    expect(dry.penaltyRate).toBe(0);
+    expect(risky.penaltyRate).toBeGreaterThan(0.05);
+    expect(risky.expectedScore).toBeGreaterThan(dry.expectedScore + 0.05);
+  });
+
+  test('measured stats widen or narrow the spread', () => {
+    const tight = () => ({ totalShots: 50, dispersionRadius: 5, lateralDispersion: 3, distanceDispersion: 4 });
+    const wild = () => ({ totalShots: 50, dispersionRadius: 40, lateralDispersion: 25, distanceDispersion: 30 });
+    const good = simulateSequence(SHOTS, HOLE, PLAYER, { trials: 1000, seed: 5, getMeasuredStats: tight });
+    const bad = simulateSequence(SHOTS, HOLE, PLAYER, { trials: 1000, seed: 5, getMeasuredStats: wild });
+    expect(good.greenRate).toBeGreaterThan(bad.greenRate);
+    expect(good.expectedScore).toBeLessThan(bad.expectedScore);
+  });
+});
+
+describe('simulateHolePlan', () => {
+  test('scores the recommendation and each alternative', () => {
+    const plan = {
+      shots: SHOTS,
+      strategy: 'aggressive',
+      metadata: { strategyScore: 40 },
+      alternativeSequences: [
+        { shots: [{ club: '8 Iron', clubId: '8_iron', landingZone: at(-40, 0) }], score: 30, strategyType: 'conservative' },
+      ],
+    };
+    const options = simulateHolePlan(plan, HOLE, PLAYER, { trials: 300, seed: 1 });
+    expect(options.map(o => o.label)).toEqual(['7 Iron', '8 Iron']);
+    expect(options[0].isRecommended).toBe(true);
+    // Laying up short of a par 3 green costs a stroke on average
+    expect(findBestSimulatedOption(options)).toBe(0);
+  });
+});
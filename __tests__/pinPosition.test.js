@@ -0,0 +1,115 @@
+/**
+ * Unit tests for pin positions: pin sheet parsing, placing pins on the
+ * green and planning to the flag.
+ * Run with: npm test
+ */
+
+import {
+  parsePinSheet,
+  pinFromPaces,
+  pinFromTap,
+  describePinLocation,
+  formatPinLocation,
+  applyPinToHoleData,
+} from '../services/pinPositionCalculator';
+import { calculateSafeGreenTarget } from '../services/landingZoneCalculator';
+import { calculateDistance } from '../utils/geoUtils';
+
+// ~1 yard of latitude/longitude in degrees at 40°N
+const YARD_LAT = 1 / 121640;
+const YARD_LON = 1 / 93200;
+
+const at = (north, east) => ({ latitude: 40 + north * YARD_LAT, longitude: -75 + east * YARD_LON });
+
+// Hole plays due north; green is 30 deep x 20 wide, centered on (0, 0)
+const HOLE = {
+  teeBox: at(-400, 0),
+  green: at(0, 0),
+  polygons: [
+    { type: 'green', coordinates: [at(-15, -10), at(15, -10), at(15, 10), at(-15, 10)] },
+  ],
+};
+
+describe('parsePinSheet', () => {
+  test('reads the common line formats', () => {
+    const { entries, errors } = parsePinSheet('1  24  L6\nHole 2: 12 / 5 R\n3 18 right 4\n4 30');
+    expect(errors).toEqual([]);
+    expect(entries).toEqual([
+      { holeNumber: 1, fromFront: 24, fromEdge: 6, edge: 'left' },
+      { holeNumber: 2, fromFront: 12, fromEdge: 5, edge: 'right' },
+      { holeNumber: 3, fromFront: 18, fromEdge: 4, edge: 'right' },
+      { holeNumber: 4, fromFront: 30, fromEdge: null, edge: null },
+    ]);
+  });
+
+  test('reports lines it cannot read', () => {
+    const { entries, errors } = parsePinSheet('front nine\n5 10 L3\n22 10 L3');
+    expect(entries).toHaveLength(1);
+    expect(errors).toEqual(['front nine', '22 10 L3']);
+  });
+});
+
+describe('pinFromPaces', () => {
+  test('measures depth from the front and width from the named edge', () => {
+    const pin = pinFromPaces({ fromFront: 10, fromEdge: 4, edge: 'left' }, HOLE);
+    expect(pin.source).toBe('sheet');
+    expect(calculateDistance(pin, at(-5, -6))).toBeLessThanOrEqual(1);
+  });
+
+  test('returns null when the paces fall off the green', () => {
+    expect(pinFromPaces({ fromFront: 40, fromEdge: null, edge: null }, HOLE)).toBeNull();
+  });
+
+  test('round-trips through describePinLocation', () => {
+    const pin = pinFromPaces({ fromFront: 22, fromEdge: 3, edge: 'right' }, HOLE);
+    expect(describePinLocation(pin, HOLE)).toEqual({ fromFront: 22, fromEdge: 3, edge: 'right' });
+  });
+});
+
+describe('pinFromTap', () => {
+  test('accepts taps on the green with paces filled in', () => {
+    const pin = pinFromTap(at(5, 6), HOLE);
+    expect(pin).toMatchObject({ source: 'tap', fromFront: 20, fromEdge: 4, edge: 'right' });
+    expect(formatPinLocation(pin)).toBe('20 on, 4 from right');
+  });
+
+  test('ignores taps off the green', () => {
+    expect(pinFromTap(at(40, 0), HOLE)).toBeNull();
+  });
+});
+
+describe('applyPinToHoleData', () => {
+  test('plans to the pin and keeps the center', () => {
+    const pin = { latitude: at(5, 0).latitude, longitude: at(5, 0).longitude };
+    const resolved = applyPinToHoleData({ ...HOLE, green: { ...HOLE.green, elevation: 12 }, pin });
+    expect(resolved.green).toMatchObject({ ...pin, elevation: 12 });
+    expect(resolved.greenCenter.latitude).toBe(HOLE.green.latitude);
+    expect(applyPinToHoleData(resolved)).toBe(resolved);
+  });
+
+  test('leaves hole data without a pin alone', () => {
+    expect(applyPinToHoleData(HOLE)).toBe(HOLE);
+  });
+});
+
+describe('calculateSafeGreenTarget with a pin', () => {
+  // Water just right of the green
+  const polygons = [
+    ...HOLE.polygons,
+    { type: 'water', coordinates: [at(-15, 12), at(15, 12), at(15, 30), at(-15, 30)] },
+  ];
+
+  test('aims at the pin when nothing is nearby', () => {
+    const pin = at(0, -6);
+    const target = calculateSafeGreenTarget(HOLE.green, HOLE.teeBox, HOLE.polygons, 0, pin);
+    expect(target.latitude).toBe(pin.latitude);
+    expect(target.longitude).toBe(pin.longitude);
+  });
+
+  test('a pin tucked by the water is played toward the center, but not past it', () => {
+    const pin = at(0, 8);
+    const target = calculateSafeGreenTarget(HOLE.green, HOLE.teeBox, polygons, 0, pin);
+    expect(target.longitude).toBeLessThan(pin.longitude);
+    expect(target.longitude).toBeGreaterThanOrEqual(HOLE.green.longitude - 1 * YARD_LON);
+  });
+});
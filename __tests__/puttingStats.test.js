@@ -0,0 +1,114 @@
+/**
+ * Unit tests for putt tracking: distance bands, first-putt estimation
+ * and the putting stats computed by shotAnalyticsService.
+ * Run with: npm test
+ */
+
+import { getPuttBand, estimatePuttDistanceFeet } from '../utils/puttingUtils';
+import { computePuttingStats, detectPuttingTendencies } from '../services/shotAnalyticsService';
+
+jest.mock('../config/supabase', () => ({ supabase: {} }));
+
+// ~1 yard of latitude in degrees
+const YARD = 1 / 121640;
+const PIN = { latitude: 40, longitude: -75 };
+const GREEN = {
+  type: 'green',
+  coordinates: [
+    { latitude: 40 - 20 * YARD, longitude: -75.0003 },
+    { latitude: 40 + 20 * YARD, longitude: -75.0003 },
+    { latitude: 40 + 20 * YARD, longitude: -74.9997 },
+    { latitude: 40 - 20 * YARD, longitude: -74.9997 },
+  ],
+};
+
+function putt(roundId, holeNumber, shotNumber, distanceFt, leaveFt) {
+  return {
+    round_id: roundId,
+    hole_number: holeNumber,
+    shot_number: shotNumber,
+    shot_type: 'putt',
+    club: 'putter',
+    putt_distance_ft: distanceFt,
+    leave_distance_ft: leaveFt,
+    putt_made: leaveFt === 0,
+  };
+}
+
+describe('getPuttBand', () => {
+  test('assigns band by lower bound inclusive', () => {
+    expect(getPuttBand(2).key).toBe('0_3');
+    expect(getPuttBand(3).key).toBe('3_6');
+    expect(getPuttBand(45).key).toBe('30_plus');
+  });
+
+  test('returns null for missing distance', () => {
+    expect(getPuttBand(null)).toBeNull();
+  });
+});
+
+describe('estimatePuttDistanceFeet', () => {
+  test('estimates feet when standing on the green', () => {
+    const position = { latitude: 40 + 10 * YARD, longitude: -75 };
+    expect(estimatePuttDistanceFeet(position, PIN, [GREEN])).toBe(30);
+  });
+
+  test('returns null off the green', () => {
+    const position = { latitude: 40 + 50 * YARD, longitude: -75 };
+    expect(estimatePuttDistanceFeet(position, PIN, [GREEN])).toBeNull();
+  });
+});
+
+describe('computePuttingStats', () => {
+  const shots = [
+    // Hole 1: 2-putt from 35 ft, lagged to 3
+    putt('r1', 1, 3, 35, 3),
+    putt('r1', 1, 4, 3, 0),
+    // Hole 2: 1-putt from 8 ft
+    putt('r1', 2, 2, 8, 0),
+    // Hole 3: 3-putt from 20 ft
+    putt('r1', 3, 3, 20, 5),
+    putt('r1', 3, 4, 5, 2),
+    putt('r1', 3, 5, 2, 0),
+    // Full shots are ignored
+    { round_id: 'r1', hole_number: 3, shot_number: 1, shot_type: 'full', club: 'driver' },
+  ];
+
+  test('counts putts and per-hole rates', () => {
+    const stats = computePuttingStats(shots);
+    expect(stats.totalPutts).toBe(6);
+    expect(stats.holesPutted).toBe(3);
+    expect(stats.puttsPerHole).toBe(2);
+    expect(stats.threePuttRate).toBe(33);
+    expect(stats.onePuttRate).toBe(33);
+  });
+
+  test('computes make percentage by band', () => {
+    const { bands } = computePuttingStats(shots);
+    const band = key => bands.find(b => b.key === key);
+    expect(band('0_3')).toMatchObject({ attempts: 1, makes: 1, makePct: 100 });
+    expect(band('3_6')).toMatchObject({ attempts: 2, makes: 1, makePct: 50 });
+    expect(band('10_20').attempts).toBe(0);
+    expect(band('10_20').makePct).toBeNull();
+  });
+
+  test('computes proximity from first putts and lag leaves', () => {
+    const stats = computePuttingStats(shots);
+    expect(stats.avgFirstPuttFt).toBe(21);
+    expect(stats.avgLagLeaveFt).toBe(3);
+    expect(stats.lagPutts).toBe(1);
+  });
+});
+
+describe('detectPuttingTendencies', () => {
+  test('needs enough holes before reporting rates', () => {
+    const stats = computePuttingStats([putt('r1', 1, 2, 4, 0)]);
+    expect(detectPuttingTendencies(stats)).toEqual([]);
+  });
+
+  test('reports three-putt rate and proximity over five holes', () => {
+    const shots = [1, 2, 3, 4, 5, 6].flatMap(h => [putt('r1', h, 2, 12, 2), putt('r1', h, 3, 2, 0)]);
+    const keys = detectPuttingTendencies(computePuttingStats(shots)).map(t => t.tendencyKey);
+    expect(keys).toEqual(['make_by_distance', 'three_putt', 'proximity']);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for per-round risk profiles in the planning engine.
+ * Run with: npm test
+ */
+
+import {
+  DEFAULT_SCORING_CONFIG,
+  configForRiskProfile,
+  getRiskScaling,
+} from '../services/scoringConfig';
+import {
+  calculateFlightPathPenalty,
+  calculateHazardProximityPenalty,
+  calculateFullWedgeApproachBonus,
+} from '../services/shotScorer';
+import { applyRiskAdjustment } from '../services/forwardSequenceGenerator';
+import { explainRiskProfile } from '../services/commentaryGenerator';
+
+const PROTECT = configForRiskProfile('protect');
+const AGGRESSIVE = configForRiskProfile('aggressive');
+
+const WATER_CARRY = {
+  rawDistance: 200,
+  hazardRanges: [{ frontDistance: 150, backDistance: 170, type: 'water', name: 'Pond' }],
+};
+
+const sequence = (sequenceId, shotCount, firstDistance, totalScore) => ({
+  sequenceId,
+  shotCount,
+  totalScore,
+  shots: [{ club: sequenceId, distance: firstDistance }],
+});
+
+describe('Risk scaling', () => {
+  test('the balanced profile leaves the default weights alone', () => {
+    expect(getRiskScaling(DEFAULT_SCORING_CONFIG)).toEqual({ lean: 0, hazard: 1, carry: 1, setupBonus: 1 });
+    expect(getRiskScaling(configForRiskProfile('unknown')).lean).toBe(0);
+  });
+
+  test('protecting a score weighs hazards and carries more, aggression less', () => {
+    const carry = (config) => calculateFlightPathPenalty(WATER_CARRY, config).value;
+    expect(carry(DEFAULT_SCORING_CONFIG)).toBe(-25);
+    expect(carry(PROTECT)).toBeLessThan(-25);
+    expect(carry(AGGRESSIVE)).toBeGreaterThan(-25);
+
+    const hazard = (config) => calculateHazardProximityPenalty([{ type: 'water', overlapPercentage: 50 }], 20, config).value;
+    expect(hazard(PROTECT)).toBeLessThan(hazard(DEFAULT_SCORING_CONFIG));
+    expect(hazard(AGGRESSIVE)).toBeGreaterThan(hazard(DEFAULT_SCORING_CONFIG));
+
+    const wedge = (config) => calculateFullWedgeApproachBonus(100, {}, config).value;
+    expect(wedge(PROTECT)).toBeGreaterThan(wedge(AGGRESSIVE));
+  });
+});
+
+describe('Sequence risk adjustment', () => {
+  const build = () => [
+    sequence('go', 2, 250, 40),
+    sequence('layup', 3, 230, 45),
+  ];
+  const best = (sequences) => [...sequences].sort((a, b) => b.totalScore - a.totalScore)[0].sequenceId;
+
+  test('aggressive play goes for it, protecting a score lays up', () => {
+    expect(best(applyRiskAdjustment(build(), DEFAULT_SCORING_CONFIG))).toBe('layup');
+    expect(best(applyRiskAdjustment(build(), AGGRESSIVE))).toBe('go');
+
+    const protect = applyRiskAdjustment(build(), PROTECT);
+    expect(best(protect)).toBe('layup');
+    expect(protect[0].riskAdjustment.value).toBeLessThan(0);
+  });
+
+  test('the explanation names what changed against balanced play', () => {
+    const plan = { shots: [{ club: 'Driver', distance: 250 }, { club: '3 Wood', distance: 240 }] };
+    const balanced = { shots: [{ club: 'Driver', distance: 250 }, { club: '7 Iron', distance: 160 }, { club: 'PW', distance: 90 }] };
+
+    const info = explainRiskProfile({ id: 'aggressive', label: 'Match-play aggressive', aggressionLevel: 0.85 }, plan, balanced);
+    expect(info.changed).toBe(true);
+    expect(info.explanation).toMatch(/going for it in 2/);
+
+    const same = explainRiskProfile({ id: 'protect', label: 'Protect a score', aggressionLevel: 0.2 }, plan, plan);
+    expect(same.changed).toBe(false);
+  });
+});
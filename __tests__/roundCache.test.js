@@ -0,0 +1,172 @@
+/**
+ * Unit tests for keeping several rounds in the local cache and
+ * reconciling them with the server.
+ * Run with: npm test
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../services/roundService', () => ({
+  fetchRoundDetail: jest.fn(),
+  upsertSyncedRound: jest.fn(() => Promise.resolve({ data: null, error: 'offline' })),
+  completeSyncedRound: jest.fn(),
+  upsertRoundHoles: jest.fn(),
+  upsertRoundShots: jest.fn(),
+  deleteRoundShotsExcept: jest.fn(),
+  abandonRound: jest.fn(),
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { fetchRoundDetail } from '../services/roundService';
+import {
+  initCachedRound,
+  saveHoleToCache,
+  getCachedHoles,
+  getActiveCachedRound,
+  listCachedRounds,
+  setActiveCachedRound,
+  clearRoundCache,
+  mergeServerHoles,
+  reconcileCachedRound,
+  saveShotToCache,
+  replaceCachedPutts,
+  getCachedShotsForHole,
+} from '../services/roundCacheService';
+
+const COURSE_A = { id: 'a', name: 'Pebble Beach' };
+const COURSE_B = { id: 'b', name: 'Spyglass Hill' };
+const TEE = { id: 't', color: 'White', yardage: 6400, rating: 71, slope: 128, parTotal: 72 };
+
+const startRound = (tempId, course) =>
+  initCachedRound({ tempId, userId: 'u1', course, tee: TEE });
+
+beforeEach(async () => {
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+  await AsyncStorage.clear();
+});
+
+afterEach(() => {
+  jest.clearAllTimers();
+  jest.useRealTimers();
+});
+
+describe('Multiple cached rounds', () => {
+  test('starting a round keeps the other one', async () => {
+    await startRound('r1', COURSE_A);
+    await saveHoleToCache(1, { score: 5, par: 4 });
+    await startRound('r2', COURSE_B);
+
+    expect((await getActiveCachedRound()).tempId).toBe('r2');
+    expect(await getCachedHoles()).toEqual([]);
+    expect(await getCachedHoles('r1')).toHaveLength(1);
+
+    const rounds = await listCachedRounds();
+    expect(rounds.map(r => r.tempId).sort()).toEqual(['r1', 'r2']);
+    expect(rounds.find(r => r.tempId === 'r2').isActive).toBe(true);
+  });
+
+  test('switching the active round and clearing one', async () => {
+    await startRound('r1', COURSE_A);
+    await startRound('r2', COURSE_B);
+
+    await setActiveCachedRound('r1');
+    await saveHoleToCache(1, { score: 4, par: 4 });
+    expect(await getCachedHoles('r1')).toHaveLength(1);
+    expect(await getCachedHoles('r2')).toEqual([]);
+
+    await clearRoundCache();
+    expect(await getActiveCachedRound()).toBeNull();
+    expect((await listCachedRounds()).map(r => r.tempId)).toEqual(['r2']);
+  });
+
+  test('a round cached in the old single-round layout is migrated', async () => {
+    // Migration runs once per app launch, so use a fresh copy of the modules
+    await jest.isolateModulesAsync(async () => {
+      const storage = require('@react-native-async-storage/async-storage');
+      const cache = require('../services/roundCacheService');
+      await storage.multiSet([
+        ['@Pure:activeRound', JSON.stringify({ tempId: 'old', courseName: 'Old Course', status: 'in_progress' })],
+        ['@Pure:roundHoles', JSON.stringify([{ holeNumber: 1, score: 6 }])],
+      ]);
+
+      expect((await cache.getActiveCachedRound()).tempId).toBe('old');
+      expect(await cache.getCachedHoles()).toEqual([{ holeNumber: 1, score: 6 }]);
+      expect(await storage.getItem('@Pure:activeRound')).toBeNull();
+    });
+  });
+});
+
+describe('Server conflicts', () => {
+  const local = (holeNumber, score, savedAt = '2026-10-19T10:00:00Z') => ({ holeNumber, score, savedAt });
+  const server = (holeNumber, score, updatedAt = '2026-10-19T11:00:00Z') => ({
+    hole_number: holeNumber, score, updated_at: updatedAt,
+  });
+
+  test('holes played on another device are added', () => {
+    const { holes, fromServer } = mergeServerHoles([local(1, 4)], [server(1, 4), server(2, 5)]);
+    expect(holes.map(h => h.holeNumber)).toEqual([1, 2]);
+    expect(fromServer).toEqual([2]);
+  });
+
+  test('an uploaded hole changed elsewhere takes the server score', () => {
+    const { holes, fromServer } = mergeServerHoles([local(1, 4)], [server(1, 5)], []);
+    expect(holes[0].score).toBe(5);
+    expect(fromServer).toEqual([1]);
+  });
+
+  test('a newer local change still waiting to upload wins', () => {
+    const newer = local(1, 3, '2026-10-19T12:00:00Z');
+    const { holes, fromServer } = mergeServerHoles([newer], [server(1, 5)], [1]);
+    expect(holes[0].score).toBe(3);
+    expect(fromServer).toEqual([]);
+
+    const older = mergeServerHoles([local(1, 3)], [server(1, 5)], [1]);
+    expect(older.holes[0].score).toBe(5);
+  });
+
+  test('holes only on this phone are kept', () => {
+    const { holes } = mergeServerHoles([local(1, 4), local(2, 3)], [server(1, 4)]);
+    expect(holes.map(h => h.holeNumber)).toEqual([1, 2]);
+  });
+
+  test('a round finished elsewhere reports the holes that never uploaded', async () => {
+    await startRound('r1', COURSE_A);
+    await saveHoleToCache(1, { score: 5, par: 4 });
+    await saveHoleToCache(2, { score: 4, par: 4 });
+    // The round started uploading before signal dropped
+    const synced = JSON.parse(await AsyncStorage.getItem('@Pure:syncedRounds'));
+    synced.r1.dbRoundId = 'db-1';
+    await AsyncStorage.setItem('@Pure:syncedRounds', JSON.stringify(synced));
+    fetchRoundDetail.mockResolvedValueOnce({ data: { status: 'completed', holes: [] }, error: null });
+
+    const { data } = await reconcileCachedRound('r1');
+    expect(data).toMatchObject({ action: 'server_finished', status: 'completed', unsyncedHoles: [1, 2] });
+    expect(await listCachedRounds()).toEqual([]);
+  });
+});
+
+describe('Logged putts', () => {
+  const putt = (distanceFt, made) => ({ club: 'putter', puttDistanceFt: distanceFt, puttMade: made });
+
+  test('logging the putts again replaces the first set', async () => {
+    await startRound('r1', COURSE_A);
+    await saveShotToCache({ holeNumber: 1, shotNumber: 1, club: 'driver' });
+    await saveShotToCache({ holeNumber: 1, shotNumber: 2, club: '8i' });
+    await replaceCachedPutts(1, [putt(30, false), putt(4, false), putt(2, true)]);
+    await replaceCachedPutts(1, [putt(30, false), putt(4, true)]);
+
+    const shots = await getCachedShotsForHole(1);
+    expect(shots.map(s => s.shotNumber)).toEqual([1, 2, 3, 4]);
+    expect(shots.filter(s => s.shotType === 'putt')).toHaveLength(2);
+  });
+
+  test('putts are numbered after a penalty stroke', async () => {
+    await startRound('r1', COURSE_A);
+    await saveShotToCache({ holeNumber: 1, shotNumber: 1, club: 'driver', penaltyStrokes: 1 });
+    await saveShotToCache({ holeNumber: 1, shotNumber: 3, club: '8i' });
+    const shots = await replaceCachedPutts(1, [putt(12, true)]);
+
+    expect(shots.map(s => s.shotNumber)).toEqual([1, 3, 4]);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit tests for fitting per-player scoring weights from replayed holes.
+ * Run with: npm test
+ */
+
+import { fitScoringOverrides, POINTS_PER_STROKE } from '../services/scoringCalibration';
+import {
+  DEFAULT_SCORING_CONFIG,
+  HAZARD_SEVERITY,
+  getHazardSeverity,
+  mergeConfig,
+} from '../services/scoringConfig';
+
+// A replayed hole: strokes over par and the penalty points its plan carried
+const replay = (overPar, exposure = {}) => ({
+  overPar,
+  recommendedScore: 0,
+  exposure: { hazards: 0, carries: 0, partialSwing: 0, awkwardDistance: 0, ...exposure },
+});
+
+const times = (n, make) => Array.from({ length: n }, make);
+
+describe('fitScoringOverrides', () => {
+  test('not enough holes leaves every weight at its default', () => {
+    const { overrides, changes, unchanged } = fitScoringOverrides(times(5, () => replay(1, { hazards: 20 })));
+    expect(overrides).toEqual({});
+    expect(changes).toEqual([]);
+    expect(unchanged.every(u => u.reason === 'Not enough holes yet')).toBe(true);
+  });
+
+  test('hazards costing more than expected weigh them up', () => {
+    // 20 points is half a stroke; these holes cost two strokes more
+    const replays = [
+      ...times(40, () => replay(2.5, { hazards: 20 })),
+      ...times(40, () => replay(0.5)),
+    ];
+    const { overrides, changes } = fitScoringOverrides(replays);
+
+    const hazards = changes.find(c => c.group === 'hazards');
+    expect(hazards.scale).toBeGreaterThan(1);
+    expect(hazards.observedStrokes).toBe(2);
+    expect(hazards.expectedStrokes).toBe(20 / POINTS_PER_STROKE);
+    expect(overrides.penalties.waterHazard).toBeLessThan(DEFAULT_SCORING_CONFIG.penalties.waterHazard);
+    expect(hazards.reason).toMatch(/Weighting them up/);
+  });
+
+  test('partial swings that cost nothing weigh them down', () => {
+    const replays = [
+      ...times(40, () => replay(1, { partialSwing: 25 })),
+      ...times(40, () => replay(1)),
+    ];
+    const { overrides, changes } = fitScoringOverrides(replays);
+
+    expect(changes.map(c => c.group)).toEqual(['partialSwing']);
+    expect(overrides.penalties.partialSwingUnder75).toBeGreaterThan(DEFAULT_SCORING_CONFIG.penalties.partialSwingUnder75);
+  });
+});
+
+describe('getHazardSeverity', () => {
+  test('follows the penalty override for that hazard type', () => {
+    expect(getHazardSeverity('water')).toBe(HAZARD_SEVERITY.water);
+    expect(getHazardSeverity('trees')).toBe(HAZARD_SEVERITY.trees);
+
+    const tuned = mergeConfig({ penalties: { waterHazard: -60 } });
+    expect(getHazardSeverity('water', tuned)).toBe(60);
+    expect(getHazardSeverity('bunker', tuned)).toBe(HAZARD_SEVERITY.bunker);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for scoring format points.
+ * Run with: npm test
+ */
+
+import {
+  getStablefordPoints,
+  getModifiedStablefordPoints,
+  getParBogeyResult,
+  computeFormatScore,
+  normalizeScoringFormat,
+} from '../utils/scoringFormats';
+
+// 18 par 4s, stroke index = hole number
+function makeHoles(scores) {
+  return scores.map((score, i) => ({ holeNumber: i + 1, score, par: 4, handicapIndex: i + 1 }));
+}
+
+describe('Hole points', () => {
+  test('Stableford points by net score to par', () => {
+    expect(getStablefordPoints(-2)).toBe(4);
+    expect(getStablefordPoints(0)).toBe(2);
+    expect(getStablefordPoints(1)).toBe(1);
+    expect(getStablefordPoints(3)).toBe(0);
+  });
+
+  test('modified Stableford points', () => {
+    expect(getModifiedStablefordPoints(-4)).toBe(8);
+    expect(getModifiedStablefordPoints(-1)).toBe(2);
+    expect(getModifiedStablefordPoints(0)).toBe(0);
+    expect(getModifiedStablefordPoints(1)).toBe(-1);
+    expect(getModifiedStablefordPoints(4)).toBe(-3);
+  });
+
+  test('par/bogey results', () => {
+    expect(getParBogeyResult(-1)).toBe(1);
+    expect(getParBogeyResult(0)).toBe(0);
+    expect(getParBogeyResult(2)).toBe(-1);
+  });
+});
+
+describe('Round format score', () => {
+  test('stroke play has no format total', () => {
+    expect(computeFormatScore('stroke', makeHoles(Array(18).fill(4)), 10).total).toBeNull();
+  });
+
+  test('Stableford is scored net of handicap strokes', () => {
+    // Bogey golf off 18 → net par everywhere → 36 points
+    const result = computeFormatScore('stableford', makeHoles(Array(18).fill(5)), 18);
+    expect(result.total).toBe(36);
+    expect(result.holePoints[1]).toBe(2);
+  });
+
+  test('max score caps each hole at net double bogey', () => {
+    const scores = Array(18).fill(4);
+    scores[0] = 10; // SI 1 with 1 stroke → capped at 7
+    expect(computeFormatScore('max_score', makeHoles(scores), 10).total).toBe(68 + 7);
+  });
+
+  test('an 18-hole round ended early keeps the 18-hole stroke allocation', () => {
+    // Off 9, strokes fall on SI 1-9 only, so the bogeys on 10-12 score 1 point
+    const result = computeFormatScore('stableford', makeHoles(Array(12).fill(5)), 9, 18);
+    expect(result.holePoints[9]).toBe(2);
+    expect(result.holePoints[10]).toBe(1);
+    expect(result.total).toBe(9 * 2 + 3 * 1);
+  });
+
+  test('unknown formats fall back to stroke play', () => {
+    expect(normalizeScoringFormat('skins')).toBe('stroke');
+  });
+});
@@ -5,7 +5,16 @@
  * Tests the pure logic without GPS, React, or the app running.
  */
 
+import fs from 'fs';
+import path from 'path';
 import { createShotDetector, STATES } from '../services/shotDetectionService';
+import { calculateDistance } from '../utils/geoUtils';
+import {
+  replayTrace,
+  replayTraceHole,
+  compareWithGroundTruth,
+  formatReplayReport,
+} from '../services/gpsTraceReplay';
 
 // --- Test helpers ---
 
@@ -29,7 +38,7 @@ const GREEN_POLYGON = {
 
 const POLYGONS = [GREEN_POLYGON];
 
-function createTestDetector() {
+function createTestDetector(options) {
   const shots = [];
   const stateChanges = [];
 
@@ -38,6 +47,7 @@ function createTestDetector() {
     POLYGONS,
     (shot) => shots.push(shot),
     (state, meta) => stateChanges.push({ state, ...meta }),
+    options,
   );
 
   return { detector, shots, stateChanges };
@@ -163,8 +173,8 @@ describe('Shot Detection State Machine', () => {
     expect(detector.getCurrentState()).toBe(STATES.MOVING);
   });
 
-  test('ignores GPS readings with poor accuracy', () => {
-    const { detector, shots } = createTestDetector();
+  test('median filter ignores GPS readings with poor accuracy', () => {
+    const { detector, shots } = createTestDetector({ filter: 'median' });
     detector.startHole();
 
     // Feed positions with bad accuracy (> 20m) — should be ignored
@@ -177,6 +187,38 @@ describe('Shot Detection State Machine', () => {
     expect(detector.getCurrentState()).toBe(STATES.AT_TEE);
   });
 
+  test('kalman filter discounts a poor reading instead of jumping to it', () => {
+    const { detector, shots } = createTestDetector();
+    detector.startHole();
+
+    let t = Date.now();
+    for (let i = 0; i < 5; i++) {
+      detector.processPosition({ ...HOLE_DATA.teeBox, accuracy: 5, timestamp: t += 1000 });
+    }
+    // One reading 30 yards off with 40 m accuracy (tree cover)
+    detector.processPosition({ ...moveNorth(HOLE_DATA.teeBox, 30), accuracy: 40, timestamp: t += 1000 });
+
+    expect(shots.length).toBe(0);
+    expect(detector.getCurrentState()).toBe(STATES.AT_TEE);
+  });
+
+  test('kalman filter still follows the player through poor readings', () => {
+    const { detector, shots } = createTestDetector();
+    detector.startHole();
+
+    let t = Date.now();
+    for (let i = 0; i < 5; i++) {
+      detector.processPosition({ ...HOLE_DATA.teeBox, accuracy: 5, timestamp: t += 1000 });
+    }
+    // Walk off the tee at ~1.4 yds/s with 25 m accuracy
+    for (let i = 1; i <= 30; i++) {
+      detector.processPosition({ ...moveNorth(HOLE_DATA.teeBox, i * 1.4), accuracy: 25, timestamp: t += 1000 });
+    }
+
+    expect(shots.length).toBe(1);
+    expect(detector.getCurrentState()).toBe(STATES.MOVING);
+  });
+
   test('detects green arrival and transitions to ON_GREEN', () => {
     const { detector, stateChanges } = createTestDetector();
     detector.startHole();
@@ -239,3 +281,243 @@ describe('Shot Detection State Machine', () => {
     expect(detector.getDetectedShots().length).toBe(0);
   });
 });
+
+// --- Cart vs walking ---
+// Tee shot, drive up the cart path on the right, wait at the cart, walk
+// left to the ball, hit after a short stop, walk back and drive on.
+
+const CART_HOLE = {
+  teeBox: HOLE_DATA.teeBox,
+  green: moveNorth(HOLE_DATA.teeBox, 420),
+  par: 4,
+};
+
+function yardsFromTee(north, east) {
+  const { latitude } = moveNorth(HOLE_DATA.teeBox, north);
+  const degLonPerYard = 1 / (121391 * Math.cos(latitude * Math.PI / 180));
+  return { latitude, longitude: HOLE_DATA.teeBox.longitude + east * degLonPerYard };
+}
+
+function buildCartRound() {
+  const readings = [];
+  let t = Date.parse('2026-10-01T15:00:00Z');
+  let at = [0, 0];
+  const stay = (seconds) => {
+    for (let i = 0; i < seconds; i++) readings.push({ ...yardsFromTee(...at), accuracy: 5, timestamp: t += 1000 });
+  };
+  const go = (to, yardsPerSecond) => {
+    const [n0, e0] = at;
+    const steps = Math.ceil(Math.hypot(to[0] - n0, to[1] - e0) / yardsPerSecond);
+    for (let i = 1; i <= steps; i++) {
+      at = [n0 + (to[0] - n0) * i / steps, e0 + (to[1] - e0) * i / steps];
+      readings.push({ ...yardsFromTee(...at), accuracy: 5, timestamp: t += 1000 });
+    }
+  };
+
+  stay(5);
+  go([0, 15], 1.4);     // walk to the cart
+  stay(20);
+  go([230, 15], 6);     // drive up the path
+  stay(20);             // park and wait
+  go([240, -10], 1.4);  // walk to the ball
+  stay(6);              // quick shot
+  go([230, 15], 1.4);   // back to the cart
+  stay(5);
+  go([330, 15], 6);     // drive on
+  return readings;
+}
+
+function runCartRound(options) {
+  const shots = [];
+  let clock = 0;
+  const detector = createShotDetector(CART_HOLE, [], shot => shots.push(shot), () => {}, {
+    ...options,
+    now: () => clock,
+  });
+  detector.startHole();
+  buildCartRound().forEach((reading) => {
+    clock = reading.timestamp;
+    detector.processPosition(reading);
+  });
+  return { detector, shots };
+}
+
+describe('Transport mode', () => {
+  const BALL = yardsFromTee(240, -10);
+  const CART = yardsFromTee(230, 15);
+
+  test('walking mode takes the cart stop for the ball', () => {
+    const { shots } = runCartRound({ transportMode: 'walking' });
+    expect(shots).toHaveLength(2);
+    expect(calculateDistance(shots[1].position, CART)).toBeLessThan(10);
+  });
+
+  test('cart mode records the walk out to the ball, not the cart stop', () => {
+    const { shots } = runCartRound({ transportMode: 'cart' });
+    expect(shots.map(s => s.shotNumber)).toEqual([1, 2]);
+    expect(shots[0].position).toEqual(CART_HOLE.teeBox);
+    expect(calculateDistance(shots[1].position, BALL)).toBeLessThan(8);
+  });
+
+  test('auto mode switches to cart at driving speed', () => {
+    const onTransportModeChange = jest.fn();
+    const { detector, shots } = runCartRound({ onTransportModeChange });
+    expect(onTransportModeChange).toHaveBeenCalledWith('cart');
+    expect(detector.getTransportMode()).toBe('cart');
+    expect(calculateDistance(shots[1].position, BALL)).toBeLessThan(8);
+  });
+
+  test('auto mode stays walking at walking pace', () => {
+    const { detector } = createTestDetector();
+    detector.startHole();
+    let t = Date.now();
+    for (let i = 0; i <= 40; i++) {
+      detector.processPosition({ ...moveNorth(HOLE_DATA.teeBox, i * 1.5), accuracy: 5, timestamp: t += 1000 });
+    }
+    expect(detector.getTransportMode()).toBe('walking');
+  });
+});
+
+// --- Penalties ---
+// Walking straight up CART_HOLE: the tee shot finds trouble and the next
+// ball is played from a drop or back on the tee.
+
+function createWalkingRound() {
+  const shots = [];
+  let clock = Date.parse('2026-10-01T15:00:00Z');
+  let at = 0;
+  const detector = createShotDetector(CART_HOLE, [], shot => shots.push(shot), () => {}, {
+    transportMode: 'walking',
+    now: () => clock,
+  });
+  const feed = () => detector.processPosition({ ...yardsFromTee(at, 0), accuracy: 5, timestamp: clock += 1000 });
+  const stay = (seconds) => { for (let i = 0; i < seconds; i++) feed(); };
+  const walkTo = (north) => {
+    const step = north > at ? 1.4 : -1.4;
+    while (Math.abs(north - at) > 1.4) { at += step; feed(); }
+    at = north;
+    feed();
+  };
+  detector.startHole();
+  return { detector, shots, stay, walkTo };
+}
+
+describe('Penalties', () => {
+  test('next shot after a drop is numbered after the penalty stroke', () => {
+    const { detector, shots, stay, walkTo } = createWalkingRound();
+    stay(5);
+    walkTo(200);            // tee shot into the water, stand at the edge
+    stay(20);
+    detector.addPenalty({ strokes: 1, dropPosition: yardsFromTee(190, 0) });
+    walkTo(190);            // drop
+    stay(20);
+    walkTo(230);
+
+    expect(shots.map(s => s.shotNumber)).toEqual([1, 3]);
+    expect(calculateDistance(shots[1].position, yardsFromTee(190, 0))).toBeLessThan(8);
+  });
+
+  test('stroke and distance replays from the tee', () => {
+    const { detector, shots, stay, walkTo } = createWalkingRound();
+    stay(5);
+    walkTo(40);             // watched it sail out of bounds
+    detector.addPenalty({ strokes: 1, dropPosition: CART_HOLE.teeBox });
+    walkTo(0);
+    stay(20);
+    walkTo(60);
+
+    expect(shots.map(s => s.shotNumber)).toEqual([1, 3]);
+    expect(calculateDistance(shots[1].position, CART_HOLE.teeBox)).toBeLessThan(8);
+  });
+
+  test('finding the original ball drops the provisional', () => {
+    const { detector, shots, stay, walkTo } = createWalkingRound();
+    stay(5);                // tee shot heads out of bounds
+    detector.addPenalty({ strokes: 1, dropPosition: CART_HOLE.teeBox });
+    stay(20);               // provisional off the tee
+    walkTo(60);
+    expect(detector.getDetectedShots().map(s => s.shotNumber)).toEqual([1, 3]);
+
+    detector.resumeFrom(2, yardsFromTee(220, 0));
+    walkTo(220);
+    stay(20);
+    walkTo(260);
+
+    expect(detector.getDetectedShots().map(s => s.shotNumber)).toEqual([1, 2]);
+    expect(shots[shots.length - 1].shotNumber).toBe(2);
+  });
+
+  test('resuming keeps only the shots before the provisional', () => {
+    const { detector, stay, walkTo } = createWalkingRound();
+    stay(5);
+    walkTo(200);
+    stay(20);
+    walkTo(220);            // second shot looks lost
+    detector.addPenalty({ strokes: 1, dropPosition: yardsFromTee(200, 0) });
+    walkTo(200);
+    stay(20);               // provisional from the same spot
+    walkTo(300);
+    expect(detector.getDetectedShots().map(s => s.shotNumber)).toEqual([1, 2, 4]);
+
+    detector.resumeFrom(3, yardsFromTee(330, 0));
+
+    expect(detector.getDetectedShots().map(s => s.shotNumber)).toEqual([1, 2]);
+  });
+});
+
+// --- Trace replay ---
+// Every trace in fixtures/gps-traces is replayed through the detector and
+// checked against the shots logged with it. So far the folder only holds
+// synthetic-par4.json, a generated walk; drop recordings from
+// gpsTraceRecorder on a course into it to add them to the suite. A trace
+// can set its own bar with { expect: { minRecall, maxExtra } }.
+
+const TRACE_DIR = path.join(__dirname, 'fixtures', 'gps-traces');
+const TRACES = fs.readdirSync(TRACE_DIR)
+  .filter(name => name.endsWith('.json'))
+  .map(name => ({ name, trace: JSON.parse(fs.readFileSync(path.join(TRACE_DIR, name), 'utf8')) }));
+
+const FILTERS = ['kalman', 'median'];
+
+describe('Trace replay (synthetic traces)', () => {
+  const cases = TRACES.flatMap(t => FILTERS.map(filter => [t.name, filter, t.trace]));
+
+  test.each(cases)('%s matches the logged shots (%s filter)', (name, filter, trace) => {
+    const result = replayTrace(trace, { filter });
+    const { minRecall = 0.8, maxExtra = Infinity } = trace.expect || {};
+
+    expect(result.holes.length).toBeGreaterThan(0);
+    const report = formatReplayReport(result).split('\n');
+    expect(report).toHaveLength(result.holes.length + 1);
+    expect(report[report.length - 1]).toBe(
+      `Total: recall ${Math.round(result.totals.recall * 100)}%, precision ${Math.round(result.totals.precision * 100)}%`
+    );
+    expect(result.totals.recall).toBeGreaterThanOrEqual(minRecall);
+    expect(result.totals.extra).toBeLessThanOrEqual(maxExtra);
+  });
+
+  test('runs on the trace clock, not the wall clock', () => {
+    const { trace } = TRACES.find(t => t.name === 'synthetic-par4.json');
+    const hole = replayTraceHole(trace, 1);
+    expect(hole.detected.map(s => s.shotNumber)).toEqual([1, 2, 3]);
+    expect(hole.detected[1].timestamp.getTime()).toBeGreaterThan(trace.holes[0].startedAt);
+    expect(hole.finalState).toBe(STATES.ON_GREEN);
+  });
+
+  test('unrecorded holes are skipped', () => {
+    expect(replayTraceHole({ holes: [], points: [] }, 3)).toBeNull();
+  });
+
+  test('ground truth matching counts misses and extras', () => {
+    const near = moveNorth(HOLE_DATA.teeBox, 5);
+    const far = moveNorth(HOLE_DATA.teeBox, 150);
+    const result = compareWithGroundTruth(
+      [{ shotNumber: 1, position: near }, { shotNumber: 2, position: moveNorth(HOLE_DATA.teeBox, 80) }],
+      [{ shotNumber: 1, from: HOLE_DATA.teeBox }, { shotNumber: 2, from: far }],
+    );
+    expect(result.matched).toHaveLength(1);
+    expect(result.missed.map(s => s.shotNumber)).toEqual([2]);
+    expect(result.extra).toHaveLength(1);
+    expect(result.recall).toBe(0.5);
+  });
+});
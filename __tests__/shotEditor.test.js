@@ -0,0 +1,94 @@
+/**
+ * Unit tests for post-round shot editing.
+ * Run with: npm test
+ */
+
+import {
+  moveShotPoint,
+  insertShotAfter,
+  deleteShotAt,
+  rederiveHoleShots,
+} from '../services/shotEditor';
+
+// Yards north/east of a reference point
+const ORIGIN = { latitude: 36.5674, longitude: -121.95 };
+const YARDS_PER_DEG_LAT = 121391;
+const at = (north, east) => ({
+  latitude: ORIGIN.latitude + north / YARDS_PER_DEG_LAT,
+  longitude: ORIGIN.longitude + east / (YARDS_PER_DEG_LAT * Math.cos(ORIGIN.latitude * Math.PI / 180)),
+});
+
+const GREEN = at(400, 0);
+const FAIRWAY = { type: 'fairway', coordinates: [at(100, -15), at(380, -15), at(380, 15), at(100, 15)] };
+
+const shot = (number, from, to, extra = {}) => ({
+  id: `s${number}`,
+  shot_number: number,
+  from_lat: from.latitude,
+  from_lon: from.longitude,
+  to_lat: to ? to.latitude : null,
+  to_lon: to ? to.longitude : null,
+  club: '7_iron',
+  lie_type: number === 1 ? 'tee' : 'fairway',
+  penalty_strokes: 0,
+  ...extra,
+});
+
+const HOLE = [
+  shot(1, at(0, 0), at(250, 0)),
+  shot(2, at(250, 0), at(395, 0)),
+  shot(3, at(395, 0), null, { shot_type: 'putt', lie_type: 'green' }),
+];
+
+describe('Shot editor', () => {
+  test('dragging a landing moves the next shot\'s start with it', () => {
+    const moved = moveShotPoint(HOLE, 0, 'to', at(230, 20));
+    expect(moved[0].to_lat).toBeCloseTo(at(230, 20).latitude, 6);
+    expect(moved[1].from_lat).toBeCloseTo(at(230, 20).latitude, 6);
+    expect(moved[1].lie_type).toBeNull();
+    expect(HOLE[0].to_lat).toBeCloseTo(at(250, 0).latitude, 6);
+  });
+
+  test('a drop after a penalty is not dragged along', () => {
+    const hole = [
+      shot(1, at(0, 0), at(200, 30), { result: 'water', penalty_strokes: 1 }),
+      shot(3, at(180, 0), at(390, 0)),
+    ];
+    const moved = moveShotPoint(hole, 0, 'to', at(210, 40));
+    expect(moved[1].from_lat).toBe(hole[1].from_lat);
+  });
+
+  test('re-derives numbering, distances, offline and moved lies', () => {
+    const hole = rederiveHoleShots(moveShotPoint(HOLE, 0, 'to', at(250, 20)), {
+      green: GREEN,
+      polygons: [FAIRWAY],
+    });
+    expect(hole.map(s => s.shot_number)).toEqual([1, 2, 3]);
+    expect(hole[0].distance_actual).toBeCloseTo(251, -1);
+    expect(hole[0].distance_offline).toBeGreaterThan(15);
+    expect(hole[0].distance_to_target).toBeCloseTo(151, -1);
+    expect(hole[1].lie_type).toBe('rough');
+    expect(hole[2].distance_offline).toBeNull();
+  });
+
+  test('inserting splits a shot and deleting joins them back', () => {
+    const inserted = rederiveHoleShots(insertShotAfter(HOLE, 0, GREEN), { green: GREEN, polygons: [] });
+    expect(inserted.map(s => s.shot_number)).toEqual([1, 2, 3, 4]);
+    expect(inserted[0].distance_actual).toBe(125);
+    expect(inserted[1].distance_actual).toBe(125);
+    expect(inserted[1].id).toBeUndefined();
+
+    const deleted = rederiveHoleShots(deleteShotAt(inserted, 1), { green: GREEN, polygons: [] });
+    expect(deleted.map(s => s.distance_actual)).toEqual([250, 145, null]);
+  });
+
+  test('penalty strokes keep their gap when renumbering', () => {
+    const hole = [
+      shot(1, at(0, 0), at(200, 30), { penalty_strokes: 1 }),
+      shot(3, at(180, 0), at(390, 0)),
+      shot(4, at(390, 0), null),
+    ];
+    const deleted = rederiveHoleShots(deleteShotAt(hole, 1), { green: GREEN, polygons: [] });
+    expect(deleted.map(s => s.shot_number)).toEqual([1, 3]);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for penalty strokes, relief and provisional balls.
+ * Run with: npm test
+ */
+
+import {
+  getDropPosition,
+  getNextShotNumber,
+  getReliefOptions,
+  renumberShots,
+  resolveProvisional,
+  summarizeHoleShots,
+} from '../services/shotPenalties';
+import { calculateDistance } from '../utils/geoUtils';
+
+const TEE = { latitude: 36.5674, longitude: -121.95 };
+const ENTRY = { latitude: 36.5690, longitude: -121.95 };
+const FLAG = { latitude: 36.5710, longitude: -121.95 };
+
+describe('Shot numbering', () => {
+  test('penalty strokes are skipped', () => {
+    const shots = [{ shotNumber: 1, result: 'water', penaltyStrokes: 1 }];
+    expect(getNextShotNumber(shots)).toBe(3);
+    expect(getNextShotNumber([])).toBe(1);
+  });
+
+  test('renumbering after a delete keeps the gap for the penalty', () => {
+    const shots = [
+      { shotNumber: 1, penaltyStrokes: 1 },
+      { shotNumber: 4 },
+      { shotNumber: 5 },
+    ];
+    expect(renumberShots(shots).map(s => s.shotNumber)).toEqual([1, 3, 4]);
+  });
+
+  test('hole summary counts strokes and penalties', () => {
+    const shots = [
+      { shotNumber: 1, penaltyStrokes: 1 },
+      { shotNumber: 3 },
+      { shotNumber: 4, shotType: 'putt', puttMade: true },
+    ];
+    expect(summarizeHoleShots(shots)).toEqual({ strokes: 4, penalties: 1, holed: true });
+  });
+});
+
+describe('Relief', () => {
+  test('options depend on the result', () => {
+    expect(getReliefOptions('water')).toEqual(['point_of_entry', 'line', 'replay']);
+    expect(getReliefOptions('ob')).toEqual(['provisional', 'replay']);
+    expect(getReliefOptions('fairway')).toEqual([]);
+  });
+
+  test('back on the line keeps the point of entry between the flag and the drop', () => {
+    const drop = getDropPosition('line', { from: TEE, entry: ENTRY, flag: FLAG });
+    expect(calculateDistance(drop, ENTRY)).toBeCloseTo(20, -1);
+    expect(calculateDistance(drop, FLAG)).toBeGreaterThan(calculateDistance(ENTRY, FLAG));
+    expect(getDropPosition('replay', { from: TEE, entry: ENTRY })).toBe(TEE);
+    expect(getDropPosition('point_of_entry', { from: TEE, entry: ENTRY })).toBe(ENTRY);
+  });
+});
+
+describe('Provisional ball', () => {
+  const shots = [
+    { shotNumber: 1, result: 'ob', penaltyStrokes: 1, relief: 'provisional' },
+    { shotNumber: 3, provisional: true },
+  ];
+
+  test('becomes the ball in play when the original is lost', () => {
+    const resolved = resolveProvisional(shots, 1, false);
+    expect(resolved.map(s => s.shotNumber)).toEqual([1, 3]);
+    expect(resolved.some(s => s.provisional)).toBe(false);
+    expect(getNextShotNumber(resolved)).toBe(4);
+  });
+
+  test('is discarded when the original is found', () => {
+    const resolved = resolveProvisional(shots, 1, true, 'rough_right');
+    expect(resolved).toEqual([{ shotNumber: 1, result: 'rough_right', penaltyStrokes: 0, relief: null }]);
+    expect(getNextShotNumber(resolved)).toBe(2);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for draw/fade shot shapes in the planning engine.
+ * Run with: npm test
+ */
+
+import { getStockShape } from '../services/dispersionCalculator';
+import {
+  projectPoint,
+  offsetPositionLaterally,
+  calculateAimPoint,
+  projectFlightPath,
+  analyzeHazardsAlongFlightPath,
+  analyzeHazardsAlongShotLine,
+  chooseShapedLanding,
+} from '../services/landingZoneCalculator';
+import { calculateFlightPathPenalty } from '../services/shotScorer';
+import { calculateDistance } from '../utils/geoUtils';
+
+const TEE = { latitude: 36.56, longitude: -121.95 };
+
+// Point `yards` up the hole (due north) and `right` yards across it
+const at = (yards, right = 0) => offsetPositionLaterally(projectPoint(TEE, yards, 0), right, 0);
+const box = (type, fromYards, toYards, left, right) => ({
+  type,
+  label: type,
+  coordinates: [at(fromYards, left), at(fromYards, right), at(toYards, right), at(toYards, left)],
+});
+
+describe('getStockShape', () => {
+  test('profile miss pattern curves longer clubs more', () => {
+    const driver = getStockShape('driver', 'slice_fade');
+    const wedge = getStockShape('pw', 'slice_fade');
+    expect(driver.shape).toBe('fade');
+    expect(driver.source).toBe('profile');
+    expect(driver.curveYards).toBeGreaterThan(wedge.curveYards);
+
+    expect(getStockShape('driver', 'hook_draw').curveYards).toBeLessThan(0);
+    expect(getStockShape('driver', 'both').shape).toBe('straight');
+  });
+
+  test('measured offline beats the profile', () => {
+    const measured = getStockShape('7_iron', 'slice_fade', { totalShots: 40, avgOffline: -9 });
+    expect(measured.shape).toBe('draw');
+    expect(measured.source).toBe('measured');
+
+    expect(getStockShape('7_iron', null, { totalShots: 40, avgOffline: 1 }).shape).toBe('straight');
+  });
+});
+
+describe('Curved flight', () => {
+  const landing = at(250);
+
+  test('aims opposite the curve and bows out to the aim side', () => {
+    const aim = calculateAimPoint(TEE, landing, -12);
+    expect(calculateDistance(aim, at(250, 12))).toBeLessThan(1);
+
+    const path = projectFlightPath(TEE, landing, -20);
+    expect(path[0]).toBe(TEE);
+    expect(path[path.length - 1]).toBe(landing);
+    // A draw bows right of the straight line by a quarter of its curve
+    expect(calculateDistance(path[5], at(125, 5))).toBeLessThan(1);
+  });
+
+  test('a draw flies over a pond the straight ball misses', () => {
+    const pond = box('water', 110, 140, 42, 55);
+
+    expect(analyzeHazardsAlongFlightPath(TEE, landing, [pond], 0)).toEqual([]);
+    const drawn = analyzeHazardsAlongFlightPath(TEE, landing, [pond], -30);
+    expect(drawn).toHaveLength(1);
+
+    const penalty = calculateFlightPathPenalty({ rawDistance: 250, hazardRanges: [], flightPathHazards: drawn });
+    expect(penalty.value).toBeLessThan(0);
+  });
+
+  test('shaped and straight shots are scored by the same rules', () => {
+    const layouts = {
+      'tree line right': [box('trees', 30, 150, 15, 40)],
+      'pond right': [box('water', 110, 140, 20, 35)],
+      'bunker left': [box('bunker', 180, 200, -30, -15)],
+    };
+
+    for (const [name, polygons] of Object.entries(layouts)) {
+      const straight = calculateFlightPathPenalty({
+        rawDistance: 250,
+        hazardRanges: analyzeHazardsAlongShotLine(TEE, at(400), polygons),
+      });
+      const faded = calculateFlightPathPenalty({
+        rawDistance: 250,
+        hazardRanges: [],
+        flightPathHazards: analyzeHazardsAlongFlightPath(TEE, landing, polygons, 8),
+      });
+      expect([name, faded.value]).toEqual([name, straight.value]);
+    }
+  });
+});
+
+describe('chooseShapedLanding', () => {
+  // Dogleg right: fairway runs up to 280 yards, green well right of the line
+  const fairway = box('fairway', 180, 280, -30, 30);
+  const green = at(300, 150);
+  const landing = at(240);
+
+  test('a fade works around a dogleg right and finishes on the inside', () => {
+    const result = chooseShapedLanding(TEE, landing, green, [fairway], 10);
+    expect(result.fit).toBe('with');
+    expect(result.doglegDirection).toBe('right');
+    expect(result.cutsCorner).toBe(true);
+    expect(calculateDistance(result.landing, green)).toBeLessThan(calculateDistance(landing, green));
+  });
+
+  test('a draw fights it and keeps the planned landing', () => {
+    const result = chooseShapedLanding(TEE, landing, green, [fairway], -10);
+    expect(result.fit).toBe('against');
+    expect(result.landing).toBe(landing);
+  });
+
+  test('no cut when the inside brings in a bunker', () => {
+    const bunker = box('bunker', 235, 250, 12, 20);
+    const result = chooseShapedLanding(TEE, landing, green, [fairway, bunker], 10, 5);
+    expect(result.cutsCorner).toBe(false);
+    expect(result.landing).toBe(landing);
+  });
+});
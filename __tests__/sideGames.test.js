@@ -0,0 +1,210 @@
+/**
+ * Unit tests for the side game engine.
+ * Run with: npm test
+ */
+
+import {
+  computeSkins,
+  computeMatchPlay,
+  computeNassau,
+  computeWolf,
+  describeMatchStatus,
+  computeSideGames,
+  combineSettlements,
+  buildSideGamePlayers,
+} from '../utils/sideGames';
+
+// --- Test helpers ---
+
+function makeHoles(count = 18) {
+  return Array.from({ length: count }, (_, i) => ({ holeNumber: i + 1, par: 4, handicapIndex: i + 1 }));
+}
+
+// scores: array of gross scores starting at hole 1 (no handicap strokes)
+function makePlayer(id, scores, strokes = {}) {
+  const byHole = {};
+  scores.forEach((s, i) => { if (s != null) byHole[i + 1] = s; });
+  return { id, name: id.toUpperCase(), scores: byHole, strokes };
+}
+
+function total(settlement) {
+  return Object.values(settlement).reduce((a, b) => a + b, 0);
+}
+
+// --- Tests ---
+
+describe('Skins', () => {
+  test('tied holes carry over to the next outright winner', () => {
+    const players = [
+      makePlayer('a', [4, 4, 3]),
+      makePlayer('b', [4, 4, 4]),
+      makePlayer('c', [5, 4, 5]),
+    ];
+    const result = computeSkins(players, makeHoles(), { stake: 1 });
+    expect(result.skinsWon.a).toBe(3);
+    expect(result.carry).toBe(0);
+    expect(result.settlement).toEqual({ a: 6, b: -3, c: -3 });
+  });
+
+  test('handicap strokes decide the net winner', () => {
+    const players = [makePlayer('a', [4]), makePlayer('b', [5], { 1: 2 })];
+    expect(computeSkins(players, makeHoles()).skins[0].winnerId).toBe('b');
+  });
+
+  test('stops at the first hole not everyone has finished', () => {
+    const players = [makePlayer('a', [4, 3]), makePlayer('b', [4])];
+    const result = computeSkins(players, makeHoles());
+    expect(result.thruHole).toBe(1);
+    expect(result.carry).toBe(1);
+  });
+});
+
+describe('Match play', () => {
+  test('status wording', () => {
+    const names = ['A', 'B'];
+    expect(describeMatchStatus(2, 11, 7, names).text).toBe('A 2 up thru 11');
+    expect(describeMatchStatus(0, 5, 13, names).text).toBe('All square thru 5');
+    expect(describeMatchStatus(-3, 15, 3, names).text).toBe('B 3 up (dormie)');
+    expect(describeMatchStatus(4, 15, 3, names).text).toBe('A wins 4&3');
+  });
+
+  test('singles match ends once decided', () => {
+    const a = makePlayer('a', Array(18).fill(3));
+    const b = makePlayer('b', Array(18).fill(4));
+    const result = computeMatchPlay([a, b], makeHoles(), { stake: 5 });
+    expect(result.status).toBe('A wins 10&8');
+    expect(result.settlement).toEqual({ a: 5, b: -5 });
+  });
+
+  test('four-ball plays the best net ball of each side', () => {
+    const players = [
+      makePlayer('a', [5]), makePlayer('b', [3]),
+      makePlayer('c', [4]), makePlayer('d', [4]),
+    ];
+    const result = computeMatchPlay(players, makeHoles());
+    expect(result.format).toBe('Four-ball');
+    expect(result.diff).toBe(1);
+  });
+
+  test('three players cannot play a two-sided match', () => {
+    const players = [makePlayer('a', []), makePlayer('b', []), makePlayer('c', [])];
+    expect(computeMatchPlay(players, makeHoles()).available).toBe(false);
+  });
+});
+
+describe('Nassau', () => {
+  test('front, back and overall with an automatic press', () => {
+    // A wins holes 1-2 → B presses from hole 3; B wins 3-9
+    const aScores = [3, 3, 5, 5, 5, 5, 5, 5, 5, ...Array(9).fill(4)];
+    const bScores = [4, 4, 4, 4, 4, 4, 4, 4, 4, ...Array(9).fill(4)];
+    const result = computeNassau([makePlayer('a', aScores), makePlayer('b', bScores)], makeHoles(), { stake: 2 });
+
+    const front = result.results.front;
+    expect(front[0].diff).toBe(-3); // original bet: 2 up, then B wins 3&2
+    expect(front[1].startIndex).toBe(2); // first press from hole 3
+    expect(total(result.settlement)).toBe(0);
+    expect(result.settlement.b).toBeGreaterThan(0);
+  });
+});
+
+describe('Wolf', () => {
+  const holes = makeHoles();
+
+  test('lone wolf wins the multiplier from each opponent', () => {
+    const players = [
+      makePlayer('a', [3]), makePlayer('b', [4]),
+      makePlayer('c', [4]), makePlayer('d', [5]),
+    ];
+    const result = computeWolf(players, holes, { stake: 1, picks: { 1: { lone: true } } });
+    expect(result.settlement).toEqual({ a: 6, b: -2, c: -2, d: -2 });
+  });
+
+  test('partnered wolf settles two against two', () => {
+    const players = [
+      makePlayer('a', [5, 4]), makePlayer('b', [4, 5]),
+      makePlayer('c', [3, 5]), makePlayer('d', [5, 5]),
+    ];
+    // Hole 2: b is wolf, partners with a; a's 4 beats c/d's 5
+    const result = computeWolf(players, holes, { stake: 1, picks: { 1: { partnerId: 'c' }, 2: { partnerId: 'a' } } });
+    expect(result.holeResults).toHaveLength(2);
+    expect(result.settlement).toEqual({ a: 4, b: 0, c: 0, d: -4 });
+  });
+
+  test('holes without a pick are skipped', () => {
+    const players = ['a', 'b', 'c'].map(id => makePlayer(id, [4]));
+    expect(computeWolf(players, holes, {}).holeResults).toHaveLength(0);
+  });
+});
+
+describe('Handicap allowances', () => {
+  // Course handicaps 20 and 12: playing handicaps 19 and 11 at 95%,
+  // match strokes 8 and 0 off the low player
+  const self = { name: 'A', scores: { 12: 5 }, playingHandicap: 19, courseHandicap: 20 };
+  const partners = [{ id: 'b', name: 'B', scores: { 12: 4 }, playingHandicap: 11, courseHandicap: 12 }];
+  // Start on the SI 12 hole so it's the only one scored
+  const holes = [...makeHoles().slice(11), ...makeHoles().slice(0, 11)];
+
+  test('match strokes are the course handicap difference', () => {
+    const [a, b] = buildSideGamePlayers(self, partners, holes);
+    const count = strokes => Object.values(strokes).reduce((x, y) => x + y, 0);
+    expect(count(a.strokes)).toBe(19);
+    expect(count(b.strokes)).toBe(11);
+    expect(count(a.matchStrokes)).toBe(8);
+    expect(count(b.matchStrokes)).toBe(0);
+  });
+
+  test('match play and Nassau use match strokes, skins the playing handicap', () => {
+    const players = buildSideGamePlayers(self, partners, holes);
+    // A gets a stroke on SI 12 in stroke play but not in the match
+    expect(computeSkins(players, holes).skins[0].winnerId).toBeNull();
+    expect(computeMatchPlay(players, holes).diff).toBe(-1);
+    expect(computeNassau(players, holes).results.front[0].diff).toBe(-1);
+  });
+
+  test('a player without a course handicap gets no match strokes', () => {
+    const [, guest] = buildSideGamePlayers(self, [{ id: 'g', name: 'G', scores: {}, playingHandicap: null }], holes);
+    expect(guest.matchStrokes).toBeNull();
+    expect(guest.fourBallStrokes).toBeNull();
+    expect(guest.strokes).toEqual({});
+  });
+
+  describe('four-ball', () => {
+    // Course handicaps 20, 12, 16 and 8: 18, 11, 14 and 7 at 90%,
+    // so 11, 4, 7 and 0 off the low player (12, 4, 8 and 0 in singles)
+    const fourBallPartners = [
+      { ...partners[0], scores: { 12: 6 } },
+      { id: 'c', name: 'C', scores: { 12: 5 }, playingHandicap: 15, courseHandicap: 16 },
+      { id: 'd', name: 'D', scores: { 12: 4 }, playingHandicap: 8, courseHandicap: 8 },
+    ];
+
+    test('strokes are 90% of course handicap off the low player', () => {
+      const players = buildSideGamePlayers(self, fourBallPartners, holes);
+      const count = strokes => Object.values(strokes).reduce((x, y) => x + y, 0);
+      expect(players.map(p => count(p.fourBallStrokes))).toEqual([11, 4, 7, 0]);
+      expect(players.map(p => count(p.matchStrokes))).toEqual([12, 4, 8, 0]);
+    });
+
+    test('2 v 2 matches play off the four-ball strokes', () => {
+      const players = buildSideGamePlayers(self, fourBallPartners, holes);
+      // At 90% A loses the stroke on SI 12, so A & B's best net 5 loses to D's 4
+      expect(computeMatchPlay(players, holes).diff).toBe(-1);
+      expect(computeNassau(players, holes).results.front[0].diff).toBe(-1);
+      // Singles between A and D still give A the stroke: halved
+      expect(computeMatchPlay(players, holes, { sides: [['self'], ['d']] }).diff).toBe(0);
+    });
+  });
+});
+
+describe('Combined settlement', () => {
+  test('sums each player across enabled games', () => {
+    const players = [makePlayer('a', [3, 4]), makePlayer('b', [4, 4])];
+    const results = computeSideGames(
+      [{ type: 'skins', stake: 1 }, { type: 'match_play', stake: 10, enabled: false }],
+      players,
+      makeHoles(2)
+    );
+    expect(results.map(r => r.type)).toEqual(['skins']);
+    const settlement = combineSettlements(results, players);
+    expect(settlement[0]).toMatchObject({ playerId: 'a', total: 1 });
+  });
+});
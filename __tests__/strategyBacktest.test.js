@@ -0,0 +1,111 @@
+/**
+ * Unit tests for the strategy backtest.
+ * Run with: npm test
+ *
+ * Replays the exported rounds in __tests__/fixtures/backtest through the
+ * planning engine, without Supabase or the app running.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  FIXTURE_VERSION,
+  buildBacktestFixture,
+  getDecisionShots,
+  weatherAtShot,
+  runBacktest,
+  compareScoringConfigs,
+  formatConfigComparison,
+} from '../services/strategyBacktest';
+import { DEFAULT_SCORING_CONFIG, configForRiskProfile } from '../services/scoringConfig';
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'backtest');
+const FIXTURES = fs.readdirSync(FIXTURES_DIR)
+  .filter(f => f.endsWith('.json'))
+  .map(f => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, f), 'utf8')));
+
+// The engine logs every sequence it builds
+beforeAll(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+afterAll(() => console.log.mockRestore());
+
+describe('Decision shots', () => {
+  const shot = (shotNumber, club) => ({ shotNumber, club, from: { latitude: 1, longitude: 1 } });
+
+  test('tee shot and last full swing on a par 4, tee shot only on a par 3', () => {
+    const par4 = getDecisionShots({ par: 4, shots: [shot(1, 'driver'), shot(2, '3_wood'), shot(3, 'pw')] });
+    expect(par4.map(d => [d.type, d.shot.club])).toEqual([['tee', 'driver'], ['approach', 'pw']]);
+
+    const par3 = getDecisionShots({ par: 3, shots: [shot(1, '7_iron'), shot(2, 'sw')] });
+    expect(par3.map(d => [d.type, d.shot.club])).toEqual([['approach', '7_iron']]);
+  });
+});
+
+describe('Backtest fixtures', () => {
+  test.each(FIXTURES.map(f => [f.courseName, f]))('%s replays every decision', (name, fixture) => {
+    expect(fixture.version).toBe(FIXTURE_VERSION);
+
+    const { summary, decisions } = runBacktest([fixture]);
+    const expected = fixture.holes.reduce((n, hole) => n + getDecisionShots(hole).length, 0);
+
+    expect(decisions).toHaveLength(expected);
+    expect(summary.unplanned).toBe(0);
+    expect(summary.matched).toBe(decisions.filter(d => d.recommended === d.played).length);
+  });
+
+  test('an aggressive profile sends more tee shots at the green', () => {
+    const comparison = compareScoringConfigs(
+      FIXTURES,
+      { label: 'Default', config: DEFAULT_SCORING_CONFIG },
+      { label: 'Aggressive', config: configForRiskProfile('aggressive') }
+    );
+
+    expect(comparison.b.summary.byType.tee.matched)
+      .toBeGreaterThanOrEqual(comparison.a.summary.byType.tee.matched);
+    for (const diff of comparison.differences) {
+      expect(diff.a).not.toBe(diff.b);
+    }
+    expect(formatConfigComparison(comparison)).toMatch(/Default\s+Aggressive/);
+  });
+});
+
+describe('buildBacktestFixture', () => {
+  test('uses the shot weather, falling back to the round snapshot, and skips putts', () => {
+    const round = {
+      id: 'round-1',
+      started_at: '2026-09-01T15:00:00Z',
+      weather_temp_f: 58,
+      weather_wind_mph: 12,
+      handicap_index: '0.0',
+      playing_handicap: 1,
+      holes: [{ hole_number: 1, score: 4, pin_latitude: 36.1, pin_longitude: -121.9 }],
+    };
+    const shots = [
+      { hole_number: 1, shot_number: 1, club: 'driver', from_lat: 36, from_lon: -121.9, lie_type: 'tee' },
+      { hole_number: 1, shot_number: 2, club: '8_iron', from_lat: 36.05, from_lon: -121.9, wind_speed: 5, temperature_f: 61 },
+      { hole_number: 1, shot_number: 3, club: 'putter', shot_type: 'putt', from_lat: 36.1, from_lon: -121.9 },
+    ];
+    const courseHoles = { 1: { par: 4, teeBox: { latitude: 36, longitude: -121.9 }, green: { latitude: 36.1, longitude: -121.9 }, polygons: [] } };
+
+    const fixture = buildBacktestFixture({ round, shots, courseHoles, clubDistances: { driver: 240 } });
+    const [hole] = fixture.holes;
+
+    expect(fixture.weather).toEqual({ temperature: 58, windSpeed: 12, windDirection: null });
+    expect(hole.pin).toEqual({ latitude: 36.1, longitude: -121.9 });
+    expect(hole.shots.map(s => s.club)).toEqual(['driver', '8_iron']);
+    expect(hole.shots[0].weather).toBeNull();
+    expect(hole.shots[1].weather).toEqual({ temperature: 61, windSpeed: 5, windDirection: null });
+
+    // The handicap when the round was played, and a bag that is today's
+    expect(fixture.handicap).toBe(0);
+    expect(fixture.playingHandicap).toBe(1);
+    expect(fixture.clubDistancesSource).toBe('current_bag');
+    expect(buildBacktestFixture({ round: { ...round, handicap_index: null }, shots, courseHoles }).handicap).toBeNull();
+  });
+
+  test('wind without a direction replays as calm', () => {
+    const roundWeather = { temperature: 58, windSpeed: 12, windDirection: null };
+    expect(weatherAtShot({ weather: null }, roundWeather)).toEqual({ temperature: 58, windSpeed: 0, windDirection: null });
+    expect(weatherAtShot({ weather: { temperature: 61, windSpeed: 5, windDirection: 'SW' } }, roundWeather))
+      .toEqual({ temperature: 61, windSpeed: 5, windDirection: 'SW' });
+  });
+});
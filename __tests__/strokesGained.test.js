@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the strokes gained engine.
+ * Run with: npm test
+ */
+
+import {
+  getExpectedStrokes,
+  getShotCategory,
+  computeHoleStrokesGained,
+  buildHoleStrokes,
+  computeRoundStrokesGained,
+  summarizeStrokesGainedTrend,
+  formatStrokesGained,
+} from '../utils/strokesGained';
+
+// ~1 yard of latitude in degrees
+const YARD = 1 / 121640;
+const PIN = { latitude: 40, longitude: -75 };
+
+function shotRow(holeNumber, shotNumber, yardsOut, extra = {}) {
+  return {
+    hole_number: holeNumber,
+    shot_number: shotNumber,
+    from_lat: PIN.latitude + yardsOut * YARD,
+    from_lon: PIN.longitude,
+    club: '7_iron',
+    lie_type: 'fairway',
+    ...extra,
+  };
+}
+
+describe('Expected strokes', () => {
+  test('interpolates between table points', () => {
+    expect(getExpectedStrokes('fairway', 100)).toBeCloseTo(2.80);
+    expect(getExpectedStrokes('fairway', 110)).toBeCloseTo(2.825);
+    expect(getExpectedStrokes('green', 1)).toBe(1);
+  });
+
+  test('handicap baselines expect more strokes than scratch', () => {
+    const scratch = getExpectedStrokes('tee', 400, 'scratch');
+    const twenty = getExpectedStrokes('tee', 400, 20);
+    expect(twenty).toBeGreaterThan(scratch + 0.9);
+    expect(twenty).toBeLessThan(scratch + 1.2);
+    expect(getExpectedStrokes('green', 10, 20)).toBeGreaterThan(getExpectedStrokes('green', 10, 10));
+  });
+
+  test('categories', () => {
+    expect(getShotCategory({ lie: 'tee', distance: 400 }, 4)).toBe('offTheTee');
+    expect(getShotCategory({ lie: 'tee', distance: 160 }, 3)).toBe('approach');
+    expect(getShotCategory({ lie: 'rough', distance: 30 }, 4)).toBe('aroundGreen');
+    expect(getShotCategory({ lie: 'green', distance: 12 }, 4)).toBe('putting');
+  });
+});
+
+describe('Hole strokes gained', () => {
+  test('categories sum to baseline minus score', () => {
+    const result = computeHoleStrokesGained({
+      par: 4,
+      score: 4,
+      strokes: [{ lie: 'tee', distance: 400 }, { lie: 'fairway', distance: 150 }],
+      putts: 2,
+      firstPuttFeet: 20,
+    });
+    expect(result.total).toBeCloseTo(3.99 - 4, 2);
+    const sum = Object.values(result.categories).reduce((a, b) => a + b, 0);
+    expect(sum).toBeCloseTo(result.total, 1);
+    expect(result.categories.putting).toBeCloseTo(1.87 - 2, 2);
+  });
+
+  test('penalty strokes are charged to the shot', () => {
+    const result = computeHoleStrokesGained({
+      par: 4,
+      score: 5,
+      strokes: [{ lie: 'tee', distance: 400, penalty: 1 }, { lie: 'rough', distance: 200 }],
+      putts: 2,
+      firstPuttFeet: 10,
+    });
+    expect(result.categories.offTheTee).toBeLessThan(-1);
+  });
+
+  test('returns null when the strokes do not account for the score', () => {
+    expect(computeHoleStrokesGained({
+      par: 4, score: 6, strokes: [{ lie: 'tee', distance: 400 }], putts: 2, firstPuttFeet: 10,
+    })).toBeNull();
+  });
+});
+
+describe('Round strokes gained', () => {
+  const holes = [
+    { hole_number: 1, par: 4, score: 4, putts: 2, yardage: 400 },
+    { hole_number: 2, par: 3, score: 3, putts: 2, yardage: 160 },
+  ];
+  const shots = [
+    shotRow(1, 1, 400, { lie_type: 'tee', club: 'driver' }),
+    shotRow(1, 2, 150, { result: 'green', to_lat: PIN.latitude + 10 * YARD, to_lon: PIN.longitude }),
+    shotRow(2, 1, 160, { lie_type: 'tee' }), // no landing spot → hole skipped
+  ];
+
+  test('builds strokes from shot coordinates', () => {
+    const input = buildHoleStrokes(holes[0], shots.slice(0, 2), PIN);
+    expect(input.strokes.map(s => s.lie)).toEqual(['tee', 'fairway']);
+    expect(input.strokes[1].distance).toBeCloseTo(150, -1);
+    expect(input.firstPuttFeet).toBeCloseTo(30, -1);
+  });
+
+  test('only fully tracked holes count', () => {
+    const sg = computeRoundStrokesGained({ holes, shots, holeLocations: { 1: PIN, 2: PIN } });
+    expect(sg.holesPlayed).toBe(2);
+    expect(sg.holesCounted).toBe(1);
+    expect(Object.keys(sg.byHole)).toEqual(['1']);
+  });
+
+  test('measures to the round pin when one was set', () => {
+    const pinned = [{ ...holes[0], pin_latitude: PIN.latitude + 5 * YARD, pin_longitude: PIN.longitude }];
+    const sg = computeRoundStrokesGained({ holes: pinned, shots, holeLocations: { 1: PIN } });
+    expect(sg.byHole[1].shots[1].start.distance).toBeCloseTo(145, -1);
+  });
+
+  test('trend scales partial rounds to 18 holes', () => {
+    const sg = { holesCounted: 9, total: -1, categories: { offTheTee: -0.5, approach: -0.5, aroundGreen: 0, putting: 0 } };
+    const { points, averages } = summarizeStrokesGainedTrend([{ roundId: 'r1', date: '2026-10-01', sg }]);
+    expect(points[0].total).toBe(-2);
+    expect(averages.approach).toBe(-1);
+  });
+
+  test('formatting', () => {
+    expect(formatStrokesGained(1.234)).toBe('+1.23');
+    expect(formatStrokesGained(-0.4)).toBe('-0.40');
+    expect(formatStrokesGained(0.001)).toBe('0.00');
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for the outbound round sync queue.
+ * Run with: npm test
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../services/roundService', () => ({
+  upsertSyncedRound: jest.fn(),
+  completeSyncedRound: jest.fn(),
+  upsertRoundHoles: jest.fn(),
+  upsertRoundShots: jest.fn(),
+  deleteRoundShotsExcept: jest.fn(),
+  abandonRound: jest.fn(),
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as roundService from '../services/roundService';
+import {
+  enqueueRoundStart,
+  enqueueHole,
+  enqueueHoleShots,
+  enqueueRoundComplete,
+  processSyncQueue,
+  getSyncStatus,
+  getRetryDelay,
+  summarizeSyncState,
+  SYNC_STATES,
+} from '../services/syncQueueService';
+
+const shot = (shotNumber, club = '7_iron') => ({ holeNumber: 1, shotNumber, club });
+
+// Let the fire-and-forget runs started by each enqueue finish
+async function settle() {
+  for (let i = 0; i < 20; i++) {
+    await processSyncQueue();
+  }
+}
+
+async function storedQueue() {
+  return JSON.parse((await AsyncStorage.getItem('@Pure:syncQueue')) || '[]');
+}
+
+beforeEach(async () => {
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+  jest.clearAllMocks();
+  await AsyncStorage.clear();
+  roundService.upsertSyncedRound.mockResolvedValue({ data: { id: 'db-1' }, error: null });
+  roundService.completeSyncedRound.mockResolvedValue({ data: { id: 'db-1' }, error: null });
+  roundService.upsertRoundHoles.mockResolvedValue({ data: [], error: null });
+  roundService.upsertRoundShots.mockResolvedValue({ data: [], error: null });
+  roundService.deleteRoundShotsExcept.mockResolvedValue({ error: null });
+});
+
+afterEach(() => {
+  jest.clearAllTimers();
+  jest.useRealTimers();
+});
+
+describe('Sync queue', () => {
+  test('creates the round first, then uploads holes and shots against its ID', async () => {
+    roundService.upsertSyncedRound.mockResolvedValueOnce({ data: null, error: 'offline' });
+    await enqueueRoundStart('t1', { tempId: 't1' }, 'Pebble');
+    await enqueueHole('t1', { holeNumber: 1, score: 4 });
+    await settle();
+
+    // Holes wait for the round
+    expect(roundService.upsertRoundHoles).not.toHaveBeenCalled();
+
+    await processSyncQueue({ force: true });
+    await settle();
+    expect(roundService.upsertRoundHoles).toHaveBeenCalledWith('db-1', [{ holeNumber: 1, score: 4 }]);
+    expect(await storedQueue()).toEqual([]);
+  });
+
+  test('a newer change to the same shot replaces the pending one', async () => {
+    roundService.upsertSyncedRound.mockResolvedValue({ data: null, error: 'offline' });
+    await enqueueRoundStart('t1', { tempId: 't1' });
+    await enqueueHoleShots('t1', 1, [shot(1, '7_iron')]);
+    await enqueueHoleShots('t1', 1, [shot(1, '6_iron'), shot(2, 'pw')]);
+    await settle();
+
+    const shots = (await storedQueue()).filter(op => op.type === 'shot');
+    expect(shots.map(op => op.key)).toEqual(['shot:t1:1:1', 'shot:t1:1:2']);
+    expect(shots[0].payload.shot.club).toBe('6_iron');
+  });
+
+  test('failed uploads back off and report retrying', async () => {
+    roundService.upsertSyncedRound.mockResolvedValue({ data: null, error: 'offline' });
+    await enqueueRoundStart('t1', { tempId: 't1' }, 'Pebble');
+    await settle();
+
+    const [op] = await storedQueue();
+    expect(op.attempts).toBe(1);
+    expect(op.lastError).toBe('offline');
+
+    // Not retried before the backoff is up
+    roundService.upsertSyncedRound.mockClear();
+    await processSyncQueue();
+    expect(roundService.upsertSyncedRound).not.toHaveBeenCalled();
+
+    const status = await getSyncStatus();
+    expect(status.t1.state).toBe(SYNC_STATES.RETRYING);
+    expect(status.t1.courseName).toBe('Pebble');
+  });
+
+  test('a finished round uploads everything, completes, and drops stale shots', async () => {
+    await enqueueRoundComplete({
+      round: { tempId: 't2' },
+      holes: [{ holeNumber: 1, score: 5 }],
+      shots: [shot(1), shot(2)],
+      partners: [],
+    });
+    await settle();
+
+    expect(roundService.upsertRoundShots).toHaveBeenCalledTimes(2);
+    expect(roundService.deleteRoundShotsExcept).toHaveBeenCalledWith('db-1', 1, [1, 2]);
+    expect(roundService.completeSyncedRound).toHaveBeenCalledWith('t2', { tempId: 't2' }, []);
+
+    const status = await getSyncStatus();
+    expect(status.t2).toMatchObject({ state: SYNC_STATES.SYNCED, finished: true, completed: true });
+  });
+});
+
+describe('Sync status helpers', () => {
+  test('retry delay doubles up to a cap', () => {
+    expect(getRetryDelay(1)).toBe(5000);
+    expect(getRetryDelay(2)).toBe(10000);
+    expect(getRetryDelay(20)).toBe(10 * 60 * 1000);
+  });
+
+  test('summarizes pending and failed operations per round', () => {
+    const summary = summarizeSyncState(
+      [
+        { tempId: 'a', attempts: 0 },
+        { tempId: 'b', attempts: 2, lastError: 'timeout', nextAttemptAt: 500 },
+      ],
+      { a: {}, b: {}, c: { dbRoundId: 'x', completed: true } }
+    );
+    expect(summary.a).toMatchObject({ state: SYNC_STATES.PENDING, pending: 1 });
+    expect(summary.b).toMatchObject({ state: SYNC_STATES.RETRYING, lastError: 'timeout', nextAttemptAt: 500 });
+    expect(summary.c).toMatchObject({ state: SYNC_STATES.SYNCED, dbRoundId: 'x', completed: true });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for GPX/FIT track files and shot reconstruction from watch tracks.
+ * Run with: npm test
+ */
+
+import { buildGpx, parseGpx, roundToGpx, parseFit, getTrackFormat } from '../utils/trackFormats';
+import { buildTraceFromTrack, reconstructShotsFromTrack } from '../services/gpsTraceReplay';
+
+const fixture = require('./fixtures/gps-traces/synthetic-par4.json');
+
+const HOLES = { 1: fixture.holes[0] };
+
+// Minimal FIT file: one record definition and data messages
+function buildFit(records) {
+  const body = [];
+  // Definition: local type 0, little endian, global 20, fields timestamp/lat/long/altitude
+  body.push(0x40, 0, 0, 20, 0, 4, 253, 4, 0x86, 0, 4, 0x85, 1, 4, 0x85, 2, 2, 0x84);
+
+  const u32 = n => [n & 0xFF, (n >>> 8) & 0xFF, (n >>> 16) & 0xFF, (n >>> 24) & 0xFF];
+  const u16 = n => [n & 0xFF, (n >>> 8) & 0xFF];
+  const semicircles = deg => Math.round(deg * 2 ** 31 / 180);
+
+  // Second definition (local type 1) without a timestamp, for compressed-timestamp records
+  body.push(0x41, 0, 0, 20, 0, 3, 0, 4, 0x85, 1, 4, 0x85, 2, 2, 0x84);
+
+  records.forEach((r) => {
+    const position = [...u32(semicircles(r.latitude)), ...u32(semicircles(r.longitude)), ...u16((r.altitudeM + 500) * 5)];
+    if (r.compressedOffset != null) {
+      body.push(0x80 | (1 << 5) | r.compressedOffset, ...position);
+    } else {
+      body.push(0x00, ...u32(r.fitTime), ...position);
+    }
+  });
+
+  const header = [14, 0x10, 0, 0, ...u32(body.length), 0x2E, 0x46, 0x49, 0x54, 0, 0];
+  return new Uint8Array([...header, ...body, 0, 0]);
+}
+
+describe('GPX', () => {
+  test('track round-trips through buildGpx and parseGpx', () => {
+    const track = fixture.points.slice(0, 5);
+    const { name, points } = parseGpx(buildGpx({ name: 'Test & Co', track }));
+
+    expect(name).toBe('Test & Co');
+    expect(points).toHaveLength(5);
+    points.forEach((p, i) => {
+      expect(p.latitude).toBeCloseTo(track[i].latitude, 6);
+      expect(p.longitude).toBeCloseTo(track[i].longitude, 6);
+      expect(p.timestamp).toBe(track[i].timestamp);
+      expect(Math.abs(p.altitude - track[i].altitude)).toBeLessThanOrEqual(1);
+    });
+  });
+
+  test('falls back to route points', () => {
+    const xml = '<gpx><rte><rtept lat="36.1" lon="-121.2"><time>2026-10-01T10:00:00Z</time></rtept></rte></gpx>';
+    expect(parseGpx(xml).points).toEqual([
+      { latitude: 36.1, longitude: -121.2, altitude: null, accuracy: null, timestamp: Date.parse('2026-10-01T10:00:00Z') },
+    ]);
+  });
+
+  test('exported round has a waypoint per located shot', () => {
+    const round = { started_at: '2026-10-01T15:00:00Z', course: { name: 'Pebble' } };
+    const shots = [
+      { hole_number: 1, shot_number: 1, from_lat: 36.5, from_lon: -121.9, club: 'driver', lie_type: 'tee', distance_actual: 251.4 },
+      { hole_number: 1, shot_number: 2, from_lat: null, from_lon: null },
+    ];
+    const gpx = roundToGpx(round, shots);
+    expect(gpx).toContain('<name>Pebble 2026-10-01</name>');
+    expect(gpx).toContain('<name>H1 S1</name><desc>driver, tee, 251 yds</desc>');
+    expect(gpx.match(/<wpt /g)).toHaveLength(1);
+  });
+});
+
+describe('FIT', () => {
+  test('decodes record positions, altitude and compressed timestamps', () => {
+    const fitTime = 1100000000;
+    const { points } = parseFit(buildFit([
+      { fitTime, latitude: 36.5674, longitude: -121.95, altitudeM: 12 },
+      { compressedOffset: (fitTime + 5) % 32, latitude: 36.5675, longitude: -121.9501, altitudeM: 13 },
+    ]));
+
+    expect(points).toHaveLength(2);
+    expect(points[0].latitude).toBeCloseTo(36.5674, 6);
+    expect(points[0].longitude).toBeCloseTo(-121.95, 6);
+    expect(points[0].altitude).toBe(Math.round(12 * 3.28084));
+    expect(points[0].timestamp).toBe((fitTime + 631065600) * 1000);
+    expect(points[1].timestamp).toBe(points[0].timestamp + 5000);
+  });
+
+  test('rejects other files', () => {
+    expect(() => parseFit(new Uint8Array(20))).toThrow('Not a FIT file');
+  });
+
+  test('format from file name', () => {
+    expect(getTrackFormat('Morning_Golf.FIT')).toBe('fit');
+    expect(getTrackFormat('round.gpx')).toBe('gpx');
+    expect(getTrackFormat('notes.txt')).toBeNull();
+  });
+});
+
+describe('Shot reconstruction from a watch track', () => {
+  test('hole starts at the closest approach to the tee', () => {
+    const trace = buildTraceFromTrack(fixture.points, HOLES);
+    expect(trace.holes.map(h => h.holeNumber)).toEqual([1]);
+    expect(trace.holes[0].startedAt).toBeGreaterThanOrEqual(fixture.points[0].timestamp);
+  });
+
+  test('finds the full shots played, after a GPX round-trip', () => {
+    const { points } = parseGpx(buildGpx({ track: fixture.points }));
+    const shots = reconstructShotsFromTrack(points, HOLES);
+    const expected = fixture.truth.filter(s => s.shotType !== 'putt');
+
+    expect(shots.map(s => s.shotNumber)).toEqual(expected.map(s => s.shotNumber));
+    expect(shots.every(s => s.holeNumber === 1)).toBe(true);
+  });
+
+  test('holes the track never visits are skipped', () => {
+    const far = { ...HOLES[1], teeBox: { latitude: 37, longitude: -122 } };
+    expect(reconstructShotsFromTrack(fixture.points, { 2: far })).toEqual([]);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * CachedRoundRow Component
+ *
+ * One row in the HomeScreen list of rounds kept on the phone: an unfinished
+ * round to resume, or a finished one still uploading. Shows the course,
+ * where the round is up to, and its upload status.
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import PressableScale from './PressableScale';
+import theme from '../theme';
+
+export default function CachedRoundRow({
+  courseName,
+  detail,
+  syncLabel,
+  syncWarning = false,
+  finished = false,
+  onPress,
+  onDiscard,
+}) {
+  return (
+    <PressableScale onPress={onPress} haptic="light" scaleValue={0.98}>
+      <View style={styles.container}>
+        <View style={[styles.iconBadge, finished && styles.iconBadgeFinished]}>
+          <Ionicons
+            name={finished ? 'cloud-upload' : 'play'}
+            size={16}
+            color={finished ? theme.colors.text.secondary : theme.colors.primary[500]}
+          />
+        </View>
+
+        <View style={styles.textSection}>
+          <Text style={styles.courseName} numberOfLines={1}>
+            {courseName || 'Golf Course'}
+          </Text>
+          <Text style={styles.detail} numberOfLines={1}>
+            {detail}
+            {syncLabel && (
+              <Text style={syncWarning ? styles.syncWarning : null}>{` · ${syncLabel}`}</Text>
+            )}
+          </Text>
+        </View>
+
+        {onDiscard && (
+          <TouchableOpacity onPress={onDiscard} hitSlop={8} style={styles.discardButton}>
+            <Ionicons name="trash-outline" size={18} color={theme.colors.text.tertiary} />
+          </TouchableOpacity>
+        )}
+      </View>
+    </PressableScale>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.background.white,
+    borderRadius: theme.borderRadius.xl,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+    ...theme.shadows.sm,
+  },
+  iconBadge: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.colors.primary[500] + '18',
+    marginRight: theme.spacing.md,
+  },
+  iconBadgeFinished: {
+    backgroundColor: theme.colors.text.secondary + '18',
+  },
+  textSection: {
+    flex: 1,
+  },
+  courseName: {
+    fontFamily: theme.fonts.semibold,
+    fontSize: 14,
+    color: theme.colors.text.primary,
+    marginBottom: 2,
+  },
+  detail: {
+    fontFamily: theme.fonts.regular,
+    fontSize: 12,
+    color: theme.colors.text.tertiary,
+  },
+  syncWarning: {
+    color: theme.colors.semantic.warning,
+  },
+  discardButton: {
+    paddingLeft: theme.spacing.md,
+  },
+});
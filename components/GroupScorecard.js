@@ -0,0 +1,500 @@
+/**
+ * Group Scorecard
+ *
+ * Combined scorecard for a group round: the player plus up to three
+ * playing partners (app users or guests). Shows gross and net per hole
+ * for each player, lets the scorer add/remove partners, and enter a
+ * partner's score by tapping their cell.
+ *
+ * Styling matches the full scorecard modal in HoleViewSatellite.
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  StyleSheet,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { allocateHandicapStrokes } from '../utils/handicapUtils';
+import theme from '../theme';
+
+const MAX_PARTNERS = 3;
+
+export default function GroupScorecard({
+  holesData = {},
+  firstHole = 1,
+  lastHole = 18,
+  playerScores = {},
+  playerStrokes = {},
+  playerPlayingHandicap = null,
+  partners = [],
+  onAddPartner,
+  onRemovePartner,
+  onSetPartnerScore,
+}) {
+  const [isAdding, setIsAdding] = useState(false);
+  const [nameOrEmail, setNameOrEmail] = useState('');
+  const [guestHandicap, setGuestHandicap] = useState('');
+  const [addError, setAddError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [editingCell, setEditingCell] = useState(null); // { partnerId, hole }
+
+  const holeNumbers = useMemo(() => {
+    const holes = [];
+    for (let h = firstHole; h <= lastHole; h++) holes.push(h);
+    return holes;
+  }, [firstHole, lastHole]);
+
+  // Strokes per hole for each partner from their own playing handicap
+  const partnerStrokes = useMemo(() => {
+    const roundHoles = holeNumbers.map(h => ({ holeNumber: h, handicapIndex: holesData[h]?.handicap }));
+    const result = {};
+    partners.forEach((p) => {
+      result[p.id] = p.playingHandicap != null
+        ? allocateHandicapStrokes(p.playingHandicap, roundHoles, holeNumbers.length)
+        : {};
+    });
+    return result;
+  }, [partners, holesData, holeNumbers]);
+
+  const players = [
+    { id: 'self', name: 'You', playingHandicap: playerPlayingHandicap, scores: playerScores, strokes: playerStrokes },
+    ...partners.map(p => ({ ...p, strokes: partnerStrokes[p.id] || {} })),
+  ];
+
+  const totalsFor = (player) => {
+    let gross = 0;
+    let net = 0;
+    holeNumbers.forEach((h) => {
+      const s = player.scores?.[h];
+      if (s) {
+        gross += s;
+        net += s - (player.strokes[h] || 0);
+      }
+    });
+    return { gross, net };
+  };
+
+  const handleAdd = async () => {
+    const value = nameOrEmail.trim();
+    if (!value) return;
+    setIsSubmitting(true);
+    setAddError(null);
+    const error = await onAddPartner?.({
+      nameOrEmail: value,
+      handicap: guestHandicap.trim() || null,
+    });
+    setIsSubmitting(false);
+    if (error) {
+      setAddError(error);
+      return;
+    }
+    setNameOrEmail('');
+    setGuestHandicap('');
+    setIsAdding(false);
+  };
+
+  const editingPartner = editingCell ? partners.find(p => p.id === editingCell.partnerId) : null;
+  const editingScore = editingPartner?.scores?.[editingCell.hole] ?? holesData[editingCell?.hole]?.par ?? 4;
+
+  const setEditingScore = (score) => {
+    if (!editingPartner) return;
+    onSetPartnerScore?.(editingPartner.id, editingCell.hole, score);
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Players */}
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.playersRow}>
+        {players.map((p) => (
+          <View key={p.id} style={styles.playerChip}>
+            <Text style={styles.playerChipName}>{p.name}</Text>
+            {p.playingHandicap != null && (
+              <Text style={styles.playerChipHcp}>PH {p.playingHandicap}</Text>
+            )}
+            {p.id !== 'self' && (
+              <TouchableOpacity
+                onPress={() => onRemovePartner?.(p.id)}
+                hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              >
+                <Ionicons name="close-circle" size={16} color="rgba(255,255,255,0.6)" />
+              </TouchableOpacity>
+            )}
+          </View>
+        ))}
+        {partners.length < MAX_PARTNERS && !isAdding && (
+          <TouchableOpacity style={styles.addChip} onPress={() => setIsAdding(true)} activeOpacity={0.8}>
+            <Ionicons name="person-add" size={14} color="#0d2818" />
+            <Text style={styles.addChipText}>Add Player</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+
+      {/* Add partner form */}
+      {isAdding && (
+        <View style={styles.addForm}>
+          <TextInput
+            value={nameOrEmail}
+            onChangeText={setNameOrEmail}
+            placeholder="Guest name or app user's email"
+            placeholderTextColor="#999"
+            autoCapitalize="none"
+            style={styles.addInput}
+          />
+          <TextInput
+            value={guestHandicap}
+            onChangeText={setGuestHandicap}
+            placeholder="Handicap index (guests)"
+            placeholderTextColor="#999"
+            keyboardType="numbers-and-punctuation"
+            style={styles.addInput}
+          />
+          {addError && <Text style={styles.addError}>{addError}</Text>}
+          <View style={styles.addActions}>
+            <TouchableOpacity
+              onPress={() => { setIsAdding(false); setAddError(null); }}
+              style={styles.addCancel}
+            >
+              <Text style={styles.addCancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={handleAdd} style={styles.addConfirm} disabled={isSubmitting}>
+              {isSubmitting
+                ? <ActivityIndicator size="small" color="#fff" />
+                : <Text style={styles.addConfirmText}>Add</Text>}
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      {/* Combined scorecard */}
+      <View style={styles.table}>
+        <View style={styles.headerRow}>
+          <Text style={[styles.headerCell, styles.holeCol]}>Hole</Text>
+          <Text style={[styles.headerCell, styles.parCol]}>Par</Text>
+          {players.map(p => (
+            <Text key={p.id} style={[styles.headerCell, styles.playerCol]} numberOfLines={1}>{p.name}</Text>
+          ))}
+        </View>
+
+        {holeNumbers.map((hole) => (
+          <View key={hole} style={styles.row}>
+            <Text style={[styles.cell, styles.holeCol, styles.holeNum]}>{hole}</Text>
+            <Text style={[styles.cell, styles.parCol]}>{holesData[hole]?.par || '-'}</Text>
+            {players.map((p) => {
+              const gross = p.scores?.[hole];
+              const strokes = p.strokes[hole] || 0;
+              const isEditing = editingCell?.partnerId === p.id && editingCell?.hole === hole;
+              const content = (
+                <>
+                  <Text style={styles.grossText}>
+                    {gross || '-'}
+                    {strokes > 0 && <Text style={styles.strokeDots}>{'•'.repeat(strokes)}</Text>}
+                  </Text>
+                  {gross ? <Text style={styles.netText}>{gross - strokes}</Text> : null}
+                </>
+              );
+              if (p.id === 'self') {
+                return <View key={p.id} style={styles.playerCol}>{content}</View>;
+              }
+              return (
+                <TouchableOpacity
+                  key={p.id}
+                  style={[styles.playerCol, isEditing && styles.cellEditing]}
+                  onPress={() => setEditingCell(isEditing ? null : { partnerId: p.id, hole })}
+                  activeOpacity={0.6}
+                >
+                  {content}
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        ))}
+
+        <View style={[styles.row, styles.totalRow]}>
+          <Text style={[styles.totalCell, styles.holeCol]}>TOT</Text>
+          <Text style={[styles.totalCell, styles.parCol]}>
+            {holeNumbers.reduce((sum, h) => sum + (holesData[h]?.par || 0), 0) || '-'}
+          </Text>
+          {players.map((p) => {
+            const { gross, net } = totalsFor(p);
+            return (
+              <View key={p.id} style={styles.playerCol}>
+                <Text style={styles.totalCell}>{gross || '-'}</Text>
+                {gross > 0 && <Text style={styles.netText}>{net}</Text>}
+              </View>
+            );
+          })}
+        </View>
+      </View>
+      <Text style={styles.legend}>Gross score with net below. Tap a partner's cell to enter their score.</Text>
+
+      {/* Partner score entry */}
+      {editingPartner && (
+        <View style={styles.editBar}>
+          <Text style={styles.editLabel}>Hole {editingCell.hole} · {editingPartner.name}</Text>
+          <View style={styles.stepper}>
+            <TouchableOpacity
+              style={styles.stepButton}
+              onPress={() => setEditingScore(Math.max(1, editingScore - 1))}
+            >
+              <Ionicons name="remove" size={20} color="#0d2818" />
+            </TouchableOpacity>
+            <Text style={styles.stepValue}>{editingScore}</Text>
+            <TouchableOpacity
+              style={styles.stepButton}
+              onPress={() => setEditingScore(Math.min(20, editingScore + 1))}
+            >
+              <Ionicons name="add" size={20} color="#0d2818" />
+            </TouchableOpacity>
+          </View>
+          <View style={styles.editActions}>
+            <TouchableOpacity onPress={() => setEditingScore(null)}>
+              <Text style={styles.editClear}>Clear</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => {
+                if (editingPartner.scores?.[editingCell.hole] == null) setEditingScore(editingScore);
+                setEditingCell(null);
+              }}
+            >
+              <Text style={styles.editDone}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingBottom: 16,
+  },
+
+  // Players
+  playersRow: {
+    gap: 8,
+    paddingBottom: 12,
+  },
+  playerChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    backgroundColor: 'rgba(255, 255, 255, 0.12)',
+  },
+  playerChipName: {
+    fontFamily: theme.fonts.semibold,
+    color: '#ffffff',
+    fontSize: 13,
+  },
+  playerChipHcp: {
+    fontFamily: theme.fonts.regular,
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 12,
+  },
+  addChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    backgroundColor: '#ffffff',
+  },
+  addChipText: {
+    fontFamily: theme.fonts.semibold,
+    color: '#0d2818',
+    fontSize: 13,
+  },
+
+  // Add form
+  addForm: {
+    backgroundColor: 'rgba(255, 255, 255, 0.95)',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+    gap: 8,
+  },
+  addInput: {
+    fontFamily: theme.fonts.regular,
+    fontSize: 14,
+    color: '#333',
+    borderWidth: 1,
+    borderColor: 'rgba(0, 0, 0, 0.15)',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+  },
+  addError: {
+    fontFamily: theme.fonts.medium,
+    color: '#d32f2f',
+    fontSize: 12,
+  },
+  addActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 12,
+  },
+  addCancel: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  addCancelText: {
+    fontFamily: theme.fonts.semibold,
+    color: '#666',
+    fontSize: 14,
+  },
+  addConfirm: {
+    paddingVertical: 8,
+    paddingHorizontal: 20,
+    borderRadius: 6,
+    backgroundColor: '#1a472a',
+    minWidth: 64,
+    alignItems: 'center',
+  },
+  addConfirmText: {
+    fontFamily: theme.fonts.bold,
+    color: '#ffffff',
+    fontSize: 14,
+  },
+
+  // Table
+  table: {
+    backgroundColor: 'rgba(255, 255, 255, 0.95)',
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  headerRow: {
+    flexDirection: 'row',
+    backgroundColor: '#0d2818',
+    paddingVertical: 10,
+    paddingHorizontal: 8,
+  },
+  headerCell: {
+    fontFamily: theme.fonts.bold,
+    color: '#ffffff',
+    fontSize: 12,
+    textAlign: 'center',
+  },
+  row: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(0, 0, 0, 0.1)',
+    alignItems: 'center',
+  },
+  totalRow: {
+    backgroundColor: 'rgba(13, 40, 24, 0.1)',
+    borderBottomWidth: 0,
+  },
+  cell: {
+    fontFamily: theme.fonts.regular,
+    color: '#333',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  totalCell: {
+    fontFamily: theme.fonts.bold,
+    color: '#0d2818',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  holeCol: {
+    width: 40,
+  },
+  parCol: {
+    width: 36,
+  },
+  playerCol: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 4,
+    borderRadius: 6,
+  },
+  cellEditing: {
+    backgroundColor: 'rgba(26, 71, 42, 0.15)',
+  },
+  holeNum: {
+    fontFamily: theme.fonts.bold,
+    color: '#0d2818',
+  },
+  grossText: {
+    fontFamily: theme.fonts.bold,
+    fontSize: 15,
+    color: '#333',
+  },
+  strokeDots: {
+    fontSize: 9,
+    color: '#16a34a',
+  },
+  netText: {
+    fontFamily: theme.fonts.regular,
+    fontSize: 11,
+    color: '#666',
+  },
+  legend: {
+    fontFamily: theme.fonts.regular,
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 12,
+    marginTop: 8,
+    textAlign: 'center',
+  },
+
+  // Partner score entry
+  editBar: {
+    marginTop: 12,
+    backgroundColor: '#ffffff',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+    gap: 10,
+  },
+  editLabel: {
+    fontFamily: theme.fonts.semibold,
+    color: '#0d2818',
+    fontSize: 14,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 20,
+  },
+  stepButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(13, 40, 24, 0.1)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepValue: {
+    fontFamily: theme.fonts.bold,
+    color: '#0d2818',
+    fontSize: 28,
+    minWidth: 40,
+    textAlign: 'center',
+  },
+  editActions: {
+    flexDirection: 'row',
+    gap: 32,
+  },
+  editClear: {
+    fontFamily: theme.fonts.semibold,
+    color: '#d32f2f',
+    fontSize: 14,
+  },
+  editDone: {
+    fontFamily: theme.fonts.bold,
+    color: '#1a472a',
+    fontSize: 14,
+  },
+});
@@ -0,0 +1,526 @@
+/**
+ * HoleShotEditor
+ *
+ * Full-screen editor for one hole's submitted shots, shown from
+ * RoundDetailScreen. Shots are drawn on the satellite map with a
+ * DraggableShotMarker at each landing and a small handle at each start
+ * that isn't the previous landing (the tee, drops after a penalty).
+ * Tapping a shot selects it to change its club or result, insert a missed
+ * shot after it, or delete it. Distances, lie and offline values are
+ * re-derived on every change (see services/shotEditor).
+ */
+
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Platform,
+  Alert,
+} from 'react-native';
+import MapView, { Marker, Polyline, PROVIDER_GOOGLE } from 'react-native-maps';
+import { Ionicons } from '@expo/vector-icons';
+import theme from '../theme';
+import DraggableShotMarker from './DraggableShotMarker';
+import { preComputeHazardCentroids } from '../services/dragShotCalculator';
+import {
+  sortHoleShots,
+  moveShotPoint,
+  insertShotAfter,
+  deleteShotAt,
+  rederiveHoleShots,
+} from '../services/shotEditor';
+import { calculateDistance, calculateBearing } from '../utils/geoUtils';
+
+// Short club names for chips and markers
+const CLUB_LABELS = {
+  driver: 'Driver',
+  '3_wood': '3W',
+  '5_wood': '5W',
+  '4_hybrid': '4H',
+  '5_hybrid': '5H',
+  '3_iron': '3i',
+  '4_iron': '4i',
+  '5_iron': '5i',
+  '6_iron': '6i',
+  '7_iron': '7i',
+  '8_iron': '8i',
+  '9_iron': '9i',
+  pw: 'PW',
+  gw: 'GW',
+  sw: 'SW',
+  lw: 'LW',
+  putter: 'Putter',
+};
+
+const CLUB_ORDER = Object.keys(CLUB_LABELS);
+
+const RESULT_OPTIONS = [
+  { key: 'fairway', label: 'Fairway' },
+  { key: 'green', label: 'Green' },
+  { key: 'rough_left', label: 'Rough L' },
+  { key: 'rough_right', label: 'Rough R' },
+  { key: 'bunker', label: 'Bunker' },
+  { key: 'fringe', label: 'Fringe' },
+  { key: 'water', label: 'Water' },
+  { key: 'ob', label: 'OB' },
+  { key: 'other', label: 'Other' },
+];
+
+function getMarkerColor(result) {
+  if (result === 'water' || result === 'ob') return 'red';
+  if (result === 'bunker' || result === 'rough_left' || result === 'rough_right') return 'yellow';
+  return 'green';
+}
+
+function fromOf(shot) {
+  return { latitude: shot.from_lat, longitude: shot.from_lon };
+}
+
+function toOf(shot) {
+  return shot.to_lat != null ? { latitude: shot.to_lat, longitude: shot.to_lon } : null;
+}
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the editor is shown
+ * @param {number} props.holeNumber - Hole being edited
+ * @param {Object} props.hole - Hole geometry { teeBox, green, polygons } (fetchHolesByCourse)
+ * @param {Array} props.shots - round_shots rows for the hole
+ * @param {Object} props.userClubs - User's bag { clubId: distance }
+ * @param {function} props.onSave - Async callback with the edited shots; resolves { error }
+ * @param {function} props.onCancel - Close without saving
+ */
+export default function HoleShotEditor({ visible, holeNumber, hole, shots, userClubs, onSave, onCancel }) {
+  const [edited, setEdited] = useState([]);
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [draggingIndex, setDraggingIndex] = useState(null);
+  const [isDirty, setIsDirty] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const green = hole?.green;
+  const polygons = hole?.polygons || [];
+
+  useEffect(() => {
+    if (!visible) return;
+    setEdited(sortHoleShots(shots));
+    setSelectedIndex(null);
+    setIsDirty(false);
+  }, [visible, holeNumber]);
+
+  const hazardCentroids = useMemo(() => preComputeHazardCentroids(polygons), [polygons]);
+
+  const applyEdit = useCallback((update) => {
+    setEdited(prev => rederiveHoleShots(update(prev), { green, polygons }));
+    setIsDirty(true);
+  }, [green, polygons]);
+
+  const handleDragStart = useCallback((index) => {
+    setDraggingIndex(index);
+  }, []);
+
+  const handleLandingDragEnd = useCallback((index, coordinate) => {
+    setDraggingIndex(null);
+    applyEdit(prev => moveShotPoint(prev, index, 'to', coordinate));
+  }, [applyEdit]);
+
+  const handleStartDragEnd = (index, coordinate) => {
+    applyEdit(prev => moveShotPoint(prev, index, 'from', coordinate));
+  };
+
+  const handleInsert = () => {
+    applyEdit(prev => insertShotAfter(prev, selectedIndex, green));
+    setSelectedIndex(selectedIndex + 1);
+  };
+
+  const handleDelete = () => {
+    const index = selectedIndex;
+    Alert.alert(
+      'Delete Shot?',
+      `Shot ${edited[index]?.shot_number} will be removed and the shots after it renumbered.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => {
+            applyEdit(prev => deleteShotAt(prev, index));
+            setSelectedIndex(null);
+          },
+        },
+      ]
+    );
+  };
+
+  const updateSelected = (fields) => {
+    applyEdit(prev => prev.map((s, i) => (i === selectedIndex ? { ...s, ...fields } : s)));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const { error } = await onSave(edited);
+    setIsSaving(false);
+    if (error) {
+      Alert.alert('Save Failed', error);
+    }
+  };
+
+  const handleCancel = () => {
+    if (!isDirty) {
+      onCancel();
+      return;
+    }
+    Alert.alert('Discard Changes?', 'Your edits to this hole will be lost.', [
+      { text: 'Keep Editing', style: 'cancel' },
+      { text: 'Discard', style: 'destructive', onPress: onCancel },
+    ]);
+  };
+
+  const camera = useMemo(() => {
+    const firstShot = sortHoleShots(shots)[0];
+    const start = hole?.teeBox?.latitude ? hole.teeBox : (firstShot ? fromOf(firstShot) : null);
+    if (!start || !green?.latitude) return null;
+    const length = calculateDistance(start, green);
+    return {
+      center: {
+        latitude: (start.latitude + green.latitude) / 2,
+        longitude: (start.longitude + green.longitude) / 2,
+      },
+      heading: calculateBearing(start, green),
+      pitch: 0,
+      altitude: Math.max(length * 2.2, 300),
+      zoom: length > 400 ? 16.4 : 17,
+    };
+  }, [hole, green, shots]);
+
+  const selected = selectedIndex != null ? edited[selectedIndex] : null;
+
+  const clubOptions = useMemo(() => {
+    const inBag = CLUB_ORDER.filter(club => userClubs?.[club] != null || club === 'putter');
+    if (selected?.club && !inBag.includes(selected.club)) inBag.push(selected.club);
+    return inBag;
+  }, [userClubs, selected?.club]);
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={handleCancel}>
+      <View style={styles.container}>
+        {camera && (
+          <MapView
+            style={styles.map}
+            mapType="satellite"
+            provider={Platform.OS === 'android' ? PROVIDER_GOOGLE : undefined}
+            initialCamera={camera}
+            pitchEnabled={false}
+          >
+            {edited.map((shot, index) => {
+              const from = fromOf(shot);
+              const to = toOf(shot);
+              const prevLanding = index > 0 ? toOf(edited[index - 1]) : null;
+              const showStartHandle = !prevLanding || calculateDistance(prevLanding, from) > 3;
+
+              return (
+                <React.Fragment key={shot.id || `new-${index}`}>
+                  {showStartHandle && (
+                    <Marker
+                      coordinate={from}
+                      anchor={{ x: 0.5, y: 0.5 }}
+                      draggable
+                      onDragEnd={e => handleStartDragEnd(index, e.nativeEvent.coordinate)}
+                      onPress={() => setSelectedIndex(index)}
+                    >
+                      <View style={styles.startHandle} />
+                    </Marker>
+                  )}
+
+                  {to && (
+                    <Polyline
+                      coordinates={[from, to]}
+                      strokeColor={selectedIndex === index ? '#ffffff' : 'rgba(255, 255, 255, 0.6)'}
+                      strokeWidth={selectedIndex === index ? 3 : 2}
+                      lineDashPattern={shot.shot_type === 'putt' ? [4, 4] : undefined}
+                    />
+                  )}
+
+                  {to && (
+                    <DraggableShotMarker
+                      shot={{
+                        landingZone: to,
+                        shotNumber: shot.shot_number,
+                        club: CLUB_LABELS[shot.club] || shot.club || '?',
+                        distance: shot.distance_actual ?? 0,
+                      }}
+                      shotIndex={index}
+                      isSelected={selectedIndex === index}
+                      color={getMarkerColor(shot.result)}
+                      isDragging={draggingIndex === index}
+                      previousPosition={from}
+                      greenPosition={green}
+                      preComputedClubReaches={null}
+                      weather={null}
+                      hazardCentroids={hazardCentroids}
+                      polygons={polygons}
+                      isApproach={index === edited.length - 1}
+                      onDragStart={handleDragStart}
+                      onDragEnd={handleLandingDragEnd}
+                      onPress={setSelectedIndex}
+                    />
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </MapView>
+        )}
+
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={handleCancel} style={styles.headerButton} activeOpacity={0.7}>
+            <Text style={styles.headerButtonText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Hole {holeNumber} Shots</Text>
+          <TouchableOpacity
+            onPress={handleSave}
+            style={styles.headerButton}
+            activeOpacity={0.7}
+            disabled={!isDirty || isSaving}
+          >
+            {isSaving ? (
+              <ActivityIndicator size="small" color="#ffffff" />
+            ) : (
+              <Text style={[styles.headerButtonText, styles.saveText, !isDirty && styles.disabledText]}>Save</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        {/* Selected shot */}
+        <View style={styles.panel}>
+          {/* Shot picker — putts and holed shots have no landing marker to tap */}
+          <View style={styles.shotPicker}>
+            {edited.map((shot, index) => (
+              <TouchableOpacity
+                key={shot.id || `new-${index}`}
+                onPress={() => setSelectedIndex(index)}
+                style={[styles.shotPill, selectedIndex === index && styles.chipSelected]}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.shotPillText}>{shot.shot_number}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {selected ? (
+            <>
+              <View style={styles.panelTopRow}>
+                <Text style={styles.panelTitle}>
+                  Shot {selected.shot_number}
+                  {selected.distance_actual != null ? ` · ${selected.distance_actual} yds` : ''}
+                  {selected.lie_type ? ` · from ${selected.lie_type}` : ''}
+                </Text>
+                <View style={styles.panelActions}>
+                  <TouchableOpacity onPress={handleInsert} style={styles.actionButton} activeOpacity={0.7}>
+                    <Ionicons name="add" size={16} color="#ffffff" />
+                    <Text style={styles.actionText}>Insert After</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={handleDelete}
+                    style={[styles.actionButton, styles.deleteButton]}
+                    activeOpacity={0.7}
+                    disabled={edited.length <= 1}
+                  >
+                    <Ionicons name="trash-outline" size={16} color="#ffffff" />
+                  </TouchableOpacity>
+                </View>
+              </View>
+
+              <Text style={styles.sectionLabel}>CLUB</Text>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+                {clubOptions.map(club => (
+                  <TouchableOpacity
+                    key={club}
+                    onPress={() => updateSelected({ club, club_confirmed: true })}
+                    style={[styles.chip, selected.club === club && styles.chipSelected]}
+                    activeOpacity={0.7}
+                  >
+                    <Text style={[styles.chipText, selected.club === club && styles.chipTextSelected]}>
+                      {CLUB_LABELS[club] || club}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+
+              <Text style={styles.sectionLabel}>RESULT</Text>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+                {RESULT_OPTIONS.map(option => (
+                  <TouchableOpacity
+                    key={option.key}
+                    onPress={() => updateSelected({ result: option.key })}
+                    style={[styles.chip, selected.result === option.key && styles.chipSelected]}
+                    activeOpacity={0.7}
+                  >
+                    <Text style={[styles.chipText, selected.result === option.key && styles.chipTextSelected]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+            </>
+          ) : (
+            <Text style={styles.hintText}>
+              Drag a shot to where it really landed, or tap it to change the club or result.
+            </Text>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000000',
+  },
+  map: {
+    ...StyleSheet.absoluteFillObject,
+  },
+  header: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: 52,
+    paddingHorizontal: theme.spacing.md,
+    paddingBottom: theme.spacing.sm,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  headerTitle: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  headerButton: {
+    minWidth: 60,
+    paddingVertical: 6,
+  },
+  headerButtonText: {
+    color: '#ffffff',
+    fontSize: 15,
+  },
+  saveText: {
+    fontWeight: '700',
+    textAlign: 'right',
+    color: '#34d399',
+  },
+  disabledText: {
+    opacity: 0.4,
+  },
+  startHandle: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    backgroundColor: '#ffffff',
+    borderWidth: 2,
+    borderColor: '#0f172a',
+  },
+  panel: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.85)',
+    paddingHorizontal: theme.spacing.md,
+    paddingTop: theme.spacing.md,
+    paddingBottom: 34,
+  },
+  shotPicker: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginBottom: theme.spacing.md,
+  },
+  shotPill: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(255, 255, 255, 0.12)',
+  },
+  shotPillText: {
+    color: '#ffffff',
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  panelTopRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  panelTitle: {
+    color: '#ffffff',
+    fontSize: 14,
+    fontWeight: '700',
+    flexShrink: 1,
+  },
+  panelActions: {
+    flexDirection: 'row',
+    gap: theme.spacing.sm,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 6,
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  deleteButton: {
+    backgroundColor: 'rgba(239, 68, 68, 0.8)',
+  },
+  actionText: {
+    color: '#ffffff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  sectionLabel: {
+    color: 'rgba(255, 255, 255, 0.5)',
+    fontSize: 10,
+    fontWeight: '700',
+    letterSpacing: 1,
+    marginTop: theme.spacing.md,
+    marginBottom: 6,
+  },
+  chipRow: {
+    gap: 6,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    borderRadius: 16,
+    backgroundColor: 'rgba(255, 255, 255, 0.12)',
+  },
+  chipSelected: {
+    backgroundColor: '#10b981',
+  },
+  chipText: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  chipTextSelected: {
+    color: '#ffffff',
+  },
+  hintText: {
+    color: 'rgba(255, 255, 255, 0.7)',
+    fontSize: 13,
+    textAlign: 'center',
+    paddingBottom: theme.spacing.sm,
+  },
+});
@@ -0,0 +1,175 @@
+/**
+ * Pin Sheet Modal
+ *
+ * Paste or type the day's pin sheet — one hole per line with paces from
+ * the front and from the left/right edge — and apply it to the round.
+ * Parsing lives in services/pinPositionCalculator; the screen turns the
+ * entries into GPS pins against each green.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  KeyboardAvoidingView,
+  StyleSheet,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { parsePinSheet } from '../services/pinPositionCalculator';
+import theme from '../theme';
+
+const EXAMPLE = '1  24  L6\n2  12  R5\n3  30';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {string|null} props.message - Result of the last apply (e.g. holes that didn't fit)
+ * @param {function} props.onApply - Callback with parsed entries [{ holeNumber, fromFront, fromEdge, edge }]
+ * @param {function} props.onClose - Dismiss
+ */
+export default function PinSheetModal({ visible, message = null, onApply, onClose }) {
+  const [text, setText] = useState('');
+
+  useEffect(() => {
+    if (visible) setText('');
+  }, [visible]);
+
+  const parsed = useMemo(() => parsePinSheet(text), [text]);
+
+  return (
+    <Modal visible={visible} animationType="fade" transparent onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={styles.card}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Pin Sheet</Text>
+            <TouchableOpacity style={styles.closeBtn} onPress={onClose} activeOpacity={0.6}>
+              <Ionicons name="close" size={18} color="rgba(255,255,255,0.6)" />
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.hint}>
+            One hole per line: hole, paces from the front, then paces from the left (L) or right (R) edge.
+          </Text>
+
+          <TextInput
+            style={styles.input}
+            value={text}
+            onChangeText={setText}
+            placeholder={EXAMPLE}
+            placeholderTextColor="rgba(255, 255, 255, 0.25)"
+            multiline
+            autoCapitalize="characters"
+            autoCorrect={false}
+          />
+
+          <Text style={styles.summary}>
+            {parsed.entries.length} hole{parsed.entries.length !== 1 ? 's' : ''} read
+            {parsed.errors.length > 0 ? ` · couldn't read: ${parsed.errors.join(', ')}` : ''}
+          </Text>
+          {message && <Text style={styles.message}>{message}</Text>}
+
+          <TouchableOpacity
+            style={[styles.applyBtn, parsed.entries.length === 0 && styles.applyBtnDisabled]}
+            onPress={() => onApply(parsed.entries)}
+            disabled={parsed.entries.length === 0}
+            activeOpacity={0.8}
+          >
+            <Ionicons name="flag" size={16} color="#fff" />
+            <Text style={styles.applyBtnText}>Set Pins</Text>
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  card: {
+    backgroundColor: 'rgba(8, 10, 16, 0.96)',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.06)',
+    padding: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  title: {
+    fontFamily: theme.fonts.semibold,
+    color: '#fff',
+    fontSize: 16,
+  },
+  closeBtn: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: 'rgba(255, 255, 255, 0.08)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  hint: {
+    fontFamily: theme.fonts.regular,
+    color: 'rgba(255, 255, 255, 0.5)',
+    fontSize: 12,
+    marginBottom: 10,
+  },
+  input: {
+    fontFamily: theme.fonts.medium,
+    color: '#fff',
+    fontSize: 15,
+    minHeight: 160,
+    maxHeight: 260,
+    textAlignVertical: 'top',
+    backgroundColor: 'rgba(255, 255, 255, 0.06)',
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.08)',
+    borderRadius: 8,
+    padding: 10,
+  },
+  summary: {
+    fontFamily: theme.fonts.regular,
+    color: 'rgba(255, 255, 255, 0.5)',
+    fontSize: 12,
+    marginTop: 8,
+  },
+  message: {
+    fontFamily: theme.fonts.regular,
+    color: '#f59e0b',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  applyBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: theme.colors.accent.emerald,
+    paddingVertical: 12,
+    borderRadius: theme.borderRadius.lg,
+    marginTop: 12,
+  },
+  applyBtnDisabled: {
+    opacity: 0.4,
+  },
+  applyBtnText: {
+    fontFamily: theme.fonts.semibold,
+    color: '#fff',
+    fontSize: 15,
+  },
+});
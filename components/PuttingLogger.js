@@ -0,0 +1,424 @@
+/**
+ * Putting Logger
+ *
+ * Bottom panel for logging putts one at a time on the green: start
+ * distance (first putt estimated from GPS when on the green polygon,
+ * otherwise entered), make/miss, and the leave distance after a miss.
+ * The next putt starts from the previous leave.
+ *
+ * Design matches ShotEntryPanel dark glass style.
+ */
+
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Animated,
+  Dimensions,
+  StyleSheet,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import theme from '../theme';
+
+const { height: SCREEN_HEIGHT } = Dimensions.get('window');
+const PANEL_HEIGHT = SCREEN_HEIGHT * 0.46;
+
+const DEFAULT_FIRST_PUTT_FEET = 20;
+const MAX_PUTTS = 6;
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether panel is shown
+ * @param {number} props.holeNumber - Current hole number
+ * @param {number} props.shotNumber - Shot number of the first putt
+ * @param {number|null} props.estimatedFeet - GPS estimate of the first putt (null when off the green)
+ * @param {function} props.onSave - Callback with [{ distanceFt, leaveFt, made }]
+ * @param {function} props.onCancel - Dismiss without logging
+ */
+export default function PuttingLogger({
+  visible,
+  holeNumber,
+  shotNumber,
+  estimatedFeet = null,
+  onSave,
+  onCancel,
+}) {
+  const [putts, setPutts] = useState([]); // Completed putts
+  const [distanceFt, setDistanceFt] = useState(DEFAULT_FIRST_PUTT_FEET);
+  const [leaveFt, setLeaveFt] = useState(3);
+  const [rendered, setRendered] = useState(false);
+  const slideAnim = useRef(new Animated.Value(PANEL_HEIGHT)).current;
+
+  const isHoled = putts.length > 0 && putts[putts.length - 1].made;
+
+  useEffect(() => {
+    if (visible) {
+      setPutts([]);
+      setDistanceFt(estimatedFeet ?? DEFAULT_FIRST_PUTT_FEET);
+      setLeaveFt(defaultLeave(estimatedFeet ?? DEFAULT_FIRST_PUTT_FEET));
+      setRendered(true);
+      slideAnim.setValue(PANEL_HEIGHT);
+      Animated.timing(slideAnim, {
+        toValue: 0,
+        duration: 250,
+        useNativeDriver: true,
+      }).start();
+    } else if (rendered) {
+      Animated.timing(slideAnim, {
+        toValue: PANEL_HEIGHT,
+        duration: 200,
+        useNativeDriver: true,
+      }).start(() => {
+        setRendered(false);
+      });
+    }
+  }, [visible]);
+
+  const addPutt = (made) => {
+    const putt = { distanceFt, leaveFt: made ? 0 : leaveFt, made };
+    setPutts(prev => [...prev, putt]);
+    if (!made) {
+      setDistanceFt(leaveFt);
+      setLeaveFt(defaultLeave(leaveFt));
+    }
+  };
+
+  const undoPutt = () => {
+    const last = putts[putts.length - 1];
+    if (!last) return;
+    setPutts(prev => prev.slice(0, -1));
+    setDistanceFt(last.distanceFt);
+    setLeaveFt(last.made ? defaultLeave(last.distanceFt) : last.leaveFt);
+  };
+
+  if (!rendered) return null;
+
+  const isFirstPutt = putts.length === 0;
+  const canAddPutt = !isHoled && putts.length < MAX_PUTTS;
+
+  return (
+    <Animated.View
+      style={[
+        styles.container,
+        { height: PANEL_HEIGHT, transform: [{ translateY: slideAnim }] },
+      ]}
+      pointerEvents={visible ? 'auto' : 'none'}
+    >
+      {/* Drag handle */}
+      <View style={styles.handleRow}>
+        <View style={styles.handle} />
+      </View>
+
+      {/* Header */}
+      <View style={styles.header}>
+        <View style={styles.headerLeft}>
+          <View style={styles.shotBadge}>
+            <Text style={styles.shotBadgeText}>{shotNumber + putts.length}</Text>
+          </View>
+          <Text style={styles.headerTitle}>
+            {isHoled ? 'Holed' : `Putt ${putts.length + 1}`}
+          </Text>
+          <Text style={styles.headerSubtitle}>Hole {holeNumber}</Text>
+        </View>
+        <TouchableOpacity style={styles.closeBtn} onPress={onCancel} activeOpacity={0.6}>
+          <Ionicons name="close" size={18} color="rgba(255,255,255,0.6)" />
+        </TouchableOpacity>
+      </View>
+
+      {/* Logged putts */}
+      <View style={styles.puttList}>
+        {putts.map((p, i) => (
+          <View key={i} style={[styles.puttChip, p.made && styles.puttChipMade]}>
+            <Text style={[styles.puttChipText, p.made && styles.puttChipTextMade]}>
+              {p.distanceFt}ft {p.made ? '✓' : `→ ${p.leaveFt}ft`}
+            </Text>
+          </View>
+        ))}
+        {putts.length > 0 && (
+          <TouchableOpacity onPress={undoPutt} style={styles.undoBtn} activeOpacity={0.6}>
+            <Ionicons name="arrow-undo" size={14} color="rgba(255,255,255,0.5)" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {canAddPutt && (
+        <>
+          {/* Putt distance */}
+          <View style={styles.section}>
+            <Text style={styles.sectionLabel}>
+              DISTANCE{isFirstPutt && estimatedFeet != null ? ' · GPS' : ''}
+            </Text>
+            <FeetStepper value={distanceFt} onChange={setDistanceFt} />
+          </View>
+
+          {/* Leave distance on a miss */}
+          <View style={styles.section}>
+            <Text style={styles.sectionLabel}>LEAVE IF MISSED</Text>
+            <FeetStepper value={leaveFt} onChange={setLeaveFt} />
+          </View>
+
+          <View style={styles.actionsRow}>
+            <TouchableOpacity style={[styles.actionBtn, styles.missBtn]} onPress={() => addPutt(false)} activeOpacity={0.8}>
+              <Ionicons name="close-circle" size={16} color="#f59e0b" />
+              <Text style={[styles.actionBtnText, { color: '#f59e0b' }]}>Missed</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.actionBtn, styles.makeBtn]} onPress={() => addPutt(true)} activeOpacity={0.8}>
+              <Ionicons name="flag" size={16} color="#10b981" />
+              <Text style={[styles.actionBtnText, { color: '#10b981' }]}>Made</Text>
+            </TouchableOpacity>
+          </View>
+        </>
+      )}
+
+      {/* Save */}
+      <View style={styles.footer}>
+        <TouchableOpacity
+          style={[styles.confirmBtn, putts.length === 0 && styles.confirmBtnDisabled]}
+          onPress={() => onSave(putts)}
+          activeOpacity={0.8}
+          disabled={putts.length === 0}
+        >
+          <Ionicons name="checkmark-circle" size={18} color="#fff" />
+          <Text style={styles.confirmBtnText}>
+            Save {putts.length} Putt{putts.length !== 1 ? 's' : ''}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    </Animated.View>
+  );
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function FeetStepper({ value, onChange }) {
+  const step = (delta) => onChange(Math.max(1, value + delta));
+  return (
+    <View style={styles.stepperRow}>
+      {[-5, -1].map(d => (
+        <TouchableOpacity key={d} style={styles.stepBtn} onPress={() => step(d)} activeOpacity={0.7}>
+          <Text style={styles.stepBtnText}>{d}</Text>
+        </TouchableOpacity>
+      ))}
+      <Text style={styles.stepValue}>{value} ft</Text>
+      {[1, 5].map(d => (
+        <TouchableOpacity key={d} style={styles.stepBtn} onPress={() => step(d)} activeOpacity={0.7}>
+          <Text style={styles.stepBtnText}>+{d}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * Typical leave for a missed putt: about a tenth of the distance, at least a foot.
+ */
+function defaultLeave(distanceFt) {
+  return Math.max(1, Math.round(distanceFt * 0.1));
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    backgroundColor: 'rgba(8, 10, 16, 0.96)',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.06)',
+    zIndex: 2100,
+    elevation: 25,
+    ...Platform.select({
+      ios: {
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: -4 },
+        shadowOpacity: 0.3,
+        shadowRadius: 12,
+      },
+    }),
+  },
+
+  handleRow: {
+    alignItems: 'center',
+    paddingTop: 8,
+    paddingBottom: 4,
+  },
+  handle: {
+    width: 32,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+  },
+
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingBottom: 12,
+  },
+  headerLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  shotBadge: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    backgroundColor: '#10b981',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  shotBadgeText: {
+    fontFamily: theme.fonts.bold,
+    color: '#fff',
+    fontSize: 12,
+  },
+  headerTitle: {
+    fontFamily: theme.fonts.semibold,
+    color: '#fff',
+    fontSize: 15,
+  },
+  headerSubtitle: {
+    fontFamily: theme.fonts.regular,
+    color: 'rgba(255, 255, 255, 0.4)',
+    fontSize: 13,
+  },
+  closeBtn: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: 'rgba(255, 255, 255, 0.08)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  puttList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 16,
+    marginBottom: 10,
+    minHeight: 28,
+  },
+  puttChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 8,
+    backgroundColor: 'rgba(245, 158, 11, 0.12)',
+  },
+  puttChipMade: {
+    backgroundColor: 'rgba(16, 185, 129, 0.15)',
+  },
+  puttChipText: {
+    fontFamily: theme.fonts.medium,
+    color: '#f59e0b',
+    fontSize: 12,
+  },
+  puttChipTextMade: {
+    color: theme.colors.accent.emerald,
+  },
+  undoBtn: {
+    padding: 6,
+  },
+
+  section: {
+    paddingHorizontal: 16,
+    marginBottom: 10,
+  },
+  sectionLabel: {
+    fontFamily: theme.fonts.semibold,
+    color: 'rgba(255, 255, 255, 0.35)',
+    fontSize: 10,
+    letterSpacing: 1,
+    marginBottom: 6,
+  },
+
+  stepperRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  stepBtn: {
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    borderRadius: 8,
+    backgroundColor: 'rgba(255, 255, 255, 0.06)',
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.08)',
+  },
+  stepBtnText: {
+    fontFamily: theme.fonts.medium,
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 13,
+  },
+  stepValue: {
+    fontFamily: theme.fonts.bold,
+    color: '#fff',
+    fontSize: 18,
+    minWidth: 64,
+    textAlign: 'center',
+  },
+
+  actionsRow: {
+    flexDirection: 'row',
+    gap: 8,
+    paddingHorizontal: 16,
+    marginBottom: 10,
+  },
+  actionBtn: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+  },
+  missBtn: {
+    backgroundColor: 'rgba(245, 158, 11, 0.1)',
+    borderColor: 'rgba(245, 158, 11, 0.4)',
+  },
+  makeBtn: {
+    backgroundColor: 'rgba(16, 185, 129, 0.1)',
+    borderColor: 'rgba(16, 185, 129, 0.4)',
+  },
+  actionBtnText: {
+    fontFamily: theme.fonts.semibold,
+    fontSize: 14,
+  },
+
+  footer: {
+    paddingHorizontal: 16,
+    paddingTop: 4,
+  },
+  confirmBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: theme.colors.accent.emerald,
+    paddingVertical: 12,
+    borderRadius: theme.borderRadius.lg,
+  },
+  confirmBtnDisabled: {
+    opacity: 0.4,
+  },
+  confirmBtnText: {
+    fontFamily: theme.fonts.semibold,
+    color: '#fff',
+    fontSize: 15,
+  },
+});
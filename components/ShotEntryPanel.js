@@ -3,7 +3,10 @@
  *
  * Two-mode bottom panel for the shot logging flow:
  * - preshot: Club → Lie → Feel → Felt Good → Start Tracking
- * - result: Result → Save Shot
+ * - result: Club → Result → Save Shot. The club is prefilled with the one
+ *   inferred from the measured distance when the guess is confident.
+ *   Water and OB add a penalty stroke and ask how the next ball is put in
+ *   play (drop, replay, provisional).
  *
  * Design matches ShotDetailPanel dark glass style.
  */
@@ -21,10 +24,13 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import theme from '../theme';
+import { getPenaltyStrokes, getReliefOptions, RELIEF_LABELS } from '../services/shotPenalties';
+import { LOW_CONFIDENCE } from '../services/clubInference';
 
 const { height: SCREEN_HEIGHT } = Dimensions.get('window');
 const PRESHOT_PANEL_HEIGHT = SCREEN_HEIGHT * 0.48;
-const RESULT_PANEL_HEIGHT = SCREEN_HEIGHT * 0.28;
+const RESULT_PANEL_HEIGHT = SCREEN_HEIGHT * 0.36;
+const PENALTY_PANEL_HEIGHT = SCREEN_HEIGHT * 0.46;
 
 // Club display names (short form for chips)
 const CLUB_LABELS = {
@@ -86,8 +92,13 @@ const SHOT_RESULTS = [
  * @param {Object} props.userClubs - User's bag { clubId: distance } or { clubId: { name, distance } }
  * @param {string} props.recommendedClub - AI-recommended club id (pre-selected)
  * @param {string} props.defaultLie - Auto-detected lie type to pre-select
+ * @param {boolean} props.isProvisional - Logging a provisional ball
+ * @param {string} props.shotClub - Result mode: club picked before the shot
+ * @param {Object} props.inferredClub - Result mode: { club, confidence } from clubInference
  * @param {function} props.onStartTracking - Callback with pre-shot data { club, lieType, shotFeel, feltGood }
- * @param {function} props.onSaveResult - Callback with result data { result }
+ * @param {function} props.onSaveResult - Callback with result data { result, relief, club, clubConfirmed },
+ *   relief set for water/OB (point_of_entry, line, replay, provisional); clubConfirmed is
+ *   false when the club is only the distance guess the player never picked or accepted
  * @param {function} props.onCancel - Dismiss without logging
  */
 export default function ShotEntryPanel({
@@ -98,17 +109,31 @@ export default function ShotEntryPanel({
   userClubs,
   recommendedClub,
   defaultLie,
+  isProvisional = false,
+  shotClub,
+  inferredClub,
   onStartTracking,
   onSaveResult,
   onCancel,
 }) {
-  const panelHeight = mode === 'preshot' ? PRESHOT_PANEL_HEIGHT : RESULT_PANEL_HEIGHT;
+  const [selectedResult, setSelectedResult] = useState(null);
+  const [selectedRelief, setSelectedRelief] = useState(null);
+
+  // No provisional for a provisional: its own OB is replayed
+  const reliefOptions = getReliefOptions(selectedResult)
+    .filter(option => !(isProvisional && option === 'provisional'));
+  const penaltyStrokes = getPenaltyStrokes(selectedResult);
+
+  const panelHeight = mode === 'preshot'
+    ? PRESHOT_PANEL_HEIGHT
+    : penaltyStrokes > 0 ? PENALTY_PANEL_HEIGHT : RESULT_PANEL_HEIGHT;
 
   const [selectedClub, setSelectedClub] = useState(null);
+  // Result mode: the club came from the player (pre-shot pick or a tap), not the guess
+  const [clubPicked, setClubPicked] = useState(false);
   const [selectedLie, setSelectedLie] = useState(null);
   const [selectedFeel, setSelectedFeel] = useState('solid');
   const [feltGood, setFeltGood] = useState(true);
-  const [selectedResult, setSelectedResult] = useState(null);
   const [rendered, setRendered] = useState(false);
   const slideAnim = useRef(new Animated.Value(PRESHOT_PANEL_HEIGHT)).current;
 
@@ -125,6 +150,10 @@ export default function ShotEntryPanel({
         setFeltGood(true);
       } else {
         setSelectedResult(getDefaultResult(defaultLie, shotNumber));
+        setSelectedRelief(null);
+        // The player's pre-shot club stays; the distance guess is offered as a suggestion
+        setSelectedClub(shotClub || inferredClub?.club || null);
+        setClubPicked(!!shotClub);
       }
       setRendered(true);
       slideAnim.setValue(panelHeight);
@@ -154,10 +183,31 @@ export default function ShotEntryPanel({
     });
   }, [selectedClub, selectedLie, selectedFeel, feltGood, onStartTracking]);
 
+  // Pick the most common relief whenever a penalty result is chosen
+  const handleSelectResult = useCallback((result) => {
+    setSelectedResult(result);
+    const options = getReliefOptions(result).filter(option => !(isProvisional && option === 'provisional'));
+    setSelectedRelief(options[0] || null);
+  }, [isProvisional]);
+
   const handleSaveResult = useCallback(() => {
     if (!selectedResult) return;
-    onSaveResult({ result: selectedResult });
-  }, [selectedResult, onSaveResult]);
+    onSaveResult({
+      result: selectedResult,
+      relief: penaltyStrokes > 0 ? selectedRelief : null,
+      club: selectedClub,
+      clubConfirmed: clubPicked,
+    });
+  }, [selectedResult, selectedRelief, penaltyStrokes, selectedClub, clubPicked, onSaveResult]);
+
+  const handlePickClub = useCallback((club) => {
+    setSelectedClub(club);
+    setClubPicked(true);
+  }, []);
+
+  // Only a confident guess is worth suggesting over the player's own pick
+  const showClubGuess = !!inferredClub && inferredClub.club !== 'putter' &&
+    (inferredClub.confidence >= LOW_CONFIDENCE || !shotClub);
 
   if (!rendered) return null;
 
@@ -181,7 +231,7 @@ export default function ShotEntryPanel({
             <Text style={styles.shotBadgeText}>{shotNumber}</Text>
           </View>
           <Text style={styles.headerTitle}>
-            {mode === 'preshot' ? 'Shot' : 'Shot Result'}
+            {isProvisional ? 'Provisional' : mode === 'preshot' ? 'Shot' : 'Shot Result'}
           </Text>
           <Text style={styles.headerSubtitle}>Hole {holeNumber}</Text>
         </View>
@@ -317,6 +367,58 @@ export default function ShotEntryPanel({
         </>
       ) : (
         <>
+          {/* Club - the pre-shot pick, with the guess from the measured distance as a suggestion */}
+          <View style={styles.section}>
+            <Text style={styles.sectionLabel}>
+              CLUB
+              {showClubGuess && inferredClub.club === selectedClub ? (
+                <Text style={styles.inferredLabel}>
+                  {'  '}LOOKS LIKE {(CLUB_LABELS[inferredClub.club] || inferredClub.club).toUpperCase()} · {Math.round(inferredClub.confidence * 100)}%
+                </Text>
+              ) : null}
+            </Text>
+            {showClubGuess && inferredClub.club !== selectedClub && (
+              <TouchableOpacity
+                style={styles.suggestionPill}
+                onPress={() => handlePickClub(inferredClub.club)}
+                activeOpacity={0.7}
+              >
+                <Ionicons name="swap-horizontal" size={14} color="#10b981" />
+                <Text style={styles.suggestionText}>
+                  Looks like {CLUB_LABELS[inferredClub.club] || inferredClub.club} ({Math.round(inferredClub.confidence * 100)}%) — tap to use
+                </Text>
+              </TouchableOpacity>
+            )}
+            <ScrollView
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              contentContainerStyle={styles.chipRow}
+            >
+              {clubList.map(club => (
+                <TouchableOpacity
+                  key={club.id}
+                  style={[
+                    styles.chip,
+                    selectedClub === club.id && styles.chipSelected,
+                    inferredClub?.club === club.id && selectedClub !== club.id && styles.chipRecommended,
+                  ]}
+                  onPress={() => handlePickClub(club.id)}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[
+                    styles.chipText,
+                    selectedClub === club.id && styles.chipTextSelected,
+                  ]}>
+                    {club.label}
+                  </Text>
+                  {inferredClub?.club === club.id && selectedClub !== club.id && (
+                    <View style={styles.recommendedDot} />
+                  )}
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          </View>
+
           {/* Result Selection */}
           <View style={styles.section}>
             <Text style={styles.sectionLabel}>RESULT</Text>
@@ -335,7 +437,7 @@ export default function ShotEntryPanel({
                       borderColor: result.color,
                     },
                   ]}
-                  onPress={() => setSelectedResult(result.key)}
+                  onPress={() => handleSelectResult(result.key)}
                   activeOpacity={0.7}
                 >
                   <Ionicons
@@ -354,13 +456,49 @@ export default function ShotEntryPanel({
             </ScrollView>
           </View>
 
+          {/* Penalty relief: how the next ball is put in play */}
+          {penaltyStrokes > 0 && (
+            <View style={styles.section}>
+              <Text style={styles.sectionLabel}>
+                {selectedResult === 'water' ? 'RELIEF' : 'STROKE AND DISTANCE'}
+              </Text>
+              <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                contentContainerStyle={styles.chipRow}
+              >
+                {reliefOptions.map(option => (
+                  <TouchableOpacity
+                    key={option}
+                    style={[
+                      styles.chip,
+                      selectedRelief === option && styles.chipSelected,
+                    ]}
+                    onPress={() => setSelectedRelief(option)}
+                    activeOpacity={0.7}
+                  >
+                    <Text style={[
+                      styles.chipText,
+                      selectedRelief === option && styles.chipTextSelected,
+                    ]}>
+                      {RELIEF_LABELS[option]}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+              <Text style={styles.penaltyNote}>
+                +{penaltyStrokes} penalty stroke · next shot is {shotNumber + penaltyStrokes + 1}
+              </Text>
+            </View>
+          )}
+
           {/* Save Shot Button */}
           <View style={styles.footer}>
             <TouchableOpacity
               style={[styles.confirmBtn, !selectedResult && styles.confirmBtnDisabled]}
               onPress={handleSaveResult}
               activeOpacity={0.8}
-              disabled={!selectedResult}
+              disabled={!selectedResult || (penaltyStrokes > 0 && !selectedRelief)}
             >
               <Ionicons name="checkmark-circle" size={18} color="#fff" />
               <Text style={styles.confirmBtnText}>Save Shot</Text>
@@ -592,6 +730,35 @@ const styles = StyleSheet.create({
     color: 'rgba(255, 255, 255, 0.6)',
     fontSize: 12,
   },
+  suggestionPill: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginBottom: 8,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: 'rgba(16, 185, 129, 0.3)',
+    backgroundColor: 'rgba(16, 185, 129, 0.1)',
+  },
+  suggestionText: {
+    fontFamily: theme.fonts.medium,
+    color: '#10b981',
+    fontSize: 12,
+  },
+  inferredLabel: {
+    fontFamily: theme.fonts.medium,
+    color: 'rgba(16, 185, 129, 0.7)',
+    fontSize: 10,
+  },
+  penaltyNote: {
+    fontFamily: theme.fonts.regular,
+    color: '#ef4444',
+    fontSize: 12,
+    marginTop: 6,
+  },
 
   footer: {
     paddingHorizontal: 16,
@@ -0,0 +1,323 @@
+/**
+ * Side Games Panel
+ *
+ * Live side game standings for a group round, shown under the group
+ * scorecard: turn games on/off, set the stake, pick the wolf's partner
+ * for the hole being viewed, and see each game's status and money.
+ *
+ * Games are computed by utils/sideGames; this panel only edits the game
+ * configs and renders results.
+ */
+
+import React, { useMemo } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  SIDE_GAMES,
+  computeSideGames,
+  combineSettlements,
+  getWolfForHole,
+  formatAmount,
+} from '../utils/sideGames';
+import theme from '../theme';
+
+const DEFAULT_STAKE = 1;
+const STAKE_STEPS = [1, 2, 5, 10, 20];
+
+export default function SideGamesPanel({
+  games = [],
+  players = [],
+  holes = [],
+  viewingHole,
+  onChangeGames,
+}) {
+  const enabledGames = useMemo(() => games.filter(g => g.enabled !== false), [games]);
+
+  const results = useMemo(
+    () => computeSideGames(enabledGames, players, holes),
+    [enabledGames, players, holes]
+  );
+  const settlement = useMemo(() => combineSettlements(results, players), [results, players]);
+
+  const updateGame = (type, changes) => {
+    const existing = games.find(g => g.type === type);
+    const next = existing
+      ? games.map(g => (g.type === type ? { ...g, ...changes } : g))
+      : [...games, { type, enabled: true, stake: DEFAULT_STAKE, ...changes }];
+    onChangeGames?.(next);
+  };
+
+  const cycleStake = (game) => {
+    const idx = STAKE_STEPS.indexOf(game.stake);
+    updateGame(game.type, { stake: STAKE_STEPS[(idx + 1) % STAKE_STEPS.length] });
+  };
+
+  // Wolf pick for the hole on screen
+  const wolfGame = enabledGames.find(g => g.type === 'wolf');
+  const wolfHoleIndex = holes.findIndex(h => h.holeNumber === viewingHole);
+  const wolf = wolfGame && wolfHoleIndex >= 0 ? getWolfForHole(players, wolfHoleIndex) : null;
+  const wolfPick = wolfGame?.picks?.[viewingHole] || null;
+
+  const setWolfPick = (pick) => {
+    const picks = { ...(wolfGame.picks || {}) };
+    if (pick) picks[viewingHole] = pick;
+    else delete picks[viewingHole];
+    updateGame('wolf', { picks });
+  };
+
+  if (players.length < 2) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.sectionTitle}>Side Games</Text>
+        <Text style={styles.emptyText}>Add a playing partner to start skins, Nassau, wolf or a match.</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>Side Games</Text>
+
+      {/* Game toggles */}
+      <View style={styles.gamesRow}>
+        {Object.entries(SIDE_GAMES).map(([type, def]) => {
+          const game = games.find(g => g.type === type);
+          const isOn = !!game && game.enabled !== false;
+          return (
+            <View key={type} style={[styles.gameChip, isOn && styles.gameChipActive]}>
+              <TouchableOpacity
+                onPress={() => updateGame(type, { enabled: !isOn })}
+                style={styles.gameChipToggle}
+                activeOpacity={0.8}
+              >
+                <Ionicons
+                  name={isOn ? 'checkmark-circle' : 'ellipse-outline'}
+                  size={14}
+                  color={isOn ? '#ffffff' : '#0d2818'}
+                />
+                <Text style={[styles.gameChipText, isOn && styles.gameChipTextActive]}>{def.label}</Text>
+              </TouchableOpacity>
+              {isOn && (
+                <TouchableOpacity onPress={() => cycleStake(game)} hitSlop={{ top: 8, bottom: 8, left: 4, right: 8 }}>
+                  <Text style={styles.stakeText}>${game.stake ?? DEFAULT_STAKE}</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          );
+        })}
+      </View>
+      {enabledGames.length > 0 && <Text style={styles.hint}>Tap a stake to change it</Text>}
+
+      {/* Wolf pick for this hole */}
+      {wolf && (
+        <View style={styles.wolfCard}>
+          <Text style={styles.wolfTitle}>Hole {viewingHole}: {wolf.name} is the wolf</Text>
+          <View style={styles.wolfOptions}>
+            {players.filter(p => p.id !== wolf.id).map(p => (
+              <TouchableOpacity
+                key={p.id}
+                style={[styles.wolfOption, wolfPick?.partnerId === p.id && styles.wolfOptionActive]}
+                onPress={() => setWolfPick(wolfPick?.partnerId === p.id ? null : { partnerId: p.id })}
+              >
+                <Text style={[styles.wolfOptionText, wolfPick?.partnerId === p.id && styles.wolfOptionTextActive]}>
+                  {p.name}
+                </Text>
+              </TouchableOpacity>
+            ))}
+            {[{ key: 'lone', label: 'Lone' }, { key: 'blind', label: 'Blind' }].map(option => (
+              <TouchableOpacity
+                key={option.key}
+                style={[styles.wolfOption, wolfPick?.[option.key] && styles.wolfOptionActive]}
+                onPress={() => setWolfPick(wolfPick?.[option.key] ? null : { [option.key]: true })}
+              >
+                <Text style={[styles.wolfOptionText, wolfPick?.[option.key] && styles.wolfOptionTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      )}
+
+      {/* Standings per game */}
+      {results.map(result => (
+        <View key={result.type} style={styles.resultCard}>
+          <Text style={styles.resultTitle}>{SIDE_GAMES[result.type]?.label || result.type}</Text>
+          {result.available === false ? (
+            <Text style={styles.resultUnavailable}>{result.reason}</Text>
+          ) : (
+            result.lines.map((line, i) => (
+              <Text key={i} style={styles.resultLine}>{line}</Text>
+            ))
+          )}
+        </View>
+      ))}
+
+      {/* Running money */}
+      {results.length > 0 && (
+        <View style={styles.moneyRow}>
+          {settlement.map(s => (
+            <View key={s.playerId} style={styles.moneyItem}>
+              <Text style={styles.moneyName} numberOfLines={1}>{s.name}</Text>
+              <Text style={[styles.moneyValue, s.total > 0 && styles.moneyUp, s.total < 0 && styles.moneyDown]}>
+                {formatAmount(s.total)}
+              </Text>
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 20,
+  },
+  sectionTitle: {
+    fontFamily: theme.fonts.bold,
+    color: '#ffffff',
+    fontSize: 16,
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontFamily: theme.fonts.regular,
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 13,
+  },
+  hint: {
+    fontFamily: theme.fonts.regular,
+    color: 'rgba(255, 255, 255, 0.5)',
+    fontSize: 11,
+    marginTop: 6,
+  },
+
+  // Game toggles
+  gamesRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  gameChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: 'rgba(255, 255, 255, 0.9)',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  gameChipActive: {
+    backgroundColor: '#1a472a',
+  },
+  gameChipToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  gameChipText: {
+    fontFamily: theme.fonts.semibold,
+    color: '#0d2818',
+    fontSize: 13,
+  },
+  gameChipTextActive: {
+    color: '#ffffff',
+  },
+  stakeText: {
+    fontFamily: theme.fonts.bold,
+    color: '#a7f3d0',
+    fontSize: 13,
+  },
+
+  // Wolf
+  wolfCard: {
+    marginTop: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.95)',
+    borderRadius: 8,
+    padding: 12,
+  },
+  wolfTitle: {
+    fontFamily: theme.fonts.semibold,
+    color: '#0d2818',
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  wolfOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  wolfOption: {
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#1a472a',
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  wolfOptionActive: {
+    backgroundColor: '#1a472a',
+  },
+  wolfOptionText: {
+    fontFamily: theme.fonts.semibold,
+    color: '#1a472a',
+    fontSize: 12,
+  },
+  wolfOptionTextActive: {
+    color: '#ffffff',
+  },
+
+  // Results
+  resultCard: {
+    marginTop: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.95)',
+    borderRadius: 8,
+    padding: 12,
+  },
+  resultTitle: {
+    fontFamily: theme.fonts.bold,
+    color: '#0d2818',
+    fontSize: 14,
+    marginBottom: 4,
+  },
+  resultLine: {
+    fontFamily: theme.fonts.regular,
+    color: '#333',
+    fontSize: 13,
+    marginTop: 2,
+  },
+  resultUnavailable: {
+    fontFamily: theme.fonts.regular,
+    color: '#999',
+    fontSize: 13,
+  },
+
+  // Money
+  moneyRow: {
+    flexDirection: 'row',
+    marginTop: 12,
+    backgroundColor: 'rgba(13, 40, 24, 0.6)',
+    borderRadius: 8,
+    paddingVertical: 10,
+  },
+  moneyItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  moneyName: {
+    fontFamily: theme.fonts.regular,
+    color: 'rgba(255, 255, 255, 0.7)',
+    fontSize: 12,
+  },
+  moneyValue: {
+    fontFamily: theme.fonts.bold,
+    color: '#ffffff',
+    fontSize: 16,
+    marginTop: 2,
+  },
+  moneyUp: {
+    color: '#4ade80',
+  },
+  moneyDown: {
+    color: '#f87171',
+  },
+});
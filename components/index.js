@@ -13,12 +13,14 @@ export { default as QuickActionCard } from './QuickActionCard';
 export { default as StatsSummaryCard } from './StatsSummaryCard';
 export { default as EffectiveDistanceDisplay } from './EffectiveDistanceDisplay';
 export { default as DraggableShotMarker } from './DraggableShotMarker';
+export { default as HoleShotEditor } from './HoleShotEditor';
 export { default as PressableScale } from './PressableScale';
 export { default as GlassCard } from './GlassCard';
 export { default as AnimatedNumber } from './AnimatedNumber';
 export { default as AICaddieCard } from './AICaddieCard';
 export { default as StatRing } from './StatRing';
 export { default as RecentRoundCard } from './RecentRoundCard';
+export { default as CachedRoundRow } from './CachedRoundRow';
 export { default as SkeletonShimmer, CardSkeleton, StatsSkeleton, ListItemSkeleton } from './SkeletonLoader';
 export { default as StepIndicator } from './StepIndicator';
 export { default as TrainingOverlay } from './TrainingOverlay';
@@ -13,6 +13,7 @@ import { StatusBar } from 'expo-status-bar';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import { fetchCourseHistory } from '../services/roundService';
+import { getScoringFormatLabel, formatUsesPoints } from '../utils/scoringFormats';
 import { fetchWeather, getMockWeather } from '../services/weatherService';
 import AICaddieCard from '../components/AICaddieCard';
 
@@ -137,6 +138,29 @@ export default function CourseOverviewScreen({ course, userId, onBack, onStartRo
     setIsLoadingHistory(false);
   };
 
+  const renderFormatBreakdown = () => {
+    const formats = Object.entries(historyStats?.byFormat || {});
+    if (formats.length === 0 || (formats.length === 1 && formats[0][0] === 'stroke')) return null;
+
+    return (
+      <View style={styles.formatBreakdown}>
+        {formats.map(([format, summary]) => {
+          const unit = formatUsesPoints(format) ? ' pts' : '';
+          return (
+            <View key={format} style={styles.formatRow}>
+              <Text style={styles.formatLabel}>{getScoringFormatLabel(format)}</Text>
+              <Text style={styles.formatValue}>
+                {summary.roundsPlayed} round{summary.roundsPlayed === 1 ? '' : 's'}
+                {summary.averageScore != null ? `  ·  Avg ${summary.averageScore}${unit}` : ''}
+                {summary.bestScore != null ? `  ·  Best ${summary.bestScore}${unit}` : ''}
+              </Text>
+            </View>
+          );
+        })}
+      </View>
+    );
+  };
+
   const renderQuickStatValue = (value, label) => {
     const hasValue = value != null && value !== 'N/A';
     return (
@@ -247,7 +271,12 @@ export default function CourseOverviewScreen({ course, userId, onBack, onStartRo
               </View>
               <View style={styles.recentRoundMiddle}>
                 <Text style={styles.recentRoundDate}>{formatRelativeDate(round.started_at)}</Text>
-                <Text style={styles.recentRoundTee}>{round.tee_color || 'Unknown'} tees</Text>
+                <Text style={styles.recentRoundTee}>
+                  {round.tee_color || 'Unknown'} tees
+                  {round.scoring_format && round.scoring_format !== 'stroke' && round.format_score != null
+                    ? `  ·  ${getScoringFormatLabel(round.scoring_format, true)} ${round.format_score}`
+                    : ''}
+                </Text>
               </View>
               <View style={styles.recentRoundRight}>
                 {round.total_putts != null && (
@@ -387,6 +416,20 @@ export default function CourseOverviewScreen({ course, userId, onBack, onStartRo
                 </View>
               </View>
 
+              {/* 9-hole rounds are summarized apart from the 18-hole totals above */}
+              {historyStats.nineHole && (
+                <View style={styles.nineHoleRow}>
+                  <Text style={styles.nineHoleText}>
+                    9 holes: {historyStats.nineHole.roundsPlayed} round{historyStats.nineHole.roundsPlayed === 1 ? '' : 's'}
+                    {historyStats.nineHole.averageScore != null ? `  ·  Avg ${historyStats.nineHole.averageScore}` : ''}
+                    {historyStats.nineHole.bestScore != null ? `  ·  Best ${historyStats.nineHole.bestScore}` : ''}
+                  </Text>
+                </View>
+              )}
+
+              {/* 18-hole results per scoring format, once more than stroke play has been played */}
+              {renderFormatBreakdown()}
+
               {/* Score trend mini-chart */}
               {renderScoreTrend()}
 
@@ -756,6 +799,39 @@ const styles = StyleSheet.create({
   },
 
   // Secondary stats row
+  nineHoleRow: {
+    marginHorizontal: 16,
+    paddingVertical: 10,
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: '#e5e5e5',
+  },
+  nineHoleText: {
+    fontSize: 13,
+    color: '#8e8e93',
+    letterSpacing: -0.2,
+  },
+  formatBreakdown: {
+    marginHorizontal: 16,
+    paddingVertical: 10,
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: '#e5e5e5',
+  },
+  formatRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 3,
+  },
+  formatLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#000',
+    letterSpacing: -0.2,
+  },
+  formatValue: {
+    fontSize: 13,
+    color: '#8e8e93',
+    letterSpacing: -0.2,
+  },
   secondaryStatsRow: {
     flexDirection: 'row',
     alignItems: 'center',
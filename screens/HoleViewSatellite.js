@@ -33,6 +33,11 @@ import { Ionicons } from '@expo/vector-icons';
 import { Button, EffectiveDistanceDisplay, DraggableShotMarker } from '../components';
 import ShotDetailPanel from '../components/ShotDetailPanel';
 import ShotEntryPanel from '../components/ShotEntryPanel';
+import PuttingLogger from '../components/PuttingLogger';
+import GroupScorecard from '../components/GroupScorecard';
+import SideGamesPanel from '../components/SideGamesPanel';
+import PinSheetModal from '../components/PinSheetModal';
+import { buildSideGamePlayers } from '../utils/sideGames';
 import { useTraining } from '../components/TrainingProvider';
 import TrainingOverlay from '../components/TrainingOverlay';
 import { calculateShotContext } from '../services/shotCalculations';
@@ -40,13 +45,51 @@ import { getElevationChange } from '../services/weatherService';
 import theme from '../theme';
 import { fetchHolesByCourse } from '../services/holeService';
 import { loadUserBag, computeLocalHolePlan } from '../services/aiCaddyService';
+import { findBestSimulatedOption } from '../services/monteCarloSimulator';
 import { calculateDistance, calculateBearing, determineLieType, calculateHazardDistances } from '../utils/geoUtils';
+import { estimatePuttDistanceFeet } from '../utils/puttingUtils';
+import { pinFromTap, pinFromPaces, getPinTarget, formatPinLocation } from '../services/pinPositionCalculator';
 import { startTracking, stopTracking } from '../services/locationService';
 // Shot detection - tracks player movement to auto-detect shots
 import { createShotDetector, STATES } from '../services/shotDetectionService';
+// Course tracking - notices the player moving on to another hole
+import { createCourseTracker } from '../services/courseTracker';
+import { getPenaltyStrokes, getDropPosition, summarizeHoleShots, RELIEF_OPTIONS } from '../services/shotPenalties';
+import { inferClub } from '../services/clubInference';
 import { startSimulation, stopSimulation } from '../services/gpsSimulator';
+import {
+  startTraceRecording,
+  stopTraceRecording,
+  recordTraceHole,
+  listTraces,
+  loadTrace,
+} from '../services/gpsTraceRecorder';
+import { startTraceReplay, stopTraceReplay, getReplayTime } from '../services/gpsTraceReplay';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { saveShotToCache, getNextShotNumber, updateShotLanding } from '../services/roundCacheService';
+import {
+  saveShotToCache,
+  getCachedShots,
+  getNextShotNumber,
+  getFirstPuttNumber,
+  replaceCachedPutts,
+  getCachedShotsForHole,
+  updateShotLanding,
+  resolveCachedProvisional,
+  getRoundPartners,
+  addRoundPartner,
+  removeRoundPartner,
+  savePartnerHoleScore,
+  getSideGames,
+  saveSideGames,
+  getPinPositions,
+  savePinPositions,
+  getTransportMode,
+  saveTransportMode,
+  getRiskProfile,
+  saveRiskProfile,
+  getRoundHandicap,
+} from '../services/roundCacheService';
+import { findPlayerByEmail } from '../services/authService';
 import { loadPlayerInsights } from '../services/playerInsightsService';
 import * as Speech from 'expo-speech';
 import { fetchWeather } from '../services/weatherService';
@@ -55,9 +98,11 @@ import {
   preComputeHazardCentroids,
   computeFullShotUpdate,
 } from '../services/dragShotCalculator';
-import { DEFAULT_SCORING_CONFIG } from '../services/scoringConfig';
+import { RISK_PROFILES, configForRiskProfile } from '../services/scoringConfig';
+import { calculateAimPoint, projectFlightPath } from '../services/landingZoneCalculator';
 import { generateBezierArc, easeOutCubic, calculateArcHeight, generateTrailColors } from '../utils/shotPathAnimation';
 import { generateCaddieReminders } from '../utils/caddieReminders';
+import { parseHandicapIndex, allocateHandicapStrokes } from '../utils/handicapUtils';
 
 const { width } = Dimensions.get('window');
 
@@ -78,12 +123,21 @@ function deriveLieFromResult(result) {
   }
 }
 
+// Result for an original ball found after hitting a provisional, from its lie
+const FOUND_BALL_RESULTS = {
+  fairway: 'fairway',
+  green: 'green',
+  fringe: 'fringe',
+  bunker: 'bunker',
+};
+
 export default function HoleViewSatellite({
   course,
   selectedTee,
   currentHole = 1,
   onEndRound,
   onNextHole,
+  onChangeHole,
   onPauseRound,
   resumeScores = [],
 }) {
@@ -98,6 +152,10 @@ export default function HoleViewSatellite({
     return scores;
   };
 
+  // Hole range for this round (9-hole rounds play only the front or back nine)
+  const firstHole = selectedTee?.nine === 'back' ? 10 : 1;
+  const lastHole = selectedTee?.nine === 'front' ? 9 : 18;
+
   const [holesData, setHolesData] = useState({});
   const [isLoadingHoles, setIsLoadingHoles] = useState(true);
   const [score, setScore] = useState(null);
@@ -130,6 +188,14 @@ export default function HoleViewSatellite({
   const [userClubDistances, setUserClubDistances] = useState(null);
   const [caddiePreferences, setCaddiePreferences] = useState(null);
   const [playerInsights, setPlayerInsights] = useState(null);
+  const [roundHandicap, setRoundHandicap] = useState(null);
+  const [partners, setPartners] = useState([]); // Playing partners in a group round
+  const [scorecardView, setScorecardView] = useState('mine'); // 'mine' | 'group'
+  const [sideGames, setSideGames] = useState([]); // Side game configs for a group round
+  const [pins, setPins] = useState({}); // Today's pin per hole (planning falls back to green center)
+  const [pinMode, setPinMode] = useState(false); // Next tap on the green sets the pin
+  const [showPinSheet, setShowPinSheet] = useState(false);
+  const [pinSheetMessage, setPinSheetMessage] = useState(null);
   const [lieType, setLieType] = useState('tee'); // 'tee', 'fairway', 'rough', 'bunker', 'fringe', 'green'
   const [isTrackingActive, setIsTrackingActive] = useState(false);
   const [gpsPosition, setGpsPosition] = useState(null);
@@ -138,6 +204,10 @@ export default function HoleViewSatellite({
   const [weather, setWeather] = useState(null);
   const [currentMapHeading, setCurrentMapHeading] = useState(0); // Track actual camera heading for wind arrow
   const [isSimActive, setIsSimActive] = useState(false);
+  const [isTraceRecording, setIsTraceRecording] = useState(false);
+  const [replayTrace, setReplayTrace] = useState(null); // Recorded trace fed to the detector (dev)
+  const [transportMode, setTransportMode] = useState(selectedTee?.transportMode || 'auto'); // 'auto' | 'walking' | 'cart'
+  const [riskProfile, setRiskProfile] = useState('balanced'); // 'protect' | 'balanced' | 'aggressive'
   const [shotDetectorState, setShotDetectorState] = useState(STATES.IDLE);
   const [detectedShots, setDetectedShots] = useState([]);
   // Shot logging state machine: 'idle' | 'preshot' | 'tracking' | 'result'
@@ -147,7 +217,13 @@ export default function HoleViewSatellite({
   const [trackingFromPosition, setTrackingFromPosition] = useState(null);
   const [trackingDistance, setTrackingDistance] = useState(0);
   const [preShotData, setPreShotData] = useState(null);
+  // Water/OB: where the next ball is played from, and a provisional waiting on the original
+  const [dropPosition, setDropPosition] = useState(null);
+  const [provisionalBall, setProvisionalBall] = useState(null); // { originalShotNumber }
+  // Club guessed from the measured distance when tracking stops
+  const [inferredClub, setInferredClub] = useState(null);
   const [nextLieType, setNextLieType] = useState('tee');
+  const [puttEstimateFeet, setPuttEstimateFeet] = useState(null); // GPS first-putt estimate
   // Draggable target state
   const [editedShots, setEditedShots] = useState(null);
   const [shotColors, setShotColors] = useState([]);
@@ -166,7 +242,25 @@ export default function HoleViewSatellite({
   const ballGlowAnim = React.useRef(new Animated.Value(0)).current;
   const [mapRenderKick, setMapRenderKick] = useState(0); // Forces a second render cycle for react-native-maps
 
+  // Handicap strokes per hole (the playing handicap snapshotted at round
+  // start, allocated by stroke index) for net scores and stroke dots
+  const holeStrokes = useMemo(() => {
+    if (!roundHandicap) return {};
+    const roundHoles = [];
+    for (let h = firstHole; h <= lastHole; h++) {
+      roundHoles.push({ holeNumber: h, handicapIndex: holesData[h]?.handicap });
+    }
+    return allocateHandicapStrokes(roundHandicap.playingHandicap, roundHoles, lastHole - firstHole + 1);
+  }, [roundHandicap, holesData, firstHole, lastHole]);
+
   const shotDetectorRef = React.useRef(null);
+  const courseTrackerRef = React.useRef(null);
+  // Latest tracker event handlers, so the tracker doesn't need recreating every render
+  const courseTrackerHandlersRef = React.useRef({});
+  // Hole the course tracker found the player on, played after this one is scored
+  const [pendingNextHole, setPendingNextHole] = useState(null);
+  // Read when each hole's detector is created, so a mid-hole change doesn't reset detection
+  const transportModeRef = React.useRef(transportMode);
   const mapRef = React.useRef(null);
   const scrollViewRef = React.useRef(null);
   const markerTappedRef = React.useRef(false); // Prevents map press when tapping a marker
@@ -239,6 +333,125 @@ export default function HoleViewSatellite({
     setShotColors(aiSuggestedShots.map(() => 'green'));
   }, [aiSuggestedShots]);
 
+  // Load playing partners, side games, pins and the round handicap from the round cache (survives resume)
+  useEffect(() => {
+    getRoundPartners().then(setPartners);
+    getSideGames().then(setSideGames);
+    getPinPositions().then(setPins);
+    getTransportMode().then((mode) => {
+      transportModeRef.current = mode;
+      setTransportMode(mode);
+    });
+    getRiskProfile().then(setRiskProfile);
+    getRoundHandicap().then(setRoundHandicap);
+  }, []);
+
+  // Walking/cart choice from settings applies from the next hole's detector
+  const handleChangeTransportMode = useCallback((mode) => {
+    transportModeRef.current = mode;
+    setTransportMode(mode);
+    saveTransportMode(mode);
+  }, []);
+
+  // Risk profile from settings; drop the shown plan so the next one uses it
+  const handleChangeRiskProfile = useCallback((profileId) => {
+    setRiskProfile(profileId);
+    saveRiskProfile(profileId);
+    setShowAISuggestions(false);
+    setAiSuggestedShots([]);
+    setAiPlanData(null);
+    setAiPlanMessage(null);
+    setEditedShots(null);
+    setIsUserEdited(false);
+  }, []);
+
+  // Add a partner: an email looks up an app user, anything else is a guest
+  const handleAddPartner = useCallback(async ({ nameOrEmail, handicap }) => {
+    let partner;
+    if (nameOrEmail.includes('@')) {
+      const { data: player, error } = await findPlayerByEmail(nameOrEmail);
+      if (error) return 'Could not look up that player';
+      if (!player) return 'No app user with that email';
+      partner = {
+        name: player.name || nameOrEmail.split('@')[0],
+        userId: player.id,
+        handicapIndex: parseHandicapIndex(player.handicap),
+      };
+    } else {
+      partner = { name: nameOrEmail, userId: null, handicapIndex: parseHandicapIndex(handicap) };
+    }
+
+    const updated = await addRoundPartner(partner);
+    if (!updated) return 'Your group is full';
+    setPartners(updated);
+    return null;
+  }, []);
+
+  const handleRemovePartner = useCallback(async (partnerId) => {
+    setPartners(await removeRoundPartner(partnerId));
+  }, []);
+
+  const handleSetPartnerScore = useCallback(async (partnerId, hole, partnerScore) => {
+    setPartners(await savePartnerHoleScore(partnerId, hole, partnerScore));
+  }, []);
+
+  const handleChangeSideGames = useCallback((games) => {
+    setSideGames(games);
+    saveSideGames(games);
+  }, []);
+
+  // Pins: { holeNumber: pin | null }, null clears back to the green center
+  const handleSavePins = useCallback(async (updates) => {
+    setPins(prev => {
+      const next = { ...prev };
+      Object.entries(updates).forEach(([h, pin]) => {
+        if (pin) next[h] = pin;
+        else delete next[h];
+      });
+      return next;
+    });
+    await savePinPositions(updates);
+  }, []);
+
+  const handleApplyPinSheet = useCallback((entries) => {
+    const updates = {};
+    const missed = [];
+    entries.forEach((entry) => {
+      const pin = pinFromPaces(entry, holesData?.[entry.holeNumber]);
+      if (pin) updates[entry.holeNumber] = pin;
+      else missed.push(entry.holeNumber);
+    });
+    if (Object.keys(updates).length > 0) handleSavePins(updates);
+
+    if (missed.length > 0) {
+      setPinSheetMessage(`Couldn't place holes ${missed.join(', ')} on the green — set them by tapping the map.`);
+    } else {
+      setPinSheetMessage(null);
+      setShowPinSheet(false);
+      setPinMode(false);
+    }
+  }, [holesData, handleSavePins]);
+
+  // Side game players and holes for the live standings
+  const sideGameHoles = useMemo(() => {
+    const holes = [];
+    for (let h = firstHole; h <= lastHole; h++) {
+      holes.push({ holeNumber: h, par: holesData[h]?.par, handicapIndex: holesData[h]?.handicap });
+    }
+    return holes;
+  }, [holesData, firstHole, lastHole]);
+
+  const sideGamePlayers = useMemo(() => buildSideGamePlayers(
+    {
+      name: 'You',
+      scores: holeScores,
+      playingHandicap: roundHandicap?.playingHandicap ?? null,
+      courseHandicap: roundHandicap?.courseHandicap ?? null,
+    },
+    partners,
+    sideGameHoles
+  ), [holeScores, roundHandicap, partners, sideGameHoles]);
+
   // Trigger training overlay on first visit (after hole data loads)
   useEffect(() => {
     if (!isLoadingHoles && holesData[viewingHole]) {
@@ -308,7 +521,7 @@ export default function HoleViewSatellite({
       const holeData = {
         par: hole.par,
         teeBox: hole.teeBox,
-        green: hole.green,
+        green: getPinTarget(hole.green, pins[viewingHole]),
         polygons: hole.polygons || [],
       };
 
@@ -345,7 +558,7 @@ export default function HoleViewSatellite({
             holeData,
             playerContext,
             weatherForCalc,
-            DEFAULT_SCORING_CONFIG,
+            configForRiskProfile(riskProfile, caddiePreferences?.scoringOverrides || {}),
             preComputedClubReaches
           );
           computedColors = colors;
@@ -361,7 +574,7 @@ export default function HoleViewSatellite({
         setShotColors(computedColors);
       }
     }, 100);
-  }, [holesData, viewingHole, weather, userClubDistances, caddiePreferences, preComputedClubReaches]);
+  }, [holesData, viewingHole, pins, weather, userClubDistances, caddiePreferences, riskProfile, preComputedClubReaches]);
 
   // Reset plan to original engine recommendation
   const handleResetPlan = useCallback(() => {
@@ -477,6 +690,7 @@ export default function HoleViewSatellite({
             missPattern: profile.missPattern || null,
             distanceControl: profile.distanceControl || null,
             handicap: profile.handicap || 15,
+            scoringOverrides: profile.scoringOverrides || null,
           });
         }
       } catch (error) {
@@ -513,9 +727,10 @@ export default function HoleViewSatellite({
       // Determine current position (GPS > tee box) — always use real player position
       const currentPosition = gpsPosition || hole.teeBox;
       if (!currentPosition) return;
+      const flag = getPinTarget(hole.green, pins[viewingHole]);
 
-      // Calculate distance to green
-      const distanceToGreen = calculateDistance(currentPosition, hole.green);
+      // Calculate distance to the flag
+      const distanceToGreen = calculateDistance(currentPosition, flag);
 
       // Get elevation change if not already available
       let playerElevation = currentPosition.altitude || currentPosition.elevation || null;
@@ -524,7 +739,7 @@ export default function HoleViewSatellite({
       // Try to fetch elevation if missing
       if (playerElevation === null || targetElevation === null) {
         try {
-          const elevData = await getElevationChange(currentPosition, hole.green);
+          const elevData = await getElevationChange(currentPosition, flag);
           if (playerElevation === null) playerElevation = elevData.fromElevation;
           if (targetElevation === null) targetElevation = elevData.toElevation;
         } catch (e) {
@@ -551,7 +766,7 @@ export default function HoleViewSatellite({
         weather: weatherForCalc,
         clubDistances: userClubDistances || {},
         hazards: hole.polygons || [],
-        targetPosition: hole.green,
+        targetPosition: flag,
         playerElevation,
         targetElevation,
         courseElevation: null, // TODO: Add to course metadata
@@ -561,7 +776,7 @@ export default function HoleViewSatellite({
     };
 
     computeShotContext();
-  }, [holesData, viewingHole, gpsPosition, weather, userClubDistances, lieType]);
+  }, [holesData, viewingHole, pins, gpsPosition, weather, userClubDistances, lieType]);
 
   // Calculate segment-specific shot contexts when user places a marker
   useEffect(() => {
@@ -628,13 +843,14 @@ export default function HoleViewSatellite({
       setTeeToSpotContext(teeContext);
 
       // --- Spot to Green Context ---
-      const spotToGreenDistance = calculateDistance(userLocation, hole.green);
+      const flag = getPinTarget(hole.green, pins[viewingHole]);
+      const spotToGreenDistance = calculateDistance(userLocation, flag);
       let greenElevation = hole.green?.elevation || null;
 
       // Fetch green elevation if missing
       if (greenElevation === null) {
         try {
-          const elevData = await getElevationChange(userLocation, hole.green);
+          const elevData = await getElevationChange(userLocation, flag);
           greenElevation = elevData.toElevation;
         } catch (e) { /* continue without */ }
       }
@@ -648,14 +864,14 @@ export default function HoleViewSatellite({
         weather: weatherForCalc,
         clubDistances: userClubDistances || {},
         hazards: hole.polygons || [],
-        targetPosition: hole.green,
+        targetPosition: flag,
         playerElevation: spotElevation,
         targetElevation: greenElevation,
         courseElevation: null,
       });
 
       // DEBUG: Detailed comparison log for plays-like alignment
-      const spotShotBearing = calculateBearing(userLocation, hole.green);
+      const spotShotBearing = calculateBearing(userLocation, flag);
       console.log(`[TAP-GREEN] ===== Tap Point to Green =====`);
       console.log(`[TAP-GREEN] baseDistance: ${spotToGreenDistance}`);
       console.log(`[TAP-GREEN] effectiveDistance (plays like): ${spotContext.effectiveDistance}`);
@@ -663,7 +879,7 @@ export default function HoleViewSatellite({
       console.log(`[TAP-GREEN] playerElevation (spot): ${spotElevation}`);
       console.log(`[TAP-GREEN] targetElevation (green): ${greenElevation}`);
       console.log(`[TAP-GREEN] tapLocation lat/lng: ${userLocation.latitude}, ${userLocation.longitude}`);
-      console.log(`[TAP-GREEN] green lat/lng: ${hole.green.latitude}, ${hole.green.longitude}`);
+      console.log(`[TAP-GREEN] flag lat/lng: ${flag.latitude}, ${flag.longitude}`);
       console.log(`[TAP-GREEN] weather: wind=${weatherForCalc?.windSpeed} mph ${weatherForCalc?.windDirection}, temp=${weatherForCalc?.temperature}°F, courseElev=null`);
       console.log(`[TAP-GREEN] adjustments: wind=${spotContext.adjustments?.wind?.distanceEffect}, temp=${spotContext.adjustments?.temperature?.distanceEffect}, elev=${spotContext.adjustments?.elevation?.slopeEffect}`);
       console.log(`[TAP-GREEN] ===================================`);
@@ -672,13 +888,14 @@ export default function HoleViewSatellite({
     };
 
     computeSegmentContexts();
-  }, [holesData, viewingHole, userLocation, weather, userClubDistances]);
+  }, [holesData, viewingHole, pins, userLocation, weather, userClubDistances]);
 
   // GPS tracking with shot detection
   useEffect(() => {
     if (!isTrackingActive || !courseHole) return;
 
     let mounted = true;
+    const isReplaying = !!replayTrace && __DEV__;
 
     // Create shot detector for this hole
     const detector = createShotDetector(
@@ -702,24 +919,49 @@ export default function HoleViewSatellite({
         if (newState === STATES.ON_GREEN) {
           setLieType('green');
         }
+      },
+      {
+        // A replayed trace runs on its recorded clock
+        now: isReplaying ? getReplayTime : undefined,
+        transportMode: transportModeRef.current,
+        onTransportModeChange: (mode) => {
+          if (!mounted) return;
+          handleChangeTransportMode(mode);
+        },
       }
     );
 
     shotDetectorRef.current = detector;
     detector.startHole();
+    recordTraceHole(viewingHole, {
+      teeBox: courseHole.teeBox,
+      green: courseHole.green,
+      par: courseHole.par,
+      polygons: courseHole.polygons || [],
+      transportMode: transportModeRef.current,
+    });
     setShotDetectorState(STATES.AT_TEE);
     setDetectedShots([]);
 
     const positionHandler = (pos) => {
       if (!mounted) return;
-      setGpsPosition(pos);
-      // Feed position to shot detector
+      // Feed position to shot detector, and show its filtered position so
+      // the distance readouts don't jump with every noisy reading
+      let position = pos;
       if (shotDetectorRef.current) {
         shotDetectorRef.current.processPosition(pos);
+        position = shotDetectorRef.current.getSmoothedPosition() || pos;
+      }
+      setGpsPosition(position);
+      if (courseTrackerRef.current) {
+        courseTrackerRef.current.processPosition(position);
       }
     };
 
-    if (isSimActive && __DEV__) {
+    if (isReplaying) {
+      const started = startTraceReplay(replayTrace, viewingHole, positionHandler);
+      if (!started) console.warn(`[GpsTrace] Hole ${viewingHole} not in the replayed trace`);
+    } else if (isSimActive && __DEV__) {
       startSimulation(positionHandler, {
         teeBox: courseHole.teeBox,
         green: courseHole.green,
@@ -740,12 +982,56 @@ export default function HoleViewSatellite({
       mounted = false;
       stopTracking();
       stopSimulation();
+      stopTraceReplay();
       if (shotDetectorRef.current) {
         shotDetectorRef.current.destroy();
         shotDetectorRef.current = null;
       }
     };
-  }, [viewingHole, courseHole, isTrackingActive, isSimActive]);
+  }, [viewingHole, courseHole, isTrackingActive, isSimActive, replayTrace]);
+
+  // Record the raw GPS stream to a trace file; logged shots are saved as ground truth
+  const handleToggleTraceRecording = useCallback(async () => {
+    if (isTraceRecording) {
+      const shots = await getCachedShots();
+      const { data, error } = await stopTraceRecording(shots);
+      setIsTraceRecording(false);
+      if (error) {
+        Alert.alert('GPS Trace', `Could not save trace: ${error}`);
+      } else {
+        Alert.alert('GPS Trace Saved', `${data.points} readings saved to ${data.uri}`);
+      }
+      return;
+    }
+
+    const { error } = await startTraceRecording({ courseId: course?.id, courseName: course?.name });
+    if (error) {
+      Alert.alert('GPS Trace', `Could not start recording: ${error}`);
+      return;
+    }
+    setIsTraceRecording(true);
+  }, [isTraceRecording, course]);
+
+  // Replay the most recent trace through the detector instead of live GPS (dev)
+  const handleToggleTraceReplay = useCallback(async () => {
+    if (replayTrace) {
+      setReplayTrace(null);
+      return;
+    }
+
+    const { data: traces } = await listTraces();
+    if (!traces?.length) {
+      Alert.alert('GPS Trace', 'No recorded traces yet');
+      return;
+    }
+    const { data: trace, error } = await loadTrace(traces[0].uri);
+    if (error) {
+      Alert.alert('GPS Trace', `Could not load ${traces[0].name}: ${error}`);
+      return;
+    }
+    setReplayTrace(trace);
+    setIsTrackingActive(true);
+  }, [replayTrace]);
 
   const loadHoles = async () => {
     setIsLoadingHoles(true);
@@ -780,12 +1066,16 @@ export default function HoleViewSatellite({
   const holeGPS = courseHole ? {
     teeBox: courseHole.teeBox,
     green: courseHole.green,
+    pin: pins[viewingHole] || null,
     hazards: courseHole.hazards,
   } : null;
 
+  // Where the flag is today: the pin when set, else the green center
+  const flagPosition = holeGPS ? getPinTarget(holeGPS.green, holeGPS.pin) : null;
+
   // Handle hole navigation
   const handleHoleChange = (newHole) => {
-    if (newHole >= 1 && newHole <= 18) {
+    if (newHole >= firstHole && newHole <= lastHole) {
       setViewingHole(newHole);
       // Clear user marker and AI suggestion when changing holes
       setUserLocation(null);
@@ -861,6 +1151,9 @@ export default function HoleViewSatellite({
     setTrackingDistance(0);
     setPreShotData(null);
     setNextLieType('tee');
+    setDropPosition(null);
+    setProvisionalBall(null);
+    setPendingNextHole(null);
   }, [currentHole]);
 
   // Note: Map re-centering when plan overlay is shown/hidden is handled by
@@ -890,6 +1183,14 @@ export default function HoleViewSatellite({
     }
     Keyboard.dismiss();
     const { latitude, longitude } = event.nativeEvent.coordinate;
+    if (pinMode) {
+      const pin = pinFromTap({ latitude, longitude }, courseHole);
+      if (pin) {
+        handleSavePins({ [viewingHole]: pin });
+        setPinMode(false);
+      }
+      return;
+    }
     setUserLocation({ latitude, longitude });
   };
 
@@ -971,7 +1272,13 @@ export default function HoleViewSatellite({
       // Compute plan locally using rule-based engine (instant, no API call)
       // Pass player insights for personalized club distances and dispersion
       console.log('[PlanHole] 3. Calling computeLocalHolePlan');
-      const result = await computeLocalHolePlan(context, userClubDistances, weather, caddiePreferences, playerInsights);
+      const result = await computeLocalHolePlan(
+        context,
+        userClubDistances,
+        weather,
+        { ...caddiePreferences, riskProfile },
+        playerInsights
+      );
       console.log('[PlanHole] 4. Local plan computed');
 
       if (result.error) {
@@ -997,6 +1304,8 @@ export default function HoleViewSatellite({
           warnings: Array.isArray(shot.warnings) ? shot.warnings.filter(w => typeof w === 'string') : [],
           nextShotDistance: shot.nextShotDistance || 0,
           confidence: shot.confidence || 'medium',
+          shotShape: shot.shotShape || null,
+          cornerCut: shot.cornerCut || null,
         }));
 
         // DEBUG: Log all plan shots for comparison with tap marker
@@ -1041,6 +1350,8 @@ export default function HoleViewSatellite({
         targetScore: result.shotPlan?.targetScore,
         riskAssessment: result.shotPlan?.riskAssessment,
         rawTargetScore: result.shotPlan?.rawTargetScore,
+        strategyOptions: result.strategyOptions || [],
+        carryLines: result.shotPlan?.carryLines || null,
       });
 
       // Set the commentary message
@@ -1256,14 +1567,28 @@ export default function HoleViewSatellite({
       );
     }
 
+    // Guess the club from how far the ball went
+    const shotDistance = trackingFromPosition && landingPos
+      ? calculateDistance(trackingFromPosition, landingPos)
+      : null;
+    setInferredClub(inferClub({
+      distance: shotDistance,
+      lieType: preShotData?.lieType,
+      clubStats: playerInsights?.clubStats,
+      bagDistances: userClubDistances,
+      corrections: playerInsights?.clubCorrections,
+    }));
+
     setShotPhase('result');
-  }, [gpsPosition, userLocation, currentShotNumber, trackingFromPosition, viewingHole]);
+  }, [gpsPosition, userLocation, currentShotNumber, trackingFromPosition, viewingHole, preShotData, playerInsights, userClubDistances]);
 
   // Player selected a result and tapped "Save Shot"
   const handleSaveResult = useCallback(async (resultData) => {
     const fromPos = trackingFromPosition;
     const toPos = gpsPosition || userLocation || null;
     const distActual = fromPos && toPos ? calculateDistance(fromPos, toPos) : null;
+    const penaltyStrokes = getPenaltyStrokes(resultData.result);
+    const relief = penaltyStrokes > 0 ? resultData.relief || RELIEF_OPTIONS.REPLAY : null;
 
     const shotData = {
       holeNumber: viewingHole,
@@ -1282,7 +1607,11 @@ export default function HoleViewSatellite({
         latitude: getCurrentShotTarget().latitude,
         longitude: getCurrentShotTarget().longitude,
       } : null,
-      club: preShotData?.club || null,
+      club: resultData.club || preShotData?.club || null,
+      clubInferred: inferredClub?.club || null,
+      clubConfidence: inferredClub?.confidence ?? null,
+      // Only a club the player picked or accepted counts toward their club stats
+      clubConfirmed: !!resultData.clubConfirmed,
       lieType: preShotData?.lieType || 'fairway',
       result: resultData.result,
       shotFeel: preShotData?.shotFeel || null,
@@ -1295,24 +1624,129 @@ export default function HoleViewSatellite({
       windDirection: weather?.wind_direction || null,
       temperatureF: weather?.temp_f || null,
       effectiveDistance: displayShots?.[currentShotNumber - 1]?.effectiveDistance || null,
+      penaltyStrokes,
+      relief,
+      // Everything hit while a provisional is pending is part of the provisional
+      provisional: !!provisionalBall,
     };
 
     await saveShotToCache(shotData);
 
-    // Derive lie for next shot from result
-    const derivedLie = deriveLieFromResult(resultData.result);
+    // Derive lie for next shot from result; stroke and distance plays the same lie again
+    const isReplay = relief === RELIEF_OPTIONS.REPLAY || relief === RELIEF_OPTIONS.PROVISIONAL;
+    const derivedLie = isReplay ? shotData.lieType : deriveLieFromResult(resultData.result);
     setNextLieType(derivedLie);
 
+    // Penalty: the next ball is played from the drop (or again from here)
+    if (penaltyStrokes > 0) {
+      const drop = getDropPosition(relief, { from: fromPos, entry: toPos, flag: flagPosition });
+      setDropPosition(drop);
+      if (shotDetectorRef.current) {
+        shotDetectorRef.current.addPenalty({ strokes: penaltyStrokes, dropPosition: drop });
+      }
+      if (relief === RELIEF_OPTIONS.PROVISIONAL) {
+        setProvisionalBall({ originalShotNumber: currentShotNumber });
+      }
+    } else {
+      setDropPosition(null);
+    }
+
     // Update UI state
     setHoleShotsLogged(prev => prev + 1);
-    setCurrentShotNumber(currentShotNumber + 1);
+    setCurrentShotNumber(currentShotNumber + 1 + penaltyStrokes);
     setTrackingFromPosition(null);
     setTrackingDistance(0);
     setPreShotData(null);
     setShotPhase('idle');
 
-    console.log(`[ShotLog] Logged shot ${currentShotNumber} on hole ${viewingHole}: ${preShotData?.club} → ${resultData.result}`);
-  }, [viewingHole, currentShotNumber, trackingFromPosition, gpsPosition, userLocation, preShotData, weather, displayShots]);
+    setInferredClub(null);
+
+    console.log(`[ShotLog] Logged shot ${currentShotNumber} on hole ${viewingHole}: ${shotData.club} → ${resultData.result}${relief ? ` (${relief})` : ''}`);
+  }, [viewingHole, currentShotNumber, trackingFromPosition, gpsPosition, userLocation, preShotData, weather, displayShots, flagPosition, provisionalBall, inferredClub]);
+
+  // Settle a provisional: found the original in bounds, or play the provisional
+  const handleResolveProvisional = useCallback(async (originalFound) => {
+    if (!provisionalBall) return;
+    const { originalShotNumber } = provisionalBall;
+
+    if (originalFound) {
+      const position = gpsPosition || userLocation || null;
+      const lie = position ? determineLieType(position, holesData?.[viewingHole]?.polygons || []) : null;
+      const holeShots = await resolveCachedProvisional(
+        viewingHole,
+        originalShotNumber,
+        true,
+        FOUND_BALL_RESULTS[lie] || 'other'
+      );
+      if (position) {
+        const landing = { latitude: position.latitude, longitude: position.longitude };
+        await updateShotLanding(viewingHole, originalShotNumber, landing, null, null, null);
+      }
+      if (shotDetectorRef.current) {
+        shotDetectorRef.current.resumeFrom(originalShotNumber + 1, position);
+        setDetectedShots(shotDetectorRef.current.getDetectedShots());
+      }
+      setHoleShotsLogged(holeShots.length);
+      setCurrentShotNumber(originalShotNumber + 1);
+      setNextLieType(deriveLieFromResult(FOUND_BALL_RESULTS[lie] || 'rough_left'));
+    } else {
+      await resolveCachedProvisional(viewingHole, originalShotNumber, false);
+    }
+
+    setDropPosition(null);
+    setProvisionalBall(null);
+    console.log(`[ShotLog] Provisional for shot ${originalShotNumber} on hole ${viewingHole}: ${originalFound ? 'original found' : 'in play'}`);
+  }, [provisionalBall, gpsPosition, userLocation, holesData, viewingHole]);
+
+  // Logged shots fill in the hole's penalties, and the score once holed out
+  useEffect(() => {
+    if (!showScoreModal) return;
+    getCachedShotsForHole(currentHole).then((holeShots) => {
+      const summary = summarizeHoleShots(holeShots);
+      if (summary.penalties > 0) setPenalties(prev => Math.max(prev, summary.penalties));
+      if (summary.holed) setScore(prev => prev ?? summary.strokes);
+    });
+  }, [showScoreModal, currentHole]);
+
+  // Open the putting logger, estimating the first putt from GPS when on the green
+  const handleOpenPutting = useCallback(async () => {
+    // Logging putts again replaces the ones already saved for the hole
+    const firstPutt = await getFirstPuttNumber(viewingHole);
+    setCurrentShotNumber(firstPutt);
+    const position = gpsPosition || userLocation || null;
+    setPuttEstimateFeet(estimatePuttDistanceFeet(position, flagPosition, holesData?.[viewingHole]?.polygons));
+    setShotPhase('putting');
+  }, [viewingHole, gpsPosition, userLocation, holeGPS, holesData]);
+
+  // Save logged putts as typed shots and fill in the hole's putt count
+  const handleSavePutts = useCallback(async (loggedPutts) => {
+    const position = gpsPosition || userLocation || holeGPS?.green || null;
+    const from = position ? { latitude: position.latitude, longitude: position.longitude } : null;
+
+    // The approach landed where the first putt is struck
+    if (currentShotNumber > 1 && gpsPosition) {
+      await updateShotLanding(viewingHole, currentShotNumber - 1, from, null, null, null);
+    }
+
+    const holeShots = await replaceCachedPutts(viewingHole, loggedPutts.map(putt => ({
+      from,
+      club: 'putter',
+      lieType: 'green',
+      puttDistanceFt: putt.distanceFt,
+      leaveDistanceFt: putt.leaveFt,
+      puttMade: putt.made,
+    })));
+
+    setPutts(loggedPutts.length);
+    if (score !== null) {
+      setGirHit((score - loggedPutts.length) <= (holeInfo.par - 2));
+    }
+    setHoleShotsLogged(holeShots.length);
+    setCurrentShotNumber(currentShotNumber + loggedPutts.length);
+    setShotPhase('idle');
+
+    console.log(`[ShotLog] Logged ${loggedPutts.length} putts on hole ${viewingHole}`);
+  }, [viewingHole, currentShotNumber, gpsPosition, userLocation, holeGPS, score, holeInfo]);
 
   // Cancel from either preshot or result panel
   const handleShotEntryCancel = useCallback(() => {
@@ -1368,6 +1802,20 @@ export default function HoleViewSatellite({
     setScore(selectedScore);
   };
 
+  // Next unscored hole after the current one, wrapping around the round's
+  // range so shotgun starts finish on the hole before the one they began on.
+  // Null once every hole has a score.
+  const getNextHoleInRotation = () => {
+    const holeCount = lastHole - firstHole + 1;
+    for (let i = 1; i < holeCount; i++) {
+      const hole = firstHole + ((currentHole - firstHole + i) % holeCount);
+      if (holeScores[hole] == null) return hole;
+    }
+    return null;
+  };
+
+  const nextHole = pendingNextHole ?? getNextHoleInRotation();
+
   const handleNextHole = () => {
     if (score !== null) {
       setHoleScores(prev => ({ ...prev, [currentHole]: score }));
@@ -1384,8 +1832,8 @@ export default function HoleViewSatellite({
       penalties,
     };
 
-    if (currentHole < 18) {
-      onNextHole(holeData);
+    if (nextHole != null) {
+      onNextHole(holeData, nextHole);
     } else {
       onEndRound(holeData);
     }
@@ -1398,6 +1846,106 @@ export default function HoleViewSatellite({
     setPenalties(0);
   };
 
+  // ============================================================================
+  // COURSE TRACKING: leaving the green and arriving at the next tee
+  // ============================================================================
+
+  courseTrackerHandlersRef.current = {
+    // Walked off the green: time to finalize the score
+    onLeaveGreen: (holeNumber) => {
+      if (holeNumber !== currentHole || holeScores[holeNumber] != null) return;
+      if (viewingHole !== currentHole) handleHoleChange(currentHole);
+      setShowScoreModal(true);
+    },
+    onHoleChange: ({ toHole, reason, fromHoleStarted }) => {
+      if (holeScores[toHole] != null) return;
+
+      // Nothing played on this hole yet (shotgun start, resumed elsewhere)
+      if (!fromHoleStarted && holeScores[currentHole] == null) {
+        // Standing on the tee for a while is clear enough to just switch
+        if (reason === 'tee_arrival') {
+          console.log(`[CourseTracker] Starting on hole ${toHole} (${reason})`);
+          if (onChangeHole) onChangeHole(toHole);
+          return;
+        }
+        // A first fix out on another hole may be drift or a walk across the course: ask
+        Alert.alert(
+          `Hole ${toHole}?`,
+          `Looks like you're playing hole ${toHole}, not hole ${currentHole}.`,
+          [
+            { text: `Stay on ${currentHole}`, style: 'cancel' },
+            {
+              text: `Switch to ${toHole}`,
+              onPress: () => {
+                console.log(`[CourseTracker] Starting on hole ${toHole} (${reason})`);
+                if (onChangeHole) onChangeHole(toHole);
+              },
+            },
+          ]
+        );
+        return;
+      }
+
+      setPendingNextHole(toHole);
+      const where = reason === 'tee_arrival' ? `on the hole ${toHole} tee` : `playing hole ${toHole}`;
+      Alert.alert(
+        `Hole ${toHole}?`,
+        `Looks like you're ${where}. Enter your score for hole ${currentHole} to move on.`,
+        [
+          { text: 'Later', style: 'cancel' },
+          {
+            text: 'Enter Score',
+            onPress: () => {
+              if (viewingHole !== currentHole) handleHoleChange(currentHole);
+              setShowScoreModal(true);
+            },
+          },
+        ]
+      );
+    },
+  };
+
+  // One tracker per round, limited to the holes being played
+  useEffect(() => {
+    if (isLoadingHoles) return;
+
+    const roundHoles = {};
+    for (let h = firstHole; h <= lastHole; h++) {
+      if (holesData[h]?.teeBox && holesData[h]?.green) roundHoles[h] = holesData[h];
+    }
+
+    courseTrackerRef.current = createCourseTracker(
+      roundHoles,
+      {
+        onLeaveGreen: (holeNumber) => courseTrackerHandlersRef.current.onLeaveGreen(holeNumber),
+        onHoleChange: (change) => courseTrackerHandlersRef.current.onHoleChange(change),
+      },
+      {
+        currentHole,
+        completedHoles: Object.keys(holeScores).map(Number),
+      }
+    );
+
+    return () => {
+      courseTrackerRef.current = null;
+    };
+  }, [holesData, isLoadingHoles, firstHole, lastHole]);
+
+  // Keep the tracker in step with the round
+  useEffect(() => {
+    courseTrackerRef.current?.setCurrentHole(currentHole);
+  }, [currentHole]);
+
+  useEffect(() => {
+    if (detectedShots.length > 0 || holeShotsLogged > 0) {
+      courseTrackerRef.current?.markHoleStarted();
+    }
+  }, [detectedShots, holeShotsLogged]);
+
+  useEffect(() => {
+    Object.keys(holeScores).forEach(h => courseTrackerRef.current?.markHoleComplete(Number(h)));
+  }, [holeScores]);
+
   // Compute round score relative to par
   const getRoundScore = () => {
     const allScores = { ...holeScores };
@@ -1426,6 +1974,12 @@ export default function HoleViewSatellite({
     return projected === 0 ? 'E' : (projected > 0 ? `+${projected}` : `${projected}`);
   }, [aiPlanData?.targetScore, roundScore]);
 
+  // Option with the lowest simulated expected score
+  const bestSimulatedOption = useMemo(
+    () => findBestSimulatedOption(aiPlanData?.strategyOptions),
+    [aiPlanData?.strategyOptions]
+  );
+
   // Caddie reminders (rule-based, no LLM)
   const caddieReminderList = useMemo(() => {
     if (!aiPlanData || !aiSuggestedShots || aiSuggestedShots.length === 0) return [];
@@ -1497,12 +2051,12 @@ export default function HoleViewSatellite({
 
   const distanceToGreen = holeGPS ? calculateDistance(holeGPS.teeBox, holeGPS.green) : holeInfo.yardage;
 
-  // Calculate distance from player's GPS location to green
-  const distanceFromPlayerToGreen = holeGPS ? calculateDistance(playerLocation, holeGPS.green) : null;
+  // Calculate distance from player's GPS location to the flag
+  const distanceFromPlayerToGreen = holeGPS ? calculateDistance(playerLocation, flagPosition) : null;
 
   // Calculate distances when user places a marker
   const distanceFromTee = userLocation && holeGPS ? calculateDistance(holeGPS.teeBox, userLocation) : null;
-  const distanceToGreenFromUser = userLocation && holeGPS ? calculateDistance(userLocation, holeGPS.green) : null;
+  const distanceToGreenFromUser = userLocation && holeGPS ? calculateDistance(userLocation, flagPosition) : null;
 
   // Loading state while fetching holes from database
   if (isLoadingHoles) {
@@ -1528,10 +2082,10 @@ export default function HoleViewSatellite({
           GPS data for this hole hasn't been added yet
         </Text>
         <View style={{ flexDirection: 'row', gap: theme.spacing.md }}>
-          {viewingHole > 1 && (
+          {viewingHole > firstHole && (
             <Button title="Previous Hole" onPress={() => handleHoleChange(viewingHole - 1)} variant="secondary" />
           )}
-          {viewingHole < 18 && (
+          {viewingHole < lastHole && (
             <Button title="Next Hole" onPress={() => handleHoleChange(viewingHole + 1)} variant="secondary" />
           )}
         </View>
@@ -1694,10 +2248,11 @@ export default function HoleViewSatellite({
           </View>
         </Marker>
 
-        {/* Green Marker */}
+        {/* Flag Marker - today's pin when set, else green center */}
         <Marker
-          coordinate={holeGPS.green}
-          title="Green"
+          coordinate={flagPosition}
+          title={holeGPS.pin ? 'Pin' : 'Green'}
+          description={holeGPS.pin ? formatPinLocation(holeGPS.pin) : undefined}
         >
           <View style={styles.greenMarker}>
             <View style={styles.flagPole} />
@@ -1705,6 +2260,20 @@ export default function HoleViewSatellite({
           </View>
         </Marker>
 
+        {/* Drop after a penalty - where the next ball is played from */}
+        {dropPosition && viewingHole === currentHole && (
+          <Marker
+            coordinate={dropPosition}
+            title="Drop"
+            description={`Play shot ${currentShotNumber} from here`}
+            anchor={{ x: 0.5, y: 0.5 }}
+          >
+            <View style={styles.dropMarker}>
+              <Text style={styles.dropMarkerText}>D</Text>
+            </View>
+          </Marker>
+        )}
+
         {/* Player's GPS Location (live or static fallback) */}
         <Marker
           coordinate={isTrackingActive && gpsPosition ? gpsPosition : playerLocation}
@@ -1745,7 +2314,7 @@ export default function HoleViewSatellite({
 
             {/* Line from user location to green */}
             <Polyline
-              coordinates={[userLocation, holeGPS.green]}
+              coordinates={[userLocation, flagPosition]}
               strokeColor="#3b82f6"
               strokeWidth={2}
               lineDashPattern={[3, 3]}
@@ -1769,9 +2338,9 @@ export default function HoleViewSatellite({
             )}
 
             {/* Distance label on spot-to-green line */}
-            {spotToGreenContext && getMidpoint(userLocation, holeGPS.green) && (
+            {spotToGreenContext && getMidpoint(userLocation, flagPosition) && (
               <Marker
-                coordinate={getMidpoint(userLocation, holeGPS.green)}
+                coordinate={getMidpoint(userLocation, flagPosition)}
                 anchor={{ x: 0.5, y: 0.5 }}
               >
                 <View style={styles.lineDistanceLabel}>
@@ -1871,7 +2440,7 @@ export default function HoleViewSatellite({
               color={shotColors[index] || 'green'}
               isDragging={draggingIndex === index}
               previousPosition={index === 0 ? holeGPS.teeBox : filteredShots[index - 1]?.landingZone}
-              greenPosition={holeGPS.green}
+              greenPosition={flagPosition}
               preComputedClubReaches={preComputedClubReaches}
               weather={weatherForDrag}
               hazardCentroids={hazardCentroids}
@@ -1886,22 +2455,56 @@ export default function HoleViewSatellite({
               }}
             />
 
-            {/* Line from previous shot to this shot */}
-            {index === 0 ? (
-              <Polyline
-                coordinates={[holeGPS.teeBox, shot.landingZone]}
-                strokeColor={getPolylineColor(shotColors[index])}
-                strokeWidth={2.5}
-                lineDashPattern={[6, 4]}
-              />
-            ) : filteredShots[index - 1]?.landingZone ? (
-              <Polyline
-                coordinates={[filteredShots[index - 1].landingZone, shot.landingZone]}
-                strokeColor={getPolylineColor(shotColors[index])}
-                strokeWidth={2.5}
-                lineDashPattern={[6, 4]}
-              />
-            ) : null}
+            {/* Line from previous shot to this shot - curved for a stock draw/fade,
+                with a faint aim line where the ball should start */}
+            {(() => {
+              const from = index === 0 ? holeGPS.teeBox : filteredShots[index - 1]?.landingZone;
+              if (!from?.latitude) return null;
+              const curveYards = shot.shotShape?.curveYards || 0;
+              return (
+                <>
+                  {curveYards !== 0 && (
+                    <Polyline
+                      coordinates={[from, calculateAimPoint(from, shot.landingZone, curveYards)]}
+                      strokeColor="rgba(255, 255, 255, 0.5)"
+                      strokeWidth={1.5}
+                      lineDashPattern={[2, 4]}
+                    />
+                  )}
+                  <Polyline
+                    coordinates={curveYards !== 0
+                      ? projectFlightPath(from, shot.landingZone, curveYards)
+                      : [from, shot.landingZone]}
+                    strokeColor={getPolylineColor(shotColors[index])}
+                    strokeWidth={2.5}
+                    lineDashPattern={[6, 4]}
+                  />
+                </>
+              );
+            })()}
+          </React.Fragment>
+        ))}
+
+        {/* Dogleg carry lines - carry from the tee to each edge of the corner */}
+        {showAISuggestions && !isStreaming && !isAnimatingPath && aiPlanData?.carryLines?.lines.map((line) => (
+          <React.Fragment key={`carry-${line.angle}`}>
+            <Polyline
+              coordinates={[aiPlanData.carryLines.start, line.edge]}
+              strokeColor="rgba(245, 158, 11, 0.6)"
+              strokeWidth={1}
+            />
+            <Marker
+              coordinate={line.edge}
+              anchor={{ x: 0.5, y: 0.5 }}
+              tracksViewChanges={false}
+              zIndex={1}
+            >
+              <View style={styles.hazardDistanceRow}>
+                <View style={[styles.hazardDistanceLine, { backgroundColor: '#f59e0b' }]} />
+                <Text style={styles.hazardDistanceText}>{line.carryYards}</Text>
+                <View style={[styles.hazardDistanceLine, { backgroundColor: '#f59e0b' }]} />
+              </View>
+            </Marker>
           </React.Fragment>
         ))}
 
@@ -1930,6 +2533,9 @@ export default function HoleViewSatellite({
           { key: 'gps', active: isTrackingActive, onPress: () => setIsTrackingActive(prev => !prev),
             renderIcon: () => <Text style={styles.fanToolIcon}>📍</Text>,
           },
+          { key: 'pin', active: pinMode, onPress: () => setPinMode(prev => !prev),
+            renderIcon: () => <Text style={styles.fanToolIcon}>⛳</Text>,
+          },
         ];
         const RADIUS = 75;
         const totalItems = layerOptions.length;
@@ -2052,18 +2658,18 @@ export default function HoleViewSatellite({
               <View style={styles.pgaHoleNumberRow}>
                 <TouchableOpacity
                   onPress={() => handleHoleChange(viewingHole - 1)}
-                  disabled={viewingHole === 1}
+                  disabled={viewingHole === firstHole}
                   hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
                 >
-                  <Text style={[styles.pgaNavArrow, viewingHole === 1 && { opacity: 0.3 }]}>◀</Text>
+                  <Text style={[styles.pgaNavArrow, viewingHole === firstHole && { opacity: 0.3 }]}>◀</Text>
                 </TouchableOpacity>
                 <Text style={styles.pgaHoleNumber}>{holeInfo.holeNumber}</Text>
                 <TouchableOpacity
                   onPress={() => handleHoleChange(viewingHole + 1)}
-                  disabled={viewingHole === 18}
+                  disabled={viewingHole === lastHole}
                   hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
                 >
-                  <Text style={[styles.pgaNavArrow, viewingHole === 18 && { opacity: 0.3 }]}>▶</Text>
+                  <Text style={[styles.pgaNavArrow, viewingHole === lastHole && { opacity: 0.3 }]}>▶</Text>
                 </TouchableOpacity>
               </View>
 
@@ -2273,6 +2879,33 @@ export default function HoleViewSatellite({
                 </View>
               )}
 
+              {/* Simulated expected score per option */}
+              {!isStreaming && aiPlanData?.strategyOptions?.length > 1 && (
+                <View style={styles.holePlanOptions}>
+                  {aiPlanData.strategyOptions.map((option, idx) => (
+                    <View key={idx} style={styles.holePlanOptionRow}>
+                      <Text
+                        style={[styles.holePlanOptionLabel, option.isRecommended && styles.holePlanOptionLabelActive]}
+                        numberOfLines={1}
+                      >
+                        {option.isRecommended ? '● ' : '○ '}{option.label}
+                      </Text>
+                      <Text style={[
+                        styles.holePlanOptionScore,
+                        idx === bestSimulatedOption && { color: '#6ee7b7' },
+                      ]}>
+                        {option.expectedScore.toFixed(2)}
+                      </Text>
+                      {option.penaltyRate >= 0.05 && (
+                        <Text style={styles.holePlanOptionRisk}>
+                          {Math.round(option.penaltyRate * 100)}% pen
+                        </Text>
+                      )}
+                    </View>
+                  ))}
+                </View>
+              )}
+
               {/* Caddie reminders */}
               {!isStreaming && caddieReminderList.length > 0 && (
                 <View style={styles.holePlanReminders}>
@@ -2354,14 +2987,24 @@ export default function HoleViewSatellite({
       <SafeAreaView style={styles.bottomOverlay}>
         {/* Log Shot Button — idle phase (bottom-right) */}
         {shotPhase === 'idle' && viewingHole === currentHole && (
-          <TouchableOpacity
-            style={styles.logShotButton}
-            onPress={handleOpenPreShot}
-            activeOpacity={0.8}
-          >
-            <Ionicons name="golf" size={18} color="#fff" />
-            <Text style={styles.logShotButtonText}>Log Shot {currentShotNumber}</Text>
-          </TouchableOpacity>
+          <View style={styles.logButtonsRow}>
+            <TouchableOpacity
+              style={[styles.logShotButton, styles.logPuttsButton]}
+              onPress={handleOpenPutting}
+              activeOpacity={0.8}
+            >
+              <Ionicons name="flag" size={16} color="#fff" />
+              <Text style={styles.logShotButtonText}>Putts</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.logShotButton}
+              onPress={handleOpenPreShot}
+              activeOpacity={0.8}
+            >
+              <Ionicons name="golf" size={18} color="#fff" />
+              <Text style={styles.logShotButtonText}>Log Shot {currentShotNumber}</Text>
+            </TouchableOpacity>
+          </View>
         )}
 
         {/* Stop Tracking Button — tracking phase (bottom-right, red/orange) */}
@@ -2378,14 +3021,61 @@ export default function HoleViewSatellite({
           </TouchableOpacity>
         )}
 
+        {/* Provisional ball - settle it once the original is found or given up on */}
+        {provisionalBall && shotPhase === 'idle' && viewingHole === currentHole && (
+          <View style={styles.provisionalBanner}>
+            <Text style={styles.provisionalText}>
+              Provisional for shot {provisionalBall.originalShotNumber} · found the original?
+            </Text>
+            <View style={styles.provisionalActions}>
+              <TouchableOpacity onPress={() => handleResolveProvisional(true)} activeOpacity={0.7}>
+                <Text style={styles.provisionalAction}>Original Found</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => handleResolveProvisional(false)} activeOpacity={0.7}>
+                <Text style={styles.provisionalAction}>Play Provisional</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
         {/* Location error banner */}
         {locationError && (
           <View style={styles.locationErrorBanner}>
             <Text style={styles.locationErrorText}>{locationError}</Text>
           </View>
         )}
+
+        {/* Pin mode - tap the green to set today's pin */}
+        {pinMode && (
+          <View style={styles.pinModeBanner}>
+            <Text style={styles.pinModeText}>
+              Tap the green to set the hole {viewingHole} pin
+              {holeGPS.pin ? ` · now ${formatPinLocation(holeGPS.pin)}` : ''}
+            </Text>
+            <View style={styles.pinModeActions}>
+              <TouchableOpacity onPress={() => { setPinSheetMessage(null); setShowPinSheet(true); }} activeOpacity={0.7}>
+                <Text style={styles.pinModeAction}>Pin Sheet</Text>
+              </TouchableOpacity>
+              {holeGPS.pin && (
+                <TouchableOpacity onPress={() => handleSavePins({ [viewingHole]: null })} activeOpacity={0.7}>
+                  <Text style={styles.pinModeAction}>Use Center</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity onPress={() => setPinMode(false)} activeOpacity={0.7}>
+                <Text style={styles.pinModeAction}>Done</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
       </SafeAreaView>
 
+      <PinSheetModal
+        visible={showPinSheet}
+        message={pinSheetMessage}
+        onApply={handleApplyPinSheet}
+        onClose={() => setShowPinSheet(false)}
+      />
+
       {/* Shot Entry Panel — pre-shot mode */}
       <ShotEntryPanel
         visible={shotPhase === 'preshot'}
@@ -2395,6 +3085,7 @@ export default function HoleViewSatellite({
         userClubs={userClubDistances}
         recommendedClub={getRecommendedClubForShot()}
         defaultLie={nextLieType}
+        isProvisional={!!provisionalBall}
         onStartTracking={handleStartTracking}
         onSaveResult={handleSaveResult}
         onCancel={handleShotEntryCancel}
@@ -2409,11 +3100,24 @@ export default function HoleViewSatellite({
         userClubs={userClubDistances}
         recommendedClub={getRecommendedClubForShot()}
         defaultLie={nextLieType}
+        isProvisional={!!provisionalBall}
+        shotClub={preShotData?.club}
+        inferredClub={inferredClub}
         onStartTracking={handleStartTracking}
         onSaveResult={handleSaveResult}
         onCancel={handleShotEntryCancel}
       />
 
+      {/* Putting Logger — on the green */}
+      <PuttingLogger
+        visible={shotPhase === 'putting'}
+        holeNumber={viewingHole}
+        shotNumber={currentShotNumber}
+        estimatedFeet={puttEstimateFeet}
+        onSave={handleSavePutts}
+        onCancel={() => setShotPhase('idle')}
+      />
+
       {/* Score Entry Modal - Full Screen iOS Style */}
       <Modal
         visible={showScoreModal}
@@ -2714,7 +3418,9 @@ export default function HoleViewSatellite({
               activeOpacity={score !== null ? 0.8 : 1}
             >
               <Text style={styles.scoreSubmitText}>
-                {currentHole < 18 ? 'Save & Next Hole' : 'Save & Finish Round'}
+                {nextHole == null
+                  ? 'Save & Finish Round'
+                  : nextHole === currentHole + 1 ? 'Save & Next Hole' : `Save & Go to Hole ${nextHole}`}
               </Text>
             </TouchableOpacity>
           </View>
@@ -2744,11 +3450,52 @@ export default function HoleViewSatellite({
             <View style={{ width: 60 }} />
           </View>
 
+          {/* My card / group card toggle */}
+          <View style={styles.scorecardViewToggle}>
+            {[{ key: 'mine', label: 'My Card' }, { key: 'group', label: partners.length > 0 ? `Group (${partners.length + 1})` : 'Group' }].map(option => (
+              <TouchableOpacity
+                key={option.key}
+                style={[styles.scorecardViewOption, scorecardView === option.key && styles.scorecardViewOptionActive]}
+                onPress={() => setScorecardView(option.key)}
+                activeOpacity={0.8}
+              >
+                <Text style={[styles.scorecardViewOptionText, scorecardView === option.key && styles.scorecardViewOptionTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
           <ScrollView
             style={styles.scorecardModalBody}
             contentContainerStyle={styles.scorecardModalBodyContent}
             showsVerticalScrollIndicator={true}
+            keyboardShouldPersistTaps="handled"
           >
+            {scorecardView === 'group' ? (
+              <>
+              <GroupScorecard
+                holesData={holesData}
+                firstHole={firstHole}
+                lastHole={lastHole}
+                playerScores={holeScores}
+                playerStrokes={holeStrokes}
+                playerPlayingHandicap={roundHandicap?.playingHandicap ?? null}
+                partners={partners}
+                onAddPartner={handleAddPartner}
+                onRemovePartner={handleRemovePartner}
+                onSetPartnerScore={handleSetPartnerScore}
+              />
+              <SideGamesPanel
+                games={sideGames}
+                players={sideGamePlayers}
+                holes={sideGameHoles}
+                viewingHole={viewingHole}
+                onChangeGames={handleChangeSideGames}
+              />
+              </>
+            ) : (
+            <>
             {/* Front 9 */}
             <View style={styles.scorecardSection}>
               <Text style={styles.scorecardSectionTitle}>Front 9</Text>
@@ -2760,6 +3507,7 @@ export default function HoleViewSatellite({
                   <Text style={[styles.scorecardHeaderCell, styles.scorecardDataCol]}>Par</Text>
                   <Text style={[styles.scorecardHeaderCell, styles.scorecardDataCol]}>HCP</Text>
                   <Text style={[styles.scorecardHeaderCell, styles.scorecardScoreCol]}>Score</Text>
+                  <Text style={[styles.scorecardHeaderCell, styles.scorecardDataCol]}>Net</Text>
                 </View>
 
                 {/* Holes 1-9 */}
@@ -2767,6 +3515,7 @@ export default function HoleViewSatellite({
                   const hole = holesData[holeNum];
                   const holeScore = holeScores[holeNum];
                   const scoreToPar = holeScore && hole ? holeScore - hole.par : null;
+                  const strokes = holeStrokes[holeNum] || 0;
 
                   return (
                     <TouchableOpacity
@@ -2783,6 +3532,9 @@ export default function HoleViewSatellite({
                     >
                       <Text style={[styles.scorecardCell, styles.scorecardHoleCol, styles.scorecardHoleNum]}>
                         {holeNum}
+                        {strokes > 0 && (
+                          <Text style={styles.scorecardStrokeDots}>{` ${'\u2022'.repeat(strokes)}`}</Text>
+                        )}
                       </Text>
                       <Text style={[styles.scorecardCell, styles.scorecardDataCol]}>
                         {hole?.yardage || '-'}
@@ -2814,6 +3566,9 @@ export default function HoleViewSatellite({
                           <Text style={styles.scorecardCell}>-</Text>
                         )}
                       </View>
+                      <Text style={[styles.scorecardCell, styles.scorecardDataCol]}>
+                        {holeScore ? holeScore - strokes : '-'}
+                      </Text>
                     </TouchableOpacity>
                   );
                 })}
@@ -2831,6 +3586,9 @@ export default function HoleViewSatellite({
                   <Text style={[styles.scorecardTotalCell, styles.scorecardScoreCol]}>
                     {[1,2,3,4,5,6,7,8,9].reduce((sum, h) => sum + (holeScores[h] || 0), 0) || '-'}
                   </Text>
+                  <Text style={[styles.scorecardTotalCell, styles.scorecardDataCol]}>
+                    {[1,2,3,4,5,6,7,8,9].reduce((sum, h) => sum + (holeScores[h] ? holeScores[h] - (holeStrokes[h] || 0) : 0), 0) || '-'}
+                  </Text>
                 </View>
               </View>
             </View>
@@ -2846,6 +3604,7 @@ export default function HoleViewSatellite({
                   <Text style={[styles.scorecardHeaderCell, styles.scorecardDataCol]}>Par</Text>
                   <Text style={[styles.scorecardHeaderCell, styles.scorecardDataCol]}>HCP</Text>
                   <Text style={[styles.scorecardHeaderCell, styles.scorecardScoreCol]}>Score</Text>
+                  <Text style={[styles.scorecardHeaderCell, styles.scorecardDataCol]}>Net</Text>
                 </View>
 
                 {/* Holes 10-18 */}
@@ -2853,6 +3612,7 @@ export default function HoleViewSatellite({
                   const hole = holesData[holeNum];
                   const holeScore = holeScores[holeNum];
                   const scoreToPar = holeScore && hole ? holeScore - hole.par : null;
+                  const strokes = holeStrokes[holeNum] || 0;
 
                   return (
                     <TouchableOpacity
@@ -2869,6 +3629,9 @@ export default function HoleViewSatellite({
                     >
                       <Text style={[styles.scorecardCell, styles.scorecardHoleCol, styles.scorecardHoleNum]}>
                         {holeNum}
+                        {strokes > 0 && (
+                          <Text style={styles.scorecardStrokeDots}>{` ${'\u2022'.repeat(strokes)}`}</Text>
+                        )}
                       </Text>
                       <Text style={[styles.scorecardCell, styles.scorecardDataCol]}>
                         {hole?.yardage || '-'}
@@ -2900,6 +3663,9 @@ export default function HoleViewSatellite({
                           <Text style={styles.scorecardCell}>-</Text>
                         )}
                       </View>
+                      <Text style={[styles.scorecardCell, styles.scorecardDataCol]}>
+                        {holeScore ? holeScore - strokes : '-'}
+                      </Text>
                     </TouchableOpacity>
                   );
                 })}
@@ -2917,6 +3683,9 @@ export default function HoleViewSatellite({
                   <Text style={[styles.scorecardTotalCell, styles.scorecardScoreCol]}>
                     {[10,11,12,13,14,15,16,17,18].reduce((sum, h) => sum + (holeScores[h] || 0), 0) || '-'}
                   </Text>
+                  <Text style={[styles.scorecardTotalCell, styles.scorecardDataCol]}>
+                    {[10,11,12,13,14,15,16,17,18].reduce((sum, h) => sum + (holeScores[h] ? holeScores[h] - (holeStrokes[h] || 0) : 0), 0) || '-'}
+                  </Text>
                 </View>
               </View>
             </View>
@@ -2949,6 +3718,16 @@ export default function HoleViewSatellite({
                       {Object.values(holeScores).reduce((sum, s) => sum + (s || 0), 0) || '-'}
                     </Text>
                   </View>
+                  {roundHandicap && (
+                    <View style={styles.scorecardGrandTotalItem}>
+                      <Text style={styles.scorecardGrandTotalItemLabel}>Net ({roundHandicap.playingHandicap})</Text>
+                      <Text style={styles.scorecardGrandTotalItemValue}>
+                        {Object.entries(holeScores).reduce(
+                          (sum, [h, s]) => sum + (s ? s - (holeStrokes[h] || 0) : 0), 0
+                        ) || '-'}
+                      </Text>
+                    </View>
+                  )}
                   <View style={styles.scorecardGrandTotalItem}>
                     <Text style={styles.scorecardGrandTotalItemLabel}>+/-</Text>
                     <Text style={[
@@ -2962,6 +3741,8 @@ export default function HoleViewSatellite({
                 </View>
               </View>
             </View>
+            </>
+            )}
           </ScrollView>
         </SafeAreaView>
       </Modal>
@@ -3087,6 +3868,40 @@ export default function HoleViewSatellite({
               </View>
             </View>
 
+            {/* Risk Profile */}
+            <View style={styles.settingsSection}>
+              <Text style={styles.settingsSectionTitle}>Risk Profile</Text>
+              <Text style={styles.settingsSectionDescription}>
+                How much risk should hole plans take on this round?
+              </Text>
+              <View style={styles.settingsButtonGroup}>
+                {Object.values(RISK_PROFILES).map((profile) => (
+                  <TouchableOpacity
+                    key={profile.id}
+                    style={[
+                      styles.settingsButtonOption,
+                      riskProfile === profile.id && styles.settingsButtonOptionActive,
+                    ]}
+                    onPress={() => handleChangeRiskProfile(profile.id)}
+                    activeOpacity={0.7}
+                  >
+                    <Text style={[
+                      styles.settingsButtonLabel,
+                      riskProfile === profile.id && styles.settingsButtonLabelActive,
+                    ]}>
+                      {profile.shortLabel}
+                    </Text>
+                    <Text style={[
+                      styles.settingsButtonDesc,
+                      riskProfile === profile.id && styles.settingsButtonDescActive,
+                    ]}>
+                      {profile.hint}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+
             {/* GPS Tracking */}
             <View style={styles.settingsSection}>
               <Text style={styles.settingsSectionTitle}>GPS Tracking</Text>
@@ -3111,6 +3926,39 @@ export default function HoleViewSatellite({
                   ]} />
                 </TouchableOpacity>
               </View>
+              <Text style={[styles.settingsSectionDescription, styles.settingsSubheading]}>
+                Walking or riding? Shot detection ignores cart stops when riding.
+              </Text>
+              <View style={styles.settingsButtonGroup}>
+                {[
+                  { value: 'auto', label: 'Auto', desc: 'Detect from speed' },
+                  { value: 'walking', label: 'Walking', desc: 'On foot' },
+                  { value: 'cart', label: 'Cart', desc: 'Riding' },
+                ].map((option) => (
+                  <TouchableOpacity
+                    key={option.value}
+                    style={[
+                      styles.settingsButtonOption,
+                      transportMode === option.value && styles.settingsButtonOptionActive,
+                    ]}
+                    onPress={() => handleChangeTransportMode(option.value)}
+                    activeOpacity={0.7}
+                  >
+                    <Text style={[
+                      styles.settingsButtonLabel,
+                      transportMode === option.value && styles.settingsButtonLabelActive,
+                    ]}>
+                      {option.label}
+                    </Text>
+                    <Text style={[
+                      styles.settingsButtonDesc,
+                      transportMode === option.value && styles.settingsButtonDescActive,
+                    ]}>
+                      {option.desc}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
             </View>
 
             {/* Simulation Mode (Dev) */}
@@ -3137,6 +3985,52 @@ export default function HoleViewSatellite({
                   ]} />
                 </TouchableOpacity>
               </View>
+              <View style={styles.settingsOptionRow}>
+                <View style={styles.settingsOptionInfo}>
+                  <Text style={styles.settingsOptionLabel}>Record GPS Trace</Text>
+                  <Text style={styles.settingsOptionDescription}>
+                    Save raw GPS readings and logged shots for replay
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  style={[
+                    styles.settingsToggle,
+                    isTraceRecording && styles.settingsToggleActive,
+                  ]}
+                  onPress={handleToggleTraceRecording}
+                  activeOpacity={0.7}
+                >
+                  <View style={[
+                    styles.settingsToggleKnob,
+                    isTraceRecording && styles.settingsToggleKnobActive,
+                  ]} />
+                </TouchableOpacity>
+              </View>
+              {__DEV__ && (
+                <View style={styles.settingsOptionRow}>
+                  <View style={styles.settingsOptionInfo}>
+                    <Text style={styles.settingsOptionLabel}>Replay Last Trace</Text>
+                    <Text style={styles.settingsOptionDescription}>
+                      {replayTrace
+                        ? `Replaying ${replayTrace.courseName || 'trace'} at 10x`
+                        : 'Feed the latest recording to shot detection'}
+                    </Text>
+                  </View>
+                  <TouchableOpacity
+                    style={[
+                      styles.settingsToggle,
+                      replayTrace && styles.settingsToggleActive,
+                    ]}
+                    onPress={handleToggleTraceReplay}
+                    activeOpacity={0.7}
+                  >
+                    <View style={[
+                      styles.settingsToggleKnob,
+                      replayTrace && styles.settingsToggleKnobActive,
+                    ]} />
+                  </TouchableOpacity>
+                </View>
+              )}
             </View>
           </ScrollView>
         </SafeAreaView>
@@ -3502,6 +4396,37 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginTop: 2,
   },
+  holePlanOptions: {
+    width: '100%',
+    gap: 2,
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: 'rgba(255,255,255,0.15)',
+    paddingTop: 5,
+  },
+  holePlanOptionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  holePlanOptionLabel: {
+    flex: 1,
+    fontFamily: theme.fonts.regular,
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 10,
+  },
+  holePlanOptionLabelActive: {
+    color: '#fff',
+  },
+  holePlanOptionScore: {
+    fontFamily: theme.fonts.semibold,
+    color: 'rgba(255, 255, 255, 0.9)',
+    fontSize: 11,
+  },
+  holePlanOptionRisk: {
+    fontFamily: theme.fonts.regular,
+    color: '#fca5a5',
+    fontSize: 9,
+  },
   holePlanReminders: {
     width: '100%',
     gap: 2,
@@ -4031,6 +4956,21 @@ const styles = StyleSheet.create({
   fairwayCompassTextSelected: {
     color: '#fff',
   },
+  dropMarker: {
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    backgroundColor: 'rgba(239, 68, 68, 0.85)',
+    borderWidth: 2,
+    borderColor: '#fff',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  dropMarkerText: {
+    fontFamily: theme.fonts.bold,
+    color: '#fff',
+    fontSize: 11,
+  },
   teeMarker: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -4550,6 +5490,56 @@ const styles = StyleSheet.create({
     fontSize: 12,
     textAlign: 'center',
   },
+  pinModeBanner: {
+    backgroundColor: 'rgba(8, 10, 16, 0.9)',
+    paddingVertical: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.md,
+    borderRadius: theme.borderRadius.base,
+    marginHorizontal: theme.spacing.lg,
+    marginTop: theme.spacing.xs,
+  },
+  pinModeText: {
+    fontFamily: theme.fonts.regular,
+    color: '#ffffff',
+    fontSize: 12,
+    textAlign: 'center',
+  },
+  pinModeActions: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: theme.spacing.lg,
+    marginTop: 6,
+  },
+  pinModeAction: {
+    fontFamily: theme.fonts.semibold,
+    color: theme.colors.accent.emerald,
+    fontSize: 13,
+  },
+  provisionalBanner: {
+    backgroundColor: 'rgba(8, 10, 16, 0.9)',
+    paddingVertical: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.md,
+    borderRadius: theme.borderRadius.base,
+    marginHorizontal: theme.spacing.lg,
+    marginTop: theme.spacing.xs,
+  },
+  provisionalText: {
+    fontFamily: theme.fonts.regular,
+    color: '#ffffff',
+    fontSize: 12,
+    textAlign: 'center',
+  },
+  provisionalActions: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: theme.spacing.lg,
+    marginTop: 6,
+  },
+  provisionalAction: {
+    fontFamily: theme.fonts.semibold,
+    color: theme.colors.accent.emerald,
+    fontSize: 13,
+  },
   // Shot detection indicator
   shotDetectionIndicator: {
     flexDirection: 'row',
@@ -4647,6 +5637,31 @@ const styles = StyleSheet.create({
   scorecardModalBody: {
     flex: 1,
   },
+  scorecardViewToggle: {
+    flexDirection: 'row',
+    margin: 16,
+    marginBottom: 0,
+    padding: 3,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0, 0, 0, 0.25)',
+  },
+  scorecardViewOption: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  scorecardViewOptionActive: {
+    backgroundColor: '#ffffff',
+  },
+  scorecardViewOptionText: {
+    fontFamily: theme.fonts.semibold,
+    color: 'rgba(255, 255, 255, 0.7)',
+    fontSize: 14,
+  },
+  scorecardViewOptionTextActive: {
+    color: '#0d2818',
+  },
   scorecardModalBodyContent: {
     padding: 16,
   },
@@ -4714,6 +5729,10 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#0d2818',
   },
+  scorecardStrokeDots: {
+    fontSize: 10,
+    color: '#16a34a',
+  },
   scorecardScoreWrapper: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -4958,6 +5977,9 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     gap: 8,
   },
+  settingsSubheading: {
+    marginTop: 16,
+  },
   settingsButtonOption: {
     flex: 1,
     backgroundColor: 'rgba(255, 255, 255, 0.1)',
@@ -5182,6 +6204,15 @@ const styles = StyleSheet.create({
       },
     }),
   },
+  logButtonsRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  logPuttsButton: {
+    backgroundColor: 'rgba(8, 10, 16, 0.85)',
+    paddingHorizontal: 16,
+    marginRight: 8,
+  },
   logShotButtonText: {
     fontFamily: theme.fonts.semibold,
     color: '#fff',
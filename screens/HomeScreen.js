@@ -4,6 +4,7 @@
  * Main home screen for Pure featuring:
  * - Hero section with time-of-day dynamic gradient and weather
  * - Quick action cards (Start Round, Resume Round)
+ * - Rounds on this phone: other unfinished rounds and rounds still uploading
  * - AI Tip of the Day card
  * - Stat rings (Handicap, Avg Score, Rounds)
  * - Recent rounds horizontal scroll
@@ -17,6 +18,7 @@ import {
   StyleSheet,
   Dimensions,
   RefreshControl,
+  Alert,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import theme from '../theme';
@@ -27,11 +29,13 @@ import {
   AICaddieCard,
   StatRing,
   RecentRoundCard,
+  CachedRoundRow,
 } from '../components';
 import { useTraining } from '../components/TrainingProvider';
 import TrainingOverlay from '../components/TrainingOverlay';
 import { fetchRoundHistory } from '../services/roundService';
-import { calculateHandicap } from '../utils/handicapUtils';
+import { getSyncStatus, subscribeSyncStatus, processSyncQueue, SYNC_STATES } from '../services/syncQueueService';
+import { calculateHandicap, getRoundLength } from '../utils/handicapUtils';
 
 const golfHeroImage = require('../assets/golf-ball-and-hole.jpg');
 const { height: SCREEN_HEIGHT } = Dimensions.get('window');
@@ -68,17 +72,29 @@ function getAITip(stats) {
     "Stay patient out there. The best rounds happen when you trust your swing and commit to your targets.";
 }
 
+// Short upload status for a round card
+function describeSync(entry) {
+  if (!entry) return null;
+  if (entry.state === SYNC_STATES.SYNCED) return 'Saved';
+  if (entry.state === SYNC_STATES.RETRYING) return 'Upload failed, retrying';
+  return 'Saved on this phone';
+}
+
 export default function HomeScreen({
   userProfile,
   userId,
   inProgressRound,
+  cachedRounds = [],
   onStartRound,
   onResumeRound,
+  onResumeCachedRound,
+  onDiscardCachedRound,
   onOpenRoundHistory,
 }) {
   const [stats, setStats] = useState(null);
   const [recentRounds, setRecentRounds] = useState([]);
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const [syncStatus, setSyncStatus] = useState({});
   const { trainingOverlayProps, triggerTraining } = useTraining('home');
 
   useEffect(() => {
@@ -87,6 +103,14 @@ export default function HomeScreen({
     }
   }, [userId]);
 
+  useEffect(() => {
+    getSyncStatus().then(setSyncStatus);
+    return subscribeSyncStatus((status, event) => {
+      setSyncStatus(status);
+      if (event?.type === 'round_completed' && userId) loadStats();
+    });
+  }, [userId]);
+
   // Trigger training overlay on first visit (after content loads)
   useEffect(() => {
     if (stats) {
@@ -110,8 +134,11 @@ export default function HomeScreen({
         return;
       }
 
-      // Compute stats
-      const totalScores = rounds.map((r) => r.total_score).filter(Boolean);
+      // Compute stats (average over 18-hole rounds; 9-hole totals aren't comparable)
+      const totalScores = rounds
+        .filter((r) => getRoundLength(r) === 18)
+        .map((r) => r.total_score)
+        .filter(Boolean);
       const avgScore =
         totalScores.length > 0
           ? totalScores.reduce((a, b) => a + b, 0) / totalScores.length
@@ -174,6 +201,23 @@ export default function HomeScreen({
 
   const aiTip = useMemo(() => getAITip(stats), [stats]);
 
+  const resumeSync = describeSync(inProgressRound?.tempId && syncStatus[inProgressRound.tempId]);
+  const otherRounds = cachedRounds.filter(r => r.tempId !== inProgressRound?.tempId);
+  const waitingRounds = Object.entries(syncStatus)
+    .filter(([, r]) => r.finished && !r.completed && r.pending > 0)
+    .map(([tempId, r]) => ({ tempId, ...r }));
+
+  const confirmDiscard = (round) => {
+    Alert.alert(
+      'Discard Round?',
+      `Your scores at ${round.courseName || 'this course'} will be deleted.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: () => onDiscardCachedRound?.(round.tempId) },
+      ]
+    );
+  };
+
   return (
     <View style={styles.container}>
       <StatusBar style="light" />
@@ -208,13 +252,42 @@ export default function HomeScreen({
             title="Resume Round"
             subtitle={`Hole ${inProgressRound.currentHole || (inProgressRound.holes_played || 0) + 1} at ${
               inProgressRound.course?.name || inProgressRound.courseName || 'Golf Course'
-            }`}
+            }${resumeSync ? ` · ${resumeSync}` : ''}`}
             icon="play-circle"
             variant="warning"
             onPress={onResumeRound}
           />
         )}
 
+        {/* Rounds on this phone: other unfinished rounds, and finished ones still uploading */}
+        {(otherRounds.length > 0 || waitingRounds.length > 0) && (
+          <View style={styles.cachedRoundsSection}>
+            <Text style={styles.sectionTitle}>On This Phone</Text>
+            {otherRounds.map(round => (
+              <CachedRoundRow
+                key={round.tempId}
+                courseName={round.courseName}
+                detail={`Hole ${round.currentHole} · ${round.holesPlayed} played`}
+                syncLabel={describeSync(syncStatus[round.tempId])}
+                syncWarning={syncStatus[round.tempId]?.state === SYNC_STATES.RETRYING}
+                onPress={() => onResumeCachedRound?.(round.tempId)}
+                onDiscard={() => confirmDiscard(round)}
+              />
+            ))}
+            {waitingRounds.map(round => (
+              <CachedRoundRow
+                key={round.tempId}
+                courseName={round.courseName}
+                detail="Finished"
+                syncLabel={round.state === SYNC_STATES.RETRYING ? 'No connection, tap to retry' : 'Uploading'}
+                syncWarning={round.state === SYNC_STATES.RETRYING}
+                finished
+                onPress={() => processSyncQueue({ force: true })}
+              />
+            ))}
+          </View>
+        )}
+
         {/* Start Round Card */}
         <QuickActionCard
           title="Start New Round"
@@ -332,6 +405,10 @@ const styles = StyleSheet.create({
     paddingHorizontal: theme.spacing.md,
     ...theme.shadows.sm,
   },
+  cachedRoundsSection: {
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+  },
   recentRoundsSection: {
     marginTop: theme.spacing.lg,
   },
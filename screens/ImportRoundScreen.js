@@ -0,0 +1,409 @@
+/**
+ * Import Round Screen
+ *
+ * Adds a round that was scored on paper from a GPX or FIT track recorded
+ * by a GPS watch. The player picks the file, confirms the course and tee,
+ * and enters each hole's score; shot locations are reconstructed from the
+ * track by the shot detector (see trackImportService).
+ */
+
+import React, { useState, useMemo, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import * as DocumentPicker from 'expo-document-picker';
+import theme from '../theme';
+import { fetchNearbyCourses, fetchTeeBoxes } from '../services/courseService';
+import { fetchHolesByCourse } from '../services/holeService';
+import { readTrackFile, buildImportedShots, submitImportedRound } from '../services/trackImportService';
+import { loadUserBag } from '../services/aiCaddyService';
+import { loadPlayerInsights } from '../services/playerInsightsService';
+
+export default function ImportRoundScreen({ userId, onBack, onImported }) {
+  const insets = useSafeAreaInsets();
+  const [track, setTrack] = useState(null);
+  const [courses, setCourses] = useState([]);
+  const [course, setCourse] = useState(null);
+  const [tees, setTees] = useState([]);
+  const [tee, setTee] = useState(null);
+  const [holes, setHoles] = useState(null);
+  const [scores, setScores] = useState({});
+  const [isWorking, setIsWorking] = useState(false);
+  const [clubData, setClubData] = useState({});
+
+  // Bag and measured distances for guessing each shot's club
+  useEffect(() => {
+    const loadClubData = async () => {
+      const [bagDistances, insights] = await Promise.all([
+        loadUserBag(),
+        userId ? loadPlayerInsights(userId) : null,
+      ]);
+      setClubData({
+        bagDistances,
+        clubStats: insights?.clubStats,
+        corrections: insights?.clubCorrections,
+      });
+    };
+    loadClubData();
+  }, [userId]);
+
+  const shots = useMemo(
+    () => (track && holes ? buildImportedShots(track.points, holes, clubData) : []),
+    [track, holes, clubData]
+  );
+
+  const shotsByHole = useMemo(() => shots.reduce((acc, shot) => {
+    acc[shot.holeNumber] = (acc[shot.holeNumber] || 0) + 1;
+    return acc;
+  }, {}), [shots]);
+
+  const holeNumbers = holes ? Object.keys(holes).map(Number).sort((a, b) => a - b) : [];
+
+  const handlePickFile = async () => {
+    const result = await DocumentPicker.getDocumentAsync({ type: '*/*', copyToCacheDirectory: true });
+    if (result.canceled || !result.assets?.length) return;
+
+    const file = result.assets[0];
+    setIsWorking(true);
+    const { data, error } = await readTrackFile(file.uri, file.name);
+    if (error) {
+      setIsWorking(false);
+      Alert.alert('Import Failed', error);
+      return;
+    }
+
+    setTrack(data);
+    setCourse(null);
+    setTee(null);
+    setHoles(null);
+    setScores({});
+
+    const { latitude, longitude } = data.points[0];
+    const { data: nearby } = await fetchNearbyCourses(latitude, longitude);
+    setCourses(nearby || []);
+    setIsWorking(false);
+  };
+
+  const handleSelectCourse = async (selected) => {
+    setCourse(selected);
+    setTee(null);
+    setHoles(null);
+    setIsWorking(true);
+    const { data } = await fetchTeeBoxes(selected.id);
+    setTees(data || []);
+    setIsWorking(false);
+  };
+
+  const handleSelectTee = async (selected) => {
+    setTee(selected);
+    setIsWorking(true);
+    const { data, error } = await fetchHolesByCourse(course.id, selected.id);
+    setIsWorking(false);
+    if (error) {
+      Alert.alert('Import Failed', error);
+      return;
+    }
+    setHoles(data);
+  };
+
+  const handleScoreChange = (holeNumber, field, text) => {
+    const value = text === '' ? null : parseInt(text, 10);
+    setScores(prev => ({
+      ...prev,
+      [holeNumber]: { ...prev[holeNumber], [field]: Number.isNaN(value) ? null : value },
+    }));
+  };
+
+  const handleSubmit = async () => {
+    setIsWorking(true);
+    const { data, error } = await submitImportedRound({
+      userId,
+      course,
+      tee,
+      holes,
+      scores,
+      points: track.points,
+      shots,
+    });
+    setIsWorking(false);
+
+    if (error) {
+      Alert.alert('Import Failed', error);
+      return;
+    }
+    onImported(data.id);
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="light" />
+
+      <LinearGradient
+        colors={[theme.colors.primary[700], theme.colors.primary[600]]}
+        style={[styles.headerGradient, { paddingTop: insets.top + theme.spacing.sm }]}
+      >
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onBack} style={styles.backButton} activeOpacity={0.7}>
+            <Ionicons name="chevron-back" size={24} color="#fff" />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Import Round</Text>
+          <View style={{ width: 40 }} />
+        </View>
+      </LinearGradient>
+
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        {/* Track file */}
+        <Text style={styles.sectionTitle}>Watch track</Text>
+        <TouchableOpacity style={styles.card} onPress={handlePickFile} activeOpacity={0.7} disabled={isWorking}>
+          <Ionicons name="document-outline" size={22} color={theme.colors.primary[500]} />
+          <View style={styles.cardBody}>
+            <Text style={styles.cardTitle}>{track ? track.name : 'Choose a GPX or FIT file'}</Text>
+            {track && (
+              <Text style={styles.cardSubtitle}>
+                {track.format.toUpperCase()} · {track.points.length} points ·{' '}
+                {new Date(track.points[0].timestamp).toLocaleDateString()}
+              </Text>
+            )}
+          </View>
+        </TouchableOpacity>
+
+        {/* Course */}
+        {track && (
+          <>
+            <Text style={styles.sectionTitle}>Course</Text>
+            {courses.length === 0 && !isWorking && (
+              <Text style={styles.emptyText}>No courses found near the start of this track</Text>
+            )}
+            {courses.map(c => (
+              <TouchableOpacity
+                key={c.id}
+                style={[styles.option, course?.id === c.id && styles.optionActive]}
+                onPress={() => handleSelectCourse(c)}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.optionText}>{c.name}</Text>
+                {!!c.location && <Text style={styles.optionSubtext}>{c.location}</Text>}
+              </TouchableOpacity>
+            ))}
+          </>
+        )}
+
+        {/* Tee */}
+        {course && tees.length > 0 && (
+          <>
+            <Text style={styles.sectionTitle}>Tee</Text>
+            <View style={styles.teeRow}>
+              {tees.map(t => (
+                <TouchableOpacity
+                  key={t.id}
+                  style={[styles.teeChip, tee?.id === t.id && styles.optionActive]}
+                  onPress={() => handleSelectTee(t)}
+                  activeOpacity={0.7}
+                >
+                  <Text style={styles.optionText}>{t.color}</Text>
+                  {t.yardage != null && <Text style={styles.optionSubtext}>{t.yardage} yds</Text>}
+                </TouchableOpacity>
+              ))}
+            </View>
+          </>
+        )}
+
+        {/* Scores */}
+        {holes && (
+          <>
+            <Text style={styles.sectionTitle}>Scores</Text>
+            <View style={styles.scoreHeader}>
+              <Text style={[styles.scoreCell, styles.scoreHeaderText]}>Hole</Text>
+              <Text style={[styles.scoreCell, styles.scoreHeaderText]}>Par</Text>
+              <Text style={[styles.scoreCell, styles.scoreHeaderText]}>Shots found</Text>
+              <Text style={[styles.scoreCell, styles.scoreHeaderText]}>Score</Text>
+              <Text style={[styles.scoreCell, styles.scoreHeaderText]}>Putts</Text>
+            </View>
+            {holeNumbers.map(n => (
+              <View key={n} style={styles.scoreRow}>
+                <Text style={styles.scoreCell}>{n}</Text>
+                <Text style={styles.scoreCell}>{holes[n].par}</Text>
+                <Text style={styles.scoreCell}>{shotsByHole[n] || '-'}</Text>
+                <TextInput
+                  style={[styles.scoreCell, styles.scoreInput]}
+                  keyboardType="number-pad"
+                  maxLength={2}
+                  value={scores[n]?.score != null ? String(scores[n].score) : ''}
+                  onChangeText={text => handleScoreChange(n, 'score', text)}
+                />
+                <TextInput
+                  style={[styles.scoreCell, styles.scoreInput]}
+                  keyboardType="number-pad"
+                  maxLength={1}
+                  value={scores[n]?.putts != null ? String(scores[n].putts) : ''}
+                  onChangeText={text => handleScoreChange(n, 'putts', text)}
+                />
+              </View>
+            ))}
+
+            <TouchableOpacity
+              style={[styles.submitButton, isWorking && styles.submitDisabled]}
+              onPress={handleSubmit}
+              activeOpacity={0.8}
+              disabled={isWorking}
+            >
+              <Text style={styles.submitText}>Save Round</Text>
+            </TouchableOpacity>
+          </>
+        )}
+
+        {isWorking && <ActivityIndicator style={styles.spinner} color={theme.colors.primary[500]} />}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.light,
+  },
+  headerGradient: {
+    paddingBottom: theme.spacing.md,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: theme.spacing.lg,
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    fontFamily: theme.fonts.bold,
+    fontSize: 18,
+    color: '#fff',
+  },
+  scrollContent: {
+    padding: theme.spacing.lg,
+    paddingBottom: theme.spacing['3xl'],
+  },
+  sectionTitle: {
+    ...theme.typography.styles.label,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.lg,
+    marginBottom: theme.spacing.sm,
+  },
+  card: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: theme.spacing.md,
+    borderRadius: theme.borderRadius.lg,
+    backgroundColor: theme.colors.background.white,
+  },
+  cardBody: {
+    flex: 1,
+    marginLeft: theme.spacing.md,
+  },
+  cardTitle: {
+    ...theme.typography.styles.body,
+    fontWeight: theme.typography.weights.semibold,
+  },
+  cardSubtitle: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+  },
+  emptyText: {
+    ...theme.typography.styles.body,
+    color: theme.colors.text.secondary,
+  },
+  option: {
+    padding: theme.spacing.md,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.background.white,
+    borderWidth: 1,
+    borderColor: theme.colors.neutral.gray[200],
+    marginBottom: theme.spacing.sm,
+  },
+  optionActive: {
+    borderColor: theme.colors.primary[500],
+    backgroundColor: theme.colors.primary[50],
+  },
+  optionText: {
+    ...theme.typography.styles.body,
+    fontWeight: theme.typography.weights.semibold,
+  },
+  optionSubtext: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.secondary,
+  },
+  teeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.sm,
+  },
+  teeChip: {
+    paddingVertical: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.md,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.background.white,
+    borderWidth: 1,
+    borderColor: theme.colors.neutral.gray[200],
+  },
+  scoreHeader: {
+    flexDirection: 'row',
+    paddingBottom: theme.spacing.xs,
+  },
+  scoreHeaderText: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.secondary,
+  },
+  scoreRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.neutral.gray[100],
+  },
+  scoreCell: {
+    flex: 1,
+    textAlign: 'center',
+  },
+  scoreInput: {
+    height: 36,
+    marginHorizontal: theme.spacing.xs,
+    borderRadius: theme.borderRadius.sm,
+    backgroundColor: theme.colors.background.white,
+    borderWidth: 1,
+    borderColor: theme.colors.neutral.gray[200],
+  },
+  submitButton: {
+    marginTop: theme.spacing.xl,
+    paddingVertical: theme.spacing.md,
+    borderRadius: theme.borderRadius.lg,
+    backgroundColor: theme.colors.primary[500],
+    alignItems: 'center',
+  },
+  submitDisabled: {
+    opacity: 0.6,
+  },
+  submitText: {
+    ...theme.typography.styles.body,
+    fontWeight: theme.typography.weights.bold,
+    color: '#fff',
+  },
+  spinner: {
+    marginTop: theme.spacing.lg,
+  },
+});
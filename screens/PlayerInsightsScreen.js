@@ -3,7 +3,8 @@
  *
  * Shows the player's measured club stats, tendencies, and strengths/weaknesses.
  * Accessible from Home screen or Settings. Data comes from user_club_stats and
- * user_tendencies tables, computed by shotAnalyticsService after each round.
+ * user_tendencies tables, computed by shotAnalyticsService after each round,
+ * plus the caddie's calibrated scoring weights (scoringCalibrationService).
  */
 
 import React, { useState, useEffect } from 'react';
@@ -25,6 +26,9 @@ import { StatRing } from '../components';
 import { useTraining } from '../components/TrainingProvider';
 import TrainingOverlay from '../components/TrainingOverlay';
 import { loadPlayerInsights } from '../services/playerInsightsService';
+import { fetchStrokesGainedTrend } from '../services/strokesGainedService';
+import { fetchScoringCalibration } from '../services/scoringCalibrationService';
+import { SG_CATEGORIES, formatStrokesGained } from '../utils/strokesGained';
 
 const { width } = Dimensions.get('window');
 
@@ -59,12 +63,19 @@ export default function PlayerInsightsScreen({ userId, onBack }) {
   const [insights, setInsights] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [expandedClub, setExpandedClub] = useState(null);
+  const [sgBaseline, setSgBaseline] = useState('scratch'); // 'scratch' | 'handicap'
+  const [sgTrend, setSgTrend] = useState(null);
+  const [calibration, setCalibration] = useState(null);
   const { trainingOverlayProps, triggerTraining } = useTraining('playerInsights');
 
   useEffect(() => {
     loadData();
   }, []);
 
+  useEffect(() => {
+    fetchStrokesGainedTrend(userId, { baseline: sgBaseline }).then(({ data }) => setSgTrend(data));
+  }, [userId, sgBaseline]);
+
   // Trigger training overlay on first visit (after data loads)
   useEffect(() => {
     if (!isLoading) {
@@ -75,8 +86,12 @@ export default function PlayerInsightsScreen({ userId, onBack }) {
 
   const loadData = async () => {
     setIsLoading(true);
-    const result = await loadPlayerInsights(userId, true); // Force refresh
+    const [result, calibrationResult] = await Promise.all([
+      loadPlayerInsights(userId, true), // Force refresh
+      fetchScoringCalibration(userId),
+    ]);
     setInsights(result);
+    setCalibration(calibrationResult.data);
     setIsLoading(false);
   };
 
@@ -159,6 +174,9 @@ export default function PlayerInsightsScreen({ userId, onBack }) {
           <EmptyState />
         ) : (
           <>
+            {/* Strokes Gained */}
+            <StrokesGainedTrend trend={sgTrend} baseline={sgBaseline} onChangeBaseline={setSgBaseline} />
+
             {/* Club Performance Cards */}
             <SectionTitle title="Club Performance" icon="golf-outline" />
             {CLUB_ORDER.filter(id => clubStats?.[id]).map(clubId => (
@@ -187,6 +205,9 @@ export default function PlayerInsightsScreen({ userId, onBack }) {
 
             {/* Strengths & Weaknesses */}
             <StrengthsWeaknesses clubStats={clubStats} tendencies={tendencies} />
+
+            {/* How the caddie's weights were tuned to this player */}
+            <CalibrationReport report={calibration} />
           </>
         )}
       </ScrollView>
@@ -322,6 +343,67 @@ function ClubStat({ label, value }) {
   );
 }
 
+function StrokesGainedTrend({ trend, baseline, onChangeBaseline }) {
+  if (!trend?.averages) return null;
+
+  const { points, averages } = trend;
+  const maxAbs = Math.max(1, ...points.map(p => Math.abs(p.total)));
+  const sgColor = (v) => (v >= 0 ? theme.colors.primary[500] : theme.colors.semantic.error);
+
+  return (
+    <>
+      <SectionTitle title="Strokes Gained" icon="trending-up-outline" />
+      <View style={styles.sgCard}>
+        <View style={styles.sgToggle}>
+          {[{ key: 'scratch', label: 'vs Scratch' }, { key: 'handicap', label: 'vs Your Handicap' }].map(option => (
+            <TouchableOpacity
+              key={option.key}
+              onPress={() => onChangeBaseline(option.key)}
+              style={[styles.sgToggleOption, baseline === option.key && styles.sgToggleOptionActive]}
+              activeOpacity={0.7}
+            >
+              <Text style={[styles.sgToggleText, baseline === option.key && styles.sgToggleTextActive]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {/* Average per round by category */}
+        <View style={[styles.clubStatRow, { marginTop: 0 }]}>
+          {Object.entries(SG_CATEGORIES).map(([key, { shortLabel }]) => (
+            <View key={key} style={styles.clubStatItem}>
+              <Text style={[styles.clubStatValue, { color: sgColor(averages[key]) }]}>
+                {formatStrokesGained(averages[key])}
+              </Text>
+              <Text style={styles.clubStatLabel}>{shortLabel}</Text>
+            </View>
+          ))}
+        </View>
+
+        {/* Total per round, oldest to newest */}
+        <View style={styles.sgChart}>
+          <View style={styles.sgChartAxis} />
+          {points.map(p => (
+            <View key={p.roundId} style={styles.sgChartColumn}>
+              <View
+                style={[
+                  styles.sgChartBar,
+                  { height: `${(Math.abs(p.total) / maxAbs) * 50}%`, backgroundColor: sgColor(p.total) },
+                  p.total >= 0 ? { bottom: '50%' } : { top: '50%' },
+                ]}
+              />
+            </View>
+          ))}
+        </View>
+        <Text style={styles.sgFooter}>
+          Avg {formatStrokesGained(averages.total)} per 18 holes over {points.length} round{points.length !== 1 ? 's' : ''}
+        </Text>
+      </View>
+    </>
+  );
+}
+
 function TendencyCard({ tendency, index }) {
   const icons = {
     club_bias: 'golf-outline',
@@ -330,6 +412,7 @@ function TendencyCard({ tendency, index }) {
     scoring: 'trophy-outline',
     situational: 'flag-outline',
     hole_type: 'map-outline',
+    putting: 'radio-button-on-outline',
   };
 
   const confidenceColor = tendency.confidence >= 0.7 ? theme.colors.primary[500] : tendency.confidence >= 0.5 ? theme.colors.accent.amber : theme.colors.text.tertiary;
@@ -406,6 +489,52 @@ function StrengthsWeaknesses({ clubStats, tendencies }) {
   );
 }
 
+function CalibrationReport({ report }) {
+  if (!report) return null;
+
+  const { changes = [], unchanged = [] } = report;
+  const needsMoreHoles = changes.length === 0 && unchanged.every(u => u.reason === 'Not enough holes yet');
+  const updated = new Date(report.calibratedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+  return (
+    <>
+      <SectionTitle title="Caddie Calibration" icon="options-outline" />
+      <View style={styles.sgCard}>
+        {changes.length === 0 ? (
+          <Text style={styles.swText}>
+            {needsMoreHoles
+              ? 'Play a few more rounds and the caddie will start tuning its risk weights to your results.'
+              : "Your results match the caddie's default risk weights - nothing changed."}
+          </Text>
+        ) : (
+          changes.map(change => {
+            const up = change.scale > 1;
+            const pct = Math.round(Math.abs(change.scale - 1) * 100);
+            return (
+              <View key={change.group} style={styles.calibrationRow}>
+                <Ionicons
+                  name={up ? 'arrow-up-circle' : 'arrow-down-circle'}
+                  size={18}
+                  color={up ? theme.colors.accent.amber : theme.colors.primary[500]}
+                />
+                <View style={styles.calibrationContent}>
+                  <Text style={styles.calibrationLabel}>
+                    {change.label} {up ? '+' : '-'}{pct}%
+                  </Text>
+                  <Text style={styles.calibrationReason}>{change.reason}</Text>
+                </View>
+              </View>
+            );
+          })
+        )}
+        <Text style={styles.sgFooter}>
+          Replayed {report.holesReplayed} holes from {report.roundsReplayed} round{report.roundsReplayed !== 1 ? 's' : ''} · updated {updated}
+        </Text>
+      </View>
+    </>
+  );
+}
+
 // ============================================================================
 // STYLES
 // ============================================================================
@@ -611,6 +740,67 @@ const styles = StyleSheet.create({
   },
 
   // Tendency Card
+  // Strokes Gained
+  sgCard: {
+    backgroundColor: theme.colors.background.white,
+    borderRadius: theme.borderRadius.lg,
+    padding: theme.spacing.base,
+    marginBottom: theme.spacing.lg,
+    ...theme.shadows.sm,
+  },
+  sgToggle: {
+    flexDirection: 'row',
+    alignSelf: 'flex-start',
+    backgroundColor: theme.colors.neutral.gray[100],
+    borderRadius: 12,
+    padding: 2,
+    marginBottom: theme.spacing.md,
+  },
+  sgToggleOption: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 10,
+  },
+  sgToggleOptionActive: {
+    backgroundColor: theme.colors.primary[500],
+  },
+  sgToggleText: {
+    fontFamily: theme.fonts.semibold,
+    fontSize: 12,
+    color: theme.colors.text.secondary,
+  },
+  sgToggleTextActive: {
+    color: '#fff',
+  },
+  sgChart: {
+    flexDirection: 'row',
+    height: 80,
+    marginTop: theme.spacing.md,
+    gap: 3,
+  },
+  sgChartAxis: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    top: '50%',
+    height: 1,
+    backgroundColor: theme.colors.neutral.gray[300],
+  },
+  sgChartColumn: {
+    flex: 1,
+  },
+  sgChartBar: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    borderRadius: 2,
+  },
+  sgFooter: {
+    fontFamily: theme.fonts.regular,
+    fontSize: 12,
+    color: theme.colors.text.tertiary,
+    marginTop: theme.spacing.sm,
+  },
   tendencyCard: {
     flexDirection: 'row',
     backgroundColor: theme.colors.background.white,
@@ -670,4 +860,26 @@ const styles = StyleSheet.create({
     color: theme.colors.text.primary,
     flex: 1,
   },
+
+  // Calibration
+  calibrationRow: {
+    flexDirection: 'row',
+    gap: 8,
+    paddingVertical: 6,
+  },
+  calibrationContent: {
+    flex: 1,
+  },
+  calibrationLabel: {
+    fontFamily: theme.fonts.semibold,
+    fontSize: 13,
+    color: theme.colors.text.primary,
+    marginBottom: 2,
+  },
+  calibrationReason: {
+    fontFamily: theme.fonts.regular,
+    fontSize: 12,
+    color: theme.colors.text.secondary,
+    lineHeight: 17,
+  },
 });
@@ -5,7 +5,7 @@
  * Shown after the player finishes hole 18.
  */
 
-import React, { useMemo, useEffect, useRef } from 'react';
+import React, { useMemo, useEffect, useRef, useState } from 'react';
 import {
   View,
   Text,
@@ -20,9 +20,20 @@ import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Button, AICaddieCard } from '../components';
 import theme from '../theme';
+import { allocateHandicapStrokes } from '../utils/handicapUtils';
+import { computeFormatScore, getScoringFormatLabel, formatUsesPoints } from '../utils/scoringFormats';
+import { SIDE_GAMES, formatAmount } from '../utils/sideGames';
+import { getSyncStatus, subscribeSyncStatus, SYNC_STATES } from '../services/syncQueueService';
 
 const { width } = Dimensions.get('window');
 
+// Where the round's upload stands, for the header
+const SYNC_DISPLAY = {
+  [SYNC_STATES.SYNCED]: { icon: 'cloud-done', label: 'Saved to your account', color: theme.colors.semantic.success },
+  [SYNC_STATES.PENDING]: { icon: 'phone-portrait', label: 'Saved on this phone — uploads when you have signal', color: theme.colors.text.secondary },
+  [SYNC_STATES.RETRYING]: { icon: 'cloud-offline', label: 'Upload failed — retrying automatically', color: theme.colors.semantic.warning },
+};
+
 // Display-friendly club names
 function formatClubName(clubId) {
   if (!clubId) return '?';
@@ -197,9 +208,21 @@ export default function PostRoundSummary({
   selectedTee,
   roundScores,
   roundShots = [],
+  playingHandicap = null,
+  roundLength = 18,
+  sideGames = null,
+  syncTempId = null,
   onDone,
 }) {
   const insets = useSafeAreaInsets();
+  const [syncState, setSyncState] = useState(null);
+
+  useEffect(() => {
+    if (!syncTempId) return undefined;
+    getSyncStatus().then(status => setSyncState(status[syncTempId]?.state || null));
+    return subscribeSyncStatus(status => setSyncState(status[syncTempId]?.state || null));
+  }, [syncTempId]);
+  const syncDisplay = syncState && SYNC_DISPLAY[syncState];
 
   // Compute stats from roundScores array
   const totalScore = roundScores.reduce((sum, h) => sum + (h.score || 0), 0);
@@ -208,6 +231,34 @@ export default function PostRoundSummary({
   const totalPutts = roundScores.reduce((sum, h) => sum + (h.putts || 0), 0);
   const holesPlayed = roundScores.length;
 
+  // Net scoring from the playing handicap locked in at round start
+  const hasHandicap = playingHandicap != null;
+  const holeStrokes = useMemo(() => {
+    if (!hasHandicap) return {};
+    return allocateHandicapStrokes(
+      playingHandicap,
+      roundScores.map((h) => ({ holeNumber: h.hole, handicapIndex: h.handicap_index })),
+      roundLength
+    );
+  }, [hasHandicap, playingHandicap, roundScores, roundLength]);
+  const netScore = roundScores.reduce(
+    (sum, h) => sum + (h.score ? h.score - (holeStrokes[h.hole] || 0) : 0), 0
+  );
+
+  // Format points (Stableford, par/bogey, ...) — stroke play has none
+  const scoringFormat = selectedTee?.scoringFormat || 'stroke';
+  const formatResult = useMemo(
+    () => computeFormatScore(
+      scoringFormat,
+      roundScores.map((h) => ({ holeNumber: h.hole, score: h.score, par: h.par, handicapIndex: h.handicap_index })),
+      playingHandicap,
+      roundLength
+    ),
+    [scoringFormat, roundScores, playingHandicap, roundLength]
+  );
+  const hasFormatScore = formatResult.total != null;
+  const formatColumnLabel = formatUsesPoints(scoringFormat) ? 'Pts' : 'Max';
+
   // Front/back nine
   const frontNine = roundScores.filter((h) => h.hole <= 9);
   const backNine = roundScores.filter((h) => h.hole > 9);
@@ -287,6 +338,12 @@ export default function PostRoundSummary({
           {selectedTee && (
             <Text style={styles.teeInfo}>{selectedTee.name} | {selectedTee.yardage} yds</Text>
           )}
+          {syncDisplay && (
+            <View style={styles.syncRow}>
+              <Ionicons name={syncDisplay.icon} size={14} color={syncDisplay.color} />
+              <Text style={[styles.syncText, { color: syncDisplay.color }]}>{syncDisplay.label}</Text>
+            </View>
+          )}
         </View>
 
         {/* Big Score Card */}
@@ -299,6 +356,12 @@ export default function PostRoundSummary({
           <Text style={[styles.bigScoreToPar, { color: getScoreColor() }]}>
             {scoreToParDisplay}
           </Text>
+          {hasFormatScore && (
+            <Text style={styles.formatScore}>
+              {getScoringFormatLabel(scoringFormat)}: {formatResult.total}
+              {formatUsesPoints(scoringFormat) ? ' pts' : ''}
+            </Text>
+          )}
           <View style={styles.nineScoreRow}>
             <View style={styles.nineScoreItem}>
               <Text style={styles.nineScoreLabel}>Front 9</Text>
@@ -315,6 +378,16 @@ export default function PostRoundSummary({
                 <Text style={styles.nineScorePar}>({backPar})</Text>
               )}
             </View>
+            {hasHandicap && (
+              <>
+                <View style={styles.nineScoreDivider} />
+                <View style={styles.nineScoreItem}>
+                  <Text style={styles.nineScoreLabel}>Net</Text>
+                  <Text style={styles.nineScoreValue}>{netScore || '-'}</Text>
+                  <Text style={styles.nineScorePar}>(PH {playingHandicap})</Text>
+                </View>
+              </>
+            )}
           </View>
         </LinearGradient>
 
@@ -414,18 +487,34 @@ export default function PostRoundSummary({
             <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText, { flex: 0.5 }]}>Hole</Text>
             <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]}>Par</Text>
             <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]}>Score</Text>
+            {hasHandicap && (
+              <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]}>Net</Text>
+            )}
+            {hasFormatScore && (
+              <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]}>{formatColumnLabel}</Text>
+            )}
             <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]}>Putts</Text>
             <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]}>FIR</Text>
             <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]}>GIR</Text>
           </View>
           {roundScores.map((h) => {
             const diff = (h.score || 0) - (h.par || 0);
+            const strokes = holeStrokes[h.hole] || 0;
             const scoreColor = diff < 0 ? theme.colors.primary[600] : diff === 0 ? theme.colors.text.primary : diff === 1 ? theme.colors.accent.amber : theme.colors.semantic.error;
             return (
               <View key={h.hole} style={[styles.holeByHoleRow, h.hole % 2 === 0 && styles.holeByHoleRowAlt]}>
-                <Text style={[styles.holeByHoleCell, { flex: 0.5, fontFamily: theme.fonts.semibold }]}>{h.hole}</Text>
+                <Text style={[styles.holeByHoleCell, { flex: 0.5, fontFamily: theme.fonts.semibold }]}>
+                  {h.hole}
+                  {strokes > 0 && <Text style={styles.strokeDots}>{'\u2022'.repeat(strokes)}</Text>}
+                </Text>
                 <Text style={styles.holeByHoleCell}>{h.par || '-'}</Text>
                 <Text style={[styles.holeByHoleCell, { color: scoreColor, fontFamily: theme.fonts.bold }]}>{h.score || '-'}</Text>
+                {hasHandicap && (
+                  <Text style={styles.holeByHoleCell}>{h.score ? h.score - strokes : '-'}</Text>
+                )}
+                {hasFormatScore && (
+                  <Text style={styles.holeByHoleCell}>{formatResult.holePoints[h.hole] ?? '-'}</Text>
+                )}
                 <Text style={styles.holeByHoleCell}>{h.putts != null ? h.putts : '-'}</Text>
                 <Text style={styles.holeByHoleCell}>
                   {h.fairway_hit === 'hit' ? '\u2714' : h.fairway_hit === 'na' ? '-' : h.fairway_hit ? '\u2718' : '-'}
@@ -441,6 +530,12 @@ export default function PostRoundSummary({
             <Text style={[styles.holeByHoleCell, { flex: 0.5, fontFamily: theme.fonts.bold }]}>Tot</Text>
             <Text style={[styles.holeByHoleCell, { fontFamily: theme.fonts.bold }]}>{totalPar}</Text>
             <Text style={[styles.holeByHoleCell, { fontFamily: theme.fonts.bold, color: getScoreColor() }]}>{totalScore}</Text>
+            {hasHandicap && (
+              <Text style={[styles.holeByHoleCell, { fontFamily: theme.fonts.bold }]}>{netScore}</Text>
+            )}
+            {hasFormatScore && (
+              <Text style={[styles.holeByHoleCell, { fontFamily: theme.fonts.bold }]}>{formatResult.total}</Text>
+            )}
             <Text style={[styles.holeByHoleCell, { fontFamily: theme.fonts.bold }]}>{totalPutts}</Text>
             <Text style={[styles.holeByHoleCell, { fontFamily: theme.fonts.bold }]}>
               {fairwaysTotal > 0 ? `${fairwaysHit}/${fairwaysTotal}` : '-'}
@@ -451,6 +546,42 @@ export default function PostRoundSummary({
           </View>
         </View>
 
+        {/* Side game settlement */}
+        {sideGames?.settlement?.length > 0 && (
+          <View style={styles.sectionCard}>
+            <Text style={styles.sectionTitle}>Side Games</Text>
+            <View style={styles.holeByHoleHeader}>
+              <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText, styles.settlementNameCell]}>Player</Text>
+              {sideGames.games.map(g => (
+                <Text key={g.type} style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]} numberOfLines={1}>
+                  {SIDE_GAMES[g.type]?.label || g.type}
+                </Text>
+              ))}
+              <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]}>Total</Text>
+            </View>
+            {sideGames.settlement.map((s, i) => (
+              <View key={s.playerId} style={[styles.holeByHoleRow, i % 2 === 1 && styles.holeByHoleRowAlt]}>
+                <Text style={[styles.holeByHoleCell, styles.settlementNameCell]} numberOfLines={1}>{s.name}</Text>
+                {sideGames.games.map(g => (
+                  <Text key={g.type} style={styles.holeByHoleCell}>
+                    {s.byGame[g.type] != null ? formatAmount(s.byGame[g.type]) : '-'}
+                  </Text>
+                ))}
+                <Text
+                  style={[
+                    styles.holeByHoleCell,
+                    { fontFamily: theme.fonts.bold },
+                    s.total > 0 && { color: theme.colors.primary[600] },
+                    s.total < 0 && { color: theme.colors.semantic.error },
+                  ]}
+                >
+                  {formatAmount(s.total)}
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+
         <View style={{ height: theme.spacing.xl }} />
       </ScrollView>
 
@@ -503,6 +634,16 @@ const styles = StyleSheet.create({
     color: theme.colors.text.secondary,
     marginTop: theme.spacing.xs,
   },
+  syncRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: theme.spacing.sm,
+  },
+  syncText: {
+    fontFamily: theme.fonts.medium,
+    fontSize: 12,
+    marginLeft: theme.spacing.xs,
+  },
   // Big Score Card
   bigScoreCard: {
     borderRadius: theme.borderRadius['2xl'],
@@ -528,6 +669,17 @@ const styles = StyleSheet.create({
     fontSize: 24,
     marginTop: -4,
   },
+  settlementNameCell: {
+    flex: 1.5,
+    textAlign: 'left',
+    fontFamily: theme.fonts.semibold,
+  },
+  formatScore: {
+    fontFamily: theme.fonts.semibold,
+    color: theme.colors.dark.text.secondary,
+    fontSize: 14,
+    marginTop: 4,
+  },
   nineScoreRow: {
     flexDirection: 'row',
     marginTop: theme.spacing.lg,
@@ -716,6 +868,10 @@ const styles = StyleSheet.create({
     marginTop: theme.spacing.xs,
     paddingTop: theme.spacing.sm,
   },
+  strokeDots: {
+    fontSize: 9,
+    color: theme.colors.primary[600],
+  },
   holeByHoleCell: {
     fontFamily: theme.fonts.regular,
     flex: 1,
@@ -15,11 +15,30 @@ import {
   TouchableOpacity,
   ActivityIndicator,
   Dimensions,
+  Alert,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { LinearGradient } from 'expo-linear-gradient';
 import theme from '../theme';
-import { fetchRoundDetail, fetchRoundShots } from '../services/roundService';
+import { HoleShotEditor } from '../components';
+import {
+  fetchRoundDetail,
+  fetchRoundShots,
+  fetchRoundPartners,
+  confirmShotClub,
+  replaceHoleShots,
+} from '../services/roundService';
+import { fetchHolesByCourse } from '../services/holeService';
+import { requestAnalyticsRecompute } from '../services/shotAnalyticsService';
+import { allocateHandicapStrokes } from '../utils/handicapUtils';
+import { getScoringFormatLabel, formatUsesPoints } from '../utils/scoringFormats';
+import { fetchRoundStrokesGained } from '../services/strokesGainedService';
+import { SG_CATEGORIES, formatStrokesGained, getBaselineLabel } from '../utils/strokesGained';
+import { exportRoundGpx } from '../services/trackImportService';
+import { inferClub, needsClubReview } from '../services/clubInference';
+import { loadPlayerInsights, clearInsightsCache } from '../services/playerInsightsService';
+import { loadUserBag } from '../services/aiCaddyService';
+import { exportBacktestFixture } from '../services/backtestExportService';
 
 const { width } = Dimensions.get('window');
 
@@ -58,24 +77,138 @@ function getQualityColor(quality) {
 export default function RoundDetailScreen({ roundId, onBack }) {
   const [round, setRound] = useState(null);
   const [shots, setShots] = useState([]);
+  const [partners, setPartners] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [expandedHole, setExpandedHole] = useState(null);
+  const [sgBaseline, setSgBaseline] = useState('scratch'); // 'scratch' | 'handicap'
+  const [strokesGained, setStrokesGained] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [editingHole, setEditingHole] = useState(null);
+  const [courseHoles, setCourseHoles] = useState(null);
+  const [userClubs, setUserClubs] = useState(null);
 
   useEffect(() => {
     loadRound();
   }, [roundId]);
 
+  useEffect(() => {
+    if (!round || shots.length === 0) return;
+    fetchRoundStrokesGained(round, shots, sgBaseline).then(({ data }) => setStrokesGained(data));
+  }, [round, shots, sgBaseline]);
+
   const loadRound = async () => {
     setIsLoading(true);
-    const [roundResult, shotsResult] = await Promise.all([
+    const [roundResult, shotsResult, partnersResult] = await Promise.all([
       fetchRoundDetail(roundId),
       fetchRoundShots(roundId),
+      fetchRoundPartners(roundId),
     ]);
     setRound(roundResult.data);
     setShots(shotsResult.data || []);
+    setPartners(partnersResult.data || []);
     setIsLoading(false);
   };
 
+  const handleExport = async () => {
+    setIsExporting(true);
+    const { error } = await exportRoundGpx(round, shots);
+    setIsExporting(false);
+    if (error) {
+      Alert.alert('Export Failed', error);
+    }
+  };
+
+  // Dev builds: long-press GPX to export the round as a strategy backtest fixture
+  const handleExportFixture = async () => {
+    setIsExporting(true);
+    const [holesResult, bag] = await Promise.all([
+      fetchHolesByCourse(round.course_id, round.tee_box_id),
+      loadUserBag(),
+    ]);
+    if (holesResult.error) {
+      setIsExporting(false);
+      Alert.alert('Export Failed', holesResult.error);
+      return;
+    }
+    const { error } = await exportBacktestFixture({
+      round,
+      shots,
+      courseHoles: holesResult.data,
+      clubDistances: bag,
+    });
+    setIsExporting(false);
+    if (error) {
+      Alert.alert('Export Failed', error);
+    }
+  };
+
+  // Hole geometry and the bag are only needed once the shot editor opens
+  const handleEditShots = async (holeNumber) => {
+    if (!courseHoles) {
+      const [holesResult, bag] = await Promise.all([
+        fetchHolesByCourse(round.course_id, round.tee_box_id),
+        loadUserBag(),
+      ]);
+      if (holesResult.error || !holesResult.data?.[holeNumber]) {
+        Alert.alert('Map Unavailable', 'Hole data for this course could not be loaded.');
+        return;
+      }
+      setCourseHoles(holesResult.data);
+      setUserClubs(bag);
+    }
+    setEditingHole(holeNumber);
+  };
+
+  const handleSaveHoleShots = async (editedShots) => {
+    const { error } = await replaceHoleShots(roundId, editingHole, editedShots);
+    if (error) return { error };
+
+    const { data } = await fetchRoundShots(roundId);
+    setShots(data || []);
+    setEditingHole(null);
+
+    // Corrected shots feed club stats and tendencies
+    requestAnalyticsRecompute(round.user_id).then(() => clearInsightsCache());
+    return { error: null };
+  };
+
+  // Low-confidence club guesses: offer the likeliest clubs and save the answer
+  const handleReviewClub = async (shot) => {
+    const [insights, bagDistances] = await Promise.all([
+      loadPlayerInsights(round.user_id),
+      loadUserBag(),
+    ]);
+    const inferred = inferClub({
+      distance: shot.distance_actual,
+      lieType: shot.lie_type,
+      clubStats: insights?.clubStats,
+      bagDistances,
+      corrections: insights?.clubCorrections,
+    });
+    const alternatives = (inferred?.candidates || [])
+      .map(c => c.club)
+      .filter(club => club !== shot.club)
+      .slice(0, 2);
+
+    const confirm = async (club) => {
+      const { error } = await confirmShotClub(shot.id, club);
+      if (error) {
+        Alert.alert('Update Failed', error);
+        return;
+      }
+      setShots(prev => prev.map(s => (s.id === shot.id ? { ...s, club, club_confirmed: true } : s)));
+    };
+
+    Alert.alert(
+      'Which club?',
+      `Shot ${shot.shot_number}${shot.distance_actual ? `, ${Math.round(shot.distance_actual)} yds` : ''}`,
+      [
+        { text: `Keep ${formatClubName(shot.club)}`, onPress: () => confirm(shot.club) },
+        ...alternatives.map(club => ({ text: formatClubName(club), onPress: () => confirm(club) })),
+      ]
+    );
+  };
+
   // Group shots by hole number
   const shotsByHole = shots.reduce((acc, shot) => {
     const h = shot.hole_number;
@@ -157,6 +290,22 @@ export default function RoundDetailScreen({ roundId, onBack }) {
   const girTotal = round.greens_total || 0;
   const totalPenalties = holes.reduce((s, h) => s + (h.penalties || 0), 0);
 
+  // Net scoring from the playing handicap stored with the round
+  const hasHandicap = round.playing_handicap != null;
+  const holeStrokes = hasHandicap
+    ? allocateHandicapStrokes(
+      round.playing_handicap,
+      holes.map((h) => ({ holeNumber: h.hole_number, handicapIndex: h.handicap_index })),
+      round.round_length
+    )
+    : {};
+  const netScore = holes.reduce((s, h) => s + (h.score ? h.score - (holeStrokes[h.hole_number] || 0) : 0), 0);
+
+  // Format points stored with the round (stroke play has none)
+  const scoringFormat = round.scoring_format || 'stroke';
+  const hasFormatScore = scoringFormat !== 'stroke' && round.format_score != null;
+  const formatColumnLabel = formatUsesPoints(scoringFormat) ? 'Pts' : 'Max';
+
   // Score distribution
   const eagles = holes.filter((h) => h.score && h.par && (h.score - h.par) <= -2).length;
   const birdies = holes.filter((h) => h.score && h.par && (h.score - h.par) === -1).length;
@@ -175,7 +324,19 @@ export default function RoundDetailScreen({ roundId, onBack }) {
           <Text style={styles.backText}>&#8592;</Text>
         </TouchableOpacity>
         <Text style={styles.headerTitle}>Round Details</Text>
-        <View style={{ width: 40 }} />
+        <TouchableOpacity
+          onPress={handleExport}
+          onLongPress={__DEV__ ? handleExportFixture : undefined}
+          style={styles.exportButton}
+          activeOpacity={0.7}
+          disabled={isExporting}
+        >
+          {isExporting ? (
+            <ActivityIndicator size="small" color={theme.colors.primary[500]} />
+          ) : (
+            <Text style={styles.exportText}>GPX</Text>
+          )}
+        </TouchableOpacity>
       </View>
 
       <ScrollView
@@ -206,6 +367,12 @@ export default function RoundDetailScreen({ roundId, onBack }) {
           <Text style={[styles.bigScoreToPar, { color: getScoreColor(scoreToPar) }]}>
             {scoreToParDisplay}
           </Text>
+          {hasFormatScore && (
+            <Text style={styles.formatScore}>
+              {getScoringFormatLabel(scoringFormat)}: {round.format_score}
+              {formatUsesPoints(scoringFormat) ? ' pts' : ''}
+            </Text>
+          )}
           <View style={styles.nineScoreRow}>
             <View style={styles.nineScoreItem}>
               <Text style={styles.nineScoreLabel}>Front 9</Text>
@@ -267,6 +434,68 @@ export default function RoundDetailScreen({ roundId, onBack }) {
           </View>
         </View>
 
+        {/* Strokes Gained */}
+        {strokesGained?.holesCounted > 0 && (
+          <View style={styles.sectionCard}>
+            <View style={styles.sgHeader}>
+              <Text style={[styles.sectionTitle, { marginBottom: 0 }]}>Strokes Gained</Text>
+              {round.handicap_index != null && (
+                <View style={styles.sgBaselineToggle}>
+                  {[
+                    { key: 'scratch', label: getBaselineLabel('scratch') },
+                    { key: 'handicap', label: getBaselineLabel(round.handicap_index) },
+                  ].map(option => (
+                    <TouchableOpacity
+                      key={option.key}
+                      onPress={() => setSgBaseline(option.key)}
+                      style={[styles.sgBaselineOption, sgBaseline === option.key && styles.sgBaselineOptionActive]}
+                      activeOpacity={0.7}
+                    >
+                      <Text style={[styles.sgBaselineText, sgBaseline === option.key && styles.sgBaselineTextActive]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+            </View>
+            {Object.entries(SG_CATEGORIES).map(([key, { label }]) => {
+              const value = strokesGained.categories[key];
+              const barWidth = `${Math.min(Math.abs(value) / 3, 1) * 50}%`;
+              return (
+                <View key={key} style={styles.sgRow}>
+                  <Text style={styles.sgLabel}>{label}</Text>
+                  <View style={styles.sgBarTrack}>
+                    <View style={styles.sgBarCenter} />
+                    <View
+                      style={[
+                        styles.sgBar,
+                        value >= 0
+                          ? { left: '50%', width: barWidth, backgroundColor: '#16a34a' }
+                          : { right: '50%', width: barWidth, backgroundColor: '#ef4444' },
+                      ]}
+                    />
+                  </View>
+                  <Text style={[styles.sgValue, { color: value >= 0 ? '#16a34a' : '#ef4444' }]}>
+                    {formatStrokesGained(value)}
+                  </Text>
+                </View>
+              );
+            })}
+            <View style={[styles.sgRow, styles.sgTotalRow]}>
+              <Text style={[styles.sgLabel, { fontWeight: '700' }]}>Total</Text>
+              <Text style={[styles.sgValue, { fontWeight: '700', color: strokesGained.total >= 0 ? '#16a34a' : '#ef4444' }]}>
+                {formatStrokesGained(strokesGained.total)}
+              </Text>
+            </View>
+            {strokesGained.holesCounted < strokesGained.holesPlayed && (
+              <Text style={styles.sgNote}>
+                Based on {strokesGained.holesCounted} of {strokesGained.holesPlayed} holes with every shot logged
+              </Text>
+            )}
+          </View>
+        )}
+
         {/* Hole-by-Hole */}
         <View style={styles.sectionCard}>
           <Text style={styles.sectionTitle}>Hole by Hole</Text>
@@ -274,6 +503,12 @@ export default function RoundDetailScreen({ roundId, onBack }) {
             <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText, { flex: 0.5 }]}>Hole</Text>
             <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]}>Par</Text>
             <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]}>Score</Text>
+            {hasHandicap && (
+              <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]}>Net</Text>
+            )}
+            {hasFormatScore && (
+              <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]}>{formatColumnLabel}</Text>
+            )}
             <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]}>Putts</Text>
             <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]}>FIR</Text>
             <Text style={[styles.holeByHoleCell, styles.holeByHoleHeaderText]}>GIR</Text>
@@ -284,6 +519,7 @@ export default function RoundDetailScreen({ roundId, onBack }) {
             const holeShots = shotsByHole[h.hole_number] || [];
             const isExpanded = expandedHole === h.hole_number;
             const hasShotData = holeShots.length > 0;
+            const strokes = holeStrokes[h.hole_number] || 0;
 
             return (
               <View key={h.hole_number}>
@@ -294,12 +530,19 @@ export default function RoundDetailScreen({ roundId, onBack }) {
                 >
                   <Text style={[styles.holeByHoleCell, { flex: 0.5, fontWeight: '600' }]}>
                     {h.hole_number}
+                    {strokes > 0 && <Text style={styles.strokeDots}>{'\u2022'.repeat(strokes)}</Text>}
                     {hasShotData && <Text style={styles.shotIndicator}> {isExpanded ? '\u25B2' : '\u25BC'}</Text>}
                   </Text>
                   <Text style={styles.holeByHoleCell}>{h.par || '-'}</Text>
                   <Text style={[styles.holeByHoleCell, { color: scoreColor, fontWeight: '700' }]}>
                     {h.score || '-'}
                   </Text>
+                  {hasHandicap && (
+                    <Text style={styles.holeByHoleCell}>{h.score ? h.score - strokes : '-'}</Text>
+                  )}
+                  {hasFormatScore && (
+                    <Text style={styles.holeByHoleCell}>{h.format_points ?? '-'}</Text>
+                  )}
                   <Text style={styles.holeByHoleCell}>
                     {h.putts != null ? h.putts : '-'}
                   </Text>
@@ -322,6 +565,11 @@ export default function RoundDetailScreen({ roundId, onBack }) {
                         <View style={styles.shotReplayDetails}>
                           <View style={styles.shotReplayTopRow}>
                             <Text style={styles.shotReplayClub}>{formatClubName(shot.club)}</Text>
+                            {needsClubReview(shot) && (
+                              <TouchableOpacity style={styles.clubReviewBadge} onPress={() => handleReviewClub(shot)}>
+                                <Text style={styles.clubReviewBadgeText}>Check club</Text>
+                              </TouchableOpacity>
+                            )}
                             {shot.distance_actual ? (
                               <Text style={styles.shotReplayDistance}>{Math.round(shot.distance_actual)} yds</Text>
                             ) : null}
@@ -349,6 +597,13 @@ export default function RoundDetailScreen({ roundId, onBack }) {
                         </View>
                       </View>
                     ))}
+                    <TouchableOpacity
+                      onPress={() => handleEditShots(h.hole_number)}
+                      style={styles.editShotsButton}
+                      activeOpacity={0.7}
+                    >
+                      <Text style={styles.editShotsText}>Edit shots on map</Text>
+                    </TouchableOpacity>
                   </View>
                 )}
               </View>
@@ -361,6 +616,12 @@ export default function RoundDetailScreen({ roundId, onBack }) {
             <Text style={[styles.holeByHoleCell, { fontWeight: '700', color: getScoreColor(scoreToPar) }]}>
               {totalScore}
             </Text>
+            {hasHandicap && (
+              <Text style={[styles.holeByHoleCell, { fontWeight: '700' }]}>{netScore}</Text>
+            )}
+            {hasFormatScore && (
+              <Text style={[styles.holeByHoleCell, { fontWeight: '700' }]}>{round.format_score}</Text>
+            )}
             <Text style={[styles.holeByHoleCell, { fontWeight: '700' }]}>{totalPutts}</Text>
             <Text style={[styles.holeByHoleCell, { fontWeight: '700' }]}>
               {fairwaysTotal > 0 ? `${fairwaysHit}/${fairwaysTotal}` : '-'}
@@ -371,6 +632,28 @@ export default function RoundDetailScreen({ roundId, onBack }) {
           </View>
         </View>
 
+        {/* Playing partners (group rounds) */}
+        {partners.length > 0 && (
+          <View style={styles.sectionCard}>
+            <Text style={styles.sectionTitle}>Group</Text>
+            <View style={styles.partnerRow}>
+              <Text style={[styles.partnerName, { fontWeight: '700' }]}>You</Text>
+              <Text style={styles.partnerScore}>{totalScore}</Text>
+              <Text style={styles.partnerNet}>{hasHandicap ? `net ${netScore}` : ''}</Text>
+            </View>
+            {partners.map((p) => (
+              <View key={p.id} style={styles.partnerRow}>
+                <Text style={styles.partnerName}>
+                  {p.partner_name}
+                  {p.playing_handicap != null ? ` (${p.playing_handicap})` : ''}
+                </Text>
+                <Text style={styles.partnerScore}>{p.total_score ?? '-'}</Text>
+                <Text style={styles.partnerNet}>{p.net_score != null ? `net ${p.net_score}` : ''}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+
         {/* Weather info if available */}
         {(round.weather_temp_f || round.weather_condition) && (
           <View style={styles.sectionCard}>
@@ -385,6 +668,16 @@ export default function RoundDetailScreen({ roundId, onBack }) {
 
         <View style={{ height: theme.spacing['3xl'] }} />
       </ScrollView>
+
+      <HoleShotEditor
+        visible={editingHole != null}
+        holeNumber={editingHole}
+        hole={courseHoles?.[editingHole]}
+        shots={editingHole != null ? shotsByHole[editingHole] : null}
+        userClubs={userClubs}
+        onSave={handleSaveHoleShots}
+        onCancel={() => setEditingHole(null)}
+      />
     </SafeAreaView>
   );
 }
@@ -414,6 +707,17 @@ const styles = StyleSheet.create({
     fontSize: 24,
     color: theme.colors.primary[500],
   },
+  exportButton: {
+    minWidth: 40,
+    height: 40,
+    alignItems: 'flex-end',
+    justifyContent: 'center',
+  },
+  exportText: {
+    ...theme.typography.styles.label,
+    color: theme.colors.primary[500],
+    fontWeight: theme.typography.weights.semibold,
+  },
   headerTitle: {
     ...theme.typography.styles.h3,
     fontWeight: theme.typography.weights.bold,
@@ -475,6 +779,12 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     marginTop: -4,
   },
+  formatScore: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: 'rgba(255,255,255,0.7)',
+    marginTop: 4,
+  },
   nineScoreRow: {
     flexDirection: 'row',
     marginTop: theme.spacing.lg,
@@ -545,6 +855,105 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: theme.colors.text.secondary,
   },
+  sgHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: theme.spacing.md,
+  },
+  sgBaselineToggle: {
+    flexDirection: 'row',
+    backgroundColor: theme.colors.neutral.gray[100],
+    borderRadius: 12,
+    padding: 2,
+  },
+  sgBaselineOption: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 10,
+  },
+  sgBaselineOptionActive: {
+    backgroundColor: theme.colors.primary[500],
+  },
+  sgBaselineText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: theme.colors.text.secondary,
+  },
+  sgBaselineTextActive: {
+    color: '#fff',
+  },
+  sgRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  sgTotalRow: {
+    justifyContent: 'space-between',
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: '#e5e5e5',
+    marginTop: 4,
+    paddingTop: 10,
+  },
+  sgLabel: {
+    width: 120,
+    fontSize: 14,
+    color: theme.colors.text.primary,
+  },
+  sgBarTrack: {
+    flex: 1,
+    height: 10,
+    marginHorizontal: 8,
+    justifyContent: 'center',
+  },
+  sgBarCenter: {
+    position: 'absolute',
+    left: '50%',
+    width: 1,
+    height: 14,
+    backgroundColor: theme.colors.neutral.gray[300],
+  },
+  sgBar: {
+    position: 'absolute',
+    height: 10,
+    borderRadius: 3,
+  },
+  sgValue: {
+    width: 52,
+    textAlign: 'right',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  sgNote: {
+    fontSize: 12,
+    color: theme.colors.text.tertiary,
+    marginTop: 8,
+  },
+  partnerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#e5e5e5',
+  },
+  partnerName: {
+    flex: 1,
+    fontSize: 15,
+    color: theme.colors.text.primary,
+  },
+  partnerScore: {
+    width: 48,
+    fontSize: 16,
+    fontWeight: '700',
+    textAlign: 'right',
+    color: theme.colors.text.primary,
+  },
+  partnerNet: {
+    width: 72,
+    fontSize: 13,
+    textAlign: 'right',
+    color: theme.colors.text.secondary,
+  },
   scoringRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -597,6 +1006,10 @@ const styles = StyleSheet.create({
     marginTop: theme.spacing.xs,
     paddingTop: theme.spacing.sm,
   },
+  strokeDots: {
+    fontSize: 9,
+    color: '#16a34a',
+  },
   holeByHoleCell: {
     flex: 1,
     textAlign: 'center',
@@ -652,6 +1065,27 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: theme.colors.text.primary,
   },
+  editShotsButton: {
+    alignSelf: 'flex-start',
+    paddingVertical: theme.spacing.sm,
+  },
+  editShotsText: {
+    ...theme.typography.styles.label,
+    color: theme.colors.primary[500],
+    fontWeight: theme.typography.weights.semibold,
+  },
+  clubReviewBadge: {
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#f59e0b',
+  },
+  clubReviewBadgeText: {
+    color: '#f59e0b',
+    fontSize: 10,
+    fontWeight: '600',
+  },
   shotReplayDistance: {
     fontSize: 12,
     color: theme.colors.text.secondary,
@@ -2,7 +2,9 @@
  * Round History Screen
  *
  * Shows overall stats (handicap, avg score, best score, etc.)
- * and a scrollable list of all completed rounds.
+ * and a scrollable list of all completed rounds, optionally narrowed to
+ * one scoring format. Group rounds other players have shared are listed
+ * above them until accepted or declined.
  */
 
 import React, { useState, useEffect } from 'react';
@@ -14,32 +16,59 @@ import {
   TouchableOpacity,
   ActivityIndicator,
   Dimensions,
+  ScrollView,
+  Alert,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import theme from '../theme';
-import { fetchRoundHistory } from '../services/roundService';
+import { fetchRoundHistory, fetchPendingGroupRounds, respondToGroupRound } from '../services/roundService';
+import { getRoundLength } from '../utils/handicapUtils';
+import { SCORING_FORMATS, getScoringFormatLabel, formatUsesPoints } from '../utils/scoringFormats';
 
 const { width } = Dimensions.get('window');
 
-export default function RoundHistoryScreen({ userId, onBack, onSelectRound }) {
+export default function RoundHistoryScreen({ userId, onBack, onSelectRound, onImportRound, onGroupRoundAccepted }) {
   const insets = useSafeAreaInsets();
   const [rounds, setRounds] = useState([]);
+  const [pendingRounds, setPendingRounds] = useState([]);
+  const [respondingId, setRespondingId] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [formatFilter, setFormatFilter] = useState(null);
 
   useEffect(() => {
     loadRounds();
-  }, []);
+  }, [formatFilter]);
 
   const loadRounds = async () => {
     setIsLoading(true);
-    const { data } = await fetchRoundHistory(userId, 50);
-    setRounds(data || []);
+    const [history, pending] = await Promise.all([
+      fetchRoundHistory(userId, 50, 0, { format: formatFilter }),
+      fetchPendingGroupRounds(userId),
+    ]);
+    setRounds(history.data || []);
+    setPendingRounds(pending.data || []);
     setIsLoading(false);
   };
 
+  const handleRespond = async (roundId, accept) => {
+    setRespondingId(roundId);
+    const { error } = await respondToGroupRound(roundId, accept);
+    setRespondingId(null);
+    if (error) {
+      Alert.alert('Shared Round', 'Could not update the round. Please try again.');
+      return;
+    }
+    if (accept) {
+      onGroupRoundAccepted?.();
+      loadRounds();
+    } else {
+      setPendingRounds(prev => prev.filter(r => r.id !== roundId));
+    }
+  };
+
   // Compute overall stats from all rounds
   const computeStats = () => {
     if (rounds.length === 0) {
@@ -54,20 +83,22 @@ export default function RoundHistoryScreen({ userId, onBack, onSelectRound }) {
       };
     }
 
-    const totalScores = rounds.map((r) => r.total_score).filter(Boolean);
+    // Score and putt totals only compare between 18-hole rounds
+    const fullRounds = rounds.filter((r) => getRoundLength(r) === 18);
+    const totalScores = fullRounds.map((r) => r.total_score).filter(Boolean);
     const avgScore = totalScores.length > 0
       ? (totalScores.reduce((a, b) => a + b, 0) / totalScores.length).toFixed(1)
       : '-';
     const bestScore = totalScores.length > 0 ? Math.min(...totalScores) : '-';
 
-    const totalPutts = rounds.map((r) => r.total_putts).filter(Boolean);
+    const totalPutts = fullRounds.map((r) => r.total_putts).filter(Boolean);
     const avgPutts = totalPutts.length > 0
       ? (totalPutts.reduce((a, b) => a + b, 0) / totalPutts.length).toFixed(1)
       : '-';
 
     // Handicap estimate: best 8 of last 20 differentials
     // Differential = (score - rating) * 113 / slope
-    const differentials = rounds
+    const differentials = fullRounds
       .filter((r) => r.total_score && r.tee_rating && r.tee_slope)
       .slice(0, 20)
       .map((r) => ((r.total_score - r.tee_rating) * 113) / r.tee_slope);
@@ -148,6 +179,11 @@ export default function RoundHistoryScreen({ userId, onBack, onSelectRound }) {
           {item.tee_color ? `  |  ${item.tee_color} Tees` : ''}
           {item.holes_played ? `  |  ${item.holes_played} holes` : ''}
         </Text>
+        {item.scoring_format && item.scoring_format !== 'stroke' && item.format_score != null && (
+          <Text style={styles.roundFormat}>
+            {getScoringFormatLabel(item.scoring_format)} {item.format_score}{formatUsesPoints(item.scoring_format) ? ' pts' : ''}
+          </Text>
+        )}
       </View>
       <View style={styles.roundCardRight}>
         <Text style={styles.roundScore}>{item.total_score || '-'}</Text>
@@ -158,14 +194,91 @@ export default function RoundHistoryScreen({ userId, onBack, onSelectRound }) {
     </TouchableOpacity>
   );
 
+  const renderFormatFilter = () => (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.formatFilter}
+    >
+      {[null, ...Object.keys(SCORING_FORMATS)].map((format) => {
+        const selected = formatFilter === format;
+        return (
+          <TouchableOpacity
+            key={format || 'all'}
+            style={[styles.formatChip, selected && styles.formatChipSelected]}
+            onPress={() => setFormatFilter(format)}
+            activeOpacity={0.7}
+          >
+            <Text style={[styles.formatChipText, selected && styles.formatChipTextSelected]}>
+              {format ? getScoringFormatLabel(format, true) : 'All'}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+
   // Compute scoring trend data (last 10 rounds, reversed so oldest is left)
   const trendData = rounds
     .filter(r => r.score_to_par != null)
     .slice(0, 10)
     .reverse();
 
+  const renderPendingRound = (item) => (
+    <View key={item.id} style={styles.pendingCard}>
+      <View style={styles.pendingInfo}>
+        <View style={styles.roundCardLeft}>
+          <Text style={styles.roundCourseName}>
+            {item.course?.name || 'Unknown Course'}
+          </Text>
+          <Text style={styles.roundMeta}>
+            {formatDate(item.started_at)}
+            {item.holes_played ? `  |  ${item.holes_played} holes` : ''}
+          </Text>
+        </View>
+        <View style={styles.roundCardRight}>
+          <Text style={styles.roundScore}>{item.total_score || '-'}</Text>
+          <Text style={[styles.roundScoreToPar, { color: getScoreToParColor(item.score_to_par) }]}>
+            {getScoreToParDisplay(item.score_to_par)}
+          </Text>
+        </View>
+      </View>
+      {respondingId === item.id ? (
+        <ActivityIndicator color={theme.colors.primary[500]} style={styles.pendingActions} />
+      ) : (
+        <View style={styles.pendingActions}>
+          <TouchableOpacity
+            style={[styles.pendingButton, styles.pendingDecline]}
+            onPress={() => handleRespond(item.id, false)}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.pendingDeclineText}>Decline</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.pendingButton, styles.pendingAccept]}
+            onPress={() => handleRespond(item.id, true)}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.pendingAcceptText}>Add to My Rounds</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+
   const renderHeader = () => (
     <>
+      {/* Group rounds shared by playing partners, awaiting confirmation */}
+      {pendingRounds.length > 0 && (
+        <>
+          <Text style={styles.sectionTitle}>SHARED WITH YOU</Text>
+          <Text style={styles.pendingHint}>
+            A playing partner kept score for you. Shared rounds only count toward your stats and handicap once you add them.
+          </Text>
+          {pendingRounds.map(renderPendingRound)}
+        </>
+      )}
+
       {/* Stats Overview */}
       <LinearGradient
         colors={[theme.colors.dark.surface, theme.colors.dark.elevated]}
@@ -275,14 +388,19 @@ export default function RoundHistoryScreen({ userId, onBack, onSelectRound }) {
 
       {/* Section title */}
       <Text style={styles.sectionTitle}>PAST ROUNDS</Text>
+      {renderFormatFilter()}
     </>
   );
 
   const renderEmpty = () => (
     <View style={styles.emptyState}>
-      <Text style={styles.emptyTitle}>No rounds yet</Text>
+      <Text style={styles.emptyTitle}>
+        {formatFilter ? `No ${getScoringFormatLabel(formatFilter)} rounds` : 'No rounds yet'}
+      </Text>
       <Text style={styles.emptySubtitle}>
-        Complete a round to see your stats and history here.
+        {formatFilter
+          ? 'Rounds you play in this format will show up here.'
+          : 'Complete a round to see your stats and history here.'}
       </Text>
     </View>
   );
@@ -301,7 +419,13 @@ export default function RoundHistoryScreen({ userId, onBack, onSelectRound }) {
             <Ionicons name="chevron-back" size={24} color="#fff" />
           </TouchableOpacity>
           <Text style={styles.headerTitle}>Round History</Text>
-          <View style={{ width: 40 }} />
+          {onImportRound ? (
+            <TouchableOpacity onPress={onImportRound} style={styles.backButton} activeOpacity={0.7}>
+              <Ionicons name="cloud-upload-outline" size={22} color="#fff" />
+            </TouchableOpacity>
+          ) : (
+            <View style={{ width: 40 }} />
+          )}
         </View>
       </LinearGradient>
 
@@ -484,6 +608,28 @@ const styles = StyleSheet.create({
     letterSpacing: 1.2,
     marginBottom: theme.spacing.md,
   },
+  // Scoring format filter
+  formatFilter: {
+    paddingBottom: theme.spacing.md,
+  },
+  formatChip: {
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.md,
+    borderRadius: theme.borderRadius.full,
+    backgroundColor: theme.colors.neutral.gray[100],
+    marginRight: theme.spacing.sm,
+  },
+  formatChipSelected: {
+    backgroundColor: theme.colors.primary[600],
+  },
+  formatChipText: {
+    fontFamily: theme.fonts.semibold,
+    fontSize: 12,
+    color: theme.colors.text.secondary,
+  },
+  formatChipTextSelected: {
+    color: '#fff',
+  },
   // Round cards
   roundCard: {
     flexDirection: 'row',
@@ -508,6 +654,12 @@ const styles = StyleSheet.create({
     color: theme.colors.text.secondary,
     marginTop: 4,
   },
+  roundFormat: {
+    fontFamily: theme.fonts.medium,
+    fontSize: 12,
+    color: theme.colors.primary[600],
+    marginTop: 2,
+  },
   roundCardRight: {
     alignItems: 'center',
     marginLeft: theme.spacing.md,
@@ -522,6 +674,54 @@ const styles = StyleSheet.create({
     fontSize: 13,
     marginTop: -2,
   },
+  // Shared rounds awaiting confirmation
+  pendingHint: {
+    fontFamily: theme.fonts.regular,
+    fontSize: 12,
+    color: theme.colors.text.secondary,
+    marginTop: -theme.spacing.sm,
+    marginBottom: theme.spacing.md,
+  },
+  pendingCard: {
+    backgroundColor: theme.colors.background.white,
+    borderRadius: theme.borderRadius.lg,
+    padding: theme.spacing.lg,
+    marginBottom: theme.spacing.sm,
+    borderWidth: 1,
+    borderColor: theme.colors.primary[300],
+    ...theme.shadows.sm,
+  },
+  pendingInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  pendingActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: theme.spacing.md,
+  },
+  pendingButton: {
+    paddingVertical: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.base,
+    borderRadius: theme.borderRadius.md,
+    marginLeft: theme.spacing.sm,
+  },
+  pendingDecline: {
+    backgroundColor: theme.colors.neutral.gray[100],
+  },
+  pendingDeclineText: {
+    fontFamily: theme.fonts.semibold,
+    fontSize: 13,
+    color: theme.colors.text.secondary,
+  },
+  pendingAccept: {
+    backgroundColor: theme.colors.primary[600],
+  },
+  pendingAcceptText: {
+    fontFamily: theme.fonts.semibold,
+    fontSize: 13,
+    color: '#fff',
+  },
   // Empty state
   emptyState: {
     alignItems: 'center',
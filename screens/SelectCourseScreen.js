@@ -20,6 +20,7 @@ import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
 import { fetchCoursesPaginated, fetchNearbyCourses, searchCourses } from '../services/courseService';
 import { searchNearbyGolfbertCourses, importGolfbertCourse } from '../services/golfbertService';
+import { parseHandicapIndex, calculateCourseHandicap } from '../utils/handicapUtils';
 
 const { width } = Dimensions.get('window');
 const PAGE_SIZE = 10;
@@ -326,10 +327,13 @@ export default function SelectCourseScreen({ onBack, onSelectCourse, userProfile
     return `${Math.round(distance)} mi`;
   };
 
+  // Same course-handicap math as gamePlanService's target score
   const getPredictedScore = (course) => {
-    const handicap = parseFloat(userProfile?.handicap);
-    if (isNaN(handicap) || !course.rating || !course.slope) return null;
-    return Math.round(course.rating + (handicap * course.slope / 113));
+    const handicap = parseHandicapIndex(userProfile?.handicap);
+    if (handicap === null || !course.rating || !course.slope) return null;
+    // Course rows carry no par, so rating stands in for par + (rating − par)
+    const courseHandicap = calculateCourseHandicap(handicap, course.slope, course.rating, null);
+    return Math.round(course.rating + courseHandicap);
   };
 
   const renderCourseCard = (course, index) => {
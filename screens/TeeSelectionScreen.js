@@ -13,6 +13,8 @@ import { StatusBar } from 'expo-status-bar';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { fetchTeeBoxes } from '../services/courseService';
+import { getNineHoleTeeRating, parseHandicapIndex } from '../utils/handicapUtils';
+import { SCORING_FORMATS, DEFAULT_SCORING_FORMAT } from '../utils/scoringFormats';
 import StepIndicator from '../components/StepIndicator';
 import AICaddieCard from '../components/AICaddieCard';
 import PressableScale from '../components/PressableScale';
@@ -46,6 +48,19 @@ const TEE_COLORS = {
   Green: { bg: '#34c759', text: '#fff', dot: '#34c759' },
 };
 
+const HOLE_OPTIONS = [
+  { id: 'full', label: '18 Holes', nine: null },
+  { id: 'front', label: 'Front 9', nine: 'front' },
+  { id: 'back', label: 'Back 9', nine: 'back' },
+];
+
+// Walking or riding — tunes shot detection for the round
+const TRANSPORT_OPTIONS = [
+  { mode: 'auto', label: 'Auto-detect', icon: 'sparkles-outline' },
+  { mode: 'walking', label: 'Walking', icon: 'walk-outline' },
+  { mode: 'cart', label: 'Cart', icon: 'car-outline' },
+];
+
 const FALLBACK_TEE_OPTIONS = [
   { id: 'black', color: 'Black', yardage: 6828, rating: 73.5, slope: 145, handicapRange: [0, 5] },
   { id: 'blue', color: 'Blue', yardage: 6325, rating: 71.2, slope: 138, handicapRange: [6, 14] },
@@ -65,6 +80,12 @@ function normalizeTeeBox(dbTee, index, totalTees) {
     rating: dbTee.rating || 0,
     slope: dbTee.slope || 0,
     parTotal: dbTee.parTotal,
+    frontRating: dbTee.frontRating,
+    frontSlope: dbTee.frontSlope,
+    frontPar: dbTee.frontPar,
+    backRating: dbTee.backRating,
+    backSlope: dbTee.backSlope,
+    backPar: dbTee.backPar,
     handicapRange: [handicapStart, handicapEnd],
   };
 }
@@ -77,10 +98,13 @@ export default function TeeSelectionScreen({
   onQuickPlay,
 }) {
   const [selectedTee, setSelectedTee] = useState(null);
+  const [selectedNine, setSelectedNine] = useState(null); // null = 18 holes, 'front' | 'back'
+  const [scoringFormat, setScoringFormat] = useState(DEFAULT_SCORING_FORMAT);
+  const [transportMode, setTransportMode] = useState('auto');
   const [teeOptions, setTeeOptions] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
 
-  const userHandicap = parseFloat(userProfile?.handicap?.split('-')[0]) || 15;
+  const userHandicap = parseHandicapIndex(userProfile?.handicap) ?? 15;
 
   useEffect(() => {
     let cancelled = false;
@@ -124,10 +148,16 @@ export default function TeeSelectionScreen({
 
   const handleContinue = () => {
     if (selectedTee) {
-      onSelectTee(selectedTee);
+      onSelectTee({ ...selectedTee, nine: selectedNine, scoringFormat, transportMode });
     }
   };
 
+  // Rating/slope shown on each tee card for the selected round length
+  const getDisplayRating = (tee) => {
+    if (!selectedNine) return { rating: tee.rating, slope: tee.slope };
+    return getNineHoleTeeRating(tee, selectedNine);
+  };
+
   const getTeeStyle = (color) => {
     return TEE_COLORS[color] || TEE_COLORS.White;
   };
@@ -211,12 +241,80 @@ export default function TeeSelectionScreen({
               </AICaddieCard>
             )}
 
+            {/* Round Length */}
+            <View style={styles.holeOptionsRow}>
+              {HOLE_OPTIONS.map((option) => {
+                const isActive = selectedNine === option.nine;
+                return (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={[styles.holeOption, isActive && styles.holeOptionActive]}
+                    onPress={() => setSelectedNine(option.nine)}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={[styles.holeOptionText, isActive && styles.holeOptionTextActive]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+
+            {/* Scoring Format */}
+            <ScrollView
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              contentContainerStyle={styles.formatOptionsRow}
+              style={styles.formatOptionsScroll}
+            >
+              {Object.entries(SCORING_FORMATS).map(([format, { label }]) => {
+                const isActive = scoringFormat === format;
+                return (
+                  <TouchableOpacity
+                    key={format}
+                    style={[styles.formatOption, isActive && styles.formatOptionActive]}
+                    onPress={() => setScoringFormat(format)}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={[styles.formatOptionText, isActive && styles.formatOptionTextActive]}>
+                      {label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+
+            {/* Walking or Cart */}
+            <View style={styles.transportOptionsRow}>
+              {TRANSPORT_OPTIONS.map(({ mode, label, icon }) => {
+                const isActive = transportMode === mode;
+                return (
+                  <TouchableOpacity
+                    key={mode}
+                    style={[styles.formatOption, styles.transportOption, isActive && styles.formatOptionActive]}
+                    onPress={() => setTransportMode(mode)}
+                    activeOpacity={0.8}
+                  >
+                    <Ionicons
+                      name={icon}
+                      size={14}
+                      color={isActive ? theme.colors.primary[700] : theme.colors.text.secondary}
+                    />
+                    <Text style={[styles.formatOptionText, isActive && styles.formatOptionTextActive]}>
+                      {label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+
             {/* Tee Options */}
             <View style={styles.teeOptionsContainer}>
               {teeOptions.map((tee) => {
                 const isSelected = selectedTee?.id === tee.id;
                 const isRecommended = recommendedTee?.id === tee.id;
                 const teeStyle = getTeeStyle(tee.color);
+                const displayRating = getDisplayRating(tee);
 
                 return (
                   <PressableScale
@@ -257,12 +355,12 @@ export default function TeeSelectionScreen({
 
                         <View style={styles.teeOptionRight}>
                           <View style={styles.teeStats}>
-                            <Text style={styles.teeStatValue}>{tee.rating}</Text>
+                            <Text style={styles.teeStatValue}>{displayRating.rating}</Text>
                             <Text style={styles.teeStatLabel}>Rating</Text>
                           </View>
                           <View style={styles.teeStatsDivider} />
                           <View style={styles.teeStats}>
-                            <Text style={styles.teeStatValue}>{tee.slope}</Text>
+                            <Text style={styles.teeStatValue}>{displayRating.slope}</Text>
                             <Text style={styles.teeStatLabel}>Slope</Text>
                           </View>
                           <View style={styles.checkCircle}>
@@ -457,6 +555,74 @@ const styles = StyleSheet.create({
     color: theme.colors.primary[400],
   },
 
+  // Round length selector
+  holeOptionsRow: {
+    flexDirection: 'row',
+    backgroundColor: theme.colors.neutral.gray[100],
+    borderRadius: theme.borderRadius.lg,
+    padding: 3,
+    marginBottom: theme.spacing.base,
+  },
+  holeOption: {
+    flex: 1,
+    paddingVertical: 9,
+    borderRadius: theme.borderRadius.md,
+    alignItems: 'center',
+  },
+  holeOptionActive: {
+    backgroundColor: theme.colors.background.white,
+    ...theme.shadows.sm,
+  },
+  holeOptionText: {
+    fontFamily: theme.fonts.medium,
+    fontSize: 14,
+    color: theme.colors.text.secondary,
+    letterSpacing: -0.2,
+  },
+  holeOptionTextActive: {
+    fontFamily: theme.fonts.semibold,
+    color: theme.colors.primary[700],
+  },
+
+  // Scoring format selector
+  formatOptionsScroll: {
+    marginBottom: theme.spacing.base,
+  },
+  formatOptionsRow: {
+    gap: 8,
+  },
+  formatOption: {
+    paddingVertical: 7,
+    paddingHorizontal: 14,
+    borderRadius: theme.borderRadius.full,
+    borderWidth: 1,
+    borderColor: theme.colors.neutral.gray[200],
+    backgroundColor: theme.colors.background.white,
+  },
+  formatOptionActive: {
+    borderColor: theme.colors.primary[600],
+    backgroundColor: theme.colors.primary[50],
+  },
+  formatOptionText: {
+    fontFamily: theme.fonts.medium,
+    fontSize: 13,
+    color: theme.colors.text.secondary,
+  },
+  formatOptionTextActive: {
+    fontFamily: theme.fonts.semibold,
+    color: theme.colors.primary[700],
+  },
+  transportOptionsRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: theme.spacing.base,
+  },
+  transportOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+
   // Tee Options
   teeOptionsContainer: {
     gap: 10,
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Strategy backtest runner
+ *
+ * Replays exported rounds through the planning engine and prints how often
+ * the played club matched the recommendation (see services/strategyBacktest).
+ *
+ *   node scripts/backtest.js <fixture.json|dir>...
+ *   node scripts/backtest.js <fixture.json|dir>... --compare <overrides.json|risk profile>
+ *
+ * --compare runs a second config next to the defaults: either a JSON file of
+ * scoring overrides (e.g. a profile's scoring_overrides) or a risk profile id.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const babel = require('@babel/core');
+
+const ROOT = path.join(__dirname, '..');
+
+// The app's modules are ES modules; compile them with the app's Babel
+// config on the way in, as Jest does
+const loadJs = Module._extensions['.js'];
+Module._extensions['.js'] = (module, filename) => {
+  if (!filename.startsWith(ROOT) || filename.includes('node_modules')) {
+    return loadJs(module, filename);
+  }
+  const { code } = babel.transformFileSync(filename, {
+    cwd: ROOT,
+    caller: { name: 'backtest', supportsStaticESM: false },
+  });
+  return module._compile(code, filename);
+};
+
+const {
+  runBacktest,
+  compareScoringConfigs,
+  formatBacktestReport,
+  formatConfigComparison,
+} = require('../services/strategyBacktest');
+const {
+  DEFAULT_SCORING_CONFIG,
+  RISK_PROFILES,
+  configForRiskProfile,
+  mergeConfig,
+} = require('../services/scoringConfig');
+
+function readFixtures(inputs) {
+  const files = inputs.flatMap(input => (fs.statSync(input).isDirectory()
+    ? fs.readdirSync(input).filter(f => f.endsWith('.json')).map(f => path.join(input, f))
+    : [input]));
+  return files.map(file => JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+function resolveCompareConfig(arg) {
+  if (RISK_PROFILES[arg]) {
+    return { label: RISK_PROFILES[arg].shortLabel, config: configForRiskProfile(arg) };
+  }
+  const overrides = JSON.parse(fs.readFileSync(arg, 'utf8'));
+  return { label: path.basename(arg, '.json'), config: mergeConfig(overrides) };
+}
+
+function main(argv) {
+  const inputs = [];
+  let compareArg = null;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--compare') {
+      compareArg = argv[++i] || '';
+    } else {
+      inputs.push(argv[i]);
+    }
+  }
+
+  if (inputs.length === 0 || compareArg === '') {
+    console.error('Usage: node scripts/backtest.js <fixture.json|dir>... [--compare <overrides.json|risk profile>]');
+    process.exit(1);
+  }
+
+  const fixtures = readFixtures(inputs);
+
+  // The engine logs every sequence it builds; keep the report readable
+  const log = console.log;
+  console.log = () => {};
+  const report = compareArg
+    ? formatConfigComparison(compareScoringConfigs(
+      fixtures,
+      { label: 'Default', config: DEFAULT_SCORING_CONFIG },
+      resolveCompareConfig(compareArg)
+    ))
+    : formatBacktestReport(runBacktest(fixtures).summary);
+  console.log = log;
+
+  console.log(`${fixtures.length} round(s)\n`);
+  console.log(report);
+}
+
+main(process.argv.slice(2));
@@ -3,8 +3,11 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { streamHolePlan } from './streamingService';
 import { fetchWeather } from './weatherService';
 import { calculateShotContext } from './shotCalculations';
-import { computeHolePlan } from './holePlanEngine';
-import { generateCommentary, generatePlanSummary } from './commentaryGenerator';
+import { computeHolePlan, applyPlayerInsights } from './holePlanEngine';
+import { simulateHolePlan } from './monteCarloSimulator';
+import { generateCommentary, generatePlanSummary, explainRiskProfile, describeCornerCutOption } from './commentaryGenerator';
+import { resolveRiskProfile, configForRiskProfile, mergeConfig, DEFAULT_RISK_PROFILE } from './scoringConfig';
+import { getPinTarget } from './pinPositionCalculator';
 
 const BAG_STORAGE_KEY = '@myGolfBag';
 
@@ -150,7 +153,10 @@ function convertDirectionToBearing(direction) {
  * @param {Object} userClubDistances - User's club distances
  * @param {Object} weather - Weather conditions (optional, will fetch if not provided)
  * @param {Object} caddiePreferences - Optional caddie preferences (bestArea, worstArea, etc.)
- * @returns {Promise<{shotPlan: Object, message: string, error: string|null}>}
+ *   caddiePreferences.riskProfile - The round's risk profile ('protect' | 'balanced' | 'aggressive')
+ *   caddiePreferences.scoringOverrides - Calibrated weights from the profile (scoringCalibration)
+ * @returns {Promise<{shotPlan: Object, message: string, strategyOptions: Array, error: string|null}>}
+ *   strategyOptions - simulated expected score per option (see monteCarloSimulator.simulateHolePlan)
  */
 export async function computeLocalHolePlan(context, userClubDistances = null, weather = null, caddiePreferences = null, playerInsights = null) {
   try {
@@ -190,6 +196,7 @@ export async function computeLocalHolePlan(context, userClubDistances = null, we
       green: holeGPS?.green,
       greenFront: courseHole?.greenFront || null,
       greenBack: courseHole?.greenBack || null,
+      pin: holeGPS?.pin || null,
       polygons: courseHole?.polygons || [],
     };
 
@@ -208,7 +215,15 @@ export async function computeLocalHolePlan(context, userClubDistances = null, we
 
     // Compute the plan using rule-based engine (instant, no API)
     // Pass player insights for personalized recommendations when available
-    const plan = computeHolePlan(holeData, playerContext, effectiveWeather, null, playerInsights);
+    const riskProfile = resolveRiskProfile(caddiePreferences?.riskProfile);
+    const scoringOverrides = caddiePreferences?.scoringOverrides || {};
+    const plan = computeHolePlan(
+      holeData,
+      playerContext,
+      effectiveWeather,
+      configForRiskProfile(riskProfile.id, scoringOverrides),
+      playerInsights
+    );
 
     if (plan.error) {
       return {
@@ -218,9 +233,29 @@ export async function computeLocalHolePlan(context, userClubDistances = null, we
       };
     }
 
+    // Plan the hole again at the balanced profile so we can say what the round's profile changed
+    const balancedPlan = riskProfile.id === DEFAULT_RISK_PROFILE
+      ? null
+      : computeHolePlan(holeData, playerContext, effectiveWeather, mergeConfig(scoringOverrides), playerInsights);
+    plan.riskProfile = explainRiskProfile(riskProfile, plan, balancedPlan?.error ? null : balancedPlan);
+
     // Generate natural language commentary from templates (no LLM)
     const commentary = generateCommentary(plan, holeData, playerInsights);
 
+    // Expected score of each option from simulated play
+    let strategyOptions = [];
+    try {
+      const { adjustedDistances, getMeasuredStats } = applyPlayerInsights(clubDistances, playerInsights);
+      strategyOptions = simulateHolePlan(
+        plan,
+        holeData,
+        { ...playerContext, clubDistances: adjustedDistances },
+        { getMeasuredStats }
+      );
+    } catch (simError) {
+      console.warn('[aiCaddyService] Strategy simulation failed:', simError.message);
+    }
+
     // Format the plan to match the expected structure from the old LLM response
     // Add defensive checks to prevent undefined values causing render errors
     const formattedPlan = {
@@ -239,22 +274,30 @@ export async function computeLocalHolePlan(context, userClubDistances = null, we
           .map(z => `Watch ${z.type || 'hazard'} ${z.direction || ''}`.trim()),
         avoidZones: shot.avoidZones || [],
         confidence: shot.confidence || 'medium',
+        shotShape: shot.shotShape || null, // Stock draw/fade for the curved aim line
+        cornerCut: shot.cornerCut || null, // Carry across a dogleg corner
       })),
       overallStrategy: `${plan.strategy || 'smart'} play - ${plan.riskAssessment?.bailout || 'play smart'}`,
       keyConsiderations: [
         plan.riskAssessment?.mainThreat,
         plan.riskAssessment?.bailout,
+        plan.riskProfile?.changed ? plan.riskProfile.explanation : null,
+        describeCornerCutOption(plan.cornerCutOption),
       ].filter(Boolean),
       mindset: plan.strategy || 'smart',
       targetScore: plan.targetScore <= holeData.par - 1 ? 'birdie' : plan.targetScore === holeData.par ? 'par' : 'bogey',
       riskAssessment: plan.riskAssessment || null,
+      riskProfile: plan.riskProfile,
       rawTargetScore: plan.targetScore || null,
+      cornerCutOption: plan.cornerCutOption || null,
+      carryLines: plan.carryLines || null,
     };
 
     return {
       shotPlan: formattedPlan,
       message: commentary,
       summary: generatePlanSummary(plan),
+      strategyOptions,
       error: null,
       // Include raw plan data for debugging/advanced use
       _rawPlan: plan,
@@ -470,9 +513,10 @@ function buildRequestPayload(mode, context, userMessage, conversationHistory, us
   // Use user-placed marker location if available, otherwise use player GPS, fallback to tee box
   const currentPosition = userLocation || playerLocation || holeGPS?.teeBox || { latitude: 0, longitude: 0 };
 
-  // Calculate distances
+  // Distances are to today's pin when one is set
+  const flag = getPinTarget(holeGPS?.green, holeGPS?.pin);
   const distanceToGreen = holeGPS
-    ? calculateDistance(currentPosition, holeGPS.green)
+    ? calculateDistance(currentPosition, flag)
     : holeInfo.yardage;
 
   const distanceFromTee = holeGPS
@@ -495,7 +539,7 @@ function buildRequestPayload(mode, context, userMessage, conversationHistory, us
     weather: effectiveWeather,
     clubDistances,
     hazards: courseHole?.polygons || [],
-    targetPosition: holeGPS?.green || { latitude: 0, longitude: 0 },
+    targetPosition: flag || { latitude: 0, longitude: 0 },
     // Elevation data - will be null until device GPS provides it
     playerElevation: currentPosition?.elevation || null,
     targetElevation: holeGPS?.green?.elevation || null,
@@ -523,6 +567,7 @@ function buildRequestPayload(mode, context, userMessage, conversationHistory, us
       green: holeGPS?.green || { latitude: 0, longitude: 0 },
       greenFront: courseHole?.greenFront || null,
       greenBack: courseHole?.greenBack || null,
+      pin: holeGPS?.pin || null,
       polygons: courseHole?.polygons || [],
     },
     clubDistances,
@@ -533,11 +578,23 @@ function buildRequestPayload(mode, context, userMessage, conversationHistory, us
     })),
     // Caddie preferences for response customization
     caddiePreferences: caddiePreferences || null,
+    // The round's risk profile, so advice matches how the player wants to play
+    riskProfile: buildRiskProfilePayload(caddiePreferences?.riskProfile),
     // Pre-calculated adjustments (wind, temp, hazards, club selection)
     preCalculated,
   };
 }
 
+/**
+ * Risk profile section of the edge function payload
+ * @param {string} profileId - Round's risk profile ID
+ * @returns {Object} { id, label, aggressionLevel, description }
+ */
+function buildRiskProfilePayload(profileId) {
+  const { id, label, aggressionLevel, description } = resolveRiskProfile(profileId);
+  return { id, label, aggressionLevel, description };
+}
+
 /**
  * Calculate distance between two GPS coordinates in yards (Haversine formula)
  */
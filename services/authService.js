@@ -113,6 +113,15 @@ export async function updateProfile(userId, updates) {
   return { data, error };
 }
 
+/**
+ * Find another app user by exact email, to add as a playing partner.
+ * Returns { id, name, handicap } or null when there is no match.
+ */
+export async function findPlayerByEmail(email) {
+  const { data, error } = await supabase.rpc('find_player_by_email', { p_email: email });
+  return { data: data?.[0] || null, error };
+}
+
 /**
  * Listen for auth state changes (token refresh, sign out, etc.).
  * Returns the subscription object (call subscription.unsubscribe() to stop).
@@ -0,0 +1,47 @@
+/**
+ * Backtest Export Service
+ *
+ * Exports a completed round as a strategy backtest fixture (see
+ * strategyBacktest): the hole geometry, the pin, every full swing and the
+ * weather recorded with it, the handicap snapshotted on the round, and the
+ * bag the player plans with today (rounds don't keep their bag). Dev builds
+ * offer it from the round detail screen; the JSON goes in
+ * __tests__/fixtures/backtest or is passed to scripts/backtest.js.
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import { buildBacktestFixture } from './strategyBacktest';
+
+/**
+ * Write a round's backtest fixture and open the share sheet.
+ *
+ * @param {Object} params
+ *   @param {Object} params.round - Round row from fetchRoundDetail
+ *   @param {Array} params.shots - round_shots rows
+ *   @param {Object} params.courseHoles - Hole geometry from fetchHolesByCourse
+ *   @param {Object} params.clubDistances - The player's bag (loadUserBag)
+ * @returns {Promise<{data: {uri: string}|null, error: string|null}>}
+ */
+export async function exportBacktestFixture({ round, shots, courseHoles, clubDistances }) {
+  try {
+    const fixture = buildBacktestFixture({ round, shots, courseHoles, clubDistances });
+    const date = (round.started_at || new Date().toISOString()).slice(0, 10);
+    const uri = `${FileSystem.cacheDirectory}backtest-${date}-${round.id.slice(0, 8)}.json`;
+
+    await FileSystem.writeAsStringAsync(uri, JSON.stringify(fixture, null, 2));
+    console.log(`[BacktestExport] Wrote ${fixture.holes.length} holes to ${uri}`);
+
+    if (await Sharing.isAvailableAsync()) {
+      await Sharing.shareAsync(uri, {
+        mimeType: 'application/json',
+        UTI: 'public.json',
+        dialogTitle: 'Export backtest fixture',
+      });
+    }
+    return { data: { uri }, error: null };
+  } catch (error) {
+    console.error('[BacktestExport] Error exporting round:', error);
+    return { data: null, error: error.message };
+  }
+}
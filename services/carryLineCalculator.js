@@ -0,0 +1,211 @@
+/**
+ * Carry Line Calculator
+ *
+ * Carry lines across the corner of a dogleg. The safe route plays to the
+ * fairway short of the corner; from the tee, lines are cast at steps from
+ * that route toward the green, and along each one the trees, bunkers and
+ * water at the corner give the carry needed to reach fairway beyond them.
+ *
+ * The player's distance and lateral dispersion turn a carry into a chance
+ * of clearing it, so forwardSequenceGenerator can offer a corner-cut tee
+ * shot next to the safe route and the map can label the carry to each edge.
+ */
+
+import { calculateDistance, calculateBearing, isPointInPolygon } from '../utils/geoUtils';
+import { projectPoint, DOGLEG_MIN_BEND_DEGREES } from './landingZoneCalculator';
+
+// What the ball has to fly over at a corner
+const CORNER_OBSTACLE_TYPES = ['trees', 'woods', 'bunker', 'water', 'penalty', 'ob', 'waste_area'];
+
+// Angle between neighbouring carry lines, and how many are cast
+const CARRY_LINE_STEP_DEGREES = 5;
+const MAX_CARRY_LINES = 6;
+
+// Spacing of the samples walked along each line
+const SAMPLE_YARDS = 5;
+
+// Obstacles closer together than this are carried as one
+const OBSTACLE_GAP_YARDS = 10;
+
+// ============================================================================
+// CARRY LINES
+// ============================================================================
+
+const angleBetween = (from, to) => ((to - from + 540) % 360) - 180;
+
+/**
+ * Walk one line from the start and find the corner it crosses: the
+ * obstacles in the way, the carry to clear them, and the fairway beyond.
+ *
+ * @param {Object} startPosition - Shot origin { latitude, longitude }
+ * @param {number} bearing - Line bearing in degrees
+ * @param {Array} polygons - Course polygons
+ * @param {number} maxDistance - How far to walk the line in yards
+ * @returns {Object} { bearing, carryYards, edge, obstacles, landingStart, fairwayEnd }
+ *   carryYards is 0 when nothing is in the way; landingStart/fairwayEnd are
+ *   null when the line never reaches fairway beyond the carry
+ */
+export function analyzeCarryLine(startPosition, bearing, polygons, maxDistance) {
+  const obstaclePolygons = (polygons || []).filter(p =>
+    CORNER_OBSTACLE_TYPES.includes(p.type) && p.coordinates?.length >= 3);
+  const fairways = (polygons || []).filter(p => p.type === 'fairway' && p.coordinates?.length >= 3);
+
+  // Entry and exit distance of every obstacle the line passes through
+  const spans = new Map();
+  const fairwaySamples = [];
+
+  for (let d = SAMPLE_YARDS; d <= maxDistance; d += SAMPLE_YARDS) {
+    const point = projectPoint(startPosition, d, bearing);
+    for (const polygon of obstaclePolygons) {
+      if (isPointInPolygon(point, polygon)) {
+        const span = spans.get(polygon) || { front: d, back: d };
+        span.back = d;
+        spans.set(polygon, span);
+      }
+    }
+    if (fairways.some(f => isPointInPolygon(point, f))) {
+      fairwaySamples.push(d);
+    }
+  }
+
+  // The first group of obstacles (close together) is the corner
+  const sorted = [...spans.entries()]
+    .map(([polygon, span]) => ({
+      type: polygon.type,
+      name: polygon.label || polygon.name || polygon.type,
+      frontDistance: span.front,
+      backDistance: span.back,
+    }))
+    .sort((a, b) => a.frontDistance - b.frontDistance);
+
+  const obstacles = [];
+  let carryYards = 0;
+  for (const obstacle of sorted) {
+    if (obstacles.length > 0 && obstacle.frontDistance > carryYards + OBSTACLE_GAP_YARDS) {
+      break;
+    }
+    obstacles.push(obstacle);
+    carryYards = Math.max(carryYards, obstacle.backDistance + SAMPLE_YARDS);
+  }
+
+  // Fairway beyond the carry, up to where it runs out again
+  let landingStart = null;
+  let fairwayEnd = null;
+  for (const d of fairwaySamples) {
+    if (d < carryYards) continue;
+    if (landingStart === null) {
+      landingStart = d;
+    } else if (d - fairwayEnd > SAMPLE_YARDS) {
+      break;
+    }
+    fairwayEnd = d;
+  }
+
+  return {
+    bearing,
+    carryYards,
+    edge: carryYards > 0 ? projectPoint(startPosition, carryYards, bearing) : null,
+    obstacles,
+    landingStart,
+    fairwayEnd,
+  };
+}
+
+/**
+ * Cast carry lines across a dogleg corner, from the safe route toward the
+ * green. Only lines that find fairway beyond the corner are kept.
+ *
+ * @param {Object} startPosition - Tee position { latitude, longitude }
+ * @param {Object} safeLanding - Safe-route landing short of the corner { latitude, longitude }
+ * @param {Object} green - Green (or pin) position { latitude, longitude }
+ * @param {Array} polygons - Course polygons
+ * @param {number} maxDistance - Longest carry worth looking at (the player's longest reach plus roll)
+ * @returns {Object|null} { direction: 'left'|'right', safeBearing, lines } or null when
+ *   the hole doesn't dogleg from here. Each line: analyzeCarryLine result plus
+ *   angle (degrees off the safe route) and distanceToGreen from the fairway beyond
+ */
+export function analyzeDoglegCorner(startPosition, safeLanding, green, polygons, maxDistance) {
+  if (!startPosition || !safeLanding || !green || !polygons?.length) {
+    return null;
+  }
+
+  const safeBearing = calculateBearing(startPosition, safeLanding);
+  const bend = angleBetween(safeBearing, calculateBearing(safeLanding, green));
+  if (Math.abs(bend) < DOGLEG_MIN_BEND_DEGREES) {
+    return null;
+  }
+
+  const side = Math.sign(bend);
+  // Never aim further round than straight at the green
+  const maxAngle = Math.abs(angleBetween(safeBearing, calculateBearing(startPosition, green)));
+
+  const lines = [];
+  for (let i = 1; i <= MAX_CARRY_LINES; i++) {
+    const angle = i * CARRY_LINE_STEP_DEGREES;
+    if (angle > maxAngle) break;
+
+    const bearing = (safeBearing + side * angle + 360) % 360;
+    const line = analyzeCarryLine(startPosition, bearing, polygons, maxDistance);
+    if (line.landingStart === null) continue;
+
+    lines.push({
+      ...line,
+      angle,
+      distanceToGreen: Math.round(calculateDistance(projectPoint(startPosition, line.landingStart, bearing), green)),
+    });
+  }
+
+  return {
+    direction: side > 0 ? 'right' : 'left',
+    safeBearing,
+    lines,
+  };
+}
+
+// ============================================================================
+// PROBABILITY OF CLEARING
+// ============================================================================
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Chance a shot aimed down a carry line clears the corner. Distance error
+ * comes from the club's distance dispersion; a lateral miss puts the ball on
+ * a neighbouring line with its own carry, so the lines one lateral spread
+ * either side are weighed in too (a quarter each).
+ *
+ * @param {Object} startPosition - Tee position { latitude, longitude }
+ * @param {Object} line - analyzeCarryLine result being aimed down
+ * @param {Array} polygons - Course polygons
+ * @param {number} reach - Where the club carries the ball (yards, with conditions)
+ * @param {Object} dispersion - calculateDispersion result { radius, lateralDispersion, distanceDispersion }
+ * @returns {number} Probability 0-1
+ */
+export function estimateClearProbability(startPosition, line, polygons, reach, dispersion) {
+  if (!line.carryYards) {
+    return 1;
+  }
+
+  const distanceSpread = dispersion?.distanceDispersion || (dispersion?.radius || 15) * 0.6;
+  const lateralSpread = dispersion?.lateralDispersion || dispersion?.radius || 15;
+  const spreadDegrees = Math.atan(lateralSpread / Math.max(reach, 1)) * 180 / Math.PI;
+
+  const clears = (carry) => normalCdf((reach - carry) / distanceSpread);
+
+  let probability = 0.5 * clears(line.carryYards);
+  for (const side of [-1, 1]) {
+    const neighbour = analyzeCarryLine(startPosition, line.bearing + side * spreadDegrees, polygons, reach + 40);
+    // A neighbouring line with no fairway beyond the corner never clears
+    probability += neighbour.landingStart === null ? 0 : 0.25 * clears(neighbour.carryYards);
+  }
+
+  return Math.round(probability * 100) / 100;
+}
@@ -0,0 +1,162 @@
+/**
+ * Club Inference
+ *
+ * Guesses the club for a shot from how far it went, using the player's
+ * measured distance distributions (user_club_stats) and falling back to
+ * the distances in their bag. Each club is scored by how likely the
+ * measured distance is for it (normal distribution around its average),
+ * adjusted for the lie: shots from the rough and bunkers come up short,
+ * and the driver is almost always hit from the tee.
+ *
+ * Corrections teach it over time: every inferred club the player later
+ * confirmed or changed is counted ({ inferred: { actual: count } }), and
+ * when the top guess is X the candidates are re-weighted by how often X
+ * turned out to be each of them.
+ */
+
+// Clubs with fewer measured shots use the bag distance instead
+const MIN_MEASURED_SHOTS = 3;
+
+// Distance spread floor (yards), and spread for bag-only clubs as a fraction of distance
+const MIN_STD_DISTANCE = 6;
+const BAG_STD_FRACTION = 0.08;
+
+// Expected distance relative to a clean lie
+const LIE_DISTANCE_FACTOR = {
+  rough: 0.92,
+  bunker: 0.85,
+};
+
+// Driver off the deck is rare
+const DRIVER_OFF_TEE_PRIOR = 0.1;
+
+/** Below this the club is flagged for review after the round */
+export const LOW_CONFIDENCE = 0.6;
+
+function bagDistance(entry) {
+  if (typeof entry === 'number') return entry;
+  return entry?.distance || null;
+}
+
+/**
+ * Mean and spread of each club's carry.
+ */
+function buildClubModels(clubStats, bagDistances) {
+  const models = {};
+  const clubs = new Set([...Object.keys(bagDistances || {}), ...Object.keys(clubStats || {})]);
+
+  clubs.forEach((club) => {
+    if (club === 'putter') return;
+    const stats = clubStats?.[club];
+    if (stats?.avgDistance && (stats.totalShots || 0) >= MIN_MEASURED_SHOTS) {
+      models[club] = {
+        mean: stats.avgDistance,
+        std: Math.max(stats.stdDistance || 0, MIN_STD_DISTANCE),
+      };
+      return;
+    }
+    const distance = bagDistance(bagDistances?.[club]);
+    if (distance) {
+      models[club] = {
+        mean: distance,
+        std: Math.max(distance * BAG_STD_FRACTION, MIN_STD_DISTANCE),
+      };
+    }
+  });
+
+  return models;
+}
+
+function normalize(scores) {
+  const total = Object.values(scores).reduce((sum, v) => sum + v, 0);
+  if (!(total > 0)) return null;
+  const result = {};
+  Object.entries(scores).forEach(([club, v]) => { result[club] = v / total; });
+  return result;
+}
+
+/**
+ * Infer the most likely club for a shot.
+ *
+ * @param {Object} params
+ * @param {number} params.distance - Measured shot distance in yards
+ * @param {string} params.lieType - Lie the shot was played from
+ * @param {Object} params.clubStats - Measured stats keyed by club (loadPlayerInsights)
+ * @param {Object} params.bagDistances - Bag distances keyed by club ({ club: yards } or { club: { distance } })
+ * @param {Object} params.corrections - { inferredClub: { actualClub: count } } from buildClubCorrections
+ * @returns {Object|null} { club, confidence, candidates: [{ club, probability }] }, null when
+ *   there's nothing to go on
+ */
+export function inferClub({ distance, lieType, clubStats, bagDistances, corrections } = {}) {
+  if (lieType === 'green') {
+    return { club: 'putter', confidence: 1, candidates: [{ club: 'putter', probability: 1 }] };
+  }
+  if (!(distance > 0)) return null;
+
+  const models = buildClubModels(clubStats, bagDistances);
+  const lieFactor = LIE_DISTANCE_FACTOR[lieType] || 1;
+
+  const scores = {};
+  Object.entries(models).forEach(([club, { mean, std }]) => {
+    const expected = mean * lieFactor;
+    const z = (distance - expected) / std;
+    let likelihood = Math.exp(-0.5 * z * z) / std;
+    if (club === 'driver' && lieType && lieType !== 'tee') likelihood *= DRIVER_OFF_TEE_PRIOR;
+    scores[club] = likelihood;
+  });
+
+  let probabilities = normalize(scores);
+  if (!probabilities) return null;
+
+  // Re-weight by how the top guess has been corrected before
+  const top = Object.keys(probabilities).reduce((a, b) => (probabilities[a] >= probabilities[b] ? a : b));
+  const history = corrections?.[top];
+  if (history) {
+    const clubCount = Object.keys(probabilities).length;
+    const total = Object.values(history).reduce((sum, n) => sum + n, 0);
+    const weighted = {};
+    Object.entries(probabilities).forEach(([club, p]) => {
+      weighted[club] = p * ((history[club] || 0) + 1) / (total + clubCount);
+    });
+    probabilities = normalize(weighted) || probabilities;
+  }
+
+  const candidates = Object.entries(probabilities)
+    .map(([club, probability]) => ({ club, probability }))
+    .sort((a, b) => b.probability - a.probability);
+
+  return {
+    club: candidates[0].club,
+    confidence: candidates[0].probability,
+    candidates: candidates.slice(0, 3),
+  };
+}
+
+/**
+ * Count how inferred clubs turned out, from round_shots rows the player
+ * confirmed (club_inferred vs club).
+ *
+ * @param {Array} rows - round_shots rows ({ club, club_inferred, club_confirmed })
+ * @returns {Object} { inferredClub: { actualClub: count } }
+ */
+export function buildClubCorrections(rows) {
+  const corrections = {};
+  (rows || []).forEach((row) => {
+    if (!row.club_inferred || !row.club || !row.club_confirmed) return;
+    if (!corrections[row.club_inferred]) corrections[row.club_inferred] = {};
+    corrections[row.club_inferred][row.club] = (corrections[row.club_inferred][row.club] || 0) + 1;
+  });
+  return corrections;
+}
+
+/**
+ * Whether a stored shot's club was a low-confidence guess nobody has checked.
+ *
+ * @param {Object} shot - round_shots row
+ * @returns {boolean}
+ */
+export function needsClubReview(shot) {
+  return !!shot?.club_inferred &&
+    !shot.club_confirmed &&
+    (shot.club_confidence ?? 0) < LOW_CONFIDENCE;
+}
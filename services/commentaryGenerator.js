@@ -159,6 +159,11 @@ export function generateCommentary(plan, holeData, playerInsights = null) {
   // Strategy intro
   parts.push(generateStrategyIntro(plan.strategy));
 
+  // How the round's risk profile moved the plan away from balanced play
+  if (plan.riskProfile?.changed && plan.riskProfile.explanation) {
+    parts.push(plan.riskProfile.explanation);
+  }
+
   // Personalized insight (added before shot details when data available)
   const personalNote = generatePersonalizedNote(plan, holeData, playerInsights);
   if (personalNote) {
@@ -498,6 +503,78 @@ export function generateShotSpokenCommentary(shot) {
   return `Shot ${shotNumber}: ${club}, ${distance} yards.`;
 }
 
+/**
+ * Explain how the round's risk profile changed the recommendation by
+ * comparing the plan with the one balanced play would have picked.
+ *
+ * @param {Object} riskProfile - Profile from scoringConfig.RISK_PROFILES
+ * @param {Object} plan - Plan computed with the profile
+ * @param {Object|null} balancedPlan - Same hole planned with the balanced profile
+ * @returns {Object} { id, label, aggressionLevel, changed, balancedSummary, explanation }
+ */
+export function explainRiskProfile(riskProfile, plan, balancedPlan = null) {
+  const info = {
+    id: riskProfile.id,
+    label: riskProfile.label,
+    aggressionLevel: riskProfile.aggressionLevel,
+    changed: false,
+    balancedSummary: null,
+    explanation: null,
+  };
+
+  if (!balancedPlan?.shots?.length || !plan?.shots?.length) {
+    return info;
+  }
+
+  const clubLine = (shots) => shots.map(shot => shot.club).join(' → ');
+  const planLine = clubLine(plan.shots);
+  const balancedLine = clubLine(balancedPlan.shots);
+  info.balancedSummary = balancedLine;
+
+  if (planLine === balancedLine) {
+    info.explanation = `${riskProfile.label}: same plan as balanced play - nothing here worth changing for.`;
+    return info;
+  }
+
+  info.changed = true;
+  const shotDifference = plan.shots.length - balancedPlan.shots.length;
+  const first = plan.shots[0];
+  const balancedFirst = balancedPlan.shots[0];
+
+  let change;
+  if (shotDifference < 0) {
+    change = `going for it in ${plan.shots.length} instead of laying up (${balancedLine})`;
+  } else if (shotDifference > 0) {
+    change = `laying up in ${plan.shots.length} instead of going for it (${balancedLine})`;
+  } else if (first.club !== balancedFirst.club) {
+    const longer = (first.distance || 0) > (balancedFirst.distance || 0);
+    change = `${longer ? 'taking on more' : 'giving up some distance'} with ${first.club} instead of ${balancedFirst.club}`;
+  } else {
+    change = `${planLine} instead of ${balancedLine}`;
+  }
+
+  info.explanation = `${riskProfile.label}: ${change}.`;
+  return info;
+}
+
+/**
+ * One line on the corner-cut option when the plan plays the safe route
+ * (a plan that already cuts the corner says so in its shot reasoning).
+ *
+ * @param {Object|null} cornerCutOption - Plan's cornerCutOption
+ * @returns {string|null} e.g. "Cut the corner: Driver carries the trees at 245 yards - clears 67% of the time"
+ */
+export function describeCornerCutOption(cornerCutOption) {
+  const teeShot = cornerCutOption?.shots?.[0];
+  if (!teeShot?.cornerCut || cornerCutOption.isBest) {
+    return null;
+  }
+
+  const { carryYards, clearProbability, obstacles } = teeShot.cornerCut;
+  const over = obstacles[0]?.type || 'corner';
+  return `Cut the corner: ${teeShot.club} carries the ${over} at ${carryYards} yards - clears ${Math.round(clearProbability * 100)}% of the time`;
+}
+
 /**
  * Generate brief plan summary (for quick display)
  *
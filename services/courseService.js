@@ -131,6 +131,12 @@ export async function fetchTeeBoxes(courseId) {
       rating: row.course_rating,
       slope: row.slope_rating,
       parTotal: row.par_total,
+      frontRating: row.front_course_rating,
+      frontSlope: row.front_slope_rating,
+      frontPar: row.front_par,
+      backRating: row.back_course_rating,
+      backSlope: row.back_slope_rating,
+      backPar: row.back_par,
       sortOrder: row.sort_order,
     })),
     error: null,
@@ -0,0 +1,257 @@
+/**
+ * Course Tracker
+ *
+ * Follows the player around the course from GPS position updates and
+ * works out which hole they are playing, on top of the per-hole shot
+ * detector:
+ *   - Leaving the green: the player was on the current hole's green and
+ *     has walked away from it (time to finalize the score).
+ *   - Arriving at a tee: the player has stood on another hole's tee for a
+ *     while. Any unplayed hole counts, so out-of-order holes and shotgun
+ *     starts work; the next hole in order wins when tees are close together.
+ *   - Hole in progress: the first fix is on another hole entirely (resuming
+ *     mid-hole, or starting somewhere other than the first tee). Weaker
+ *     evidence than standing on a tee, so callers should confirm it.
+ *
+ * The tracker only reports; the caller decides whether to switch holes and
+ * then calls setCurrentHole.
+ */
+
+import { calculateDistance, isPointInPolygon } from '../utils/geoUtils';
+
+// --- Tunable thresholds ---
+const CONFIG = {
+  GREEN_RADIUS: 20,          // yards from green center counts as on the green (no polygon)
+  GREEN_EXIT_DISTANCE: 30,   // yards from the green center to count as having left it
+  TEE_RADIUS: 25,            // yards from a tee box counts as being on the tee
+  TEE_DWELL_TIME: 20000,     // ms on a tee before it counts as arriving there
+  HOLE_CORRIDOR: 50,         // yards either side of the tee-green line that belong to a hole
+};
+
+const YARDS_PER_DEG_LAT = 121391;
+
+/**
+ * Distance in yards from a point to the tee-to-green line of a hole.
+ */
+function distanceToHoleLine(position, hole) {
+  const { teeBox, green } = hole;
+  const yardsPerDegLon = YARDS_PER_DEG_LAT * Math.cos(teeBox.latitude * Math.PI / 180);
+  const toXY = p => ({
+    x: (p.longitude - teeBox.longitude) * yardsPerDegLon,
+    y: (p.latitude - teeBox.latitude) * YARDS_PER_DEG_LAT,
+  });
+
+  const p = toXY(position);
+  const g = toXY(green);
+  const lengthSq = g.x * g.x + g.y * g.y;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, (p.x * g.x + p.y * g.y) / lengthSq)) : 0;
+  return Math.hypot(p.x - t * g.x, p.y - t * g.y);
+}
+
+function isOnGreen(position, hole) {
+  const greenPolygon = (hole.polygons || []).find(p => p.type === 'green');
+  if (greenPolygon) return isPointInPolygon(position, greenPolygon);
+  return calculateDistance(position, hole.green) <= CONFIG.GREEN_RADIUS;
+}
+
+/**
+ * Whether a position is on a hole: inside one of its polygons or close
+ * to the line from tee to green.
+ */
+export function isPositionOnHole(position, hole) {
+  if (!hole?.teeBox || !hole?.green) return false;
+  if ((hole.polygons || []).some(p => isPointInPolygon(position, p))) return true;
+  return distanceToHoleLine(position, hole) <= CONFIG.HOLE_CORRIDOR;
+}
+
+/**
+ * The hole a position is on, preferring the closest tee-to-green line when
+ * holes overlap.
+ *
+ * @param {Object} position - { latitude, longitude }
+ * @param {Object} holes - Hole geometry keyed by hole number
+ * @param {Array<number>} exclude - Hole numbers to skip
+ * @returns {number|null} Hole number
+ */
+export function findHoleAtPosition(position, holes, exclude = []) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  Object.entries(holes || {}).forEach(([key, hole]) => {
+    const holeNumber = Number(key);
+    if (exclude.includes(holeNumber) || !isPositionOnHole(position, hole)) return;
+    const distance = distanceToHoleLine(position, hole);
+    if (distance < bestDistance) {
+      best = holeNumber;
+      bestDistance = distance;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Create a course tracker for a round.
+ *
+ * @param {object}   holes                  - hole geometry keyed by hole number ({ teeBox, green, polygons })
+ * @param {object}   callbacks
+ * @param {function} callbacks.onLeaveGreen - callback(holeNumber)
+ * @param {function} callbacks.onHoleChange - callback({ fromHole, toHole, reason, fromHoleStarted }),
+ *                                            reason 'tee_arrival' | 'in_progress'
+ * @param {object}   options
+ * @param {number}   options.currentHole    - hole being played
+ * @param {Array}    options.completedHoles - holes already scored (never suggested)
+ * @param {function} options.now            - clock in ms (default Date.now)
+ * @returns {object} tracker API
+ */
+export function createCourseTracker(holes, callbacks = {}, options = {}) {
+  const now = options.now || (() => Date.now());
+  const completed = new Set(options.completedHoles || []);
+  let currentHole = options.currentHole ?? null;
+
+  let hasFix = false;
+  let visitedTee = false;       // been on the current hole's tee
+  let holeStarted = false;      // played from the current hole's tee (or told so)
+  let wasOnGreen = false;
+  let leftGreen = false;
+  let teeCandidate = null;      // { holeNumber, since }
+  let announced = new Set();    // tees reported since the player last left a tee
+
+  function resetHoleState() {
+    visitedTee = false;
+    holeStarted = false;
+    wasOnGreen = false;
+    leftGreen = false;
+    teeCandidate = null;
+    announced = new Set();
+  }
+
+  function reportHoleChange(toHole, reason) {
+    if (callbacks.onHoleChange) {
+      callbacks.onHoleChange({ fromHole: currentHole, toHole, reason, fromHoleStarted: holeStarted });
+    }
+  }
+
+  /**
+   * The unplayed tee the player is standing on, if any. The next hole in
+   * order wins over other tees in range.
+   */
+  function findTeeAt(position) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    Object.entries(holes || {}).forEach(([key, hole]) => {
+      const holeNumber = Number(key);
+      if (holeNumber === currentHole || completed.has(holeNumber) || !hole?.teeBox) return;
+      const distance = calculateDistance(position, hole.teeBox);
+      if (distance > CONFIG.TEE_RADIUS) return;
+      if (holeNumber === currentHole + 1) {
+        best = holeNumber;
+        bestDistance = -1;
+      } else if (distance < bestDistance) {
+        best = holeNumber;
+        bestDistance = distance;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Feed a (filtered) GPS position.
+   */
+  function processPosition(position) {
+    const time = position.timestamp ?? now();
+    const hole = holes?.[currentHole];
+
+    // First fix somewhere else entirely: the player is mid-way through another hole
+    if (!hasFix) {
+      hasFix = true;
+      if (hole && !isPositionOnHole(position, hole) && calculateDistance(position, hole.teeBox) > CONFIG.TEE_RADIUS) {
+        const other = findHoleAtPosition(position, holes, [currentHole, ...completed]);
+        if (other != null) {
+          reportHoleChange(other, 'in_progress');
+          return;
+        }
+      }
+    }
+
+    if (hole) {
+      const fromTee = calculateDistance(position, hole.teeBox);
+      if (fromTee <= CONFIG.TEE_RADIUS) visitedTee = true;
+      else if (visitedTee) holeStarted = true;
+
+      if (isOnGreen(position, hole)) {
+        wasOnGreen = true;
+      } else if (
+        wasOnGreen &&
+        !leftGreen &&
+        calculateDistance(position, hole.green) >= CONFIG.GREEN_EXIT_DISTANCE
+      ) {
+        leftGreen = true;
+        if (callbacks.onLeaveGreen) callbacks.onLeaveGreen(currentHole);
+      }
+    }
+
+    const teeHole = findTeeAt(position);
+    if (teeHole == null) {
+      teeCandidate = null;
+      announced = new Set();
+      return;
+    }
+
+    if (teeCandidate?.holeNumber !== teeHole) {
+      teeCandidate = { holeNumber: teeHole, since: time };
+      return;
+    }
+
+    // Walking past a tee mid-hole doesn't count: the current hole must be
+    // finished (off its green) or not started yet
+    const canLeaveCurrent = leftGreen || !holeStarted;
+    if (
+      canLeaveCurrent &&
+      !announced.has(teeHole) &&
+      time - teeCandidate.since >= CONFIG.TEE_DWELL_TIME
+    ) {
+      announced.add(teeHole);
+      reportHoleChange(teeHole, 'tee_arrival');
+    }
+  }
+
+  /**
+   * Switch to a new hole (after the caller accepts a change or the player
+   * picks a hole by hand).
+   */
+  function setCurrentHole(holeNumber) {
+    if (holeNumber === currentHole) return;
+    currentHole = holeNumber;
+    resetHoleState();
+  }
+
+  /**
+   * Note that shots have been played on the current hole, e.g. when the
+   * round was resumed away from its tee.
+   */
+  function markHoleStarted() {
+    holeStarted = true;
+  }
+
+  /**
+   * Note that a hole has been scored, so its tee is never suggested again.
+   */
+  function markHoleComplete(holeNumber) {
+    completed.add(holeNumber);
+  }
+
+  function getCurrentHole() {
+    return currentHole;
+  }
+
+  return {
+    processPosition,
+    setCurrentHole,
+    markHoleStarted,
+    markHoleComplete,
+    getCurrentHole,
+  };
+}
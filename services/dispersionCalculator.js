@@ -351,6 +351,57 @@ export function predictMissPattern(club, handicap = 15, playerTendency = null, m
   };
 }
 
+// ============================================================================
+// STOCK SHOT SHAPE
+// ============================================================================
+
+// Curve for a 1.0-factor club (6 iron) when the profile's miss pattern is
+// the only evidence; longer clubs curve more (driver ~11 yds)
+const PROFILE_CURVE_YARDS = 8;
+// Measured curves are capped so one wild session can't bend every plan
+const MAX_CURVE_YARDS = 25;
+// Below this the shot is planned as straight
+const MIN_CURVE_YARDS = 3;
+
+/**
+ * The player's stock shape with a club, as a curve: how far the ball moves
+ * sideways over its carry when hit on the intended line. Positive curves
+ * right (a fade for a right-hander), negative curves left (a draw).
+ *
+ * Measured avgOffline wins when there's enough of it; otherwise the
+ * profile's miss pattern ('slice_fade' / 'hook_draw') gives a modest
+ * curve scaled by club. 'both' and 'straight' plan a straight ball.
+ *
+ * @param {string} club - Club identifier
+ * @param {string} missPattern - profiles.miss_pattern (optional)
+ * @param {Object} measuredStats - Measured stats for this club (optional)
+ * @returns {Object} { shape: 'draw'|'fade'|'straight', curveYards, source: 'measured'|'profile'|null }
+ */
+export function getStockShape(club, missPattern = null, measuredStats = null) {
+  let curve = 0;
+  let source = null;
+
+  if (measuredStats && measuredStats.totalShots >= 5 && measuredStats.avgOffline != null) {
+    const confidence = calculateMeasuredConfidence(measuredStats.totalShots);
+    curve = Math.max(-MAX_CURVE_YARDS, Math.min(MAX_CURVE_YARDS, measuredStats.avgOffline * confidence));
+    source = 'measured';
+  } else if (missPattern === 'slice_fade' || missPattern === 'hook_draw') {
+    const direction = missPattern === 'slice_fade' ? 1 : -1;
+    curve = direction * PROFILE_CURVE_YARDS * getClubFactor(club);
+    source = 'profile';
+  }
+
+  if (Math.abs(curve) < MIN_CURVE_YARDS) {
+    return { shape: 'straight', curveYards: 0, source };
+  }
+
+  return {
+    shape: curve > 0 ? 'fade' : 'draw',
+    curveYards: Math.round(curve),
+    source,
+  };
+}
+
 // ============================================================================
 // SHOT SELECTION HELPERS
 // ============================================================================
@@ -29,11 +29,16 @@ import {
   getAvoidZones,
   applyHazardBiasToTarget,
   analyzeHazardsAlongShotLine,
+  analyzeHazardsAlongFlightPath,
+  calculateAimPoint,
   calculateSafeGreenTarget,
+  chooseShapedLanding,
 } from './landingZoneCalculator';
-import { calculateDispersion } from './dispersionCalculator';
+import { calculateDispersion, getStockShape } from './dispersionCalculator';
 import { scoreShot, scoreSequence, isInFairway } from './shotScorer';
-import { DEFAULT_SCORING_CONFIG } from './scoringConfig';
+import { DEFAULT_SCORING_CONFIG, getRiskScaling } from './scoringConfig';
+import { applyPinToHoleData } from './pinPositionCalculator';
+import { analyzeDoglegCorner, estimateClearProbability } from './carryLineCalculator';
 
 // ============================================================================
 // MAIN ENTRY POINT
@@ -46,6 +51,7 @@ import { DEFAULT_SCORING_CONFIG } from './scoringConfig';
  *   @param {number} holeData.par - Hole par (3, 4, or 5)
  *   @param {Object} holeData.teeBox - Tee box GPS { latitude, longitude }
  *   @param {Object} holeData.green - Green center GPS { latitude, longitude }
+ *   @param {Object} holeData.pin - Today's pin { latitude, longitude } (optional)
  *   @param {Array} holeData.polygons - Course polygons
  *
  * @param {Object} playerContext - Player information
@@ -66,7 +72,8 @@ import { DEFAULT_SCORING_CONFIG } from './scoringConfig';
  * @returns {Array<Object>} Array of scored sequences sorted by totalScore
  */
 export function generateForwardSequences(holeData, playerContext, weather = {}, config = DEFAULT_SCORING_CONFIG) {
-  const { par, teeBox, green, polygons } = holeData;
+  // With a pin set, `green` is the flag and `greenCenter` the middle of the green
+  const { par, teeBox, green, greenCenter = green, pin = null, polygons } = applyPinToHoleData(holeData);
   const { position, clubDistances, handicap = 15, lieType = 'tee' } = playerContext;
 
   // Determine starting position
@@ -89,6 +96,8 @@ export function generateForwardSequences(holeData, playerContext, weather = {},
     sequences = buildPar3Sequences({
       startPosition,
       green,
+      greenCenter,
+      pin,
       polygons,
       clubDistances,
       handicap,
@@ -102,6 +111,8 @@ export function generateForwardSequences(holeData, playerContext, weather = {},
     sequences = buildPar4Sequences({
       startPosition,
       green,
+      greenCenter,
+      pin,
       polygons,
       clubDistances,
       handicap,
@@ -116,6 +127,8 @@ export function generateForwardSequences(holeData, playerContext, weather = {},
     sequences = buildPar5Sequences({
       startPosition,
       green,
+      greenCenter,
+      pin,
       polygons,
       clubDistances,
       handicap,
@@ -128,12 +141,87 @@ export function generateForwardSequences(holeData, playerContext, weather = {},
     });
   }
 
+  // On a dogleg, offer the line across the corner next to the safe route
+  if (isFromTee && (par === 4 || par === 5)) {
+    sequences.push(...buildCornerCutSequences({
+      startPosition,
+      green,
+      greenCenter,
+      pin,
+      polygons,
+      clubDistances,
+      handicap,
+      weather,
+      holeBearing,
+      totalDistance,
+      playerContext,
+      config,
+    }, par));
+  }
+
+  // Let the player's risk profile favour or penalise the ambitious lines
+  applyRiskAdjustment(sequences, config);
+
   // Sort by total score (highest = best)
   sequences.sort((a, b) => b.totalScore - a.totalScore);
 
   return sequences;
 }
 
+// ============================================================================
+// RISK PROFILE ADJUSTMENT
+// ============================================================================
+
+// Points per shot saved versus the longest sequence, at full lean
+const SHOT_SAVED_REWARD = 20;
+// Points per yard of extra first-shot distance versus the shortest option
+const FIRST_SHOT_YARD_REWARD = 0.2;
+
+/**
+ * Adjust sequence scores for the player's aggression level.
+ * Aggressive profiles get a bonus for lines that save a shot or hit a longer
+ * first shot (going for a par 5 in two, driver off the tee); conservative
+ * profiles get the same amount as a penalty. No-op at the default 0.5.
+ * Mutates the sequences, adding riskAdjustment { value, reason } to each.
+ *
+ * @param {Array<Object>} sequences - Scored sequences
+ * @param {Object} config - Scoring configuration
+ * @returns {Array<Object>} The same sequences
+ */
+export function applyRiskAdjustment(sequences, config = DEFAULT_SCORING_CONFIG) {
+  const { lean } = getRiskScaling(config);
+  if (lean === 0 || sequences.length < 2) {
+    return sequences;
+  }
+
+  const firstShotDistance = (seq) => seq.shots[0]?.distance || 0;
+  const maxShots = Math.max(...sequences.map(seq => seq.shotCount));
+  const minFirstShot = Math.min(...sequences.map(firstShotDistance));
+
+  for (const seq of sequences) {
+    const shotsSaved = maxShots - seq.shotCount;
+    const extraYards = firstShotDistance(seq) - minFirstShot;
+    const ambition = shotsSaved * SHOT_SAVED_REWARD + extraYards * FIRST_SHOT_YARD_REWARD;
+    const value = Math.round(lean * 2 * ambition);
+
+    if (value === 0) {
+      continue;
+    }
+
+    let reason;
+    if (shotsSaved > 0) {
+      reason = value > 0 ? 'Aggressive profile rewards saving a shot' : 'Protecting a score - not worth forcing the shorter route';
+    } else {
+      reason = value > 0 ? 'Aggressive profile rewards the longer first shot' : 'Protecting a score - favours the shorter, safer first shot';
+    }
+
+    seq.riskAdjustment = { value, reason };
+    seq.totalScore += value;
+  }
+
+  return sequences;
+}
+
 // ============================================================================
 // SEQUENCE BUILDERS BY PAR
 // ============================================================================
@@ -151,6 +239,8 @@ export function generateForwardSequences(holeData, playerContext, weather = {},
 function buildPar3Sequences({
   startPosition,
   green,
+  greenCenter,
+  pin,
   polygons,
   clubDistances,
   handicap,
@@ -184,7 +274,7 @@ function buildPar3Sequences({
   );
 
   // Calculate safe green target (aim for part of green away from hazards)
-  const safeGreenTarget = calculateSafeGreenTarget(green, startPosition, polygons, 0);
+  const safeGreenTarget = calculateSafeGreenTarget(greenCenter, startPosition, polygons, 0, pin);
 
   for (const [club, clubDistance, effectiveReach, clubAdjustments] of validClubs) {
     console.log(`[Par3] Club ${club}: ${clubDistance} yd club → reaches ${effectiveReach} yds (target: ${Math.round(targetDistance)} yds)`);
@@ -204,7 +294,7 @@ function buildPar3Sequences({
     const avoidZones = getAvoidZones(startPosition, safeGreenTarget, polygons);
 
     // Calculate safe zone
-    const safeZone = calculateSafeZone(safeGreenTarget, dispersion.radius, polygons);
+    const safeZone = calculateSafeZone(safeGreenTarget, dispersion.radius, polygons, pin);
 
     // Calculate club utilization (effective reach vs club distance)
     const clubUtilization = effectiveReach / clubDistance;
@@ -228,6 +318,7 @@ function buildPar3Sequences({
       isApproach: true,
       hazardRanges,                    // For flight path penalty (carry over hazards)
     };
+    applyShotShape(shotOption, getShotShapeForClub(club, playerContext), polygons);
 
     // Score the shot
     const { score, breakdown } = scoreShot(
@@ -262,6 +353,8 @@ function buildPar3Sequences({
 function buildPar4Sequences({
   startPosition,
   green,
+  greenCenter,
+  pin,
   polygons,
   clubDistances,
   handicap,
@@ -313,8 +406,18 @@ function buildPar4Sequences({
       teeDispersion.radius
     );
 
-    // Use centerline-targeted position, fall back to landing zone if needed
-    const teeLanding = teeLandingPosition || teeLandingZone.position;
+    // Use centerline-targeted position, fall back to landing zone if needed.
+    // On a dogleg, a stock shape that turns with the hole finishes on the inside
+    const teeShape = getShotShapeForClub(teeClub, playerContext);
+    const teeDogleg = chooseShapedLanding(
+      startPosition,
+      teeLandingPosition || teeLandingZone.position,
+      green,
+      polygons,
+      teeShape.curveYards,
+      teeDispersion.radius
+    );
+    const teeLanding = teeDogleg.landing;
 
     // Calculate distance remaining after tee shot (from actual landing spot)
     const distanceAfterTee = calculateDistance(teeLanding, green);
@@ -361,12 +464,13 @@ function buildPar4Sequences({
       hazardRanges,              // For distance-based hazard avoidance scoring
       nextShotHazardRanges,      // For next-shot-over-hazard penalty
     };
+    applyShotShape(teeShot, teeShape, polygons, teeDogleg);
 
     console.log(`[Par4] === APPROACH after ${teeClub} (CLUB-CENTRIC) ===`);
     console.log(`[Par4] Target distance to green: ${Math.round(distanceAfterTee)} yds (raw GPS)`);
 
     // Calculate safe green target (aim for part of green away from hazards)
-    const safeGreenTarget = calculateSafeGreenTarget(green, teeLanding, polygons, 0);
+    const safeGreenTarget = calculateSafeGreenTarget(greenCenter, teeLanding, polygons, 0, pin);
 
     // Get approach clubs - pass RAW distance and let function calculate effective reach
     const approachClubs = getValidClubsForShot(
@@ -397,7 +501,7 @@ function buildPar4Sequences({
       const approachAvoidZones = getAvoidZones(teeLanding, safeGreenTarget, polygons);
 
       // Calculate safe zone for approach
-      const approachSafeZone = calculateSafeZone(safeGreenTarget, approachDispersion.radius, polygons);
+      const approachSafeZone = calculateSafeZone(safeGreenTarget, approachDispersion.radius, polygons, pin);
 
       const approachShot = {
         shotNumber: 2,
@@ -418,6 +522,7 @@ function buildPar4Sequences({
         isApproach: true,
         hazardRanges: nextShotHazardRanges,       // For flight path penalty (carry over hazards)
       };
+      applyShotShape(approachShot, getShotShapeForClub(approachClub, playerContext), polygons);
 
       // Score the sequence
       const { totalScore, shotScores } = scoreSequence(
@@ -458,6 +563,8 @@ function buildPar4Sequences({
 function buildPar5Sequences({
   startPosition,
   green,
+  greenCenter,
+  pin,
   polygons,
   clubDistances,
   handicap,
@@ -513,8 +620,18 @@ function buildPar5Sequences({
       teeDispersion.radius
     );
 
-    // Use centerline-targeted position, fall back to landing zone if needed
-    const teeLanding = teeLandingPosition || teeLandingZone.position;
+    // Use centerline-targeted position, fall back to landing zone if needed.
+    // On a dogleg, a stock shape that turns with the hole finishes on the inside
+    const teeShape = getShotShapeForClub(teeClub, playerContext);
+    const teeDogleg = chooseShapedLanding(
+      startPosition,
+      teeLandingPosition || teeLandingZone.position,
+      green,
+      polygons,
+      teeShape.curveYards,
+      teeDispersion.radius
+    );
+    const teeLanding = teeDogleg.landing;
     const distanceAfterTee = calculateDistance(teeLanding, green);
     const teeLandsInFairway = isInFairway(teeLanding, polygons);
     const expectedLieAfterTee = teeLandsInFairway ? 'fairway' : 'rough';
@@ -556,6 +673,7 @@ function buildPar5Sequences({
       hazardRanges,              // For distance-based hazard avoidance scoring
       nextShotHazardRanges,      // For next-shot-over-hazard penalty
     };
+    applyShotShape(teeShot, teeShape, polygons, teeDogleg);
 
     // ============================================
     // Path A: Going for it in 2 (aggressive)
@@ -565,7 +683,7 @@ function buildPar5Sequences({
       console.log(`[Par5] Target distance to green: ${Math.round(distanceAfterTee)} yds`);
 
       // Calculate safe green target for aggressive approach
-      const goForItGreenTarget = calculateSafeGreenTarget(green, teeLanding, polygons, 0);
+      const goForItGreenTarget = calculateSafeGreenTarget(greenCenter, teeLanding, polygons, 0, pin);
 
       // Get approach clubs - pass RAW distance and let function calculate effective reach
       const goingForItClubs = getValidClubsForShot(
@@ -590,7 +708,7 @@ function buildPar5Sequences({
         }));
 
         const approachAvoidZones = getAvoidZones(teeLanding, goForItGreenTarget, polygons);
-        const approachSafeZone = calculateSafeZone(goForItGreenTarget, approachDispersion.radius, polygons);
+        const approachSafeZone = calculateSafeZone(goForItGreenTarget, approachDispersion.radius, polygons, pin);
 
         const approachShot = {
           shotNumber: 2,
@@ -611,6 +729,7 @@ function buildPar5Sequences({
           isApproach: true,
           hazardRanges: nextShotHazardRanges,       // For flight path penalty (carry over hazards)
         };
+        applyShotShape(approachShot, getShotShapeForClub(approachClub, playerContext), polygons);
 
         const { totalScore, shotScores } = scoreSequence(
           [teeShot, approachShot],
@@ -662,6 +781,18 @@ function buildPar5Sequences({
       // Apply hazard bias to layup target
       layupLandingPosition = applyHazardBiasToTarget(layupLandingPosition, teeLanding, polygons, layupDispersion.radius);
 
+      // Work a shaped layup around a dogleg, as for the tee shot
+      const layupShape = getShotShapeForClub(layupClub, playerContext);
+      const layupDogleg = chooseShapedLanding(
+        teeLanding,
+        layupLandingPosition,
+        green,
+        polygons,
+        layupShape.curveYards,
+        layupDispersion.radius
+      );
+      layupLandingPosition = layupDogleg.landing;
+
       const distanceAfterLayup = calculateDistance(layupLandingPosition, green);
 
       // Check if layup lands in fairway
@@ -705,13 +836,14 @@ function buildPar5Sequences({
         hazardRanges: layupHazardRanges,     // For distance-based hazard avoidance
         nextShotHazardRanges: layupNextShotHazardRanges,  // For next-shot-over-hazard penalty
       };
+      applyShotShape(layupShot, layupShape, polygons, layupDogleg);
 
       // Generate final approach from layup position
       console.log(`[Par5] === FINAL APPROACH after layup (CLUB-CENTRIC) ===`);
       console.log(`[Par5] Target distance to green: ${Math.round(distanceAfterLayup)} yds`);
 
       // Calculate safe green target for final approach (aim away from hazards)
-      const finalGreenTarget = calculateSafeGreenTarget(green, layupLandingPosition, polygons, 0);
+      const finalGreenTarget = calculateSafeGreenTarget(greenCenter, layupLandingPosition, polygons, 0, pin);
 
       // Get final approach clubs - pass RAW distance
       const finalApproachClubs = getValidClubsForShot(
@@ -735,7 +867,7 @@ function buildPar5Sequences({
         }));
 
         const finalAvoidZones = getAvoidZones(layupLandingPosition, finalGreenTarget, polygons);
-        const finalSafeZone = calculateSafeZone(finalGreenTarget, finalDispersion.radius, polygons);
+        const finalSafeZone = calculateSafeZone(finalGreenTarget, finalDispersion.radius, polygons, pin);
 
         const finalApproach = {
           shotNumber: 3,
@@ -756,6 +888,7 @@ function buildPar5Sequences({
           isApproach: true,
           hazardRanges: layupNextShotHazardRanges,  // For flight path penalty (carry over hazards)
         };
+        applyShotShape(finalApproach, getShotShapeForClub(finalClub, playerContext), polygons);
 
         const { totalScore, shotScores } = scoreSequence(
           [teeShot, layupShot, finalApproach],
@@ -783,6 +916,227 @@ function buildPar5Sequences({
   return sequences;
 }
 
+// ============================================================================
+// CORNER CUTS
+// ============================================================================
+
+// Don't offer a carry the player clears less often than this
+const MIN_CORNER_CUT_PROBABILITY = 0.35;
+// Follow-ups kept for each corner-cut tee shot
+const MAX_CORNER_CUT_FOLLOW_UPS = 3;
+
+/**
+ * Build corner-cut sequences for a dogleg par 4 or 5. The par builders only
+ * ever play the tee shot down the fairway centerline, short of the corner;
+ * here each tee club is aimed down the most aggressive carry line it clears
+ * often enough, and the rest of the hole is planned from where it lands.
+ *
+ * The carried trees/bunkers/water are left out of the flight path check -
+ * the tee shot pays for them through its cornerCut penalty instead, scaled
+ * by the chance of coming up short.
+ *
+ * @param {Object} params - Same parameters as the par builders
+ * @param {number} par - 4 or 5
+ * @returns {Array<Object>} Corner-cut sequences (empty when the hole doesn't dogleg)
+ */
+function buildCornerCutSequences({
+  startPosition,
+  green,
+  greenCenter,
+  pin,
+  polygons,
+  clubDistances,
+  handicap,
+  weather,
+  holeBearing,
+  totalDistance,
+  playerContext,
+  config,
+}, par) {
+  const sequences = [];
+  if (!polygons?.length) {
+    return sequences;
+  }
+
+  const teeClubs = getValidClubsForShot(
+    'tee',
+    'tee',
+    totalDistance,
+    clubDistances,
+    weather,
+    holeBearing,
+    { player: startPosition.elevation, target: startPosition.elevation }
+  );
+
+  for (const [teeClub, teeClubDistance, teeEffectiveReach, teeAdjustments] of teeClubs) {
+    const teeDispersion = calculateDispersion(teeClub, clubDistances, handicap);
+    const safeLanding = calculateFairwayCenterlineTarget(startPosition, teeEffectiveReach, green, polygons);
+    const corner = analyzeDoglegCorner(startPosition, safeLanding, green, polygons, teeEffectiveReach + 40);
+    if (!corner) {
+      continue;
+    }
+
+    // Most aggressive line with a real carry that this club lands in the fairway beyond
+    let cutLine = null;
+    let clearProbability = 0;
+    for (const line of corner.lines) {
+      if (line.carryYards === 0 || teeEffectiveReach < line.landingStart || teeEffectiveReach > line.fairwayEnd) {
+        continue;
+      }
+      const probability = estimateClearProbability(startPosition, line, polygons, teeEffectiveReach, teeDispersion);
+      if (probability >= MIN_CORNER_CUT_PROBABILITY && (!cutLine || line.angle > cutLine.angle)) {
+        cutLine = line;
+        clearProbability = probability;
+      }
+    }
+    if (!cutLine) {
+      continue;
+    }
+
+    const teeLanding = projectPoint(startPosition, teeEffectiveReach, cutLine.bearing);
+    const distanceAfterTee = calculateDistance(teeLanding, green);
+    const expectedLie = isInFairway(teeLanding, polygons) ? 'fairway' : 'rough';
+
+    console.log(`[CornerCut] ${teeClub}: ${cutLine.carryYards} yd carry ${cutLine.angle}° ${corner.direction} of the safe line, ${Math.round(clearProbability * 100)}% to clear, leaves ${Math.round(distanceAfterTee)} yds`);
+
+    const teeHazardCheck = checkHazardConflicts(teeLanding, polygons, teeDispersion.radius);
+    const teeHazardConflicts = teeHazardCheck.conflicts.map(c => ({
+      type: c.hazard?.type,
+      name: c.hazard?.label || c.hazard?.name || c.hazard?.type,
+      overlapPercentage: c.type === 'inside' ? 100 : 50,
+    }));
+
+    // Anything starting before the carry is part of the corner being cut
+    const beyondCarry = (range) => range.frontDistance >= cutLine.carryYards;
+
+    const teeShot = {
+      shotNumber: 1,
+      club: teeClub,
+      clubDistance: teeClubDistance,
+      rawDistance: teeEffectiveReach,
+      effectiveDistance: teeClubDistance,
+      targetDistance: totalDistance,
+      distanceRemaining: distanceAfterTee,
+      startPosition,
+      startElevation: startPosition.elevation,
+      landingZone: teeLanding,
+      dispersionRadius: teeDispersion.radius,
+      hazardConflicts: teeHazardConflicts,
+      avoidZones: getAvoidZones(startPosition, teeLanding, polygons),
+      adjustments: teeAdjustments,
+      isApproach: false,
+      expectedLie,
+      fairwayWidth: calculateFairwayWidthAtDistance(startPosition, teeEffectiveReach, teeLanding, polygons),
+      hazardRanges: analyzeHazardsAlongShotLine(startPosition, teeLanding, polygons).filter(beyondCarry),
+      flightPathHazards: analyzeHazardsAlongFlightPath(startPosition, teeLanding, polygons).filter(beyondCarry),
+      nextShotHazardRanges: analyzeHazardsAlongShotLine(teeLanding, green, polygons),
+      cornerCut: {
+        direction: corner.direction,
+        angle: cutLine.angle,
+        bearing: cutLine.bearing,
+        carryYards: cutLine.carryYards,
+        edge: cutLine.edge,
+        obstacles: cutLine.obstacles,
+        clearProbability,
+      },
+    };
+
+    const { score: teeScore, breakdown: teeBreakdown } = scoreShot(
+      teeShot,
+      playerContext,
+      { polygons, greenDepth: 30 },
+      config
+    );
+
+    // Plan the rest of the hole from the far side of the corner
+    const followUpParams = {
+      startPosition: teeLanding,
+      green,
+      greenCenter,
+      pin,
+      polygons,
+      clubDistances,
+      handicap,
+      lieType: expectedLie,
+      weather,
+      holeBearing: calculateBearing(teeLanding, green),
+      totalDistance: distanceAfterTee,
+      playerContext,
+      config,
+    };
+    const followUps = (par === 4
+      ? buildPar3Sequences(followUpParams)
+      : buildPar4Sequences(followUpParams).filter(seq => seq.shots[0].clubId !== 'driver'))
+      .sort((a, b) => b.totalScore - a.totalScore)
+      .slice(0, MAX_CORNER_CUT_FOLLOW_UPS);
+
+    const formattedTeeShot = formatShotForOutput(teeShot, teeBreakdown, weather, holeBearing);
+    for (const followUp of followUps) {
+      sequences.push({
+        sequenceId: `${teeClub}-cut-${followUp.sequenceId}`,
+        shots: [
+          formattedTeeShot,
+          ...followUp.shots.map(shot => ({ ...shot, shotNumber: shot.shotNumber + 1 })),
+        ],
+        totalScore: teeScore + followUp.totalScore,
+        shotCount: followUp.shotCount + 1,
+        strategyType: 'aggressive',
+        summary: `${formatClubName(teeClub)} (cut the corner) → ${followUp.summary}`,
+      });
+    }
+  }
+
+  console.log(`[CornerCut] Total sequences generated: ${sequences.length}`);
+  return sequences;
+}
+
+// ============================================================================
+// SHOT SHAPE
+// ============================================================================
+
+/**
+ * The player's stock shape with a club, from measured stats when there are
+ * enough and the profile's miss pattern otherwise.
+ */
+function getShotShapeForClub(club, playerContext) {
+  const measuredStats = playerContext?._getMeasuredStats ? playerContext._getMeasuredStats(club) : null;
+  return getStockShape(club, playerContext?.missPattern, measuredStats);
+}
+
+/**
+ * Attach a shaped shot's curve to its shot option: the aim point that bends
+ * it onto the landing zone, and the hazards along the curved flight for the
+ * flight-path penalty. Straight shots are left as they were.
+ *
+ * @param {Object} shot - Shot option (modified in place)
+ * @param {Object} shape - getStockShape result for the shot's club
+ * @param {Array} polygons - Course polygons
+ * @param {Object} dogleg - chooseShapedLanding result, for tee shots and layups (optional)
+ * @returns {Object} The shot option
+ */
+function applyShotShape(shot, shape, polygons, dogleg = null) {
+  if (shape.shape === 'straight' || !shot.startPosition || !shot.landingZone) {
+    return shot;
+  }
+
+  shot.shotShape = {
+    shape: shape.shape,
+    curveYards: shape.curveYards,
+    source: shape.source,
+    aimPoint: calculateAimPoint(shot.startPosition, shot.landingZone, shape.curveYards),
+    doglegFit: dogleg?.fit || null,
+    doglegDirection: dogleg?.doglegDirection || null,
+    cutsCorner: dogleg?.cutsCorner || false,
+  };
+  shot.flightPathHazards = analyzeHazardsAlongFlightPath(
+    shot.startPosition,
+    shot.landingZone,
+    polygons,
+    shape.curveYards
+  );
+  return shot;
+}
+
 // ============================================================================
 // CLUB CONSTRAINT FUNCTIONS
 // ============================================================================
@@ -1103,6 +1457,7 @@ function formatShotForOutput(shot, breakdown, weather, holeBearing) {
   return {
     shotNumber: shot.shotNumber,
     club: formatClubName(shot.club),
+    clubId: shot.club,
     distance: rawDist,              // Actual GPS distance from start to landing
     effectiveDistance: effectiveDist,  // "Plays like" distance (same calc as tap marker)
     expectedDistance: rawDist,      // Same as distance for consistency
@@ -1116,6 +1471,10 @@ function formatShotForOutput(shot, breakdown, weather, holeBearing) {
     reasoning: generateReasoning(shot),
     nextShotDistance: shot.distanceRemaining,
     scoreBreakdown: breakdown,
+    // Stock draw/fade: aim point and curve for the map's aim line (null = straight)
+    shotShape: shot.shotShape || null,
+    // Carry across a dogleg corner and the chance of clearing it (null = safe route)
+    cornerCut: shot.cornerCut || null,
   };
 }
 
@@ -1153,6 +1512,11 @@ function generateTargetDescription(shot) {
     return 'Center of green - safe two-putt position';
   }
 
+  if (shot.cornerCut) {
+    const { carryYards, obstacles } = shot.cornerCut;
+    return `Cut the corner - carry ${carryYards} yards over the ${obstacles[0]?.name || 'corner'}`;
+  }
+
   const parts = [];
   const distance = Math.round(shot.distanceRemaining);
 
@@ -1235,6 +1599,20 @@ function generateReasoning(shot) {
     return 'Aim for center of green';
   }
 
+  if (shot.cornerCut) {
+    const percent = Math.round(shot.cornerCut.clearProbability * 100);
+    return `You clear the ${shot.cornerCut.carryYards} yd carry ${percent}% of the time - short is in the ${shot.cornerCut.obstacles[0]?.type || 'corner'}`;
+  }
+
+  // A stock shape that works with (or against) a dogleg says the most
+  const shape = shot.shotShape;
+  if (shape?.cutsCorner) {
+    return `Your ${shape.shape} turns with the dogleg - finish on the inside`;
+  }
+  if (shape?.doglegFit === 'against') {
+    return `Your ${shape.shape} runs away from the dogleg - start it at the corner`;
+  }
+
   // Check for distance-based hazard avoidance reasoning
   if (shot.hazardRanges && shot.hazardRanges.length > 0) {
     const dispersion = (shot.dispersionRadius || 15) * 0.8;
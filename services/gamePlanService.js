@@ -2,9 +2,10 @@
  * Game Plan Service
  *
  * Generates a pre-round game plan using real course data, player profile,
- * and round history. Target score uses the USGA formula:
+ * and round history. Target score uses the WHS course handicap:
  *
- *   Expected Score = Course Rating + (Handicap Index × Slope Rating / 113)
+ *   Course Handicap = Handicap Index × (Slope Rating / 113) + (Course Rating − Par)
+ *   Expected Score  = Par + Course Handicap
  *
  * 113 is the USGA "standard" slope — a course with slope 113 plays at
  * exactly your handicap. Higher slope = harder course = more strokes added.
@@ -16,6 +17,7 @@
 import { fetchCourseHoles } from './courseService';
 import { fetchCourseHistory } from './roundService';
 import { supabase } from '../config/supabase';
+import { parseHandicapIndex, calculateCourseHandicap } from '../utils/handicapUtils';
 
 // ============================================================================
 // TARGET SCORE
@@ -26,15 +28,16 @@ import { supabase } from '../config/supabase';
  * @param {number|string|null} handicap - Player handicap index (can be text like "15.2")
  * @param {number|null} courseRating - Course rating for the selected tee
  * @param {number|null} slopeRating - Slope rating for the selected tee
+ * @param {number|null} par - Par for the selected tee
  * @returns {number|null} Expected score, or null if data is missing
  */
-function calculateExpectedScore(handicap, courseRating, slopeRating) {
-  const hcap = parseFloat(handicap);
-  if (isNaN(hcap) || !courseRating || !slopeRating) return null;
+function calculateExpectedScore(handicap, courseRating, slopeRating, par) {
+  const index = parseHandicapIndex(handicap);
+  if (index === null || !courseRating || !slopeRating) return null;
 
-  // USGA Course Handicap formula
-  const courseHandicap = (hcap * slopeRating) / 113;
-  return Math.round(courseRating + courseHandicap);
+  const courseHandicap = calculateCourseHandicap(index, slopeRating, courseRating, par);
+  // Without par the rating term is dropped from the course handicap, so add the rating back
+  return par ? par + courseHandicap : Math.round(courseRating + courseHandicap);
 }
 
 /**
@@ -397,20 +400,21 @@ export async function generateGamePlan({ course, selectedTee, userId, userProfil
       }
     }
 
+    // Course par
+    const coursePar = selectedTee?.parTotal
+      || (holes.length > 0 ? holes.reduce((sum, h) => sum + (h.par || 0), 0) : null);
+
     // Target score
     const formulaScore = calculateExpectedScore(
       userProfile?.handicap,
       selectedTee?.rating,
-      selectedTee?.slope
+      selectedTee?.slope,
+      coursePar
     );
     const courseAvgScore = stats?.averageScore ?? null;
-    const roundCount = stats?.roundsPlayed ?? 0;
+    const roundCount = stats?.eighteenHoleRounds ?? 0;
     const targetScoreResult = blendTargetScore(formulaScore, courseAvgScore, roundCount);
 
-    // Course par
-    const coursePar = selectedTee?.parTotal
-      || (holes.length > 0 ? holes.reduce((sum, h) => sum + (h.par || 0), 0) : null);
-
     // Build game plan sections
     const birdieOpportunities = findBirdieOpportunities(holes, holeHistory);
     const dangerZones = findDangerZones(holes, holeHistory);
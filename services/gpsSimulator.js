@@ -5,7 +5,8 @@
  * a golf hole: tee → fairway → stop at ball → approach → green.
  * Feeds positions into the same callback as the real locationService.
  *
- * Only used in __DEV__ mode.
+ * Only used in __DEV__ mode. To reproduce a real round, record a trace
+ * (gpsTraceRecorder) and replay it with gpsTraceReplay instead.
  */
 
 let simulationTimer = null;
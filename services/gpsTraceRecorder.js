@@ -0,0 +1,201 @@
+/**
+ * GPS Trace Recorder
+ *
+ * Records the raw position stream from locationService during a round so
+ * shot detection failures can be reproduced later. A trace holds every
+ * reading (with accuracy and timestamp), the geometry of each hole as it
+ * was started, and — when recording stops — the shots the player logged,
+ * which serve as ground truth when the trace is replayed
+ * (see gpsTraceReplay).
+ *
+ * Traces are written as JSON to the app's document directory under
+ * gps-traces/. Copy one into __tests__/fixtures/gps-traces/ to add it to
+ * the shot detection regression suite.
+ *
+ * Trace format (version 1):
+ *   { version, recordedAt, courseId, courseName,
+ *     points: [{ latitude, longitude, altitude, accuracy, timestamp }],
+ *     holes: [{ holeNumber, startedAt, teeBox, green, par, polygons, transportMode }],
+ *     truth: [{ holeNumber, shotNumber, shotType, from, club }] }
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+
+export const TRACE_VERSION = 1;
+
+const TRACE_DIR = `${FileSystem.documentDirectory}gps-traces/`;
+
+// Write the trace to disk every N readings so a crash doesn't lose the round
+const FLUSH_EVERY = 200;
+
+let activeTrace = null;
+let activeUri = null;
+let pointsSinceFlush = 0;
+
+async function ensureTraceDir() {
+  const info = await FileSystem.getInfoAsync(TRACE_DIR);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(TRACE_DIR, { intermediates: true });
+  }
+}
+
+async function flushTrace() {
+  if (!activeTrace || !activeUri) return;
+  await FileSystem.writeAsStringAsync(activeUri, JSON.stringify(activeTrace));
+  pointsSinceFlush = 0;
+}
+
+/**
+ * Start recording a trace.
+ *
+ * @param {Object} meta - { courseId, courseName }
+ * @returns {Promise<{data: {uri: string}|null, error: string|null}>}
+ */
+export async function startTraceRecording({ courseId = null, courseName = null } = {}) {
+  try {
+    if (activeTrace) return { data: { uri: activeUri }, error: null };
+
+    await ensureTraceDir();
+    const recordedAt = new Date().toISOString();
+    activeUri = `${TRACE_DIR}trace-${recordedAt.replace(/[:.]/g, '-')}.json`;
+    activeTrace = {
+      version: TRACE_VERSION,
+      recordedAt,
+      courseId,
+      courseName,
+      points: [],
+      holes: [],
+      truth: [],
+    };
+    pointsSinceFlush = 0;
+    await flushTrace();
+
+    console.log('[GpsTrace] Recording to', activeUri);
+    return { data: { uri: activeUri }, error: null };
+  } catch (error) {
+    console.error('[GpsTrace] Error starting recording:', error);
+    activeTrace = null;
+    activeUri = null;
+    return { data: null, error: error.message };
+  }
+}
+
+/**
+ * Append a raw reading. No-op when not recording.
+ *
+ * @param {Object} position - { latitude, longitude, altitude, accuracy, timestamp }
+ */
+export function recordTracePoint(position) {
+  if (!activeTrace || !position) return;
+
+  activeTrace.points.push({
+    latitude: position.latitude,
+    longitude: position.longitude,
+    altitude: position.altitude ?? null,
+    accuracy: position.accuracy ?? null,
+    timestamp: position.timestamp || Date.now(),
+  });
+
+  pointsSinceFlush++;
+  if (pointsSinceFlush >= FLUSH_EVERY) {
+    flushTrace().catch(error => console.error('[GpsTrace] Error writing trace:', error));
+  }
+}
+
+/**
+ * Mark the start of a hole, with the geometry the detector was given.
+ * No-op when not recording.
+ *
+ * @param {number} holeNumber
+ * @param {Object} holeData - { teeBox, green, par, polygons, transportMode }
+ */
+export function recordTraceHole(holeNumber, { teeBox, green, par, polygons = [], transportMode = null }) {
+  if (!activeTrace) return;
+
+  activeTrace.holes.push({
+    holeNumber,
+    startedAt: Date.now(),
+    teeBox,
+    green,
+    par,
+    polygons,
+    transportMode,
+  });
+}
+
+/**
+ * Stop recording and write the finished trace.
+ *
+ * @param {Array} loggedShots - Cached shots for the round (ground truth)
+ * @returns {Promise<{data: {uri: string, points: number}|null, error: string|null}>}
+ */
+export async function stopTraceRecording(loggedShots = []) {
+  if (!activeTrace) return { data: null, error: 'Not recording' };
+
+  try {
+    activeTrace.truth = loggedShots
+      .filter(s => s.from)
+      .map(s => ({
+        holeNumber: s.holeNumber,
+        shotNumber: s.shotNumber,
+        shotType: s.shotType || 'full',
+        from: { latitude: s.from.latitude, longitude: s.from.longitude },
+        club: s.club || null,
+      }));
+    await flushTrace();
+
+    const result = { uri: activeUri, points: activeTrace.points.length };
+    console.log('[GpsTrace] Saved', result.points, 'readings to', activeUri);
+    return { data: result, error: null };
+  } catch (error) {
+    console.error('[GpsTrace] Error saving trace:', error);
+    return { data: null, error: error.message };
+  } finally {
+    activeTrace = null;
+    activeUri = null;
+  }
+}
+
+/**
+ * Whether a trace is being recorded.
+ */
+export function isRecordingTrace() {
+  return activeTrace !== null;
+}
+
+/**
+ * List saved traces, newest first.
+ *
+ * @returns {Promise<{data: Array<{name, uri}>|null, error: string|null}>}
+ */
+export async function listTraces() {
+  try {
+    await ensureTraceDir();
+    const names = await FileSystem.readDirectoryAsync(TRACE_DIR);
+    const traces = names
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(name => ({ name, uri: `${TRACE_DIR}${name}` }));
+    return { data: traces, error: null };
+  } catch (error) {
+    console.error('[GpsTrace] Error listing traces:', error);
+    return { data: null, error: error.message };
+  }
+}
+
+/**
+ * Read a saved trace.
+ *
+ * @param {string} uri
+ * @returns {Promise<{data: Object|null, error: string|null}>}
+ */
+export async function loadTrace(uri) {
+  try {
+    const json = await FileSystem.readAsStringAsync(uri);
+    return { data: JSON.parse(json), error: null };
+  } catch (error) {
+    console.error('[GpsTrace] Error loading trace:', error);
+    return { data: null, error: error.message };
+  }
+}
@@ -0,0 +1,349 @@
+/**
+ * GPS Trace Replay
+ *
+ * Plays recorded GPS traces (see gpsTraceRecorder) back through the shot
+ * detector. Two modes:
+ *   - replayTraceHole / replayTrace: synchronous, for Jest. Each hole's
+ *     readings are fed to a fresh createShotDetector running on the
+ *     recorded clock, and the detected shots are compared with the shots
+ *     the player logged.
+ *   - startTraceReplay: timer driven, for the dev-mode replay in
+ *     HoleViewSatellite. Feeds the same callback as locationService at an
+ *     accelerated speed; pass getReplayTime as the detector's clock.
+ *
+ * Tracks imported from a GPS watch are split into holes and replayed the
+ * same way to reconstruct shot locations (reconstructShotsFromTrack).
+ *
+ * No React Native dependencies, so it runs under Node.
+ */
+
+import { calculateDistance } from '../utils/geoUtils';
+import { createShotDetector } from './shotDetectionService';
+
+// A detected shot within this many yards of a logged one counts as a match
+export const MATCH_TOLERANCE_YARDS = 20;
+
+export const DEFAULT_REPLAY_SPEED = 10;
+
+// ============================================================================
+// TRACE SEGMENTS
+// ============================================================================
+
+/**
+ * Readings for one hole: from the hole's start to the next hole's start.
+ *
+ * @param {Object} trace - Recorded trace
+ * @param {number} holeNumber
+ * @returns {Object|null} { hole, points, truth } or null if the hole wasn't recorded
+ */
+export function getTraceHole(trace, holeNumber) {
+  const holes = [...(trace?.holes || [])].sort((a, b) => a.startedAt - b.startedAt);
+  const index = holes.findIndex(h => h.holeNumber === holeNumber);
+  if (index < 0) return null;
+
+  const hole = holes[index];
+  const endsAt = holes[index + 1]?.startedAt ?? Infinity;
+  const points = (trace.points || []).filter(p => p.timestamp >= hole.startedAt && p.timestamp < endsAt);
+  const truth = (trace.truth || [])
+    .filter(s => s.holeNumber === holeNumber && s.shotType !== 'putt')
+    .sort((a, b) => a.shotNumber - b.shotNumber);
+
+  return { hole, points, truth };
+}
+
+// ============================================================================
+// GROUND TRUTH
+// ============================================================================
+
+/**
+ * Match detected shots to logged shots by position, in shot order.
+ *
+ * @param {Array} detected - Detector shots ({ shotNumber, position })
+ * @param {Array} truth - Logged shots ({ shotNumber, from })
+ * @param {number} toleranceYards
+ * @returns {Object} { matched: [{ truth, detected, errorYards }], missed, extra, recall, precision }
+ */
+export function compareWithGroundTruth(detected, truth, toleranceYards = MATCH_TOLERANCE_YARDS) {
+  const unmatched = [...detected];
+  const matched = [];
+  const missed = [];
+
+  for (const logged of truth) {
+    let bestIndex = -1;
+    let bestDistance = Infinity;
+    unmatched.forEach((shot, i) => {
+      const distance = calculateDistance(shot.position, logged.from);
+      if (distance <= toleranceYards && distance < bestDistance) {
+        bestIndex = i;
+        bestDistance = distance;
+      }
+    });
+
+    if (bestIndex >= 0) {
+      matched.push({ truth: logged, detected: unmatched[bestIndex], errorYards: bestDistance });
+      unmatched.splice(bestIndex, 1);
+    } else {
+      missed.push(logged);
+    }
+  }
+
+  return {
+    matched,
+    missed,
+    extra: unmatched,
+    recall: truth.length ? matched.length / truth.length : 1,
+    precision: detected.length ? matched.length / detected.length : 1,
+  };
+}
+
+// ============================================================================
+// SYNCHRONOUS REPLAY
+// ============================================================================
+
+/**
+ * Replay one hole of a trace through a fresh detector.
+ *
+ * @param {Object} trace - Recorded trace
+ * @param {number} holeNumber
+ * @param {Object} options - { toleranceYards, filter (detector position filter, e.g. 'median'),
+ *   transportMode (defaults to the mode recorded with the hole) }
+ * @returns {Object|null} { holeNumber, detected, states, finalState, ...comparison }
+ */
+export function replayTraceHole(trace, holeNumber, {
+  toleranceYards = MATCH_TOLERANCE_YARDS,
+  filter,
+  transportMode,
+} = {}) {
+  const segment = getTraceHole(trace, holeNumber);
+  if (!segment) return null;
+
+  const { hole, points, truth } = segment;
+  let clock = hole.startedAt;
+  const detected = [];
+  const states = [];
+
+  const detector = createShotDetector(
+    { teeBox: hole.teeBox, green: hole.green, par: hole.par },
+    hole.polygons || [],
+    shot => detected.push(shot),
+    state => states.push(state),
+    { now: () => clock, filter, transportMode: transportMode || hole.transportMode }
+  );
+
+  detector.startHole();
+  for (const point of points) {
+    clock = point.timestamp;
+    detector.processPosition(point);
+  }
+
+  const finalState = detector.getCurrentState();
+  detector.destroy();
+
+  return {
+    holeNumber,
+    detected,
+    states,
+    finalState,
+    ...compareWithGroundTruth(detected, truth, toleranceYards),
+  };
+}
+
+/**
+ * Replay every recorded hole of a trace.
+ *
+ * @param {Object} trace - Recorded trace
+ * @param {Object} options - { toleranceYards, filter, transportMode }
+ * @returns {Object} { holes: [hole result], totals: { logged, detected, matched, missed, extra, recall, precision } }
+ */
+export function replayTrace(trace, options = {}) {
+  const holeNumbers = [...new Set((trace?.holes || []).map(h => h.holeNumber))];
+  const holes = holeNumbers
+    .map(n => replayTraceHole(trace, n, options))
+    .filter(Boolean);
+
+  const sum = key => holes.reduce((total, h) => total + h[key].length, 0);
+  const logged = holes.reduce((total, h) => total + h.matched.length + h.missed.length, 0);
+  const detected = sum('detected');
+  const matched = sum('matched');
+
+  return {
+    holes,
+    totals: {
+      logged,
+      detected,
+      matched,
+      missed: sum('missed'),
+      extra: sum('extra'),
+      recall: logged ? matched / logged : 1,
+      precision: detected ? matched / detected : 1,
+    },
+  };
+}
+
+/**
+ * One line per hole, e.g. "Hole 4: logged 4, detected 3, matched 3 (avg 6 yds), missed #2".
+ */
+export function formatReplayReport(result) {
+  const lines = result.holes.map((h) => {
+    const avgError = h.matched.length
+      ? Math.round(h.matched.reduce((total, m) => total + m.errorYards, 0) / h.matched.length)
+      : null;
+    const parts = [
+      `logged ${h.matched.length + h.missed.length}`,
+      `detected ${h.detected.length}`,
+      `matched ${h.matched.length}${avgError != null ? ` (avg ${avgError} yds)` : ''}`,
+    ];
+    if (h.missed.length) parts.push(`missed ${h.missed.map(s => `#${s.shotNumber}`).join(', ')}`);
+    if (h.extra.length) parts.push(`extra ${h.extra.length}`);
+    return `Hole ${h.holeNumber}: ${parts.join(', ')}`;
+  });
+
+  const { totals } = result;
+  lines.push(`Total: recall ${Math.round(totals.recall * 100)}%, precision ${Math.round(totals.precision * 100)}%`);
+  return lines.join('\n');
+}
+
+// ============================================================================
+// WATCH TRACKS
+// ============================================================================
+
+// A track comes within this many yards of a tee when the hole is played
+const TEE_VISIT_YARDS = 40;
+
+/**
+ * Split a continuous round track into holes: each hole starts at the
+ * track's closest approach to its tee, searching forward from the
+ * previous hole's start. Holes the track never visits are left out.
+ *
+ * @param {Array} points - Track points with timestamps, in time order
+ * @param {Object} holes - Hole geometry keyed by hole number ({ teeBox, green, par, polygons })
+ * @returns {Object} Trace ({ points, holes, truth: [] }) for replayTraceHole
+ */
+export function buildTraceFromTrack(points, holes) {
+  const sorted = (points || []).filter(p => p.timestamp != null).sort((a, b) => a.timestamp - b.timestamp);
+  const traceHoles = [];
+  let cursor = 0;
+
+  Object.keys(holes || {})
+    .map(Number)
+    .sort((a, b) => a - b)
+    .forEach((holeNumber) => {
+      const hole = holes[holeNumber];
+      if (!hole?.teeBox?.latitude) return;
+
+      const arrival = sorted.findIndex((p, i) => i >= cursor && calculateDistance(p, hole.teeBox) <= TEE_VISIT_YARDS);
+      if (arrival < 0) return;
+
+      let closest = arrival;
+      for (let i = arrival; i < sorted.length; i++) {
+        const distance = calculateDistance(sorted[i], hole.teeBox);
+        if (distance > TEE_VISIT_YARDS) break;
+        if (distance < calculateDistance(sorted[closest], hole.teeBox)) closest = i;
+      }
+
+      traceHoles.push({
+        holeNumber,
+        startedAt: sorted[closest].timestamp,
+        teeBox: hole.teeBox,
+        green: hole.green,
+        par: hole.par,
+        polygons: hole.polygons || [],
+      });
+      cursor = closest + 1;
+    });
+
+  return { points: sorted, holes: traceHoles, truth: [] };
+}
+
+/**
+ * Reconstruct shot locations from a watch track by running each hole
+ * through the shot detector.
+ *
+ * @param {Array} points - Track points
+ * @param {Object} holes - Hole geometry keyed by hole number
+ * @returns {Array} Detected shots [{ holeNumber, shotNumber, position, lieType, timestamp }]
+ */
+export function reconstructShotsFromTrack(points, holes) {
+  const trace = buildTraceFromTrack(points, holes);
+  return trace.holes.flatMap((hole) => {
+    const result = replayTraceHole(trace, hole.holeNumber);
+    return (result?.detected || []).map(shot => ({
+      holeNumber: hole.holeNumber,
+      shotNumber: shot.shotNumber,
+      position: shot.position,
+      lieType: shot.lieType,
+      timestamp: shot.timestamp,
+    }));
+  });
+}
+
+// ============================================================================
+// TIMED REPLAY (dev mode)
+// ============================================================================
+
+let replayTimer = null;
+let replayTime = null;
+
+/**
+ * Feed one hole of a trace to a location callback at an accelerated speed.
+ *
+ * @param {Object} trace - Recorded trace
+ * @param {number} holeNumber
+ * @param {function} onLocationUpdate - Same callback as locationService
+ * @param {Object} options - { speed, onComplete }
+ * @returns {boolean} true if the hole was found in the trace
+ */
+export function startTraceReplay(trace, holeNumber, onLocationUpdate, { speed = DEFAULT_REPLAY_SPEED, onComplete = null } = {}) {
+  stopTraceReplay();
+
+  const segment = getTraceHole(trace, holeNumber);
+  if (!segment || segment.points.length === 0) return false;
+
+  const { points } = segment;
+  let index = 0;
+  replayTime = segment.hole.startedAt;
+
+  function tick() {
+    const point = points[index];
+    replayTime = point.timestamp;
+    onLocationUpdate({ ...point });
+    index++;
+
+    if (index >= points.length) {
+      replayTimer = null;
+      if (onComplete) onComplete();
+      return;
+    }
+    const delay = Math.max(0, (points[index].timestamp - point.timestamp) / speed);
+    replayTimer = setTimeout(tick, delay);
+  }
+
+  replayTimer = setTimeout(tick, 0);
+  return true;
+}
+
+/**
+ * Stop the timed replay.
+ */
+export function stopTraceReplay() {
+  if (replayTimer) {
+    clearTimeout(replayTimer);
+    replayTimer = null;
+  }
+  replayTime = null;
+}
+
+/**
+ * Recorded time of the reading being replayed (ms). Falls back to the
+ * wall clock when nothing is replaying.
+ */
+export function getReplayTime() {
+  return replayTime ?? Date.now();
+}
+
+/**
+ * Check if a timed replay is running.
+ */
+export function isReplaying() {
+  return replayTimer !== null;
+}
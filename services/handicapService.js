@@ -12,15 +12,47 @@ import { supabase } from '../config/supabase';
 import { calculateHandicap } from '../utils/handicapUtils';
 import { fetchRoundHistory } from './roundService';
 
+/**
+ * Rounds fetched for the WHS progression. More than the 20-score record
+ * so the 365-day Low Handicap Index and per-round net double bogey
+ * adjustments can be reconstructed.
+ */
+const WHS_ROUND_LIMIT = 100;
+
+/**
+ * Attach hole-by-hole scores to rounds for net double bogey adjustment.
+ * Rounds without hole rows fall back to their total score.
+ */
+async function attachRoundHoles(rounds) {
+  const roundIds = rounds.map(r => r.id);
+  const { data: holes, error } = await supabase
+    .from('round_holes')
+    .select('round_id, hole_number, score, par, handicap_index')
+    .in('round_id', roundIds);
+
+  if (error) {
+    console.warn('[HandicapService] Error fetching round holes, using unadjusted scores:', error.message);
+    return rounds;
+  }
+
+  const holesByRound = {};
+  (holes || []).forEach((h) => {
+    if (!holesByRound[h.round_id]) holesByRound[h.round_id] = [];
+    holesByRound[h.round_id].push(h);
+  });
+
+  return rounds.map(r => ({ ...r, holes: holesByRound[r.id] || [] }));
+}
+
 /**
  * Recalculate and persist the user's handicap.
  *
  * Flow:
- *   1. Fetch up to 20 most recent completed rounds
- *   2. Calculate handicap from qualifying rounds
+ *   1. Fetch recent completed rounds with their hole scores
+ *   2. Run the WHS progression (net double bogey, ESR, caps)
  *   3. If 3+ qualifying rounds exist:
  *      a. Write calculated handicap to profiles.handicap
- *      b. Insert a row into handicap_history
+ *      b. Insert a row into handicap_history with the intermediate values
  *   4. Return the result for optional UI use
  *
  * @param {string} userId - The user's auth ID
@@ -28,7 +60,7 @@ import { fetchRoundHistory } from './roundService';
  */
 export async function recalculateHandicap(userId) {
   try {
-    const { data: rounds, error: fetchError } = await fetchRoundHistory(userId, 20);
+    const { data: rounds, error: fetchError } = await fetchRoundHistory(userId, WHS_ROUND_LIMIT);
 
     if (fetchError) {
       console.error('[HandicapService] Error fetching rounds:', fetchError);
@@ -39,7 +71,9 @@ export async function recalculateHandicap(userId) {
       return { data: { handicap: null, roundCount: 0, method: 'none' }, error: null };
     }
 
-    const { handicap, roundCount, differentialAvg } = calculateHandicap(rounds);
+    const roundsWithHoles = await attachRoundHoles(rounds);
+    const result = calculateHandicap(roundsWithHoles);
+    const { handicap, roundCount, differentialAvg } = result;
 
     if (handicap === null) {
       console.log(`[HandicapService] Only ${roundCount} qualifying rounds, need 3+. Keeping existing handicap.`);
@@ -63,9 +97,17 @@ export async function recalculateHandicap(userId) {
       .insert({
         user_id: userId,
         handicap_value: handicap,
-        method: 'calculated',
+        method: 'whs',
         round_count: roundCount,
         differential_avg: differentialAvg,
+        differentials_used: result.differentialsUsed,
+        differential_adjustment: result.adjustment,
+        uncapped_index: result.uncappedIndex,
+        low_index: result.lowIndex,
+        soft_cap_applied: result.softCapApplied,
+        hard_cap_applied: result.hardCapApplied,
+        exceptional_reduction: result.exceptionalReduction,
+        scoring_record: result.scoringRecord,
         calculated_at: new Date().toISOString(),
       });
 
@@ -77,7 +119,7 @@ export async function recalculateHandicap(userId) {
     console.log(`[HandicapService] Handicap updated: ${handicap} (from ${roundCount} rounds)`);
 
     return {
-      data: { handicap, roundCount, method: 'calculated' },
+      data: { handicap, roundCount, method: 'whs' },
       error: null,
     };
   } catch (err) {
@@ -96,7 +138,7 @@ export async function recalculateHandicap(userId) {
 export async function fetchHandicapHistory(userId, limit = 50) {
   const { data, error } = await supabase
     .from('handicap_history')
-    .select('handicap_value, method, round_count, calculated_at')
+    .select('handicap_value, method, round_count, low_index, soft_cap_applied, hard_cap_applied, exceptional_reduction, calculated_at')
     .eq('user_id', userId)
     .order('calculated_at', { ascending: false })
     .limit(limit);
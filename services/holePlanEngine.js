@@ -34,6 +34,8 @@ import {
 } from './strategyScorer';
 import { generateForwardSequences, computePlayingLikeDistance } from './forwardSequenceGenerator';
 import { DEFAULT_SCORING_CONFIG } from './scoringConfig';
+import { applyPinToHoleData } from './pinPositionCalculator';
+import { analyzeDoglegCorner } from './carryLineCalculator';
 
 /**
  * Apply player insights to club distances and get enhanced dispersion.
@@ -97,6 +99,7 @@ const USE_FORWARD_PLANNING = true;
  *   @param {Object} holeData.green - Green center GPS { latitude, longitude }
  *   @param {Object} holeData.greenFront - Green front GPS (optional)
  *   @param {Object} holeData.greenBack - Green back GPS (optional)
+ *   @param {Object} holeData.pin - Today's pin { latitude, longitude } (optional, planned to instead of the center)
  *   @param {Array} holeData.polygons - Course polygons (hazards, fairway, etc.)
  *
  * @param {Object} playerContext - Player information
@@ -118,7 +121,9 @@ const USE_FORWARD_PLANNING = true;
  *   @param {Array} playerInsights.tendencies - Detected tendencies
  *   @param {Object} playerInsights.dataQuality - Data quality info { dataLevel, totalShots, totalRounds }
  */
-export function computeHolePlan(holeData, playerContext, weather = {}, config = null, playerInsights = null) {
+export function computeHolePlan(rawHoleData, playerContext, weather = {}, config = null, playerInsights = null) {
+  // Plan to today's pin when one is set
+  const holeData = applyPinToHoleData(rawHoleData);
   const { par, teeBox, green, polygons } = holeData;
   const { position, clubDistances, handicap = 15, lieType = 'fairway' } = playerContext;
 
@@ -178,6 +183,7 @@ function computeHolePlanForward(holeData, playerContext, weather = {}, config =
   // Get top 3 sequences (already sorted by score)
   const topSequences = sequences.slice(0, 3);
   const bestSequence = topSequences[0];
+  const cornerCutSequence = sequences.find(seq => seq.shots[0]?.cornerCut) || null;
 
   // Log top sequences for debugging
   console.log(`[HolePlan] ========== PLAN RESULTS ==========`);
@@ -214,7 +220,10 @@ function computeHolePlanForward(holeData, playerContext, weather = {}, config =
       shotCount: bestSequence.shotCount,
       strategyScore: bestSequence.totalScore,
       successProbability: Math.round(successProbability * 100) / 100,
+      aggressionLevel: scoringConfig.playerProfile?.aggressionLevel ?? 0.5,
     },
+    // Score the risk profile added to (or took from) the chosen line
+    riskAdjustment: bestSequence.riskAdjustment || null,
     // NEW: Include alternative sequences for UI
     alternativeSequences: topSequences.slice(1).map(seq => ({
       shots: seq.shots,
@@ -222,6 +231,52 @@ function computeHolePlanForward(holeData, playerContext, weather = {}, config =
       summary: seq.summary,
       strategyType: seq.strategyType,
     })),
+    // Best line across a dogleg corner, even when it didn't make the top three
+    cornerCutOption: cornerCutSequence ? {
+      shots: cornerCutSequence.shots,
+      score: cornerCutSequence.totalScore,
+      summary: cornerCutSequence.summary,
+      strategyType: cornerCutSequence.strategyType,
+      isBest: cornerCutSequence === bestSequence,
+    } : null,
+    // Carry to each edge of the corner, for the map
+    carryLines: getCarryLines(holeData, position, sequences, clubDistances),
+  };
+}
+
+/**
+ * Carry lines across the dogleg corner from the tee, cast from the best safe
+ * route's tee landing. Null off the tee, on par 3s and on straight holes.
+ */
+function getCarryLines(holeData, position, sequences, clubDistances) {
+  const { par, teeBox, green, polygons } = holeData;
+  const isFromTee = !position || (teeBox && calculateDistance(position, teeBox) < 10);
+  if (par < 4 || !isFromTee) {
+    return null;
+  }
+  const startPosition = position || teeBox;
+
+  const safeSequence = sequences.find(seq => !seq.shots[0]?.cornerCut);
+  if (!safeSequence) {
+    return null;
+  }
+
+  const maxDistance = Math.max(...Object.values(clubDistances || {}), 0) + 40;
+  const corner = analyzeDoglegCorner(startPosition, safeSequence.shots[0].landingZone, green, polygons, maxDistance);
+  const lines = (corner?.lines || []).filter(line => line.carryYards > 0);
+  if (lines.length === 0) {
+    return null;
+  }
+
+  return {
+    start: startPosition,
+    direction: corner.direction,
+    lines: lines.map(line => ({
+      angle: line.angle,
+      carryYards: line.carryYards,
+      edge: line.edge,
+      obstacles: line.obstacles.map(o => o.type),
+    })),
   };
 }
 
@@ -920,6 +975,7 @@ function createErrorPlan(errorMessage) {
 // ============================================================================
 
 export {
+  applyPlayerInsights,
   buildShotSequence,
   calculateShotAdjustments,
   formatClubName,
@@ -646,6 +646,169 @@ function isInFairwayLocal(position, polygons) {
   return false;
 }
 
+// ============================================================================
+// SHOT SHAPE (CURVED FLIGHT)
+// ============================================================================
+
+// A hole bending less than this off the shot line isn't treated as a dogleg
+export const DOGLEG_MIN_BEND_DEGREES = 10;
+// Furthest a shaped tee shot is moved toward the inside of a dogleg
+const MAX_SHAPE_CUT_YARDS = 15;
+// Straight and curved flights look for the same hazards in the same corridor,
+// so a draw or fade is never scored by different rules than a straight ball
+const SHOT_LINE_HAZARD_TYPES = ['bunker', 'water', 'ob', 'penalty', 'waste_area'];
+const SHOT_LINE_CORRIDOR_YARDS = 40;
+
+/**
+ * Where to aim so a curving shot finishes on its landing spot.
+ *
+ * @param {Object} startPosition - Shot origin { latitude, longitude }
+ * @param {Object} landing - Where the ball should finish { latitude, longitude }
+ * @param {number} curveYards - Sideways movement over the carry (positive = curves right)
+ * @returns {Object} Aim point { latitude, longitude }
+ */
+export function calculateAimPoint(startPosition, landing, curveYards = 0) {
+  if (!curveYards || !startPosition || !landing) {
+    return landing;
+  }
+  const bearing = calculateBearing(startPosition, landing);
+  return offsetPositionLaterally(landing, -curveYards, bearing);
+}
+
+/**
+ * Points along a curving flight from start to landing. The ball leaves on
+ * the aim line and bends steadily onto the landing spot, so the flight
+ * bows out to the aim side of the straight line by a quarter of the curve.
+ *
+ * @param {Object} startPosition - Shot origin { latitude, longitude }
+ * @param {Object} landing - Where the ball finishes { latitude, longitude }
+ * @param {number} curveYards - Sideways movement over the carry (positive = curves right)
+ * @param {number} segments - Number of segments in the path (default 10)
+ * @returns {Array<Object>} Path [{ latitude, longitude }], start and landing included
+ */
+export function projectFlightPath(startPosition, landing, curveYards = 0, segments = 10) {
+  if (!startPosition || !landing) {
+    return [];
+  }
+
+  const distance = calculateDistance(startPosition, landing);
+  const bearing = calculateBearing(startPosition, landing);
+  const path = [startPosition];
+
+  for (let i = 1; i < segments; i++) {
+    const t = i / segments;
+    const alongLine = projectPoint(startPosition, distance * t, bearing);
+    const offset = -curveYards * t * (1 - t);
+    path.push(offset ? offsetPositionLaterally(alongLine, offset, bearing) : alongLine);
+  }
+
+  path.push(landing);
+  return path;
+}
+
+/**
+ * Hazards the ball flies over on its way to the landing zone, following the
+ * curved flight rather than the straight line to the green. Same hazard
+ * types, corridor and range format as analyzeHazardsAlongShotLine, so
+ * calculateFlightPathPenalty treats shaped and straight shots alike.
+ *
+ * @param {Object} startPosition - Shot origin { latitude, longitude }
+ * @param {Object} landing - Landing zone { latitude, longitude }
+ * @param {Array} polygons - Course polygons
+ * @param {number} curveYards - Sideways movement over the carry (positive = curves right)
+ * @param {number} corridorWidth - Half-width of the flight corridor in yards (default 40)
+ * @returns {Array} Sorted ranges [{ type, name, frontDistance, backDistance, isPenalty, severity }]
+ */
+export function analyzeHazardsAlongFlightPath(startPosition, landing, polygons, curveYards = 0, corridorWidth = SHOT_LINE_CORRIDOR_YARDS) {
+  if (!startPosition || !landing || !polygons || polygons.length === 0) {
+    return [];
+  }
+
+  const path = projectFlightPath(startPosition, landing, curveYards);
+  const hazards = polygons.filter(p => SHOT_LINE_HAZARD_TYPES.includes(p.type));
+  const hazardRanges = [];
+
+  for (const hazard of hazards) {
+    if (!hazard.coordinates || hazard.coordinates.length < 3) {
+      continue;
+    }
+
+    // Hazard edges close to the flight...
+    const distances = [];
+    for (const vertex of hazard.coordinates) {
+      let lateral = Infinity;
+      for (let i = 0; i < path.length - 1; i++) {
+        lateral = Math.min(lateral, distanceToLineSegment(vertex, path[i], path[i + 1]));
+      }
+      if (lateral <= corridorWidth) {
+        distances.push(calculateDistance(startPosition, vertex));
+      }
+    }
+    // ...and hazards the flight passes straight through
+    for (const point of path.slice(1, -1)) {
+      if (isPointInPolygon(point, hazard)) {
+        distances.push(calculateDistance(startPosition, point));
+      }
+    }
+
+    if (distances.length === 0) {
+      continue;
+    }
+
+    hazardRanges.push({
+      type: hazard.type,
+      name: hazard.label || hazard.name || hazard.type,
+      frontDistance: Math.round(Math.min(...distances)),
+      backDistance: Math.round(Math.max(...distances)),
+      isPenalty: ['water', 'ob', 'penalty'].includes(hazard.type),
+      severity: HAZARD_SEVERITY[hazard.type] || 10,
+    });
+  }
+
+  return hazardRanges.sort((a, b) => a.frontDistance - b.frontDistance);
+}
+
+/**
+ * Decide whether a shaped tee shot should work around a dogleg. When the
+ * player's curve turns the same way as the hole, the landing moves toward
+ * the inside of the fairway (shortening the next shot) as long as it stays
+ * in the fairway and doesn't bring in more hazards. When the curve fights
+ * the dogleg, the landing stays where it was.
+ *
+ * @param {Object} startPosition - Tee position { latitude, longitude }
+ * @param {Object} landing - Planned landing zone { latitude, longitude }
+ * @param {Object} green - Green (or pin) position { latitude, longitude }
+ * @param {Array} polygons - Course polygons
+ * @param {number} curveYards - Sideways movement over the carry (positive = curves right)
+ * @param {number} dispersionRadius - Player's dispersion radius for the club
+ * @returns {Object} { landing, fit: 'with'|'against'|'neutral', doglegDirection, cutsCorner }
+ */
+export function chooseShapedLanding(startPosition, landing, green, polygons, curveYards, dispersionRadius = 15) {
+  const shotBearing = calculateBearing(startPosition, landing);
+  // Positive = the hole turns right after the landing zone
+  const bend = ((calculateBearing(landing, green) - shotBearing + 540) % 360) - 180;
+
+  if (Math.abs(bend) < DOGLEG_MIN_BEND_DEGREES || !curveYards) {
+    return { landing, fit: 'neutral', doglegDirection: null, cutsCorner: false };
+  }
+
+  const doglegDirection = bend > 0 ? 'right' : 'left';
+  if (Math.sign(bend) !== Math.sign(curveYards)) {
+    return { landing, fit: 'against', doglegDirection, cutsCorner: false };
+  }
+
+  const shift = Math.sign(bend) * Math.min(Math.abs(curveYards), MAX_SHAPE_CUT_YARDS);
+  const inside = offsetPositionLaterally(landing, shift, shotBearing);
+  const currentConflicts = checkHazardConflicts(landing, polygons, dispersionRadius).conflicts.length;
+  const insideConflicts = checkHazardConflicts(inside, polygons, dispersionRadius).conflicts.length;
+
+  if (!isInFairwayLocal(inside, polygons) || insideConflicts > currentConflicts) {
+    return { landing, fit: 'with', doglegDirection, cutsCorner: false };
+  }
+
+  return { landing: inside, fit: 'with', doglegDirection, cutsCorner: true };
+}
+
 // ============================================================================
 // GREEN APPROACH TARGETING
 // ============================================================================
@@ -657,27 +820,37 @@ function isInFairwayLocal(position, polygons) {
  * and away from hazards in the flight path. Penalty hazards (water/OB) cause
  * a stronger bias than non-penalty hazards (bunkers).
  *
+ * With a pin set, the target starts at the flag and hazards are measured
+ * from it. A bias toward the middle of the green stops at the green
+ * center, so a tucked pin is played toward the fat side without aiming
+ * past the middle.
+ *
  * @param {Object} green - Green center { latitude, longitude }
  * @param {Object} startPosition - Where the approach is hit from { latitude, longitude }
  * @param {Array} polygons - Course polygons
  * @param {number} dispersionRadius - Player's dispersion radius for the approach club
+ * @param {Object} pin - Today's pin { latitude, longitude } (optional)
  * @returns {Object} Biased green target { latitude, longitude, elevation }
  */
-export function calculateSafeGreenTarget(green, startPosition, polygons, dispersionRadius) {
-  if (!green || !startPosition || !polygons || polygons.length === 0) {
-    return green;
+export function calculateSafeGreenTarget(green, startPosition, polygons, dispersionRadius, pin = null) {
+  const aim = green && pin
+    ? { latitude: pin.latitude, longitude: pin.longitude, elevation: green.elevation }
+    : green;
+
+  if (!aim || !startPosition || !polygons || polygons.length === 0) {
+    return aim;
   }
 
   const hazardTypes = ['water', 'ob', 'bunker', 'penalty', 'waste_area', 'trees'];
   const hazards = polygons.filter(p => hazardTypes.includes(p.type));
 
   if (hazards.length === 0) {
-    return green;
+    return aim;
   }
 
-  const shotBearing = calculateBearing(startPosition, green);
+  const shotBearing = calculateBearing(startPosition, aim);
 
-  // Consider hazards within 30 yards of green center (greenside hazards)
+  // Consider hazards within 30 yards of the target (greenside hazards)
   const greenInfluenceRadius = 30;
 
   let lateralBiasYards = 0; // positive = push right, negative = push left
@@ -688,7 +861,7 @@ export function calculateSafeGreenTarget(green, startPosition, polygons, dispers
       continue;
     }
 
-    const distToHazard = findMinDistanceToPolygon(green, hazard);
+    const distToHazard = findMinDistanceToPolygon(aim, hazard);
 
     // Only consider hazards close to the green
     if (distToHazard > greenInfluenceRadius) {
@@ -706,7 +879,7 @@ export function calculateSafeGreenTarget(green, startPosition, polygons, dispers
     const proximityFactor = 1 - (distToHazard / greenInfluenceRadius);
 
     // Determine hazard position relative to green from approach direction
-    const hazardBearing = calculateBearing(green, centroid);
+    const hazardBearing = calculateBearing(aim, centroid);
 
     // Lateral component (left/right of shot line)
     const lateralDiff = ((hazardBearing - shotBearing + 180 + 360) % 360) - 180;
@@ -737,12 +910,26 @@ export function calculateSafeGreenTarget(green, startPosition, polygons, dispers
   lateralBiasYards = Math.max(-10, Math.min(10, lateralBiasYards));
   depthBiasYards = Math.max(-8, Math.min(8, depthBiasYards));
 
+  // Toward-center bias stops at the green center
+  if (pin) {
+    const pinOffset = calculateDistance(green, aim);
+    const pinAngle = (calculateBearing(green, aim) - shotBearing) * Math.PI / 180;
+    const pinLateral = pinOffset * Math.sin(pinAngle); // positive = pin right of center
+    const pinDepth = pinOffset * Math.cos(pinAngle);   // positive = pin behind center
+    if (Math.sign(lateralBiasYards) === -Math.sign(pinLateral)) {
+      lateralBiasYards = Math.sign(lateralBiasYards) * Math.min(Math.abs(lateralBiasYards), Math.abs(pinLateral));
+    }
+    if (Math.sign(depthBiasYards) === -Math.sign(pinDepth)) {
+      depthBiasYards = Math.sign(depthBiasYards) * Math.min(Math.abs(depthBiasYards), Math.abs(pinDepth));
+    }
+  }
+
   if (Math.abs(lateralBiasYards) < 2 && Math.abs(depthBiasYards) < 2) {
-    return green; // Bias too small to matter
+    return aim; // Bias too small to matter
   }
 
   // Apply lateral offset
-  let biasedGreen = green;
+  let biasedGreen = aim;
   if (Math.abs(lateralBiasYards) >= 2) {
     biasedGreen = offsetPositionLaterally(biasedGreen, lateralBiasYards, shotBearing);
   }
@@ -776,14 +963,13 @@ export function calculateSafeGreenTarget(green, startPosition, polygons, dispers
  * @returns {Array} Sorted array of hazard distance ranges:
  *   [{ type, name, frontDistance, backDistance, isPenalty, severity }]
  */
-export function analyzeHazardsAlongShotLine(startPosition, green, polygons, corridorWidth = 40) {
+export function analyzeHazardsAlongShotLine(startPosition, green, polygons, corridorWidth = SHOT_LINE_CORRIDOR_YARDS) {
   if (!startPosition || !green || !polygons || polygons.length === 0) {
     return [];
   }
 
   const shotBearing = calculateBearing(startPosition, green);
-  const hazardTypes = ['bunker', 'water', 'ob', 'penalty', 'waste_area'];
-  const hazards = polygons.filter(p => hazardTypes.includes(p.type));
+  const hazards = polygons.filter(p => SHOT_LINE_HAZARD_TYPES.includes(p.type));
 
   const hazardRanges = [];
 
@@ -4,9 +4,12 @@
  * Wraps expo-location to provide start/stop GPS tracking
  * for automatic shot detection during a round.
  * Foreground-only tracking with settings tuned for golf course use.
+ * Readings are also handed to gpsTraceRecorder, which keeps them only
+ * while a trace is being recorded.
  */
 
 import * as Location from 'expo-location';
+import { recordTracePoint } from './gpsTraceRecorder';
 
 let subscription = null;
 
@@ -46,14 +49,17 @@ export async function startTracking(onLocationUpdate) {
       const altitudeMeters = location.coords.altitude;
       const altitudeFeet = altitudeMeters !== null ? Math.round(altitudeMeters * 3.28084) : null;
 
-      onLocationUpdate({
+      const position = {
         latitude: location.coords.latitude,
         longitude: location.coords.longitude,
         altitude: altitudeFeet,  // Elevation in feet (null if unavailable)
         altitudeAccuracy: location.coords.altitudeAccuracy, // Accuracy in meters
         accuracy: location.coords.accuracy,
         timestamp: location.timestamp,
-      });
+      };
+
+      recordTracePoint(position);
+      onLocationUpdate(position);
     }
   );
 
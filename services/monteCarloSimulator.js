@@ -0,0 +1,350 @@
+/**
+ * Monte Carlo Simulator
+ *
+ * Plays a hole strategy thousands of times to estimate the score it
+ * leads to. Each trial walks the sequence's planned shots from the
+ * player's position, sampling every ball from the player's dispersion
+ * (dispersionCalculator, blended with measured club stats) and resolving
+ * where it finishes against the course polygons. Once the planned shots
+ * are used up — or a miss leaves the plan behind — the hole is finished
+ * from the strokes gained baseline for the lie and distance.
+ *
+ * Complements the fixed-weight scoring in shotScorer/strategyScorer:
+ * the engine still picks the candidate sequences, the simulation reports
+ * what each one is expected to score.
+ *
+ * Sampling is driven by a seeded generator, so the same seed and inputs
+ * always give the same result. Every strategy is played with the same
+ * seed (common random numbers), so differences between options come from
+ * the strategies rather than from sampling noise.
+ */
+
+import { calculateDistance, calculateBearing, isPointInPolygon } from '../utils/geoUtils';
+import { getExpectedStrokes } from '../utils/strokesGained';
+import { calculateDispersion } from './dispersionCalculator';
+import { projectPoint } from './landingZoneCalculator';
+import { applyPinToHoleData } from './pinPositionCalculator';
+
+export const DEFAULT_TRIALS = 2000;
+export const DEFAULT_SEED = 20261019;
+
+// Dispersion multiplier by the lie the shot is played from
+const LIE_DISPERSION_FACTOR = {
+  tee: 1,
+  fairway: 1,
+  fringe: 1,
+  rough: 1.2,
+  bunker: 1.5,
+  recovery: 1.8,
+};
+
+// Share of the planned distance a shot can reach from the lie
+const LIE_DISTANCE_FACTOR = {
+  rough: 0.92,
+  bunker: 0.8,
+  recovery: 0.5,
+};
+
+// Polygon types, in the order a landing spot is resolved
+const OB_TYPES = ['ob', 'out_of_bounds'];
+const PENALTY_AREA_TYPES = ['water', 'penalty', 'hazard'];
+const RECOVERY_TYPES = ['trees', 'woods'];
+
+// Give up on the plan once a miss leaves the ball this far past the next target
+const OFF_PLAN_YARDS = 10;
+
+// Stroke-and-distance retries before the ball is dropped where it went out
+const MAX_REPLAYS = 2;
+
+// Safety cap on strokes per trial
+const MAX_STROKES = 12;
+
+// ============================================================================
+// RANDOM NUMBERS
+// ============================================================================
+
+/**
+ * Seeded uniform generator (mulberry32).
+ *
+ * @param {number} seed - Any integer
+ * @returns {function(): number} Generator returning values in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal sample (Box-Muller).
+ */
+function sampleNormal(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Round a fractional stroke count to a whole one, keeping the mean:
+ * 3.3 becomes 4 three times in ten and 3 otherwise.
+ */
+function sampleWholeStrokes(expected, random) {
+  const whole = Math.floor(expected);
+  return random() < expected - whole ? whole + 1 : whole;
+}
+
+// ============================================================================
+// COURSE RESOLUTION
+// ============================================================================
+
+/**
+ * Resolve where a ball finished. Unlike determineLieType, penalty areas
+ * and out of bounds win over any polygon they overlap.
+ *
+ * @param {Object} position - { latitude, longitude }
+ * @param {Array} polygons - Hole polygons
+ * @returns {string} ob | water | bunker | green | fringe | fairway | recovery | rough
+ */
+export function resolveLanding(position, polygons = []) {
+  const inside = polygons.filter(p => p?.coordinates?.length >= 3 && isPointInPolygon(position, p));
+  const has = types => inside.some(p => types.includes(p.type));
+
+  if (has(OB_TYPES)) return 'ob';
+  if (has(PENALTY_AREA_TYPES)) return 'water';
+  if (has(['bunker'])) return 'bunker';
+  if (has(['green'])) return 'green';
+  if (has(['fringe'])) return 'fringe';
+  if (has(['fairway'])) return 'fairway';
+  if (has(RECOVERY_TYPES)) return 'recovery';
+  return 'rough';
+}
+
+/**
+ * Drop from a penalty area: back along the line the ball came in on,
+ * to the first spot clear of the hazard.
+ */
+function findDropPosition(landing, from, polygons) {
+  const bearing = calculateBearing(landing, from);
+  const maxYards = calculateDistance(landing, from);
+  for (let yards = 2; yards < maxYards; yards += 2) {
+    const spot = projectPoint(landing, yards, bearing);
+    const lie = resolveLanding(spot, polygons);
+    if (lie !== 'water' && lie !== 'ob') return { position: spot, lie };
+  }
+  return { position: from, lie: 'rough' };
+}
+
+/** Baseline lie for the strokes gained tables */
+function toBaselineLie(lie) {
+  if (lie === 'fringe') return 'fairway';
+  return lie;
+}
+
+/**
+ * Strokes to hole out from a spot, per the strokes gained baseline.
+ */
+function expectedStrokesToHoleOut(position, lie, flag, handicap) {
+  const yards = calculateDistance(position, flag);
+  if (lie === 'green') return getExpectedStrokes('green', yards * 3, handicap);
+  return getExpectedStrokes(toBaselineLie(lie), yards, handicap);
+}
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+/**
+ * Dispersion model for each planned shot, built once per simulation.
+ */
+function buildShotModels(shots, clubDistances, handicap, getMeasuredStats) {
+  return shots.map((shot) => {
+    const clubId = shot.clubId || shot.club;
+    const measured = getMeasuredStats ? getMeasuredStats(clubId) : null;
+    const dispersion = calculateDispersion(clubId, clubDistances, handicap, measured);
+    return {
+      target: shot.landingZone,
+      lateralSigma: dispersion.lateralDispersion,
+      distanceSigma: dispersion.distanceDispersion,
+      // Measured average miss (yards, + = right)
+      lateralBias: measured?.avgOffline || 0,
+    };
+  });
+}
+
+/**
+ * Play the hole once.
+ *
+ * @returns {Object} { strokes, penalties, onGreenInPlan }
+ */
+function playTrial(models, start, startLie, flag, polygons, handicap, random) {
+  let position = start;
+  let lie = startLie;
+  let strokes = 0;
+  let penalties = 0;
+
+  for (let i = 0; i < models.length && strokes < MAX_STROKES; i++) {
+    const model = models[i];
+    if (!model.target?.latitude) break;
+
+    // A miss can leave the ball past where this shot was meant to go
+    const targetToFlag = calculateDistance(model.target, flag);
+    if (i > 0 && calculateDistance(position, flag) < targetToFlag - OFF_PLAN_YARDS) break;
+    if (lie === 'green') break;
+
+    const plannedYards = calculateDistance(position, model.target);
+    const bearing = calculateBearing(position, model.target);
+    const spread = LIE_DISPERSION_FACTOR[lie] || 1;
+    const reach = LIE_DISTANCE_FACTOR[lie] || 1;
+
+    let replays = 0;
+    for (;;) {
+      strokes += 1;
+      const carry = Math.max(0, plannedYards * reach + sampleNormal(random) * model.distanceSigma * spread);
+      const offline = model.lateralBias + sampleNormal(random) * model.lateralSigma * spread;
+      const along = projectPoint(position, carry, bearing);
+      const landing = offline === 0
+        ? along
+        : projectPoint(along, Math.abs(offline), (bearing + (offline > 0 ? 90 : 270)) % 360);
+      const result = resolveLanding(landing, polygons);
+
+      if (result === 'ob' && replays < MAX_REPLAYS && strokes < MAX_STROKES) {
+        // Stroke and distance: play again from the same spot
+        strokes += 1;
+        penalties += 1;
+        replays += 1;
+        continue;
+      }
+
+      if (result === 'water' || result === 'ob') {
+        strokes += 1;
+        penalties += 1;
+        const drop = findDropPosition(landing, position, polygons);
+        position = drop.position;
+        lie = drop.lie;
+      } else {
+        position = landing;
+        lie = result;
+      }
+      break;
+    }
+  }
+
+  const onGreenInPlan = lie === 'green';
+  const remaining = expectedStrokesToHoleOut(position, lie, flag, handicap);
+  strokes += Math.max(1, sampleWholeStrokes(remaining, random));
+
+  return { strokes: Math.min(strokes, MAX_STROKES), penalties, onGreenInPlan };
+}
+
+/**
+ * Simulate one shot sequence.
+ *
+ * @param {Array} shots - Planned shots ({ club, clubId, landingZone })
+ * @param {Object} holeData - { par, teeBox, green, pin?, polygons }
+ * @param {Object} playerContext - { position, clubDistances, handicap, lieType }
+ * @param {Object} options
+ *   @param {number} options.trials - Number of trials (default 2000)
+ *   @param {number} options.seed - Random seed (default DEFAULT_SEED)
+ *   @param {function} options.getMeasuredStats - club => measured stats or null
+ * @returns {Object|null} { trials, expectedScore, relativeToPar, distribution: [{ score, probability }],
+ *                          penaltyRate, greenRate } or null without positions
+ */
+export function simulateSequence(shots, holeData, playerContext, options = {}) {
+  const { trials = DEFAULT_TRIALS, seed = DEFAULT_SEED, getMeasuredStats = null } = options;
+  const { par, teeBox, green, polygons = [] } = applyPinToHoleData(holeData);
+  const { position, clubDistances = {}, handicap = 15, lieType = 'fairway' } = playerContext;
+
+  const start = position || teeBox;
+  if (!start || !green || !shots?.length) return null;
+
+  const isFromTee = !position || (teeBox && calculateDistance(position, teeBox) < 10);
+  const startLie = isFromTee ? 'tee' : (lieType === 'trees' ? 'recovery' : lieType);
+  const models = buildShotModels(shots, clubDistances, handicap, getMeasuredStats);
+  const random = createRandom(seed);
+
+  const counts = {};
+  let totalStrokes = 0;
+  let trialsWithPenalty = 0;
+  let greensInPlan = 0;
+
+  for (let t = 0; t < trials; t++) {
+    const result = playTrial(models, start, startLie, green, polygons, handicap, random);
+    counts[result.strokes] = (counts[result.strokes] || 0) + 1;
+    totalStrokes += result.strokes;
+    if (result.penalties > 0) trialsWithPenalty += 1;
+    if (result.onGreenInPlan) greensInPlan += 1;
+  }
+
+  const expectedScore = totalStrokes / trials;
+  const distribution = Object.keys(counts)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(score => ({ score, probability: counts[score] / trials }));
+
+  return {
+    trials,
+    expectedScore: Math.round(expectedScore * 100) / 100,
+    relativeToPar: par ? Math.round((expectedScore - par) * 100) / 100 : null,
+    distribution,
+    penaltyRate: Math.round((trialsWithPenalty / trials) * 100) / 100,
+    greenRate: Math.round((greensInPlan / trials) * 100) / 100,
+  };
+}
+
+/**
+ * Simulate the recommended sequence of a hole plan and its alternatives.
+ *
+ * @param {Object} plan - Plan from computeHolePlan
+ * @param {Object} holeData - Hole data the plan was computed for
+ * @param {Object} playerContext - Player context the plan was computed for
+ * @param {Object} options - As simulateSequence
+ * @returns {Array<Object>} One entry per option, in the engine's order:
+ *   { label, strategyType, engineScore, isRecommended, ...simulation }
+ */
+export function simulateHolePlan(plan, holeData, playerContext, options = {}) {
+  if (!plan?.shots?.length) return [];
+
+  const candidates = [
+    {
+      shots: plan.shots,
+      strategyType: plan.strategy,
+      engineScore: plan.metadata?.strategyScore ?? null,
+      isRecommended: true,
+    },
+    ...(plan.alternativeSequences || []).map(seq => ({
+      shots: seq.shots,
+      strategyType: seq.strategyType,
+      engineScore: seq.score ?? null,
+      isRecommended: false,
+    })),
+  ];
+
+  return candidates
+    .map((candidate) => {
+      const simulation = simulateSequence(candidate.shots, holeData, playerContext, options);
+      if (!simulation) return null;
+      return {
+        label: candidate.shots.map(s => s.club).join(' → '),
+        strategyType: candidate.strategyType,
+        engineScore: candidate.engineScore,
+        isRecommended: candidate.isRecommended,
+        ...simulation,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Index of the option with the lowest expected score.
+ */
+export function findBestSimulatedOption(options) {
+  if (!options?.length) return -1;
+  return options.reduce((best, option, i) => (
+    option.expectedScore < options[best].expectedScore ? i : best
+  ), 0);
+}
@@ -0,0 +1,254 @@
+/**
+ * Pin Position Calculator
+ *
+ * Converts the day's hole locations into GPS targets. A pin is set by
+ * tapping the green on the map or from a pin sheet, which lists each
+ * hole's flag as paces from the front of the green and paces from the
+ * left or right edge.
+ *
+ * Planning targets `holeData.pin` when set; `holeData.green` stays the
+ * green center (see applyPinToHoleData).
+ *
+ * Pin object: { latitude, longitude, source: 'tap' | 'sheet',
+ *               fromFront, fromEdge, edge: 'left' | 'right' }
+ */
+
+import { calculateBearing, isPointInPolygon } from '../utils/geoUtils';
+import { projectPoint } from './landingZoneCalculator';
+
+/** Pin sheets count paces; a pace is taken as one yard */
+export const YARDS_PER_PACE = 1;
+
+// Walk no further than this looking for the edge of the green
+const MAX_EDGE_SEARCH_YARDS = 60;
+
+// ============================================================================
+// GREEN GEOMETRY
+// ============================================================================
+
+/**
+ * Find the green polygon for a hole.
+ *
+ * @param {Array} polygons - Hole polygons ({ type, coordinates })
+ * @returns {Object|null} Green polygon
+ */
+export function getGreenPolygon(polygons) {
+  const green = (polygons || []).find(p => p.type === 'green');
+  return green?.coordinates?.length >= 3 ? green : null;
+}
+
+/**
+ * Walk from a point on the green along a bearing until leaving it.
+ *
+ * @returns {number|null} Yards to the edge, or null if the start point is off the green
+ */
+function yardsToEdge(point, bearing, greenPolygon) {
+  if (!isPointInPolygon(point, greenPolygon)) return null;
+  const onGreen = yards => isPointInPolygon(projectPoint(point, yards, bearing), greenPolygon);
+
+  for (let yards = 1; yards <= MAX_EDGE_SEARCH_YARDS; yards++) {
+    if (!onGreen(yards)) {
+      // Narrow the crossing down within the last yard
+      let inside = yards - 1;
+      let outside = yards;
+      for (let i = 0; i < 6; i++) {
+        const mid = (inside + outside) / 2;
+        if (onGreen(mid)) inside = mid;
+        else outside = mid;
+      }
+      return (inside + outside) / 2;
+    }
+  }
+  return MAX_EDGE_SEARCH_YARDS;
+}
+
+/**
+ * The direction pins are measured in: the line from the tee to the
+ * green center.
+ */
+function getPlayLineBearing(hole) {
+  return calculateBearing(hole.teeBox, hole.green);
+}
+
+// ============================================================================
+// PIN SHEET
+// ============================================================================
+
+/**
+ * Place a pin from pin sheet paces.
+ *
+ * Depth is measured from the front edge along the play line through the
+ * green center; the lateral offset is measured in from the named edge
+ * at that depth.
+ *
+ * @param {Object} entry - { fromFront, fromEdge, edge: 'left' | 'right' }
+ * @param {Object} hole - { teeBox, green, polygons }
+ * @returns {Object|null} Pin, or null when the paces fall off the green
+ */
+export function pinFromPaces(entry, hole) {
+  const greenPolygon = getGreenPolygon(hole?.polygons);
+  if (!entry || !greenPolygon || !hole.teeBox || !hole.green) return null;
+
+  const bearing = getPlayLineBearing(hole);
+  const backToFront = yardsToEdge(hole.green, (bearing + 180) % 360, greenPolygon);
+  if (backToFront == null) return null;
+
+  const front = projectPoint(hole.green, backToFront, (bearing + 180) % 360);
+  const depthPoint = projectPoint(front, entry.fromFront * YARDS_PER_PACE, bearing);
+
+  let pin = depthPoint;
+  if (entry.fromEdge != null && entry.edge) {
+    const outward = entry.edge === 'left' ? (bearing + 270) % 360 : (bearing + 90) % 360;
+    const toEdge = yardsToEdge(depthPoint, outward, greenPolygon);
+    if (toEdge == null) return null;
+    const edgePoint = projectPoint(depthPoint, toEdge, outward);
+    pin = projectPoint(edgePoint, entry.fromEdge * YARDS_PER_PACE, (outward + 180) % 360);
+  }
+
+  if (!isPointInPolygon(pin, greenPolygon)) return null;
+
+  return {
+    latitude: pin.latitude,
+    longitude: pin.longitude,
+    source: 'sheet',
+    fromFront: entry.fromFront,
+    fromEdge: entry.fromEdge ?? null,
+    edge: entry.edge || null,
+  };
+}
+
+/**
+ * Parse a pin sheet. One hole per line, e.g.
+ *   "1  24  L6"   "Hole 2: 12 / 5 R"   "3 18 right 4"
+ * (hole, paces from front, paces from the left/right edge). The edge is
+ * optional for pins cut in the middle of the green.
+ *
+ * @param {string} text
+ * @returns {Object} { entries: [{ holeNumber, fromFront, fromEdge, edge }], errors: [line] }
+ */
+export function parsePinSheet(text) {
+  const entries = [];
+  const errors = [];
+
+  (text || '').split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const match = line.match(
+      /^(?:hole\s*)?(\d{1,2})\s*[:.)-]?\s+(\d{1,2})(?:\s*[/,]?\s*(?:(l|r)\w*\s*(\d{1,2})|(\d{1,2})\s*(l|r)\w*))?\s*$/i
+    );
+    if (!match) {
+      errors.push(line);
+      return;
+    }
+
+    const holeNumber = parseInt(match[1], 10);
+    const side = (match[3] || match[6] || '').toLowerCase();
+    const fromEdge = match[4] || match[5];
+    if (holeNumber < 1 || holeNumber > 18) {
+      errors.push(line);
+      return;
+    }
+
+    entries.push({
+      holeNumber,
+      fromFront: parseInt(match[2], 10),
+      fromEdge: fromEdge != null ? parseInt(fromEdge, 10) : null,
+      edge: side === 'l' ? 'left' : side === 'r' ? 'right' : null,
+    });
+  });
+
+  return { entries, errors };
+}
+
+// ============================================================================
+// TAPPED PINS
+// ============================================================================
+
+/**
+ * Build a pin from a tap on the map. Only taps on the green count.
+ *
+ * @param {Object} coordinate - { latitude, longitude }
+ * @param {Object} hole - { teeBox, green, polygons }
+ * @returns {Object|null} Pin with paces filled in, or null when off the green
+ */
+export function pinFromTap(coordinate, hole) {
+  const greenPolygon = getGreenPolygon(hole?.polygons);
+  if (!coordinate || !greenPolygon || !isPointInPolygon(coordinate, greenPolygon)) return null;
+
+  return {
+    latitude: coordinate.latitude,
+    longitude: coordinate.longitude,
+    source: 'tap',
+    ...describePinLocation(coordinate, hole),
+  };
+}
+
+/**
+ * Express a pin as pin sheet paces (front, and the nearer side edge).
+ *
+ * @param {Object} pin - { latitude, longitude }
+ * @param {Object} hole - { teeBox, green, polygons }
+ * @returns {Object} { fromFront, fromEdge, edge } (nulls when the green isn't mapped)
+ */
+export function describePinLocation(pin, hole) {
+  const empty = { fromFront: null, fromEdge: null, edge: null };
+  const greenPolygon = getGreenPolygon(hole?.polygons);
+  if (!pin || !greenPolygon || !hole.teeBox || !hole.green) return empty;
+
+  const bearing = getPlayLineBearing(hole);
+  const toFront = yardsToEdge(pin, (bearing + 180) % 360, greenPolygon);
+  const toLeft = yardsToEdge(pin, (bearing + 270) % 360, greenPolygon);
+  const toRight = yardsToEdge(pin, (bearing + 90) % 360, greenPolygon);
+  if (toFront == null) return empty;
+
+  const nearLeft = toLeft <= toRight;
+  return {
+    fromFront: Math.round(toFront / YARDS_PER_PACE),
+    fromEdge: Math.round((nearLeft ? toLeft : toRight) / YARDS_PER_PACE),
+    edge: nearLeft ? 'left' : 'right',
+  };
+}
+
+/**
+ * Short label for a pin, e.g. "24 on, 6 from left".
+ */
+export function formatPinLocation(pin) {
+  if (!pin || pin.fromFront == null) return pin ? 'Pin set' : 'Center';
+  const edge = pin.edge && pin.fromEdge != null ? `, ${pin.fromEdge} from ${pin.edge}` : '';
+  return `${pin.fromFront} on${edge}`;
+}
+
+// ============================================================================
+// PLANNING
+// ============================================================================
+
+/**
+ * The point to play to: the pin when set, else the green center. Keeps
+ * the green center's elevation (pins have no elevation of their own).
+ *
+ * @param {Object} green - Green center { latitude, longitude, elevation }
+ * @param {Object|null} pin - Today's pin
+ * @returns {Object} Target { latitude, longitude, elevation }
+ */
+export function getPinTarget(green, pin) {
+  if (!green || !pin) return green;
+  return { ...green, latitude: pin.latitude, longitude: pin.longitude };
+}
+
+/**
+ * Point planning at the pin. Returns hole data whose `green` is the pin
+ * with the center kept as `greenCenter`. Hole data without a pin, or
+ * already resolved, is returned unchanged.
+ *
+ * @param {Object} holeData - { green, pin?, ... }
+ * @returns {Object} Hole data to plan against
+ */
+export function applyPinToHoleData(holeData) {
+  if (!holeData?.pin || !holeData.green || holeData.greenCenter) return holeData;
+  return {
+    ...holeData,
+    greenCenter: holeData.green,
+    green: getPinTarget(holeData.green, holeData.pin),
+  };
+}
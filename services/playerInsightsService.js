@@ -12,6 +12,7 @@
  */
 
 import { supabase } from '../config/supabase';
+import { buildClubCorrections } from './clubInference';
 
 // In-memory cache (lives for the duration of the app session)
 let _cachedInsights = null;
@@ -44,6 +45,9 @@ function determineDataLevel(totalRounds, totalShots) {
   return 'none';
 }
 
+// Recent confirmed club guesses used to learn club inference corrections
+const CLUB_CORRECTION_SAMPLE = 500;
+
 // ============================================================================
 // LOADING
 // ============================================================================
@@ -54,7 +58,7 @@ function determineDataLevel(totalRounds, totalShots) {
  *
  * @param {string} userId
  * @param {boolean} forceRefresh - Skip cache and re-fetch
- * @returns {Object} { clubStats, tendencies, dataQuality, error }
+ * @returns {Object} { clubStats, clubCorrections, tendencies, dataQuality, error }
  */
 export async function loadPlayerInsights(userId, forceRefresh = false) {
   // Return cached data if same user and not forcing refresh
@@ -64,7 +68,7 @@ export async function loadPlayerInsights(userId, forceRefresh = false) {
 
   try {
     // Fetch club stats and tendencies in parallel
-    const [clubStatsResult, tendenciesResult, roundCountResult] = await Promise.all([
+    const [clubStatsResult, tendenciesResult, roundCountResult, correctionsResult] = await Promise.all([
       supabase
         .from('user_club_stats')
         .select('*')
@@ -78,6 +82,14 @@ export async function loadPlayerInsights(userId, forceRefresh = false) {
         .select('id', { count: 'exact', head: true })
         .eq('user_id', userId)
         .eq('status', 'completed'),
+      supabase
+        .from('round_shots')
+        .select('club, club_inferred, club_confirmed, round:rounds!inner(user_id)')
+        .eq('round.user_id', userId)
+        .not('club_inferred', 'is', null)
+        .eq('club_confirmed', true)
+        .order('played_at', { ascending: false })
+        .limit(CLUB_CORRECTION_SAMPLE),
     ]);
 
     if (clubStatsResult.error) {
@@ -86,6 +98,9 @@ export async function loadPlayerInsights(userId, forceRefresh = false) {
     if (tendenciesResult.error) {
       console.warn('[Insights] Error fetching tendencies:', tendenciesResult.error.message);
     }
+    if (correctionsResult.error) {
+      console.warn('[Insights] Error fetching club corrections:', correctionsResult.error.message);
+    }
 
     // Build club stats map: { clubId: stats }
     const clubStats = {};
@@ -127,6 +142,7 @@ export async function loadPlayerInsights(userId, forceRefresh = false) {
 
     const insights = {
       clubStats,
+      clubCorrections: buildClubCorrections(correctionsResult.data),
       tendencies,
       dataQuality: {
         totalShots,
@@ -149,6 +165,7 @@ export async function loadPlayerInsights(userId, forceRefresh = false) {
     console.error('[Insights] Error loading insights:', error);
     return {
       clubStats: {},
+      clubCorrections: {},
       tendencies: [],
       dataQuality: { totalShots: 0, totalRounds: 0, dataLevel: 'none', clubsTracked: 0, tendenciesDetected: 0 },
       error: error.message,
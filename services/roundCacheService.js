@@ -2,20 +2,116 @@
  * Round Cache Service
  *
  * Manages local caching of round data during play.
- * Data is stored locally and only pushed to Supabase when the round is submitted.
- * This enables:
+ * The cache is the source of truth on the device; every change is also
+ * queued for upload (syncQueueService), which pushes it to Supabase as
+ * connectivity allows. This enables:
  * - Offline play capability
  * - Resume after app crash/close
- * - Reduced API calls during play
- * - Batch submission on round completion
+ * - Incremental upload with retry while playing
+ *
+ * Several rounds can be cached at once, each stored under its temp ID.
+ * One of them is the active round, which the play functions below read
+ * and write; starting or resuming a round makes it active without
+ * touching the others. A round that was also changed on the server (from
+ * another device) is reconciled hole by hole before it's resumed.
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getNineHoleTeeRating, calculateRoundHandicap, allocateHandicapStrokes } from '../utils/handicapUtils';
+import { normalizeScoringFormat, computeFormatScore } from '../utils/scoringFormats';
+import { buildSideGamePlayers, computeSideGames, combineSettlements } from '../utils/sideGames';
+import { getNextShotNumber as nextShotAfter, renumberShots, resolveProvisional } from './shotPenalties';
+import { fetchRoundDetail } from './roundService';
+import {
+  enqueueRoundStart,
+  enqueueHole,
+  enqueueHoleShots,
+  enqueueRoundAbandon,
+  getSyncStatus,
+  getQueuedHoleNumbers,
+  dropQueuedHoles,
+  forgetSyncedRound,
+} from './syncQueueService';
+
+const CACHE_KEY_ROUND_INDEX = '@Pure:cachedRounds';
+const CACHE_KEY_ACTIVE_ROUND_ID = '@Pure:activeRoundId';
+const CACHE_KEY_ROUND_PREFIX = '@Pure:round:';
+
+// Parts of a cached round, each stored under its own key
+const ROUND_PARTS = ['round', 'holes', 'aiPlans', 'shots', 'partners'];
 
-const CACHE_KEY_ACTIVE_ROUND = '@Pure:activeRound';
-const CACHE_KEY_ROUND_HOLES = '@Pure:roundHoles';
-const CACHE_KEY_AI_PLANS = '@Pure:aiPlans';
-const CACHE_KEY_ROUND_SHOTS = '@Pure:roundShots';
+// Single-round layout from before rounds were keyed by temp ID
+const LEGACY_KEYS = {
+  round: '@Pure:activeRound',
+  holes: '@Pure:roundHoles',
+  aiPlans: '@Pure:aiPlans',
+  shots: '@Pure:roundShots',
+  partners: '@Pure:roundPartners',
+};
+
+/** Playing partners allowed in a group round (a foursome) */
+export const MAX_ROUND_PARTNERS = 3;
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+let legacyChecked = false;
+
+function roundKey(tempId, part) {
+  return `${CACHE_KEY_ROUND_PREFIX}${tempId}:${part}`;
+}
+
+/**
+ * Move a round cached in the old single-round layout to its own keys.
+ */
+async function migrateLegacyCache() {
+  if (legacyChecked) return;
+  legacyChecked = true;
+
+  const parts = Object.keys(LEGACY_KEYS);
+  const legacy = await AsyncStorage.multiGet(Object.values(LEGACY_KEYS));
+  const round = legacy[0][1] ? JSON.parse(legacy[0][1]) : null;
+  if (!round?.tempId) return;
+
+  const index = await readIndex();
+  await AsyncStorage.multiSet([
+    ...parts.map((part, i) => [roundKey(round.tempId, part), legacy[i][1] || (part === 'aiPlans' ? '{}' : '[]')]),
+    [CACHE_KEY_ROUND_INDEX, JSON.stringify([...index.filter(id => id !== round.tempId), round.tempId])],
+    [CACHE_KEY_ACTIVE_ROUND_ID, round.tempId],
+  ]);
+  await AsyncStorage.multiRemove(Object.values(LEGACY_KEYS));
+  console.log('[RoundCache] Migrated cached round to keyed storage:', round.tempId);
+}
+
+async function readIndex() {
+  const data = await AsyncStorage.getItem(CACHE_KEY_ROUND_INDEX);
+  return data ? JSON.parse(data) : [];
+}
+
+async function getActiveTempId() {
+  await migrateLegacyCache();
+  return AsyncStorage.getItem(CACHE_KEY_ACTIVE_ROUND_ID);
+}
+
+/**
+ * Read one part of a cached round (the active round unless a temp ID is given).
+ */
+async function readRoundPart(part, fallback, tempId = null) {
+  const id = tempId || await getActiveTempId();
+  if (!id) return fallback;
+  const data = await AsyncStorage.getItem(roundKey(id, part));
+  return data ? JSON.parse(data) : fallback;
+}
+
+/**
+ * Write one part of a cached round (the active round unless a temp ID is given).
+ */
+async function writeRoundPart(part, value, tempId = null) {
+  const id = tempId || await getActiveTempId();
+  if (!id) return;
+  await AsyncStorage.setItem(roundKey(id, part), JSON.stringify(value));
+}
 
 /**
  * Initialize a new cached round when starting play.
@@ -25,11 +121,21 @@ const CACHE_KEY_ROUND_SHOTS = '@Pure:roundShots';
  * @param {string} params.tempId - Temporary local ID (e.g., uuid or timestamp)
  * @param {string} params.userId - User's ID
  * @param {Object} params.course - Course object with id, name, etc.
- * @param {Object} params.tee - Selected tee box data
+ * @param {Object} params.tee - Selected tee box data. A 9-hole round is
+ *   requested with tee.nine = 'front' | 'back', the scoring format
+ *   with tee.scoringFormat (default 'stroke'), and walking or riding with
+ *   tee.transportMode ('auto' | 'walking' | 'cart', default 'auto').
  * @param {Object} params.weather - Weather conditions (optional)
+ * @param {number|null} params.handicapIndex - Player's index at round start (optional)
  * @returns {Promise<Object>} The cached round object
  */
-export async function initCachedRound({ tempId, userId, course, tee, weather = {} }) {
+export async function initCachedRound({ tempId, userId, course, tee, weather = {}, handicapIndex = null }) {
+  // 9-hole rounds snapshot the rating/slope/par of the nine being played
+  const ninePlayed = tee.nine === 'front' || tee.nine === 'back' ? tee.nine : null;
+  const nineRating = ninePlayed ? getNineHoleTeeRating(tee, ninePlayed) : null;
+  const scoringFormat = normalizeScoringFormat(tee.scoringFormat);
+  const roundHandicap = calculateRoundHandicap({ handicapIndex, tee, format: scoringFormat });
+
   const cachedRound = {
     tempId,
     userId,
@@ -40,26 +146,47 @@ export async function initCachedRound({ tempId, userId, course, tee, weather = {
     teeBoxId: tee.id || null,
     teeColor: tee.color || tee.name,
     teeYardage: tee.yardage,
-    teeRating: tee.rating,
-    teeSlope: tee.slope,
-    coursePar: tee.parTotal || null,
+    teeRating: nineRating ? nineRating.rating : tee.rating,
+    teeSlope: nineRating ? nineRating.slope : tee.slope,
+    coursePar: nineRating ? nineRating.par : (tee.parTotal || null),
+    roundLength: ninePlayed ? 9 : 18,
+    ninePlayed,
+    scoringFormat,
+    transportMode: tee.transportMode || 'auto', // Shot detection: 'auto' | 'walking' | 'cart'
+    riskProfile: 'balanced', // Planning engine: 'protect' | 'balanced' | 'aggressive'
+    handicapIndex,
+    courseHandicap: roundHandicap?.courseHandicap ?? null,
+    playingHandicap: roundHandicap?.playingHandicap ?? null,
+    sideGames: [], // Side game configs ({ type, enabled, stake, ...options })
+    pins: {}, // Today's pin per hole ({ latitude, longitude, source, fromFront, fromEdge, edge })
     weatherTempF: weather.temp_f || null,
     weatherWindMph: weather.wind_mph || null,
     weatherCondition: weather.condition || null,
     status: 'in_progress',
     startedAt: new Date().toISOString(),
-    currentHole: 1,
+    currentHole: ninePlayed === 'back' ? 10 : 1,
     holesPlayed: 0,
     dbRoundId: null, // Will be set after pushing to DB
   };
 
-  await AsyncStorage.setItem(CACHE_KEY_ACTIVE_ROUND, JSON.stringify(cachedRound));
-  // Initialize empty holes array
-  await AsyncStorage.setItem(CACHE_KEY_ROUND_HOLES, JSON.stringify([]));
-  // Initialize empty AI plans
-  await AsyncStorage.setItem(CACHE_KEY_AI_PLANS, JSON.stringify({}));
-  // Initialize empty shots array
-  await AsyncStorage.setItem(CACHE_KEY_ROUND_SHOTS, JSON.stringify([]));
+  // Other cached rounds are kept; the new one becomes active
+  await migrateLegacyCache();
+  const index = await readIndex();
+  await AsyncStorage.multiSet([
+    [roundKey(tempId, 'round'), JSON.stringify(cachedRound)],
+    [roundKey(tempId, 'holes'), JSON.stringify([])],
+    [roundKey(tempId, 'aiPlans'), JSON.stringify({})],
+    [roundKey(tempId, 'shots'), JSON.stringify([])],
+    [roundKey(tempId, 'partners'), JSON.stringify([])],
+    [CACHE_KEY_ROUND_INDEX, JSON.stringify([...index.filter(id => id !== tempId), tempId])],
+    [CACHE_KEY_ACTIVE_ROUND_ID, tempId],
+  ]);
+
+  await runSync(() => enqueueRoundStart(
+    tempId,
+    { ...toSubmissionRound(cachedRound, [], []), status: 'in_progress', completedAt: null },
+    course.name
+  ));
 
   console.log('[RoundCache] Initialized new cached round:', tempId);
   return cachedRound;
@@ -70,28 +197,36 @@ export async function initCachedRound({ tempId, userId, course, tee, weather = {
  * @returns {Promise<Object|null>} The cached round or null
  */
 export async function getActiveCachedRound() {
+  return getCachedRound();
+}
+
+/**
+ * Get a cached round by temp ID (default: the active one).
+ * @param {string|null} tempId - Cached round temp ID
+ * @returns {Promise<Object|null>} The cached round or null
+ */
+export async function getCachedRound(tempId = null) {
   try {
-    const data = await AsyncStorage.getItem(CACHE_KEY_ACTIVE_ROUND);
-    if (data) {
-      const round = JSON.parse(data);
-      console.log('[RoundCache] Found active cached round:', round.tempId);
+    const round = await readRoundPart('round', null, tempId);
+    if (round) {
+      console.log('[RoundCache] Found cached round:', round.tempId);
       return round;
     }
     return null;
   } catch (error) {
-    console.error('[RoundCache] Error getting active round:', error);
+    console.error('[RoundCache] Error getting cached round:', error);
     return null;
   }
 }
 
 /**
  * Get all cached hole scores for the active round.
+ * @param {string|null} tempId - Cached round to read (default: the active one)
  * @returns {Promise<Array>} Array of hole score objects
  */
-export async function getCachedHoles() {
+export async function getCachedHoles(tempId = null) {
   try {
-    const data = await AsyncStorage.getItem(CACHE_KEY_ROUND_HOLES);
-    return data ? JSON.parse(data) : [];
+    return await readRoundPart('holes', [], tempId);
   } catch (error) {
     console.error('[RoundCache] Error getting cached holes:', error);
     return [];
@@ -138,14 +273,15 @@ export async function saveHoleToCache(holeNumber, holeData) {
       holes.push(holeEntry);
     }
 
-    await AsyncStorage.setItem(CACHE_KEY_ROUND_HOLES, JSON.stringify(holes));
+    await writeRoundPart('holes', holes);
 
     // Update holes played count in active round
     const round = await getActiveCachedRound();
     if (round) {
       round.holesPlayed = holes.length;
       round.currentHole = holeNumber + 1;
-      await AsyncStorage.setItem(CACHE_KEY_ACTIVE_ROUND, JSON.stringify(round));
+      await writeRoundPart('round', round, round.tempId);
+      await runSync(() => enqueueHole(round.tempId, toSubmissionHole(holeEntry, round)));
     }
 
     console.log('[RoundCache] Saved hole', holeNumber, 'to cache');
@@ -165,7 +301,7 @@ export async function updateCurrentHole(holeNumber) {
     const round = await getActiveCachedRound();
     if (round) {
       round.currentHole = holeNumber;
-      await AsyncStorage.setItem(CACHE_KEY_ACTIVE_ROUND, JSON.stringify(round));
+      await writeRoundPart('round', round, round.tempId);
       console.log('[RoundCache] Updated current hole to:', holeNumber);
     }
   } catch (error) {
@@ -182,15 +318,14 @@ export async function updateCurrentHole(holeNumber) {
  */
 export async function saveAIPlanToCache(holeNumber, plan) {
   try {
-    const data = await AsyncStorage.getItem(CACHE_KEY_AI_PLANS);
-    const plans = data ? JSON.parse(data) : {};
+    const plans = await readRoundPart('aiPlans', {});
 
     plans[holeNumber] = {
       ...plan,
       cachedAt: new Date().toISOString(),
     };
 
-    await AsyncStorage.setItem(CACHE_KEY_AI_PLANS, JSON.stringify(plans));
+    await writeRoundPart('aiPlans', plans);
     console.log('[RoundCache] Saved AI plan for hole', holeNumber);
   } catch (error) {
     console.error('[RoundCache] Error saving AI plan:', error);
@@ -205,8 +340,7 @@ export async function saveAIPlanToCache(holeNumber, plan) {
  */
 export async function getCachedAIPlan(holeNumber) {
   try {
-    const data = await AsyncStorage.getItem(CACHE_KEY_AI_PLANS);
-    const plans = data ? JSON.parse(data) : {};
+    const plans = await readRoundPart('aiPlans', {});
     return plans[holeNumber] || null;
   } catch (error) {
     console.error('[RoundCache] Error getting AI plan:', error);
@@ -220,8 +354,7 @@ export async function getCachedAIPlan(holeNumber) {
  */
 export async function getAllCachedAIPlans() {
   try {
-    const data = await AsyncStorage.getItem(CACHE_KEY_AI_PLANS);
-    return data ? JSON.parse(data) : {};
+    return await readRoundPart('aiPlans', {});
   } catch (error) {
     console.error('[RoundCache] Error getting all AI plans:', error);
     return {};
@@ -240,7 +373,7 @@ export async function linkCacheToDbRound(dbRoundId) {
     const round = await getActiveCachedRound();
     if (round) {
       round.dbRoundId = dbRoundId;
-      await AsyncStorage.setItem(CACHE_KEY_ACTIVE_ROUND, JSON.stringify(round));
+      await writeRoundPart('round', round, round.tempId);
       console.log('[RoundCache] Linked cache to DB round:', dbRoundId);
     }
   } catch (error) {
@@ -272,33 +405,18 @@ export async function linkCacheToDbRound(dbRoundId) {
  * @param {string} shotData.windDirection - Wind direction at time of shot
  * @param {number} shotData.temperatureF - Temperature at time of shot
  * @param {number} shotData.effectiveDistance - "Plays like" distance
+ * @param {number} shotData.penaltyStrokes - Penalty strokes for water/OB (default 0)
+ * @param {string} shotData.relief - How relief was taken (point_of_entry, line, replay, provisional)
+ * @param {boolean} shotData.provisional - Provisional ball, until the original is settled
+ * @param {string} shotData.clubInferred - Club guessed from the shot distance (clubInference)
+ * @param {number} shotData.clubConfidence - Confidence of the guess (0-1)
+ * @param {boolean} shotData.clubConfirmed - Player saw and kept/changed the club (default true)
  * @returns {Promise<void>}
  */
 export async function saveShotToCache(shotData) {
   try {
     const shots = await getCachedShots();
-
-    const shotEntry = {
-      holeNumber: shotData.holeNumber,
-      shotNumber: shotData.shotNumber,
-      from: shotData.from || null,
-      to: shotData.to || null,
-      target: shotData.target || null,
-      club: shotData.club,
-      lieType: shotData.lieType || 'fairway',
-      result: shotData.result || null,
-      distanceActual: shotData.distanceActual || null,
-      distancePlanned: shotData.distancePlanned || null,
-      distanceToTarget: shotData.distanceToTarget || null,
-      distanceOffline: shotData.distanceOffline || null,
-      windSpeed: shotData.windSpeed || null,
-      windDirection: shotData.windDirection || null,
-      temperatureF: shotData.temperatureF || null,
-      effectiveDistance: shotData.effectiveDistance || null,
-      shotFeel: shotData.shotFeel || null,
-      feltGood: shotData.feltGood ?? null,
-      playedAt: new Date().toISOString(),
-    };
+    const shotEntry = buildShotEntry(shotData);
 
     // Replace if same hole+shot number exists (edit), otherwise append
     const existingIndex = shots.findIndex(
@@ -311,13 +429,88 @@ export async function saveShotToCache(shotData) {
       shots.push(shotEntry);
     }
 
-    await AsyncStorage.setItem(CACHE_KEY_ROUND_SHOTS, JSON.stringify(shots));
+    await writeRoundPart('shots', shots);
+    await syncHoleShots(shotData.holeNumber, shots);
     console.log('[RoundCache] Saved shot', shotData.shotNumber, 'on hole', shotData.holeNumber);
   } catch (error) {
     console.error('[RoundCache] Error saving shot to cache:', error);
   }
 }
 
+/**
+ * Replace a hole's putts with a newly logged set. Putts are numbered on
+ * from the shots to the green, so logging them again doesn't stack a
+ * second set on the first.
+ *
+ * @param {number} holeNumber - Hole number
+ * @param {Array} putts - Shot data for each putt, in order (see saveShotToCache)
+ * @returns {Promise<Array>} Updated shots for the hole
+ */
+export async function replaceCachedPutts(holeNumber, putts) {
+  try {
+    const shots = await getCachedShots();
+    const approachShots = shots.filter(s => s.holeNumber === holeNumber && s.shotType !== 'putt');
+    const firstPutt = nextShotAfter(approachShots);
+    const puttEntries = putts.map((putt, i) => buildShotEntry({
+      ...putt,
+      holeNumber,
+      shotNumber: firstPutt + i,
+      shotType: 'putt',
+    }));
+
+    const updated = [...shots.filter(s => s.holeNumber !== holeNumber), ...approachShots, ...puttEntries];
+    await writeRoundPart('shots', updated);
+    await syncHoleShots(holeNumber, updated);
+    console.log('[RoundCache] Saved', putts.length, 'putts on hole', holeNumber);
+    return [...approachShots, ...puttEntries];
+  } catch (error) {
+    console.error('[RoundCache] Error saving putts to cache:', error);
+    return [];
+  }
+}
+
+/**
+ * Build the cached form of a shot.
+ * @param {Object} shotData - See saveShotToCache
+ * @returns {Object} Shot entry
+ */
+function buildShotEntry(shotData) {
+  return {
+    holeNumber: shotData.holeNumber,
+    shotNumber: shotData.shotNumber,
+    shotType: shotData.shotType || 'full',
+    from: shotData.from || null,
+    to: shotData.to || null,
+    target: shotData.target || null,
+    club: shotData.club,
+    lieType: shotData.lieType || 'fairway',
+    result: shotData.result || null,
+    distanceActual: shotData.distanceActual || null,
+    distancePlanned: shotData.distancePlanned || null,
+    distanceToTarget: shotData.distanceToTarget || null,
+    distanceOffline: shotData.distanceOffline || null,
+    windSpeed: shotData.windSpeed || null,
+    windDirection: shotData.windDirection || null,
+    temperatureF: shotData.temperatureF || null,
+    effectiveDistance: shotData.effectiveDistance || null,
+    shotFeel: shotData.shotFeel || null,
+    feltGood: shotData.feltGood ?? null,
+    // Putts only: start/leave distance in feet and whether it dropped
+    puttDistanceFt: shotData.puttDistanceFt ?? null,
+    leaveDistanceFt: shotData.leaveDistanceFt ?? null,
+    puttMade: shotData.puttMade ?? null,
+    // Water/OB: penalty strokes on this shot, relief taken, provisional ball
+    penaltyStrokes: shotData.penaltyStrokes || 0,
+    relief: shotData.relief || null,
+    provisional: shotData.provisional || false,
+    // Club guessed from the shot distance, and whether the player has seen it
+    clubInferred: shotData.clubInferred || null,
+    clubConfidence: shotData.clubConfidence ?? null,
+    clubConfirmed: shotData.clubConfirmed ?? true,
+    playedAt: new Date().toISOString(),
+  };
+}
+
 /**
  * Update the landing position (to) for a previously cached shot.
  * Called when the player reaches the ball and we know where it landed.
@@ -342,7 +535,8 @@ export async function updateShotLanding(holeNumber, shotNumber, landingPosition,
       if (distanceActual != null) shots[index].distanceActual = distanceActual;
       if (distanceToTarget != null) shots[index].distanceToTarget = distanceToTarget;
       if (distanceOffline != null) shots[index].distanceOffline = distanceOffline;
-      await AsyncStorage.setItem(CACHE_KEY_ROUND_SHOTS, JSON.stringify(shots));
+      await writeRoundPart('shots', shots);
+      await syncHoleShots(holeNumber, shots);
       console.log('[RoundCache] Updated landing for shot', shotNumber, 'on hole', holeNumber);
     }
   } catch (error) {
@@ -352,12 +546,12 @@ export async function updateShotLanding(holeNumber, shotNumber, landingPosition,
 
 /**
  * Get all cached shots for the active round.
+ * @param {string|null} tempId - Cached round to read (default: the active one)
  * @returns {Promise<Array>} Array of shot objects
  */
-export async function getCachedShots() {
+export async function getCachedShots(tempId = null) {
   try {
-    const data = await AsyncStorage.getItem(CACHE_KEY_ROUND_SHOTS);
-    return data ? JSON.parse(data) : [];
+    return await readRoundPart('shots', [], tempId);
   } catch (error) {
     console.error('[RoundCache] Error getting cached shots:', error);
     return [];
@@ -375,13 +569,24 @@ export async function getCachedShotsForHole(holeNumber) {
 }
 
 /**
- * Get the next shot number for a hole (1-based).
+ * Get the next shot number for a hole (1-based), after any penalty strokes.
  * @param {number} holeNumber - Hole number
  * @returns {Promise<number>} Next shot number
  */
 export async function getNextShotNumber(holeNumber) {
   const holeShots = await getCachedShotsForHole(holeNumber);
-  return holeShots.length + 1;
+  return nextShotAfter(holeShots);
+}
+
+/**
+ * Get the number the hole's putts start at: the next shot after the
+ * shots to the green, ignoring putts already logged.
+ * @param {number} holeNumber - Hole number
+ * @returns {Promise<number>} First putt's shot number
+ */
+export async function getFirstPuttNumber(holeNumber) {
+  const holeShots = await getCachedShotsForHole(holeNumber);
+  return nextShotAfter(holeShots.filter(s => s.shotType !== 'putt'));
 }
 
 /**
@@ -397,26 +602,335 @@ export async function deleteCachedShot(holeNumber, shotNumber) {
       s => !(s.holeNumber === holeNumber && s.shotNumber === shotNumber)
     );
 
-    // Renumber remaining shots for this hole
-    const holeShots = shots.filter(s => s.holeNumber === holeNumber);
-    holeShots.sort((a, b) => a.shotNumber - b.shotNumber);
-    holeShots.forEach((s, i) => { s.shotNumber = i + 1; });
+    // Renumber remaining shots for this hole, keeping penalty strokes
+    renumberShots(shots.filter(s => s.holeNumber === holeNumber));
 
-    await AsyncStorage.setItem(CACHE_KEY_ROUND_SHOTS, JSON.stringify(shots));
+    await writeRoundPart('shots', shots);
+    await syncHoleShots(holeNumber, shots);
     console.log('[RoundCache] Deleted shot', shotNumber, 'on hole', holeNumber);
   } catch (error) {
     console.error('[RoundCache] Error deleting cached shot:', error);
   }
 }
 
+/**
+ * Settle a provisional ball once the original is found or given up on.
+ * Found: the provisional shots are removed and the original shot loses its
+ * penalty. Lost: the provisional becomes the ball in play.
+ *
+ * @param {number} holeNumber - Hole number
+ * @param {number} originalShotNumber - Shot the provisional was hit for
+ * @param {boolean} originalFound - Whether the original ball was found in bounds
+ * @param {string} foundResult - Result for the original when found
+ * @returns {Promise<Array>} Updated shots for the hole
+ */
+export async function resolveCachedProvisional(holeNumber, originalShotNumber, originalFound, foundResult) {
+  try {
+    const shots = await getCachedShots();
+    const holeShots = resolveProvisional(
+      shots.filter(s => s.holeNumber === holeNumber),
+      originalShotNumber,
+      originalFound,
+      foundResult
+    );
+    const updated = [...shots.filter(s => s.holeNumber !== holeNumber), ...holeShots];
+    await writeRoundPart('shots', updated);
+    await syncHoleShots(holeNumber, updated);
+    console.log('[RoundCache] Provisional on hole', holeNumber, originalFound ? 'discarded' : 'in play');
+    return holeShots;
+  } catch (error) {
+    console.error('[RoundCache] Error resolving provisional:', error);
+    return [];
+  }
+}
+
+// ============================================================================
+// PARTNER CACHING
+// ============================================================================
+
+/**
+ * Get the playing partners for the active round.
+ * @returns {Promise<Array>} Array of partner objects
+ */
+export async function getRoundPartners() {
+  try {
+    return await readRoundPart('partners', []);
+  } catch (error) {
+    console.error('[RoundCache] Error getting round partners:', error);
+    return [];
+  }
+}
+
+/**
+ * Add a playing partner to the active round. Partners are app users
+ * (userId set) or guests; either way their course and playing handicap
+ * are locked in from the round's tee and format.
+ *
+ * @param {Object} partner
+ * @param {string} partner.name - Display name
+ * @param {string|null} partner.userId - Linked app user's ID (null for guests)
+ * @param {number|null} partner.handicapIndex - Partner's index
+ * @returns {Promise<Array|null>} Updated partners, or null if the group is full
+ */
+export async function addRoundPartner({ name, userId = null, handicapIndex = null }) {
+  try {
+    const partners = await getRoundPartners();
+    if (partners.length >= MAX_ROUND_PARTNERS) {
+      console.warn('[RoundCache] Group is full, cannot add partner');
+      return null;
+    }
+    if (userId && partners.some(p => p.userId === userId)) {
+      return partners;
+    }
+
+    const round = await getActiveCachedRound();
+    const roundHandicap = round
+      ? calculateRoundHandicap({ handicapIndex, tee: buildCachedTee(round), format: round.scoringFormat })
+      : null;
+
+    const usedPositions = partners.map(p => p.position);
+    const position = [1, 2, 3].find(p => !usedPositions.includes(p));
+
+    partners.push({
+      id: `partner_${Date.now()}_${position}`,
+      position,
+      name,
+      userId,
+      handicapIndex,
+      courseHandicap: roundHandicap?.courseHandicap ?? null,
+      playingHandicap: roundHandicap?.playingHandicap ?? null,
+      scores: {},
+    });
+
+    await writeRoundPart('partners', partners);
+    console.log('[RoundCache] Added partner', name, 'at position', position);
+    return partners;
+  } catch (error) {
+    console.error('[RoundCache] Error adding round partner:', error);
+    return null;
+  }
+}
+
+/**
+ * Remove a playing partner (and their scores) from the active round.
+ * @param {string} partnerId - Partner's cache ID
+ * @returns {Promise<Array>} Updated partners
+ */
+export async function removeRoundPartner(partnerId) {
+  try {
+    const partners = (await getRoundPartners()).filter(p => p.id !== partnerId);
+    await writeRoundPart('partners', partners);
+    console.log('[RoundCache] Removed partner', partnerId);
+    return partners;
+  } catch (error) {
+    console.error('[RoundCache] Error removing round partner:', error);
+    return getRoundPartners();
+  }
+}
+
+/**
+ * Save (or clear, with a null score) a partner's score on a hole.
+ *
+ * @param {string} partnerId - Partner's cache ID
+ * @param {number} holeNumber - Hole number (1-18)
+ * @param {number|null} score - Strokes for the hole
+ * @returns {Promise<Array>} Updated partners
+ */
+export async function savePartnerHoleScore(partnerId, holeNumber, score) {
+  try {
+    const partners = await getRoundPartners();
+    const partner = partners.find(p => p.id === partnerId);
+    if (partner) {
+      if (score == null) delete partner.scores[holeNumber];
+      else partner.scores[holeNumber] = score;
+      await writeRoundPart('partners', partners);
+      console.log('[RoundCache] Saved partner', partner.position, 'score on hole', holeNumber);
+    }
+    return partners;
+  } catch (error) {
+    console.error('[RoundCache] Error saving partner score:', error);
+    return getRoundPartners();
+  }
+}
+
+/**
+ * Get the side game setup for the active round.
+ * @returns {Promise<Array>} Game configs ({ type, enabled, stake, ...options })
+ */
+export async function getSideGames() {
+  const round = await getActiveCachedRound();
+  return round?.sideGames || [];
+}
+
+/**
+ * Save the side game setup (games, stakes, wolf picks) for the active round.
+ * @param {Array} sideGames - Game configs
+ * @returns {Promise<void>}
+ */
+export async function saveSideGames(sideGames) {
+  try {
+    const round = await getActiveCachedRound();
+    if (round) {
+      round.sideGames = sideGames;
+      await writeRoundPart('round', round, round.tempId);
+      console.log('[RoundCache] Saved side games:', sideGames.map(g => g.type).join(', '));
+    }
+  } catch (error) {
+    console.error('[RoundCache] Error saving side games:', error);
+  }
+}
+
+/**
+ * Get today's pin positions for the active round.
+ * @returns {Promise<Object>} Pins keyed by hole number
+ */
+export async function getPinPositions() {
+  const round = await getActiveCachedRound();
+  return round?.pins || {};
+}
+
+/**
+ * Save pin positions for the active round. Pins are merged into the
+ * existing set; a null pin clears that hole back to the green center.
+ * @param {Object} pins - Pins keyed by hole number
+ * @returns {Promise<Object>} All pins for the round
+ */
+export async function savePinPositions(pins) {
+  try {
+    const round = await getActiveCachedRound();
+    if (!round) return pins;
+    const merged = { ...(round.pins || {}) };
+    Object.entries(pins).forEach(([holeNumber, pin]) => {
+      if (pin) merged[holeNumber] = pin;
+      else delete merged[holeNumber];
+    });
+    round.pins = merged;
+    await writeRoundPart('round', round, round.tempId);
+    console.log('[RoundCache] Saved pins for holes:', Object.keys(pins).join(', '));
+    return merged;
+  } catch (error) {
+    console.error('[RoundCache] Error saving pins:', error);
+    return getPinPositions();
+  }
+}
+
+/**
+ * Get the course and playing handicap snapshotted when the active round
+ * started, so a handicap update mid-round doesn't move anyone's strokes.
+ * @returns {Promise<{ courseHandicap: number|null, playingHandicap: number }|null>}
+ *   null when the round started without a handicap
+ */
+export async function getRoundHandicap() {
+  const round = await getActiveCachedRound();
+  if (round?.playingHandicap == null) return null;
+  return { courseHandicap: round.courseHandicap ?? null, playingHandicap: round.playingHandicap };
+}
+
+/**
+ * Get the transport mode shot detection uses for the active round.
+ * @returns {Promise<string>} 'auto' | 'walking' | 'cart'
+ */
+export async function getTransportMode() {
+  const round = await getActiveCachedRound();
+  return round?.transportMode || 'auto';
+}
+
+/**
+ * Save the transport mode for the active round (chosen in settings, or
+ * 'cart' once auto-detection sees driving speed).
+ * @param {string} transportMode - 'auto' | 'walking' | 'cart'
+ * @returns {Promise<void>}
+ */
+export async function saveTransportMode(transportMode) {
+  try {
+    const round = await getActiveCachedRound();
+    if (round) {
+      round.transportMode = transportMode;
+      await writeRoundPart('round', round, round.tempId);
+      console.log('[RoundCache] Saved transport mode:', transportMode);
+    }
+  } catch (error) {
+    console.error('[RoundCache] Error saving transport mode:', error);
+  }
+}
+
+/**
+ * Get the risk profile the planning engine uses for the active round.
+ * @returns {Promise<string>} 'protect' | 'balanced' | 'aggressive'
+ */
+export async function getRiskProfile() {
+  const round = await getActiveCachedRound();
+  return round?.riskProfile || 'balanced';
+}
+
+/**
+ * Save the risk profile for the active round (chosen in round settings).
+ * @param {string} riskProfile - 'protect' | 'balanced' | 'aggressive'
+ * @returns {Promise<void>}
+ */
+export async function saveRiskProfile(riskProfile) {
+  try {
+    const round = await getActiveCachedRound();
+    if (round) {
+      round.riskProfile = riskProfile;
+      await writeRoundPart('round', round, round.tempId);
+      console.log('[RoundCache] Saved risk profile:', riskProfile);
+    }
+  } catch (error) {
+    console.error('[RoundCache] Error saving risk profile:', error);
+  }
+}
+
+/**
+ * Totals for a partner against the round's holes: gross, net (strokes
+ * allocated by hole stroke index) and the format score.
+ *
+ * @param {Object} partner - Cached partner
+ * @param {Array} holes - Cached holes (par and handicapIndex per hole)
+ * @param {string} scoringFormat - Round's scoring format
+ * @param {number} roundLength - 18 or 9
+ * @returns {{ totalScore: number, netScore: number|null, formatScore: number|null, holesPlayed: number }}
+ */
+export function computePartnerTotals(partner, holes, scoringFormat = 'stroke', roundLength = 18) {
+  const holeInfo = {};
+  (holes || []).forEach(h => { holeInfo[h.holeNumber] = h; });
+
+  const partnerHoles = Object.entries(partner.scores || {}).map(([hole, score]) => ({
+    holeNumber: Number(hole),
+    score,
+    par: holeInfo[hole]?.par,
+    handicapIndex: holeInfo[hole]?.handicapIndex,
+  }));
+
+  const totalScore = partnerHoles.reduce((sum, h) => sum + (h.score || 0), 0);
+  let netScore = null;
+  if (partner.playingHandicap != null) {
+    const strokes = allocateHandicapStrokes(partner.playingHandicap, partnerHoles, roundLength);
+    netScore = partnerHoles.reduce((sum, h) => sum + h.score - (strokes[h.holeNumber] || 0), 0);
+  }
+
+  return {
+    totalScore,
+    netScore,
+    formatScore: computeFormatScore(scoringFormat, partnerHoles, partner.playingHandicap, roundLength).total,
+    holesPlayed: partnerHoles.length,
+  };
+}
+
 /**
  * Compute summary statistics from cached holes.
  * Same logic as roundService.completeRound but on local data.
  *
  * @param {Array} holes - Array of cached hole data
- * @returns {Object} Summary statistics
+ * @param {Object} options
+ * @param {string} options.scoringFormat - Round's scoring format (default 'stroke')
+ * @param {number|null} options.playingHandicap - Playing handicap for net formats
+ * @param {number|null} options.roundLength - 18 or 9, so strokes are allocated
+ *   for the whole round even when it ended early
+ * @returns {Object} Summary statistics, with formatScore (points or capped
+ *   strokes; null for stroke play) and per-hole holePoints
  */
-export function computeRoundStats(holes) {
+export function computeRoundStats(holes, { scoringFormat = 'stroke', playingHandicap = null, roundLength = null } = {}) {
   let totalScore = 0;
   let totalPutts = 0;
   let frontNine = 0;
@@ -449,6 +963,8 @@ export function computeRoundStats(holes) {
     }
   });
 
+  const formatResult = computeFormatScore(scoringFormat, holes || [], playingHandicap, roundLength);
+
   return {
     totalScore,
     totalPutts,
@@ -460,9 +976,154 @@ export function computeRoundStats(holes) {
     greensTotal: girTotal,
     holesPlayed: holes.length,
     scoreToPar: totalScore - totalPar,
+    scoringFormat: formatResult.format,
+    formatScore: formatResult.total,
+    holePoints: formatResult.holePoints,
   };
 }
 
+/**
+ * Final side game results for submission: the game setup plus each
+ * player's settlement. Null when no games were played.
+ *
+ * @param {Object} round - Cached round
+ * @param {Array} holes - Cached holes
+ * @param {Array} partners - Cached partners
+ * @returns {Object|null} { games, settlement }
+ */
+function summarizeSideGames(round, holes, partners) {
+  const games = (round.sideGames || []).filter(g => g.enabled !== false);
+  if (games.length === 0 || partners.length === 0) return null;
+
+  const scores = {};
+  holes.forEach((h) => { if (h.score != null) scores[h.holeNumber] = h.score; });
+  const gameHoles = [...holes]
+    .sort((a, b) => a.holeNumber - b.holeNumber)
+    .map(h => ({ holeNumber: h.holeNumber, par: h.par, handicapIndex: h.handicapIndex }));
+
+  const players = buildSideGamePlayers(
+    { name: 'You', scores, playingHandicap: round.playingHandicap ?? null, courseHandicap: round.courseHandicap ?? null },
+    partners,
+    gameHoles
+  );
+  const results = computeSideGames(games, players, gameHoles);
+  return { games, settlement: combineSettlements(results, players) };
+}
+
+// ============================================================================
+// SUBMISSION FORMAT (shared by the sync queue and end-of-round upload)
+// ============================================================================
+
+function toSubmissionRound(round, holes, partners) {
+  return {
+    tempId: round.tempId,
+    dbRoundId: round.dbRoundId,
+    userId: round.userId,
+    courseId: round.courseId,
+    teeBoxId: round.teeBoxId,
+    status: 'completed',
+    startedAt: round.startedAt,
+    completedAt: new Date().toISOString(),
+    teeColor: round.teeColor,
+    teeYardage: round.teeYardage,
+    teeRating: round.teeRating,
+    teeSlope: round.teeSlope,
+    coursePar: round.coursePar,
+    roundLength: round.roundLength || 18,
+    ninePlayed: round.ninePlayed || null,
+    handicapIndex: round.handicapIndex ?? null,
+    courseHandicap: round.courseHandicap ?? null,
+    playingHandicap: round.playingHandicap ?? null,
+    sideGames: summarizeSideGames(round, holes, partners),
+    weatherTempF: round.weatherTempF,
+    weatherWindMph: round.weatherWindMph,
+    weatherCondition: round.weatherCondition,
+  };
+}
+
+function toSubmissionHole(h, round, holePoints = {}) {
+  return {
+    holeNumber: h.holeNumber,
+    score: h.score,
+    putts: h.putts,
+    fairwayHit: h.fairwayHit,
+    gir: h.gir,
+    par: h.par,
+    yardage: h.yardage,
+    handicapIndex: h.handicapIndex,
+    penalties: h.penalties,
+    formatPoints: holePoints[h.holeNumber] ?? null,
+    pinLat: round.pins?.[h.holeNumber]?.latitude ?? null,
+    pinLon: round.pins?.[h.holeNumber]?.longitude ?? null,
+    pinSource: round.pins?.[h.holeNumber]?.source ?? null,
+  };
+}
+
+function toSubmissionShot(s) {
+  return {
+    holeNumber: s.holeNumber,
+    shotNumber: s.shotNumber,
+    fromLat: s.from?.latitude || null,
+    fromLon: s.from?.longitude || null,
+    fromElevation: s.from?.elevation || null,
+    toLat: s.to?.latitude || null,
+    toLon: s.to?.longitude || null,
+    toElevation: s.to?.elevation || null,
+    targetLat: s.target?.latitude || null,
+    targetLon: s.target?.longitude || null,
+    club: s.club,
+    lieType: s.lieType,
+    result: s.result,
+    distanceActual: s.distanceActual,
+    distancePlanned: s.distancePlanned,
+    distanceToTarget: s.distanceToTarget,
+    distanceOffline: s.distanceOffline,
+    windSpeed: s.windSpeed,
+    windDirection: s.windDirection,
+    temperatureF: s.temperatureF,
+    effectiveDistance: s.effectiveDistance,
+    shotFeel: s.shotFeel || null,
+    feltGood: s.feltGood ?? null,
+    shotType: s.shotType || 'full',
+    puttDistanceFt: s.puttDistanceFt ?? null,
+    leaveDistanceFt: s.leaveDistanceFt ?? null,
+    puttMade: s.puttMade ?? null,
+    penaltyStrokes: s.penaltyStrokes || 0,
+    relief: s.relief || null,
+    clubInferred: s.clubInferred || null,
+    clubConfidence: s.clubConfidence ?? null,
+    clubConfirmed: s.clubConfirmed ?? true,
+    playedAt: s.playedAt,
+  };
+}
+
+/**
+ * Run a sync queue call without letting a storage error break caching.
+ */
+async function runSync(enqueue) {
+  try {
+    await enqueue();
+  } catch (error) {
+    console.warn('[RoundCache] Could not queue change for upload:', error);
+  }
+}
+
+/**
+ * Queue a hole's shots for upload after any change to them. Provisional
+ * balls wait until they're settled.
+ *
+ * @param {number} holeNumber - Hole number
+ * @param {Array} shots - All cached shots (after the change)
+ */
+async function syncHoleShots(holeNumber, shots) {
+  const round = await getActiveCachedRound();
+  if (!round?.tempId) return;
+  const holeShots = shots
+    .filter(s => s.holeNumber === holeNumber && !s.provisional)
+    .map(toSubmissionShot);
+  await runSync(() => enqueueHoleShots(round.tempId, holeNumber, holeShots));
+}
+
 /**
  * Get all cached round data formatted for database submission.
  * This prepares the data structure needed by roundService.
@@ -474,93 +1135,80 @@ export async function getCacheDataForSubmission() {
   const holes = await getCachedHoles();
   const aiPlans = await getAllCachedAIPlans();
   const shots = await getCachedShots();
-  const stats = computeRoundStats(holes);
-
+  const partners = await getRoundPartners();
   if (!round) {
     return null;
   }
 
+  const stats = computeRoundStats(holes, {
+    scoringFormat: round.scoringFormat,
+    playingHandicap: round.playingHandicap ?? null,
+    roundLength: round.roundLength || 18,
+  });
+  const { holePoints, ...roundStats } = stats;
+
   return {
     round: {
-      tempId: round.tempId,
-      dbRoundId: round.dbRoundId,
-      userId: round.userId,
-      courseId: round.courseId,
-      teeBoxId: round.teeBoxId,
-      status: 'completed',
-      startedAt: round.startedAt,
-      completedAt: new Date().toISOString(),
-      teeColor: round.teeColor,
-      teeYardage: round.teeYardage,
-      teeRating: round.teeRating,
-      teeSlope: round.teeSlope,
-      coursePar: round.coursePar,
-      weatherTempF: round.weatherTempF,
-      weatherWindMph: round.weatherWindMph,
-      weatherCondition: round.weatherCondition,
-      ...stats,
+      ...toSubmissionRound(round, holes, partners),
+      ...roundStats,
     },
-    holes: holes.map(h => ({
-      holeNumber: h.holeNumber,
-      score: h.score,
-      putts: h.putts,
-      fairwayHit: h.fairwayHit,
-      gir: h.gir,
-      par: h.par,
-      yardage: h.yardage,
-      handicapIndex: h.handicapIndex,
-      penalties: h.penalties,
-    })),
-    shots: shots.map(s => ({
-      holeNumber: s.holeNumber,
-      shotNumber: s.shotNumber,
-      fromLat: s.from?.latitude || null,
-      fromLon: s.from?.longitude || null,
-      fromElevation: s.from?.elevation || null,
-      toLat: s.to?.latitude || null,
-      toLon: s.to?.longitude || null,
-      toElevation: s.to?.elevation || null,
-      targetLat: s.target?.latitude || null,
-      targetLon: s.target?.longitude || null,
-      club: s.club,
-      lieType: s.lieType,
-      result: s.result,
-      distanceActual: s.distanceActual,
-      distancePlanned: s.distancePlanned,
-      distanceToTarget: s.distanceToTarget,
-      distanceOffline: s.distanceOffline,
-      windSpeed: s.windSpeed,
-      windDirection: s.windDirection,
-      temperatureF: s.temperatureF,
-      effectiveDistance: s.effectiveDistance,
-      shotFeel: s.shotFeel || null,
-      feltGood: s.feltGood ?? null,
-      playedAt: s.playedAt,
+    holes: holes.map(h => toSubmissionHole(h, round, holePoints)),
+    shots: shots.map(toSubmissionShot),
+    partners: partners.map(p => ({
+      position: p.position,
+      name: p.name,
+      userId: p.userId || null,
+      handicapIndex: p.handicapIndex ?? null,
+      courseHandicap: p.courseHandicap ?? null,
+      playingHandicap: p.playingHandicap ?? null,
+      ...computePartnerTotals(p, holes, round.scoringFormat, round.roundLength || 18),
+      holes: Object.entries(p.scores || {}).map(([hole, score]) => ({
+        holeNumber: Number(hole),
+        score,
+      })),
     })),
     aiPlans,
   };
 }
 
 /**
- * Clear all cached round data.
- * Called after successful submission to database or when abandoning a round.
+ * Clear a cached round's data (the active round unless a temp ID is given).
+ * Called once a finished round is handed to the sync queue, or when a
+ * round is discarded.
  *
+ * @param {string|null} tempId - Cached round to clear
  * @returns {Promise<void>}
  */
-export async function clearRoundCache() {
+export async function clearRoundCache(tempId = null) {
   try {
-    await AsyncStorage.multiRemove([
-      CACHE_KEY_ACTIVE_ROUND,
-      CACHE_KEY_ROUND_HOLES,
-      CACHE_KEY_AI_PLANS,
-      CACHE_KEY_ROUND_SHOTS,
-    ]);
-    console.log('[RoundCache] Cache cleared');
+    const activeId = await getActiveTempId();
+    const id = tempId || activeId;
+    if (!id) return;
+
+    await AsyncStorage.multiRemove(ROUND_PARTS.map(part => roundKey(id, part)));
+    const index = await readIndex();
+    await AsyncStorage.setItem(CACHE_KEY_ROUND_INDEX, JSON.stringify(index.filter(t => t !== id)));
+    if (id === activeId) {
+      await AsyncStorage.removeItem(CACHE_KEY_ACTIVE_ROUND_ID);
+    }
+    console.log('[RoundCache] Cache cleared:', id);
   } catch (error) {
     console.error('[RoundCache] Error clearing cache:', error);
   }
 }
 
+/**
+ * Discard an unfinished cached round: it's removed from the device and,
+ * if it reached the server, marked abandoned there.
+ *
+ * @param {string} tempId - Cached round temp ID
+ * @returns {Promise<void>}
+ */
+export async function discardCachedRound(tempId) {
+  await runSync(() => enqueueRoundAbandon(tempId));
+  await clearRoundCache(tempId);
+}
+
 /**
  * Check if there's a resumable round in the cache.
  * Returns true if there's an in-progress round that hasn't been synced.
@@ -572,15 +1220,217 @@ export async function hasResumableRound() {
   return round !== null && round.status === 'in_progress';
 }
 
+/**
+ * Make a cached round the active one, for resuming it.
+ *
+ * @param {string} tempId - Cached round temp ID
+ * @returns {Promise<Object|null>} The round, or null if it isn't cached
+ */
+export async function setActiveCachedRound(tempId) {
+  try {
+    const round = await getCachedRound(tempId);
+    if (!round) return null;
+    await AsyncStorage.setItem(CACHE_KEY_ACTIVE_ROUND_ID, tempId);
+    console.log('[RoundCache] Active round:', tempId);
+    return round;
+  } catch (error) {
+    console.error('[RoundCache] Error switching active round:', error);
+    return null;
+  }
+}
+
+/**
+ * Resume info for every cached round, most recently started first.
+ *
+ * @returns {Promise<Array>} getResumeInfo objects, with isActive set on the active round
+ */
+export async function listCachedRounds() {
+  try {
+    const activeId = await getActiveTempId();
+    const index = await readIndex();
+    const rounds = [];
+    for (const tempId of index) {
+      const info = await getResumeInfo(tempId);
+      if (info) rounds.push({ ...info, isActive: tempId === activeId });
+    }
+    return rounds.sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+  } catch (error) {
+    console.error('[RoundCache] Error listing cached rounds:', error);
+    return [];
+  }
+}
+
+// ============================================================================
+// SERVER CONFLICTS
+// ============================================================================
+
+function fromServerHole(h) {
+  return {
+    holeNumber: h.hole_number,
+    score: h.score,
+    putts: h.putts ?? null,
+    fairwayHit: h.fairway_hit ?? null,
+    gir: h.gir ?? null,
+    par: h.par,
+    yardage: h.yardage,
+    handicapIndex: h.handicap_index,
+    penalties: h.penalties ?? 0,
+    savedAt: h.updated_at || null,
+  };
+}
+
+function sameHoleScore(local, server) {
+  return local.score === server.score &&
+    (local.putts ?? null) === (server.putts ?? null) &&
+    (local.fairwayHit ?? null) === (server.fairway_hit ?? null) &&
+    (local.gir ?? null) === (server.gir ?? null) &&
+    (local.penalties ?? 0) === (server.penalties ?? 0);
+}
+
+/**
+ * Merge a round's hole scores from the server into the cached ones.
+ *
+ * A hole the device has already uploaded (nothing queued for it) but
+ * that differs on the server was changed elsewhere afterwards, so the
+ * server's score wins. A hole with a local change still waiting to
+ * upload keeps whichever edit is newer. Holes only one side has are kept.
+ *
+ * @param {Array} localHoles - Cached holes
+ * @param {Array} serverHoles - round_holes rows
+ * @param {Array} queuedHoleNumbers - Holes with a local change not yet uploaded
+ * @returns {{ holes: Array, fromServer: Array<number> }} Merged holes, and
+ *   the hole numbers taken from the server
+ */
+export function mergeServerHoles(localHoles, serverHoles, queuedHoleNumbers = []) {
+  const queued = new Set(queuedHoleNumbers);
+  const holes = [...(localHoles || [])];
+  const fromServer = [];
+
+  (serverHoles || []).forEach((server) => {
+    const index = holes.findIndex(h => h.holeNumber === server.hole_number);
+    const local = holes[index];
+    if (local && sameHoleScore(local, server)) return;
+
+    const localIsNewer = local && queued.has(server.hole_number) &&
+      new Date(local.savedAt || 0) >= new Date(server.updated_at || 0);
+    if (localIsNewer) return;
+
+    if (index >= 0) holes[index] = fromServerHole(server);
+    else holes.push(fromServerHole(server));
+    fromServer.push(server.hole_number);
+  });
+
+  holes.sort((a, b) => a.holeNumber - b.holeNumber);
+  return { holes, fromServer };
+}
+
+/**
+ * Bring a cached round in line with its copy on the server, which may
+ * have been played on from another device. Needs signal; without it the
+ * cache is left as-is.
+ *
+ * @param {string} tempId - Cached round temp ID
+ * @returns {Promise<Object>} { data: { action, fromServer, status, unsyncedHoles }, error }.
+ *   action is 'unchanged', 'merged' (holes taken from the server) or
+ *   'server_finished' (completed or abandoned elsewhere; the cached copy is removed).
+ *   unsyncedHoles lists holes scored on this phone that never uploaded
+ *   and went with the cached copy, so the player can be told
+ */
+export async function reconcileCachedRound(tempId) {
+  try {
+    const syncStatus = await getSyncStatus();
+    const dbRoundId = syncStatus[tempId]?.dbRoundId;
+    if (!dbRoundId) {
+      return { data: { action: 'unchanged', fromServer: [], status: null, unsyncedHoles: [] }, error: null };
+    }
+
+    const { data: serverRound, error } = await fetchRoundDetail(dbRoundId);
+    if (error || !serverRound) {
+      return { data: null, error: error || 'Round not found on server' };
+    }
+
+    if (serverRound.status !== 'in_progress') {
+      // The round is closed on the server, so there's nothing left to upload these to
+      const unsyncedHoles = [...new Set(await getQueuedHoleNumbers(tempId))].sort((a, b) => a - b);
+      await forgetSyncedRound(tempId);
+      await clearRoundCache(tempId);
+      console.log('[RoundCache] Round', tempId, 'was', serverRound.status, 'on another device',
+        unsyncedHoles.length > 0 ? `(dropped unsynced holes ${unsyncedHoles.join(', ')})` : '');
+      return {
+        data: { action: 'server_finished', fromServer: [], status: serverRound.status, unsyncedHoles },
+        error: null,
+      };
+    }
+
+    const localHoles = await getCachedHoles(tempId);
+    const queued = await getQueuedHoleNumbers(tempId);
+    const { holes, fromServer } = mergeServerHoles(localHoles, serverRound.holes, queued);
+
+    if (fromServer.length > 0) {
+      await writeRoundPart('holes', holes, tempId);
+      await dropQueuedHoles(tempId, fromServer);
+
+      const round = await getCachedRound(tempId);
+      if (round) {
+        const lastHole = Math.max(...holes.map(h => h.holeNumber));
+        round.holesPlayed = holes.length;
+        round.currentHole = Math.max(round.currentHole || 1, lastHole + 1);
+        await writeRoundPart('round', round, tempId);
+      }
+      console.log('[RoundCache] Took holes', fromServer.join(', '), 'from the server for', tempId);
+    }
+
+    return {
+      data: {
+        action: fromServer.length > 0 ? 'merged' : 'unchanged',
+        fromServer,
+        status: serverRound.status,
+        unsyncedHoles: [],
+      },
+      error: null,
+    };
+  } catch (error) {
+    console.error('[RoundCache] Error reconciling round with server:', error);
+    return { data: null, error: error.message };
+  }
+}
+
+/**
+ * Reconstruct the selected tee object from a cached round's snapshot.
+ *
+ * @param {Object} round - Cached round
+ * @returns {Object} Tee in the shape TeeSelectionScreen produces
+ */
+function buildCachedTee(round) {
+  return {
+    id: round.teeBoxId,
+    color: round.teeColor,
+    name: round.teeColor,
+    yardage: round.teeYardage,
+    rating: round.teeRating,
+    slope: round.teeSlope,
+    nine: round.ninePlayed || null,
+    scoringFormat: round.scoringFormat || 'stroke',
+    transportMode: round.transportMode || 'auto',
+    // Cached rating/slope/par are already the played nine's values
+    ...(round.ninePlayed ? {
+      [`${round.ninePlayed}Rating`]: round.teeRating,
+      [`${round.ninePlayed}Slope`]: round.teeSlope,
+      [`${round.ninePlayed}Par`]: round.coursePar,
+    } : { parTotal: round.coursePar }),
+  };
+}
+
 /**
  * Get resume data for displaying "Continue Round" UI.
  *
+ * @param {string|null} tempId - Cached round (default: the active one)
  * @returns {Promise<Object|null>} Resume info or null
  */
-export async function getResumeInfo() {
-  const round = await getActiveCachedRound();
-  const holes = await getCachedHoles();
-  const shots = await getCachedShots();
+export async function getResumeInfo(tempId = null) {
+  const round = await getCachedRound(tempId);
+  const holes = await getCachedHoles(tempId);
+  const shots = await getCachedShots(tempId);
 
   if (!round) {
     return null;
@@ -604,14 +1454,8 @@ export async function getResumeInfo() {
       city: round.courseCity,
       state: round.courseState,
     },
-    tee: {
-      id: round.teeBoxId,
-      color: round.teeColor,
-      name: round.teeColor,
-      yardage: round.teeYardage,
-      rating: round.teeRating,
-      slope: round.teeSlope,
-    },
+    tee: buildCachedTee(round),
+    playingHandicap: round.playingHandicap ?? null,
     holes: holes.map(h => ({
       hole: h.holeNumber,
       score: h.score,
@@ -5,6 +5,8 @@
  */
 
 import { supabase } from '../config/supabase';
+import { SCORING_FORMATS, formatUsesPoints } from '../utils/scoringFormats';
+import { getRoundLength } from '../utils/handicapUtils';
 
 /**
  * Create a new round when the player starts playing.
@@ -23,6 +25,7 @@ export async function createRound(userId, course, tee, weather = {}) {
       tee_rating: tee.rating,
       tee_slope: tee.slope,
       course_par: tee.parTotal || null,
+      scoring_format: tee.scoringFormat || 'stroke',
       weather_temp_f: weather.temp_f || null,
       weather_wind_mph: weather.wind_mph || null,
       weather_condition: weather.condition || null,
@@ -173,16 +176,21 @@ export async function abandonRound(roundId) {
 
 /**
  * Fetch completed rounds for the current user, most recent first.
+ * Pass options.format to only return rounds of one scoring format.
  */
-export async function fetchRoundHistory(userId, limit = 20, offset = 0) {
-  const { data, error } = await supabase
+export async function fetchRoundHistory(userId, limit = 20, offset = 0, { format = null } = {}) {
+  let query = supabase
     .from('rounds')
     .select(`
       *,
       course:Courses(id, name, city, state)
     `)
     .eq('user_id', userId)
-    .eq('status', 'completed')
+    .eq('status', 'completed');
+
+  if (format) query = query.eq('scoring_format', format);
+
+  const { data, error } = await query
     .order('started_at', { ascending: false })
     .range(offset, offset + limit - 1);
 
@@ -252,45 +260,165 @@ export async function fetchInProgressRound(userId) {
   return { data, error: null };
 }
 
+/**
+ * Fetch group rounds other players have shared with the user that are
+ * waiting for them to accept. They don't count toward history, stats or
+ * handicap until accepted.
+ */
+export async function fetchPendingGroupRounds(userId) {
+  const { data, error } = await supabase
+    .from('rounds')
+    .select(`
+      *,
+      course:Courses(id, name, city, state)
+    `)
+    .eq('user_id', userId)
+    .eq('status', 'pending_confirmation')
+    .order('started_at', { ascending: false });
+
+  if (error) {
+    console.error('Error fetching shared rounds:', error.message);
+    return { data: [], error: error.message };
+  }
+  return { data: data || [], error: null };
+}
+
+/**
+ * Accept a shared group round into the user's history, or decline it.
+ * A declined round is deleted and not shared with the user again.
+ *
+ * @param {string} roundId - The user's pending copy of the round
+ * @param {boolean} accept - true to accept, false to decline
+ * @returns {Object} { error: string|null }
+ */
+export async function respondToGroupRound(roundId, accept) {
+  const { error } = await supabase
+    .rpc('respond_to_group_round', { p_round_id: roundId, p_accept: accept });
+
+  if (error) {
+    console.error('Error responding to shared round:', error.message);
+    return { error: error.message };
+  }
+  return { error: null };
+}
+
+// ============================================================================
+// ROW MAPPING (cached round → database rows)
+// ============================================================================
+
+function toRoundRow(roundData, status = 'completed') {
+  return {
+    user_id: roundData.userId,
+    course_id: roundData.courseId,
+    tee_box_id: roundData.teeBoxId || null,
+    status,
+    started_at: roundData.startedAt,
+    completed_at: status === 'completed' ? (roundData.completedAt || new Date().toISOString()) : null,
+    tee_color: roundData.teeColor,
+    tee_yardage: roundData.teeYardage,
+    tee_rating: roundData.teeRating,
+    tee_slope: roundData.teeSlope,
+    course_par: roundData.coursePar || null,
+    weather_temp_f: roundData.weatherTempF || null,
+    weather_wind_mph: roundData.weatherWindMph || null,
+    weather_condition: roundData.weatherCondition || null,
+    total_score: roundData.totalScore,
+    total_putts: roundData.totalPutts,
+    front_nine_score: roundData.frontNineScore,
+    back_nine_score: roundData.backNineScore,
+    fairways_hit: roundData.fairwaysHit,
+    fairways_total: roundData.fairwaysTotal,
+    greens_in_reg: roundData.greensInReg,
+    greens_total: roundData.greensTotal,
+    holes_played: roundData.holesPlayed,
+    score_to_par: roundData.scoreToPar,
+    round_length: roundData.roundLength || 18,
+    nine_played: roundData.ninePlayed || null,
+    handicap_index: roundData.handicapIndex ?? null,
+    course_handicap: roundData.courseHandicap ?? null,
+    playing_handicap: roundData.playingHandicap ?? null,
+    scoring_format: roundData.scoringFormat || 'stroke',
+    format_score: roundData.formatScore ?? null,
+    side_games: roundData.sideGames ?? null,
+  };
+}
+
+function toHoleRow(roundId, h) {
+  return {
+    round_id: roundId,
+    hole_number: h.holeNumber,
+    score: h.score,
+    putts: h.putts ?? null,
+    fairway_hit: h.fairwayHit ?? null,
+    gir: h.gir ?? null,
+    par: h.par,
+    yardage: h.yardage,
+    handicap_index: h.handicapIndex,
+    penalties: h.penalties ?? 0,
+    format_points: h.formatPoints ?? null,
+    pin_latitude: h.pinLat ?? null,
+    pin_longitude: h.pinLon ?? null,
+    pin_source: h.pinSource ?? null,
+  };
+}
+
+function toShotRow(roundId, s) {
+  return {
+    round_id: roundId,
+    hole_number: s.holeNumber,
+    shot_number: s.shotNumber,
+    from_lat: s.fromLat,
+    from_lon: s.fromLon,
+    from_elevation: s.fromElevation || null,
+    to_lat: s.toLat || null,
+    to_lon: s.toLon || null,
+    to_elevation: s.toElevation || null,
+    target_lat: s.targetLat || null,
+    target_lon: s.targetLon || null,
+    club: s.club ?? null,
+    lie_type: s.lieType || 'fairway',
+    result: s.result || null,
+    distance_actual: s.distanceActual || null,
+    distance_planned: s.distancePlanned || null,
+    distance_to_target: s.distanceToTarget || null,
+    distance_offline: s.distanceOffline || null,
+    wind_speed: s.windSpeed || null,
+    wind_direction: s.windDirection || null,
+    temperature_f: s.temperatureF || null,
+    effective_distance: s.effectiveDistance || null,
+    shot_feel: s.shotFeel || null,
+    felt_good: s.feltGood ?? null,
+    shot_type: s.shotType || 'full',
+    putt_distance_ft: s.puttDistanceFt ?? null,
+    leave_distance_ft: s.leaveDistanceFt ?? null,
+    putt_made: s.puttMade ?? null,
+    penalty_strokes: s.penaltyStrokes || 0,
+    penalty_relief: s.relief || null,
+    club_inferred: s.clubInferred || null,
+    club_confidence: s.clubConfidence ?? null,
+    club_confirmed: s.clubConfirmed ?? !s.clubInferred,
+    detection_method: s.detectionMethod || 'manual',
+    played_at: s.playedAt || new Date().toISOString(),
+  };
+}
+
 /**
  * Submit a complete round with all holes in a batch operation.
  * Used when submitting a locally-cached round to the database.
  *
  * @param {Object} roundData - The round metadata and computed stats
  * @param {Array} holesData - Array of hole scores
+ * @param {Array} shotsData - Array of shots
+ * @param {Array} partnersData - Playing partners with totals and hole scores.
+ *   Partners linked to an app user get a copy of the round in their history.
  * @returns {Object} { data: round, error: string|null }
  */
-export async function submitCompleteRound(roundData, holesData, shotsData = []) {
+export async function submitCompleteRound(roundData, holesData, shotsData = [], partnersData = []) {
   try {
     // First, create the round record
     const { data: round, error: roundError } = await supabase
       .from('rounds')
-      .insert({
-        user_id: roundData.userId,
-        course_id: roundData.courseId,
-        tee_box_id: roundData.teeBoxId || null,
-        status: 'completed',
-        started_at: roundData.startedAt,
-        completed_at: roundData.completedAt || new Date().toISOString(),
-        tee_color: roundData.teeColor,
-        tee_yardage: roundData.teeYardage,
-        tee_rating: roundData.teeRating,
-        tee_slope: roundData.teeSlope,
-        course_par: roundData.coursePar || null,
-        weather_temp_f: roundData.weatherTempF || null,
-        weather_wind_mph: roundData.weatherWindMph || null,
-        weather_condition: roundData.weatherCondition || null,
-        total_score: roundData.totalScore,
-        total_putts: roundData.totalPutts,
-        front_nine_score: roundData.frontNineScore,
-        back_nine_score: roundData.backNineScore,
-        fairways_hit: roundData.fairwaysHit,
-        fairways_total: roundData.fairwaysTotal,
-        greens_in_reg: roundData.greensInReg,
-        greens_total: roundData.greensTotal,
-        holes_played: roundData.holesPlayed,
-        score_to_par: roundData.scoreToPar,
-      })
+      .insert(toRoundRow(roundData))
       .select()
       .single();
 
@@ -301,18 +429,7 @@ export async function submitCompleteRound(roundData, holesData, shotsData = [])
 
     // Now insert all holes with the round ID
     if (holesData && holesData.length > 0) {
-      const holesWithRoundId = holesData.map(h => ({
-        round_id: round.id,
-        hole_number: h.holeNumber,
-        score: h.score,
-        putts: h.putts ?? null,
-        fairway_hit: h.fairwayHit ?? null,
-        gir: h.gir ?? null,
-        par: h.par,
-        yardage: h.yardage,
-        handicap_index: h.handicapIndex,
-        penalties: h.penalties ?? 0,
-      }));
+      const holesWithRoundId = holesData.map(h => toHoleRow(round.id, h));
 
       const { error: holesError } = await supabase
         .from('round_holes')
@@ -328,33 +445,7 @@ export async function submitCompleteRound(roundData, holesData, shotsData = [])
 
     // Insert all shots with the round ID
     if (shotsData && shotsData.length > 0) {
-      const shotsWithRoundId = shotsData.map(s => ({
-        round_id: round.id,
-        hole_number: s.holeNumber,
-        shot_number: s.shotNumber,
-        from_lat: s.fromLat,
-        from_lon: s.fromLon,
-        from_elevation: s.fromElevation || null,
-        to_lat: s.toLat || null,
-        to_lon: s.toLon || null,
-        to_elevation: s.toElevation || null,
-        target_lat: s.targetLat || null,
-        target_lon: s.targetLon || null,
-        club: s.club,
-        lie_type: s.lieType || 'fairway',
-        result: s.result || null,
-        distance_actual: s.distanceActual || null,
-        distance_planned: s.distancePlanned || null,
-        distance_to_target: s.distanceToTarget || null,
-        distance_offline: s.distanceOffline || null,
-        wind_speed: s.windSpeed || null,
-        wind_direction: s.windDirection || null,
-        temperature_f: s.temperatureF || null,
-        effective_distance: s.effectiveDistance || null,
-        shot_feel: s.shotFeel || null,
-        felt_good: s.feltGood ?? null,
-        played_at: s.playedAt || new Date().toISOString(),
-      }));
+      const shotsWithRoundId = shotsData.map(s => toShotRow(round.id, s));
 
       const { error: shotsError } = await supabase
         .from('round_shots')
@@ -369,6 +460,15 @@ export async function submitCompleteRound(roundData, holesData, shotsData = [])
       console.log(`Inserted ${shotsWithRoundId.length} shots for round ${round.id}`);
     }
 
+    // Insert playing partners and their hole scores
+    if (partnersData && partnersData.length > 0) {
+      const partnersError = await saveRoundPartners(round.id, partnersData);
+      if (partnersError) {
+        console.error('Error inserting partners in batch submit:', partnersError);
+        return { data: round, error: `Round created but partners failed: ${partnersError}` };
+      }
+    }
+
     console.log('Batch round submission complete:', round.id);
     return { data: round, error: null };
   } catch (err) {
@@ -377,21 +477,220 @@ export async function submitCompleteRound(roundData, holesData, shotsData = [])
   }
 }
 
+// ============================================================================
+// INCREMENTAL SYNC (see syncQueueService)
+// ============================================================================
+// Each call is idempotent so the sync queue can retry it after a dropped
+// connection: the round is keyed by the device's temp ID (client_id),
+// holes by (round_id, hole_number) and shots by (round_id, hole_number,
+// shot_number).
+
+/**
+ * Create or update a round from the device's cache.
+ *
+ * @param {string} clientId - Temp ID of the cached round
+ * @param {Object} roundData - Round metadata and stats (getCacheDataForSubmission shape)
+ * @param {string} status - 'in_progress' | 'completed' | 'abandoned'
+ * @returns {Object} { data: round, error: string|null }
+ */
+export async function upsertSyncedRound(clientId, roundData, status = 'in_progress') {
+  const { data, error } = await supabase
+    .from('rounds')
+    .upsert({ ...toRoundRow(roundData, status), client_id: clientId }, { onConflict: 'client_id' })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error syncing round:', error.message);
+    return { data: null, error: error.message };
+  }
+  return { data, error: null };
+}
+
+/**
+ * Mark a synced round completed with its final stats, and save its
+ * playing partners.
+ *
+ * @param {string} clientId - Temp ID of the cached round
+ * @param {Object} roundData - Round metadata and final stats
+ * @param {Array} partnersData - Playing partners with totals and hole scores
+ * @returns {Object} { data: round, error: string|null }
+ */
+export async function completeSyncedRound(clientId, roundData, partnersData = []) {
+  const { data: round, error } = await upsertSyncedRound(clientId, roundData, 'completed');
+  if (error) return { data: null, error };
+
+  if (partnersData.length > 0) {
+    const partnersError = await saveRoundPartners(round.id, partnersData);
+    if (partnersError) return { data: null, error: partnersError };
+  }
+
+  return { data: round, error: null };
+}
+
+/**
+ * Insert or update hole scores for a synced round.
+ *
+ * @param {string} roundId - Round ID
+ * @param {Array} holesData - Holes (getCacheDataForSubmission shape)
+ * @returns {Object} { error: string|null }
+ */
+export async function upsertRoundHoles(roundId, holesData) {
+  const { error } = await supabase
+    .from('round_holes')
+    .upsert(holesData.map(h => toHoleRow(roundId, h)), { onConflict: 'round_id,hole_number' });
+
+  if (error) {
+    console.error('Error syncing holes:', error.message);
+    return { error: error.message };
+  }
+  return { error: null };
+}
+
+/**
+ * Insert or update shots for a synced round.
+ *
+ * @param {string} roundId - Round ID
+ * @param {Array} shotsData - Shots (getCacheDataForSubmission shape)
+ * @returns {Object} { error: string|null }
+ */
+export async function upsertRoundShots(roundId, shotsData) {
+  const { error } = await supabase
+    .from('round_shots')
+    .upsert(shotsData.map(s => toShotRow(roundId, s)), { onConflict: 'round_id,hole_number,shot_number' });
+
+  if (error) {
+    console.error('Error syncing shots:', error.message);
+    return { error: error.message };
+  }
+  return { error: null };
+}
+
+/**
+ * Remove a hole's synced shots that no longer exist on the device
+ * (deleted, renumbered, or a discarded provisional).
+ *
+ * @param {string} roundId - Round ID
+ * @param {number} holeNumber - Hole number
+ * @param {Array<number>} keepShotNumbers - Shot numbers still on the device
+ * @returns {Object} { error: string|null }
+ */
+export async function deleteRoundShotsExcept(roundId, holeNumber, keepShotNumbers) {
+  let query = supabase
+    .from('round_shots')
+    .delete()
+    .eq('round_id', roundId)
+    .eq('hole_number', holeNumber);
+  if (keepShotNumbers.length > 0) {
+    query = query.not('shot_number', 'in', `(${keepShotNumbers.join(',')})`);
+  }
+
+  const { error } = await query;
+  if (error) {
+    console.error('Error removing synced shots:', error.message);
+    return { error: error.message };
+  }
+  return { error: null };
+}
+
+/**
+ * Save a round's playing partners and their hole scores, then copy the
+ * round to partners who are app users. Every step is keyed so a retry
+ * after a partial failure picks up where it stopped: partners by
+ * (round_id, position), their holes by (partner_id, hole_number), and
+ * share_group_round skips partners already given a copy.
+ *
+ * @param {string} roundId - Scorer's round ID
+ * @param {Array} partnersData - Partners from the round cache
+ * @returns {Promise<string|null>} Error message, or null on success
+ */
+async function saveRoundPartners(roundId, partnersData) {
+  const { data: partners, error: partnersError } = await supabase
+    .from('round_partners')
+    .upsert(partnersData.map(p => ({
+      round_id: roundId,
+      position: p.position,
+      partner_user_id: p.userId || null,
+      partner_name: p.name,
+      handicap_index: p.handicapIndex ?? null,
+      course_handicap: p.courseHandicap ?? null,
+      playing_handicap: p.playingHandicap ?? null,
+      total_score: p.totalScore,
+      net_score: p.netScore ?? null,
+      format_score: p.formatScore ?? null,
+    })), { onConflict: 'round_id,position' })
+    .select('id, position');
+
+  if (partnersError) return partnersError.message;
+
+  const partnerIds = {};
+  partners.forEach(p => { partnerIds[p.position] = p.id; });
+
+  const partnerHoles = partnersData.flatMap(p => (p.holes || []).map(h => ({
+    partner_id: partnerIds[p.position],
+    hole_number: h.holeNumber,
+    score: h.score,
+  })));
+
+  if (partnerHoles.length > 0) {
+    const { error: holesError } = await supabase
+      .from('round_partner_holes')
+      .upsert(partnerHoles, { onConflict: 'partner_id,hole_number' });
+    if (holesError) return holesError.message;
+  }
+
+  if (partnersData.some(p => p.userId && p.holes?.length > 0)) {
+    const { data: shared, error: shareError } = await supabase
+      .rpc('share_group_round', { p_round_id: roundId });
+    if (shareError) return shareError.message;
+    console.log(`Shared round ${roundId} with ${shared} linked partner(s)`);
+  }
+
+  return null;
+}
+
+/**
+ * Fetch the playing partners for a round with their hole scores.
+ * @param {string} roundId - Round ID
+ * @returns {Object} { data: Array, error: string|null }
+ */
+export async function fetchRoundPartners(roundId) {
+  const { data, error } = await supabase
+    .from('round_partners')
+    .select('*, holes:round_partner_holes(hole_number, score)')
+    .eq('round_id', roundId)
+    .order('position', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching round partners:', error.message);
+    return { data: [], error: error.message };
+  }
+  return { data: data || [], error: null };
+}
+
 /**
  * Fetch a user's round history at a specific course.
  * Returns completed rounds with summary stats for course overview display.
  * @param {string} userId - User ID
  * @param {string} courseId - Course ID
- * @returns {Object} { data: { rounds, stats }, error }
+ * @param {Object} options
+ * @param {string|null} options.format - Only include rounds of this scoring format
+ * @returns {Object} { data: { rounds, stats }, error } — score stats cover
+ *   18-hole rounds (stats.eighteenHoleRounds of them), stats.nineHole
+ *   summarizes 9-hole rounds, and stats.byFormat aggregates the format
+ *   score of 18-hole rounds for each scoring format played
  */
-export async function fetchCourseHistory(userId, courseId) {
-  const { data: rounds, error } = await supabase
+export async function fetchCourseHistory(userId, courseId, { format = null } = {}) {
+  let query = supabase
     .from('rounds')
     .select('*')
     .eq('user_id', userId)
     .eq('course_id', courseId)
-    .eq('status', 'completed')
-    .order('started_at', { ascending: false });
+    .eq('status', 'completed');
+
+  if (format) query = query.eq('scoring_format', format);
+
+  const { data: rounds, error } = await query.order('started_at', { ascending: false });
 
   if (error) {
     console.error('Error fetching course history:', error.message);
@@ -402,14 +701,20 @@ export async function fetchCourseHistory(userId, courseId) {
     return { data: { rounds: [], stats: null }, error: null };
   }
 
-  // Compute aggregate stats
-  const scores = rounds.map(r => r.total_score).filter(Boolean);
-  const putts = rounds.map(r => r.total_putts).filter(Boolean);
+  // Compute aggregate stats. Score and putt totals only compare between
+  // rounds of the same length, so they come from 18-hole rounds and
+  // 9-hole rounds get their own summary.
+  const fullRounds = rounds.filter(r => getRoundLength(r) === 18);
+  const nineRounds = rounds.filter(r => getRoundLength(r) === 9);
+  const scores = fullRounds.map(r => r.total_score).filter(Boolean);
+  const putts = fullRounds.map(r => r.total_putts).filter(Boolean);
+  const nineScores = nineRounds.map(r => r.total_score).filter(Boolean);
   const firRounds = rounds.filter(r => r.fairways_hit != null && r.fairways_total);
   const girRounds = rounds.filter(r => r.greens_in_reg != null && r.greens_total);
 
   const stats = {
     roundsPlayed: rounds.length,
+    eighteenHoleRounds: fullRounds.length,
     averageScore: scores.length > 0 ? Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 10) / 10 : null,
     bestScore: scores.length > 0 ? Math.min(...scores) : null,
     worstScore: scores.length > 0 ? Math.max(...scores) : null,
@@ -422,6 +727,12 @@ export async function fetchCourseHistory(userId, courseId) {
       : null,
     lastPlayed: rounds[0]?.started_at || null,
     scoreTrend: scores.length >= 2 ? scores.slice(0, 5) : [],
+    nineHole: nineRounds.length > 0 ? {
+      roundsPlayed: nineRounds.length,
+      averageScore: nineScores.length > 0 ? Math.round((nineScores.reduce((a, b) => a + b, 0) / nineScores.length) * 10) / 10 : null,
+      bestScore: nineScores.length > 0 ? Math.min(...nineScores) : null,
+    } : null,
+    byFormat: aggregateByFormat(fullRounds),
   };
 
   // Find trouble holes (holes where avg score is worst relative to par)
@@ -468,6 +779,36 @@ export async function fetchCourseHistory(userId, courseId) {
   return { data: { rounds, stats }, error: null };
 }
 
+/**
+ * Group rounds by scoring format with the average and best format score.
+ * Best is the highest points total, or the lowest for stroke formats.
+ * Rounds saved before formats existed count as stroke play.
+ *
+ * @param {Array} rounds - Round rows
+ * @returns {Object} format → { roundsPlayed, averageScore, bestScore }
+ */
+function aggregateByFormat(rounds) {
+  const groups = {};
+  rounds.forEach(r => {
+    const format = SCORING_FORMATS[r.scoring_format] ? r.scoring_format : 'stroke';
+    if (!groups[format]) groups[format] = [];
+    const value = format === 'stroke' ? r.total_score : r.format_score;
+    groups[format].push(value);
+  });
+
+  const result = {};
+  Object.entries(groups).forEach(([format, values]) => {
+    const scored = values.filter(v => v != null);
+    const usesPoints = formatUsesPoints(format);
+    result[format] = {
+      roundsPlayed: values.length,
+      averageScore: scored.length > 0 ? Math.round((scored.reduce((a, b) => a + b, 0) / scored.length) * 10) / 10 : null,
+      bestScore: scored.length > 0 ? (usesPoints ? Math.max(...scored) : Math.min(...scored)) : null,
+    };
+  });
+  return result;
+}
+
 /**
  * Fetch all shots for a given round.
  * @param {string} roundId - Round ID
@@ -488,6 +829,53 @@ export async function fetchRoundShots(roundId) {
   return { data: data || [], error: null };
 }
 
+/**
+ * Confirm or correct the club on a shot whose club was inferred.
+ * Confirmed shots feed club stats and teach the inference.
+ *
+ * @param {string} shotId - round_shots ID
+ * @param {string} club - Club the player actually hit
+ * @returns {Object} { data: Object|null, error: string|null }
+ */
+export async function confirmShotClub(shotId, club) {
+  const { data, error } = await supabase
+    .from('round_shots')
+    .update({ club, club_confirmed: true })
+    .eq('id', shotId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error confirming shot club:', error.message);
+    return { data: null, error: error.message };
+  }
+  return { data, error: null };
+}
+
+/**
+ * Replace a hole's shots with an edited set (post-round shot editor).
+ * Runs in one transaction on the server; shots keep their IDs.
+ *
+ * @param {string} roundId - Round ID
+ * @param {number} holeNumber - Hole number
+ * @param {Array} shots - round_shots rows for the hole, in playing order
+ * @returns {Object} { data: number|null (shots saved), error: string|null }
+ */
+export async function replaceHoleShots(roundId, holeNumber, shots) {
+  const { data, error } = await supabase
+    .rpc('replace_hole_shots', {
+      p_round_id: roundId,
+      p_hole_number: holeNumber,
+      p_shots: shots,
+    });
+
+  if (error) {
+    console.error('Error saving edited shots:', error.message);
+    return { data: null, error: error.message };
+  }
+  return { data, error: null };
+}
+
 /**
  * Fetch all shots for a user across all rounds (for analytics).
  * @param {string} userId - User ID
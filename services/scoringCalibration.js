@@ -0,0 +1,225 @@
+/**
+ * Scoring Calibration
+ *
+ * Fits per-player overrides for the hand-tuned penalty weights in
+ * scoringConfig from the player's own completed holes. Each hole is
+ * replayed through the planning engine from the tee; the penalties the
+ * recommended sequence carried are compared with how the hole actually
+ * went (strokes over par).
+ *
+ * For each group of weights, holes where the recommended plan carried
+ * that penalty are compared with holes where it didn't. If those holes
+ * cost the player more strokes than the penalty points imply, the weights
+ * go up; if they cost less, they come down. Small samples are pulled
+ * toward the defaults, so the weights only move once there's real history.
+ *
+ * Pure functions - loading history and saving the result lives in
+ * scoringCalibrationService.
+ */
+
+import { computeHolePlan } from './holePlanEngine';
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig';
+
+// ============================================================================
+// CALIBRATED WEIGHT GROUPS
+// ============================================================================
+
+/**
+ * Weights are fitted in groups: the breakdown types from shotScorer that
+ * count as exposure, and the config penalties scaled together.
+ */
+export const CALIBRATION_GROUPS = [
+  {
+    key: 'hazards',
+    label: 'Hazards near the landing zone',
+    breakdownTypes: ['hazard', 'distanceHazard'],
+    penalties: ['waterHazard', 'obHazard', 'bunkerHazard', 'deepBunker', 'wasteBunker'],
+  },
+  {
+    key: 'carries',
+    label: 'Carrying water, bunkers and dogleg corners',
+    breakdownTypes: ['flightPath', 'nextShotHazard', 'cornerCut'],
+    penalties: [
+      'carryOverWater', 'carryOverHazard', 'nextShotOverWater', 'nextShotOverBunker',
+      'cornerCutIntoTrees', 'cornerCutIntoWater', 'cornerCutIntoBunker',
+    ],
+  },
+  {
+    key: 'partialSwing',
+    label: 'Partial swings',
+    breakdownTypes: ['partialSwing'],
+    penalties: ['partialSwingUnder75', 'partialSwingUnder85'],
+  },
+  {
+    key: 'awkwardDistance',
+    label: 'Awkward in-between distances',
+    breakdownTypes: ['halfSwing', 'awkwardDistance'],
+    penalties: ['halfSwing30_60', 'awkward61_74'],
+  },
+];
+
+// A water ball (penalty stroke plus the lost distance) is about a stroke
+// and scores -40, so that's the exchange rate between points and strokes
+export const POINTS_PER_STROKE = 40;
+
+// Holes needed on each side (penalty carried / not) before a group is fitted
+export const MIN_HOLES = 8;
+// Holes' worth of weight the default gets when blending in the fitted scale
+const PRIOR_HOLES = 30;
+// Bounds on how far a weight can move from its default
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 1.75;
+// Changes smaller than this are left at the default
+const MIN_CHANGE = 0.05;
+
+// ============================================================================
+// REPLAY
+// ============================================================================
+
+/**
+ * Replay one completed hole: plan it from the tee and total the penalty
+ * points the recommended sequence carried in each calibration group.
+ *
+ * @param {Object} hole
+ *   @param {Object} hole.holeData - { par, teeBox, green, polygons, ... } as for computeHolePlan
+ *   @param {number} hole.score - Strokes taken
+ * @param {Object} playerContext - { clubDistances, handicap }
+ * @param {Object} config - Scoring configuration to replay with
+ * @returns {Object|null} { overPar, recommendedScore, exposure: { groupKey: points } }
+ *   or null when the hole can't be planned
+ */
+export function replayHole({ holeData, score }, playerContext, config = DEFAULT_SCORING_CONFIG) {
+  if (!holeData?.teeBox || !holeData?.green || !holeData.par || !score) {
+    return null;
+  }
+
+  const plan = computeHolePlan(holeData, { ...playerContext, position: null, lieType: 'tee' }, {}, config);
+  if (plan.error || !plan.shots?.length) {
+    return null;
+  }
+
+  const exposure = {};
+  for (const group of CALIBRATION_GROUPS) {
+    exposure[group.key] = 0;
+  }
+
+  for (const shot of plan.shots) {
+    for (const penalty of shot.scoreBreakdown?.penalties || []) {
+      const group = CALIBRATION_GROUPS.find(g => g.breakdownTypes.includes(penalty.type));
+      if (group && penalty.value < 0) {
+        exposure[group.key] += -penalty.value;
+      }
+    }
+  }
+
+  return {
+    overPar: score - holeData.par,
+    recommendedScore: plan.metadata?.strategyScore ?? null,
+    exposure,
+  };
+}
+
+// ============================================================================
+// FITTING
+// ============================================================================
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Fit one group's scale from replayed holes.
+ *
+ * @returns {Object|null} { scale, holes, observedStrokes, expectedStrokes } or null
+ *   when there aren't enough holes on both sides
+ */
+function fitGroup(replays, groupKey) {
+  const exposed = replays.filter(r => r.exposure[groupKey] > 0);
+  const clear = replays.filter(r => !(r.exposure[groupKey] > 0));
+
+  if (exposed.length < MIN_HOLES || clear.length < MIN_HOLES) {
+    return null;
+  }
+
+  // Extra strokes on holes where the plan carried the penalty...
+  const observedStrokes = average(exposed.map(r => r.overPar)) - average(clear.map(r => r.overPar));
+  // ...against what the penalty points say they should cost
+  const expectedStrokes = average(exposed.map(r => r.exposure[groupKey])) / POINTS_PER_STROKE;
+
+  const rawScale = expectedStrokes > 0
+    ? Math.max(MIN_SCALE, Math.min(MAX_SCALE, observedStrokes / expectedStrokes))
+    : 1;
+  const weight = exposed.length / (exposed.length + PRIOR_HOLES);
+  const scale = 1 + (rawScale - 1) * weight;
+
+  return {
+    scale: Math.round(scale * 100) / 100,
+    holes: exposed.length,
+    observedStrokes: round1(observedStrokes),
+    expectedStrokes: round1(expectedStrokes),
+  };
+}
+
+/**
+ * Explain a fitted change in a sentence for the insights report.
+ */
+function describeChange(group, fit) {
+  const direction = fit.scale > 1 ? 'up' : 'down';
+  const observed = fit.observedStrokes > 0
+    ? `${fit.observedStrokes} strokes more`
+    : 'no more strokes';
+  return `On ${fit.holes} holes where the plan had to deal with ${group.label.toLowerCase()}, ` +
+    `you averaged ${observed} than on the rest - the caddie expected ${fit.expectedStrokes}. ` +
+    `Weighting them ${direction}.`;
+}
+
+/**
+ * Fit per-player penalty overrides from replayed holes.
+ *
+ * @param {Array<Object>} replays - replayHole results (nulls are skipped)
+ * @param {Object} baseConfig - Config the holes were replayed with
+ * @returns {Object} { overrides: { penalties }, changes, unchanged }
+ *   changes: [{ group, label, scale, holes, observedStrokes, expectedStrokes, penalties, reason }]
+ *   unchanged: [{ group, label, reason }]
+ */
+export function fitScoringOverrides(replays, baseConfig = DEFAULT_SCORING_CONFIG) {
+  const usable = (replays || []).filter(Boolean);
+  const penalties = {};
+  const changes = [];
+  const unchanged = [];
+
+  for (const group of CALIBRATION_GROUPS) {
+    const fit = fitGroup(usable, group.key);
+
+    if (!fit) {
+      unchanged.push({ group: group.key, label: group.label, reason: 'Not enough holes yet' });
+      continue;
+    }
+    if (Math.abs(fit.scale - 1) < MIN_CHANGE) {
+      unchanged.push({ group: group.key, label: group.label, reason: 'Your results match the default weights' });
+      continue;
+    }
+
+    const tuned = {};
+    for (const key of group.penalties) {
+      const base = baseConfig.penalties[key];
+      if (typeof base === 'number') {
+        tuned[key] = Math.round(base * fit.scale);
+      }
+    }
+    Object.assign(penalties, tuned);
+
+    changes.push({
+      group: group.key,
+      label: group.label,
+      ...fit,
+      penalties: tuned,
+      reason: describeChange(group, fit),
+    });
+  }
+
+  return {
+    overrides: Object.keys(penalties).length > 0 ? { penalties } : {},
+    changes,
+    unchanged,
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Scoring Calibration Service
+ *
+ * Loads the player's recent completed holes with their course geometry,
+ * runs them through the calibration in scoringCalibration, and stores the
+ * fitted weights and report on the profile. Runs on the device after a
+ * round finishes uploading (the planning engine only exists client-side),
+ * and only when there's a round it hasn't seen yet.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from '../config/supabase';
+import { getProfile, updateProfile } from './authService';
+import { fetchHolesByCourse } from './holeService';
+import { loadUserBag } from './aiCaddyService';
+import { replayHole, fitScoringOverrides } from './scoringCalibration';
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig';
+
+// Recent rounds replayed per calibration
+const CALIBRATION_ROUNDS = 10;
+
+// Let the UI breathe between hole replays
+const yieldToUI = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Recalibrate the player's scoring weights from their recent rounds.
+ *
+ * @param {string} userId
+ * @param {Object} options
+ * @param {boolean} options.force - Recalibrate even if no new round was played
+ * @returns {Promise<{data: Object|null, error: string|null}>}
+ *   data: { overrides, report } (null when there was nothing to do)
+ */
+export async function runScoringCalibration(userId, { force = false } = {}) {
+  const { data: rounds, error: roundsError } = await supabase
+    .from('rounds')
+    .select('id, course_id, tee_box_id')
+    .eq('user_id', userId)
+    .eq('status', 'completed')
+    .order('started_at', { ascending: false })
+    .limit(CALIBRATION_ROUNDS);
+
+  if (roundsError) {
+    console.error('[Calibration] Error fetching rounds:', roundsError.message);
+    return { data: null, error: roundsError.message };
+  }
+  if (!rounds || rounds.length === 0) {
+    return { data: null, error: null };
+  }
+
+  const { data: profile } = await getProfile(userId);
+  if (!force && profile?.scoring_calibration?.latestRoundId === rounds[0].id) {
+    return { data: null, error: null };
+  }
+
+  const clubDistances = await loadUserBag();
+  if (!clubDistances || Object.keys(clubDistances).length === 0) {
+    return { data: null, error: 'No club distances to replay with' };
+  }
+
+  const { data: holeRows, error: holesError } = await supabase
+    .from('round_holes')
+    .select('round_id, hole_number, score')
+    .in('round_id', rounds.map(r => r.id));
+
+  if (holesError) {
+    console.error('[Calibration] Error fetching holes:', holesError.message);
+    return { data: null, error: holesError.message };
+  }
+
+  // Course geometry, once per course and tee
+  const geometry = {};
+  for (const round of rounds) {
+    const key = `${round.course_id}:${round.tee_box_id || ''}`;
+    if (!geometry[key]) {
+      const { data } = await fetchHolesByCourse(round.course_id, round.tee_box_id);
+      geometry[key] = data || {};
+    }
+  }
+
+  const playerContext = { clubDistances, handicap: parseFloat(profile?.handicap) || 15 };
+  const roundsById = Object.fromEntries(rounds.map(r => [r.id, r]));
+  const replays = [];
+
+  for (const row of holeRows || []) {
+    const round = roundsById[row.round_id];
+    const holeData = geometry[`${round.course_id}:${round.tee_box_id || ''}`]?.[row.hole_number];
+    if (!holeData || !row.score) continue;
+
+    try {
+      replays.push(replayHole({ holeData, score: row.score }, playerContext, DEFAULT_SCORING_CONFIG));
+    } catch (err) {
+      console.warn(`[Calibration] Replay failed for hole ${row.hole_number}:`, err.message);
+    }
+    await yieldToUI();
+  }
+
+  const { overrides, changes, unchanged } = fitScoringOverrides(replays, DEFAULT_SCORING_CONFIG);
+  const report = {
+    calibratedAt: new Date().toISOString(),
+    latestRoundId: rounds[0].id,
+    roundsReplayed: rounds.length,
+    holesReplayed: replays.filter(Boolean).length,
+    changes,
+    unchanged,
+  };
+
+  const { error: saveError } = await updateProfile(userId, {
+    scoring_overrides: overrides,
+    scoring_calibration: report,
+  });
+  if (saveError) {
+    console.error('[Calibration] Error saving calibration:', saveError.message);
+    return { data: null, error: saveError.message };
+  }
+
+  // Planning reads the overrides from the cached profile
+  await cacheScoringOverrides(overrides);
+
+  console.log(`[Calibration] Replayed ${report.holesReplayed} holes, ${changes.length} weight group(s) changed`);
+  return { data: { overrides, report }, error: null };
+}
+
+/**
+ * Latest calibration report for the insights screen.
+ *
+ * @param {string} userId
+ * @returns {Promise<{data: Object|null, error: string|null}>}
+ */
+export async function fetchScoringCalibration(userId) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('scoring_calibration')
+    .eq('id', userId)
+    .single();
+
+  if (error) {
+    console.error('[Calibration] Error fetching report:', error.message);
+    return { data: null, error: error.message };
+  }
+  return { data: data?.scoring_calibration || null, error: null };
+}
+
+/**
+ * Keep the overrides next to the other caddie preferences in the cached profile.
+ */
+async function cacheScoringOverrides(overrides) {
+  try {
+    const cached = await AsyncStorage.getItem('userProfile');
+    const profile = cached ? JSON.parse(cached) : {};
+    profile.scoringOverrides = overrides;
+    await AsyncStorage.setItem('userProfile', JSON.stringify(profile));
+  } catch (error) {
+    console.warn('[Calibration] Error caching overrides:', error);
+  }
+}
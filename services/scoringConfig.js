@@ -66,6 +66,12 @@ export const DEFAULT_SCORING_CONFIG = {
     nextShotOverWater: -30,
     nextShotOverTrees: -50,
     nextShotOverBunker: -10,
+
+    // Corner-cut penalties (scaled by the chance of coming up short of the carry)
+    // Short of a dogleg corner is in the trees, the water, or a bunker
+    cornerCutIntoTrees: -60,
+    cornerCutIntoWater: -80,
+    cornerCutIntoBunker: -20,
   },
 
   // ---- BONUSES (positive = good) ----
@@ -119,9 +125,9 @@ export const DEFAULT_SCORING_CONFIG = {
     overGreenThreshold: 1.10, // 10% over
   },
 
-  // ---- PLAYER PROFILE (future extensibility) ----
-  // These hooks are not wired into scoring yet but provide structure
-  // for future features like aggression settings and shot history.
+  // ---- PLAYER PROFILE ----
+  // aggressionLevel scales hazard penalties, carry-over-water penalties and
+  // the set-up bonuses (see getRiskScaling). 0.5 leaves the weights as-is.
   playerProfile: {
     aggressionLevel: 0.5,    // 0.0 = ultra conservative, 1.0 = ultra aggressive
     shotHistory: null,        // Future: { clubId: { missDirection, missPercent } }
@@ -184,6 +190,92 @@ export const HAZARD_SEVERITY = {
   heavy_rough: 10,
 };
 
+// ============================================================================
+// RISK PROFILES
+// ============================================================================
+
+/**
+ * Per-round risk profiles a player can pick in round settings.
+ * Each maps to a playerProfile.aggressionLevel.
+ */
+export const RISK_PROFILES = {
+  protect: {
+    id: 'protect',
+    label: 'Protect a score',
+    shortLabel: 'Protect',
+    hint: 'Play it safe',
+    aggressionLevel: 0.2,
+    description: 'Stay away from trouble and take the extra shot when in doubt',
+  },
+  balanced: {
+    id: 'balanced',
+    label: 'Balanced',
+    shortLabel: 'Balanced',
+    hint: 'Standard',
+    aggressionLevel: 0.5,
+    description: 'Standard weighting of risk and reward',
+  },
+  aggressive: {
+    id: 'aggressive',
+    label: 'Match-play aggressive',
+    shortLabel: 'Aggressive',
+    hint: 'Match play',
+    aggressionLevel: 0.85,
+    description: 'Take on carries and go for greens when the reward is there',
+  },
+};
+
+export const DEFAULT_RISK_PROFILE = 'balanced';
+
+/**
+ * Look up a risk profile, falling back to balanced for unknown IDs
+ *
+ * @param {string} profileId - Risk profile ID
+ * @returns {Object} Risk profile
+ */
+export function resolveRiskProfile(profileId) {
+  return RISK_PROFILES[profileId] || RISK_PROFILES[DEFAULT_RISK_PROFILE];
+}
+
+/**
+ * Build a scoring config for a risk profile
+ *
+ * @param {string} profileId - Risk profile ID
+ * @param {Object} customConfig - Other scoring overrides (optional)
+ * @returns {Object} Merged configuration
+ */
+export function configForRiskProfile(profileId, customConfig = {}) {
+  return mergeConfig({
+    ...customConfig,
+    playerProfile: {
+      ...(customConfig.playerProfile || {}),
+      aggressionLevel: resolveRiskProfile(profileId).aggressionLevel,
+    },
+  });
+}
+
+/**
+ * Multipliers the aggression level applies to scoring weights.
+ * Everything is 1 at the default 0.5. Conservative players feel hazards
+ * and water carries more and value full-swing set-ups more; aggressive
+ * players discount all three.
+ *
+ * @param {Object} config - Scoring configuration
+ * @returns {Object} { lean, hazard, carry, setupBonus }
+ */
+export function getRiskScaling(config = DEFAULT_SCORING_CONFIG) {
+  const level = config?.playerProfile?.aggressionLevel;
+  const aggression = typeof level === 'number' ? Math.max(0, Math.min(1, level)) : 0.5;
+  const lean = aggression - 0.5; // -0.5 (conservative) .. +0.5 (aggressive)
+
+  return {
+    lean,
+    hazard: 1 - lean * 1.2,
+    carry: 1 - lean * 1.6,
+    setupBonus: 1 - lean * 0.8,
+  };
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -235,6 +327,40 @@ export function getWeakClubs(worstArea) {
   return AREA_TO_CLUBS[worstArea] || [];
 }
 
+// Config penalty that tunes each hazard type's severity
+const HAZARD_PENALTY_KEYS = {
+  water: 'waterHazard',
+  penalty: 'waterHazard',
+  ob: 'obHazard',
+  bunker: 'bunkerHazard',
+  fairway_bunker: 'bunkerHazard',
+  greenside_bunker: 'bunkerHazard',
+  deep_bunker: 'deepBunker',
+  waste_area: 'wasteBunker',
+};
+
+/**
+ * Hazard severity with any per-player penalty override applied.
+ * The severity is scaled by how far the config's penalty for that hazard
+ * type has moved from the default, so the default config returns
+ * HAZARD_SEVERITY unchanged.
+ *
+ * @param {string} hazardType - Type of hazard
+ * @param {Object} config - Scoring configuration
+ * @returns {number} Severity (positive)
+ */
+export function getHazardSeverity(hazardType, config = DEFAULT_SCORING_CONFIG) {
+  const severity = HAZARD_SEVERITY[hazardType] || 10;
+  const key = HAZARD_PENALTY_KEYS[hazardType];
+  const base = key ? DEFAULT_SCORING_CONFIG.penalties[key] : null;
+  const tuned = key ? config?.penalties?.[key] : null;
+
+  if (!base || typeof tuned !== 'number') {
+    return severity;
+  }
+  return severity * (tuned / base);
+}
+
 /**
  * Get hazard penalty based on type
  *
@@ -6,11 +6,12 @@
  *
  * Populates:
  * - user_club_stats: Per-club distance, accuracy, and dispersion stats
- * - user_tendencies: Pattern detection (miss biases, hole type performance, etc.)
+ * - user_tendencies: Pattern detection (miss biases, hole type performance, putting, etc.)
  */
 
 import { supabase } from '../config/supabase';
 import { fetchAllUserShots } from './roundService';
+import { PUTT_DISTANCE_BANDS, LAG_PUTT_FEET, getPuttBand } from '../utils/puttingUtils';
 
 // ============================================================================
 // CONFIDENCE SCORING
@@ -77,6 +78,8 @@ export function computeClubStats(shots) {
   for (const shot of shots) {
     if (!shot.club || shot.club === 'putter') continue;
     if (shot.distance_actual == null) continue;
+    // A club we guessed and the player never accepted isn't their distance
+    if (shot.club_inferred && shot.club_confirmed === false) continue;
 
     if (!clubGroups[shot.club]) {
       clubGroups[shot.club] = [];
@@ -329,6 +332,127 @@ export function detectTendencies(shots, clubStats) {
   return tendencies;
 }
 
+// ============================================================================
+// PUTTING
+// ============================================================================
+
+/**
+ * Compute putting stats from putts stored as typed shots (shot_type 'putt').
+ *
+ * @param {Array} shots - All user shots
+ * @returns {Object} Make % by distance band, 1/3-putt rates and proximity
+ */
+export function computePuttingStats(shots) {
+  const putts = shots.filter(s => s.shot_type === 'putt');
+
+  // Make percentage by start distance
+  const bands = PUTT_DISTANCE_BANDS.map(b => ({ key: b.key, label: b.label, attempts: 0, makes: 0, makePct: null }));
+  for (const putt of putts) {
+    const band = getPuttBand(putt.putt_distance_ft);
+    if (!band) continue;
+    const entry = bands.find(b => b.key === band.key);
+    entry.attempts++;
+    if (putt.putt_made) entry.makes++;
+  }
+  bands.forEach((b) => {
+    if (b.attempts > 0) b.makePct = Math.round((b.makes / b.attempts) * 100);
+  });
+
+  // Per-hole sequences for 1/3-putt rates and first-putt proximity
+  const holeMap = {};
+  for (const putt of putts) {
+    const key = `${putt.round_id}_${putt.hole_number}`;
+    if (!holeMap[key]) holeMap[key] = [];
+    holeMap[key].push(putt);
+  }
+  const holes = Object.values(holeMap).map(h => [...h].sort((a, b) => a.shot_number - b.shot_number));
+  const holesPutted = holes.length;
+  const threePutts = holes.filter(h => h.length >= 3).length;
+  const onePutts = holes.filter(h => h.length === 1).length;
+
+  const firstPutts = holes.map(h => h[0].putt_distance_ft).filter(d => d != null);
+  const lagLeaves = putts
+    .filter(p => !p.putt_made && p.putt_distance_ft >= LAG_PUTT_FEET && p.leave_distance_ft != null)
+    .map(p => p.leave_distance_ft);
+  const missLeaves = putts
+    .filter(p => !p.putt_made && p.leave_distance_ft != null)
+    .map(p => p.leave_distance_ft);
+
+  return {
+    totalPutts: putts.length,
+    holesPutted,
+    puttsPerHole: holesPutted > 0 ? Math.round((putts.length / holesPutted) * 100) / 100 : null,
+    threePuttRate: holesPutted > 0 ? Math.round((threePutts / holesPutted) * 100) : null,
+    onePuttRate: holesPutted > 0 ? Math.round((onePutts / holesPutted) * 100) : null,
+    bands,
+    avgFirstPuttFt: firstPutts.length > 0 ? Math.round(mean(firstPutts) * 10) / 10 : null,
+    avgLagLeaveFt: lagLeaves.length > 0 ? Math.round(mean(lagLeaves) * 10) / 10 : null,
+    avgMissLeaveFt: missLeaves.length > 0 ? Math.round(mean(missLeaves) * 10) / 10 : null,
+    lagPutts: lagLeaves.length,
+  };
+}
+
+/**
+ * Turn putting stats into tendencies (type 'putting').
+ *
+ * @param {Object} stats - From computePuttingStats
+ * @returns {Array} Array of tendency objects
+ */
+export function detectPuttingTendencies(stats) {
+  const tendencies = [];
+  if (!stats || stats.totalPutts === 0) return tendencies;
+
+  // Make % by distance — described by the most-attempted short band
+  const shortBand = stats.bands.find(b => b.key === '3_6' && b.attempts >= 5)
+    || stats.bands.find(b => b.attempts >= 5);
+  if (shortBand) {
+    tendencies.push({
+      tendencyType: 'putting',
+      tendencyKey: 'make_by_distance',
+      tendencyData: {
+        bands: stats.bands,
+        description: `Makes ${shortBand.makePct}% of putts from ${shortBand.label}`,
+      },
+      confidence: calculateConfidence(stats.totalPutts),
+      sampleSize: stats.totalPutts,
+    });
+  }
+
+  if (stats.holesPutted >= 5) {
+    tendencies.push({
+      tendencyType: 'putting',
+      tendencyKey: 'three_putt',
+      tendencyData: {
+        threePuttRate: stats.threePuttRate,
+        onePuttRate: stats.onePuttRate,
+        puttsPerHole: stats.puttsPerHole,
+        description: `3-putts ${stats.threePuttRate}% of greens, ${stats.puttsPerHole} putts per hole`,
+      },
+      confidence: calculateConfidence(stats.holesPutted),
+      sampleSize: stats.holesPutted,
+    });
+  }
+
+  if (stats.avgFirstPuttFt != null && stats.holesPutted >= 5) {
+    tendencies.push({
+      tendencyType: 'putting',
+      tendencyKey: 'proximity',
+      tendencyData: {
+        avgFirstPuttFt: stats.avgFirstPuttFt,
+        avgLagLeaveFt: stats.avgLagLeaveFt,
+        avgMissLeaveFt: stats.avgMissLeaveFt,
+        description: stats.avgLagLeaveFt != null && stats.lagPutts >= 5
+          ? `Lags ${LAG_PUTT_FEET}+ ft putts to ${stats.avgLagLeaveFt} ft on average`
+          : `First putt averages ${stats.avgFirstPuttFt} ft from the hole`,
+      },
+      confidence: calculateConfidence(stats.holesPutted),
+      sampleSize: stats.holesPutted,
+    });
+  }
+
+  return tendencies;
+}
+
 // ============================================================================
 // PERSISTENCE
 // ============================================================================
@@ -421,7 +545,7 @@ export async function saveTendencies(userId, tendencies) {
  * Call this after a round is submitted.
  *
  * @param {string} userId - User ID
- * @returns {Object} { clubStats, tendencies, error }
+ * @returns {Object} { clubStats, tendencies, puttingStats, error }
  */
 export async function computeAndSaveAnalytics(userId) {
   console.log('[Analytics] Starting analytics computation for user:', userId);
@@ -430,12 +554,12 @@ export async function computeAndSaveAnalytics(userId) {
   const { data: shots, error: fetchError } = await fetchAllUserShots(userId);
   if (fetchError) {
     console.error('[Analytics] Error fetching shots:', fetchError);
-    return { clubStats: null, tendencies: null, error: fetchError };
+    return { clubStats: null, tendencies: null, puttingStats: null, error: fetchError };
   }
 
   if (!shots || shots.length === 0) {
     console.log('[Analytics] No shots found, skipping analytics');
-    return { clubStats: {}, tendencies: [], error: null };
+    return { clubStats: {}, tendencies: [], puttingStats: null, error: null };
   }
 
   console.log(`[Analytics] Processing ${shots.length} shots`);
@@ -443,8 +567,12 @@ export async function computeAndSaveAnalytics(userId) {
   // Compute club stats
   const clubStats = computeClubStats(shots);
 
-  // Detect tendencies
-  const tendencies = detectTendencies(shots, clubStats);
+  // Detect tendencies (putting stats are stored as 'putting' tendencies)
+  const puttingStats = computePuttingStats(shots);
+  const tendencies = [
+    ...detectTendencies(shots, clubStats),
+    ...detectPuttingTendencies(puttingStats),
+  ];
 
   // Save to database
   const statsResult = await saveClubStats(userId, clubStats);
@@ -454,5 +582,28 @@ export async function computeAndSaveAnalytics(userId) {
 
   console.log(`[Analytics] Complete: ${Object.keys(clubStats).length} clubs, ${tendencies.length} tendencies`);
 
-  return { clubStats, tendencies, error };
+  return { clubStats, tendencies, puttingStats, error };
+}
+
+/**
+ * Ask the compute-analytics edge function to recompute a user's stats
+ * (e.g. after shots were edited), computing them on the device if the
+ * function can't be reached.
+ *
+ * @param {string} userId - User ID
+ * @returns {Object} { error: string|null }
+ */
+export async function requestAnalyticsRecompute(userId) {
+  const { error } = await supabase.functions.invoke('compute-analytics', {
+    body: { userId },
+  });
+
+  if (!error) {
+    console.log('[Analytics] Recompute requested for user:', userId);
+    return { error: null };
+  }
+
+  console.warn('[Analytics] compute-analytics failed, computing locally:', error.message);
+  const result = await computeAndSaveAnalytics(userId);
+  return { error: result.error };
 }
@@ -7,10 +7,25 @@
  *   - Tee shot: player departs the tee box
  *   - Mid-hole: player stops at ball, then moves away (took a shot)
  *   - Green arrival: player enters green polygon (approach shot)
- *   - Putts: handled via UI counter (GPS too imprecise)
+ *   - Putts: logged on the green with PuttingLogger (GPS too imprecise)
+ *
+ * Readings pass through a position filter first (utils/positionFilters):
+ * a Kalman filter by default, or the original rolling median.
+ *
+ * In a cart the phone stops where the cart parks, not at the ball. Cart
+ * mode ignores stops at the parked cart and takes the far end of each walk
+ * away from the cart (out to the ball and back, or out and drive off) as
+ * the shot. 'auto' starts as walking and switches to cart once the player
+ * moves at driving speed.
+ *
+ * Penalties (water, OB) are reported with addPenalty: later shots are
+ * numbered after the penalty strokes, and the next shot is looked for
+ * at the drop (or back where the last shot was played for stroke and
+ * distance) instead of 30+ yards on from the last shot.
  */
 
 import { calculateDistance, determineLieType } from '../utils/geoUtils';
+import { createPositionFilter, DEFAULT_FILTER } from '../utils/positionFilters';
 
 // --- Tunable thresholds ---
 const CONFIG = {
@@ -19,8 +34,18 @@ const CONFIG = {
   MOVEMENT_THRESHOLD: 10,      // yards movement to exit STATIONARY
   STATIONARY_TIME: 15000,      // ms must be still to count as stopped
   STATIONARY_RADIUS: 8,        // yards - readings within this = "still"
-  MIN_ACCURACY: 20,            // meters - ignore worse readings
-  POSITION_BUFFER_SIZE: 5,     // rolling buffer for smoothing
+  CART_SPEED: 4,               // yards/s - faster than this is driving (~8 mph)
+  CART_DETECT_READINGS: 3,     // consecutive driving readings before 'auto' switches to cart
+  CART_PARK_RADIUS: 10,        // yards - stops this close to the parked cart are the cart
+  CART_MIN_EXCURSION: 15,      // yards - walk from the cart that counts as going to the ball
+                               // (must exceed CART_PARK_RADIUS)
+  DROP_RADIUS: 20,             // yards - after a penalty, stops this close to the drop are the next shot
+};
+
+export const TRANSPORT_MODES = {
+  AUTO: 'auto',
+  WALKING: 'walking',
+  CART: 'cart',
 };
 
 // State machine states
@@ -33,18 +58,6 @@ export const STATES = {
   HOLE_COMPLETE: 'HOLE_COMPLETE',
 };
 
-/**
- * Compute the median of an array of numbers.
- */
-function median(arr) {
-  if (arr.length === 0) return 0;
-  const sorted = [...arr].sort((a, b) => a - b);
-  const mid = Math.floor(sorted.length / 2);
-  return sorted.length % 2 !== 0
-    ? sorted[mid]
-    : (sorted[mid - 1] + sorted[mid]) / 2;
-}
-
 /**
  * Create a shot detector for a single hole.
  *
@@ -52,21 +65,44 @@ function median(arr) {
  * @param {array}    polygons        - course polygons for this hole
  * @param {function} onShotDetected  - callback({ shotNumber, position, lieType, distanceFromPrevious, detectionMethod })
  * @param {function} onStateChange   - callback(newState, metadata)
+ * @param {object}   options
+ * @param {function} options.now     - clock in ms (default Date.now); trace replay
+ *                                     passes the recorded time so stops last as long as they did
+ * @param {string|object} options.filter - position filter: 'kalman' (default), 'median',
+ *                                     or a filter object from utils/positionFilters
+ * @param {string} options.transportMode - 'auto' (default), 'walking' or 'cart'
+ * @param {function} options.onTransportModeChange - called with 'cart' when 'auto' detects a cart
  * @returns {object} detector API
  */
-export function createShotDetector(holeData, polygons, onShotDetected, onStateChange) {
+export function createShotDetector(holeData, polygons, onShotDetected, onStateChange, options = {}) {
+  const now = options.now || (() => Date.now());
+  const filterOption = options.filter || DEFAULT_FILTER;
+  const positionFilter = typeof filterOption === 'string'
+    ? createPositionFilter(filterOption)
+    : filterOption;
+  const autoDetectCart = (options.transportMode || TRANSPORT_MODES.AUTO) === TRANSPORT_MODES.AUTO;
+  let transportMode = options.transportMode === TRANSPORT_MODES.CART
+    ? TRANSPORT_MODES.CART
+    : TRANSPORT_MODES.WALKING;
   let state = STATES.IDLE;
   let shotNumber = 0;
   let detectedShots = [];
 
   // Position tracking
-  let positionBuffer = [];          // rolling buffer of recent positions
-  let smoothedPosition = null;      // median-smoothed current position
+  let smoothedPosition = null;      // filtered current position
   let lastShotPosition = null;      // where the last shot was taken
+  let dropPosition = null;          // after a penalty: where the next shot will be played from
   let stationaryAnchor = null;      // position when we first stopped
   let stationaryStartTime = null;   // when we first stopped
   let isConfirmedStationary = false; // passed the time threshold
 
+  // Speed and cart tracking
+  let lastFix = null;               // { position, time } of the previous filtered reading
+  let drivingReadings = 0;          // consecutive readings at driving speed
+  let wasDriving = false;
+  let cartPark = null;              // where the cart stopped
+  let excursion = null;             // walk away from the cart: { farthest, distance, recorded }
+
   function setState(newState, metadata = {}) {
     const prevState = state;
     state = newState;
@@ -76,14 +112,15 @@ export function createShotDetector(holeData, polygons, onShotDetected, onStateCh
   function recordShot(position, detectionMethod = 'auto') {
     shotNumber++;
     const lieType = determineLieType(position, polygons);
-    const distanceFromPrevious = lastShotPosition
-      ? calculateDistance(lastShotPosition, position)
+    const previous = dropPosition || lastShotPosition;
+    const distanceFromPrevious = previous
+      ? calculateDistance(previous, position)
       : 0;
 
     const shot = {
       shotNumber,
       position: { ...position },
-      timestamp: new Date(),
+      timestamp: new Date(now()),
       lieType,
       distanceFromPrevious,
       detectionMethod,
@@ -91,24 +128,133 @@ export function createShotDetector(holeData, polygons, onShotDetected, onStateCh
 
     detectedShots.push(shot);
     lastShotPosition = { ...position };
+    dropPosition = null;
     onShotDetected(shot);
   }
 
   /**
-   * Smooth GPS by taking the median of the last N readings.
+   * Whether a stop could be the next shot: far enough on from the last
+   * shot, or at the drop after a penalty.
+   */
+  function isNextShotPosition(position) {
+    if (dropPosition) {
+      return calculateDistance(dropPosition, position) <= CONFIG.DROP_RADIUS;
+    }
+    return !lastShotPosition || calculateDistance(lastShotPosition, position) >= CONFIG.SHOT_MIN_DISTANCE;
+  }
+
+  /**
+   * Run a reading through the position filter. Returns null when the
+   * filter throws the reading away.
    */
   function updateSmoothedPosition(pos) {
-    positionBuffer.push(pos);
-    if (positionBuffer.length > CONFIG.POSITION_BUFFER_SIZE) {
-      positionBuffer.shift();
+    const filtered = positionFilter.update(pos, pos.timestamp ?? now());
+    if (filtered) smoothedPosition = filtered;
+    return filtered;
+  }
+
+  /**
+   * Speed in yards/s since the previous filtered reading.
+   */
+  function updateSpeed(position) {
+    const time = position.timestamp ?? now();
+    let speed = 0;
+    if (lastFix && time > lastFix.time) {
+      speed = calculateDistance(lastFix.position, position) / ((time - lastFix.time) / 1000);
     }
+    lastFix = { position, time };
+    return speed;
+  }
 
-    smoothedPosition = {
-      latitude: median(positionBuffer.map(p => p.latitude)),
-      longitude: median(positionBuffer.map(p => p.longitude)),
-    };
+  /**
+   * Track driving speed and, in 'auto', switch to cart mode once the
+   * player has been driving for a few readings.
+   *
+   * @returns {boolean} true if the player is driving
+   */
+  function updateTransport(position) {
+    const isDriving = updateSpeed(position) >= CONFIG.CART_SPEED;
+    drivingReadings = isDriving ? drivingReadings + 1 : 0;
+
+    if (
+      autoDetectCart &&
+      transportMode === TRANSPORT_MODES.WALKING &&
+      drivingReadings >= CONFIG.CART_DETECT_READINGS
+    ) {
+      transportMode = TRANSPORT_MODES.CART;
+      stationaryAnchor = null;
+      isConfirmedStationary = false;
+      console.log('[ShotDetection] Driving speed detected, switching to cart mode');
+      if (options.onTransportModeChange) options.onTransportModeChange(transportMode);
+    }
+    return isDriving;
+  }
 
-    return smoothedPosition;
+  function isNearCart(position) {
+    return !!cartPark && calculateDistance(cartPark, position) <= CONFIG.CART_PARK_RADIUS;
+  }
+
+  /**
+   * Record a shot unless it's within SHOT_MIN_DISTANCE of the last one
+   * (or away from the drop after a penalty).
+   */
+  function recordShotIfFar(position) {
+    if (!isNextShotPosition(position)) {
+      return false;
+    }
+    recordShot(position, 'auto');
+    return true;
+  }
+
+  /**
+   * Close the current walk away from the cart. A long enough walk means
+   * the player went to the ball: the far end is where the shot was played.
+   */
+  function settleExcursion() {
+    if (excursion && !excursion.recorded && excursion.distance >= CONFIG.CART_MIN_EXCURSION) {
+      recordShotIfFar(excursion.farthest);
+    }
+    excursion = cartPark ? { farthest: null, distance: 0, recorded: false } : null;
+  }
+
+  /**
+   * Cart-mode bookkeeping for a reading while MOVING.
+   *
+   * @returns {boolean} true if the reading was handled (driving), so the
+   *   stationary logic should be skipped
+   */
+  function processCartMovement(position, isDriving) {
+    if (isDriving) {
+      // Driving off ends any walk to the ball
+      settleExcursion();
+      cartPark = null;
+      excursion = null;
+      stationaryAnchor = null;
+      isConfirmedStationary = false;
+      wasDriving = true;
+      return true;
+    }
+
+    if (wasDriving) {
+      // First slow reading after driving: the cart has parked
+      wasDriving = false;
+      cartPark = { ...position };
+      excursion = { farthest: null, distance: 0, recorded: false };
+      return false;
+    }
+
+    if (cartPark && excursion) {
+      const fromCart = calculateDistance(cartPark, position);
+      if (fromCart > excursion.distance) {
+        excursion.farthest = { ...position };
+        excursion.distance = fromCart;
+      }
+      // Walked out and back to the cart
+      if (excursion.distance >= CONFIG.CART_MIN_EXCURSION && fromCart <= CONFIG.CART_PARK_RADIUS) {
+        settleExcursion();
+      }
+    }
+    return false;
   }
 
   /**
@@ -123,12 +269,11 @@ export function createShotDetector(holeData, polygons, onShotDetected, onStateCh
    * Feed a GPS position update into the state machine.
    */
   function processPosition(rawPosition) {
-    // Reject poor-accuracy readings
-    if (rawPosition.accuracy && rawPosition.accuracy > CONFIG.MIN_ACCURACY) {
-      return;
-    }
-
     const position = updateSmoothedPosition(rawPosition);
+    if (!position) return;
+
+    const isDriving = updateTransport(position);
+    const inCart = transportMode === TRANSPORT_MODES.CART;
 
     switch (state) {
       case STATES.IDLE:
@@ -150,38 +295,47 @@ export function createShotDetector(holeData, polygons, onShotDetected, onStateCh
         if (isOnGreen(position)) {
           // Record approach shot at last known stationary position
           // (or tee if we never stopped)
-          const approachPos = stationaryAnchor || lastShotPosition || holeData.teeBox;
-          const distFromLastShot = lastShotPosition
-            ? calculateDistance(lastShotPosition, approachPos)
-            : CONFIG.SHOT_MIN_DISTANCE; // ensure it passes threshold
-
-          if (distFromLastShot >= CONFIG.SHOT_MIN_DISTANCE && approachPos !== lastShotPosition) {
+          // In a cart, stops at the cart are never the ball
+          // After a penalty the approach was played from the drop
+          const ballPos = dropPosition || lastShotPosition;
+          const approachPos = inCart && isNearCart(stationaryAnchor || position)
+            ? ballPos
+            : stationaryAnchor || ballPos || holeData.teeBox;
+
+          if (approachPos && isNextShotPosition(approachPos) && approachPos !== lastShotPosition) {
             recordShot(approachPos, 'auto');
           }
           setState(STATES.ON_GREEN, { position });
           break;
         }
 
+        if (inCart && processCartMovement(position, isDriving)) {
+          break;
+        }
+
         // Check if player has stopped
         if (!stationaryAnchor) {
           // First reading after movement — set anchor
           stationaryAnchor = { ...position };
-          stationaryStartTime = Date.now();
+          stationaryStartTime = now();
           isConfirmedStationary = false;
         } else {
           const distFromAnchor = calculateDistance(stationaryAnchor, position);
 
           if (distFromAnchor <= CONFIG.STATIONARY_RADIUS) {
             // Still near anchor — check time
-            const elapsed = Date.now() - stationaryStartTime;
+            const elapsed = now() - stationaryStartTime;
             if (elapsed >= CONFIG.STATIONARY_TIME && !isConfirmedStationary) {
               isConfirmedStationary = true;
-              setState(STATES.STATIONARY, { position: stationaryAnchor });
+              // Waiting at the parked cart isn't standing over the ball
+              if (!(inCart && isNearCart(stationaryAnchor))) {
+                setState(STATES.STATIONARY, { position: stationaryAnchor });
+              }
             }
           } else {
             // Moved away from anchor — reset
             stationaryAnchor = { ...position };
-            stationaryStartTime = Date.now();
+            stationaryStartTime = now();
             isConfirmedStationary = false;
           }
         }
@@ -200,13 +354,16 @@ export function createShotDetector(holeData, polygons, onShotDetected, onStateCh
 
         if (distFromAnchor >= CONFIG.MOVEMENT_THRESHOLD) {
           // Player moved away — they took a shot from the stationary position
-          const distFromLastShot = lastShotPosition
-            ? calculateDistance(lastShotPosition, stationaryAnchor)
-            : CONFIG.SHOT_MIN_DISTANCE;
-
-          if (distFromLastShot >= CONFIG.SHOT_MIN_DISTANCE) {
+          if (isNextShotPosition(stationaryAnchor)) {
             recordShot(stationaryAnchor, 'auto');
           }
+          // The stop was the ball, so this walk from the cart is accounted for
+          if (excursion) excursion.recorded = true;
+          if (isDriving) {
+            cartPark = null;
+            excursion = null;
+            wasDriving = true;
+          }
 
           // Reset stationary tracking and go back to MOVING
           stationaryAnchor = null;
@@ -218,7 +375,7 @@ export function createShotDetector(holeData, polygons, onShotDetected, onStateCh
       }
 
       case STATES.ON_GREEN:
-        // Putts are handled via the UI counter — no GPS detection
+        // Putts are logged by hand in PuttingLogger — no GPS detection
         break;
 
       case STATES.HOLE_COMPLETE:
@@ -233,12 +390,18 @@ export function createShotDetector(holeData, polygons, onShotDetected, onStateCh
   function startHole() {
     shotNumber = 0;
     detectedShots = [];
-    positionBuffer = [];
+    positionFilter.reset();
     smoothedPosition = null;
     lastShotPosition = null;
+    dropPosition = null;
     stationaryAnchor = null;
     stationaryStartTime = null;
     isConfirmedStationary = false;
+    lastFix = null;
+    drivingReadings = 0;
+    wasDriving = false;
+    cartPark = null;
+    excursion = null;
     setState(STATES.AT_TEE);
   }
 
@@ -265,6 +428,51 @@ export function createShotDetector(holeData, polygons, onShotDetected, onStateCh
     }
   }
 
+  /**
+   * Put the next ball in play somewhere other than where the last one
+   * finished (a drop, or back at the last spot) and go looking for it.
+   */
+  function moveBall(position) {
+    dropPosition = { ...position };
+    stationaryAnchor = null;
+    stationaryStartTime = null;
+    isConfirmedStationary = false;
+    if (state === STATES.AT_TEE || state === STATES.STATIONARY || state === STATES.ON_GREEN) {
+      setState(STATES.MOVING, { dropPosition });
+    }
+  }
+
+  /**
+   * Add penalty strokes (water, OB). Later shots are numbered after them.
+   *
+   * @param {object} penalty
+   * @param {number} penalty.strokes      - penalty strokes (default 1)
+   * @param {object} penalty.dropPosition - where the next shot is played from
+   *                                        (the last shot's position for stroke and distance)
+   */
+  function addPenalty({ strokes = 1, dropPosition: drop = null } = {}) {
+    // Still on the tee (e.g. about to hit a provisional): the tee shot was played
+    if (state === STATES.AT_TEE) {
+      recordShot({ ...holeData.teeBox }, 'auto');
+    }
+    shotNumber += strokes;
+    if (drop) moveBall(drop);
+  }
+
+  /**
+   * Continue from an earlier point in the hole, e.g. the original ball was
+   * found after hitting a provisional: shots from shotNumber on are
+   * dropped and the next shot is played from position.
+   *
+   * @param {number} nextShotNumber - number of the next shot
+   * @param {object} position       - where the ball in play lies
+   */
+  function resumeFrom(nextShotNumber, position) {
+    shotNumber = nextShotNumber - 1;
+    detectedShots = detectedShots.filter(s => s.shotNumber < nextShotNumber);
+    if (position) moveBall(position);
+  }
+
   /**
    * Get all auto/manually detected shots so far.
    */
@@ -280,7 +488,14 @@ export function createShotDetector(holeData, polygons, onShotDetected, onStateCh
   }
 
   /**
-   * Get the smoothed GPS position.
+   * Get the transport mode in use ('walking' or 'cart').
+   */
+  function getTransportMode() {
+    return transportMode;
+  }
+
+  /**
+   * Get the filtered GPS position.
    */
   function getSmoothedPosition() {
     return smoothedPosition;
@@ -292,7 +507,7 @@ export function createShotDetector(holeData, polygons, onShotDetected, onStateCh
   function destroy() {
     state = STATES.IDLE;
     detectedShots = [];
-    positionBuffer = [];
+    positionFilter.reset();
   }
 
   return {
@@ -300,9 +515,12 @@ export function createShotDetector(holeData, polygons, onShotDetected, onStateCh
     startHole,
     completeHole,
     addManualShot,
+    addPenalty,
+    resumeFrom,
     getDetectedShots,
     getCurrentState,
     getSmoothedPosition,
+    getTransportMode,
     destroy,
   };
 }
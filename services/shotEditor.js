@@ -0,0 +1,203 @@
+/**
+ * Shot Editor
+ *
+ * Edits a submitted hole's round_shots rows after the round: moving where
+ * a shot was hit from or landed, inserting a shot the detector missed,
+ * deleting a bogus one, and re-deriving the values that depend on the
+ * positions. All functions are pure and return new arrays; rows keep the
+ * round_shots column names so the edited hole can be saved as-is.
+ *
+ * A shot's landing and the next shot's start are usually the same ball
+ * position. They stay linked when either one is dragged, unless they were
+ * already apart (a drop after a penalty).
+ */
+
+import { calculateDistance, calculateBearing, determineLieType } from '../utils/geoUtils';
+
+// Yards within which a landing and the next start count as the same ball
+const LINK_TOLERANCE = 3;
+
+const POLYGON_LIE_MAP = {
+  water: 'penalty',
+};
+
+function fromOf(shot) {
+  return shot.from_lat != null ? { latitude: shot.from_lat, longitude: shot.from_lon } : null;
+}
+
+function toOf(shot) {
+  return shot.to_lat != null ? { latitude: shot.to_lat, longitude: shot.to_lon } : null;
+}
+
+function isLinked(shot, next) {
+  const landing = toOf(shot);
+  const start = next && fromOf(next);
+  return !!landing && !!start && calculateDistance(landing, start) <= LINK_TOLERANCE;
+}
+
+function withFrom(shot, position) {
+  // Moving the start means the stored lie no longer applies
+  return { ...shot, from_lat: position.latitude, from_lon: position.longitude, lie_type: null };
+}
+
+function withTo(shot, position) {
+  return {
+    ...shot,
+    to_lat: position ? position.latitude : null,
+    to_lon: position ? position.longitude : null,
+  };
+}
+
+/**
+ * A hole's shots in playing order.
+ *
+ * @param {Array} rows - round_shots rows for one hole
+ * @returns {Array}
+ */
+export function sortHoleShots(rows) {
+  return [...(rows || [])].sort((a, b) => a.shot_number - b.shot_number);
+}
+
+/**
+ * Move where a shot was hit from or where it landed.
+ *
+ * @param {Array} shots - Sorted shots for one hole
+ * @param {number} index - Shot index
+ * @param {'from'|'to'} end - Which end of the shot moved
+ * @param {Object} position - { latitude, longitude }
+ * @returns {Array} Updated shots
+ */
+export function moveShotPoint(shots, index, end, position) {
+  const result = [...shots];
+  const shot = result[index];
+  if (!shot || !position) return result;
+
+  if (end === 'from') {
+    const prev = result[index - 1];
+    if (prev && isLinked(prev, shot)) result[index - 1] = withTo(prev, position);
+    result[index] = withFrom(shot, position);
+  } else {
+    const next = result[index + 1];
+    if (next && isLinked(shot, next)) result[index + 1] = withFrom(next, position);
+    result[index] = withTo(shot, position);
+  }
+  return result;
+}
+
+/**
+ * Insert a shot the detector missed by splitting a shot at the middle of
+ * its path: the shot now lands halfway and the new shot plays on from there.
+ * A shot with no landing is split halfway to the green.
+ *
+ * @param {Array} shots - Sorted shots for one hole
+ * @param {number} index - Shot to split
+ * @param {Object} green - Green center, for shots with no landing
+ * @returns {Array} Updated shots (renumber with rederiveHoleShots)
+ */
+export function insertShotAfter(shots, index, green) {
+  const shot = shots[index];
+  if (!shot) return [...shots];
+
+  const from = fromOf(shot);
+  const end = toOf(shot) || green;
+  if (!from || !end) return [...shots];
+
+  const middle = {
+    latitude: (from.latitude + end.latitude) / 2,
+    longitude: (from.longitude + end.longitude) / 2,
+  };
+
+  const inserted = {
+    ...withTo(withFrom(shot, middle), toOf(shot)),
+    id: undefined,
+    club: null,
+    club_inferred: null,
+    club_confidence: null,
+    club_confirmed: true,
+    penalty_strokes: shot.penalty_strokes || 0,
+    penalty_relief: shot.penalty_relief || null,
+    shot_type: shot.shot_type === 'putt' ? 'putt' : 'full',
+    detection_method: 'manual',
+  };
+
+  const result = [...shots];
+  // The penalty belongs to whichever shot went into the hazard: the later one
+  result[index] = { ...withTo(shot, middle), result: null, penalty_strokes: 0, penalty_relief: null };
+  result.splice(index + 1, 0, inserted);
+  return result;
+}
+
+/**
+ * Delete a shot. The previous shot then lands where the deleted one did,
+ * if the two were linked.
+ *
+ * @param {Array} shots - Sorted shots for one hole
+ * @param {number} index - Shot to delete
+ * @returns {Array} Updated shots (renumber with rederiveHoleShots)
+ */
+export function deleteShotAt(shots, index) {
+  const result = [...shots];
+  const shot = result[index];
+  const prev = result[index - 1];
+  if (!shot) return result;
+
+  if (prev && isLinked(prev, shot)) {
+    result[index - 1] = { ...withTo(prev, toOf(shot)), result: shot.result };
+  }
+  result.splice(index, 1);
+  return result;
+}
+
+/**
+ * Signed lateral miss in yards of a shot from the line to its target
+ * (+ = right, - = left).
+ */
+function lateralOffset(from, to, target) {
+  const distance = calculateDistance(from, to);
+  const angle = (calculateBearing(from, to) - calculateBearing(from, target)) * Math.PI / 180;
+  return distance * Math.sin(angle);
+}
+
+/**
+ * Renumber a hole's shots and recompute the values that depend on their
+ * positions: distance, distance left to the green, lateral miss, and the
+ * lie for any shot whose start moved.
+ *
+ * @param {Array} shots - Shots for one hole, in playing order
+ * @param {Object} hole - { green, polygons } (fetchHolesByCourse)
+ * @returns {Array} Updated shots
+ */
+export function rederiveHoleShots(shots, { green, polygons } = {}) {
+  let next = 1;
+
+  return shots.map((shot, i) => {
+    const from = fromOf(shot);
+    const to = toOf(shot);
+    const target = shot.target_lat != null
+      ? { latitude: shot.target_lat, longitude: shot.target_lon }
+      : green;
+
+    let lieType = shot.lie_type;
+    if (!lieType) {
+      if (i === 0) lieType = 'tee';
+      else if (shot.shot_type === 'putt') lieType = 'green';
+      else {
+        const lie = determineLieType(from, polygons);
+        lieType = POLYGON_LIE_MAP[lie] || lie;
+      }
+    }
+
+    const updated = {
+      ...shot,
+      shot_number: next,
+      lie_type: lieType,
+      distance_actual: from && to ? Math.round(calculateDistance(from, to)) : null,
+      distance_to_target: to && green ? Math.round(calculateDistance(to, green)) : null,
+      distance_offline: from && to && target && shot.shot_type !== 'putt'
+        ? Math.round(lateralOffset(from, to, target))
+        : null,
+    };
+    next += 1 + (shot.penalty_strokes || 0);
+    return updated;
+  });
+}
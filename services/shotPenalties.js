@@ -0,0 +1,166 @@
+/**
+ * Shot Penalties
+ *
+ * Penalty strokes, relief and provisional balls for logged shots. A shot
+ * that finds water or goes out of bounds carries its penalty stroke on
+ * the shot itself (penaltyStrokes), so the next shot played is numbered
+ * after it: tee shot 1 into the water, drop, and the next shot is 3.
+ *
+ *   - Water: drop near where the ball crossed into the penalty area
+ *     (point of entry), back on the line from the flag through that
+ *     point, or replay from where the last shot was hit.
+ *   - OB: stroke and distance, either replayed now or by hitting a
+ *     provisional. The provisional is logged with provisional: true and
+ *     becomes the ball in play if the original is lost; if the original
+ *     is found, the provisional shots are discarded and the penalty
+ *     removed.
+ */
+
+import { calculateBearing } from '../utils/geoUtils';
+import { projectPoint } from './landingZoneCalculator';
+
+export const PENALTY_RESULTS = ['water', 'ob'];
+
+export const RELIEF_OPTIONS = {
+  POINT_OF_ENTRY: 'point_of_entry',
+  LINE: 'line',
+  REPLAY: 'replay',
+  PROVISIONAL: 'provisional',
+};
+
+export const RELIEF_LABELS = {
+  point_of_entry: 'Point of Entry',
+  line: 'Back on Line',
+  replay: 'Replay',
+  provisional: 'Provisional',
+};
+
+// Yards back from the point of entry for a back-on-the-line drop
+const LINE_DROP_DISTANCE = 20;
+
+/**
+ * Penalty strokes for a shot result.
+ *
+ * @param {string} result - round_shots.result
+ * @returns {number}
+ */
+export function getPenaltyStrokes(result) {
+  return PENALTY_RESULTS.includes(result) ? 1 : 0;
+}
+
+/**
+ * Relief options for a penalty result, most common first.
+ *
+ * @param {string} result - 'water' or 'ob'
+ * @returns {Array<string>} RELIEF_OPTIONS values
+ */
+export function getReliefOptions(result) {
+  if (result === 'water') {
+    return [RELIEF_OPTIONS.POINT_OF_ENTRY, RELIEF_OPTIONS.LINE, RELIEF_OPTIONS.REPLAY];
+  }
+  if (result === 'ob') {
+    return [RELIEF_OPTIONS.PROVISIONAL, RELIEF_OPTIONS.REPLAY];
+  }
+  return [];
+}
+
+/**
+ * Where the next ball is played from after taking relief.
+ *
+ * @param {string} relief - RELIEF_OPTIONS value
+ * @param {Object} positions
+ * @param {Object} positions.from - Where the penalized shot was hit
+ * @param {Object} positions.entry - Where the ball crossed into the penalty area
+ * @param {Object} positions.flag - Pin (or green center)
+ * @returns {Object|null} { latitude, longitude }
+ */
+export function getDropPosition(relief, { from, entry, flag } = {}) {
+  switch (relief) {
+    case RELIEF_OPTIONS.REPLAY:
+    case RELIEF_OPTIONS.PROVISIONAL:
+      return from || null;
+    case RELIEF_OPTIONS.POINT_OF_ENTRY:
+      return entry || null;
+    case RELIEF_OPTIONS.LINE:
+      if (!entry) return null;
+      if (!flag) return entry;
+      // Keep the point of entry between the flag and the drop
+      return projectPoint(entry, LINE_DROP_DISTANCE, calculateBearing(flag, entry));
+    default:
+      return null;
+  }
+}
+
+/**
+ * Shot number for the next shot on a hole: one after the last stroke,
+ * counting penalty strokes.
+ *
+ * @param {Array} holeShots - Cached shots for one hole
+ * @returns {number}
+ */
+export function getNextShotNumber(holeShots) {
+  const lastStroke = (holeShots || []).reduce(
+    (max, s) => Math.max(max, s.shotNumber + (s.penaltyStrokes || 0)),
+    0
+  );
+  return lastStroke + 1;
+}
+
+/**
+ * Renumber a hole's shots in playing order so each shot follows the
+ * previous shot's penalty strokes (after a shot is deleted).
+ *
+ * @param {Array} holeShots - Cached shots for one hole (mutated)
+ * @returns {Array} The same shots, sorted
+ */
+export function renumberShots(holeShots) {
+  const sorted = [...holeShots].sort((a, b) => a.shotNumber - b.shotNumber);
+  let next = 1;
+  sorted.forEach((s) => {
+    s.shotNumber = next;
+    next += 1 + (s.penaltyStrokes || 0);
+  });
+  return sorted;
+}
+
+/**
+ * Strokes and penalties logged on a hole.
+ *
+ * @param {Array} holeShots - Cached shots for one hole
+ * @returns {Object} { strokes, penalties, holed }
+ */
+export function summarizeHoleShots(holeShots) {
+  const shots = holeShots || [];
+  return {
+    strokes: getNextShotNumber(shots) - 1,
+    penalties: shots.reduce((sum, s) => sum + (s.penaltyStrokes || 0), 0),
+    holed: shots.some(s => s.puttMade),
+  };
+}
+
+/**
+ * Settle a provisional ball.
+ *
+ * Original lost or OB: the provisional shots become the ball in play.
+ * Original found: the provisional shots are discarded and the original
+ * shot loses its penalty, taking foundResult as its result.
+ *
+ * @param {Array} holeShots - Cached shots for one hole
+ * @param {number} originalShotNumber - The shot the provisional was hit for
+ * @param {boolean} originalFound
+ * @param {string} foundResult - Result for the original when found
+ * @returns {Array} Updated shots for the hole
+ */
+export function resolveProvisional(holeShots, originalShotNumber, originalFound, foundResult = 'other') {
+  const shots = holeShots || [];
+
+  if (!originalFound) {
+    return shots.map(s => (s.provisional ? { ...s, provisional: false } : s));
+  }
+
+  return shots
+    .filter(s => !s.provisional)
+    .map(s => (s.shotNumber === originalShotNumber
+      ? { ...s, result: foundResult, penaltyStrokes: 0, relief: null }
+      : s));
+}
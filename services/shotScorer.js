@@ -13,9 +13,10 @@
 import {
   DEFAULT_SCORING_CONFIG,
   AREA_TO_CLUBS,
-  HAZARD_SEVERITY,
+  getHazardSeverity,
   getStrongClubs,
   getWeakClubs,
+  getRiskScaling,
 } from './scoringConfig';
 import { isPointInPolygon } from '../utils/geoUtils';
 
@@ -145,6 +146,13 @@ export function scoreShot(shotOption, playerContext, holeData, config = DEFAULT_
     }
   }
 
+  // 10. Corner-cut penalty (coming up short of a dogleg carry)
+  const cornerCutPenalty = calculateCornerCutPenalty(shotOption, config);
+  if (cornerCutPenalty.value !== 0) {
+    score += cornerCutPenalty.value;
+    breakdown.penalties.push(cornerCutPenalty);
+  }
+
   // ============================================
   // BONUSES
   // ============================================
@@ -285,17 +293,18 @@ export function calculateHazardProximityPenalty(hazardConflicts, dispersionRadiu
 
   let totalPenalty = 0;
   const hazardNames = [];
+  const { hazard: hazardScale } = getRiskScaling(config);
 
   for (const conflict of hazardConflicts) {
     const { type, overlapPercentage = 50, name } = conflict;
 
     // Get base penalty for hazard type
-    const basePenalty = HAZARD_SEVERITY[type] || 10;
+    const basePenalty = getHazardSeverity(type, config);
 
     // Scale penalty by overlap percentage (0-100%)
     // More overlap = higher penalty
     const proximityFactor = overlapPercentage / 100;
-    const penalty = Math.round(basePenalty * proximityFactor);
+    const penalty = Math.round(basePenalty * proximityFactor * hazardScale);
 
     totalPenalty -= penalty;
     hazardNames.push(name || type);
@@ -410,7 +419,7 @@ export function calculateFullSwingBonus(clubUtilization, config = DEFAULT_SCORIN
       clubUtilization <= thresholds.utilizationSweetSpotMax) {
     return {
       type: 'fullSwing',
-      value: bonuses.fullSwing,
+      value: Math.round(bonuses.fullSwing * getRiskScaling(config).setupBonus),
       reason: 'Full comfortable swing',
     };
   }
@@ -433,7 +442,7 @@ export function calculateFullWedgeApproachBonus(distanceRemaining, playerContext
   if (distanceRemaining >= thresholds.fullWedgeMin && distanceRemaining <= thresholds.fullWedgeMax) {
     return {
       type: 'wedgeApproach',
-      value: bonuses.fullWedgeApproach,
+      value: Math.round(bonuses.fullWedgeApproach * getRiskScaling(config).setupBonus),
       reason: `Leaves ${Math.round(distanceRemaining)} yards - ideal full wedge distance`,
     };
   }
@@ -562,9 +571,11 @@ export function calculateDistanceHazardAvoidancePenalty(shotOption, holeData, co
 
   let totalPenalty = 0;
   const reasons = [];
+  const { hazard: hazardScale } = getRiskScaling(config);
 
   for (const hazardRange of hazardRanges) {
-    const { frontDistance, backDistance, isPenalty, severity, name } = hazardRange;
+    const { frontDistance, backDistance, isPenalty, type, name } = hazardRange;
+    const severity = type ? getHazardSeverity(type, config) : hazardRange.severity;
 
     // Does the landing window overlap this hazard's distance range?
     const overlaps = landingMax >= frontDistance && landingMin <= backDistance;
@@ -584,7 +595,7 @@ export function calculateDistanceHazardAvoidancePenalty(shotOption, holeData, co
         penalty *= 2.0;
       }
 
-      totalPenalty -= Math.round(penalty);
+      totalPenalty -= Math.round(penalty * hazardScale);
       reasons.push(`Landing distance overlaps ${name} (${frontDistance}-${backDistance} yds)`);
     } else {
       // Check if just barely clearing the hazard (tight margin)
@@ -666,12 +677,18 @@ export function calculateFairwayWidthBonus(shotOption, config = DEFAULT_SCORING_
  * Trees are impenetrable (massive penalty). Water carry-over is risky and
  * mentally intimidating. Bunker carry-over is minor.
  *
+ * A shaped shot is checked along its curved flight (flightPathHazards), so a
+ * draw or fade can bend around a hazard a straight ball would cross. Both
+ * analyses look for the same hazards in the same corridor.
+ *
  * @param {Object} shotOption - Shot option with rawDistance and hazardRanges
+ *   (or flightPathHazards from analyzeHazardsAlongFlightPath)
  * @param {Object} config - Scoring configuration
  * @returns {Object} { type, value, reason }
  */
 export function calculateFlightPathPenalty(shotOption, config = DEFAULT_SCORING_CONFIG) {
-  const { hazardRanges, rawDistance } = shotOption;
+  const { rawDistance } = shotOption;
+  const hazardRanges = shotOption.flightPathHazards || shotOption.hazardRanges;
 
   if (!hazardRanges || hazardRanges.length === 0 || !rawDistance) {
     return { type: 'flightPath', value: 0, reason: null };
@@ -679,6 +696,7 @@ export function calculateFlightPathPenalty(shotOption, config = DEFAULT_SCORING_
 
   let totalPenalty = 0;
   const reasons = [];
+  const { carry: carryScale } = getRiskScaling(config);
 
   for (const hazardRange of hazardRanges) {
     const { frontDistance, backDistance, type, name } = hazardRange;
@@ -694,7 +712,8 @@ export function calculateFlightPathPenalty(shotOption, config = DEFAULT_SCORING_
         reasons.push(`Trees block flight path (${frontDistance}-${backDistance} yds)`);
       } else if (type === 'water' || type === 'ob' || type === 'penalty') {
         // Water carry is risky and mentally intimidating
-        totalPenalty += config.penalties.carryOverWater || -25;
+        // Scaled by aggression: match play shrugs off a carry, protecting a score doesn't
+        totalPenalty += Math.round((config.penalties.carryOverWater || -25) * carryScale);
         reasons.push(`Must carry over ${name} (${frontDistance}-${backDistance} yds)`);
       } else if (type === 'bunker') {
         // Carrying bunkers is minor but still uncomfortable
@@ -767,6 +786,52 @@ export function calculateNextShotOverHazardPenalty(shotOption, config = DEFAULT_
   };
 }
 
+/**
+ * Calculate penalty for a tee shot that cuts a dogleg corner. The carried
+ * obstacles are left out of the flight path check; instead the shot pays for
+ * whatever is short of the carry, scaled by the chance of not clearing it.
+ *
+ * @param {Object} shotOption - Shot option with cornerCut { carryYards, clearProbability, obstacles }
+ * @param {Object} config - Scoring configuration
+ * @returns {Object} { type, value, reason }
+ */
+export function calculateCornerCutPenalty(shotOption, config = DEFAULT_SCORING_CONFIG) {
+  const { cornerCut } = shotOption;
+
+  if (!cornerCut || !cornerCut.obstacles?.length) {
+    return { type: 'cornerCut', value: 0, reason: null };
+  }
+
+  // The worst thing short of the carry decides what a miss costs
+  const types = cornerCut.obstacles.map(o => o.type);
+  let missPenalty;
+  let missInto;
+  if (types.some(t => t === 'water' || t === 'ob' || t === 'penalty')) {
+    missPenalty = config.penalties.cornerCutIntoWater || -80;
+    missInto = 'water';
+  } else if (types.some(t => t === 'trees' || t === 'woods')) {
+    missPenalty = config.penalties.cornerCutIntoTrees || -60;
+    missInto = 'trees';
+  } else {
+    missPenalty = config.penalties.cornerCutIntoBunker || -20;
+    missInto = 'bunker';
+  }
+
+  const { carry: carryScale } = getRiskScaling(config);
+  const missChance = 1 - cornerCut.clearProbability;
+  const value = Math.round(missChance * missPenalty * carryScale);
+
+  if (value === 0) {
+    return { type: 'cornerCut', value: 0, reason: null };
+  }
+
+  return {
+    type: 'cornerCut',
+    value,
+    reason: `${Math.round(missChance * 100)}% chance of coming up short of the ${cornerCut.carryYards} yd carry into the ${missInto}`,
+  };
+}
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
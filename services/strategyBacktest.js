@@ -0,0 +1,357 @@
+/**
+ * Strategy Backtest
+ *
+ * Reruns the planning engine over past rounds to tell whether engine and
+ * scoring changes help. Every tee shot and approach is planned again from
+ * where it was played, with the conditions recorded at the time, and the
+ * recommended club is compared with the club the player hit. Holes are
+ * then split by whether the advice was followed, to compare outcomes.
+ *
+ * Two scoring configs can be run side by side (compareScoringConfigs) to
+ * see which recommendations change and how each one's advice fared.
+ *
+ * Rounds come from exported JSON fixtures (see buildBacktestFixture and
+ * backtestExportService). No React Native or Supabase dependencies, so it
+ * runs under Jest or Node (scripts/backtest.js).
+ *
+ * Fixture format (version 1):
+ *   { version, exportedAt, roundId, courseName, playedAt,
+ *     handicap, playingHandicap,      (snapshotted on the round when it started; null if not recorded)
+ *     clubDistances: { clubId: yards }, clubDistancesSource,
+ *     weather: { temperature, windSpeed, windDirection },
+ *     holes: [{ holeNumber, par, score, teeBox, green, pin, polygons,
+ *       shots: [{ shotNumber, club, from, to, lieType,
+ *                 weather: { temperature, windSpeed, windDirection } | null }] }] }
+ *
+ * Rounds don't keep the bag they were played with, so clubDistances is the
+ * player's bag at export time and clubDistancesSource says so ('current_bag').
+ */
+
+import { computeHolePlan } from './holePlanEngine';
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig';
+
+export const FIXTURE_VERSION = 1;
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+/**
+ * Build a backtest fixture from a loaded round. Putts are dropped; only
+ * full swings are replayed.
+ *
+ * @param {Object} params
+ *   @param {Object} params.round - Round with holes (fetchRoundDetail)
+ *   @param {Array} params.shots - round_shots rows (fetchRoundShots)
+ *   @param {Object} params.courseHoles - Hole geometry keyed by number (fetchHolesByCourse)
+ *   @param {Object} params.clubDistances - The player's current bag (loadUserBag)
+ * @returns {Object} Fixture (see module header)
+ */
+export function buildBacktestFixture({ round, shots, courseHoles, clubDistances }) {
+  const roundWeather = {
+    temperature: round.weather_temp_f ?? null,
+    windSpeed: round.weather_wind_mph ?? null,
+    windDirection: null,
+  };
+
+  const holes = (round.holes || [])
+    .filter(h => h.score && courseHoles?.[h.hole_number])
+    .map(h => {
+      const geometry = courseHoles[h.hole_number];
+      const pin = h.pin_latitude != null && h.pin_longitude != null
+        ? { latitude: h.pin_latitude, longitude: h.pin_longitude }
+        : null;
+
+      const holeShots = (shots || [])
+        .filter(s => s.hole_number === h.hole_number && s.shot_type !== 'putt' && s.club !== 'putter')
+        .sort((a, b) => a.shot_number - b.shot_number)
+        .map(s => ({
+          shotNumber: s.shot_number,
+          club: s.club,
+          from: { latitude: s.from_lat, longitude: s.from_lon },
+          to: s.to_lat != null ? { latitude: s.to_lat, longitude: s.to_lon } : null,
+          lieType: s.lie_type || 'fairway',
+          weather: s.wind_speed != null || s.temperature_f != null
+            ? { temperature: s.temperature_f, windSpeed: s.wind_speed, windDirection: s.wind_direction || null }
+            : null,
+        }));
+
+      return {
+        holeNumber: h.hole_number,
+        par: geometry.par,
+        score: h.score,
+        teeBox: geometry.teeBox,
+        green: geometry.green,
+        greenFront: geometry.greenFront || null,
+        greenBack: geometry.greenBack || null,
+        pin,
+        polygons: geometry.polygons || [],
+        shots: holeShots,
+      };
+    });
+
+  return {
+    version: FIXTURE_VERSION,
+    exportedAt: new Date().toISOString(),
+    roundId: round.id,
+    courseName: round.course?.name || null,
+    playedAt: round.started_at || null,
+    handicap: round.handicap_index != null ? parseFloat(round.handicap_index) : null,
+    playingHandicap: round.playing_handicap ?? null,
+    clubDistances,
+    clubDistancesSource: 'current_bag',
+    weather: roundWeather,
+    holes,
+  };
+}
+
+// ============================================================================
+// DECISIONS
+// ============================================================================
+
+/**
+ * The shots worth replaying on a hole: the tee shot on a par 4 or 5, and
+ * the approach (the last full swing, or the tee shot on a par 3).
+ *
+ * @param {Object} hole - Fixture hole
+ * @returns {Array<{ type: 'tee'|'approach', shot: Object }>}
+ */
+export function getDecisionShots(hole) {
+  const shots = (hole.shots || []).filter(s => s.from?.latitude != null && s.club);
+  if (shots.length === 0) return [];
+
+  const decisions = [];
+  const first = shots[0];
+  const last = shots[shots.length - 1];
+
+  if (hole.par === 3) {
+    decisions.push({ type: 'approach', shot: first });
+    return decisions;
+  }
+
+  if (first.shotNumber === 1) {
+    decisions.push({ type: 'tee', shot: first });
+  }
+  if (last !== first) {
+    decisions.push({ type: 'approach', shot: last });
+  }
+  return decisions;
+}
+
+/**
+ * Conditions for a shot: what was recorded at the shot, else the round's snapshot.
+ * A wind speed without a direction is replayed as calm rather than guessing one.
+ */
+export function weatherAtShot(shot, roundWeather) {
+  const source = shot.weather || roundWeather || {};
+  const windDirection = source.windDirection || null;
+  return {
+    temperature: source.temperature ?? 72,
+    windSpeed: windDirection ? (source.windSpeed ?? 0) : 0,
+    windDirection,
+  };
+}
+
+// ============================================================================
+// BACKTEST
+// ============================================================================
+
+/**
+ * Replan every decision shot in a round.
+ *
+ * @param {Object} fixture - Backtest fixture
+ * @param {Object} config - Scoring configuration
+ * @returns {Array<Object>} One entry per decision:
+ *   { roundId, holeNumber, shotNumber, type, played, recommended, followed, overPar, strategy }
+ */
+export function backtestRound(fixture, config = DEFAULT_SCORING_CONFIG) {
+  const results = [];
+
+  for (const hole of fixture.holes || []) {
+    const holeData = {
+      par: hole.par,
+      teeBox: hole.teeBox,
+      green: hole.green,
+      greenFront: hole.greenFront || null,
+      greenBack: hole.greenBack || null,
+      pin: hole.pin || null,
+      polygons: hole.polygons || [],
+    };
+
+    for (const { type, shot } of getDecisionShots(hole)) {
+      const fromTee = shot.shotNumber === 1;
+      const playerContext = {
+        position: fromTee ? null : shot.from,
+        clubDistances: fixture.clubDistances,
+        handicap: fixture.handicap ?? 15,
+        lieType: fromTee ? 'tee' : shot.lieType,
+      };
+
+      // The par 4/5 builders always plan a tee shot first, so an approach
+      // from the fairway is planned as a one-shot hole from where it lay
+      const decisionHole = fromTee ? holeData : { ...holeData, par: 3 };
+
+      const plan = computeHolePlan(decisionHole, playerContext, weatherAtShot(shot, fixture.weather), config);
+      // Same club IDs as round_shots.club ('7_iron', 'pw', ...)
+      const recommended = plan.error ? null : plan.shots?.[0]?.clubId || null;
+
+      results.push({
+        roundId: fixture.roundId,
+        holeNumber: hole.holeNumber,
+        shotNumber: shot.shotNumber,
+        type,
+        played: shot.club,
+        recommended,
+        followed: recommended != null && recommended === shot.club,
+        overPar: hole.score - hole.par,
+        strategy: plan.strategy || null,
+      });
+    }
+  }
+
+  return results;
+}
+
+const average = (values) => (values.length > 0
+  ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 100) / 100
+  : null);
+
+/**
+ * Summarize decisions: how often the played club matched, and the
+ * average strokes over par on holes where the advice was followed or not.
+ *
+ * @param {Array<Object>} decisions - backtestRound results
+ * @returns {Object} { decisions, matched, matchRate, followedOverPar, ignoredOverPar, byType }
+ */
+export function summarizeBacktest(decisions) {
+  const planned = decisions.filter(d => d.recommended != null);
+  const summarize = (list) => {
+    const followed = list.filter(d => d.followed);
+    const ignored = list.filter(d => !d.followed);
+    return {
+      decisions: list.length,
+      matched: followed.length,
+      matchRate: list.length > 0 ? Math.round((followed.length / list.length) * 100) / 100 : null,
+      followedOverPar: average(followed.map(d => d.overPar)),
+      ignoredOverPar: average(ignored.map(d => d.overPar)),
+    };
+  };
+
+  return {
+    ...summarize(planned),
+    unplanned: decisions.length - planned.length,
+    byType: {
+      tee: summarize(planned.filter(d => d.type === 'tee')),
+      approach: summarize(planned.filter(d => d.type === 'approach')),
+    },
+  };
+}
+
+/**
+ * Backtest a set of rounds with one scoring config.
+ *
+ * @param {Array<Object>} fixtures - Backtest fixtures
+ * @param {Object} config - Scoring configuration
+ * @returns {Object} { summary, decisions }
+ */
+export function runBacktest(fixtures, config = DEFAULT_SCORING_CONFIG) {
+  const decisions = fixtures.flatMap(fixture => backtestRound(fixture, config));
+  return { summary: summarizeBacktest(decisions), decisions };
+}
+
+/**
+ * Backtest two scoring configs over the same rounds and list every
+ * decision where they recommend a different club.
+ *
+ * @param {Array<Object>} fixtures - Backtest fixtures
+ * @param {Object} a - { label, config }
+ * @param {Object} b - { label, config }
+ * @returns {Object} { a: { label, summary }, b: { label, summary }, differences, agreementRate }
+ */
+export function compareScoringConfigs(fixtures, a, b) {
+  const runA = runBacktest(fixtures, a.config);
+  const runB = runBacktest(fixtures, b.config);
+
+  const differences = runA.decisions
+    .map((decision, i) => ({ decision, other: runB.decisions[i] }))
+    .filter(({ decision, other }) => decision.recommended !== other.recommended)
+    .map(({ decision, other }) => ({
+      roundId: decision.roundId,
+      holeNumber: decision.holeNumber,
+      shotNumber: decision.shotNumber,
+      type: decision.type,
+      played: decision.played,
+      a: decision.recommended,
+      b: other.recommended,
+      overPar: decision.overPar,
+    }));
+
+  const total = runA.decisions.length;
+  return {
+    a: { label: a.label, summary: runA.summary },
+    b: { label: b.label, summary: runB.summary },
+    differences,
+    agreementRate: total > 0 ? Math.round(((total - differences.length) / total) * 100) / 100 : null,
+  };
+}
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+const pct = (rate) => (rate == null ? '-' : `${Math.round(rate * 100)}%`);
+const strokes = (value) => (value == null ? '-' : `${value > 0 ? '+' : ''}${value.toFixed(2)}`);
+
+/**
+ * Plain-text rows for a summary (used by both reports).
+ */
+function summaryRows(summary) {
+  return [
+    ['Decisions', String(summary.decisions)],
+    ['Club matched', `${summary.matched} (${pct(summary.matchRate)})`],
+    ['  tee shots', pct(summary.byType.tee.matchRate)],
+    ['  approaches', pct(summary.byType.approach.matchRate)],
+    ['Over par, followed', strokes(summary.followedOverPar)],
+    ['Over par, ignored', strokes(summary.ignoredOverPar)],
+  ];
+}
+
+/**
+ * Format a backtest summary as a plain-text table.
+ *
+ * @param {Object} summary - summarizeBacktest result
+ * @returns {string}
+ */
+export function formatBacktestReport(summary) {
+  return summaryRows(summary)
+    .map(([label, value]) => `${label.padEnd(20)}${value}`)
+    .join('\n');
+}
+
+/**
+ * Format a config comparison as a side-by-side plain-text table, followed
+ * by the decisions where the configs disagree.
+ *
+ * @param {Object} comparison - compareScoringConfigs result
+ * @returns {string}
+ */
+export function formatConfigComparison(comparison) {
+  const rowsA = summaryRows(comparison.a.summary);
+  const rowsB = summaryRows(comparison.b.summary);
+
+  const lines = [
+    `${''.padEnd(20)}${comparison.a.label.padEnd(16)}${comparison.b.label}`,
+    ...rowsA.map(([label, value], i) => `${label.padEnd(20)}${value.padEnd(16)}${rowsB[i][1]}`),
+    '',
+    `Same recommendation on ${pct(comparison.agreementRate)} of decisions`,
+  ];
+
+  for (const diff of comparison.differences) {
+    lines.push(
+      `  Hole ${diff.holeNumber} shot ${diff.shotNumber} (${diff.type}): played ${diff.played}, ` +
+      `${comparison.a.label} ${diff.a || '-'}, ${comparison.b.label} ${diff.b || '-'}`
+    );
+  }
+
+  return lines.join('\n');
+}
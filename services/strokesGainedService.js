@@ -0,0 +1,136 @@
+/**
+ * Strokes Gained Service
+ *
+ * Loads what the strokes gained engine (utils/strokesGained) needs from
+ * Supabase: shots, hole scores and the hole locations shots are
+ * measured to (the round's pin when one was set, else the green
+ * center). Computed on demand so the baseline can be switched
+ * without storing a result per baseline.
+ *
+ * Baseline options:
+ *   'scratch'  - scratch golfer
+ *   'handicap' - the handicap index each round was played off
+ *   number     - a fixed handicap
+ */
+
+import { supabase } from '../config/supabase';
+import { computeRoundStrokesGained, summarizeStrokesGainedTrend } from '../utils/strokesGained';
+
+/**
+ * Resolve a baseline option for a round.
+ */
+function resolveBaseline(baseline, round) {
+  if (baseline === 'handicap') return round?.handicap_index ?? 'scratch';
+  return baseline;
+}
+
+/**
+ * Fetch green locations for one or more courses.
+ *
+ * @param {string[]} courseIds
+ * @returns {Object} { data: { courseId: { holeNumber: { latitude, longitude } } }, error }
+ */
+export async function fetchHoleLocations(courseIds) {
+  const ids = [...new Set((courseIds || []).filter(Boolean))];
+  if (ids.length === 0) return { data: {}, error: null };
+
+  const { data, error } = await supabase
+    .from('Holes')
+    .select('course_id, hole_number, green_latitude, green_longitude')
+    .in('course_id', ids);
+
+  if (error) {
+    console.error('Error fetching hole locations:', error.message);
+    return { data: {}, error: error.message };
+  }
+
+  const locations = {};
+  (data || []).forEach((h) => {
+    if (h.green_latitude == null || h.green_longitude == null) return;
+    if (!locations[h.course_id]) locations[h.course_id] = {};
+    locations[h.course_id][h.hole_number] = { latitude: h.green_latitude, longitude: h.green_longitude };
+  });
+  return { data: locations, error: null };
+}
+
+/**
+ * Strokes gained for a round already loaded by the caller.
+ *
+ * @param {Object} round - Round with holes (from fetchRoundDetail)
+ * @param {Array} shots - round_shots rows (from fetchRoundShots)
+ * @param {string|number} baseline - See module header
+ * @returns {Object} { data: computeRoundStrokesGained result, error }
+ */
+export async function fetchRoundStrokesGained(round, shots, baseline = 'scratch') {
+  if (!round || !shots || shots.length === 0) return { data: null, error: null };
+
+  const { data: locations, error } = await fetchHoleLocations([round.course_id]);
+  if (error) return { data: null, error };
+
+  const sg = computeRoundStrokesGained(
+    { holes: round.holes, shots, holeLocations: locations[round.course_id] },
+    resolveBaseline(baseline, round)
+  );
+  return { data: sg, error: null };
+}
+
+/**
+ * Strokes gained per round for the user's recent completed rounds.
+ *
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string|number} options.baseline - See module header
+ * @param {number} options.limit - Rounds to include (default 20)
+ * @returns {Object} { data: { points, averages }, error }
+ */
+export async function fetchStrokesGainedTrend(userId, { baseline = 'scratch', limit = 20 } = {}) {
+  const { data: rounds, error: roundsError } = await supabase
+    .from('rounds')
+    .select('id, course_id, started_at, handicap_index')
+    .eq('user_id', userId)
+    .eq('status', 'completed')
+    .order('started_at', { ascending: false })
+    .limit(limit);
+
+  if (roundsError) {
+    console.error('Error fetching rounds for strokes gained:', roundsError.message);
+    return { data: null, error: roundsError.message };
+  }
+  if (!rounds || rounds.length === 0) return { data: summarizeStrokesGainedTrend([]), error: null };
+
+  const roundIds = rounds.map(r => r.id);
+  const [holesResult, shotsResult, locationsResult] = await Promise.all([
+    supabase.from('round_holes').select('*').in('round_id', roundIds),
+    supabase.from('round_shots').select('*').in('round_id', roundIds),
+    fetchHoleLocations(rounds.map(r => r.course_id)),
+  ]);
+
+  const error = holesResult.error?.message || shotsResult.error?.message || locationsResult.error;
+  if (error) {
+    console.error('Error fetching strokes gained data:', error);
+    return { data: null, error };
+  }
+
+  const byRound = (rows) => (rows || []).reduce((acc, row) => {
+    if (!acc[row.round_id]) acc[row.round_id] = [];
+    acc[row.round_id].push(row);
+    return acc;
+  }, {});
+  const holesByRound = byRound(holesResult.data);
+  const shotsByRound = byRound(shotsResult.data);
+
+  const results = [...rounds].reverse().map(r => ({
+    roundId: r.id,
+    date: r.started_at,
+    sg: computeRoundStrokesGained(
+      {
+        holes: holesByRound[r.id] || [],
+        shots: shotsByRound[r.id] || [],
+        holeLocations: locationsResult.data[r.course_id],
+      },
+      resolveBaseline(baseline, r)
+    ),
+  }));
+
+  return { data: summarizeStrokesGainedTrend(results), error: null };
+}
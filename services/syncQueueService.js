@@ -0,0 +1,535 @@
+/**
+ * Sync Queue Service
+ *
+ * Durable outbound queue that pushes a round to Supabase while it's being
+ * played, instead of in one call at the end. Every change the round cache
+ * makes is queued in AsyncStorage and uploaded as soon as there's signal;
+ * failed uploads are retried with exponential backoff, and the queue
+ * survives the app being closed.
+ *
+ * Operations, keyed so a newer change replaces a pending older one:
+ *   round     round:<tempId>                      create the round (in progress)
+ *   hole      hole:<tempId>:<hole>                upsert a hole score
+ *   shot      shot:<tempId>:<hole>:<shot>         upsert one shot
+ *   prune     prune:<tempId>:<hole>               drop shots no longer on the device
+ *   complete  complete:<tempId>                   final stats, partners, status completed
+ *   abandon   abandon:<tempId>                    round replaced before it was finished
+ *
+ * Operations run in order per round; a failure holds back that round's
+ * later operations until the retry, so a round is never completed before
+ * its holes are in. The server calls are idempotent (see roundService),
+ * so an upload that succeeded but whose response was lost is safe to redo.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  upsertSyncedRound,
+  completeSyncedRound,
+  upsertRoundHoles,
+  upsertRoundShots,
+  deleteRoundShotsExcept,
+  abandonRound,
+} from './roundService';
+
+const CACHE_KEY_SYNC_QUEUE = '@Pure:syncQueue';
+const CACHE_KEY_SYNCED_ROUNDS = '@Pure:syncedRounds';
+
+// Retry backoff: 5s, 10s, 20s ... capped at 10 minutes
+const BASE_RETRY_MS = 5000;
+const MAX_RETRY_MS = 10 * 60 * 1000;
+
+// Finished rounds are remembered this long for status display
+const SYNCED_ROUND_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const SYNC_STATES = {
+  SYNCED: 'synced',
+  PENDING: 'pending',
+  RETRYING: 'retrying',
+};
+
+let writeChain = Promise.resolve();
+let processing = null;
+let rerunRequested = false;
+let retryTimer = null;
+let opCounter = 0;
+const listeners = new Set();
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+async function readJson(key, fallback) {
+  try {
+    const data = await AsyncStorage.getItem(key);
+    return data ? JSON.parse(data) : fallback;
+  } catch (error) {
+    console.error('[SyncQueue] Error reading', key, error);
+    return fallback;
+  }
+}
+
+/**
+ * Serialize read-modify-write of the queue and round map so an enqueue
+ * during an upload isn't lost.
+ */
+function updateStore(update) {
+  const run = writeChain.then(async () => {
+    const queue = await readJson(CACHE_KEY_SYNC_QUEUE, []);
+    const rounds = await readJson(CACHE_KEY_SYNCED_ROUNDS, {});
+    const result = update(queue, rounds);
+    await AsyncStorage.multiSet([
+      [CACHE_KEY_SYNC_QUEUE, JSON.stringify(queue)],
+      [CACHE_KEY_SYNCED_ROUNDS, JSON.stringify(rounds)],
+    ]);
+    return result;
+  });
+  writeChain = run.catch(() => {});
+  return run;
+}
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+/**
+ * Retry delay after a number of failed attempts.
+ *
+ * @param {number} attempts - Failed attempts so far (>= 1)
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_MS);
+}
+
+/**
+ * Sync status for each round the queue knows about.
+ *
+ * @param {Array} queue - Pending operations
+ * @param {Object} rounds - Round map keyed by temp ID
+ * @returns {Object} { [tempId]: { state, pending, lastError, nextAttemptAt, dbRoundId, courseName, finished, completed } }
+ */
+export function summarizeSyncState(queue, rounds) {
+  const summary = {};
+
+  Object.entries(rounds).forEach(([tempId, round]) => {
+    summary[tempId] = {
+      state: SYNC_STATES.SYNCED,
+      pending: 0,
+      lastError: null,
+      nextAttemptAt: null,
+      dbRoundId: round.dbRoundId || null,
+      courseName: round.courseName || null,
+      finished: !!round.finished,
+      completed: !!round.completed,
+    };
+  });
+
+  queue.forEach((op) => {
+    const entry = summary[op.tempId];
+    if (!entry) return;
+    entry.pending += 1;
+    if (op.attempts > 0) {
+      entry.state = SYNC_STATES.RETRYING;
+      entry.lastError = op.lastError;
+      entry.nextAttemptAt = entry.nextAttemptAt == null
+        ? op.nextAttemptAt
+        : Math.min(entry.nextAttemptAt, op.nextAttemptAt);
+    } else if (entry.state === SYNC_STATES.SYNCED) {
+      entry.state = SYNC_STATES.PENDING;
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * Current sync status of every known round.
+ *
+ * @returns {Promise<Object>} See summarizeSyncState
+ */
+export async function getSyncStatus() {
+  await writeChain;
+  const queue = await readJson(CACHE_KEY_SYNC_QUEUE, []);
+  const rounds = await readJson(CACHE_KEY_SYNCED_ROUNDS, {});
+  return summarizeSyncState(queue, rounds);
+}
+
+/**
+ * Listen for sync status changes.
+ *
+ * @param {function} listener - Called with (status, event); event is
+ *   { type: 'round_completed', tempId, dbRoundId } when a finished round
+ *   has been fully uploaded, otherwise null
+ * @returns {function} Unsubscribe
+ */
+export function subscribeSyncStatus(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+async function notify(event = null) {
+  if (listeners.size === 0) return;
+  const status = await getSyncStatus();
+  listeners.forEach((listener) => {
+    try {
+      listener(status, event);
+    } catch (error) {
+      console.warn('[SyncQueue] Listener error:', error);
+    }
+  });
+}
+
+// ============================================================================
+// ENQUEUE
+// ============================================================================
+
+function opKey(type, tempId, { holeNumber, shotNumber } = {}) {
+  if (type === 'shot') return `shot:${tempId}:${holeNumber}:${shotNumber}`;
+  if (type === 'hole' || type === 'prune') return `${type}:${tempId}:${holeNumber}`;
+  return `${type}:${tempId}`;
+}
+
+function addOp(queue, type, tempId, payload) {
+  const key = opKey(type, tempId, payload);
+  const existing = queue.findIndex(op => op.key === key);
+  if (existing >= 0) queue.splice(existing, 1);
+
+  queue.push({
+    id: `${Date.now()}_${opCounter++}`,
+    key,
+    type,
+    tempId,
+    payload,
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: null,
+  });
+}
+
+function afterEnqueue() {
+  notify();
+  processSyncQueue();
+}
+
+/**
+ * Queue a newly started round.
+ *
+ * @param {string} tempId - Cached round temp ID
+ * @param {Object} roundData - Round metadata (getCacheDataForSubmission shape)
+ * @param {string} courseName - For status display
+ * @returns {Promise<void>}
+ */
+export async function enqueueRoundStart(tempId, roundData, courseName = null) {
+  await updateStore((queue, rounds) => {
+    rounds[tempId] = { dbRoundId: null, courseName, finished: false, completed: false, updatedAt: Date.now() };
+    addOp(queue, 'round', tempId, { round: roundData });
+  });
+  afterEnqueue();
+}
+
+/**
+ * Queue a hole score.
+ *
+ * @param {string} tempId - Cached round temp ID
+ * @param {Object} hole - Hole (getCacheDataForSubmission shape)
+ * @returns {Promise<void>}
+ */
+export async function enqueueHole(tempId, hole) {
+  await updateStore((queue) => {
+    addOp(queue, 'hole', tempId, { holeNumber: hole.holeNumber, hole });
+  });
+  afterEnqueue();
+}
+
+/**
+ * Queue a hole's shots: one upsert per shot, then removal of any synced
+ * shot numbers the hole no longer has.
+ *
+ * @param {string} tempId - Cached round temp ID
+ * @param {number} holeNumber - Hole number
+ * @param {Array} shots - All of the hole's shots (getCacheDataForSubmission shape)
+ * @returns {Promise<void>}
+ */
+export async function enqueueHoleShots(tempId, holeNumber, shots) {
+  await updateStore((queue) => {
+    shots.forEach((shot) => {
+      addOp(queue, 'shot', tempId, { holeNumber, shotNumber: shot.shotNumber, shot });
+    });
+    addOp(queue, 'prune', tempId, { holeNumber, shotNumbers: shots.map(s => s.shotNumber) });
+  });
+  afterEnqueue();
+}
+
+/**
+ * Queue the end of a round: every hole and shot as finally scored, then
+ * the final stats and partners. The round cache can be cleared once this
+ * resolves; the queue holds everything still to upload.
+ *
+ * @param {Object} submission - { round, holes, shots, partners } from getCacheDataForSubmission
+ * @returns {Promise<void>}
+ */
+export async function enqueueRoundComplete({ round, holes, shots, partners }) {
+  const { tempId } = round;
+
+  await updateStore((queue, rounds) => {
+    if (!rounds[tempId]) {
+      rounds[tempId] = { dbRoundId: null, courseName: null, completed: false };
+    }
+    rounds[tempId].finished = true;
+    rounds[tempId].updatedAt = Date.now();
+
+    const roundPending = queue.some(op => op.key === opKey('round', tempId));
+    if (!rounds[tempId].dbRoundId && !roundPending) {
+      addOp(queue, 'round', tempId, { round: { ...round, status: 'in_progress', completedAt: null } });
+    }
+    holes.forEach(hole => addOp(queue, 'hole', tempId, { holeNumber: hole.holeNumber, hole }));
+
+    const byHole = {};
+    shots.forEach((shot) => {
+      (byHole[shot.holeNumber] = byHole[shot.holeNumber] || []).push(shot);
+    });
+    Object.entries(byHole).forEach(([holeNumber, holeShots]) => {
+      holeShots.forEach((shot) => {
+        addOp(queue, 'shot', tempId, { holeNumber: Number(holeNumber), shotNumber: shot.shotNumber, shot });
+      });
+    });
+    holes.forEach((hole) => {
+      addOp(queue, 'prune', tempId, {
+        holeNumber: hole.holeNumber,
+        shotNumbers: (byHole[hole.holeNumber] || []).map(s => s.shotNumber),
+      });
+    });
+
+    addOp(queue, 'complete', tempId, { round, partners: partners || [] });
+  });
+  afterEnqueue();
+}
+
+/**
+ * Queue abandoning a round that was replaced before it was finished.
+ * Nothing is uploaded for a round the server never saw.
+ *
+ * @param {string} tempId - Cached round temp ID
+ * @returns {Promise<void>}
+ */
+export async function enqueueRoundAbandon(tempId) {
+  await updateStore((queue, rounds) => {
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (queue[i].tempId === tempId) queue.splice(i, 1);
+    }
+    if (rounds[tempId]?.dbRoundId) {
+      rounds[tempId].finished = true;
+      addOp(queue, 'abandon', tempId, {});
+    } else {
+      delete rounds[tempId];
+    }
+  });
+  afterEnqueue();
+}
+
+/**
+ * Hole numbers with a score change still waiting to upload.
+ *
+ * @param {string} tempId - Cached round temp ID
+ * @returns {Promise<Array<number>>}
+ */
+export async function getQueuedHoleNumbers(tempId) {
+  await writeChain;
+  const queue = await readJson(CACHE_KEY_SYNC_QUEUE, []);
+  return queue
+    .filter(op => op.tempId === tempId && op.type === 'hole')
+    .map(op => op.payload.holeNumber);
+}
+
+/**
+ * Drop pending hole score uploads, when the server's copy of those holes
+ * has been taken instead (see roundCacheService.reconcileCachedRound).
+ *
+ * @param {string} tempId - Cached round temp ID
+ * @param {Array<number>} holeNumbers - Holes to drop
+ * @returns {Promise<void>}
+ */
+export async function dropQueuedHoles(tempId, holeNumbers) {
+  const keys = new Set(holeNumbers.map(holeNumber => opKey('hole', tempId, { holeNumber })));
+  await updateStore((queue) => {
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (keys.has(queue[i].key)) queue.splice(i, 1);
+    }
+  });
+  notify();
+}
+
+/**
+ * Stop tracking a round entirely: its pending uploads are dropped and
+ * nothing is sent to the server. For a round finished elsewhere.
+ *
+ * @param {string} tempId - Cached round temp ID
+ * @returns {Promise<void>}
+ */
+export async function forgetSyncedRound(tempId) {
+  await updateStore((queue, rounds) => {
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (queue[i].tempId === tempId) queue.splice(i, 1);
+    }
+    delete rounds[tempId];
+  });
+  notify();
+}
+
+// ============================================================================
+// PROCESS
+// ============================================================================
+
+async function runOp(op, dbRoundId) {
+  const { payload } = op;
+  switch (op.type) {
+    case 'round':
+      return upsertSyncedRound(op.tempId, payload.round, 'in_progress');
+    case 'hole':
+      return upsertRoundHoles(dbRoundId, [payload.hole]);
+    case 'shot':
+      return upsertRoundShots(dbRoundId, [payload.shot]);
+    case 'prune':
+      return deleteRoundShotsExcept(dbRoundId, payload.holeNumber, payload.shotNumbers);
+    case 'complete':
+      return completeSyncedRound(op.tempId, payload.round, payload.partners);
+    case 'abandon':
+      return abandonRound(dbRoundId);
+    default:
+      return { error: `Unknown sync operation: ${op.type}` };
+  }
+}
+
+function scheduleRetry(queue) {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+  const next = queue.reduce((min, op) => (op.attempts > 0 ? Math.min(min, op.nextAttemptAt) : min), Infinity);
+  if (next === Infinity) return;
+
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    processSyncQueue();
+  }, Math.max(next - Date.now(), 0));
+}
+
+async function processPass({ force }) {
+  const events = [];
+  await writeChain;
+  const queue = await readJson(CACHE_KEY_SYNC_QUEUE, []);
+  const rounds = await readJson(CACHE_KEY_SYNCED_ROUNDS, {});
+  const blocked = new Set();
+
+  // A round's create must go first; everything else waits on its ID
+  const ordered = [...queue.filter(op => op.type === 'round'), ...queue.filter(op => op.type !== 'round')];
+
+  for (const op of ordered) {
+    if (blocked.has(op.tempId)) continue;
+    if (!force && op.nextAttemptAt > Date.now()) {
+      blocked.add(op.tempId);
+      continue;
+    }
+
+    const dbRoundId = rounds[op.tempId]?.dbRoundId;
+    if (op.type !== 'round' && op.type !== 'complete' && !dbRoundId) {
+      // The round itself hasn't been created yet
+      blocked.add(op.tempId);
+      continue;
+    }
+
+    let result;
+    try {
+      result = await runOp(op, dbRoundId);
+    } catch (error) {
+      result = { error: error.message };
+    }
+
+    if (result?.error) {
+      blocked.add(op.tempId);
+      await updateStore((stored) => {
+        const current = stored.find(o => o.id === op.id);
+        if (!current) return;
+        current.attempts += 1;
+        current.lastError = result.error;
+        current.nextAttemptAt = Date.now() + getRetryDelay(current.attempts);
+      });
+      console.warn(`[SyncQueue] ${op.key} failed (attempt ${op.attempts + 1}):`, result.error);
+      continue;
+    }
+
+    const roundId = result?.data?.id;
+    await updateStore((stored, storedRounds) => {
+      const index = stored.findIndex(o => o.id === op.id);
+      if (index >= 0) stored.splice(index, 1);
+
+      const round = storedRounds[op.tempId];
+      if (round && roundId) {
+        round.dbRoundId = roundId;
+        rounds[op.tempId] = { ...rounds[op.tempId], dbRoundId: roundId };
+      }
+      if (round && op.type === 'complete') {
+        round.completed = true;
+        round.updatedAt = Date.now();
+      }
+    });
+
+    if (op.type === 'complete') {
+      events.push({ type: 'round_completed', tempId: op.tempId, dbRoundId: roundId });
+    }
+  }
+
+  // Forget rounds that finished uploading a while ago
+  const finalQueue = await updateStore((stored, storedRounds) => {
+    Object.keys(storedRounds).forEach((tempId) => {
+      const round = storedRounds[tempId];
+      const idle = !stored.some(o => o.tempId === tempId);
+      if (round.finished && idle && Date.now() - (round.updatedAt || 0) > SYNCED_ROUND_TTL_MS) {
+        delete storedRounds[tempId];
+      }
+    });
+    return [...stored];
+  });
+
+  scheduleRetry(finalQueue);
+  return events;
+}
+
+/**
+ * Upload whatever is due in the queue. Safe to call any time (app start,
+ * returning to the foreground, after a change); concurrent calls share
+ * one run.
+ *
+ * @param {Object} options
+ * @param {boolean} options.force - Ignore retry backoff (manual "retry now")
+ * @returns {Promise<void>}
+ */
+export function processSyncQueue({ force = false } = {}) {
+  if (processing) {
+    // Pick up anything queued after the current run read the queue
+    rerunRequested = true;
+    return processing;
+  }
+
+  processing = (async () => {
+    try {
+      do {
+        rerunRequested = false;
+        const events = await processPass({ force });
+        if (events.length === 0) {
+          await notify();
+        }
+        for (const event of events) {
+          console.log('[SyncQueue] Round uploaded:', event.dbRoundId);
+          await notify(event);
+        }
+      } while (rerunRequested);
+    } catch (error) {
+      console.error('[SyncQueue] Error processing queue:', error);
+    } finally {
+      processing = null;
+    }
+  })();
+
+  return processing;
+}
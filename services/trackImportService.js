@@ -0,0 +1,244 @@
+/**
+ * Track Import/Export Service
+ *
+ * Moves rounds in and out as GPS watch files:
+ *   - Export: a completed round's shot positions (round_shots) plus the
+ *     GPS trace recorded during it, as GPX, handed to the share sheet.
+ *   - Import: a GPX or FIT track from a watch, for a round scored on
+ *     paper. The track is run through the shot detector to reconstruct
+ *     where each shot was played from, and the round is submitted through
+ *     submitCompleteRound with the shots marked detection_method 'imported'.
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import { decode } from 'base64-arraybuffer';
+import { calculateDistance } from '../utils/geoUtils';
+import { getNineHoleTeeRating } from '../utils/handicapUtils';
+import { parseGpx, parseFit, roundToGpx, getTrackFormat } from '../utils/trackFormats';
+import { reconstructShotsFromTrack } from './gpsTraceReplay';
+import { listTraces, loadTrace } from './gpsTraceRecorder';
+import { computeRoundStats } from './roundCacheService';
+import { inferClub } from './clubInference';
+import { submitCompleteRound } from './roundService';
+
+// Detector lies that round_shots.lie_type doesn't have
+const IMPORTED_LIE_MAP = {
+  water: 'penalty',
+};
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Read a GPX or FIT file picked from the device.
+ *
+ * @param {string} uri - Local file URI
+ * @param {string} fileName - Original file name (for the format)
+ * @returns {Promise<{data: {name, format, points}|null, error: string|null}>}
+ */
+export async function readTrackFile(uri, fileName) {
+  try {
+    const format = getTrackFormat(fileName);
+    if (!format) {
+      return { data: null, error: 'Choose a .gpx or .fit file' };
+    }
+
+    let parsed;
+    if (format === 'gpx') {
+      parsed = parseGpx(await FileSystem.readAsStringAsync(uri));
+    } else {
+      const base64 = await FileSystem.readAsStringAsync(uri, { encoding: 'base64' });
+      parsed = parseFit(decode(base64));
+    }
+
+    const points = parsed.points.filter(p => p.timestamp != null);
+    if (points.length === 0) {
+      return { data: null, error: 'The file has no timed GPS points' };
+    }
+
+    console.log(`[TrackImport] Read ${points.length} points from ${fileName}`);
+    return { data: { name: parsed.name || fileName, format, points }, error: null };
+  } catch (error) {
+    console.error('[TrackImport] Error reading track file:', error);
+    return { data: null, error: error.message };
+  }
+}
+
+/**
+ * Reconstruct shots from a track in the submission format used by
+ * submitCompleteRound. Each shot runs to where the next one was played.
+ * Clubs are inferred from the shot distance and left unconfirmed so the
+ * player can check the doubtful ones in the round detail.
+ *
+ * @param {Array} points - Track points
+ * @param {Object} holes - Hole geometry keyed by hole number (fetchHolesByCourse)
+ * @param {Object} clubData - { clubStats, bagDistances, corrections } for club inference
+ * @returns {Array} Shots for submission
+ */
+export function buildImportedShots(points, holes, clubData = {}) {
+  const detected = reconstructShotsFromTrack(points, holes);
+
+  return detected.map((shot, i) => {
+    const next = detected[i + 1]?.holeNumber === shot.holeNumber ? detected[i + 1] : null;
+    const lieType = shot.shotNumber === 1 ? 'tee' : (IMPORTED_LIE_MAP[shot.lieType] || shot.lieType);
+    const distanceActual = next ? calculateDistance(shot.position, next.position) : null;
+    const inferred = inferClub({ distance: distanceActual, lieType, ...clubData });
+
+    return {
+      holeNumber: shot.holeNumber,
+      shotNumber: shot.shotNumber,
+      fromLat: shot.position.latitude,
+      fromLon: shot.position.longitude,
+      toLat: next ? next.position.latitude : null,
+      toLon: next ? next.position.longitude : null,
+      club: inferred?.club || null,
+      clubInferred: inferred?.club || null,
+      clubConfidence: inferred?.confidence ?? null,
+      clubConfirmed: false,
+      lieType,
+      distanceActual,
+      shotType: 'full',
+      detectionMethod: 'imported',
+      playedAt: shot.timestamp.toISOString(),
+    };
+  });
+}
+
+/**
+ * Assemble an imported round for submitCompleteRound.
+ *
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {Object} params.course - Course ({ id, name })
+ * @param {Object} params.tee - Tee box (fetchTeeBoxes)
+ * @param {Object} params.holes - Hole geometry keyed by hole number
+ * @param {Object} params.scores - Paper scores keyed by hole number: { score, putts }
+ * @param {Array} params.points - Track points
+ * @param {Array} params.shots - Shots from buildImportedShots
+ * @returns {Object} { round, holes, shots }
+ */
+export function buildImportedRound({ userId, course, tee, holes, scores, points, shots }) {
+  const holeRows = Object.entries(scores)
+    .filter(([, entry]) => entry?.score != null)
+    .map(([holeNumber, entry]) => {
+      const hole = holes[holeNumber] || {};
+      const putts = entry.putts ?? null;
+      return {
+        holeNumber: Number(holeNumber),
+        score: entry.score,
+        putts,
+        fairwayHit: null,
+        gir: putts != null && hole.par ? (entry.score - putts) <= (hole.par - 2) : null,
+        par: hole.par,
+        yardage: hole.yardage,
+        handicapIndex: hole.handicap,
+        penalties: 0,
+      };
+    })
+    .sort((a, b) => a.holeNumber - b.holeNumber);
+
+  const numbers = holeRows.map(h => h.holeNumber);
+  const isNine = numbers.length > 0 && numbers.length <= 9;
+  const ninePlayed = isNine ? (numbers.every(n => n >= 10) ? 'back' : 'front') : null;
+  const nineRating = ninePlayed ? getNineHoleTeeRating(tee, ninePlayed) : null;
+  const { holePoints, ...stats } = computeRoundStats(holeRows);
+
+  const scoredHoles = new Set(numbers);
+  const startedAt = points.reduce((min, p) => Math.min(min, p.timestamp), Infinity);
+  const completedAt = points.reduce((max, p) => Math.max(max, p.timestamp), -Infinity);
+
+  return {
+    round: {
+      userId,
+      courseId: course.id,
+      teeBoxId: tee.id || null,
+      startedAt: new Date(startedAt).toISOString(),
+      completedAt: new Date(completedAt).toISOString(),
+      teeColor: tee.color || tee.name,
+      teeYardage: tee.yardage,
+      teeRating: nineRating ? nineRating.rating : tee.rating,
+      teeSlope: nineRating ? nineRating.slope : tee.slope,
+      coursePar: nineRating ? nineRating.par : (tee.parTotal || null),
+      roundLength: ninePlayed ? 9 : 18,
+      ninePlayed,
+      ...stats,
+    },
+    holes: holeRows,
+    shots: shots.filter(s => scoredHoles.has(s.holeNumber)),
+  };
+}
+
+/**
+ * Submit an imported round.
+ *
+ * @param {Object} params - As buildImportedRound
+ * @returns {Promise<{data: Object|null, error: string|null}>} Created round
+ */
+export async function submitImportedRound(params) {
+  const { round, holes, shots } = buildImportedRound(params);
+  if (holes.length === 0) {
+    return { data: null, error: 'Enter at least one hole score' };
+  }
+
+  console.log(`[TrackImport] Submitting ${holes.length} holes with ${shots.length} imported shots`);
+  return submitCompleteRound(round, holes, shots);
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Find the GPS trace recorded during a round, if one was saved on this device.
+ *
+ * @param {Object} round - Round row ({ course_id, started_at, completed_at })
+ * @returns {Promise<Array>} Track points (empty when none)
+ */
+async function findRecordedTrack(round) {
+  const { data: traces } = await listTraces();
+  if (!traces?.length || !round?.started_at) return [];
+
+  const start = Date.parse(round.started_at);
+  const end = round.completed_at ? Date.parse(round.completed_at) : start + 6 * 60 * 60 * 1000;
+
+  for (const { uri } of traces) {
+    const { data: trace } = await loadTrace(uri);
+    if (!trace || (trace.courseId && trace.courseId !== round.course_id)) continue;
+    const points = (trace.points || []).filter(p => p.timestamp >= start && p.timestamp <= end);
+    if (points.length > 0) return points;
+  }
+  return [];
+}
+
+/**
+ * Export a completed round as GPX and open the share sheet.
+ *
+ * @param {Object} round - Round row from fetchRoundDetail
+ * @param {Array} shots - round_shots rows
+ * @returns {Promise<{data: {uri: string}|null, error: string|null}>}
+ */
+export async function exportRoundGpx(round, shots) {
+  try {
+    const track = await findRecordedTrack(round);
+    const gpx = roundToGpx(round, shots, track);
+    const date = (round.started_at || new Date().toISOString()).slice(0, 10);
+    const uri = `${FileSystem.cacheDirectory}round-${date}.gpx`;
+
+    await FileSystem.writeAsStringAsync(uri, gpx);
+    console.log(`[TrackExport] Wrote ${shots.length} shots and ${track.length} track points to ${uri}`);
+
+    if (await Sharing.isAvailableAsync()) {
+      await Sharing.shareAsync(uri, {
+        mimeType: 'application/gpx+xml',
+        UTI: 'com.topografix.gpx',
+        dialogTitle: 'Export round',
+      });
+    }
+    return { data: { uri }, error: null };
+  } catch (error) {
+    console.error('[TrackExport] Error exporting round:', error);
+    return { data: null, error: error.message };
+  }
+}
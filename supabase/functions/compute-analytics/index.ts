@@ -62,6 +62,12 @@ interface Shot {
   shot_number: number;
   hole_number: number;
   round_id: string;
+  shot_type: string | null;
+  putt_distance_ft: number | null;
+  leave_distance_ft: number | null;
+  putt_made: boolean | null;
+  club_inferred: string | null;
+  club_confirmed: boolean | null;
 }
 
 interface ClubStats {
@@ -93,6 +99,38 @@ interface Tendency {
   sampleSize: number;
 }
 
+interface PuttBand {
+  key: string;
+  label: string;
+  attempts: number;
+  makes: number;
+  makePct: number | null;
+}
+
+interface PuttingStats {
+  totalPutts: number;
+  holesPutted: number;
+  puttsPerHole: number | null;
+  threePuttRate: number | null;
+  onePuttRate: number | null;
+  bands: PuttBand[];
+  avgFirstPuttFt: number | null;
+  avgLagLeaveFt: number | null;
+  avgMissLeaveFt: number | null;
+  lagPutts: number;
+}
+
+// Keep in sync with utils/puttingUtils.js
+const PUTT_DISTANCE_BANDS = [
+  { key: "0_3", label: "0-3 ft", min: 0, max: 3 },
+  { key: "3_6", label: "3-6 ft", min: 3, max: 6 },
+  { key: "6_10", label: "6-10 ft", min: 6, max: 10 },
+  { key: "10_20", label: "10-20 ft", min: 10, max: 20 },
+  { key: "20_30", label: "20-30 ft", min: 20, max: 30 },
+  { key: "30_plus", label: "30+ ft", min: 30, max: Infinity },
+];
+const LAG_PUTT_FEET = 30;
+
 // ============================================================================
 // CLUB STATS COMPUTATION
 // ============================================================================
@@ -102,6 +140,8 @@ function computeClubStats(shots: Shot[]): Record<string, ClubStats> {
   for (const shot of shots) {
     if (!shot.club || shot.club === "putter") continue;
     if (shot.distance_actual == null) continue;
+    // An unchecked guess from the distance would only reinforce itself
+    if (shot.club_inferred && shot.club_confirmed === false) continue;
 
     if (!clubGroups[shot.club]) {
       clubGroups[shot.club] = [];
@@ -403,6 +443,141 @@ function detectTendencies(
   return tendencies;
 }
 
+// ============================================================================
+// PUTTING
+// ============================================================================
+
+function computePuttingStats(shots: Shot[]): PuttingStats {
+  const putts = shots.filter((s) => s.shot_type === "putt");
+
+  // Make percentage by start distance
+  const bands: PuttBand[] = PUTT_DISTANCE_BANDS.map((b) => ({
+    key: b.key,
+    label: b.label,
+    attempts: 0,
+    makes: 0,
+    makePct: null,
+  }));
+  for (const putt of putts) {
+    if (putt.putt_distance_ft == null) continue;
+    const idx = PUTT_DISTANCE_BANDS.findIndex(
+      (b) => putt.putt_distance_ft! >= b.min && putt.putt_distance_ft! < b.max
+    );
+    if (idx < 0) continue;
+    bands[idx].attempts++;
+    if (putt.putt_made) bands[idx].makes++;
+  }
+  bands.forEach((b) => {
+    if (b.attempts > 0) b.makePct = Math.round((b.makes / b.attempts) * 100);
+  });
+
+  // Per-hole sequences for 1/3-putt rates and first-putt proximity
+  const holeMap: Record<string, Shot[]> = {};
+  for (const putt of putts) {
+    const key = `${putt.round_id}_${putt.hole_number}`;
+    if (!holeMap[key]) holeMap[key] = [];
+    holeMap[key].push(putt);
+  }
+  const holes = Object.values(holeMap).map((h) =>
+    [...h].sort((a, b) => a.shot_number - b.shot_number)
+  );
+  const holesPutted = holes.length;
+  const threePutts = holes.filter((h) => h.length >= 3).length;
+  const onePutts = holes.filter((h) => h.length === 1).length;
+
+  const firstPutts = holes
+    .map((h) => h[0].putt_distance_ft)
+    .filter((d): d is number => d != null);
+  const lagLeaves = putts
+    .filter(
+      (p) =>
+        !p.putt_made &&
+        p.putt_distance_ft != null &&
+        p.putt_distance_ft >= LAG_PUTT_FEET &&
+        p.leave_distance_ft != null
+    )
+    .map((p) => p.leave_distance_ft!);
+  const missLeaves = putts
+    .filter((p) => !p.putt_made && p.leave_distance_ft != null)
+    .map((p) => p.leave_distance_ft!);
+
+  return {
+    totalPutts: putts.length,
+    holesPutted,
+    puttsPerHole:
+      holesPutted > 0 ? Math.round((putts.length / holesPutted) * 100) / 100 : null,
+    threePuttRate:
+      holesPutted > 0 ? Math.round((threePutts / holesPutted) * 100) : null,
+    onePuttRate:
+      holesPutted > 0 ? Math.round((onePutts / holesPutted) * 100) : null,
+    bands,
+    avgFirstPuttFt:
+      firstPutts.length > 0 ? Math.round(mean(firstPutts) * 10) / 10 : null,
+    avgLagLeaveFt:
+      lagLeaves.length > 0 ? Math.round(mean(lagLeaves) * 10) / 10 : null,
+    avgMissLeaveFt:
+      missLeaves.length > 0 ? Math.round(mean(missLeaves) * 10) / 10 : null,
+    lagPutts: lagLeaves.length,
+  };
+}
+
+function detectPuttingTendencies(stats: PuttingStats): Tendency[] {
+  const tendencies: Tendency[] = [];
+  if (stats.totalPutts === 0) return tendencies;
+
+  // Make % by distance — described by the most-attempted short band
+  const shortBand =
+    stats.bands.find((b) => b.key === "3_6" && b.attempts >= 5) ||
+    stats.bands.find((b) => b.attempts >= 5);
+  if (shortBand) {
+    tendencies.push({
+      tendencyType: "putting",
+      tendencyKey: "make_by_distance",
+      tendencyData: {
+        bands: stats.bands,
+        description: `Makes ${shortBand.makePct}% of putts from ${shortBand.label}`,
+      },
+      confidence: calculateConfidence(stats.totalPutts),
+      sampleSize: stats.totalPutts,
+    });
+  }
+
+  if (stats.holesPutted >= 5) {
+    tendencies.push({
+      tendencyType: "putting",
+      tendencyKey: "three_putt",
+      tendencyData: {
+        threePuttRate: stats.threePuttRate,
+        onePuttRate: stats.onePuttRate,
+        puttsPerHole: stats.puttsPerHole,
+        description: `3-putts ${stats.threePuttRate}% of greens, ${stats.puttsPerHole} putts per hole`,
+      },
+      confidence: calculateConfidence(stats.holesPutted),
+      sampleSize: stats.holesPutted,
+    });
+  }
+
+  if (stats.avgFirstPuttFt != null && stats.holesPutted >= 5) {
+    tendencies.push({
+      tendencyType: "putting",
+      tendencyKey: "proximity",
+      tendencyData: {
+        avgFirstPuttFt: stats.avgFirstPuttFt,
+        avgLagLeaveFt: stats.avgLagLeaveFt,
+        avgMissLeaveFt: stats.avgMissLeaveFt,
+        description:
+          stats.avgLagLeaveFt != null && stats.lagPutts >= 5
+            ? `Lags ${LAG_PUTT_FEET}+ ft putts to ${stats.avgLagLeaveFt} ft on average`
+            : `First putt averages ${stats.avgFirstPuttFt} ft from the hole`,
+      },
+      confidence: calculateConfidence(stats.holesPutted),
+      sampleSize: stats.holesPutted,
+    });
+  }
+
+  return tendencies;
+}
+
 // ============================================================================
 // HANDLER
 // ============================================================================
@@ -434,7 +609,7 @@ serve(async (req) => {
     const { data: shots, error: fetchError } = await supabase
       .from("round_shots")
       .select(
-        "club, distance_actual, distance_planned, distance_offline, distance_to_target, wind_speed, lie_type, result, shot_number, hole_number, round_id"
+        "club, club_inferred, club_confirmed, distance_actual, distance_planned, distance_offline, distance_to_target, wind_speed, lie_type, result, shot_number, hole_number, round_id, shot_type, putt_distance_ft, leave_distance_ft, putt_made"
       )
       .in(
         "round_id",
@@ -476,7 +651,7 @@ serve(async (req) => {
       const { data: fallbackShots, error: shotsError } = await supabase
         .from("round_shots")
         .select(
-          "club, distance_actual, distance_planned, distance_offline, distance_to_target, wind_speed, lie_type, result, shot_number, hole_number, round_id"
+          "club, club_inferred, club_confirmed, distance_actual, distance_planned, distance_offline, distance_to_target, wind_speed, lie_type, result, shot_number, hole_number, round_id, shot_type, putt_distance_ft, leave_distance_ft, putt_made"
         )
         .in("round_id", roundIds)
         .order("round_id")
@@ -528,7 +703,11 @@ async function processAndSave(
 
   // Compute stats
   const clubStats = computeClubStats(shots);
-  const tendencies = detectTendencies(shots, clubStats);
+  const puttingStats = computePuttingStats(shots);
+  const tendencies = [
+    ...detectTendencies(shots, clubStats),
+    ...detectPuttingTendencies(puttingStats),
+  ];
 
   // Save club stats
   const clubStatsRows = Object.values(clubStats).map((stats) => ({
@@ -593,6 +772,7 @@ async function processAndSave(
       clubStats: Object.keys(clubStats).length,
       tendencies: tendencies.length,
       totalShots: shots.length,
+      totalPutts: puttingStats.totalPutts,
       message: `Analyzed ${shots.length} shots across ${Object.keys(clubStats).length} clubs, detected ${tendencies.length} tendencies`,
     }),
     {
@@ -47,6 +47,14 @@ interface Coordinate {
   longitude: number;
 }
 
+// Today's pin (set in the app by tapping the green or from a pin sheet)
+interface PinPosition extends Coordinate {
+  source: "tap" | "sheet";
+  fromFront?: number | null;
+  fromEdge?: number | null;
+  edge?: "left" | "right" | null;
+}
+
 interface Polygon {
   type: string;
   label: string;
@@ -155,6 +163,7 @@ interface RequestPayload {
     green: Coordinate;
     greenFront?: Coordinate;
     greenBack?: Coordinate;
+    pin?: PinPosition | null;
     polygons: Polygon[];
   };
   clubDistances: Record<string, number>;
@@ -169,6 +178,14 @@ interface RequestPayload {
   caddiePreferences?: CaddiePreferences;
   preCalculated?: PreCalculatedContext;
   playerProfile?: PlayerProfile;
+  riskProfile?: RiskProfile;
+}
+
+interface RiskProfile {
+  id: "protect" | "balanced" | "aggressive";
+  label: string;
+  aggressionLevel: number;
+  description: string;
 }
 
 interface PlayerProfile {
@@ -213,10 +230,10 @@ serve(async (req) => {
 
   try {
     const payload = await req.json();
-    const { mode, userMessage, hole, player, clubDistances, weather, conversationHistory, caddiePreferences, preCalculated, playerProfile } = payload;
+    const { mode, userMessage, hole, player, geography, clubDistances, weather, conversationHistory, caddiePreferences, preCalculated, playerProfile, riskProfile } = payload;
     const isStreaming = payload.stream === true;
 
-    const systemPrompt = buildSystemPrompt(hole, player, clubDistances, weather, caddiePreferences, preCalculated, playerProfile);
+    const systemPrompt = buildSystemPrompt(hole, player, clubDistances, weather, caddiePreferences, preCalculated, playerProfile, geography?.pin, riskProfile);
     const messages = buildMessages(mode, userMessage, conversationHistory, player, caddiePreferences);
 
     if (isStreaming) {
@@ -439,6 +456,19 @@ function formatClubName(club: string): string {
     .replace(/\b\w/g, (c) => c.toUpperCase());
 }
 
+function formatPinLine(pin?: PinPosition | null): string {
+  if (!pin) return "- Pin: not set (distances are to the center of the green)";
+  if (pin.fromFront == null) return "- Pin: set on the map (distances are to the flag)";
+  const edge = pin.edge && pin.fromEdge != null ? `, ${pin.fromEdge} paces from the ${pin.edge} edge` : "";
+  return `- Pin: ${pin.fromFront} paces on${edge} (distances are to the flag)`;
+}
+
+function formatRiskProfileSection(riskProfile?: RiskProfile): string {
+  if (!riskProfile || riskProfile.id === "balanced") return "";
+  return `## Round Risk Profile: ${riskProfile.label}
+${riskProfile.description}. When this changes what you would recommend for balanced play, say so in one sentence (e.g. "Protecting your score, so lay up rather than carry the water").`;
+}
+
 // NOTE: calculateCentroid and calculateDistanceYards removed - now computed client-side
 
 function buildSystemPrompt(
@@ -448,7 +478,9 @@ function buildSystemPrompt(
   weather: RequestPayload["weather"],
   caddiePreferences?: CaddiePreferences,
   preCalculated?: PreCalculatedContext,
-  playerProfile?: PlayerProfile
+  playerProfile?: PlayerProfile,
+  pin?: PinPosition | null,
+  riskProfile?: RiskProfile
 ): string {
   // Use pre-calculated fairway targets from client (no more server-side calculation)
   const fairwayTargetsList = preCalculated?.fairwayTargets?.length > 0
@@ -467,8 +499,9 @@ function buildSystemPrompt(
 Handicap: ${hole.handicap} (${hole.handicap <= 6 ? "tough hole - play smart" : hole.handicap <= 12 ? "medium difficulty" : "scoring opportunity"})
 
 ## Player Position
-- **${player.distanceToGreen} yards to green** (${player.lieType || "fairway"} lie)
+- **${player.distanceToGreen} yards to ${pin ? "the pin" : "green"}** (${player.lieType || "fairway"} lie)
 - ${player.distanceFromTee} yards from tee
+${formatPinLine(pin)}
 
 ## Conditions
 ${weather.temperature}°F | ${weather.windSpeed} mph ${weather.windDirection} | ${weather.conditions}
@@ -504,6 +537,8 @@ ${caddiePreferences?.worstArea ? `**Avoid situations requiring**: ${caddiePrefer
 
 ${playerProfile && playerProfile.dataLevel !== 'none' ? buildPlayerProfileSection(playerProfile) : ''}
 
+${formatRiskProfileSection(riskProfile)}
+
 ## Response Style
 ${getResponseLengthInstructions(caddiePreferences?.responseDepth)}`;
 }
@@ -0,0 +1,31 @@
+-- Migration: World Handicap System Engine
+-- Records the WHS calculation method and its intermediate values on
+-- each handicap_history row so indexes can be audited against the club.
+
+-- ============================================================
+-- 1. Allow the 'whs' method
+-- ============================================================
+
+ALTER TABLE "handicap_history"
+  DROP CONSTRAINT IF EXISTS handicap_history_method_check;
+
+ALTER TABLE "handicap_history"
+  ADD CONSTRAINT handicap_history_method_check
+  CHECK (method IN ('calculated', 'onboarding_estimate', 'whs'));
+
+-- ============================================================
+-- 2. Intermediate values
+-- ============================================================
+
+ALTER TABLE "handicap_history"
+  ADD COLUMN IF NOT EXISTS differentials_used      integer,
+  ADD COLUMN IF NOT EXISTS differential_adjustment numeric(3,1),
+  ADD COLUMN IF NOT EXISTS uncapped_index          numeric(4,1),
+  ADD COLUMN IF NOT EXISTS low_index               numeric(4,1),
+  ADD COLUMN IF NOT EXISTS soft_cap_applied        boolean DEFAULT false,
+  ADD COLUMN IF NOT EXISTS hard_cap_applied        boolean DEFAULT false,
+  ADD COLUMN IF NOT EXISTS exceptional_reduction   numeric(3,1) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS scoring_record          jsonb;
+
+COMMENT ON COLUMN "handicap_history".scoring_record IS
+  'Most recent 20 scores used: [{ roundId, grossScore, adjustedGrossScore, differential, reduction }]';
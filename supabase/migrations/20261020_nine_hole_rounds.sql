@@ -0,0 +1,27 @@
+-- Migration: Nine-Hole Rounds
+-- Adds front/back nine ratings to tee boxes and records which holes a
+-- round covered so 9-hole scores can count toward the handicap index.
+
+-- ============================================================
+-- 1. Nine-hole tee ratings
+-- ============================================================
+
+ALTER TABLE "TeeBoxes"
+  ADD COLUMN IF NOT EXISTS front_course_rating numeric(3,1),
+  ADD COLUMN IF NOT EXISTS front_slope_rating  integer,
+  ADD COLUMN IF NOT EXISTS front_par           integer,
+  ADD COLUMN IF NOT EXISTS back_course_rating  numeric(3,1),
+  ADD COLUMN IF NOT EXISTS back_slope_rating   integer,
+  ADD COLUMN IF NOT EXISTS back_par            integer;
+
+-- ============================================================
+-- 2. Round length
+-- ============================================================
+
+-- For 9-hole rounds tee_rating, tee_slope and course_par hold the
+-- values for the nine that was played.
+ALTER TABLE "rounds"
+  ADD COLUMN IF NOT EXISTS round_length integer NOT NULL DEFAULT 18
+    CHECK (round_length IN (9, 18)),
+  ADD COLUMN IF NOT EXISTS nine_played  text
+    CHECK (nine_played IN ('front', 'back'));
@@ -0,0 +1,8 @@
+-- Migration: Round Handicap Snapshot
+-- Stores the index, course handicap and playing handicap a round was
+-- played off so net scores and stroke allocation can be shown later.
+
+ALTER TABLE "rounds"
+  ADD COLUMN IF NOT EXISTS handicap_index   numeric(4,1),
+  ADD COLUMN IF NOT EXISTS course_handicap  integer,
+  ADD COLUMN IF NOT EXISTS playing_handicap integer;
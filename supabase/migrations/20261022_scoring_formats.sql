@@ -0,0 +1,23 @@
+-- Migration: Scoring Formats
+-- Rounds record the scoring format they were played under and the
+-- format result (points, or capped strokes for max score). Holes keep
+-- their per-hole points. Existing rounds are stroke play.
+
+-- ============================================================
+-- ROUNDS
+-- ============================================================
+
+ALTER TABLE "rounds"
+  ADD COLUMN IF NOT EXISTS scoring_format text NOT NULL DEFAULT 'stroke'
+    CHECK (scoring_format IN ('stroke', 'stableford', 'modified_stableford', 'par_bogey', 'max_score')),
+  ADD COLUMN IF NOT EXISTS format_score integer;
+
+CREATE INDEX IF NOT EXISTS idx_rounds_user_course_format
+  ON "rounds" (user_id, course_id, scoring_format);
+
+-- ============================================================
+-- ROUND HOLES
+-- ============================================================
+
+ALTER TABLE "round_holes"
+  ADD COLUMN IF NOT EXISTS format_points integer;
@@ -0,0 +1,184 @@
+-- Migration: Group Rounds
+-- Up to three playing partners per round, each an app user or a guest
+-- with their own handicap and hole scores. Partners who are app users
+-- get a copy of the round in their own history.
+
+-- ============================================================
+-- 1. Partners and their hole scores
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS "round_partners" (
+  id                uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  round_id          uuid NOT NULL REFERENCES "rounds"(id) ON DELETE CASCADE,
+  position          smallint NOT NULL CHECK (position BETWEEN 1 AND 3),
+
+  -- Linked app user (null for guests) and display name
+  partner_user_id   uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  partner_name      text NOT NULL,
+
+  -- Handicap snapshot
+  handicap_index    numeric(4,1),
+  course_handicap   integer,
+  playing_handicap  integer,
+
+  -- Totals
+  total_score       integer,
+  net_score         integer,
+  format_score      integer,
+
+  -- The partner's own copy of the round (app users only)
+  linked_round_id   uuid REFERENCES "rounds"(id) ON DELETE SET NULL,
+
+  created_at        timestamptz DEFAULT now(),
+
+  UNIQUE(round_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS "round_partner_holes" (
+  id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  partner_id      uuid NOT NULL REFERENCES "round_partners"(id) ON DELETE CASCADE,
+  hole_number     integer NOT NULL CHECK (hole_number >= 1 AND hole_number <= 18),
+  score           integer CHECK (score >= 1 AND score <= 20),
+  created_at      timestamptz DEFAULT now(),
+
+  UNIQUE(partner_id, hole_number)
+);
+
+-- Rounds copied to a partner point back at the scorer's round
+ALTER TABLE "rounds"
+  ADD COLUMN IF NOT EXISTS group_source_round_id uuid REFERENCES "rounds"(id) ON DELETE SET NULL;
+
+-- ============================================================
+-- 2. Row Level Security
+-- ============================================================
+
+ALTER TABLE "round_partners" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "round_partner_holes" ENABLE ROW LEVEL SECURITY;
+
+-- round_partners: the round owner manages partners
+CREATE POLICY "Users can view own round partners"
+  ON "round_partners" FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM "rounds" WHERE "rounds".id = round_id AND "rounds".user_id = auth.uid()
+  ));
+
+CREATE POLICY "Users can insert own round partners"
+  ON "round_partners" FOR INSERT
+  WITH CHECK (EXISTS (
+    SELECT 1 FROM "rounds" WHERE "rounds".id = round_id AND "rounds".user_id = auth.uid()
+  ));
+
+CREATE POLICY "Users can delete own round partners"
+  ON "round_partners" FOR DELETE
+  USING (EXISTS (
+    SELECT 1 FROM "rounds" WHERE "rounds".id = round_id AND "rounds".user_id = auth.uid()
+  ));
+
+-- round_partner_holes: user must own the parent round
+CREATE POLICY "Users can view own round partner holes"
+  ON "round_partner_holes" FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM "round_partners" p
+    JOIN "rounds" r ON r.id = p.round_id
+    WHERE p.id = partner_id AND r.user_id = auth.uid()
+  ));
+
+CREATE POLICY "Users can insert own round partner holes"
+  ON "round_partner_holes" FOR INSERT
+  WITH CHECK (EXISTS (
+    SELECT 1 FROM "round_partners" p
+    JOIN "rounds" r ON r.id = p.round_id
+    WHERE p.id = partner_id AND r.user_id = auth.uid()
+  ));
+
+-- ============================================================
+-- 3. Find an app user to add as a partner
+-- ============================================================
+-- profiles is private to its owner, so lookups go through a function
+-- that only returns a match on the exact email.
+
+CREATE OR REPLACE FUNCTION public.find_player_by_email(p_email text)
+RETURNS TABLE (id uuid, name text, handicap text) AS $$
+  SELECT p.id, p.name, p.handicap
+  FROM public.profiles p
+  WHERE lower(p.email) = lower(trim(p_email))
+    AND p.id <> auth.uid()
+  LIMIT 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.find_player_by_email(text) TO authenticated;
+
+-- ============================================================
+-- 4. Copy a group round to linked partners
+-- ============================================================
+-- Creates a completed round for each linked partner (once) using the
+-- scorer's course/tee snapshot and the partner's hole scores.
+
+CREATE OR REPLACE FUNCTION public.share_group_round(p_round_id uuid)
+RETURNS integer AS $$
+DECLARE
+  src       "rounds"%ROWTYPE;
+  partner   "round_partners"%ROWTYPE;
+  new_id    uuid;
+  shared    integer := 0;
+BEGIN
+  SELECT * INTO src FROM "rounds" WHERE id = p_round_id AND user_id = auth.uid();
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Round not found';
+  END IF;
+
+  FOR partner IN
+    SELECT * FROM "round_partners"
+    WHERE round_id = p_round_id
+      AND partner_user_id IS NOT NULL
+      AND linked_round_id IS NULL
+  LOOP
+    INSERT INTO "rounds" (
+      user_id, course_id, tee_box_id, status, started_at, completed_at,
+      tee_color, tee_yardage, tee_rating, tee_slope, course_par,
+      weather_temp_f, weather_wind_mph, weather_condition,
+      total_score, front_nine_score, back_nine_score, holes_played, score_to_par,
+      round_length, nine_played, scoring_format, format_score,
+      handicap_index, course_handicap, playing_handicap,
+      group_source_round_id
+    )
+    SELECT
+      partner.partner_user_id, src.course_id, src.tee_box_id, 'completed', src.started_at, src.completed_at,
+      src.tee_color, src.tee_yardage, src.tee_rating, src.tee_slope, src.course_par,
+      src.weather_temp_f, src.weather_wind_mph, src.weather_condition,
+      partner.total_score,
+      COALESCE(SUM(ph.score) FILTER (WHERE ph.hole_number <= 9), 0),
+      COALESCE(SUM(ph.score) FILTER (WHERE ph.hole_number > 9), 0),
+      COUNT(ph.score),
+      partner.total_score - COALESCE(SUM(rh.par), 0),
+      src.round_length, src.nine_played, src.scoring_format, partner.format_score,
+      partner.handicap_index, partner.course_handicap, partner.playing_handicap,
+      src.id
+    FROM "round_partner_holes" ph
+    LEFT JOIN "round_holes" rh ON rh.round_id = src.id AND rh.hole_number = ph.hole_number
+    WHERE ph.partner_id = partner.id
+    RETURNING id INTO new_id;
+
+    INSERT INTO "round_holes" (round_id, hole_number, score, par, yardage, handicap_index)
+    SELECT new_id, ph.hole_number, ph.score, rh.par, rh.yardage, rh.handicap_index
+    FROM "round_partner_holes" ph
+    LEFT JOIN "round_holes" rh ON rh.round_id = src.id AND rh.hole_number = ph.hole_number
+    WHERE ph.partner_id = partner.id;
+
+    UPDATE "round_partners" SET linked_round_id = new_id WHERE id = partner.id;
+    shared := shared + 1;
+  END LOOP;
+
+  RETURN shared;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.share_group_round(uuid) TO authenticated;
+
+-- ============================================================
+-- 5. Indexes
+-- ============================================================
+
+CREATE INDEX IF NOT EXISTS idx_round_partners_round ON "round_partners"(round_id);
+CREATE INDEX IF NOT EXISTS idx_round_partners_user  ON "round_partners"(partner_user_id);
+CREATE INDEX IF NOT EXISTS idx_round_partner_holes_partner ON "round_partner_holes"(partner_id);
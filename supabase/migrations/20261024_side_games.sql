@@ -0,0 +1,7 @@
+-- Migration: Side Games
+-- Group rounds store the side games played (skins, Nassau, wolf, match
+-- play) with their stakes and each player's final settlement:
+--   { games: [{ type, stake, ... }], settlement: [{ playerId, name, total, byGame }] }
+
+ALTER TABLE "rounds"
+  ADD COLUMN IF NOT EXISTS side_games jsonb;
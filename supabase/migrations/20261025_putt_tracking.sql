@@ -0,0 +1,12 @@
+-- Migration: Putt Tracking
+-- Putts are logged one by one on the green and stored as round_shots
+-- rows with shot_type 'putt': start distance, leave distance (0 when
+-- holed) and make/miss. round_holes.putts stays the per-hole count.
+
+ALTER TABLE "round_shots"
+  ADD COLUMN IF NOT EXISTS shot_type         text NOT NULL DEFAULT 'full' CHECK (shot_type IN ('full', 'putt')),
+  ADD COLUMN IF NOT EXISTS putt_distance_ft  real CHECK (putt_distance_ft >= 0),
+  ADD COLUMN IF NOT EXISTS leave_distance_ft real CHECK (leave_distance_ft >= 0),
+  ADD COLUMN IF NOT EXISTS putt_made         boolean;
+
+CREATE INDEX IF NOT EXISTS idx_round_shots_type ON "round_shots"(shot_type);
@@ -0,0 +1,9 @@
+-- Migration: Pin Positions
+-- Today's hole location per round hole, set by tapping the green or
+-- from a pin sheet. Null means the pin wasn't set and analysis falls
+-- back to the green center on "Holes".
+
+ALTER TABLE "round_holes"
+  ADD COLUMN IF NOT EXISTS pin_latitude  double precision,
+  ADD COLUMN IF NOT EXISTS pin_longitude double precision,
+  ADD COLUMN IF NOT EXISTS pin_source    text CHECK (pin_source IN ('tap', 'sheet'));
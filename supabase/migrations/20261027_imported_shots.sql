@@ -0,0 +1,14 @@
+-- Migration: Imported Shots
+-- Shots reconstructed from a GPS watch track (GPX/FIT) for a round scored
+-- on paper are stored with detection_method 'imported'. The track only
+-- gives positions, so club is optional for these rows.
+
+ALTER TABLE "round_shots"
+  DROP CONSTRAINT IF EXISTS round_shots_detection_method_check;
+
+ALTER TABLE "round_shots"
+  ADD CONSTRAINT round_shots_detection_method_check
+  CHECK (detection_method IN ('manual', 'auto', 'imported'));
+
+ALTER TABLE "round_shots"
+  ALTER COLUMN club DROP NOT NULL;
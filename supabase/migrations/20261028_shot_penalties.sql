@@ -0,0 +1,10 @@
+-- Migration: Shot Penalties
+-- A shot into water or out of bounds carries its penalty stroke on the
+-- shot row, so shot numbers skip it (tee shot 1 in the water, the next
+-- shot is 3). penalty_relief records how the next ball was put in play:
+-- dropped at the point of entry, back on the line, replayed from the
+-- same spot, or a provisional that became the ball in play.
+
+ALTER TABLE "round_shots"
+  ADD COLUMN IF NOT EXISTS penalty_strokes integer NOT NULL DEFAULT 0 CHECK (penalty_strokes >= 0),
+  ADD COLUMN IF NOT EXISTS penalty_relief  text CHECK (penalty_relief IN ('point_of_entry', 'line', 'replay', 'provisional'));
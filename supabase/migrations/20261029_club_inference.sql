@@ -0,0 +1,19 @@
+-- Migration: Club Inference
+-- Clubs guessed from shot distance (services/clubInference) keep the guess
+-- and its confidence next to the club. club_confirmed is set once the
+-- player has seen the club (picked it in play, or reviewed it after the
+-- round); confirmed guesses teach the inference which clubs it mixes up,
+-- and unconfirmed guesses are left out of user_club_stats.
+
+ALTER TABLE "round_shots"
+  ADD COLUMN IF NOT EXISTS club_inferred   text,
+  ADD COLUMN IF NOT EXISTS club_confidence real CHECK (club_confidence >= 0 AND club_confidence <= 1),
+  ADD COLUMN IF NOT EXISTS club_confirmed  boolean NOT NULL DEFAULT true;
+
+-- Existing rows were all picked by hand; new guesses start unconfirmed
+ALTER TABLE "round_shots"
+  ALTER COLUMN club_confirmed SET DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_round_shots_club_review
+  ON "round_shots"(round_id)
+  WHERE club_inferred IS NOT NULL AND club_confirmed = false;
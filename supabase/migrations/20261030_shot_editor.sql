@@ -0,0 +1,43 @@
+-- Migration: Shot Editor
+-- Submitted shots can be corrected after the round (services/shotEditor).
+-- A hole's edited shots replace its stored shots in one transaction, so
+-- renumbering never trips the (round_id, hole_number, shot_number) key
+-- and a failed save leaves the hole as it was.
+
+ALTER TABLE "round_shots"
+  ADD COLUMN IF NOT EXISTS edited_at timestamptz;
+
+-- ============================================================
+-- Replace one hole's shots
+-- ============================================================
+-- p_shots is an array of round_shots rows. Rows keep their id (new
+-- shots get one); round_id and hole_number come from the arguments.
+
+CREATE OR REPLACE FUNCTION public.replace_hole_shots(p_round_id uuid, p_hole_number integer, p_shots jsonb)
+RETURNS integer AS $$
+DECLARE
+  saved integer;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM "rounds" WHERE id = p_round_id AND user_id = auth.uid()) THEN
+    RAISE EXCEPTION 'Round not found';
+  END IF;
+
+  DELETE FROM "round_shots" WHERE round_id = p_round_id AND hole_number = p_hole_number;
+
+  INSERT INTO "round_shots"
+  SELECT (jsonb_populate_record(NULL::"round_shots", s || jsonb_build_object(
+    'id', COALESCE(s->>'id', gen_random_uuid()::text),
+    'round_id', p_round_id,
+    'hole_number', p_hole_number,
+    'played_at', COALESCE(s->>'played_at', now()::text),
+    'created_at', COALESCE(s->>'created_at', now()::text),
+    'edited_at', now()
+  ))).*
+  FROM jsonb_array_elements(p_shots) s;
+
+  GET DIAGNOSTICS saved = ROW_COUNT;
+  RETURN saved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.replace_hole_shots(uuid, integer, jsonb) TO authenticated;
@@ -0,0 +1,15 @@
+-- Migration: Round Sync
+-- Rounds are pushed to the server while they're played (services/syncQueueService)
+-- instead of in one call at the end. client_id is the temp ID the device
+-- gave the round, so a retried upload updates the round it already made
+-- instead of creating another.
+
+ALTER TABLE "rounds"
+  ADD COLUMN IF NOT EXISTS client_id text;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'rounds_client_id_unique') THEN
+    ALTER TABLE "rounds" ADD CONSTRAINT rounds_client_id_unique UNIQUE (client_id);
+  END IF;
+END $$;
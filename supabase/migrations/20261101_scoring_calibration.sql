@@ -0,0 +1,13 @@
+-- Migration: Scoring Weight Calibration
+-- services/scoringCalibration replays the player's completed holes through
+-- the planning engine and compares the recommended plan's penalties with
+-- how those holes actually went. The fitted penalty weights are kept on
+-- the profile and merged over the defaults (scoringConfig.mergeConfig);
+-- the report explains each change on the Player Insights screen.
+
+ALTER TABLE "profiles"
+  ADD COLUMN IF NOT EXISTS scoring_overrides   jsonb,
+  ADD COLUMN IF NOT EXISTS scoring_calibration jsonb;
+
+COMMENT ON COLUMN profiles.scoring_overrides IS 'Per-player scoring weights merged over DEFAULT_SCORING_CONFIG: { penalties: { key: value } }';
+COMMENT ON COLUMN profiles.scoring_calibration IS 'Last calibration report: { calibratedAt, latestRoundId, roundsReplayed, holesReplayed, changes, unchanged }';
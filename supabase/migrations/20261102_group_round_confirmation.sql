@@ -0,0 +1,138 @@
+-- Migration: Confirm shared group rounds
+-- A group round copied to a partner used to land straight in their
+-- completed rounds, so anyone who knew a player's email could add scores
+-- to that player's history and handicap index. Copies now wait for the
+-- partner to accept them; until then they are 'pending_confirmation' and
+-- stay out of history, stats and the handicap calculation. A partner who
+-- declines is not offered the round again.
+
+-- ============================================================
+-- 1. Pending status and declines
+-- ============================================================
+
+ALTER TABLE "rounds" DROP CONSTRAINT IF EXISTS rounds_status_check;
+ALTER TABLE "rounds" ADD CONSTRAINT rounds_status_check
+  CHECK (status IN ('in_progress', 'completed', 'abandoned', 'pending_confirmation'));
+
+ALTER TABLE "round_partners"
+  ADD COLUMN IF NOT EXISTS share_declined_at timestamptz;
+
+-- Copies shared before this migration were never confirmed either
+UPDATE "rounds"
+SET status = 'pending_confirmation'
+WHERE group_source_round_id IS NOT NULL
+  AND status = 'completed';
+
+-- Copies made for partners without any hole scores are empty
+DELETE FROM "rounds"
+WHERE group_source_round_id IS NOT NULL
+  AND status = 'pending_confirmation'
+  AND holes_played = 0;
+
+CREATE INDEX IF NOT EXISTS idx_rounds_pending_group
+  ON "rounds"(user_id)
+  WHERE status = 'pending_confirmation';
+
+-- ============================================================
+-- 2. Copy a group round to linked partners (pending)
+-- ============================================================
+-- Same copy as before, but the partner's round starts pending, and
+-- partners who declined or have no hole scores are skipped.
+
+CREATE OR REPLACE FUNCTION public.share_group_round(p_round_id uuid)
+RETURNS integer AS $$
+DECLARE
+  src       "rounds"%ROWTYPE;
+  partner   "round_partners"%ROWTYPE;
+  new_id    uuid;
+  shared    integer := 0;
+BEGIN
+  SELECT * INTO src FROM "rounds" WHERE id = p_round_id AND user_id = auth.uid();
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Round not found';
+  END IF;
+
+  FOR partner IN
+    SELECT * FROM "round_partners"
+    WHERE round_id = p_round_id
+      AND partner_user_id IS NOT NULL
+      AND linked_round_id IS NULL
+      AND share_declined_at IS NULL
+  LOOP
+    -- Nothing to copy for a partner whose scores weren't kept
+    IF NOT EXISTS (
+      SELECT 1 FROM "round_partner_holes"
+      WHERE partner_id = partner.id AND score IS NOT NULL
+    ) THEN
+      CONTINUE;
+    END IF;
+
+    INSERT INTO "rounds" (
+      user_id, course_id, tee_box_id, status, started_at, completed_at,
+      tee_color, tee_yardage, tee_rating, tee_slope, course_par,
+      weather_temp_f, weather_wind_mph, weather_condition,
+      total_score, front_nine_score, back_nine_score, holes_played, score_to_par,
+      round_length, nine_played, scoring_format, format_score,
+      handicap_index, course_handicap, playing_handicap,
+      group_source_round_id
+    )
+    SELECT
+      partner.partner_user_id, src.course_id, src.tee_box_id, 'pending_confirmation', src.started_at, src.completed_at,
+      src.tee_color, src.tee_yardage, src.tee_rating, src.tee_slope, src.course_par,
+      src.weather_temp_f, src.weather_wind_mph, src.weather_condition,
+      partner.total_score,
+      COALESCE(SUM(ph.score) FILTER (WHERE ph.hole_number <= 9), 0),
+      COALESCE(SUM(ph.score) FILTER (WHERE ph.hole_number > 9), 0),
+      COUNT(ph.score),
+      partner.total_score - COALESCE(SUM(rh.par), 0),
+      src.round_length, src.nine_played, src.scoring_format, partner.format_score,
+      partner.handicap_index, partner.course_handicap, partner.playing_handicap,
+      src.id
+    FROM "round_partner_holes" ph
+    LEFT JOIN "round_holes" rh ON rh.round_id = src.id AND rh.hole_number = ph.hole_number
+    WHERE ph.partner_id = partner.id
+    RETURNING id INTO new_id;
+
+    INSERT INTO "round_holes" (round_id, hole_number, score, par, yardage, handicap_index)
+    SELECT new_id, ph.hole_number, ph.score, rh.par, rh.yardage, rh.handicap_index
+    FROM "round_partner_holes" ph
+    LEFT JOIN "round_holes" rh ON rh.round_id = src.id AND rh.hole_number = ph.hole_number
+    WHERE ph.partner_id = partner.id;
+
+    UPDATE "round_partners" SET linked_round_id = new_id WHERE id = partner.id;
+    shared := shared + 1;
+  END LOOP;
+
+  RETURN shared;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ============================================================
+-- 3. Accept or decline a shared round
+-- ============================================================
+-- Only the partner the round was shared with can answer. Accepting makes
+-- it a completed round; declining deletes it and marks the partner row
+-- so the scorer's retries don't share it again.
+
+CREATE OR REPLACE FUNCTION public.respond_to_group_round(p_round_id uuid, p_accept boolean)
+RETURNS void AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM "rounds"
+    WHERE id = p_round_id
+      AND user_id = auth.uid()
+      AND status = 'pending_confirmation'
+  ) THEN
+    RAISE EXCEPTION 'Shared round not found';
+  END IF;
+
+  IF p_accept THEN
+    UPDATE "rounds" SET status = 'completed' WHERE id = p_round_id;
+  ELSE
+    UPDATE "round_partners" SET share_declined_at = now() WHERE linked_round_id = p_round_id;
+    DELETE FROM "rounds" WHERE id = p_round_id;
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.respond_to_group_round(uuid, boolean) TO authenticated;
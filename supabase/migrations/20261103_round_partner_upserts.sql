@@ -0,0 +1,19 @@
+-- Migration: Let round owners update their playing partners
+-- The sync queue saves partners and their hole scores with upserts so a
+-- retry after a dropped connection finishes what the first attempt
+-- started. An upsert that hits an existing row is an UPDATE, which needs
+-- its own policy.
+
+CREATE POLICY "Users can update own round partners"
+  ON "round_partners" FOR UPDATE
+  USING (EXISTS (
+    SELECT 1 FROM "rounds" WHERE "rounds".id = round_id AND "rounds".user_id = auth.uid()
+  ));
+
+CREATE POLICY "Users can update own round partner holes"
+  ON "round_partner_holes" FOR UPDATE
+  USING (EXISTS (
+    SELECT 1 FROM "round_partners" p
+    JOIN "rounds" r ON r.id = p.round_id
+    WHERE p.id = partner_id AND r.user_id = auth.uid()
+  ));
@@ -4,62 +4,645 @@
  * Shared handicap calculation logic used by HomeScreen (display),
  * handicapService (persistence), and other consumers.
  *
- * Uses a simplified USGA method:
- *   Differential = ((Score - Course Rating) × 113) / Slope Rating
- *   Handicap = Average of best 40% of differentials (min 3 required)
+ * Implements the World Handicap System (WHS):
+ *   Adjusted Gross Score = hole scores capped at net double bogey
+ *   Differential = (113 / Slope Rating) × (Adjusted Gross Score − Course Rating − PCC)
+ *   Index = lookup-table average of the lowest differentials in the
+ *           most recent 20 scores, with exceptional score reductions
+ *           and soft/hard caps against the 365-day Low Handicap Index
+ *
+ * 9-hole rounds count as 18-hole differentials: combined with the
+ * player's expected 9-hole differential once they hold an index, or
+ * paired with the next 9-hole round before then.
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+/** Standard slope rating (a course of average difficulty) */
+export const STANDARD_SLOPE = 113;
+
+/** Highest Handicap Index the WHS allows */
+export const MAX_HANDICAP_INDEX = 54.0;
+
+/** Number of scores in a full scoring record */
+export const SCORING_RECORD_SIZE = 20;
+
+/** Minimum number of acceptable scores to produce an index */
+export const MIN_SCORES_FOR_INDEX = 3;
+
+/** Soft cap threshold above the Low Handicap Index (excess is halved) */
+export const SOFT_CAP_THRESHOLD = 3.0;
+
+/** Hard cap — index can never rise more than this above the Low Handicap Index */
+export const HARD_CAP_THRESHOLD = 5.0;
+
+/** Expected 9-hole differential = index × slope factor + constant */
+export const EXPECTED_NINE_FACTOR = 0.52;
+export const EXPECTED_NINE_CONSTANT = 1.2;
+
+/**
+ * Recommended handicap allowances by format, applied to the course
+ * handicap to get the playing handicap.
+ */
+export const HANDICAP_ALLOWANCES = {
+  stroke: 0.95,
+  stableford: 0.95,
+  modified_stableford: 0.95,
+  par_bogey: 0.95,
+  max_score: 0.95,
+  match_play: 1.0,
+  four_ball_stroke: 0.85,
+  four_ball_match: 0.9,
+};
+
+/** Window for the Low Handicap Index lookback */
+const LOW_INDEX_WINDOW_MS = 365 * 86400000;
+
+/**
+ * WHS lookup table: how many of the lowest differentials to average,
+ * and the adjustment applied to that average, by scores in the record.
+ * Records of 20+ scores use the last row.
+ */
+export const WHS_DIFFERENTIAL_TABLE = {
+  3: { count: 1, adjustment: -2.0 },
+  4: { count: 1, adjustment: -1.0 },
+  5: { count: 1, adjustment: 0 },
+  6: { count: 2, adjustment: -1.0 },
+  7: { count: 2, adjustment: 0 },
+  8: { count: 2, adjustment: 0 },
+  9: { count: 3, adjustment: 0 },
+  10: { count: 3, adjustment: 0 },
+  11: { count: 3, adjustment: 0 },
+  12: { count: 4, adjustment: 0 },
+  13: { count: 4, adjustment: 0 },
+  14: { count: 4, adjustment: 0 },
+  15: { count: 5, adjustment: 0 },
+  16: { count: 5, adjustment: 0 },
+  17: { count: 6, adjustment: 0 },
+  18: { count: 6, adjustment: 0 },
+  19: { count: 7, adjustment: 0 },
+  20: { count: 8, adjustment: 0 },
+};
+
+// ============================================================
+// ROUNDING & BASIC FORMULAS
+// ============================================================
+
+/**
+ * Round to the nearest tenth, with halves rounded away from zero
+ * (so -2.45 becomes -2.5, matching how plus differentials are published).
+ *
+ * @param {number} value
+ * @returns {number}
  */
+export function roundToTenth(value) {
+  const rounded = Math.sign(value) * Math.round(Math.abs(value) * 10) / 10;
+  return rounded === 0 ? 0 : rounded;
+}
+
+/**
+ * Course Handicap = Index × (Slope / 113) + (Course Rating − Par),
+ * rounded to the nearest whole number. When par is unknown the
+ * rating term is dropped.
+ *
+ * @param {number} handicapIndex
+ * @param {number} slope - Slope rating of the tee played
+ * @param {number} rating - Course rating of the tee played
+ * @param {number|null} par - Par of the tee played
+ * @returns {number|null} Course handicap, or null without an index/slope
+ */
+export function calculateCourseHandicap(handicapIndex, slope, rating, par) {
+  if (handicapIndex == null || !slope) return null;
+  const ratingAdjustment = rating != null && par ? rating - par : 0;
+  return Math.round(handicapIndex * (slope / STANDARD_SLOPE) + ratingAdjustment);
+}
+
+/**
+ * Parse a stored handicap value into a numeric index.
+ * Handles numbers, text like "15.2", plus handicaps written "+1.2"
+ * (returned as -1.2), and onboarding ranges like "10-15" (lower bound).
+ *
+ * @param {number|string|null} value
+ * @returns {number|null}
+ */
+export function parseHandicapIndex(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const str = String(value).trim();
+  if (str.startsWith('+')) {
+    const plus = parseFloat(str.slice(1));
+    return isNaN(plus) ? null : -plus;
+  }
+  const range = str.match(/^(\d+(?:\.\d+)?)\s*-\s*\d/);
+  if (range) return parseFloat(range[1]);
+
+  const parsed = parseFloat(str);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Playing Handicap = Course Handicap × format allowance, rounded.
+ *
+ * @param {number|null} courseHandicap
+ * @param {string} format - Key of HANDICAP_ALLOWANCES (default 'stroke')
+ * @returns {number|null}
+ */
+export function calculatePlayingHandicap(courseHandicap, format = 'stroke') {
+  if (courseHandicap == null) return null;
+  const allowance = HANDICAP_ALLOWANCES[format] ?? 1;
+  return Math.round(courseHandicap * allowance);
+}
+
+/**
+ * Course and playing handicap for a round on a tee. 9-hole rounds
+ * (tee.nine = 'front' | 'back') use half the index against the nine's
+ * rating and slope.
+ *
+ * @param {Object} params
+ * @param {number|null} params.handicapIndex
+ * @param {Object} params.tee - Tee with rating, slope, parTotal and optional nine
+ * @param {string} params.format - Scoring format for the allowance (default 'stroke')
+ * @returns {{ courseHandicap: number, playingHandicap: number }|null}
+ */
+export function calculateRoundHandicap({ handicapIndex, tee, format = 'stroke' }) {
+  if (handicapIndex == null || !tee) return null;
+
+  const nine = tee.nine === 'front' || tee.nine === 'back' ? tee.nine : null;
+  const { rating, slope, par } = nine
+    ? getNineHoleTeeRating(tee, nine)
+    : { rating: tee.rating, slope: tee.slope, par: tee.parTotal || null };
+
+  const courseHandicap = calculateCourseHandicap(nine ? handicapIndex / 2 : handicapIndex, slope, rating, par);
+  if (courseHandicap == null) return null;
+
+  return {
+    courseHandicap,
+    playingHandicap: calculatePlayingHandicap(courseHandicap, format),
+  };
+}
+
+/**
+ * Allocate a playing handicap across holes by stroke index. For fewer
+ * than 18 holes the holes are ranked by stroke index within the set.
+ *
+ * @param {number|null} playingHandicap
+ * @param {Array<{ holeNumber: number, handicapIndex: number }>} holes
+ * @param {number|null} roundLength - 18 or 9; pass it when scoring a
+ *   partial set of an 18-hole round (defaults from the hole count)
+ * @returns {Object<number, number>} holeNumber → strokes received
+ */
+export function allocateHandicapStrokes(playingHandicap, holes, roundLength = null) {
+  const strokes = {};
+  if (!holes || holes.length === 0) return strokes;
+
+  const holeCount = roundLength === 18 || (!roundLength && holes.length >= 18) ? 18 : 9;
+  const ranked = [...holes].sort(
+    (a, b) => (a.handicapIndex || a.holeNumber) - (b.handicapIndex || b.holeNumber)
+  );
+
+  ranked.forEach((h, i) => {
+    const strokeIndex = holeCount === 18 ? (h.handicapIndex || h.holeNumber) : i + 1;
+    strokes[h.holeNumber] = getStrokesReceived(playingHandicap || 0, strokeIndex, holeCount);
+  });
+
+  return strokes;
+}
+
+/**
+ * Net score for a hole.
+ *
+ * @param {number|null} score - Gross score
+ * @param {number} strokes - Handicap strokes received on the hole
+ * @returns {number|null}
+ */
+export function calculateNetScore(score, strokes = 0) {
+  if (score == null) return null;
+  return score - strokes;
+}
+
+/**
+ * Handicap strokes received on a hole, allocated by stroke index.
+ * Plus handicaps (negative course handicap) give strokes back starting
+ * from the easiest hole (highest stroke index).
+ *
+ * @param {number} courseHandicap
+ * @param {number} strokeIndex - Hole's handicap ranking (1 = hardest)
+ * @param {number} holeCount - Holes in the allocation (default 18)
+ * @returns {number} Strokes received (negative for strokes given)
+ */
+export function getStrokesReceived(courseHandicap, strokeIndex, holeCount = 18) {
+  if (!courseHandicap || !strokeIndex) return 0;
+
+  const total = Math.abs(courseHandicap);
+  const base = Math.floor(total / holeCount);
+  const remainder = total % holeCount;
+
+  if (courseHandicap > 0) {
+    return base + (strokeIndex <= remainder ? 1 : 0);
+  }
+  const given = base + (strokeIndex > holeCount - remainder ? 1 : 0);
+  return given === 0 ? 0 : -given;
+}
+
+/**
+ * Rating, slope and par for one nine of a tee. Uses the published
+ * nine-hole values when the tee has them, otherwise half the 18-hole
+ * rating with the 18-hole slope.
+ *
+ * @param {Object} tee - Tee with rating, slope, parTotal and optional
+ *   frontRating/frontSlope/frontPar and backRating/backSlope/backPar
+ * @param {'front'|'back'} nine
+ * @returns {{ rating: number|null, slope: number|null, par: number|null }}
+ */
+export function getNineHoleTeeRating(tee, nine) {
+  const prefix = nine === 'back' ? 'back' : 'front';
+  const rating = tee[`${prefix}Rating`] ?? (tee.rating ? roundToTenth(tee.rating / 2) : null);
+  const slope = tee[`${prefix}Slope`] ?? tee.slope ?? null;
+  const par = tee[`${prefix}Par`] ?? null;
+  return { rating, slope, par };
+}
+
+/**
+ * Expected 9-hole score differential for a player's index. Added to a
+ * 9-hole differential to produce an 18-hole equivalent.
+ *
+ * @param {number} handicapIndex
+ * @returns {number}
+ */
+export function getExpectedNineHoleDifferential(handicapIndex) {
+  return roundToTenth(handicapIndex * EXPECTED_NINE_FACTOR + EXPECTED_NINE_CONSTANT);
+}
+
+/**
+ * Net double bogey: the maximum hole score for handicap purposes.
+ * Players without an index are capped at par + 5.
+ *
+ * @param {number} par
+ * @param {number} strokesReceived
+ * @param {boolean} hasIndex
+ * @returns {number}
+ */
+export function getNetDoubleBogey(par, strokesReceived, hasIndex = true) {
+  if (!hasIndex) return par + 5;
+  return par + 2 + strokesReceived;
+}
+
+/**
+ * Adjusted gross score for a round. When hole-by-hole scores are
+ * available each hole is capped at net double bogey; otherwise the
+ * round's total score is used unchanged. For 9-hole rounds the
+ * course handicap is the 9-hole value and strokes are allocated by
+ * each hole's rank within the nine.
+ *
+ * @param {Object} round - Round with total_score, optional round_length and holes[]
+ * @param {number|null} courseHandicap - Course handicap before the round
+ * @returns {{ adjustedGrossScore: number, holesAdjusted: number }}
+ */
+export function calculateAdjustedGrossScore(round, courseHandicap) {
+  const holeCount = getRoundLength(round);
+  const scoredHoles = (round.holes || []).filter(h => h.score != null && h.par);
+
+  if (scoredHoles.length < holeCount) {
+    return { adjustedGrossScore: round.total_score, holesAdjusted: 0 };
+  }
+
+  const strokeRanks = {};
+  [...scoredHoles]
+    .sort((a, b) => (a.handicap_index || a.hole_number) - (b.handicap_index || b.hole_number))
+    .forEach((h, i) => { strokeRanks[h.hole_number] = i + 1; });
+
+  const hasIndex = courseHandicap != null;
+  let adjustedGrossScore = 0;
+  let holesAdjusted = 0;
+
+  scoredHoles.forEach((h) => {
+    const strokeIndex = holeCount === 18 ? (h.handicap_index || h.hole_number) : strokeRanks[h.hole_number];
+    const strokes = getStrokesReceived(courseHandicap || 0, strokeIndex, holeCount);
+    const maxScore = getNetDoubleBogey(h.par, strokes, hasIndex);
+    if (h.score > maxScore) holesAdjusted++;
+    adjustedGrossScore += Math.min(h.score, maxScore);
+  });
+
+  return { adjustedGrossScore, holesAdjusted };
+}
+
+/**
+ * Score Differential = (113 / Slope) × (Adjusted Gross Score − Course Rating − PCC),
+ * rounded to the nearest tenth.
+ *
+ * @param {number} adjustedGrossScore
+ * @param {number} rating - Course rating
+ * @param {number} slope - Slope rating
+ * @param {number} pcc - Playing conditions calculation (default 0)
+ * @returns {number}
+ */
+export function calculateScoreDifferential(adjustedGrossScore, rating, slope, pcc = 0) {
+  return roundToTenth((STANDARD_SLOPE / slope) * (adjustedGrossScore - rating - pcc));
+}
+
+/**
+ * Apply the soft and hard caps against the Low Handicap Index.
+ *
+ * @param {number} index - Uncapped index
+ * @param {number|null} lowIndex - Low Handicap Index (null if not established)
+ * @returns {{ index: number, softCapApplied: boolean, hardCapApplied: boolean }}
+ */
+export function applyHandicapCaps(index, lowIndex) {
+  if (lowIndex == null) {
+    return { index, softCapApplied: false, hardCapApplied: false };
+  }
+
+  let capped = index;
+  let softCapApplied = false;
+  let hardCapApplied = false;
+
+  const increase = index - lowIndex;
+  if (increase > SOFT_CAP_THRESHOLD) {
+    capped = lowIndex + SOFT_CAP_THRESHOLD + (increase - SOFT_CAP_THRESHOLD) / 2;
+    softCapApplied = true;
+  }
+  if (capped - lowIndex > HARD_CAP_THRESHOLD) {
+    capped = lowIndex + HARD_CAP_THRESHOLD;
+    hardCapApplied = true;
+  }
+
+  return { index: roundToTenth(capped), softCapApplied, hardCapApplied };
+}
+
+/**
+ * Exceptional score reduction for a differential, relative to the
+ * index held before the round: 7.0–9.9 below → 1.0, 10.0+ below → 2.0.
+ *
+ * @param {number} differential
+ * @param {number|null} indexBefore
+ * @returns {number} Reduction to apply to the scoring record (0, 1 or 2)
+ */
+export function getExceptionalScoreReduction(differential, indexBefore) {
+  if (indexBefore == null) return 0;
+  const gap = roundToTenth(indexBefore - differential);
+  if (gap >= 10.0) return 2;
+  if (gap >= 7.0) return 1;
+  return 0;
+}
+
+// ============================================================
+// INDEX CALCULATION
+// ============================================================
+
+function getRoundTime(round) {
+  const ts = round.completed_at || round.started_at;
+  return ts ? new Date(ts).getTime() : 0;
+}
+
+/**
+ * Holes a round was played over: 9 or 18. Rounds saved before 9-hole
+ * rounds existed count as 18. Score totals are only comparable between
+ * rounds of the same length.
+ *
+ * @param {Object} round - Round row (round_length)
+ * @returns {number} 9 or 18
+ */
+export function getRoundLength(round) {
+  return round.round_length === 9 ? 9 : 18;
+}
+
+function isQualifyingRound(round) {
+  return round.total_score && round.tee_rating && round.tee_slope;
+}
+
+function getRoundPar(round) {
+  if (round.course_par) return round.course_par;
+  const holes = round.holes || [];
+  if (holes.length >= getRoundLength(round) && holes.every(h => h.par)) {
+    return holes.reduce((sum, h) => sum + h.par, 0);
+  }
+  return null;
+}
 
 /**
  * Calculate handicap differentials from an array of round objects.
  * Each qualifying round must have: total_score, tee_rating, tee_slope.
+ * Hole scores are not adjusted here (no prior index is known) and
+ * consecutive 9-hole rounds are paired; use calculateWHSIndex for the
+ * full progression.
  *
  * @param {Array<Object>} rounds - Round objects from the DB
- * @returns {Array<number>} Differentials for qualifying rounds
+ * @returns {Array<number>} 18-hole differentials for qualifying rounds
  */
 export function calculateDifferentials(rounds) {
-  return rounds
-    .filter(r => r.total_score && r.tee_rating && r.tee_slope)
-    .map(r => ((r.total_score - r.tee_rating) * 113) / r.tee_slope);
+  const differentials = [];
+  let pendingNine = null;
+
+  rounds.filter(isQualifyingRound).forEach((r) => {
+    const { adjustedGrossScore } = calculateAdjustedGrossScore(r, null);
+    const differential = calculateScoreDifferential(adjustedGrossScore, r.tee_rating, r.tee_slope);
+
+    if (getRoundLength(r) === 18) {
+      differentials.push(differential);
+    } else if (pendingNine === null) {
+      pendingNine = differential;
+    } else {
+      differentials.push(roundToTenth(pendingNine + differential));
+      pendingNine = null;
+    }
+  });
+
+  return differentials;
 }
 
 /**
- * Calculate a handicap index from an array of differentials.
- * Requires at least 3 differentials.
+ * Convert a 9-hole round's differential to an 18-hole differential.
+ * With an index, the expected 9-hole differential fills the other nine;
+ * without one, the first 9-hole score waits to be paired with the next.
  *
- * - Sort differentials ascending (best first)
- * - Take the best 40% (min 1, max 8)
- * - Average them
- * - Floor at 0
+ * @param {number} nineDifferential
+ * @param {number|null} currentIndex
+ * @param {number|null} pendingNine - Unpaired 9-hole differential, if any
+ * @returns {{ differential: number|null, pendingNine: number|null, method: string }}
+ */
+export function combineNineHoleDifferential(nineDifferential, currentIndex, pendingNine) {
+  if (currentIndex != null) {
+    return {
+      differential: roundToTenth(nineDifferential + getExpectedNineHoleDifferential(currentIndex)),
+      pendingNine,
+      method: 'expected',
+    };
+  }
+  if (pendingNine != null) {
+    return {
+      differential: roundToTenth(pendingNine + nineDifferential),
+      pendingNine: null,
+      method: 'paired',
+    };
+  }
+  return { differential: null, pendingNine: nineDifferential, method: 'pending' };
+}
+
+/**
+ * Calculate a handicap index from a scoring record of differentials
+ * using the WHS lookup table. Only the most recent 20 are considered
+ * (the array is expected oldest first). No caps are applied.
  *
- * @param {Array<number>} differentials - Pre-computed differentials
- * @returns {{ handicap: number|null, roundCount: number, differentialAvg: number|null }}
+ * @param {Array<number>} differentials - Pre-computed differentials, oldest first
+ * @returns {{ handicap: number|null, roundCount: number, differentialAvg: number|null,
+ *             differentialsUsed: number, adjustment: number }}
  */
 export function calculateHandicapFromDifferentials(differentials) {
-  if (differentials.length < 3) {
-    return { handicap: null, roundCount: differentials.length, differentialAvg: null };
+  const record = differentials.slice(-SCORING_RECORD_SIZE);
+
+  if (record.length < MIN_SCORES_FOR_INDEX) {
+    return {
+      handicap: null,
+      roundCount: record.length,
+      differentialAvg: null,
+      differentialsUsed: 0,
+      adjustment: 0,
+    };
   }
 
-  const sorted = [...differentials].sort((a, b) => a - b);
-  const count = Math.min(8, Math.ceil(sorted.length * 0.4));
-  const best = sorted.slice(0, Math.max(count, 1));
+  const { count, adjustment } = WHS_DIFFERENTIAL_TABLE[record.length];
+  const best = [...record].sort((a, b) => a - b).slice(0, count);
   const avg = best.reduce((a, b) => a + b, 0) / best.length;
-  const handicap = Math.max(0, avg);
+  const handicap = Math.min(MAX_HANDICAP_INDEX, roundToTenth(avg + adjustment));
 
   return {
-    handicap: Math.round(handicap * 10) / 10,
-    roundCount: differentials.length,
+    handicap,
+    roundCount: record.length,
     differentialAvg: Math.round(avg * 100) / 100,
+    differentialsUsed: count,
+    adjustment,
+  };
+}
+
+/**
+ * Run the full WHS progression over a player's rounds.
+ *
+ * Rounds are replayed oldest first so that each score is adjusted
+ * with the index held at the time it was played:
+ *   1. Hole scores capped at net double bogey (course handicap from prior index)
+ *   2. Score differential computed and added to the scoring record
+ *      (9-hole rounds first converted to an 18-hole equivalent)
+ *   3. Exceptional score reduction applied to the record if earned
+ *   4. Index from the lookup table over the most recent 20
+ *   5. Soft/hard caps against the Low Handicap Index (established records only)
+ *
+ * @param {Array<Object>} rounds - Rounds in any order, optionally with holes[]
+ * @returns {Object} Final index plus intermediate values:
+ *   { handicap, roundCount, differentialAvg, differentialsUsed, adjustment,
+ *     uncappedIndex, lowIndex, softCapApplied, hardCapApplied,
+ *     exceptionalReduction, scoringRecord }
+ */
+export function calculateWHSIndex(rounds) {
+  const chronological = rounds
+    .filter(isQualifyingRound)
+    .sort((a, b) => getRoundTime(a) - getRoundTime(b));
+
+  const record = [];
+  const indexHistory = [];
+  let currentIndex = null;
+  let pendingNine = null;
+  let result = {
+    ...calculateHandicapFromDifferentials([]),
+    uncappedIndex: null,
+    lowIndex: null,
+    softCapApplied: false,
+    hardCapApplied: false,
+    exceptionalReduction: 0,
+  };
+
+  chronological.forEach((round) => {
+    const playedAt = getRoundTime(round);
+    const isNine = getRoundLength(round) === 9;
+    const courseHandicap = calculateCourseHandicap(
+      currentIndex != null && isNine ? currentIndex / 2 : currentIndex,
+      round.tee_slope, round.tee_rating, getRoundPar(round)
+    );
+    const { adjustedGrossScore, holesAdjusted } = calculateAdjustedGrossScore(round, courseHandicap);
+    let differential = calculateScoreDifferential(adjustedGrossScore, round.tee_rating, round.tee_slope);
+    let nineHoleMethod = null;
+
+    if (isNine) {
+      const combined = combineNineHoleDifferential(differential, currentIndex, pendingNine);
+      pendingNine = combined.pendingNine;
+      if (combined.differential === null) return;
+      differential = combined.differential;
+      nineHoleMethod = combined.method;
+    }
+
+    record.push({
+      roundId: round.id || null,
+      playedAt,
+      grossScore: round.total_score,
+      adjustedGrossScore,
+      holesAdjusted,
+      differential,
+      nineHoleMethod,
+      reduction: 0,
+    });
+
+    // ESR applies to every score in the current record, including this one
+    const esr = getExceptionalScoreReduction(differential, currentIndex);
+    if (esr > 0) {
+      record.slice(-SCORING_RECORD_SIZE).forEach((entry) => { entry.reduction += esr; });
+    }
+
+    const recent = record.slice(-SCORING_RECORD_SIZE);
+    const base = calculateHandicapFromDifferentials(
+      recent.map(e => roundToTenth(e.differential - e.reduction))
+    );
+
+    if (base.handicap === null) {
+      result = { ...result, ...base };
+      return;
+    }
+
+    // Low Handicap Index only exists once the record is established
+    let lowIndex = null;
+    if (record.length >= SCORING_RECORD_SIZE) {
+      const windowed = indexHistory.filter(h => playedAt - h.playedAt <= LOW_INDEX_WINDOW_MS);
+      if (windowed.length > 0) {
+        lowIndex = Math.min(...windowed.map(h => h.index));
+      }
+    }
+
+    const capped = applyHandicapCaps(base.handicap, lowIndex);
+    currentIndex = capped.index;
+    indexHistory.push({ playedAt, index: currentIndex });
+
+    result = {
+      ...base,
+      handicap: currentIndex,
+      uncappedIndex: base.handicap,
+      lowIndex,
+      softCapApplied: capped.softCapApplied,
+      hardCapApplied: capped.hardCapApplied,
+      exceptionalReduction: esr,
+    };
+  });
+
+  return {
+    ...result,
+    scoringRecord: record.slice(-SCORING_RECORD_SIZE).map(e => ({
+      roundId: e.roundId,
+      grossScore: e.grossScore,
+      adjustedGrossScore: e.adjustedGrossScore,
+      differential: e.differential,
+      nineHoleMethod: e.nineHoleMethod,
+      reduction: e.reduction,
+    })),
   };
 }
 
 /**
- * Calculate handicap directly from rounds.
- * Combines calculateDifferentials + calculateHandicapFromDifferentials.
+ * Calculate handicap directly from rounds using the full WHS engine.
  *
  * @param {Array<Object>} rounds - Round objects with total_score, tee_rating, tee_slope
- * @returns {{ handicap: number|null, roundCount: number, differentialAvg: number|null }}
+ *   (and optionally holes[] for net double bogey adjustment)
+ * @returns {Object} See calculateWHSIndex
  */
 export function calculateHandicap(rounds) {
-  const differentials = calculateDifferentials(rounds);
-  return calculateHandicapFromDifferentials(differentials);
+  return calculateWHSIndex(rounds);
 }
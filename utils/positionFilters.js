@@ -0,0 +1,220 @@
+/**
+ * GPS position filters for the shot detector.
+ *
+ * Each filter takes raw readings ({ latitude, longitude, altitude, accuracy,
+ * timestamp }) and returns the position to act on, or null when the
+ * reading is thrown away:
+ *   - 'kalman': constant-velocity Kalman filter. Every reading is used,
+ *     weighted by its reported accuracy, so a poor fix under trees nudges
+ *     the estimate instead of being dropped or jerking it around.
+ *   - 'median': median of the last 5 readings, discarding readings worse
+ *     than 20 m (the detector's original smoothing).
+ *
+ * Both share the same interface so they can be swapped in
+ * createShotDetector and compared with the trace replay tests.
+ */
+
+export const FILTER_TYPES = {
+  KALMAN: 'kalman',
+  MEDIAN: 'median',
+};
+
+export const DEFAULT_FILTER = FILTER_TYPES.KALMAN;
+
+const MEDIAN_CONFIG = {
+  BUFFER_SIZE: 5,         // readings in the rolling median
+  MIN_ACCURACY: 20,       // meters - ignore worse readings
+};
+
+const KALMAN_CONFIG = {
+  ACCELERATION_NOISE: 2,   // m/s² - how hard a golfer or cart speeds up or stops
+  DEFAULT_ACCURACY: 10,    // meters - when a reading doesn't report one
+  MIN_ACCURACY: 3,         // meters - floor, devices overstate their precision
+  MAX_ACCURACY: 100,       // meters - worse than this is no fix at all
+  MIN_DT: 1,               // seconds - readings sharing a timestamp
+  MAX_DT: 30,              // seconds - longer gaps restart the velocity
+  INITIAL_SPEED: 2,        // m/s - velocity uncertainty on the first fix
+};
+
+const METERS_PER_DEG_LAT = 110574;
+const METERS_PER_DEG_LON_EQUATOR = 111320;
+
+function median(arr) {
+  if (arr.length === 0) return 0;
+  const sorted = [...arr].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 !== 0
+    ? sorted[mid]
+    : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function toFiltered(reading, latitude, longitude, accuracy) {
+  return {
+    latitude,
+    longitude,
+    altitude: reading.altitude ?? null,
+    accuracy: accuracy ?? null,
+    timestamp: reading.timestamp ?? null,
+  };
+}
+
+/**
+ * Rolling median of the last 5 readings.
+ *
+ * @param {Object} options - { bufferSize, minAccuracy }
+ * @returns {Object} Filter ({ update, getPosition, reset, type })
+ */
+export function createMedianFilter({
+  bufferSize = MEDIAN_CONFIG.BUFFER_SIZE,
+  minAccuracy = MEDIAN_CONFIG.MIN_ACCURACY,
+} = {}) {
+  let buffer = [];
+  let position = null;
+
+  function update(reading) {
+    if (reading.accuracy && reading.accuracy > minAccuracy) return null;
+
+    buffer.push(reading);
+    if (buffer.length > bufferSize) buffer.shift();
+
+    position = toFiltered(
+      reading,
+      median(buffer.map(p => p.latitude)),
+      median(buffer.map(p => p.longitude)),
+      reading.accuracy
+    );
+    return position;
+  }
+
+  return {
+    type: FILTER_TYPES.MEDIAN,
+    update,
+    getPosition: () => position,
+    reset: () => {
+      buffer = [];
+      position = null;
+    },
+  };
+}
+
+/**
+ * One axis of a constant-velocity Kalman filter: state [position, velocity]
+ * in meters and m/s with a 2x2 covariance.
+ */
+function createAxis(initial, variance, initialSpeed) {
+  let x = initial;
+  let v = 0;
+  let p00 = variance;
+  let p01 = 0;
+  let p11 = initialSpeed * initialSpeed;
+
+  return {
+    predict(dt, q) {
+      x += v * dt;
+      const dt2 = dt * dt;
+      // P = F P F' + Q, with Q from white-noise acceleration
+      p00 += dt * (2 * p01 + dt * p11) + q * dt2 * dt2 / 4;
+      p01 += dt * p11 + q * dt2 * dt / 2;
+      p11 += q * dt2;
+    },
+    correct(z, r) {
+      const s = p00 + r;
+      const k0 = p00 / s;
+      const k1 = p01 / s;
+      const innovation = z - x;
+      x += k0 * innovation;
+      v += k1 * innovation;
+      p11 -= k1 * p01;
+      p01 -= k0 * p01;
+      p00 -= k0 * p00;
+    },
+    restartVelocity(initialSpeed) {
+      v = 0;
+      p01 = 0;
+      p11 = initialSpeed * initialSpeed;
+    },
+    get value() { return x; },
+    get variance() { return p00; },
+  };
+}
+
+/**
+ * Constant-velocity Kalman filter weighted by reported accuracy. Works in
+ * meters on a flat plane around the first reading, which is plenty for a
+ * golf hole.
+ *
+ * @param {Object} options - { accelerationNoise (m/s²), defaultAccuracy, maxAccuracy }
+ * @returns {Object} Filter ({ update, getPosition, reset, type })
+ */
+export function createKalmanFilter({
+  accelerationNoise = KALMAN_CONFIG.ACCELERATION_NOISE,
+  defaultAccuracy = KALMAN_CONFIG.DEFAULT_ACCURACY,
+  maxAccuracy = KALMAN_CONFIG.MAX_ACCURACY,
+} = {}) {
+  const q = accelerationNoise * accelerationNoise;
+  let origin = null;
+  let metersPerDegLon = null;
+  let north = null;
+  let east = null;
+  let lastTime = null;
+  let position = null;
+
+  function update(reading, time = reading.timestamp) {
+    const accuracy = Math.max(reading.accuracy || defaultAccuracy, KALMAN_CONFIG.MIN_ACCURACY);
+    if (accuracy > maxAccuracy) return null;
+    const r = accuracy * accuracy;
+
+    if (!origin) {
+      origin = { latitude: reading.latitude, longitude: reading.longitude };
+      metersPerDegLon = METERS_PER_DEG_LON_EQUATOR * Math.cos(origin.latitude * Math.PI / 180);
+      north = createAxis(0, r, KALMAN_CONFIG.INITIAL_SPEED);
+      east = createAxis(0, r, KALMAN_CONFIG.INITIAL_SPEED);
+    } else {
+      const elapsed = lastTime != null && time != null ? (time - lastTime) / 1000 : 0;
+      if (elapsed > KALMAN_CONFIG.MAX_DT) {
+        north.restartVelocity(KALMAN_CONFIG.INITIAL_SPEED);
+        east.restartVelocity(KALMAN_CONFIG.INITIAL_SPEED);
+      }
+      const dt = Math.min(Math.max(elapsed, KALMAN_CONFIG.MIN_DT), KALMAN_CONFIG.MAX_DT);
+      north.predict(dt, q);
+      east.predict(dt, q);
+      north.correct((reading.latitude - origin.latitude) * METERS_PER_DEG_LAT, r);
+      east.correct((reading.longitude - origin.longitude) * metersPerDegLon, r);
+    }
+    if (time != null) lastTime = time;
+
+    position = toFiltered(
+      reading,
+      origin.latitude + north.value / METERS_PER_DEG_LAT,
+      origin.longitude + east.value / metersPerDegLon,
+      Math.sqrt((north.variance + east.variance) / 2)
+    );
+    return position;
+  }
+
+  return {
+    type: FILTER_TYPES.KALMAN,
+    update,
+    getPosition: () => position,
+    reset: () => {
+      origin = null;
+      north = null;
+      east = null;
+      lastTime = null;
+      position = null;
+    },
+  };
+}
+
+/**
+ * Create a position filter by type.
+ *
+ * @param {string} type - FILTER_TYPES value (default kalman)
+ * @param {Object} options - Passed to the filter
+ * @returns {Object} Filter
+ */
+export function createPositionFilter(type = DEFAULT_FILTER, options = {}) {
+  if (type === FILTER_TYPES.MEDIAN) return createMedianFilter(options);
+  if (type === FILTER_TYPES.KALMAN) return createKalmanFilter(options);
+  throw new Error(`Unknown position filter: ${type}`);
+}
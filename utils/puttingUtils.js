@@ -0,0 +1,51 @@
+/**
+ * Putting Utilities
+ *
+ * Distance bands and first-putt distance estimation for the putting
+ * logger. Putts are stored as round_shots rows with shot_type 'putt',
+ * putt_distance_ft (start), leave_distance_ft (0 when holed) and
+ * putt_made.
+ */
+
+import { calculateDistance, isPointInPolygon } from './geoUtils';
+
+/** Distance bands (feet) used for make percentages */
+export const PUTT_DISTANCE_BANDS = [
+  { key: '0_3', label: '0-3 ft', min: 0, max: 3 },
+  { key: '3_6', label: '3-6 ft', min: 3, max: 6 },
+  { key: '6_10', label: '6-10 ft', min: 6, max: 10 },
+  { key: '10_20', label: '10-20 ft', min: 10, max: 20 },
+  { key: '20_30', label: '20-30 ft', min: 20, max: 30 },
+  { key: '30_plus', label: '30+ ft', min: 30, max: Infinity },
+];
+
+/** Putts longer than this are lag putts for proximity stats */
+export const LAG_PUTT_FEET = 30;
+
+/**
+ * Band for a putt distance.
+ *
+ * @param {number} feet
+ * @returns {Object|null} Band from PUTT_DISTANCE_BANDS
+ */
+export function getPuttBand(feet) {
+  if (feet == null || feet < 0) return null;
+  return PUTT_DISTANCE_BANDS.find(b => feet >= b.min && feet < b.max) || null;
+}
+
+/**
+ * Estimate the first-putt distance from the player's GPS position.
+ * Only trusted when the position is on the green polygon; otherwise
+ * the player enters it manually.
+ *
+ * @param {Object} position - { latitude, longitude }
+ * @param {Object} holeLocation - { latitude, longitude } of the hole
+ * @param {Array} polygons - Hole polygons ({ type, coordinates })
+ * @returns {number|null} Feet (whole number), or null when off the green
+ */
+export function estimatePuttDistanceFeet(position, holeLocation, polygons) {
+  if (!position || !holeLocation) return null;
+  const green = (polygons || []).find(p => p.type === 'green');
+  if (!green || !isPointInPolygon(position, green)) return null;
+  return Math.max(1, Math.round(calculateDistance(position, holeLocation) * 3));
+}
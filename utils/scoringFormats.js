@@ -0,0 +1,183 @@
+/**
+ * Scoring Format Utilities
+ *
+ * Per-hole points and round totals for the supported scoring formats.
+ * All formats are scored net: the hole score less the handicap strokes
+ * received from the round's playing handicap (see handicapUtils).
+ *
+ *   stroke              - total strokes (no points)
+ *   stableford          - net double bogey or worse 0, bogey 1, par 2, birdie 3 ...
+ *   modified_stableford - eagle +5, birdie +2, par 0, bogey -1, double or worse -3
+ *   par_bogey           - hole won (+1), halved (0) or lost (-1) against par
+ *   max_score           - strokes with each hole capped at net double bogey
+ */
+
+import { allocateHandicapStrokes, getNetDoubleBogey } from './handicapUtils';
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const DEFAULT_SCORING_FORMAT = 'stroke';
+
+/**
+ * Supported formats. `usesPoints` formats rank higher-is-better;
+ * the others are stroke totals (lower is better).
+ */
+export const SCORING_FORMATS = {
+  stroke: { label: 'Stroke Play', shortLabel: 'Stroke', usesPoints: false },
+  stableford: { label: 'Stableford', shortLabel: 'Stableford', usesPoints: true },
+  modified_stableford: { label: 'Modified Stableford', shortLabel: 'Mod. Stbl', usesPoints: true },
+  par_bogey: { label: 'Par / Bogey', shortLabel: 'Par/Bogey', usesPoints: true },
+  max_score: { label: 'Max Score', shortLabel: 'Max Score', usesPoints: false },
+};
+
+/** Modified Stableford points by net score relative to par */
+const MODIFIED_STABLEFORD_POINTS = {
+  '-3': 8,
+  '-2': 5,
+  '-1': 2,
+  '0': 0,
+  '1': -1,
+};
+const MODIFIED_STABLEFORD_WORST = -3;
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Normalize a stored/selected format to a supported key.
+ *
+ * @param {string|null} format
+ * @returns {string}
+ */
+export function normalizeScoringFormat(format) {
+  return SCORING_FORMATS[format] ? format : DEFAULT_SCORING_FORMAT;
+}
+
+/**
+ * Display label for a format.
+ *
+ * @param {string|null} format
+ * @param {boolean} short - Use the compact label
+ * @returns {string}
+ */
+export function getScoringFormatLabel(format, short = false) {
+  const entry = SCORING_FORMATS[normalizeScoringFormat(format)];
+  return short ? entry.shortLabel : entry.label;
+}
+
+/**
+ * Whether a format's result is a points total (higher is better).
+ *
+ * @param {string|null} format
+ * @returns {boolean}
+ */
+export function formatUsesPoints(format) {
+  return SCORING_FORMATS[normalizeScoringFormat(format)].usesPoints;
+}
+
+// ============================================================
+// SCORING
+// ============================================================
+
+/**
+ * Stableford points for a hole: 2 for a net par, one more per stroke
+ * under, one fewer per stroke over, never below zero.
+ *
+ * @param {number} netToPar - Net score minus par
+ * @returns {number}
+ */
+export function getStablefordPoints(netToPar) {
+  return Math.max(0, 2 - netToPar);
+}
+
+/**
+ * Modified Stableford points for a hole. Anything better than an
+ * albatross scores as an albatross.
+ *
+ * @param {number} netToPar - Net score minus par
+ * @returns {number}
+ */
+export function getModifiedStablefordPoints(netToPar) {
+  if (netToPar >= 2) return MODIFIED_STABLEFORD_WORST;
+  return MODIFIED_STABLEFORD_POINTS[String(Math.max(-3, netToPar))];
+}
+
+/**
+ * Par/bogey result for a hole: +1 win, 0 halve, -1 loss against par.
+ *
+ * @param {number} netToPar - Net score minus par
+ * @returns {number}
+ */
+export function getParBogeyResult(netToPar) {
+  if (netToPar < 0) return 1;
+  if (netToPar === 0) return 0;
+  return -1;
+}
+
+/**
+ * Format score for a single hole.
+ *
+ * @param {string} format - Scoring format key
+ * @param {Object} hole
+ * @param {number|null} hole.score - Gross strokes
+ * @param {number} hole.par
+ * @param {number} hole.strokes - Handicap strokes received (default 0)
+ * @param {boolean} hasHandicap - Player has a handicap (max score cap uses par + 5 otherwise)
+ * @returns {number|null} Points, or capped strokes for max_score / strokes for stroke play
+ */
+export function scoreHoleForFormat(format, { score, par, strokes = 0 }, hasHandicap = true) {
+  if (score == null || !par) return null;
+  const netToPar = score - strokes - par;
+
+  switch (normalizeScoringFormat(format)) {
+    case 'stableford':
+      return getStablefordPoints(netToPar);
+    case 'modified_stableford':
+      return getModifiedStablefordPoints(netToPar);
+    case 'par_bogey':
+      return getParBogeyResult(netToPar);
+    case 'max_score':
+      return Math.min(score, getNetDoubleBogey(par, strokes, hasHandicap));
+    default:
+      return score;
+  }
+}
+
+/**
+ * Score a set of holes for a format.
+ *
+ * @param {string} format - Scoring format key
+ * @param {Array<{ holeNumber: number, score: number, par: number, handicapIndex: number }>} holes
+ * @param {number|null} playingHandicap - Playing handicap for the round
+ * @param {number|null} roundLength - 18 or 9 (see allocateHandicapStrokes)
+ * @returns {{ format: string, holePoints: Object<number, number>, total: number|null }}
+ *   holePoints maps hole number → points (or capped strokes); total is
+ *   null for stroke play, where the gross total is the result.
+ */
+export function computeFormatScore(format, holes, playingHandicap = null, roundLength = null) {
+  const key = normalizeScoringFormat(format);
+  const holePoints = {};
+  if (key === DEFAULT_SCORING_FORMAT) {
+    return { format: key, holePoints, total: null };
+  }
+
+  const hasHandicap = playingHandicap != null;
+  const holeStrokes = hasHandicap ? allocateHandicapStrokes(playingHandicap, holes, roundLength) : {};
+
+  let total = 0;
+  (holes || []).forEach((h) => {
+    const points = scoreHoleForFormat(
+      key,
+      { score: h.score, par: h.par, strokes: holeStrokes[h.holeNumber] || 0 },
+      hasHandicap
+    );
+    if (points == null) return;
+    holePoints[h.holeNumber] = points;
+    total += points;
+  });
+
+  return { format: key, holePoints, total };
+}
@@ -0,0 +1,475 @@
+/**
+ * Side Game Engine
+ *
+ * Computes group money and match games from per-player hole scores and
+ * handicap strokes. Games are registered in SIDE_GAMES; each one takes
+ * the same inputs and returns the same result shape, so new games can
+ * be added with registerSideGame().
+ *
+ * Inputs (shared by every game):
+ *   players - [{ id, name, scores: { hole: gross }, strokes: { hole: n }, matchStrokes?, fourBallStrokes? }]
+ *   holes   - [{ holeNumber, par, handicapIndex }] in playing order
+ *   config  - { type, stake, ...game options }
+ *
+ * Result:
+ *   { available, reason?, lines: string[], settlement: { playerId: amount }, ... }
+ *
+ * All games are scored on net scores and only count holes every
+ * player involved has finished, so standings stay correct mid-round.
+ * Skins and wolf use each player's playing handicap (strokes); match
+ * play and Nassau use the match-play allowance when the player has one:
+ * matchStrokes for singles, fourBallStrokes for 2 v 2.
+ */
+
+import { allocateHandicapStrokes, calculatePlayingHandicap } from './handicapUtils';
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function netScore(player, holeNumber) {
+  const gross = player.scores?.[holeNumber];
+  if (gross == null) return null;
+  return gross - (player.strokes?.[holeNumber] || 0);
+}
+
+function isHoleComplete(players, holeNumber) {
+  return players.every(p => p.scores?.[holeNumber] != null);
+}
+
+function bestNet(players, holeNumber) {
+  return Math.min(...players.map(p => netScore(p, holeNumber)));
+}
+
+function emptySettlement(players) {
+  const settlement = {};
+  players.forEach((p) => { settlement[p.id] = 0; });
+  return settlement;
+}
+
+/**
+ * Every winner collects `unit` from every loser.
+ */
+function settleHole(settlement, winners, losers, unit) {
+  winners.forEach((w) => { settlement[w.id] += unit * losers.length; });
+  losers.forEach((l) => { settlement[l.id] -= unit * winners.length; });
+}
+
+/**
+ * Sides as they stand in a match: strokes off the low player at the
+ * match-play allowance instead of each player's stroke-play handicap.
+ * Singles use 100% of course handicap, four-ball 90%.
+ */
+function withMatchStrokes(sides) {
+  if (!sides) return null;
+  const fourBall = sides.some(side => side.length > 1);
+  return sides.map(side => side.map((p) => {
+    const strokes = fourBall ? p.fourBallStrokes : p.matchStrokes;
+    return strokes ? { ...p, strokes } : p;
+  }));
+}
+
+function sideName(side) {
+  return side.map(p => p.name).join(' & ');
+}
+
+/**
+ * Default two-sided pairing: 1 v 1, or 2 v 2 in players order.
+ * Explicit config.sides ([[id, ...], [id, ...]]) takes precedence.
+ */
+function resolveSides(players, config) {
+  if (config.sides?.length === 2) {
+    const byId = {};
+    players.forEach((p) => { byId[p.id] = p; });
+    const sides = config.sides.map(ids => ids.map(id => byId[id]).filter(Boolean));
+    if (sides[0].length > 0 && sides[1].length > 0) return sides;
+  }
+  if (players.length === 2) return [[players[0]], [players[1]]];
+  if (players.length === 4) return [[players[0], players[1]], [players[2], players[3]]];
+  return null;
+}
+
+/**
+ * Hole result from side A's point of view: 1 won, 0 halved, -1 lost.
+ * Each side plays its best net ball. Returns null until every player
+ * in the match has a score.
+ */
+function matchHoleResult(sides, holeNumber) {
+  if (!isHoleComplete([...sides[0], ...sides[1]], holeNumber)) return null;
+  const a = bestNet(sides[0], holeNumber);
+  const b = bestNet(sides[1], holeNumber);
+  if (a < b) return 1;
+  if (a > b) return -1;
+  return 0;
+}
+
+/**
+ * Match status in the usual words: "2 up thru 11", "All square thru 5",
+ * "dormie", "wins 3&2".
+ *
+ * @param {number} diff - Holes up for side A (negative when B leads)
+ * @param {number} played - Holes completed in the match
+ * @param {number} remaining - Holes left to play
+ * @param {string[]} names - Display names for side A and side B
+ * @returns {{ text: string, decided: boolean, winner: number }} winner is 1 (A), -1 (B) or 0
+ */
+export function describeMatchStatus(diff, played, remaining, names) {
+  const lead = Math.abs(diff);
+  const leader = diff > 0 ? names[0] : names[1];
+  const sign = Math.sign(diff);
+
+  if (played === 0) return { text: 'Not started', decided: false, winner: 0 };
+  if (lead > remaining) {
+    const margin = remaining > 0 ? `${lead}&${remaining}` : `${lead} up`;
+    return { text: `${leader} wins ${margin}`, decided: true, winner: sign };
+  }
+  if (remaining === 0) return { text: 'Halved', decided: true, winner: 0 };
+  if (lead === 0) return { text: `All square thru ${played}`, decided: false, winner: 0 };
+  if (lead === remaining) return { text: `${leader} ${lead} up (dormie)`, decided: false, winner: 0 };
+  return { text: `${leader} ${lead} up thru ${played}`, decided: false, winner: 0 };
+}
+
+// ============================================================
+// SKINS
+// ============================================================
+
+/**
+ * Skins: the outright lowest net score wins the hole. Tied holes carry
+ * over (when enabled) so the next outright winner takes every carried
+ * skin. Each skin is worth the stake from every other player.
+ */
+export function computeSkins(players, holes, config = {}) {
+  const { stake = 1, carryovers = true } = config;
+  if (players.length < 2) return { available: false, reason: 'Needs at least 2 players', lines: [], settlement: {} };
+
+  const settlement = emptySettlement(players);
+  const skinsWon = emptySettlement(players);
+  const skins = [];
+  let carry = 0;
+  let thruHole = null;
+
+  for (const hole of holes) {
+    if (!isHoleComplete(players, hole.holeNumber)) break;
+    const best = bestNet(players, hole.holeNumber);
+    const winners = players.filter(p => netScore(p, hole.holeNumber) === best);
+    const value = 1 + carry;
+
+    if (winners.length === 1) {
+      const winner = winners[0];
+      skinsWon[winner.id] += value;
+      settleHole(settlement, [winner], players.filter(p => p.id !== winner.id), stake * value);
+      skins.push({ holeNumber: hole.holeNumber, winnerId: winner.id, value });
+      carry = 0;
+    } else {
+      skins.push({ holeNumber: hole.holeNumber, winnerId: null, value: 0 });
+      carry = carryovers ? value : 0;
+    }
+    thruHole = hole.holeNumber;
+  }
+
+  const lines = players
+    .filter(p => skinsWon[p.id] > 0)
+    .sort((a, b) => skinsWon[b.id] - skinsWon[a.id])
+    .map(p => `${p.name}: ${skinsWon[p.id]} skin${skinsWon[p.id] === 1 ? '' : 's'}`);
+  if (carry > 0) lines.push(`${carry} skin${carry === 1 ? '' : 's'} carrying over`);
+  if (lines.length === 0) lines.push(thruHole ? 'No skins won yet' : 'Not started');
+
+  return { available: true, lines, settlement, skins, skinsWon, carry, thruHole };
+}
+
+// ============================================================
+// MATCH PLAY
+// ============================================================
+
+/**
+ * Singles (1 v 1) or four-ball (2 v 2 best net ball) match play over
+ * the round. The stake goes to the winning side's players.
+ */
+export function computeMatchPlay(players, holes, config = {}) {
+  const { stake = 1 } = config;
+  const sides = withMatchStrokes(resolveSides(players, config));
+  if (!sides) return { available: false, reason: 'Needs 2 players or 2 teams of 2', lines: [], settlement: {} };
+
+  const names = sides.map(sideName);
+  let diff = 0;
+  let played = 0;
+  let status = describeMatchStatus(0, 0, holes.length, names);
+
+  for (const hole of holes) {
+    const result = matchHoleResult(sides, hole.holeNumber);
+    if (result == null) break;
+    diff += result;
+    played++;
+    status = describeMatchStatus(diff, played, holes.length - played, names);
+    if (status.decided) break;
+  }
+
+  const settlement = emptySettlement(players);
+  if (status.decided && status.winner !== 0) {
+    const [winners, losers] = status.winner > 0 ? sides : [sides[1], sides[0]];
+    winners.forEach((p) => { settlement[p.id] += stake; });
+    losers.forEach((p) => { settlement[p.id] -= stake; });
+  }
+
+  const format = sides[0].length > 1 ? 'Four-ball' : 'Singles';
+  return {
+    available: true,
+    lines: [`${names[0]} v ${names[1]}`, status.text],
+    settlement,
+    format,
+    diff,
+    played,
+    status: status.text,
+    decided: status.decided,
+  };
+}
+
+// ============================================================
+// NASSAU
+// ============================================================
+
+/**
+ * Play one Nassau segment with automatic presses: whenever the most
+ * recent bet reaches `pressAt` holes down, a new bet starts on the
+ * next hole and runs to the end of the segment.
+ */
+function playNassauSegment(sides, segmentHoles, pressAt) {
+  const bets = [{ startIndex: 0, diff: 0, played: 0 }];
+
+  for (let i = 0; i < segmentHoles.length; i++) {
+    const result = matchHoleResult(sides, segmentHoles[i].holeNumber);
+    if (result == null) break;
+    bets.forEach((bet) => {
+      const length = segmentHoles.length - bet.startIndex;
+      const closed = Math.abs(bet.diff) > length - bet.played;
+      if (i >= bet.startIndex && !closed) {
+        bet.diff += result;
+        bet.played++;
+      }
+    });
+
+    const latest = bets[bets.length - 1];
+    const remaining = segmentHoles.length - i - 1;
+    if (pressAt > 0 && remaining > 0 && Math.abs(latest.diff) >= pressAt) {
+      bets.push({ startIndex: i + 1, diff: 0, played: 0 });
+    }
+  }
+
+  return bets.map((bet) => {
+    const length = segmentHoles.length - bet.startIndex;
+    return { ...bet, length, remaining: length - bet.played };
+  });
+}
+
+/**
+ * Nassau: three match-play bets (front nine, back nine, overall) with
+ * automatic presses. Each bet, press included, is worth the stake per
+ * player. 9-hole rounds split into two halves.
+ */
+export function computeNassau(players, holes, config = {}) {
+  const { stake = 1, pressAt = 2 } = config;
+  const sides = withMatchStrokes(resolveSides(players, config));
+  if (!sides) return { available: false, reason: 'Needs 2 players or 2 teams of 2', lines: [], settlement: {} };
+
+  const names = sides.map(sideName);
+  const half = Math.ceil(holes.length / 2);
+  const segments = [
+    { key: 'front', label: 'Front', holes: holes.slice(0, half) },
+    { key: 'back', label: 'Back', holes: holes.slice(half) },
+    { key: 'overall', label: 'Overall', holes },
+  ];
+
+  const settlement = emptySettlement(players);
+  const lines = [];
+  const results = {};
+
+  segments.forEach((segment) => {
+    const bets = playNassauSegment(sides, segment.holes, pressAt);
+    results[segment.key] = bets;
+
+    const texts = bets.map((bet) => {
+      const status = describeMatchStatus(bet.diff, bet.played, bet.remaining, names);
+      const finished = status.decided || bet.remaining === 0;
+      if (finished && bet.diff !== 0) {
+        const [winners, losers] = bet.diff > 0 ? sides : [sides[1], sides[0]];
+        winners.forEach((p) => { settlement[p.id] += stake; });
+        losers.forEach((p) => { settlement[p.id] -= stake; });
+      }
+      return status.text;
+    });
+
+    const presses = texts.slice(1).map((t, i) => `press ${i + 1}: ${t}`);
+    lines.push(`${segment.label}: ${texts[0]}${presses.length > 0 ? ` (${presses.join(', ')})` : ''}`);
+  });
+
+  return { available: true, lines: [`${names[0]} v ${names[1]}`, ...lines], settlement, results };
+}
+
+// ============================================================
+// WOLF
+// ============================================================
+
+/**
+ * Wolf for the hole at `holeIndex`: the tee order rotates through the
+ * players.
+ */
+export function getWolfForHole(players, holeIndex) {
+  if (players.length === 0) return null;
+  return players[holeIndex % players.length];
+}
+
+/**
+ * Wolf (3 or 4 players). The wolf rotates each hole and either picks a
+ * partner or goes lone/blind against the rest. The lower best net ball
+ * wins; every winner collects the stake from every loser, multiplied
+ * for a lone or blind wolf. Holes without a pick are skipped.
+ *
+ * config.picks: { [holeNumber]: { partnerId } | { lone: true } | { blind: true } }
+ */
+export function computeWolf(players, holes, config = {}) {
+  const { stake = 1, loneMultiplier = 2, blindMultiplier = 3, picks = {} } = config;
+  if (players.length < 3 || players.length > 4) {
+    return { available: false, reason: 'Needs 3 or 4 players', lines: [], settlement: {} };
+  }
+
+  const settlement = emptySettlement(players);
+  const holeResults = [];
+
+  holes.forEach((hole, index) => {
+    const wolf = getWolfForHole(players, index);
+    const pick = picks[hole.holeNumber];
+    if (!pick || !isHoleComplete(players, hole.holeNumber)) return;
+
+    const partner = pick.partnerId ? players.find(p => p.id === pick.partnerId) : null;
+    const wolfSide = partner ? [wolf, partner] : [wolf];
+    const others = players.filter(p => !wolfSide.includes(p));
+    const multiplier = pick.blind ? blindMultiplier : (partner ? 1 : loneMultiplier);
+
+    const wolfBest = bestNet(wolfSide, hole.holeNumber);
+    const otherBest = bestNet(others, hole.holeNumber);
+    let winner = 0;
+    if (wolfBest < otherBest) {
+      winner = 1;
+      settleHole(settlement, wolfSide, others, stake * multiplier);
+    } else if (otherBest < wolfBest) {
+      winner = -1;
+      settleHole(settlement, others, wolfSide, stake * multiplier);
+    }
+
+    holeResults.push({ holeNumber: hole.holeNumber, wolfId: wolf.id, partnerId: partner?.id || null, multiplier, winner });
+  });
+
+  const lines = [...players]
+    .sort((a, b) => settlement[b.id] - settlement[a.id])
+    .map(p => `${p.name}: ${formatAmount(settlement[p.id])}`);
+  if (holeResults.length === 0) lines.unshift('No holes played yet');
+
+  return { available: true, lines, settlement, holeResults };
+}
+
+// ============================================================
+// REGISTRY
+// ============================================================
+
+export const SIDE_GAMES = {
+  skins: { label: 'Skins', compute: computeSkins },
+  nassau: { label: 'Nassau', compute: computeNassau },
+  wolf: { label: 'Wolf', compute: computeWolf },
+  match_play: { label: 'Match Play', compute: computeMatchPlay },
+};
+
+/**
+ * Add (or replace) a side game. `compute(players, holes, config)` must
+ * return the standard result shape.
+ */
+export function registerSideGame(type, { label, compute }) {
+  SIDE_GAMES[type] = { label, compute };
+}
+
+/**
+ * Format a settlement amount for display: "+$4", "-$2", "$0".
+ */
+export function formatAmount(amount) {
+  if (!amount) return '$0';
+  return `${amount > 0 ? '+' : '-'}$${Math.abs(amount)}`;
+}
+
+/**
+ * Build engine players from the scorer and their partners, allocating
+ * each player's playing handicap across the round's holes. Match
+ * strokes give each player 100% of their course handicap less the
+ * lowest in the group, so the low player plays off scratch; four-ball
+ * strokes do the same at the 90% four-ball allowance.
+ *
+ * @param {Object} self - { name, scores, playingHandicap, courseHandicap }
+ * @param {Array} partners - Cached partners ({ id, name, scores, playingHandicap, courseHandicap })
+ * @param {Array} holes - [{ holeNumber, handicapIndex }] for the whole round
+ * @returns {Array} Engine players; the scorer has id 'self'. matchStrokes
+ *   and fourBallStrokes are null for a player without a course handicap
+ */
+export function buildSideGamePlayers(self, partners, holes) {
+  const roundLength = holes.length >= 18 ? 18 : 9;
+  const withStrokes = (playingHandicap) => (
+    playingHandicap != null ? allocateHandicapStrokes(playingHandicap, holes, roundLength) : {}
+  );
+
+  const entries = [
+    { ...self, id: 'self', name: self.name || 'You' },
+    ...(partners || []),
+  ];
+  // Strokes off the group's low player at a format's allowance
+  const offLowest = (format) => {
+    const handicaps = entries.map(p => calculatePlayingHandicap(p.courseHandicap ?? null, format));
+    const known = handicaps.filter(h => h != null);
+    const lowest = known.length > 0 ? Math.min(...known) : 0;
+    return handicaps.map(h => (h != null ? withStrokes(h - lowest) : null));
+  };
+  const matchStrokes = offLowest('match_play');
+  const fourBallStrokes = offLowest('four_ball_match');
+
+  return entries.map((p, i) => ({
+    id: p.id,
+    name: p.name,
+    scores: p.scores || {},
+    strokes: withStrokes(p.playingHandicap),
+    matchStrokes: matchStrokes[i],
+    fourBallStrokes: fourBallStrokes[i],
+  }));
+}
+
+/**
+ * Run every enabled game.
+ *
+ * @param {Array} games - Game configs ({ type, enabled, stake, ...options })
+ * @param {Array} players - Engine players
+ * @param {Array} holes - Round holes in playing order
+ * @returns {Array} [{ type, label, ...result }]
+ */
+export function computeSideGames(games, players, holes) {
+  return (games || [])
+    .filter(g => g.enabled !== false && SIDE_GAMES[g.type])
+    .map(g => ({ type: g.type, label: SIDE_GAMES[g.type].label, ...SIDE_GAMES[g.type].compute(players, holes, g) }));
+}
+
+/**
+ * Net settlement per player across all games.
+ *
+ * @param {Array} results - From computeSideGames
+ * @param {Array} players - Engine players
+ * @returns {Array} [{ playerId, name, total, byGame: { type: amount } }] best first
+ */
+export function combineSettlements(results, players) {
+  return players
+    .map((p) => {
+      const byGame = {};
+      let total = 0;
+      results.forEach((r) => {
+        if (!r.available) return;
+        const amount = r.settlement[p.id] || 0;
+        byGame[r.type] = amount;
+        total += amount;
+      });
+      return { playerId: p.id, name: p.name, total, byGame };
+    })
+    .sort((a, b) => b.total - a.total);
+}
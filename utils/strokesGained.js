@@ -0,0 +1,379 @@
+/**
+ * Strokes Gained
+ *
+ * Measures each shot against the number of strokes a baseline golfer
+ * is expected to take from where it started and where it finished:
+ *
+ *   SG = expected(start) - expected(end) - 1 - penalty strokes
+ *
+ * Shots are grouped into off-the-tee (tee shots on par 4/5), approach
+ * (everything else from outside 50 yards, including par 3 tee shots),
+ * around-the-green (inside 50 yards, off the green) and putting.
+ *
+ * The scratch baseline is a tour-level expected-strokes table by lie and
+ * distance. Handicap baselines add the extra strokes a player of that
+ * handicap takes from the same spot, spread so that a full hole costs
+ * roughly handicap / 18 more than scratch.
+ */
+
+import { calculateDistance } from './geoUtils';
+
+// ============================================================
+// BASELINES
+// ============================================================
+
+export const SG_CATEGORIES = {
+  offTheTee: { label: 'Off the Tee', shortLabel: 'OTT' },
+  approach: { label: 'Approach', shortLabel: 'APP' },
+  aroundGreen: { label: 'Around the Green', shortLabel: 'ARG' },
+  putting: { label: 'Putting', shortLabel: 'PUTT' },
+};
+
+/** Shots starting this close (yards) but off the green are around-the-green */
+const AROUND_GREEN_YARDS = 50;
+
+/**
+ * Scratch expected strokes to hole out, as [distance, strokes] pairs.
+ * Distances are yards, except green which is feet.
+ */
+const SCRATCH_BASELINE = {
+  tee: [
+    [100, 2.92], [150, 2.98], [200, 3.12], [250, 3.35], [300, 3.71], [350, 3.89],
+    [400, 3.99], [450, 4.12], [500, 4.41], [550, 4.70], [600, 4.82],
+  ],
+  fairway: [
+    [5, 2.10], [10, 2.18], [20, 2.40], [30, 2.52], [40, 2.60], [50, 2.66], [60, 2.70],
+    [80, 2.75], [100, 2.80], [120, 2.85], [140, 2.91], [160, 2.98], [180, 3.08],
+    [200, 3.19], [220, 3.32], [240, 3.45], [260, 3.58], [300, 3.78], [400, 4.05], [500, 4.45],
+  ],
+  rough: [
+    [5, 2.25], [10, 2.34], [20, 2.59], [40, 2.78], [60, 2.91], [80, 2.96], [100, 3.02],
+    [120, 3.08], [140, 3.15], [160, 3.23], [180, 3.31], [200, 3.42], [240, 3.64],
+    [300, 3.90], [400, 4.20], [500, 4.60],
+  ],
+  bunker: [
+    [5, 2.35], [10, 2.43], [20, 2.53], [40, 2.82], [60, 3.15], [80, 3.24], [100, 3.23],
+    [120, 3.21], [140, 3.22], [160, 3.28], [180, 3.40], [200, 3.55], [240, 3.84], [300, 4.10],
+  ],
+  recovery: [
+    [20, 3.45], [50, 3.60], [100, 3.80], [150, 3.80], [200, 3.87], [250, 4.07], [300, 4.20],
+  ],
+  green: [
+    [1, 1.00], [2, 1.01], [3, 1.04], [4, 1.13], [5, 1.23], [6, 1.34], [8, 1.50],
+    [10, 1.61], [15, 1.78], [20, 1.87], [30, 1.98], [40, 2.06], [50, 2.14], [60, 2.21], [90, 2.40],
+  ],
+};
+
+/** How much harder each lie plays for a higher handicap than from the fairway */
+const HANDICAP_LIE_FACTOR = {
+  tee: 1,
+  fairway: 1,
+  rough: 1.1,
+  bunker: 1.25,
+  recovery: 1.2,
+};
+
+/** Share of a hole's handicap strokes left from the fringe of the green out to 450 yards */
+const HANDICAP_SHARE_MIN = 0.3;
+const HANDICAP_SHARE_DISTANCE = 450;
+const HANDICAP_GREEN_FEET = 60;
+
+/** Map round_shots lie_type values to baseline lies */
+const LIE_MAP = {
+  tee: 'tee',
+  fairway: 'fairway',
+  fringe: 'fairway',
+  rough: 'rough',
+  penalty: 'rough',
+  bunker: 'bunker',
+  green: 'green',
+  other: 'recovery',
+};
+
+/** Results that cost a penalty stroke on top of the shot */
+const PENALTY_RESULTS = ['water', 'ob'];
+
+// ============================================================
+// EXPECTED STROKES
+// ============================================================
+
+function interpolate(table, distance) {
+  if (distance <= table[0][0]) return table[0][1];
+  for (let i = 1; i < table.length; i++) {
+    const [d1, s1] = table[i];
+    if (distance <= d1) {
+      const [d0, s0] = table[i - 1];
+      return s0 + ((distance - d0) / (d1 - d0)) * (s1 - s0);
+    }
+  }
+  // Past the end of the table: extend the last segment's slope
+  const [dA, sA] = table[table.length - 2];
+  const [dB, sB] = table[table.length - 1];
+  return sB + ((distance - dB) / (dB - dA)) * (sB - sA);
+}
+
+/**
+ * Normalize a baseline option: 'scratch', or a handicap (number or
+ * numeric string). Plus handicaps count as scratch.
+ *
+ * @param {string|number|null} baseline
+ * @returns {number} Handicap the baseline represents (0 = scratch)
+ */
+export function getBaselineHandicap(baseline) {
+  if (baseline == null || baseline === 'scratch') return 0;
+  const value = Number(baseline);
+  return Number.isFinite(value) ? Math.max(0, value) : 0;
+}
+
+/**
+ * Display label for a baseline.
+ *
+ * @param {string|number|null} baseline
+ * @returns {string}
+ */
+export function getBaselineLabel(baseline) {
+  const handicap = getBaselineHandicap(baseline);
+  return handicap === 0 ? 'Scratch' : `${Math.round(handicap)} Hcp`;
+}
+
+/**
+ * Expected strokes to hole out for a baseline golfer.
+ *
+ * @param {string} lie - tee | fairway | rough | bunker | recovery | green
+ * @param {number} distance - Yards (feet on the green)
+ * @param {string|number} baseline - 'scratch' or a handicap
+ * @returns {number}
+ */
+export function getExpectedStrokes(lie, distance, baseline = 'scratch') {
+  const table = SCRATCH_BASELINE[lie] || SCRATCH_BASELINE.fairway;
+  const scratch = interpolate(table, Math.max(0, distance));
+
+  const handicap = getBaselineHandicap(baseline);
+  if (handicap === 0) return scratch;
+
+  const share = lie === 'green'
+    ? HANDICAP_SHARE_MIN * Math.min(distance, HANDICAP_GREEN_FEET) / HANDICAP_GREEN_FEET
+    : (HANDICAP_SHARE_MIN + (1 - HANDICAP_SHARE_MIN) * Math.min(distance, HANDICAP_SHARE_DISTANCE) / HANDICAP_SHARE_DISTANCE)
+      * (HANDICAP_LIE_FACTOR[lie] || 1);
+
+  return scratch + (handicap / 18) * share;
+}
+
+/**
+ * Strokes gained category for a shot.
+ *
+ * @param {Object} start - { lie, distance }
+ * @param {number} par - Hole par
+ * @returns {string} offTheTee | approach | aroundGreen | putting
+ */
+export function getShotCategory(start, par) {
+  if (start.lie === 'green') return 'putting';
+  if (start.lie === 'tee' && par >= 4) return 'offTheTee';
+  if (start.lie !== 'tee' && start.distance <= AROUND_GREEN_YARDS) return 'aroundGreen';
+  return 'approach';
+}
+
+// ============================================================
+// HOLE / ROUND
+// ============================================================
+
+function emptyCategories() {
+  return { offTheTee: 0, approach: 0, aroundGreen: 0, putting: 0 };
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Strokes gained for one hole from its stroke sequence.
+ *
+ * @param {Object} params
+ * @param {number} params.par
+ * @param {number} params.score - Strokes taken, including penalties
+ * @param {Array<{ lie: string, distance: number, penalty?: number }>} params.strokes
+ *   Where each non-putting stroke started, in order. `penalty` is extra
+ *   penalty strokes incurred by that shot.
+ * @param {number} params.putts - Putts taken
+ * @param {number|null} params.firstPuttFeet - Distance of the first putt (required when putts > 0)
+ * @param {string|number} baseline
+ * @returns {Object|null} { total, categories, shots[] } or null when the
+ *   strokes don't account for the score
+ */
+export function computeHoleStrokesGained({ par, score, strokes, putts = 0, firstPuttFeet = null }, baseline = 'scratch') {
+  if (!score || !strokes || strokes.length === 0) return null;
+  if (putts > 0 && firstPuttFeet == null) return null;
+
+  const penalties = strokes.reduce((sum, s) => sum + (s.penalty || 0), 0);
+  if (strokes.length + putts + penalties !== score) return null;
+
+  const states = strokes.map(s => ({ lie: s.lie, distance: s.distance }));
+  if (putts > 0) states.push({ lie: 'green', distance: firstPuttFeet });
+
+  const categories = emptyCategories();
+  const shots = [];
+
+  strokes.forEach((stroke, i) => {
+    const start = states[i];
+    const next = states[i + 1];
+    const expectedStart = getExpectedStrokes(start.lie, start.distance, baseline);
+    const expectedEnd = next ? getExpectedStrokes(next.lie, next.distance, baseline) : 0;
+    const sg = expectedStart - expectedEnd - 1 - (stroke.penalty || 0);
+    const category = getShotCategory(start, par);
+    categories[category] += sg;
+    shots.push({ category, start, sg: round2(sg) });
+  });
+
+  if (putts > 0) {
+    const sg = getExpectedStrokes('green', firstPuttFeet, baseline) - putts;
+    categories.putting += sg;
+    shots.push({ category: 'putting', start: { lie: 'green', distance: firstPuttFeet }, putts, sg: round2(sg) });
+  }
+
+  const total = Object.values(categories).reduce((a, b) => a + b, 0);
+  Object.keys(categories).forEach((k) => { categories[k] = round2(categories[k]); });
+
+  return { total: round2(total), categories, shots };
+}
+
+/**
+ * Build a hole's stroke sequence from stored round_shots rows.
+ *
+ * @param {Object} hole - round_holes row ({ hole_number, par, score, putts, yardage, penalties })
+ * @param {Array} holeShots - round_shots rows for the hole
+ * @param {Object|null} holeLocation - { latitude, longitude } of the hole
+ * @returns {Object|null} Input for computeHoleStrokesGained, or null when
+ *   the shots can't be placed
+ */
+export function buildHoleStrokes(hole, holeShots, holeLocation) {
+  if (!hole?.score || !holeLocation) return null;
+  const sorted = [...(holeShots || [])].sort((a, b) => a.shot_number - b.shot_number);
+  if (sorted.length === 0) return null;
+
+  const distanceFrom = (lat, lon) => (
+    lat != null && lon != null ? calculateDistance({ latitude: lat, longitude: lon }, holeLocation) : null
+  );
+
+  const isPutt = s => s.shot_type === 'putt' || s.club === 'putter';
+  const fullShots = sorted.filter(s => !isPutt(s));
+  const putterShots = sorted.filter(isPutt);
+
+  const strokes = [];
+  for (const shot of fullShots) {
+    const lie = LIE_MAP[shot.lie_type] || 'fairway';
+    let distance = distanceFrom(shot.from_lat, shot.from_lon);
+    if (lie === 'tee' && strokes.length === 0 && hole.yardage) distance = hole.yardage;
+    if (distance == null) return null;
+    strokes.push({ lie, distance, penalty: PENALTY_RESULTS.includes(shot.result) ? 1 : 0 });
+  }
+
+  // Putts: logged putter strokes win over the hole's putt count
+  const putts = putterShots.length > 0 ? putterShots.length : (hole.putts || 0);
+  let firstPuttFeet = null;
+  if (putts > 0) {
+    const firstPutt = putterShots[0];
+    if (firstPutt?.putt_distance_ft != null) firstPuttFeet = firstPutt.putt_distance_ft;
+    const lastFull = fullShots[fullShots.length - 1];
+    const yards = firstPutt
+      ? distanceFrom(firstPutt.from_lat, firstPutt.from_lon)
+      : (lastFull && ['green', 'fringe'].includes(lastFull.result) ? distanceFrom(lastFull.to_lat, lastFull.to_lon) : null);
+    if (firstPuttFeet == null && yards != null) firstPuttFeet = Math.max(1, yards * 3);
+  }
+
+  // Penalty strokes recorded on the hole but not tied to a shot result
+  const shotPenalties = strokes.reduce((sum, s) => sum + s.penalty, 0);
+  const extra = (hole.penalties || 0) - shotPenalties;
+  if (extra > 0 && strokes.length > 0) strokes[strokes.length - 1].penalty += extra;
+
+  return { par: hole.par, score: hole.score, strokes, putts, firstPuttFeet };
+}
+
+/**
+ * Strokes gained for a round. Only holes whose logged shots account for
+ * every stroke are included.
+ *
+ * @param {Object} params
+ * @param {Array} params.holes - round_holes rows (pin_latitude/pin_longitude win over holeLocations)
+ * @param {Array} params.shots - round_shots rows
+ * @param {Object} params.holeLocations - Green centers { holeNumber: { latitude, longitude } }
+ * @param {string|number} baseline - 'scratch' or a handicap
+ * @returns {Object} { baseline, total, categories, holesCounted, holesPlayed, byHole }
+ */
+export function computeRoundStrokesGained({ holes, shots, holeLocations }, baseline = 'scratch') {
+  const shotsByHole = {};
+  (shots || []).forEach((s) => {
+    if (!shotsByHole[s.hole_number]) shotsByHole[s.hole_number] = [];
+    shotsByHole[s.hole_number].push(s);
+  });
+
+  const categories = emptyCategories();
+  const byHole = {};
+  let total = 0;
+  let holesCounted = 0;
+  const played = (holes || []).filter(h => h.score);
+
+  played.forEach((hole) => {
+    // The day's pin when it was set, else the green center
+    const holeLocation = hole.pin_latitude != null && hole.pin_longitude != null
+      ? { latitude: hole.pin_latitude, longitude: hole.pin_longitude }
+      : holeLocations?.[hole.hole_number];
+    const input = buildHoleStrokes(hole, shotsByHole[hole.hole_number], holeLocation);
+    const result = input ? computeHoleStrokesGained(input, baseline) : null;
+    if (!result) return;
+    byHole[hole.hole_number] = result;
+    holesCounted++;
+    total += result.total;
+    Object.keys(categories).forEach((k) => { categories[k] += result.categories[k]; });
+  });
+
+  Object.keys(categories).forEach((k) => { categories[k] = round2(categories[k]); });
+
+  return {
+    baseline: getBaselineHandicap(baseline) === 0 ? 'scratch' : getBaselineHandicap(baseline),
+    total: round2(total),
+    categories,
+    holesCounted,
+    holesPlayed: played.length,
+    byHole,
+  };
+}
+
+/**
+ * Per-round averages for a set of round results (oldest first), scaled
+ * to 18 holes so partial rounds compare fairly.
+ *
+ * @param {Array} rounds - [{ roundId, date, sg }] where sg is from computeRoundStrokesGained
+ * @returns {{ points: Array, averages: Object|null }}
+ *   points: [{ roundId, date, total, categories }] per 18 holes
+ */
+export function summarizeStrokesGainedTrend(rounds) {
+  const points = (rounds || [])
+    .filter(r => r.sg?.holesCounted > 0)
+    .map((r) => {
+      const scale = 18 / r.sg.holesCounted;
+      const categories = {};
+      Object.keys(r.sg.categories).forEach((k) => { categories[k] = round2(r.sg.categories[k] * scale); });
+      return { roundId: r.roundId, date: r.date, total: round2(r.sg.total * scale), categories };
+    });
+
+  if (points.length === 0) return { points, averages: null };
+
+  const averages = { total: 0, ...emptyCategories() };
+  points.forEach((p) => {
+    averages.total += p.total;
+    Object.keys(p.categories).forEach((k) => { averages[k] += p.categories[k]; });
+  });
+  Object.keys(averages).forEach((k) => { averages[k] = round2(averages[k] / points.length); });
+
+  return { points, averages };
+}
+
+/**
+ * Format a strokes gained value: "+1.25", "-0.40", "0.00".
+ */
+export function formatStrokesGained(value) {
+  if (value == null) return '-';
+  const fixed = Math.abs(value).toFixed(2);
+  if (Number(fixed) === 0) return '0.00';
+  return `${value > 0 ? '+' : '-'}${fixed}`;
+}
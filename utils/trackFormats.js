@@ -0,0 +1,324 @@
+/**
+ * GPS Track Formats
+ *
+ * Reads and writes the track files GPS watches use:
+ *   - GPX 1.1 (XML): exported rounds carry one waypoint per shot plus the
+ *     recorded track; imported tracks are read from <trkpt>/<rtept>.
+ *   - FIT (Garmin binary): record messages (timestamp, position,
+ *     altitude) are decoded; everything else is skipped.
+ *
+ * Track points use the same shape as locationService readings and GPS
+ * traces: { latitude, longitude, altitude (feet), accuracy, timestamp (ms) }.
+ * No React Native dependencies.
+ */
+
+const FEET_PER_METER = 3.28084;
+
+// ============================================================================
+// GPX
+// ============================================================================
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatCoord(value) {
+  return Number(value).toFixed(7);
+}
+
+function gpxPoint(tag, point, indent) {
+  const children = [];
+  if (point.altitude != null) {
+    children.push(`<ele>${(point.altitude / FEET_PER_METER).toFixed(1)}</ele>`);
+  }
+  if (point.timestamp) children.push(`<time>${new Date(point.timestamp).toISOString()}</time>`);
+  if (point.name) children.push(`<name>${escapeXml(point.name)}</name>`);
+  if (point.description) children.push(`<desc>${escapeXml(point.description)}</desc>`);
+
+  const open = `${indent}<${tag} lat="${formatCoord(point.latitude)}" lon="${formatCoord(point.longitude)}"`;
+  if (children.length === 0) return `${open}/>`;
+  return `${open}>${children.join('')}</${tag}>`;
+}
+
+/**
+ * Build a GPX 1.1 document.
+ *
+ * @param {Object} params
+ * @param {string} params.name - Document/track name
+ * @param {Array} params.waypoints - [{ latitude, longitude, altitude?, timestamp?, name?, description? }]
+ * @param {Array} params.track - Track points [{ latitude, longitude, altitude?, timestamp? }]
+ * @returns {string} GPX XML
+ */
+export function buildGpx({ name = 'Round', waypoints = [], track = [] }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Pure" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+    ...waypoints.map(w => gpxPoint('wpt', w, '  ')),
+  ];
+
+  if (track.length > 0) {
+    lines.push(`  <trk><name>${escapeXml(name)}</name><trkseg>`);
+    track.forEach(p => lines.push(gpxPoint('trkpt', p, '    ')));
+    lines.push('  </trkseg></trk>');
+  }
+
+  lines.push('</gpx>');
+  return lines.join('\n');
+}
+
+/**
+ * GPX for a completed round: a waypoint where each shot was played from,
+ * and the recorded track when there is one.
+ *
+ * @param {Object} round - Round row ({ started_at, course: { name } })
+ * @param {Array} shots - round_shots rows
+ * @param {Array} track - Recorded track points (optional)
+ * @returns {string} GPX XML
+ */
+export function roundToGpx(round, shots, track = []) {
+  const date = round?.started_at ? round.started_at.slice(0, 10) : '';
+  const name = [round?.course?.name || 'Round', date].filter(Boolean).join(' ');
+
+  const waypoints = (shots || [])
+    .filter(s => s.from_lat != null && s.from_lon != null)
+    .map(s => ({
+      latitude: s.from_lat,
+      longitude: s.from_lon,
+      altitude: s.from_elevation ?? null,
+      timestamp: s.played_at ? Date.parse(s.played_at) : null,
+      name: `H${s.hole_number} S${s.shot_number}`,
+      description: [
+        s.club,
+        s.lie_type,
+        s.shot_type === 'putt' && s.putt_distance_ft != null ? `${s.putt_distance_ft} ft` : null,
+        s.shot_type !== 'putt' && s.distance_actual != null ? `${Math.round(s.distance_actual)} yds` : null,
+      ].filter(Boolean).join(', '),
+    }));
+
+  return buildGpx({ name, waypoints, track });
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function readTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`));
+  return match ? unescapeXml(match[1].trim()) : null;
+}
+
+function readAttr(attrs, name) {
+  const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`));
+  return match ? parseFloat(match[1]) : NaN;
+}
+
+/**
+ * Read the track from a GPX file. Uses track points, or route points
+ * when the file has no track.
+ *
+ * @param {string} xml - GPX text
+ * @returns {Object} { name, points }
+ */
+export function parseGpx(xml) {
+  const text = xml || '';
+  const points = [];
+  const pattern = /<(trkpt|rtept)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  const found = { trkpt: [], rtept: [] };
+
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const [, tag, attrs, body = ''] = match;
+    const latitude = readAttr(attrs, 'lat');
+    const longitude = readAttr(attrs, 'lon');
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) continue;
+
+    const ele = readTag(body, 'ele');
+    const time = readTag(body, 'time');
+    found[tag].push({
+      latitude,
+      longitude,
+      altitude: ele != null && ele !== '' ? Math.round(parseFloat(ele) * FEET_PER_METER) : null,
+      accuracy: null,
+      timestamp: time ? Date.parse(time) : null,
+    });
+  }
+
+  points.push(...(found.trkpt.length > 0 ? found.trkpt : found.rtept));
+  const metadata = text.match(/<metadata>[\s\S]*?<\/metadata>/);
+  const name = (metadata && readTag(metadata[0], 'name')) || readTag(text, 'name');
+  return { name, points };
+}
+
+// ============================================================================
+// FIT
+// ============================================================================
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+const FIT_EPOCH_OFFSET = 631065600;
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+const FIT_RECORD_MESSAGE = 20;
+const FIT_FIELD = {
+  TIMESTAMP: 253,
+  POSITION_LAT: 0,
+  POSITION_LONG: 1,
+  ALTITUDE: 2,
+  ENHANCED_ALTITUDE: 78,
+};
+
+function readFitValue(view, offset, size, baseType, littleEndian) {
+  switch (baseType & 0x1F) {
+    case 0x00: case 0x02: case 0x0A: // enum, uint8, uint8z
+      return size === 1 ? view.getUint8(offset) : null;
+    case 0x01: // sint8
+      return size === 1 ? view.getInt8(offset) : null;
+    case 0x03: // sint16
+      return size === 2 ? view.getInt16(offset, littleEndian) : null;
+    case 0x04: case 0x0B: // uint16, uint16z
+      return size === 2 ? view.getUint16(offset, littleEndian) : null;
+    case 0x05: // sint32
+      return size === 4 ? view.getInt32(offset, littleEndian) : null;
+    case 0x06: case 0x0C: // uint32, uint32z
+      return size === 4 ? view.getUint32(offset, littleEndian) : null;
+    default:
+      return null;
+  }
+}
+
+function isInvalidFitValue(value, baseType) {
+  if (value == null) return true;
+  switch (baseType & 0x1F) {
+    case 0x03: return value === 0x7FFF;
+    case 0x04: return value === 0xFFFF;
+    case 0x05: return value === 0x7FFFFFFF;
+    case 0x06: return value === 0xFFFFFFFF;
+    default: return false;
+  }
+}
+
+/**
+ * Decode the GPS records from a FIT file.
+ *
+ * @param {Uint8Array|ArrayBuffer} input - File contents
+ * @returns {Object} { points }
+ * @throws {Error} When the file isn't FIT
+ */
+export function parseFit(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const headerSize = bytes[0];
+  const signature = String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]);
+  if (bytes.length < 12 || (headerSize !== 12 && headerSize !== 14) || signature !== '.FIT') {
+    throw new Error('Not a FIT file');
+  }
+
+  const dataSize = view.getUint32(4, true);
+  const end = Math.min(bytes.length, headerSize + dataSize);
+  const definitions = {};
+  const points = [];
+  let lastTimestamp = null;
+  let offset = headerSize;
+
+  while (offset < end) {
+    const header = bytes[offset++];
+
+    // Compressed timestamp header: data message with a 5-bit time offset
+    if (header & 0x80) {
+      const localType = (header >> 5) & 0x03;
+      const timeOffset = header & 0x1F;
+      if (lastTimestamp != null) {
+        const base = lastTimestamp - (lastTimestamp % 32);
+        lastTimestamp = timeOffset >= lastTimestamp % 32 ? base + timeOffset : base + timeOffset + 32;
+      }
+      offset = readFitData(definitions[localType], offset, lastTimestamp);
+      continue;
+    }
+
+    const localType = header & 0x0F;
+
+    if (header & 0x40) {
+      // Definition message
+      const littleEndian = bytes[offset + 1] === 0;
+      const globalNumber = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = bytes[offset + 4];
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({ number: bytes[offset], size: bytes[offset + 1], baseType: bytes[offset + 2] });
+        offset += 3;
+      }
+
+      let developerSize = 0;
+      if (header & 0x20) {
+        const devCount = bytes[offset++];
+        for (let i = 0; i < devCount; i++) {
+          developerSize += bytes[offset + 1];
+          offset += 3;
+        }
+      }
+
+      definitions[localType] = { globalNumber, littleEndian, fields, developerSize };
+      continue;
+    }
+
+    offset = readFitData(definitions[localType], offset, null);
+  }
+
+  function readFitData(definition, start, compressedTimestamp) {
+    if (!definition) throw new Error('FIT data message without a definition');
+
+    let cursor = start;
+    const values = {};
+    for (const field of definition.fields) {
+      const value = readFitValue(view, cursor, field.size, field.baseType, definition.littleEndian);
+      if (!isInvalidFitValue(value, field.baseType)) values[field.number] = value;
+      cursor += field.size;
+    }
+    cursor += definition.developerSize;
+
+    if (values[FIT_FIELD.TIMESTAMP] != null) lastTimestamp = values[FIT_FIELD.TIMESTAMP];
+    const timestamp = values[FIT_FIELD.TIMESTAMP] ?? compressedTimestamp;
+
+    if (
+      definition.globalNumber === FIT_RECORD_MESSAGE &&
+      values[FIT_FIELD.POSITION_LAT] != null &&
+      values[FIT_FIELD.POSITION_LONG] != null
+    ) {
+      const rawAltitude = values[FIT_FIELD.ENHANCED_ALTITUDE] ?? values[FIT_FIELD.ALTITUDE];
+      points.push({
+        latitude: values[FIT_FIELD.POSITION_LAT] * SEMICIRCLES_TO_DEGREES,
+        longitude: values[FIT_FIELD.POSITION_LONG] * SEMICIRCLES_TO_DEGREES,
+        altitude: rawAltitude != null ? Math.round((rawAltitude / 5 - 500) * FEET_PER_METER) : null,
+        accuracy: null,
+        timestamp: timestamp != null ? (timestamp + FIT_EPOCH_OFFSET) * 1000 : null,
+      });
+    }
+
+    return cursor;
+  }
+
+  return { points };
+}
+
+/**
+ * Which track format a file is, from its name.
+ *
+ * @param {string} fileName
+ * @returns {'gpx'|'fit'|null}
+ */
+export function getTrackFormat(fileName) {
+  const ext = (fileName || '').split('.').pop().toLowerCase();
+  return ext === 'gpx' || ext === 'fit' ? ext : null;
+}